@@ -10,6 +10,7 @@ import helmet from 'helmet';
 import dotenv from 'dotenv';
 import { connectToDb } from './database_config/index.js';
 import configureRoutes from './routes/index.js';
+import { startJobs, stopJobs } from './jobs/index.js';
 import { requestLogger, errorHandler, notFoundHandler } from './middlewares.js';
 
 // Load environment variables
@@ -72,6 +73,9 @@ if (process.env.NODE_ENV !== 'test') {
       // Connect to MongoDB
       await connectToDb();
 
+      // Start background jobs (trash purge)
+      startJobs();
+
       // Start Express server
       app.listen(PORT, () => {
         console.log(`
@@ -89,6 +93,7 @@ if (process.env.NODE_ENV !== 'test') {
   // Handle graceful shutdown
   process.on('SIGINT', async () => {
     console.log('\nShutting down gracefully...');
+    stopJobs();
     const { closeConnection } = await import('./database_config/index.js');
     await closeConnection();
     process.exit(0);
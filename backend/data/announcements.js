@@ -0,0 +1,175 @@
+/**
+ * Announcement Data Functions
+ * Telling the course about a new question or response: the live event for
+ * everyone viewing it and the notifications it sends. New posts are announced
+ * as they are created, and posts held by content screening when staff approve
+ * them.
+ */
+
+import { getCourseStaffIds, getCourseMemberIds } from '../roles.js';
+import {
+  EVENTS,
+  courseChannel,
+  questionChannel,
+  publish,
+} from '../realtime.js';
+import { createNotification } from './notifications.js';
+import { notifyFollowers } from './follows.js';
+import { getNewQuestionSubscriberIds } from './notificationPreferences.js';
+import {
+  toPublishedPost,
+  notificationSenderId,
+  getPseudonym,
+} from './anonymity.js';
+
+/**
+ * Checks whether a post is held by content screening since it was created,
+ * so nobody else has heard about it yet
+ * A post held when it is created is hidden at the moment it is created; one
+ * held after an edit is hidden later.
+ * @param {Object} post - Question or response document
+ * @returns {boolean} True if approving the post should announce it
+ */
+export const isHeldSinceCreation = (post) =>
+  Boolean(post.hiddenAt) &&
+  !post.hiddenBy &&
+  post.hiddenAt.getTime() === post.createdAt.getTime();
+
+/**
+ * Adds the poster's pseudonym to an anonymous post read straight from the
+ * database
+ * @param {Object} post - Question or response document
+ * @param {string} questionId - Question ObjectId of the thread
+ * @returns {Promise<Object>} The post, with pseudonym when anonymous
+ */
+const withPseudonym = async (post, questionId) =>
+  post.isAnonymous && !post.pseudonym
+    ? {
+        ...post,
+        pseudonym: await getPseudonym(questionId, post.posterId.toString()),
+      }
+    : post;
+
+/**
+ * Announces a new question
+ * A private question is only announced to course staff, who are notified.
+ * Otherwise it is pushed to everyone viewing the course, and course members
+ * who opted in to new questions are notified. Notification failures are
+ * logged, not thrown.
+ * @param {Object} question - Question document
+ * @param {Object} options
+ * @param {Object} options.course - The question's course document
+ * @param {Object} options.poster - Student who asked it ({ firstName, lastName })
+ * @returns {Promise<void>}
+ */
+export const announceQuestion = async (question, { course, poster }) => {
+  const questionId = question._id.toString();
+  const courseId = question.courseId.toString();
+  const posterId = question.posterId.toString();
+  const post = await withPseudonym(question, questionId);
+
+  // Nobody hears who posted an anonymous question
+  const senderId = notificationSenderId(post, posterId);
+
+  // Only course staff hear about a private question
+  if (post.visibility === 'staff') {
+    try {
+      const staffIds = getCourseStaffIds(course).filter(
+        (staffId) => staffId !== posterId
+      );
+      await Promise.all(
+        staffIds.map((recipientId) =>
+          createNotification({
+            recipientId,
+            questionId,
+            senderId,
+            type: 'private_question',
+            message: `New private question in ${course.courseCode}: "${post.title}"`,
+          })
+        )
+      );
+    } catch (notifError) {
+      // Log error but don't fail the caller
+      console.error('Failed to create notification:', notifError);
+    }
+    return;
+  }
+
+  // Push to anyone viewing the course, shaped like a listed question
+  publish(
+    courseChannel(courseId),
+    EVENTS.QUESTION_CREATED,
+    toPublishedPost(post, poster)
+  );
+
+  // Notify course members who opted in to new questions in this course
+  try {
+    const memberIds = new Set(getCourseMemberIds(course));
+    const subscriberIds = (await getNewQuestionSubscriberIds(courseId)).filter(
+      (subscriberId) => subscriberId !== posterId && memberIds.has(subscriberId)
+    );
+    await Promise.all(
+      subscriberIds.map((recipientId) =>
+        createNotification({
+          recipientId,
+          questionId,
+          senderId,
+          type: 'new_question',
+          message: `New question in ${course.courseCode}: "${post.title}"`,
+        })
+      )
+    );
+  } catch (notifError) {
+    // Log error but don't fail the caller
+    console.error('Failed to create notification:', notifError);
+  }
+};
+
+/**
+ * Announces a new response
+ * Pushes it to everyone viewing the question, and notifies the question's
+ * poster and followers. Notification failures are logged, not thrown.
+ * @param {Object} response - Response document
+ * @param {Object} options
+ * @param {Object} options.question - The response's question document
+ * @param {Object} options.poster - Student who responded ({ firstName, lastName })
+ * @returns {Promise<void>}
+ */
+export const announceResponse = async (response, { question, poster }) => {
+  const questionId = question._id.toString();
+  const posterId = response.posterId.toString();
+  const post = await withPseudonym(response, questionId);
+
+  // Push to anyone viewing the question, shaped like a listed response
+  publish(
+    questionChannel(questionId),
+    EVENTS.RESPONSE_CREATED,
+    toPublishedPost(post, poster)
+  );
+
+  // Notify the question poster (if not responding to their own question)
+  try {
+    const responderName = post.isAnonymous ? post.pseudonym : poster.firstName;
+    const senderId = notificationSenderId(post, posterId);
+    if (question.posterId.toString() !== posterId) {
+      await createNotification({
+        recipientId: question.posterId.toString(),
+        questionId,
+        senderId,
+        type: 'new_response',
+        message: `${responderName} replied to your question: "${question.title}"`,
+      });
+    }
+
+    // Followers too, except the poster who was just notified
+    await notifyFollowers(questionId, {
+      senderId,
+      type: 'followed_response',
+      message: `${responderName} replied to "${question.title}"`,
+      excludeIds: [question.posterId.toString(), posterId],
+    });
+  } catch (notifError) {
+    // Log error but don't fail the caller
+    console.error('Failed to create notification:', notifError);
+  }
+};
@@ -0,0 +1,328 @@
+/**
+ * Anonymity Data Functions
+ * Who can see the poster of an anonymous post, and the pseudonyms that tell
+ * anonymous participants in a thread apart
+ * An anonymous post hides its poster from other students, and from course
+ * staff too unless the poster chose to stay visible to them. Staff can reveal
+ * the poster of any anonymous post through the moderation routes, which
+ * records the reveal in the course's audit trail.
+ */
+
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import { isValidObjectId } from '../validation.js';
+
+/**
+ * Animals pseudonyms are drawn from, as "Anonymous Owl"
+ * Once a thread has used them all, later participants get numbered ones
+ * ("Anonymous Owl 2").
+ */
+export const PSEUDONYM_ANIMALS = [
+  'Alpaca',
+  'Badger',
+  'Beaver',
+  'Bison',
+  'Coyote',
+  'Crane',
+  'Dolphin',
+  'Falcon',
+  'Ferret',
+  'Fox',
+  'Gecko',
+  'Hedgehog',
+  'Heron',
+  'Ibis',
+  'Jaguar',
+  'Kiwi',
+  'Koala',
+  'Lemur',
+  'Lynx',
+  'Marten',
+  'Moose',
+  'Narwhal',
+  'Ocelot',
+  'Otter',
+  'Owl',
+  'Panda',
+  'Penguin',
+  'Puffin',
+  'Quail',
+  'Raven',
+  'Seal',
+  'Sparrow',
+  'Tapir',
+  'Tortoise',
+  'Vole',
+  'Walrus',
+  'Wombat',
+  'Yak',
+  'Zebra',
+];
+
+// Concurrent posts in a thread can pick the same animal; retry with another
+const MAX_PSEUDONYM_ATTEMPTS = 5;
+
+/**
+ * Checks whether a post's poster is hidden from course staff
+ * Posts from before tiered anonymity have no isAnonymousToStaff and stay
+ * hidden from everyone, as they were when posted.
+ * @param {Object} post - Question, response or comment document
+ * @returns {boolean} True for anonymous posts not visible to staff
+ */
+export const isHiddenFromStaff = (post) =>
+  Boolean(post.isAnonymous) && post.isAnonymousToStaff !== false;
+
+/**
+ * Shapes a new post for pushing to everyone viewing the course or thread
+ * Anonymous posts go out as other students see them: under the poster's
+ * pseudonym and without posterId.
+ * @param {Object} post - Created question, response or comment, with
+ *   pseudonym when anonymous
+ * @param {Object} poster - Session student who posted it
+ * @returns {Object} Post with posterName
+ */
+export const toPublishedPost = (post, poster) => {
+  if (!post.isAnonymous) {
+    return { ...post, posterName: `${poster.firstName} ${poster.lastName}` };
+  }
+  const { posterId: _posterId, ...anonymousPost } = post;
+  return { ...anonymousPost, posterName: post.pseudonym };
+};
+
+/**
+ * Drops posterId from a post returned straight from a write, as reads for a
+ * viewer do (see posterStages)
+ * @param {Object} post - Question, response or comment document
+ * @param {string} viewerId - Student ObjectId of the viewer
+ * @param {boolean} isStaff - Whether the viewer is course staff
+ * @returns {Object} The post, without posterId when its poster is hidden from
+ *   the viewer
+ */
+export const forViewer = (post, viewerId, isStaff) => {
+  const isHidden = isStaff
+    ? isHiddenFromStaff(post)
+    : Boolean(post.isAnonymous);
+  if (!isHidden || post.posterId?.toString() === viewerId) {
+    return post;
+  }
+  const { posterId: _posterId, ...anonymousPost } = post;
+  return anonymousPost;
+};
+
+/**
+ * Gets the senderId of a notification about a student acting on a post
+ * A student acting on their own anonymous post is not named to the
+ * recipient, who could otherwise tell who wrote it.
+ * @param {Object} post - Question, response or comment acted on
+ * @param {string} actorId - Student ObjectId of the actor
+ * @returns {string|null} actorId, or null for the post's anonymous poster
+ */
+export const notificationSenderId = (post, actorId) =>
+  post.isAnonymous && post.posterId?.toString() === actorId ? null : actorId;
+
+/**
+ * Formats a stored pseudonym for display
+ * @param {string} [animal] - Pseudonym animal, missing for posts from before
+ *   pseudonyms
+ * @returns {string} Display name, e.g. "Anonymous Owl"
+ */
+export const formatPseudonym = (animal) =>
+  animal ? `Anonymous ${animal}` : 'Anonymous';
+
+/**
+ * Picks an animal no one in the thread uses yet
+ * @param {Array<string>} taken - Animals already used in the thread
+ * @returns {string} Unused animal, numbered once every animal is taken
+ */
+const pickAnimal = (taken) => {
+  const takenSet = new Set(taken);
+  for (let round = 1; ; round++) {
+    const available = PSEUDONYM_ANIMALS.map((animal) =>
+      round === 1 ? animal : `${animal} ${round}`
+    ).filter((animal) => !takenSet.has(animal));
+    if (available.length > 0) {
+      return available[crypto.randomInt(available.length)];
+    }
+  }
+};
+
+/**
+ * Gets a student's pseudonym in a thread, assigning one on first use
+ * A student keeps the same pseudonym on every anonymous post in the thread,
+ * and no two students in a thread share one.
+ * @param {string} questionId - Question ObjectId of the thread
+ * @param {string} studentId - Student ObjectId
+ * @returns {Promise<string>} Display name, e.g. "Anonymous Owl"
+ * @throws {Error} If an ID is invalid
+ */
+export const getPseudonym = async (questionId, studentId) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const pseudonymsCollection = getCollection(COLLECTIONS.PSEUDONYMS);
+  const filter = {
+    questionId: new ObjectId(questionId),
+    studentId: new ObjectId(studentId),
+  };
+
+  for (let attempt = 1; attempt <= MAX_PSEUDONYM_ATTEMPTS; attempt++) {
+    const existing = await pseudonymsCollection.findOne(filter);
+    if (existing) {
+      return formatPseudonym(existing.animal);
+    }
+
+    const taken = await pseudonymsCollection.distinct('animal', {
+      questionId: filter.questionId,
+    });
+    try {
+      const pseudonym = await pseudonymsCollection.findOneAndUpdate(
+        filter,
+        { $setOnInsert: { animal: pickAnimal(taken), createdAt: new Date() } },
+        { upsert: true, returnDocument: 'after' }
+      );
+      return formatPseudonym(pseudonym.animal);
+    } catch (error) {
+      // Duplicate key: someone else in the thread just took the animal
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('Failed to assign a pseudonym');
+};
+
+/**
+ * Aggregation stages that add posterName, and pseudonym to anonymous posts
+ * posterName is the pseudonym when the poster is hidden from the viewer.
+ * Reads for a viewer also drop posterId from other students' hidden posts, so
+ * it cannot be matched to their other posts; reads without a viewer keep it
+ * for permission checks.
+ * @param {Object} [options] - Viewer options
+ * @param {string} [options.threadField] - Field holding the thread's question
+ *   ID: '$_id' for questions (default), '$questionId' for responses and comments
+ * @param {string} [options.viewerId] - Student ObjectId of the viewer
+ * @param {boolean} [options.isStaff] - Whether the viewer is course staff
+ * @returns {Array<Object>} Aggregation pipeline stages
+ */
+export const posterStages = ({
+  threadField = '$_id',
+  viewerId,
+  isStaff = false,
+} = {}) => {
+  const hasViewer = Boolean(viewerId && isValidObjectId(viewerId));
+  const isHidden = isStaff
+    ? { $and: ['$isAnonymous', { $ne: ['$isAnonymousToStaff', false] }] }
+    : '$isAnonymous';
+
+  const stages = [
+    {
+      $lookup: {
+        from: 'students',
+        localField: 'posterId',
+        foreignField: '_id',
+        as: 'poster',
+      },
+    },
+    {
+      $lookup: {
+        from: 'pseudonyms',
+        let: { questionId: threadField, posterId: '$posterId' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$questionId', '$$questionId'] },
+                  { $eq: ['$studentId', '$$posterId'] },
+                ],
+              },
+            },
+          },
+          { $limit: 1 },
+        ],
+        as: 'pseudonymEntry',
+      },
+    },
+    {
+      $addFields: {
+        pseudonym: {
+          $cond: {
+            if: '$isAnonymous',
+            then: {
+              $ifNull: [
+                {
+                  $concat: [
+                    'Anonymous ',
+                    { $arrayElemAt: ['$pseudonymEntry.animal', 0] },
+                  ],
+                },
+                'Anonymous',
+              ],
+            },
+            else: '$$REMOVE',
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        posterName: {
+          $cond: {
+            if: isHidden,
+            then: '$pseudonym',
+            else: {
+              $concat: [
+                { $arrayElemAt: ['$poster.firstName', 0] },
+                ' ',
+                { $arrayElemAt: ['$poster.lastName', 0] },
+              ],
+            },
+          },
+        },
+      },
+    },
+    { $project: { poster: 0, pseudonymEntry: 0 } }, // Remove full poster object
+  ];
+
+  if (hasViewer) {
+    stages.push({
+      $addFields: {
+        posterId: {
+          $cond: {
+            if: {
+              $and: [isHidden, { $ne: ['$posterId', new ObjectId(viewerId)] }],
+            },
+            then: '$$REMOVE',
+            else: '$posterId',
+          },
+        },
+      },
+    });
+  }
+
+  return stages;
+};
+
+/**
+ * Deletes the pseudonyms used in a thread (cascade delete)
+ * @param {string} questionId - Question ObjectId
+ * @returns {Promise<Object>} Delete result
+ * @throws {Error} If questionId is invalid
+ */
+export const deletePseudonymsByQuestionId = async (questionId) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  const result = await getCollection(COLLECTIONS.PSEUDONYMS).deleteMany({
+    questionId: new ObjectId(questionId),
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
@@ -0,0 +1,394 @@
+/**
+ * Attachment Data Functions
+ * Uploaded files shared on questions and responses
+ * File contents are held by the configured storage adapter; this collection
+ * keeps their metadata and which post each file is attached to.
+ */
+
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import { validateString, isValidObjectId } from '../validation.js';
+import {
+  getAttachmentStorage,
+  getAttachmentStorageByName,
+} from '../storage/index.js';
+
+/**
+ * File types that can be attached
+ */
+export const ATTACHMENT_MIME_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+];
+
+/**
+ * Largest file accepted, in bytes (5 MB)
+ */
+export const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Most files a single question or response can carry
+ */
+export const MAX_ATTACHMENTS_PER_POST = 4;
+
+/**
+ * Checks that a file's bytes match its declared type
+ * The browser-supplied type is not trusted on its own, so a script renamed
+ * to .png is refused.
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - Declared MIME type
+ * @returns {boolean} True if the contents look like that type
+ */
+const matchesMimeType = (buffer, mimeType) => {
+  const startsWith = (bytes, offset = 0) =>
+    buffer.subarray(offset, offset + bytes.length).equals(Buffer.from(bytes));
+
+  switch (mimeType) {
+    case 'image/png':
+      return startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    case 'image/jpeg':
+      return startsWith([0xff, 0xd8, 0xff]);
+    case 'image/gif':
+      return startsWith([0x47, 0x49, 0x46, 0x38]); // GIF8
+    case 'image/webp':
+      return (
+        startsWith([0x52, 0x49, 0x46, 0x46]) && // RIFF
+        startsWith([0x57, 0x45, 0x42, 0x50], 8) // WEBP
+      );
+    case 'application/pdf':
+      return startsWith([0x25, 0x50, 0x44, 0x46]); // %PDF
+    case 'text/plain':
+      return !buffer.includes(0);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Validates an uploaded file's size and type
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - Declared MIME type
+ * @throws {Error} If the file is empty, too large, or not an allowed type
+ */
+export const validateAttachmentFile = (buffer, mimeType) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new Error('File is empty');
+  }
+  if (buffer.length > MAX_ATTACHMENT_SIZE) {
+    throw new Error('File must not exceed 5 MB');
+  }
+  if (!ATTACHMENT_MIME_TYPES.includes(mimeType)) {
+    throw new Error(
+      'Only PNG, JPEG, GIF, WebP, PDF and text files are allowed'
+    );
+  }
+  if (!matchesMimeType(buffer, mimeType)) {
+    throw new Error('File contents do not match its type');
+  }
+};
+
+/**
+ * Reduces a client-supplied file name to a safe display name
+ * @param {string} fileName - Original file name
+ * @returns {string} Base name without control characters
+ */
+const cleanFileName = (fileName) => {
+  const baseName = String(fileName ?? '')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\p{Cc}"]/gu, '')
+    .trim();
+  return validateString(baseName || 'file', 'File name', 1, 255);
+};
+
+/**
+ * Shapes an attachment for embedding in a question or response
+ * @param {Object} attachment - Attachment document
+ * @returns {Object} { _id, fileName, mimeType, size }
+ */
+export const toAttachmentSummary = (attachment) => ({
+  _id: attachment._id,
+  fileName: attachment.fileName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+});
+
+/**
+ * Stores an uploaded file and records its metadata
+ * The attachment belongs to no post until linkAttachments() is called.
+ * @param {Object} attachmentData - Upload information
+ * @param {string} attachmentData.courseId - Course the file is shared in
+ * @param {string} attachmentData.uploaderId - Student ObjectId of the uploader
+ * @param {string} attachmentData.fileName - Original file name
+ * @param {string} attachmentData.mimeType - Declared MIME type
+ * @param {Buffer} attachmentData.buffer - File contents
+ * @returns {Promise<Object>} Created attachment document
+ * @throws {Error} If validation fails
+ */
+export const createAttachment = async (attachmentData) => {
+  // Validate required fields
+  const courseId = attachmentData.courseId;
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  const uploaderId = attachmentData.uploaderId;
+  if (!isValidObjectId(uploaderId)) {
+    throw new Error('Invalid uploader ID');
+  }
+
+  const fileName = cleanFileName(attachmentData.fileName);
+
+  const { buffer, mimeType } = attachmentData;
+  validateAttachmentFile(buffer, mimeType);
+
+  // Store the contents first so metadata never points at a missing file
+  const storage = getAttachmentStorage();
+  const storageKey = crypto.randomBytes(16).toString('hex');
+  await storage.save(storageKey, buffer, { mimeType });
+
+  // Create attachment document
+  const newAttachment = {
+    courseId: new ObjectId(courseId),
+    uploaderId: new ObjectId(uploaderId),
+    fileName,
+    mimeType,
+    size: buffer.length,
+    storage: storage.name,
+    storageKey,
+    targetType: null,
+    targetId: null,
+    questionId: null,
+    createdAt: new Date(),
+  };
+
+  const attachmentsCollection = getCollection(COLLECTIONS.ATTACHMENTS);
+  const result = await attachmentsCollection.insertOne(newAttachment);
+
+  if (!result.acknowledged) {
+    await storage.remove(storageKey);
+    throw new Error('Failed to create attachment');
+  }
+
+  return {
+    _id: result.insertedId,
+    ...newAttachment,
+  };
+};
+
+/**
+ * Gets an attachment by ID
+ * @param {string} attachmentId - Attachment ObjectId
+ * @returns {Promise<Object|null>} Attachment document or null
+ * @throws {Error} If ID is invalid
+ */
+export const getAttachmentById = async (attachmentId) => {
+  if (!isValidObjectId(attachmentId)) {
+    throw new Error('Invalid attachment ID');
+  }
+
+  const attachmentsCollection = getCollection(COLLECTIONS.ATTACHMENTS);
+  return attachmentsCollection.findOne({ _id: new ObjectId(attachmentId) });
+};
+
+/**
+ * Opens a stream of an attachment's file contents
+ * Files are read from the adapter that saved them, even if another one has
+ * been configured since.
+ * @param {Object} attachment - Attachment document
+ * @returns {Readable} File contents
+ */
+export const openAttachmentStream = (attachment) => {
+  return getAttachmentStorageByName(attachment.storage).createReadStream(
+    attachment.storageKey
+  );
+};
+
+/**
+ * Looks up uploads a student is about to attach to a new post
+ * Each one must be theirs, uploaded to the same course, and not yet attached.
+ * @param {Array<string>} attachmentIds - Attachment ObjectIds
+ * @param {Object} owner - Who is posting
+ * @param {string} owner.uploaderId - Student ObjectId
+ * @param {string} owner.courseId - Course ObjectId
+ * @returns {Promise<Array<Object>|null>} Summaries in the given order, or
+ *   null if any attachment is unusable
+ * @throws {Error} If there are too many attachments or an ID is invalid
+ */
+export const getAttachableAttachments = async (
+  attachmentIds,
+  { uploaderId, courseId }
+) => {
+  if (!Array.isArray(attachmentIds)) {
+    throw new Error('Attachment IDs must be an array');
+  }
+  if (attachmentIds.length > MAX_ATTACHMENTS_PER_POST) {
+    throw new Error(
+      `A post can have at most ${MAX_ATTACHMENTS_PER_POST} attachments`
+    );
+  }
+  if (attachmentIds.length === 0) {
+    return [];
+  }
+  if (!attachmentIds.every(isValidObjectId)) {
+    throw new Error('Invalid attachment ID');
+  }
+
+  const ids = [...new Set(attachmentIds)];
+  const attachmentsCollection = getCollection(COLLECTIONS.ATTACHMENTS);
+  const attachments = await attachmentsCollection
+    .find({
+      _id: { $in: ids.map((id) => new ObjectId(id)) },
+      uploaderId: new ObjectId(uploaderId),
+      courseId: new ObjectId(courseId),
+      targetId: null,
+    })
+    .toArray();
+
+  if (attachments.length !== ids.length) {
+    return null;
+  }
+
+  const byId = new Map(attachments.map((a) => [a._id.toString(), a]));
+  return ids.map((id) => toAttachmentSummary(byId.get(id)));
+};
+
+/**
+ * Marks uploads as attached to a question or response
+ * @param {Array<Object>} attachments - Summaries from getAttachableAttachments
+ * @param {Object} target - Post the files belong to
+ * @param {string} target.targetType - 'question' or 'response'
+ * @param {string} target.targetId - Question or response ObjectId
+ * @param {string} target.questionId - Question the post belongs to
+ * @returns {Promise<Object>} Update result with count
+ * @throws {Error} If the target is invalid
+ */
+export const linkAttachments = async (
+  attachments,
+  { targetType, targetId, questionId }
+) => {
+  if (!['question', 'response'].includes(targetType)) {
+    throw new Error('Invalid attachment target');
+  }
+  if (!isValidObjectId(targetId)) {
+    throw new Error(`Invalid ${targetType} ID`);
+  }
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  if (attachments.length === 0) {
+    return { success: true, modifiedCount: 0 };
+  }
+
+  const attachmentsCollection = getCollection(COLLECTIONS.ATTACHMENTS);
+  const result = await attachmentsCollection.updateMany(
+    { _id: { $in: attachments.map((a) => new ObjectId(a._id)) } },
+    {
+      $set: {
+        targetType,
+        targetId: new ObjectId(targetId),
+        questionId: new ObjectId(questionId),
+      },
+    }
+  );
+
+  return { success: true, modifiedCount: result.modifiedCount };
+};
+
+/**
+ * Deletes attachments matching a filter, files first
+ * @param {Object} filter - MongoDB filter on the attachments collection
+ * @returns {Promise<Object>} Deletion result with count
+ */
+const deleteAttachmentsWhere = async (filter) => {
+  const attachmentsCollection = getCollection(COLLECTIONS.ATTACHMENTS);
+  const attachments = await attachmentsCollection
+    .find(filter, { projection: { storage: 1, storageKey: 1 } })
+    .toArray();
+
+  for (const attachment of attachments) {
+    await getAttachmentStorageByName(attachment.storage).remove(
+      attachment.storageKey
+    );
+  }
+
+  const result = await attachmentsCollection.deleteMany({
+    _id: { $in: attachments.map((a) => a._id) },
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
+
+/**
+ * Deletes an attachment and its file
+ * @param {string} attachmentId - Attachment ObjectId
+ * @returns {Promise<Object>} Deletion result
+ * @throws {Error} If ID is invalid or the attachment does not exist
+ */
+export const deleteAttachment = async (attachmentId) => {
+  if (!isValidObjectId(attachmentId)) {
+    throw new Error('Invalid attachment ID');
+  }
+
+  const result = await deleteAttachmentsWhere({
+    _id: new ObjectId(attachmentId),
+  });
+
+  if (result.deletedCount === 0) {
+    throw new Error('Attachment not found');
+  }
+
+  return result;
+};
+
+/**
+ * Deletes all attachments on a question and on its responses (cascade delete)
+ * @param {string} questionId - Question ObjectId
+ * @returns {Promise<Object>} Deletion result with count
+ * @throws {Error} If questionId is invalid
+ */
+export const deleteAttachmentsByQuestionId = async (questionId) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  return deleteAttachmentsWhere({ questionId: new ObjectId(questionId) });
+};
+
+/**
+ * Deletes all attachments on a response (cascade delete)
+ * @param {string} responseId - Response ObjectId
+ * @returns {Promise<Object>} Deletion result with count
+ * @throws {Error} If responseId is invalid
+ */
+export const deleteAttachmentsByResponseId = async (responseId) => {
+  if (!isValidObjectId(responseId)) {
+    throw new Error('Invalid response ID');
+  }
+
+  return deleteAttachmentsWhere({
+    targetType: 'response',
+    targetId: new ObjectId(responseId),
+  });
+};
+
+/**
+ * Deletes every attachment uploaded to a course, including unused uploads
+ * (cascade delete)
+ * @param {string} courseId - Course ObjectId
+ * @returns {Promise<Object>} Deletion result with count
+ * @throws {Error} If courseId is invalid
+ */
+export const deleteAttachmentsByCourseId = async (courseId) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  return deleteAttachmentsWhere({ courseId: new ObjectId(courseId) });
+};
@@ -0,0 +1,282 @@
+/**
+ * Comment Data Functions
+ * CRUD operations for comments collection
+ * Comments are short clarifications attached to a question or a response;
+ * each post's comments form its thread.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import { validateString, isValidObjectId } from '../validation.js';
+import { getPseudonym, posterStages } from './anonymity.js';
+import { hiddenPostFilter } from './moderation.js';
+
+/**
+ * Kinds of post that can be commented on
+ */
+export const COMMENT_TARGETS = ['question', 'response'];
+
+/**
+ * Creates a new comment in the database
+ * @param {Object} commentData - Comment information
+ * @param {string} commentData.targetType - 'question' or 'response'
+ * @param {string} commentData.targetId - Question or response ObjectId
+ * @param {string} commentData.questionId - Question the target belongs to
+ * @param {string} commentData.posterId - Student ObjectId of the commenter
+ * @param {string} commentData.content - Comment text (1-500 characters)
+ * @param {boolean} [commentData.isAnonymous] - Hide the commenter's name
+ * @param {boolean} [commentData.isAnonymousToStaff] - Hide it from course
+ *   staff too (default true)
+ * @returns {Promise<Object>} Created comment document
+ * @throws {Error} If validation fails
+ */
+export const createComment = async (commentData) => {
+  // Validate required fields
+  const targetType = commentData.targetType;
+  if (!COMMENT_TARGETS.includes(targetType)) {
+    throw new Error('Invalid comment target');
+  }
+
+  const targetId = commentData.targetId;
+  if (!isValidObjectId(targetId)) {
+    throw new Error(`Invalid ${targetType} ID`);
+  }
+
+  const questionId = commentData.questionId;
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  const posterId = commentData.posterId;
+  if (!isValidObjectId(posterId)) {
+    throw new Error('Invalid poster ID');
+  }
+
+  const content = validateString(commentData.content, 'Content', 1, 500);
+
+  const isAnonymous =
+    commentData.isAnonymous !== undefined ? commentData.isAnonymous : false;
+
+  if (typeof isAnonymous !== 'boolean') {
+    throw new Error('isAnonymous must be a boolean');
+  }
+
+  const isAnonymousToStaff =
+    commentData.isAnonymousToStaff !== undefined
+      ? commentData.isAnonymousToStaff
+      : true;
+
+  if (typeof isAnonymousToStaff !== 'boolean') {
+    throw new Error('isAnonymousToStaff must be a boolean');
+  }
+
+  // Create comment document
+  const newComment = {
+    targetType,
+    targetId: new ObjectId(targetId),
+    questionId: new ObjectId(questionId),
+    posterId: new ObjectId(posterId),
+    content,
+    isAnonymous,
+    ...(isAnonymous && { isAnonymousToStaff }),
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+
+  const commentsCollection = getCollection(COLLECTIONS.COMMENTS);
+  const result = await commentsCollection.insertOne(newComment);
+
+  if (!result.acknowledged) {
+    throw new Error('Failed to create comment');
+  }
+
+  const pseudonym = isAnonymous
+    ? await getPseudonym(questionId, posterId)
+    : undefined;
+
+  return {
+    _id: result.insertedId,
+    ...newComment,
+    ...(pseudonym && { pseudonym }),
+  };
+};
+
+/**
+ * Gets a comment by ID
+ * @param {string} commentId - Comment ObjectId
+ * @returns {Promise<Object|null>} Comment document or null
+ * @throws {Error} If ID is invalid
+ */
+export const getCommentById = async (commentId) => {
+  if (!isValidObjectId(commentId)) {
+    throw new Error('Invalid comment ID');
+  }
+
+  const commentsCollection = getCollection(COLLECTIONS.COMMENTS);
+  const comment = await commentsCollection.findOne({
+    _id: new ObjectId(commentId),
+  });
+
+  return comment;
+};
+
+/**
+ * Gets every comment on a question and on its responses, oldest first
+ * Clients group them into threads by targetType and targetId. Comments on
+ * responses in the trash are left out, as are comments on responses hidden
+ * by moderators except for course staff and the response's poster.
+ * @param {string} questionId - Question ObjectId
+ * @param {Object} [options] - Viewer options
+ * @param {string} [options.viewerId] - Student ObjectId; hides anonymous
+ *   commenters from them
+ * @param {boolean} [options.isStaff] - Whether the viewer is course staff, who
+ *   see comments on hidden responses and anonymous commenters that chose to
+ *   stay visible to staff
+ * @returns {Promise<Array>} Array of comment documents with posterName
+ * @throws {Error} If questionId is invalid
+ */
+export const getCommentsByQuestionId = async (questionId, options = {}) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  const { viewerId, isStaff = false } = options;
+  const commentsCollection = getCollection(COLLECTIONS.COMMENTS);
+
+  // Use aggregation to populate poster information
+  const comments = await commentsCollection
+    .aggregate([
+      { $match: { questionId: new ObjectId(questionId) } },
+      {
+        $lookup: {
+          from: 'responses',
+          localField: 'targetId',
+          foreignField: '_id',
+          as: 'parentResponse',
+        },
+      },
+      {
+        $match: {
+          $or: [
+            { targetType: 'question' },
+            {
+              parentResponse: {
+                $elemMatch: {
+                  deletedAt: null,
+                  ...(isStaff ? {} : hiddenPostFilter(viewerId)),
+                },
+              },
+            },
+          ],
+        },
+      },
+      { $project: { parentResponse: 0 } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      ...posterStages({ threadField: '$questionId', viewerId, isStaff }),
+    ])
+    .toArray();
+
+  return comments;
+};
+
+/**
+ * Updates a comment's content
+ * @param {string} commentId - Comment ObjectId
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated comment document
+ * @throws {Error} If ID is invalid or update fails
+ */
+export const updateComment = async (commentId, updates) => {
+  if (!isValidObjectId(commentId)) {
+    throw new Error('Invalid comment ID');
+  }
+
+  if (!updates || Object.keys(updates).length === 0) {
+    throw new Error('No updates provided');
+  }
+
+  const updateFields = {};
+  for (const [key, value] of Object.entries(updates)) {
+    if (key !== 'content') {
+      throw new Error(`Cannot update field: ${key}`);
+    }
+    updateFields.content = validateString(value, 'Content', 1, 500);
+  }
+
+  updateFields.updatedAt = new Date();
+
+  const commentsCollection = getCollection(COLLECTIONS.COMMENTS);
+  const result = await commentsCollection.findOneAndUpdate(
+    { _id: new ObjectId(commentId) },
+    { $set: updateFields },
+    { returnDocument: 'after' }
+  );
+
+  if (!result) {
+    throw new Error('Comment not found');
+  }
+
+  return result;
+};
+
+/**
+ * Deletes a comment
+ * @param {string} commentId - Comment ObjectId
+ * @returns {Promise<Object>} Deletion result
+ * @throws {Error} If ID is invalid or deletion fails
+ */
+export const deleteComment = async (commentId) => {
+  if (!isValidObjectId(commentId)) {
+    throw new Error('Invalid comment ID');
+  }
+
+  const commentsCollection = getCollection(COLLECTIONS.COMMENTS);
+  const result = await commentsCollection.deleteOne({
+    _id: new ObjectId(commentId),
+  });
+
+  if (result.deletedCount === 0) {
+    throw new Error('Comment not found');
+  }
+
+  return { success: true, deletedCount: result.deletedCount };
+};
+
+/**
+ * Deletes all comments on a question and on its responses (cascade delete)
+ * @param {string} questionId - Question ObjectId
+ * @returns {Promise<Object>} Deletion result with count
+ * @throws {Error} If questionId is invalid
+ */
+export const deleteCommentsByQuestionId = async (questionId) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  const commentsCollection = getCollection(COLLECTIONS.COMMENTS);
+  const result = await commentsCollection.deleteMany({
+    questionId: new ObjectId(questionId),
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
+
+/**
+ * Deletes all comments on a response (cascade delete)
+ * @param {string} responseId - Response ObjectId
+ * @returns {Promise<Object>} Deletion result with count
+ * @throws {Error} If responseId is invalid
+ */
+export const deleteCommentsByResponseId = async (responseId) => {
+  if (!isValidObjectId(responseId)) {
+    throw new Error('Invalid response ID');
+  }
+
+  const commentsCollection = getCollection(COLLECTIONS.COMMENTS);
+  const result = await commentsCollection.deleteMany({
+    targetType: 'response',
+    targetId: new ObjectId(responseId),
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
@@ -10,6 +10,42 @@ import {
   isValidObjectId,
   validateArray,
 } from '../validation.js';
+import {
+  COURSE_STAFF_ROLES,
+  STAFF_FIELDS,
+  resolveCourseRole,
+} from '../roles.js';
+import { generateJoinCode } from '../tokens.js';
+
+/**
+ * Validates an array of student IDs
+ * @param {any} value - Value to validate
+ * @param {string} fieldName - Name of field (for error messages)
+ * @returns {Array<ObjectId>} Array of ObjectIds
+ * @throws {Error} If value is not an array or contains an invalid ID
+ */
+const validateStudentIds = (value, fieldName) => {
+  const studentIds = validateArray(value, fieldName);
+  for (const studentId of studentIds) {
+    if (!isValidObjectId(studentId)) {
+      throw new Error(`Invalid student ID: ${studentId}`);
+    }
+  }
+  return studentIds.map((id) => new ObjectId(id));
+};
+
+/**
+ * Generates a join code that no other course is using
+ * @returns {Promise<string>} Unused join code
+ */
+const generateUniqueJoinCode = async () => {
+  const coursesCollection = getCollection(COLLECTIONS.COURSES);
+  let joinCode = generateJoinCode();
+  while (await coursesCollection.findOne({ joinCode })) {
+    joinCode = generateJoinCode();
+  }
+  return joinCode;
+};
 
 /**
  * Creates a new course in the database
@@ -50,19 +86,16 @@ export const createCourse = async (courseData) => {
   );
   const term = validateString(courseData.term, 'Term', 1, 50);
 
-  // Validate enrolled students (optional)
-  let enrolledStudents = [];
-  if (courseData.enrolledStudents) {
-    enrolledStudents = validateArray(
-      courseData.enrolledStudents,
-      'Enrolled students'
-    );
-    for (const studentId of enrolledStudents) {
-      if (!isValidObjectId(studentId)) {
-        throw new Error(`Invalid student ID: ${studentId}`);
-      }
-    }
-  }
+  // Validate enrolled students and course staff (optional)
+  const enrolledStudents = courseData.enrolledStudents
+    ? validateStudentIds(courseData.enrolledStudents, 'Enrolled students')
+    : [];
+  const instructors = courseData.instructors
+    ? validateStudentIds(courseData.instructors, 'Instructors')
+    : [];
+  const teachingAssistants = courseData.teachingAssistants
+    ? validateStudentIds(courseData.teachingAssistants, 'Teaching assistants')
+    : [];
 
   // Check if courseCode already exists
   const coursesCollection = getCollection(COLLECTIONS.COURSES);
@@ -81,7 +114,10 @@ export const createCourse = async (courseData) => {
     instructorName,
     instructorEmail,
     term,
-    enrolledStudents: enrolledStudents.map((id) => new ObjectId(id)),
+    enrolledStudents,
+    instructors,
+    teachingAssistants,
+    joinCode: await generateUniqueJoinCode(),
     createdAt: new Date(),
   };
 
@@ -131,6 +167,24 @@ export const getCourseByCode = async (courseCode) => {
   return course;
 };
 
+/**
+ * Gets a course by its join code
+ * Join codes are matched case-insensitively.
+ * @param {string} joinCode - Join code shared by course staff
+ * @returns {Promise<Object|null>} Course document or null
+ * @throws {Error} If joinCode is invalid
+ */
+export const getCourseByJoinCode = async (joinCode) => {
+  const validCode = validateString(joinCode, 'Join code', 1, 20);
+
+  const coursesCollection = getCollection(COLLECTIONS.COURSES);
+  const course = await coursesCollection.findOne({
+    joinCode: validCode.toUpperCase(),
+  });
+
+  return course;
+};
+
 /**
  * Gets all courses
  * @returns {Promise<Array>} Array of all course documents
@@ -160,6 +214,59 @@ export const getCoursesByStudentId = async (studentId) => {
   return courses;
 };
 
+/**
+ * Gets all courses a student belongs to, as an enrolled student or as staff
+ * @param {string} studentId - Student ObjectId
+ * @returns {Promise<Array>} Array of course documents
+ * @throws {Error} If studentId is invalid
+ */
+export const getCoursesByMemberId = async (studentId) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const id = new ObjectId(studentId);
+  const coursesCollection = getCollection(COLLECTIONS.COURSES);
+  const courses = await coursesCollection
+    .find({
+      $or: [
+        { enrolledStudents: id },
+        { instructors: id },
+        { teachingAssistants: id },
+      ],
+    })
+    .toArray();
+
+  return courses;
+};
+
+/**
+ * Gets the role a student holds in a course
+ * @param {string} courseId - Course ObjectId
+ * @param {string} studentId - Student ObjectId
+ * @returns {Promise<string|null>} 'admin', 'instructor', 'ta', 'student', or null if not a member
+ * @throws {Error} If either ID is invalid
+ */
+export const getCourseRole = async (courseId, studentId) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const [course, student] = await Promise.all([
+    getCollection(COLLECTIONS.COURSES).findOne({
+      _id: new ObjectId(courseId),
+    }),
+    getCollection(COLLECTIONS.STUDENTS).findOne({
+      _id: new ObjectId(studentId),
+    }),
+  ]);
+
+  return resolveCourseRole(course, student);
+};
+
 /**
  * Updates a course
  * @param {string} courseId - Course ObjectId
@@ -184,6 +291,8 @@ export const updateCourse = async (courseId, updates) => {
     'instructorEmail',
     'term',
     'enrolledStudents',
+    'instructors',
+    'teachingAssistants',
   ];
   const updateFields = {};
 
@@ -193,14 +302,12 @@ export const updateCourse = async (courseId, updates) => {
       throw new Error(`Cannot update field: ${key}`);
     }
 
-    if (key === 'enrolledStudents') {
-      const students = validateArray(value, key);
-      for (const studentId of students) {
-        if (!isValidObjectId(studentId)) {
-          throw new Error(`Invalid student ID: ${studentId}`);
-        }
-      }
-      updateFields[key] = students.map((id) => new ObjectId(id));
+    if (
+      key === 'enrolledStudents' ||
+      key === 'instructors' ||
+      key === 'teachingAssistants'
+    ) {
+      updateFields[key] = validateStudentIds(value, key);
     } else {
       // All other fields are strings
       updateFields[key] = validateString(value, key);
@@ -221,6 +328,110 @@ export const updateCourse = async (courseId, updates) => {
   return result;
 };
 
+/**
+ * Adds a student to a course's staff
+ * A student holds at most one staff role per course, so any other staff role
+ * they had in the course is replaced.
+ * @param {string} courseId - Course ObjectId
+ * @param {string} studentId - Student ObjectId
+ * @param {string} role - Staff role ('instructor' or 'ta')
+ * @returns {Promise<Object>} Updated course document
+ * @throws {Error} If IDs or role are invalid, or course not found
+ */
+export const addCourseStaff = async (courseId, studentId, role) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+  if (!COURSE_STAFF_ROLES.includes(role)) {
+    throw new Error(
+      `Staff role must be one of: ${COURSE_STAFF_ROLES.join(', ')}`
+    );
+  }
+
+  const id = new ObjectId(studentId);
+  const otherFields = Object.entries(STAFF_FIELDS)
+    .filter(([staffRole]) => staffRole !== role)
+    .map(([, field]) => field);
+
+  const coursesCollection = getCollection(COLLECTIONS.COURSES);
+  const result = await coursesCollection.findOneAndUpdate(
+    { _id: new ObjectId(courseId) },
+    {
+      $addToSet: { [STAFF_FIELDS[role]]: id },
+      $pull: Object.fromEntries(otherFields.map((field) => [field, id])),
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!result) {
+    throw new Error('Course not found');
+  }
+
+  return result;
+};
+
+/**
+ * Removes a student from a course's staff
+ * @param {string} courseId - Course ObjectId
+ * @param {string} studentId - Student ObjectId
+ * @returns {Promise<Object>} Updated course document
+ * @throws {Error} If IDs are invalid or course not found
+ */
+export const removeCourseStaff = async (courseId, studentId) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const id = new ObjectId(studentId);
+  const coursesCollection = getCollection(COLLECTIONS.COURSES);
+  const result = await coursesCollection.findOneAndUpdate(
+    { _id: new ObjectId(courseId) },
+    {
+      $pull: Object.fromEntries(
+        Object.values(STAFF_FIELDS).map((field) => [field, id])
+      ),
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!result) {
+    throw new Error('Course not found');
+  }
+
+  return result;
+};
+
+/**
+ * Replaces a course's join code, invalidating the old one
+ * @param {string} courseId - Course ObjectId
+ * @returns {Promise<Object>} Updated course document
+ * @throws {Error} If ID is invalid or course not found
+ */
+export const regenerateJoinCode = async (courseId) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  const coursesCollection = getCollection(COLLECTIONS.COURSES);
+  const result = await coursesCollection.findOneAndUpdate(
+    { _id: new ObjectId(courseId) },
+    { $set: { joinCode: await generateUniqueJoinCode() } },
+    { returnDocument: 'after' }
+  );
+
+  if (!result) {
+    throw new Error('Course not found');
+  }
+
+  return result;
+};
+
 /**
  * Deletes a course
  * @param {string} courseId - Course ObjectId
@@ -0,0 +1,100 @@
+/**
+ * Email Verification Data Functions
+ * Token storage for the account email verification step
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import { isValidObjectId } from '../validation.js';
+import { generateToken, hashToken } from '../tokens.js';
+
+/**
+ * How long a verification link stays valid
+ */
+export const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates a verification token for a student
+ * Any earlier tokens for the same student are invalidated.
+ * @param {string} studentId - Student ObjectId
+ * @returns {Promise<Object>} Object with the raw token and its expiry
+ * @throws {Error} If studentId is invalid
+ */
+export const createVerificationToken = async (studentId) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const verificationsCollection = getCollection(
+    COLLECTIONS.EMAIL_VERIFICATIONS
+  );
+
+  // Only the most recently sent link should work
+  await verificationsCollection.deleteMany({
+    studentId: new ObjectId(studentId),
+  });
+
+  const token = generateToken();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + VERIFICATION_TOKEN_TTL_MS);
+
+  const result = await verificationsCollection.insertOne({
+    studentId: new ObjectId(studentId),
+    tokenHash: hashToken(token),
+    expiresAt,
+    createdAt: now,
+  });
+
+  if (!result.acknowledged) {
+    throw new Error('Failed to create verification token');
+  }
+
+  return { token, expiresAt };
+};
+
+/**
+ * Consumes a verification token
+ * The token is deleted whether or not it has expired.
+ * @param {string} token - Raw token from the verification link
+ * @returns {Promise<ObjectId>} ID of the student the token belongs to
+ * @throws {Error} If the token is unknown or expired
+ */
+export const consumeVerificationToken = async (token) => {
+  if (typeof token !== 'string' || token.trim().length === 0) {
+    throw new Error('Verification token is required');
+  }
+
+  const verificationsCollection = getCollection(
+    COLLECTIONS.EMAIL_VERIFICATIONS
+  );
+  const record = await verificationsCollection.findOneAndDelete({
+    tokenHash: hashToken(token.trim()),
+  });
+
+  if (!record || record.expiresAt < new Date()) {
+    throw new Error('Invalid or expired verification token');
+  }
+
+  return record.studentId;
+};
+
+/**
+ * Deletes all verification tokens for a student
+ * @param {string} studentId - Student ObjectId
+ * @returns {Promise<Object>} Deletion result with count
+ * @throws {Error} If studentId is invalid
+ */
+export const deleteVerificationTokensByStudentId = async (studentId) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const verificationsCollection = getCollection(
+    COLLECTIONS.EMAIL_VERIFICATIONS
+  );
+  const result = await verificationsCollection.deleteMany({
+    studentId: new ObjectId(studentId),
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
@@ -0,0 +1,74 @@
+/**
+ * Endorsement Data Functions
+ * Aggregation stages for staff endorsements of questions and responses
+ * Course staff endorse a post to vouch for it; the post stores endorsedBy and
+ * endorsedAt, set by setQuestionEndorsed and setResponseEndorsed.
+ */
+
+/**
+ * Aggregation stages that add endorserName to endorsed questions or responses
+ * Run after paging so only the returned documents are looked up.
+ * @returns {Array<Object>} Aggregation pipeline stages
+ */
+export const endorserStages = () => [
+  {
+    $lookup: {
+      from: 'students',
+      localField: 'endorsedBy',
+      foreignField: '_id',
+      as: 'endorser',
+    },
+  },
+  {
+    $addFields: {
+      endorserName: {
+        $cond: {
+          if: '$endorsedAt',
+          then: {
+            $concat: [
+              { $arrayElemAt: ['$endorser.firstName', 0] },
+              ' ',
+              { $arrayElemAt: ['$endorser.lastName', 0] },
+            ],
+          },
+          else: '$$REMOVE',
+        },
+      },
+    },
+  },
+  { $project: { endorser: 0 } },
+];
+
+/**
+ * Aggregation stages that add hasEndorsedResponse to questions
+ * Only responses every course member can see count: those in the trash or
+ * hidden by a moderator do not.
+ * @returns {Array<Object>} Aggregation pipeline stages
+ */
+export const endorsedResponseStages = () => [
+  {
+    $lookup: {
+      from: 'responses',
+      let: { questionId: '$_id' },
+      pipeline: [
+        {
+          $match: {
+            $expr: { $eq: ['$questionId', '$$questionId'] },
+            endorsedAt: { $ne: null },
+            deletedAt: null,
+            hiddenAt: null,
+          },
+        },
+        { $limit: 1 },
+        { $project: { _id: 1 } },
+      ],
+      as: 'endorsedResponses',
+    },
+  },
+  {
+    $addFields: {
+      hasEndorsedResponse: { $gt: [{ $size: '$endorsedResponses' }, 0] },
+    },
+  },
+  { $project: { endorsedResponses: 0 } },
+];
@@ -0,0 +1,204 @@
+/**
+ * Enrollment Data Functions
+ * Keeps courses.enrolledStudents and students.enrolledCourses in sync
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import { isValidObjectId, isValidStevensEmail } from '../validation.js';
+
+/**
+ * Enrolls a student in a course
+ * Enrolling a student who is already enrolled leaves both documents unchanged.
+ * @param {string} courseId - Course ObjectId
+ * @param {string} studentId - Student ObjectId
+ * @returns {Promise<Object>} Updated course document
+ * @throws {Error} If an ID is invalid, or the course or student does not exist
+ */
+export const enrollStudent = async (courseId, studentId) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const courseObjectId = new ObjectId(courseId);
+  const studentObjectId = new ObjectId(studentId);
+
+  // Update the student first so a missing student never leaves a dangling
+  // ID in the course's roster
+  const studentResult = await getCollection(COLLECTIONS.STUDENTS).updateOne(
+    { _id: studentObjectId },
+    {
+      $addToSet: { enrolledCourses: courseObjectId },
+      $set: { updatedAt: new Date() },
+    }
+  );
+  if (studentResult.matchedCount === 0) {
+    throw new Error('Student not found');
+  }
+
+  const course = await getCollection(COLLECTIONS.COURSES).findOneAndUpdate(
+    { _id: courseObjectId },
+    { $addToSet: { enrolledStudents: studentObjectId } },
+    { returnDocument: 'after' }
+  );
+  if (!course) {
+    // Roll back the student side so the two arrays stay consistent
+    await getCollection(COLLECTIONS.STUDENTS).updateOne(
+      { _id: studentObjectId },
+      { $pull: { enrolledCourses: courseObjectId } }
+    );
+    throw new Error('Course not found');
+  }
+
+  return course;
+};
+
+/**
+ * Removes a student from a course's enrollment
+ * Course staff roles are not affected.
+ * @param {string} courseId - Course ObjectId
+ * @param {string} studentId - Student ObjectId
+ * @returns {Promise<Object>} Updated course document
+ * @throws {Error} If an ID is invalid or the course does not exist
+ */
+export const unenrollStudent = async (courseId, studentId) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const courseObjectId = new ObjectId(courseId);
+  const studentObjectId = new ObjectId(studentId);
+
+  const course = await getCollection(COLLECTIONS.COURSES).findOneAndUpdate(
+    { _id: courseObjectId },
+    { $pull: { enrolledStudents: studentObjectId } },
+    { returnDocument: 'after' }
+  );
+  if (!course) {
+    throw new Error('Course not found');
+  }
+
+  await getCollection(COLLECTIONS.STUDENTS).updateOne(
+    { _id: studentObjectId },
+    {
+      $pull: { enrolledCourses: courseObjectId },
+      $set: { updatedAt: new Date() },
+    }
+  );
+
+  return course;
+};
+
+/**
+ * Enrolls every student matching a list of university emails
+ * Emails are matched case-insensitively; duplicates are ignored.
+ * @param {string} courseId - Course ObjectId
+ * @param {Array<string>} emails - University emails to enroll
+ * @returns {Promise<Object>} Lists of emails that were enrolled, already
+ *   enrolled, invalid, or had no matching account
+ * @throws {Error} If courseId is invalid, emails is not an array, or the course does not exist
+ */
+export const enrollStudentsByEmail = async (courseId, emails) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+  if (!Array.isArray(emails)) {
+    throw new Error('Emails must be an array');
+  }
+
+  const course = await getCollection(COLLECTIONS.COURSES).findOne({
+    _id: new ObjectId(courseId),
+  });
+  if (!course) {
+    throw new Error('Course not found');
+  }
+
+  const result = {
+    enrolled: [],
+    alreadyEnrolled: [],
+    invalid: [],
+    notFound: [],
+  };
+
+  const uniqueEmails = [
+    ...new Set(
+      emails.map((email) =>
+        typeof email === 'string' ? email.trim().toLowerCase() : ''
+      )
+    ),
+  ];
+  const validEmails = [];
+  for (const email of uniqueEmails) {
+    if (isValidStevensEmail(email)) {
+      validEmails.push(email);
+    } else if (email) {
+      result.invalid.push(email);
+    }
+  }
+
+  const students = await getCollection(COLLECTIONS.STUDENTS)
+    .find({ universityEmail: { $in: validEmails } })
+    .toArray();
+  const studentsByEmail = new Map(
+    students.map((student) => [student.universityEmail, student])
+  );
+  const enrolledIds = new Set(
+    (course.enrolledStudents || []).map((id) => id.toString())
+  );
+
+  for (const email of validEmails) {
+    const student = studentsByEmail.get(email);
+    if (!student) {
+      result.notFound.push(email);
+    } else if (enrolledIds.has(student._id.toString())) {
+      result.alreadyEnrolled.push(email);
+    } else {
+      await enrollStudent(courseId, student._id.toString());
+      result.enrolled.push(email);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Gets the students enrolled in a course
+ * @param {string} courseId - Course ObjectId
+ * @returns {Promise<Array>} Students sorted by last name, without password hashes
+ * @throws {Error} If courseId is invalid or the course does not exist
+ */
+export const getRoster = async (courseId) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  const course = await getCollection(COLLECTIONS.COURSES).findOne({
+    _id: new ObjectId(courseId),
+  });
+  if (!course) {
+    throw new Error('Course not found');
+  }
+
+  const students = await getCollection(COLLECTIONS.STUDENTS)
+    .find(
+      { _id: { $in: course.enrolledStudents || [] } },
+      {
+        projection: {
+          firstName: 1,
+          lastName: 1,
+          universityEmail: 1,
+          major: 1,
+        },
+      }
+    )
+    .sort({ lastName: 1, firstName: 1 })
+    .toArray();
+
+  return students;
+};
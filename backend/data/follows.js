@@ -0,0 +1,265 @@
+/**
+ * Follow Data Functions
+ * Students following questions, and notifying a question's followers
+ * Answering a question follows it; anyone in the course can follow or
+ * unfollow a question from its page.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import { isValidObjectId } from '../validation.js';
+import { createNotification } from './notifications.js';
+
+/**
+ * Follows a question for a student
+ * Following a question twice keeps the original follow.
+ * @param {string} studentId - Student ObjectId
+ * @param {string} questionId - Question ObjectId
+ * @returns {Promise<Object>} The follow document
+ * @throws {Error} If an ID is invalid or the question does not exist
+ */
+export const followQuestion = async (studentId, questionId) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  const question = await getCollection(COLLECTIONS.QUESTIONS).findOne(
+    { _id: new ObjectId(questionId), deletedAt: null },
+    { projection: { courseId: 1 } }
+  );
+  if (!question) {
+    throw new Error('Question not found');
+  }
+
+  return getCollection(COLLECTIONS.FOLLOWS).findOneAndUpdate(
+    { studentId: new ObjectId(studentId), questionId: question._id },
+    {
+      $setOnInsert: { courseId: question.courseId, createdAt: new Date() },
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+};
+
+/**
+ * Stops a student following a question
+ * @param {string} studentId - Student ObjectId
+ * @param {string} questionId - Question ObjectId
+ * @returns {Promise<Object>} Deletion result
+ * @throws {Error} If an ID is invalid
+ */
+export const unfollowQuestion = async (studentId, questionId) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  const result = await getCollection(COLLECTIONS.FOLLOWS).deleteOne({
+    studentId: new ObjectId(studentId),
+    questionId: new ObjectId(questionId),
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
+
+/**
+ * Checks whether a student follows a question
+ * @param {string} studentId - Student ObjectId
+ * @param {string} questionId - Question ObjectId
+ * @returns {Promise<boolean>} True if the student follows the question
+ * @throws {Error} If an ID is invalid
+ */
+export const isFollowing = async (studentId, questionId) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  const follow = await getCollection(COLLECTIONS.FOLLOWS).findOne({
+    studentId: new ObjectId(studentId),
+    questionId: new ObjectId(questionId),
+  });
+
+  return follow !== null;
+};
+
+/**
+ * Gets the IDs of the students following a question
+ * @param {string} questionId - Question ObjectId
+ * @returns {Promise<Array<string>>} Student ObjectIds as strings
+ * @throws {Error} If questionId is invalid
+ */
+export const getFollowerIds = async (questionId) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  const follows = await getCollection(COLLECTIONS.FOLLOWS)
+    .find(
+      { questionId: new ObjectId(questionId) },
+      { projection: { studentId: 1 } }
+    )
+    .toArray();
+
+  return follows.map((follow) => follow.studentId.toString());
+};
+
+/**
+ * Gets the questions a student follows, most recently active first
+ * A question's last activity is its latest edit or response. Questions in the
+ * trash are left out.
+ * @param {string} studentId - Student ObjectId
+ * @returns {Promise<Array>} Questions { _id, title, courseId, courseCode,
+ *   isResolved, responseCount, lastActivityAt, followedAt }
+ * @throws {Error} If studentId is invalid
+ */
+export const getFollowedQuestions = async (studentId) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  return getCollection(COLLECTIONS.FOLLOWS)
+    .aggregate([
+      { $match: { studentId: new ObjectId(studentId) } },
+      {
+        $lookup: {
+          from: 'questions',
+          localField: 'questionId',
+          foreignField: '_id',
+          as: 'question',
+        },
+      },
+      { $unwind: '$question' },
+      { $match: { 'question.deletedAt': null } },
+      {
+        $lookup: {
+          from: 'responses',
+          let: { questionId: '$questionId' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ['$questionId', '$$questionId'] },
+                deletedAt: null,
+              },
+            },
+            {
+              $group: {
+                _id: null,
+                count: { $sum: 1 },
+                lastResponseAt: { $max: '$createdAt' },
+              },
+            },
+          ],
+          as: 'responseStats',
+        },
+      },
+      {
+        $lookup: {
+          from: 'courses',
+          localField: 'courseId',
+          foreignField: '_id',
+          as: 'course',
+        },
+      },
+      {
+        $project: {
+          _id: '$questionId',
+          title: '$question.title',
+          courseId: 1,
+          courseCode: { $arrayElemAt: ['$course.courseCode', 0] },
+          isResolved: '$question.isResolved',
+          responseCount: {
+            $ifNull: [{ $arrayElemAt: ['$responseStats.count', 0] }, 0],
+          },
+          lastActivityAt: {
+            $max: [
+              '$question.updatedAt',
+              { $arrayElemAt: ['$responseStats.lastResponseAt', 0] },
+            ],
+          },
+          followedAt: '$createdAt',
+        },
+      },
+      { $sort: { lastActivityAt: -1, _id: -1 } },
+    ])
+    .toArray();
+};
+
+/**
+ * Notifies everyone following a question
+ * The student who caused the notification is never notified, nor are
+ * students in excludeIds (e.g. the poster, who gets a notification of their own).
+ * @param {string} questionId - Question ObjectId
+ * @param {Object} notification - Notification to send
+ * @param {string|null} notification.senderId - Student ObjectId of the actor,
+ *   or null for an anonymous actor (who then belongs in excludeIds)
+ * @param {string} notification.type - Notification type
+ * @param {string} notification.message - Notification message
+ * @param {Array<string>} [notification.excludeIds] - Student ObjectIds not to notify
+ * @returns {Promise<number>} Number of followers notified
+ * @throws {Error} If questionId is invalid or a notification cannot be created
+ */
+export const notifyFollowers = async (questionId, notification) => {
+  const { senderId, type, message, excludeIds = [] } = notification;
+  const skipped = new Set([senderId, ...excludeIds].map(String));
+
+  const recipientIds = (await getFollowerIds(questionId)).filter(
+    (followerId) => !skipped.has(followerId)
+  );
+
+  const notifications = await Promise.all(
+    recipientIds.map((recipientId) =>
+      createNotification({ recipientId, questionId, senderId, type, message })
+    )
+  );
+
+  // Followers whose preferences turn this notification off get null
+  return notifications.filter(Boolean).length;
+};
+
+/**
+ * Deletes all follows of a question
+ * @param {string} questionId - Question ObjectId
+ * @returns {Promise<Object>} Deletion result
+ * @throws {Error} If ID is invalid
+ */
+export const deleteFollowsByQuestionId = async (questionId) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  const result = await getCollection(COLLECTIONS.FOLLOWS).deleteMany({
+    questionId: new ObjectId(questionId),
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
+
+/**
+ * Deletes a student's follows of questions in a course, when they leave it
+ * @param {string} studentId - Student ObjectId
+ * @param {string} courseId - Course ObjectId
+ * @returns {Promise<Object>} Deletion result
+ * @throws {Error} If an ID is invalid
+ */
+export const deleteFollowsByStudentInCourse = async (studentId, courseId) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  const result = await getCollection(COLLECTIONS.FOLLOWS).deleteMany({
+    studentId: new ObjectId(studentId),
+    courseId: new ObjectId(courseId),
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
@@ -12,39 +12,206 @@ import * as courseDataFunctions from './courses.js';
 import * as questionDataFunctions from './questions.js';
 import * as responseDataFunctions from './responses.js';
 import * as notificationDataFunctions from './notifications.js';
+import * as emailVerificationDataFunctions from './emailVerifications.js';
+import * as passwordResetDataFunctions from './passwordResets.js';
+import * as enrollmentDataFunctions from './enrollments.js';
+import * as searchDataFunctions from './search.js';
+import * as voteDataFunctions from './votes.js';
+import * as commentDataFunctions from './comments.js';
+import * as attachmentDataFunctions from './attachments.js';
+import * as revisionDataFunctions from './revisions.js';
+import * as trashDataFunctions from './trash.js';
+import * as tagDataFunctions from './tags.js';
+import * as followDataFunctions from './follows.js';
+import * as notificationPreferenceDataFunctions from './notificationPreferences.js';
+import * as reportDataFunctions from './reports.js';
+import * as moderationDataFunctions from './moderation.js';
+import * as screeningDataFunctions from './screening.js';
+import * as anonymityDataFunctions from './anonymity.js';
+import * as announcementDataFunctions from './announcements.js';
 
 /**
  * Student data access functions
- * Contains: createStudent, getStudentById, getStudentByEmail, getAllStudents, updateStudent, deleteStudent
+ * Contains: createStudent, getStudentById, getStudentByEmail, getAllStudents, updateStudent,
+ *           markStudentVerified, updateStudentPassword, updateStudentRole,
+ *           removeCourseFromStudents, deleteStudent
  * @namespace studentData
  */
 export const studentData = studentDataFunctions;
 
 /**
  * Course data access functions
- * Contains: createCourse, getCourseById, getCourseByCode, getAllCourses, getCoursesByStudentId, updateCourse, deleteCourse
+ * Contains: createCourse, getCourseById, getCourseByCode, getAllCourses, getCoursesByStudentId,
+ *           getCourseByJoinCode, getCoursesByMemberId, getCourseRole, updateCourse,
+ *           addCourseStaff, removeCourseStaff, regenerateJoinCode, deleteCourse
  * @namespace courseData
  */
 export const courseData = courseDataFunctions;
 
 /**
  * Question data access functions
- * Contains: createQuestion, getQuestionById, getQuestionsByCourseId,
- *           getNewQuestionCountsByCourseIds, updateQuestion, deleteQuestion
+ * Contains: QUESTION_VISIBILITIES, privateQuestionFilter, canViewQuestion,
+ *           createQuestion, getQuestionById, getQuestionsByCourseId,
+ *           getNewQuestionCountsByCourseIds, updateQuestion, setAcceptedResponse,
+ *           clearAcceptedResponse, markDuplicate, getDuplicateLinks, setQuestionHidden,
+ *           setQuestionEndorsed, makeQuestionPublic, setQuestionLocked, softDeleteQuestion, restoreQuestion, deleteQuestion,
+ *           deleteQuestionsByCourseId, getUnansweredQuestions, markUnansweredAlerted
  * @namespace questionData
  */
 export const questionData = questionDataFunctions;
 
 /**
  * Response data access functions
- * Contains: createResponse, getResponseById, getResponsesByQuestionId, updateResponse, deleteResponse, deleteResponsesByQuestionId
+ * Contains: createResponse, getResponseById, getResponsesByQuestionId, updateResponse, setResponseHidden,
+ *           setResponseEndorsed, setResponseHelpful, softDeleteResponse, restoreResponse, deleteResponse, deleteResponsesByQuestionId
  * @namespace responseData
  */
 export const responseData = responseDataFunctions;
 
 /**
  * Notification data access functions
- * Contains: createNotification, getNotificationById, getNotificationsByStudentId, markNotificationAsRead, markAllNotificationsAsRead, getUnreadNotificationCount, deleteNotification, deleteNotificationsByQuestionId
+ * Contains: createNotification, getNotificationById, getNotificationsByStudentId, markNotificationAsRead, markAllNotificationsAsRead, getUnreadNotificationCount, getDigestNotifications,
+ *           markNotificationsEmailed, deleteNotification, deleteNotificationsByQuestionId
  * @namespace notificationData
  */
 export const notificationData = notificationDataFunctions;
+
+/**
+ * Email verification data access functions
+ * Contains: createVerificationToken, consumeVerificationToken, deleteVerificationTokensByStudentId
+ * @namespace emailVerificationData
+ */
+export const emailVerificationData = emailVerificationDataFunctions;
+
+/**
+ * Password reset data access functions
+ * Contains: createPasswordResetToken, consumePasswordResetToken, deletePasswordResetTokensByStudentId
+ * @namespace passwordResetData
+ */
+export const passwordResetData = passwordResetDataFunctions;
+
+/**
+ * Enrollment data access functions
+ * Contains: enrollStudent, unenrollStudent, enrollStudentsByEmail, getRoster
+ * @namespace enrollmentData
+ */
+export const enrollmentData = enrollmentDataFunctions;
+
+/**
+ * Search data access functions
+ * Contains: searchCourse, findSimilarQuestions
+ * @namespace searchData
+ */
+export const searchData = searchDataFunctions;
+
+/**
+ * Vote data access functions
+ * Contains: VOTE_TARGETS, VOTE_VALUES, castVote, voteDetailStages,
+ *           deleteVotesByQuestionId, deleteVotesByResponseId
+ * @namespace voteData
+ */
+export const voteData = voteDataFunctions;
+
+/**
+ * Comment data access functions
+ * Contains: COMMENT_TARGETS, createComment, getCommentById, getCommentsByQuestionId,
+ *           updateComment, deleteComment, deleteCommentsByQuestionId, deleteCommentsByResponseId
+ * @namespace commentData
+ */
+export const commentData = commentDataFunctions;
+
+/**
+ * Attachment data access functions
+ * Contains: ATTACHMENT_MIME_TYPES, MAX_ATTACHMENT_SIZE, MAX_ATTACHMENTS_PER_POST,
+ *           validateAttachmentFile, toAttachmentSummary, createAttachment, getAttachmentById, openAttachmentStream,
+ *           getAttachableAttachments, linkAttachments, deleteAttachment,
+ *           deleteAttachmentsByQuestionId, deleteAttachmentsByResponseId, deleteAttachmentsByCourseId
+ * @namespace attachmentData
+ */
+export const attachmentData = attachmentDataFunctions;
+
+/**
+ * Revision data access functions
+ * Contains: REVISION_TARGETS, recordRevision, getRevisions,
+ *           deleteRevisionsByQuestionId, deleteRevisionsByResponseId
+ * @namespace revisionData
+ */
+export const revisionData = revisionDataFunctions;
+
+/**
+ * Trash data access functions
+ * Contains: DEFAULT_TRASH_RETENTION_DAYS, getTrashRetentionDays, getTrashCutoff, getTrashExpiry,
+ *           getTrashByStudentId, getExpiredTrashIds
+ * @namespace trashData
+ */
+export const trashData = trashDataFunctions;
+
+/**
+ * Tag data access functions
+ * Contains: MAX_TAGS_PER_QUESTION, MAX_TAG_LENGTH, MAX_COURSE_TAGS, normalizeTag, normalizeTags,
+ *           parseTagList, getTagsByCourseId, setCourseTags
+ * @namespace tagData
+ */
+export const tagData = tagDataFunctions;
+
+/**
+ * Follow data access functions
+ * Contains: followQuestion, unfollowQuestion, isFollowing, getFollowerIds, getFollowedQuestions,
+ *           notifyFollowers, deleteFollowsByQuestionId, deleteFollowsByStudentInCourse
+ * @namespace followData
+ */
+export const followData = followDataFunctions;
+
+/**
+ * Notification preference data access functions
+ * Contains: NOTIFICATION_TYPES, ALWAYS_SENT_NOTIFICATION_TYPES, EMAIL_FREQUENCIES,
+ *           DEFAULT_PREFERENCES, getPreferences, updatePreferences, allowsNotification,
+ *           getNewQuestionSubscriberIds, removeCourseFromPreferences, getDueDigests, recordDigestSent
+ * @namespace notificationPreferenceData
+ */
+export const notificationPreferenceData = notificationPreferenceDataFunctions;
+
+/**
+ * Report data access functions
+ * Contains: REPORT_TARGETS, REPORT_REASONS, MAX_REPORT_DETAILS_LENGTH, REPORT_STATUSES,
+ *           SCREENING_REASON, createReport, createScreeningReport, getReportQueue,
+ *           closeReports, deleteReportsByQuestionId, deleteReportsByResponseId,
+ *           deleteReportsByCourseId
+ * @namespace reportData
+ */
+export const reportData = reportDataFunctions;
+
+/**
+ * Moderation data access functions
+ * Contains: MODERATION_ACTIONS, AUDITED_ACTIONS, REVEAL_TARGETS,
+ *           MAX_MODERATION_NOTE_LENGTH, hiddenPostFilter, canViewPost,
+ *           getModerationTarget, recordModerationAction, getModerationLog,
+ *           deleteModerationActionsByCourseId
+ * @namespace moderationData
+ */
+export const moderationData = moderationDataFunctions;
+
+/**
+ * Screening data access functions
+ * Contains: SCREENING_OUTCOMES, SCREENING_RULE_TYPES, MAX_SCREENING_RULES, MAX_RULE_LENGTH,
+ *           MAX_REGEX_LENGTH, MAX_SCREENING_DEADLINES, DEFAULT_SCREENING, normalizeScreening,
+ *           getCourseScreening, longestCodeBlock, screenPost, setCourseScreening
+ * @namespace screeningData
+ */
+export const screeningData = screeningDataFunctions;
+
+/**
+ * Anonymity data access functions
+ * Contains: PSEUDONYM_ANIMALS, isHiddenFromStaff, toPublishedPost, forViewer,
+ *           notificationSenderId, formatPseudonym, getPseudonym, posterStages,
+ *           deletePseudonymsByQuestionId
+ * @namespace anonymityData
+ */
+export const anonymityData = anonymityDataFunctions;
+
+/**
+ * Announcement data access functions
+ * Contains: isHeldSinceCreation, announceQuestion, announceResponse
+ * @namespace announcementData
+ */
+export const announcementData = announcementDataFunctions;
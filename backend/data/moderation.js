@@ -0,0 +1,266 @@
+/**
+ * Moderation Data Functions
+ * Audit trail of the actions course staff take on reported or other posts
+ * Hidden posts stay in place but only course staff and their author can see
+ * them; locked threads take no new responses or comments from students.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import { validateString, isValidObjectId } from '../validation.js';
+import { afterCursor } from '../pagination.js';
+
+/**
+ * Actions course staff can take on a post
+ * lock and unlock apply to questions (the whole thread) only; approve
+ * publishes a post content screening held for review.
+ */
+export const MODERATION_ACTIONS = [
+  'hide',
+  'unhide',
+  'lock',
+  'unlock',
+  'delete',
+  'warn',
+  'dismiss',
+  'approve',
+];
+
+/**
+ * Everything recorded in the audit trail: the moderation actions, and staff
+ * revealing who wrote an anonymous post
+ */
+export const AUDITED_ACTIONS = [...MODERATION_ACTIONS, 'reveal'];
+
+/**
+ * Posts staff can reveal the author of: anything that can be posted
+ * anonymously, comments included
+ */
+export const REVEAL_TARGETS = ['question', 'response', 'comment'];
+
+/**
+ * Longest note or warning message a moderation action may have
+ */
+export const MAX_MODERATION_NOTE_LENGTH = 500;
+
+/**
+ * Builds a filter that leaves out hidden posts
+ * The viewer still sees their own hidden posts, so they know why they are gone.
+ * @param {string} [viewerId] - Student ObjectId of the viewer
+ * @returns {Object} MongoDB filter on questions or responses
+ */
+export const hiddenPostFilter = (viewerId) =>
+  isValidObjectId(viewerId)
+    ? { $or: [{ hiddenAt: null }, { posterId: new ObjectId(viewerId) }] }
+    : { hiddenAt: null };
+
+/**
+ * Checks whether a student may see a post
+ * Reads for a viewer leave posterId out of other students' anonymous posts,
+ * which are then never the viewer's own.
+ * @param {Object} post - Question or response document
+ * @param {string} viewerId - Student ObjectId of the viewer
+ * @param {boolean} isStaff - Whether the viewer is course staff
+ * @returns {boolean} False only for someone else's hidden post seen by a non-staff member
+ */
+export const canViewPost = (post, viewerId, isStaff) =>
+  !post.hiddenAt || isStaff || post.posterId?.toString() === viewerId;
+
+/**
+ * Gets a post for moderation, even if it is in the trash
+ * @param {string} targetType - 'question', 'response' or 'comment'
+ * @param {string} targetId - Post ObjectId
+ * @returns {Promise<Object|null>} { post, question } - the post and its
+ *   question (the same document for questions), or null if either is gone
+ * @throws {Error} If targetType or targetId is invalid
+ */
+export const getModerationTarget = async (targetType, targetId) => {
+  if (!REVEAL_TARGETS.includes(targetType)) {
+    throw new Error('Invalid moderation target');
+  }
+  if (!isValidObjectId(targetId)) {
+    throw new Error('Invalid target ID');
+  }
+
+  const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
+  if (targetType === 'question') {
+    const question = await questionsCollection.findOne({
+      _id: new ObjectId(targetId),
+    });
+    return question ? { post: question, question } : null;
+  }
+
+  const post = await getCollection(
+    targetType === 'response' ? COLLECTIONS.RESPONSES : COLLECTIONS.COMMENTS
+  ).findOne({
+    _id: new ObjectId(targetId),
+  });
+  const question =
+    post && (await questionsCollection.findOne({ _id: post.questionId }));
+  return question ? { post, question } : null;
+};
+
+/**
+ * Records a moderation action in the course's audit trail
+ * @param {Object} actionData - Action information
+ * @param {string} actionData.courseId - Course ObjectId
+ * @param {string} actionData.moderatorId - Student ObjectId of the staff member
+ * @param {string} actionData.action - One of AUDITED_ACTIONS
+ * @param {string} actionData.targetType - 'question' or 'response', or
+ *   'comment' for reveals
+ * @param {string} actionData.targetId - Post ObjectId
+ * @param {string} actionData.questionId - Question ObjectId of the thread
+ * @param {string|null} actionData.authorId - Student ObjectId of the post's
+ *   author, or null when the author is anonymous to staff (except for reveals)
+ * @param {string} [actionData.note] - Why the action was taken, or the warning sent
+ * @param {number} [actionData.reportCount] - Open reports the action closed
+ * @returns {Promise<Object>} Created audit entry
+ * @throws {Error} If validation fails
+ */
+export const recordModerationAction = async (actionData) => {
+  const { courseId, moderatorId, action, targetType, targetId, questionId } =
+    actionData;
+
+  for (const [id, name] of [
+    [courseId, 'course'],
+    [moderatorId, 'moderator'],
+    [targetId, 'target'],
+    [questionId, 'question'],
+  ]) {
+    if (!isValidObjectId(id)) {
+      throw new Error(`Invalid ${name} ID`);
+    }
+  }
+  if (
+    (actionData.authorId !== null || action === 'reveal') &&
+    !isValidObjectId(actionData.authorId)
+  ) {
+    throw new Error('Invalid author ID');
+  }
+  if (!AUDITED_ACTIONS.includes(action)) {
+    throw new Error(`Action must be one of: ${AUDITED_ACTIONS.join(', ')}`);
+  }
+  if (
+    !REVEAL_TARGETS.includes(targetType) ||
+    (targetType === 'comment' && action !== 'reveal')
+  ) {
+    throw new Error('Invalid moderation target');
+  }
+
+  const note = actionData.note
+    ? validateString(actionData.note, 'Note', 1, MAX_MODERATION_NOTE_LENGTH)
+    : '';
+
+  const newAction = {
+    courseId: new ObjectId(courseId),
+    moderatorId: new ObjectId(moderatorId),
+    action,
+    targetType,
+    targetId: new ObjectId(targetId),
+    questionId: new ObjectId(questionId),
+    authorId: actionData.authorId && new ObjectId(actionData.authorId),
+    note,
+    reportCount: actionData.reportCount ?? 0,
+    createdAt: new Date(),
+  };
+
+  const result = await getCollection(COLLECTIONS.MODERATION_ACTIONS).insertOne(
+    newAction
+  );
+
+  if (!result.acknowledged) {
+    throw new Error('Failed to record moderation action');
+  }
+
+  return {
+    _id: result.insertedId,
+    ...newAction,
+  };
+};
+
+/**
+ * Gets a course's moderation audit trail, newest first, one page at a time
+ * Reveal entries leave out the author they revealed, which only the reveal
+ * itself returns.
+ * @param {string} courseId - Course ObjectId
+ * @param {Object} [options] - Paging options
+ * @param {number} [options.limit] - Maximum entries to return (default: all)
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @returns {Promise<Array>} Audit entries with moderatorName and questionTitle
+ * @throws {Error} If courseId or cursor is invalid
+ */
+export const getModerationLog = async (courseId, options = {}) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  const { limit, cursor } = options;
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    throw new Error('Limit must be a positive integer');
+  }
+
+  const pipeline = [{ $match: { courseId: new ObjectId(courseId) } }];
+  if (cursor) {
+    pipeline.push({ $match: afterCursor(cursor, -1) });
+  }
+  pipeline.push({ $sort: { createdAt: -1, _id: -1 } });
+  if (limit) {
+    pipeline.push({ $limit: limit });
+  }
+
+  return getCollection(COLLECTIONS.MODERATION_ACTIONS)
+    .aggregate([
+      ...pipeline,
+      {
+        $lookup: {
+          from: 'students',
+          localField: 'moderatorId',
+          foreignField: '_id',
+          as: 'moderator',
+        },
+      },
+      {
+        $lookup: {
+          from: 'questions',
+          localField: 'questionId',
+          foreignField: '_id',
+          as: 'question',
+        },
+      },
+      {
+        $addFields: {
+          moderatorName: {
+            $concat: [
+              { $arrayElemAt: ['$moderator.firstName', 0] },
+              ' ',
+              { $arrayElemAt: ['$moderator.lastName', 0] },
+            ],
+          },
+          questionTitle: { $arrayElemAt: ['$question.title', 0] },
+          authorId: {
+            $cond: [{ $eq: ['$action', 'reveal'] }, null, '$authorId'],
+          },
+        },
+      },
+      { $project: { moderator: 0, question: 0 } },
+    ])
+    .toArray();
+};
+
+/**
+ * Deletes a course's moderation audit trail
+ * @param {string} courseId - Course ObjectId
+ * @returns {Promise<Object>} Delete result
+ * @throws {Error} If courseId is invalid
+ */
+export const deleteModerationActionsByCourseId = async (courseId) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  const result = await getCollection(COLLECTIONS.MODERATION_ACTIONS).deleteMany(
+    { courseId: new ObjectId(courseId) }
+  );
+
+  return { success: true, deletedCount: result.deletedCount };
+};
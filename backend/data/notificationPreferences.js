@@ -0,0 +1,318 @@
+/**
+ * Notification Preference Data Functions
+ * Which notifications each student gets, and how often they are emailed
+ * Students without a preferences document get every notification except
+ * new_question (which is opted into per course) and no email, so the
+ * defaults below apply until they change a setting.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import { validateArray, isValidObjectId } from '../validation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Notification types a student can turn off
+ */
+export const NOTIFICATION_TYPES = [
+  'new_response',
+  'new_comment',
+  'helpful_mark',
+  'answer_accepted',
+  'marked_duplicate',
+  'endorsement',
+  'followed_response',
+  'question_edited',
+  'question_resolved',
+  'new_question',
+  'unanswered_question',
+  'private_question',
+  'question_made_public',
+];
+
+/**
+ * Notification types that are always created, whatever the recipient's
+ * preferences, because staff rely on the recipient getting them
+ */
+export const ALWAYS_SENT_NOTIFICATION_TYPES = ['moderation_warning'];
+
+/**
+ * How often notifications are emailed; "off" sends no email
+ */
+export const EMAIL_FREQUENCIES = ['off', 'immediate', 'daily', 'weekly'];
+
+// Minimum time between two digests at each frequency. Immediate digests go
+// out on the next run of the digest job.
+const DIGEST_INTERVALS_MS = {
+  immediate: 0,
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+};
+
+/**
+ * Preferences of a student who has not changed any
+ */
+export const DEFAULT_PREFERENCES = {
+  muted: false,
+  disabledTypes: [],
+  mutedCourseIds: [],
+  newQuestionCourseIds: [],
+  emailFrequency: 'off',
+  lastDigestAt: null,
+};
+
+/**
+ * Fills in defaults for settings a preferences document does not have
+ * @param {Object|null} preferences - Preferences document
+ * @returns {Object} { muted, disabledTypes, mutedCourseIds, newQuestionCourseIds,
+ *   emailFrequency, lastDigestAt }
+ */
+const withDefaults = (preferences) => ({
+  muted: preferences?.muted ?? DEFAULT_PREFERENCES.muted,
+  disabledTypes:
+    preferences?.disabledTypes ?? DEFAULT_PREFERENCES.disabledTypes,
+  mutedCourseIds:
+    preferences?.mutedCourseIds ?? DEFAULT_PREFERENCES.mutedCourseIds,
+  newQuestionCourseIds:
+    preferences?.newQuestionCourseIds ??
+    DEFAULT_PREFERENCES.newQuestionCourseIds,
+  emailFrequency:
+    preferences?.emailFrequency ?? DEFAULT_PREFERENCES.emailFrequency,
+  lastDigestAt: preferences?.lastDigestAt ?? DEFAULT_PREFERENCES.lastDigestAt,
+});
+
+/**
+ * Validates a list of course IDs, dropping duplicates
+ * @param {any} courseIds - Course IDs as sent
+ * @param {string} fieldName - Setting name for error messages
+ * @returns {Array<ObjectId>} Course ObjectIds
+ * @throws {Error} If courseIds is not an array or has an invalid ID
+ */
+const toCourseIds = (courseIds, fieldName) => {
+  if (!validateArray(courseIds, fieldName).every(isValidObjectId)) {
+    throw new Error('Invalid course ID');
+  }
+  return [...new Set(courseIds.map(String))].map(
+    (courseId) => new ObjectId(courseId)
+  );
+};
+
+/**
+ * Gets a student's notification preferences
+ * @param {string} studentId - Student ObjectId
+ * @returns {Promise<Object>} { muted, disabledTypes, mutedCourseIds, newQuestionCourseIds,
+ *   emailFrequency, lastDigestAt }
+ * @throws {Error} If studentId is invalid
+ */
+export const getPreferences = async (studentId) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const preferences = await getCollection(
+    COLLECTIONS.NOTIFICATION_PREFERENCES
+  ).findOne({ studentId: new ObjectId(studentId) });
+
+  return withDefaults(preferences);
+};
+
+/**
+ * Updates a student's notification preferences
+ * Settings left out of updates keep their current value.
+ * @param {string} studentId - Student ObjectId
+ * @param {Object} updates - Settings to change
+ * @param {boolean} [updates.muted] - Turn off all notifications
+ * @param {Array<string>} [updates.disabledTypes] - Notification types to turn off
+ * @param {Array<string>} [updates.mutedCourseIds] - Courses to get no notifications from
+ * @param {Array<string>} [updates.newQuestionCourseIds] - Courses to be notified of new questions in
+ * @param {string} [updates.emailFrequency] - One of EMAIL_FREQUENCIES
+ * @returns {Promise<Object>} Updated preferences
+ * @throws {Error} If studentId or a setting is invalid
+ */
+export const updatePreferences = async (studentId, updates) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const changes = {};
+
+  if (updates.muted !== undefined) {
+    if (typeof updates.muted !== 'boolean') {
+      throw new Error('muted must be a boolean');
+    }
+    changes.muted = updates.muted;
+  }
+
+  if (updates.disabledTypes !== undefined) {
+    const types = validateArray(updates.disabledTypes, 'disabledTypes');
+    const unknownType = types.find(
+      (type) => !NOTIFICATION_TYPES.includes(type)
+    );
+    if (unknownType !== undefined) {
+      throw new Error(`Unknown notification type: ${unknownType}`);
+    }
+    changes.disabledTypes = [...new Set(types)];
+  }
+
+  if (updates.mutedCourseIds !== undefined) {
+    changes.mutedCourseIds = toCourseIds(
+      updates.mutedCourseIds,
+      'mutedCourseIds'
+    );
+  }
+
+  if (updates.newQuestionCourseIds !== undefined) {
+    changes.newQuestionCourseIds = toCourseIds(
+      updates.newQuestionCourseIds,
+      'newQuestionCourseIds'
+    );
+  }
+
+  if (updates.emailFrequency !== undefined) {
+    if (!EMAIL_FREQUENCIES.includes(updates.emailFrequency)) {
+      throw new Error(
+        `Email frequency must be one of: ${EMAIL_FREQUENCIES.join(', ')}`
+      );
+    }
+    changes.emailFrequency = updates.emailFrequency;
+  }
+
+  const preferences = await getCollection(
+    COLLECTIONS.NOTIFICATION_PREFERENCES
+  ).findOneAndUpdate(
+    { studentId: new ObjectId(studentId) },
+    {
+      $set: { ...changes, updatedAt: new Date() },
+      $setOnInsert: { createdAt: new Date() },
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+
+  return withDefaults(preferences);
+};
+
+/**
+ * Checks whether a student's preferences let a notification through
+ * Types in ALWAYS_SENT_NOTIFICATION_TYPES always get through.
+ * @param {Object} preferences - Preferences from getPreferences
+ * @param {Object} notification - Notification to check
+ * @param {string} notification.type - Notification type
+ * @param {string|ObjectId} [notification.courseId] - Course the notification is about
+ * @returns {boolean} True if the notification should be created
+ */
+export const allowsNotification = (preferences, { type, courseId }) => {
+  if (ALWAYS_SENT_NOTIFICATION_TYPES.includes(type)) {
+    return true;
+  }
+
+  if (preferences.muted || preferences.disabledTypes.includes(type)) {
+    return false;
+  }
+
+  return !(
+    courseId &&
+    preferences.mutedCourseIds.some(
+      (mutedId) => mutedId.toString() === courseId.toString()
+    )
+  );
+};
+
+/**
+ * Gets the students who asked to be notified of new questions in a course
+ * Callers should still check that each student belongs to the course, since
+ * leaving a course keeps the setting for if they rejoin.
+ * @param {string} courseId - Course ObjectId
+ * @returns {Promise<Array<string>>} Student ObjectIds as strings
+ * @throws {Error} If courseId is invalid
+ */
+export const getNewQuestionSubscriberIds = async (courseId) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  const preferences = await getCollection(COLLECTIONS.NOTIFICATION_PREFERENCES)
+    .find(
+      { newQuestionCourseIds: new ObjectId(courseId), muted: { $ne: true } },
+      { projection: { studentId: 1 } }
+    )
+    .toArray();
+
+  return preferences.map((preference) => preference.studentId.toString());
+};
+
+/**
+ * Removes a deleted course from everyone's course settings
+ * @param {string} courseId - Course ObjectId
+ * @returns {Promise<Object>} Update result
+ * @throws {Error} If courseId is invalid
+ */
+export const removeCourseFromPreferences = async (courseId) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  const id = new ObjectId(courseId);
+  const result = await getCollection(
+    COLLECTIONS.NOTIFICATION_PREFERENCES
+  ).updateMany(
+    { $or: [{ mutedCourseIds: id }, { newQuestionCourseIds: id }] },
+    { $pull: { mutedCourseIds: id, newQuestionCourseIds: id } }
+  );
+
+  return { success: true, modifiedCount: result.modifiedCount };
+};
+
+/**
+ * Gets the students whose next email digest is due
+ * A digest is due once its frequency's interval has passed since the last
+ * one. Muted students get no digests.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array>} { studentId, emailFrequency, lastDigestAt } for each student
+ */
+export const getDueDigests = async (now = new Date()) => {
+  const dueByFrequency = Object.entries(DIGEST_INTERVALS_MS).map(
+    ([emailFrequency, intervalMs]) => ({
+      emailFrequency,
+      $or: [
+        { lastDigestAt: null },
+        { lastDigestAt: { $lte: new Date(now.getTime() - intervalMs) } },
+      ],
+    })
+  );
+
+  const preferences = await getCollection(COLLECTIONS.NOTIFICATION_PREFERENCES)
+    .find(
+      { muted: { $ne: true }, $or: dueByFrequency },
+      { projection: { studentId: 1, emailFrequency: 1, lastDigestAt: 1 } }
+    )
+    .toArray();
+
+  return preferences.map(({ studentId, emailFrequency, lastDigestAt }) => ({
+    studentId: studentId.toString(),
+    emailFrequency,
+    lastDigestAt: lastDigestAt ?? null,
+  }));
+};
+
+/**
+ * Records that a student was sent a digest
+ * @param {string} studentId - Student ObjectId
+ * @param {Date} [sentAt] - When the digest was sent
+ * @returns {Promise<Object>} Update result
+ * @throws {Error} If studentId is invalid
+ */
+export const recordDigestSent = async (studentId, sentAt = new Date()) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const result = await getCollection(
+    COLLECTIONS.NOTIFICATION_PREFERENCES
+  ).updateOne(
+    { studentId: new ObjectId(studentId) },
+    { $set: { lastDigestAt: sentAt } }
+  );
+
+  return { success: true, modifiedCount: result.modifiedCount };
+};
@@ -6,11 +6,23 @@
 import { ObjectId } from 'mongodb';
 import { getCollection, COLLECTIONS } from '../database_config/index.js';
 import { validateString, isValidObjectId } from '../validation.js';
+import { afterCursor } from '../pagination.js';
+import { EVENTS, studentChannel, publish } from '../realtime.js';
+import {
+  getPreferences,
+  allowsNotification,
+} from './notificationPreferences.js';
 
 /**
  * Creates a new notification in the database
+ * Nothing is created if the recipient has muted notifications, turned off
+ * this type, or muted the question's course, except for the types that are
+ * always sent (see ALWAYS_SENT_NOTIFICATION_TYPES). senderId is null for
+ * notifications about something a student did anonymously (see
+ * notificationSenderId).
  * @param {Object} notificationData - Notification information
- * @returns {Promise<Object>} Created notification document
+ * @returns {Promise<Object|null>} Created notification document, or null if
+ *   the recipient's preferences turn it off
  * @throws {Error} If validation fails
  */
 export const createNotification = async (notificationData) => {
@@ -25,19 +37,34 @@ export const createNotification = async (notificationData) => {
     throw new Error('Invalid question ID');
   }
 
+  // Null when the sender posted anonymously
   const senderId = notificationData.senderId;
-  if (!isValidObjectId(senderId)) {
+  if (senderId !== null && !isValidObjectId(senderId)) {
     throw new Error('Invalid sender ID');
   }
 
   const type = validateString(notificationData.type, 'Type');
   const message = validateString(notificationData.message, 'Message');
 
+  const preferences = await getPreferences(recipientId);
+  // The course is only needed when the recipient has muted some
+  let courseId;
+  if (preferences.mutedCourseIds.length > 0) {
+    const question = await getCollection(COLLECTIONS.QUESTIONS).findOne(
+      { _id: new ObjectId(questionId) },
+      { projection: { courseId: 1 } }
+    );
+    courseId = question?.courseId;
+  }
+  if (!allowsNotification(preferences, { type, courseId })) {
+    return null;
+  }
+
   // Create notification document
   const newNotification = {
     recipientId: new ObjectId(recipientId),
     questionId: new ObjectId(questionId),
-    senderId: new ObjectId(senderId),
+    senderId: senderId && new ObjectId(senderId),
     type,
     message,
     isRead: false,
@@ -51,10 +78,19 @@ export const createNotification = async (notificationData) => {
     throw new Error('Failed to create notification');
   }
 
-  return {
+  const createdNotification = {
     _id: result.insertedId,
     ...newNotification,
   };
+
+  // Push to the recipient's open event streams
+  publish(
+    studentChannel(recipientId),
+    EVENTS.NOTIFICATION,
+    createdNotification
+  );
+
+  return createdNotification;
 };
 
 /**
@@ -77,35 +113,98 @@ export const getNotificationById = async (notificationId) => {
 };
 
 /**
- * Gets notifications for a student
+ * Gets notifications for a student, newest first, one page at a time
  * @param {string} studentId - Student ObjectId
  * @param {boolean} unreadOnly - Return only unread notifications (default: true)
+ * @param {Object} [options] - Paging options
+ * @param {number} [options.limit] - Maximum notifications to return (default: all)
+ * @param {string} [options.cursor] - Cursor from the previous page
  * @returns {Promise<Array>} Array of notification documents
- * @throws {Error} If studentId is invalid
+ * @throws {Error} If studentId or cursor is invalid
  */
 export const getNotificationsByStudentId = async (
   studentId,
-  unreadOnly = true
+  unreadOnly = true,
+  options = {}
 ) => {
   if (!isValidObjectId(studentId)) {
     throw new Error('Invalid student ID');
   }
 
+  const { limit, cursor } = options;
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    throw new Error('Limit must be a positive integer');
+  }
+
   const notificationsCollection = getCollection(COLLECTIONS.NOTIFICATIONS);
 
-  const query = { recipientId: new ObjectId(studentId) };
+  let query = { recipientId: new ObjectId(studentId) };
   if (unreadOnly) {
     query.isRead = false;
   }
+  if (cursor) {
+    query = { ...query, ...afterCursor(cursor, -1) };
+  }
 
+  // _id breaks ties between notifications created in the same millisecond
   const notifications = await notificationsCollection
     .find(query)
-    .sort({ createdAt: -1 })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit || 0)
+    .toArray();
+
+  return notifications;
+};
+
+/**
+ * Gets a student's notifications for their next email digest
+ * These are the unread notifications not yet emailed, newest first.
+ * @param {string} studentId - Student ObjectId
+ * @returns {Promise<Array>} Array of notification documents
+ * @throws {Error} If studentId is invalid
+ */
+export const getDigestNotifications = async (studentId) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const notificationsCollection = getCollection(COLLECTIONS.NOTIFICATIONS);
+  const notifications = await notificationsCollection
+    .find({
+      recipientId: new ObjectId(studentId),
+      isRead: false,
+      emailedAt: null,
+    })
+    .sort({ createdAt: -1, _id: -1 })
     .toArray();
 
   return notifications;
 };
 
+/**
+ * Records that notifications were included in an email digest
+ * @param {Array<string>} notificationIds - Notification ObjectIds
+ * @param {Date} [emailedAt] - When the digest was sent
+ * @returns {Promise<Object>} Update result
+ * @throws {Error} If an ID is invalid
+ */
+export const markNotificationsEmailed = async (
+  notificationIds,
+  emailedAt = new Date()
+) => {
+  if (!notificationIds.every(isValidObjectId)) {
+    throw new Error('Invalid notification ID');
+  }
+
+  const notificationsCollection = getCollection(COLLECTIONS.NOTIFICATIONS);
+  const result = await notificationsCollection.updateMany(
+    { _id: { $in: notificationIds.map((id) => new ObjectId(id)) } },
+    { $set: { emailedAt } }
+  );
+
+  return { success: true, modifiedCount: result.modifiedCount };
+};
+
 /**
  * Marks a notification as read
  * @param {string} notificationId - Notification ObjectId
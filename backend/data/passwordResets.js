@@ -0,0 +1,102 @@
+/**
+ * Password Reset Data Functions
+ * Single-use, expiring tokens for the forgot-password flow
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import { isValidObjectId } from '../validation.js';
+import { generateToken, hashToken } from '../tokens.js';
+
+/**
+ * How long a password reset link stays valid
+ */
+export const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Creates a password reset token for a student
+ * Unused tokens previously issued to the student are invalidated.
+ * @param {string} studentId - Student ObjectId
+ * @returns {Promise<Object>} Object with the raw token and its expiry
+ * @throws {Error} If studentId is invalid
+ */
+export const createPasswordResetToken = async (studentId) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const resetsCollection = getCollection(COLLECTIONS.PASSWORD_RESETS);
+  const now = new Date();
+
+  await resetsCollection.deleteMany({
+    studentId: new ObjectId(studentId),
+    usedAt: null,
+  });
+
+  const token = generateToken();
+  const expiresAt = new Date(now.getTime() + RESET_TOKEN_TTL_MS);
+
+  const result = await resetsCollection.insertOne({
+    studentId: new ObjectId(studentId),
+    tokenHash: hashToken(token),
+    expiresAt,
+    usedAt: null,
+    createdAt: now,
+  });
+
+  if (!result.acknowledged) {
+    throw new Error('Failed to create password reset token');
+  }
+
+  return { token, expiresAt };
+};
+
+/**
+ * Consumes a password reset token
+ * A token can only be used once; it is marked as used rather than deleted.
+ * @param {string} token - Raw token from the reset link
+ * @returns {Promise<ObjectId>} ID of the student the token belongs to
+ * @throws {Error} If the token is unknown, used, or expired
+ */
+export const consumePasswordResetToken = async (token) => {
+  if (typeof token !== 'string' || token.trim().length === 0) {
+    throw new Error('Reset token is required');
+  }
+
+  const resetsCollection = getCollection(COLLECTIONS.PASSWORD_RESETS);
+  const now = new Date();
+  const record = await resetsCollection.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token.trim()),
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { $set: { usedAt: now } },
+    { returnDocument: 'after' }
+  );
+
+  if (!record) {
+    throw new Error('Invalid or expired reset token');
+  }
+
+  return record.studentId;
+};
+
+/**
+ * Deletes all password reset tokens for a student
+ * @param {string} studentId - Student ObjectId
+ * @returns {Promise<Object>} Deletion result with count
+ * @throws {Error} If studentId is invalid
+ */
+export const deletePasswordResetTokensByStudentId = async (studentId) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const resetsCollection = getCollection(COLLECTIONS.PASSWORD_RESETS);
+  const result = await resetsCollection.deleteMany({
+    studentId: new ObjectId(studentId),
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
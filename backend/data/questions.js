@@ -6,9 +6,61 @@
 import { ObjectId } from 'mongodb';
 import { getCollection, COLLECTIONS } from '../database_config/index.js';
 import { validateString, isValidObjectId } from '../validation.js';
+import { afterCursor } from '../pagination.js';
+import { voteDetailStages } from './votes.js';
+import { renderMarkdown, withContentHtml } from '../markdown.js';
+import {
+  MAX_ATTACHMENTS_PER_POST,
+  toAttachmentSummary,
+} from './attachments.js';
+import { normalizeTags } from './tags.js';
+import { hiddenPostFilter } from './moderation.js';
+import { endorserStages, endorsedResponseStages } from './endorsements.js';
+import { getPseudonym, posterStages } from './anonymity.js';
+
+/**
+ * Who can see a question: the whole course, or only its poster and the
+ * course staff
+ */
+export const QUESTION_VISIBILITIES = ['public', 'staff'];
+
+/**
+ * Query filter for the questions a non-staff member can see
+ * Questions from before private questions have no visibility and are public.
+ * @param {string} [viewerId] - Student ObjectId; their own private questions
+ *   are included
+ * @returns {Object} MongoDB filter
+ */
+export const privateQuestionFilter = (viewerId) =>
+  isValidObjectId(viewerId)
+    ? {
+        $or: [
+          { visibility: { $ne: 'staff' } },
+          { posterId: new ObjectId(viewerId) },
+        ],
+      }
+    : { visibility: { $ne: 'staff' } };
+
+/**
+ * Checks whether a student may see a question
+ * @param {Object} question - Question document, read without a viewer
+ * @param {string} viewerId - Student ObjectId of the viewer
+ * @param {boolean} isStaff - Whether the viewer is course staff
+ * @returns {boolean} False only for someone else's private question seen by a
+ *   non-staff member
+ */
+export const canViewQuestion = (question, viewerId, isStaff) =>
+  question.visibility !== 'staff' ||
+  isStaff ||
+  question.posterId.toString() === viewerId;
 
 /**
  * Creates a new question in the database
+ * A question held by content screening (isHeld) starts out hidden, as if a
+ * moderator had hidden it, until course staff approve it. An anonymous
+ * question is hidden from course staff too unless isAnonymousToStaff is false,
+ * and its poster gets a pseudonym in the thread. A question with visibility
+ * 'staff' is private to its poster and the course staff.
  * @param {Object} questionData - Question information
  * @returns {Promise<Object>} Created question document
  * @throws {Error} If validation fails
@@ -35,16 +87,58 @@ export const createQuestion = async (questionData) => {
     throw new Error('isAnonymous must be a boolean');
   }
 
+  const isAnonymousToStaff =
+    questionData.isAnonymousToStaff !== undefined
+      ? questionData.isAnonymousToStaff
+      : true;
+
+  if (typeof isAnonymousToStaff !== 'boolean') {
+    throw new Error('isAnonymousToStaff must be a boolean');
+  }
+
+  const visibility = questionData.visibility ?? 'public';
+  if (!QUESTION_VISIBILITIES.includes(visibility)) {
+    throw new Error(
+      `Visibility must be one of: ${QUESTION_VISIBILITIES.join(', ')}`
+    );
+  }
+
+  // Uploads already checked by attachmentData.getAttachableAttachments
+  const attachments = questionData.attachments ?? [];
+  if (
+    !Array.isArray(attachments) ||
+    attachments.length > MAX_ATTACHMENTS_PER_POST
+  ) {
+    throw new Error(
+      `Attachments must be an array of at most ${MAX_ATTACHMENTS_PER_POST}`
+    );
+  }
+
+  const tags = normalizeTags(questionData.tags ?? []);
+
+  const now = new Date();
   // Create question document
   const newQuestion = {
     courseId: new ObjectId(courseId),
     posterId: new ObjectId(posterId),
     title,
     content,
+    contentHtml: renderMarkdown(content),
+    attachments: attachments.map((attachment) => ({
+      ...toAttachmentSummary(attachment),
+      _id: new ObjectId(attachment._id),
+    })),
+    tags,
     isAnonymous,
+    ...(isAnonymous && { isAnonymousToStaff }),
+    visibility,
     isResolved: false,
-    createdAt: new Date(),
-    updatedAt: new Date(),
+    acceptedResponseId: null,
+    score: 0,
+    // Held posts are hidden as they are created (see isHeldSinceCreation)
+    ...(questionData.isHeld && { hiddenAt: now, hiddenBy: null }),
+    createdAt: now,
+    updatedAt: now,
   };
 
   const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
@@ -54,19 +148,34 @@ export const createQuestion = async (questionData) => {
     throw new Error('Failed to create question');
   }
 
+  const pseudonym = isAnonymous
+    ? await getPseudonym(result.insertedId.toString(), posterId)
+    : undefined;
+
   return {
     _id: result.insertedId,
     ...newQuestion,
+    ...(pseudonym && { pseudonym }),
   };
 };
 
 /**
  * Gets a question by ID
+ * Questions in the trash are not found, nor are private questions when
+ * read for a viewer who is neither their poster nor course staff.
  * @param {string} questionId - Question ObjectId
+ * @param {string} [viewerId] - Student ObjectId; adds their vote as myVote and
+ *   hides anonymous posters from them
+ * @param {boolean} [isStaff] - Whether the viewer is course staff, who see
+ *   private questions and anonymous posters that chose to stay visible to staff
  * @returns {Promise<Object|null>} Question document or null
  * @throws {Error} If ID is invalid
  */
-export const getQuestionById = async (questionId) => {
+export const getQuestionById = async (
+  questionId,
+  viewerId,
+  isStaff = false
+) => {
   if (!isValidObjectId(questionId)) {
     throw new Error('Invalid question ID');
   }
@@ -76,113 +185,145 @@ export const getQuestionById = async (questionId) => {
   // Use aggregation to populate poster information
   const questions = await questionsCollection
     .aggregate([
-      { $match: { _id: new ObjectId(questionId) } },
-      {
-        $lookup: {
-          from: 'students',
-          localField: 'posterId',
-          foreignField: '_id',
-          as: 'poster',
-        },
-      },
-      {
-        $addFields: {
-          posterName: {
-            $cond: {
-              if: '$isAnonymous',
-              then: 'Anonymous',
-              else: {
-                $concat: [
-                  { $arrayElemAt: ['$poster.firstName', 0] },
-                  ' ',
-                  { $arrayElemAt: ['$poster.lastName', 0] },
-                ],
-              },
-            },
-          },
-        },
-      },
-      { $project: { poster: 0 } }, // Remove full poster object
+      { $match: { _id: new ObjectId(questionId), deletedAt: null } },
+      ...(viewerId && !isStaff
+        ? [{ $match: privateQuestionFilter(viewerId) }]
+        : []),
+      // Questions from before voting have no stored score
+      { $addFields: { score: { $ifNull: ['$score', 0] } } },
+      ...voteDetailStages('question', viewerId),
+      ...posterStages({ viewerId, isStaff }),
+      ...endorserStages(),
     ])
     .toArray();
 
-  return questions.length > 0 ? questions[0] : null;
+  return questions.length > 0 ? withContentHtml(questions[0]) : null;
 };
 
 /**
- * Gets all questions for a course with sorting
+ * Gets questions for a course with sorting, one page at a time
  * @param {string} courseId - Course ObjectId
- * @param {string} sortOption - Sort option: 'newest', 'oldest', 'answered', 'unanswered'
- * @returns {Promise<Array>} Array of question documents
- * @throws {Error} If courseId is invalid
+ * @param {string} sortOption - Sort option: 'newest', 'oldest', 'top', 'answered', 'unanswered'
+ * @param {Object} [options] - Paging options
+ * @param {string} [options.status] - 'all' (default), 'answered', or 'unanswered'
+ * @param {Array<string>} [options.tags] - Only questions with all of these tags
+ * @param {boolean} [options.endorsed] - Only questions endorsed by course
+ *   staff or with an endorsed response
+ * @param {number} [options.limit] - Maximum questions to return (default: all)
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {string} [options.viewerId] - Student ObjectId; adds their votes as myVote
+ * @param {boolean} [options.showHidden] - Include questions hidden by
+ *   moderators (for course staff); otherwise only the viewer's own are included
+ * @param {boolean} [options.isStaff] - Whether the viewer is course staff, who
+ *   see private questions and anonymous posters that chose to stay visible to
+ *   staff; others see only their own private questions
+ * @returns {Promise<Array>} Array of question documents, with hasEndorsedResponse
+ * @throws {Error} If courseId, status, tags, or cursor is invalid
  */
 export const getQuestionsByCourseId = async (
   courseId,
-  sortOption = 'newest'
+  sortOption = 'newest',
+  options = {}
 ) => {
   if (!isValidObjectId(courseId)) {
     throw new Error('Invalid course ID');
   }
 
+  const {
+    status = 'all',
+    tags = [],
+    endorsed = false,
+    limit,
+    cursor,
+    viewerId,
+    showHidden = false,
+    isStaff = false,
+  } = options;
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    throw new Error('Limit must be a positive integer');
+  }
+
   const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
 
-  let matchStage = { courseId: new ObjectId(courseId) };
-  let sortStage = {};
+  const matchStage = { courseId: new ObjectId(courseId), deletedAt: null };
+  let direction = -1;
+  let byScore = false;
 
   switch (sortOption) {
-    case 'newest':
-      sortStage = { createdAt: -1 };
-      break;
     case 'oldest':
-      sortStage = { createdAt: 1 };
+      direction = 1;
+      break;
+    case 'top':
+      byScore = true;
       break;
     case 'answered':
       matchStage.isResolved = true;
-      sortStage = { createdAt: -1 };
       break;
     case 'unanswered':
       matchStage.isResolved = false;
-      sortStage = { createdAt: -1 };
       break;
     default:
-      sortStage = { createdAt: -1 };
+      direction = -1;
+  }
+
+  if (status === 'answered') {
+    matchStage.isResolved = true;
+  } else if (status === 'unanswered') {
+    matchStage.isResolved = false;
+  } else if (status !== 'all') {
+    throw new Error('Invalid status filter');
+  }
+
+  const tagFilter = normalizeTags(tags);
+  if (tagFilter.length > 0) {
+    matchStage.tags = { $all: tagFilter };
+  }
+
+  // Questions from before voting have no stored score
+  const pipeline = [
+    { $match: matchStage },
+    { $addFields: { score: { $ifNull: ['$score', 0] } } },
+  ];
+  if (!showHidden) {
+    pipeline.push({ $match: hiddenPostFilter(viewerId) });
+  }
+  if (!isStaff) {
+    pipeline.push({ $match: privateQuestionFilter(viewerId) });
+  }
+  // Filtering needs the endorsed responses of every question, so look them up
+  // before paging; otherwise only the returned page is looked up
+  if (endorsed) {
+    pipeline.push(...endorsedResponseStages(), {
+      $match: {
+        $or: [{ endorsedAt: { $ne: null } }, { hasEndorsedResponse: true }],
+      },
+    });
+  }
+  if (cursor) {
+    pipeline.push({ $match: afterCursor(cursor, direction, { byScore }) });
+  }
+
+  // _id breaks ties between questions posted in the same millisecond
+  pipeline.push({
+    $sort: byScore
+      ? { score: -1, createdAt: -1, _id: -1 }
+      : { createdAt: direction, _id: direction },
+  });
+  if (limit) {
+    pipeline.push({ $limit: limit });
   }
 
   // Use aggregation to populate poster information
   const questions = await questionsCollection
     .aggregate([
-      { $match: matchStage },
-      {
-        $lookup: {
-          from: 'students',
-          localField: 'posterId',
-          foreignField: '_id',
-          as: 'poster',
-        },
-      },
-      {
-        $addFields: {
-          posterName: {
-            $cond: {
-              if: '$isAnonymous',
-              then: 'Anonymous',
-              else: {
-                $concat: [
-                  { $arrayElemAt: ['$poster.firstName', 0] },
-                  ' ',
-                  { $arrayElemAt: ['$poster.lastName', 0] },
-                ],
-              },
-            },
-          },
-        },
-      },
-      { $project: { poster: 0 } }, // Remove full poster object
-      { $sort: sortStage },
+      ...pipeline,
+      ...voteDetailStages('question', viewerId),
+      ...posterStages({ viewerId, isStaff }),
+      ...(endorsed ? [] : endorsedResponseStages()),
     ])
     .toArray();
 
-  return questions;
+  return questions.map(withContentHtml);
 };
 
 /**
@@ -201,7 +342,7 @@ export const updateQuestion = async (questionId, updates) => {
     throw new Error('No updates provided');
   }
 
-  const allowedUpdates = ['title', 'content', 'isResolved'];
+  const allowedUpdates = ['title', 'content', 'tags', 'isResolved'];
   const updateFields = {};
 
   // Validate and process each update field
@@ -214,6 +355,9 @@ export const updateQuestion = async (questionId, updates) => {
       updateFields[key] = validateString(value, 'Title', 1, 200);
     } else if (key === 'content') {
       updateFields[key] = validateString(value, 'Content', 1, 2000);
+      updateFields.contentHtml = renderMarkdown(updateFields[key]);
+    } else if (key === 'tags') {
+      updateFields[key] = normalizeTags(value);
     } else if (key === 'isResolved') {
       if (typeof value !== 'boolean') {
         throw new Error('isResolved must be a boolean');
@@ -239,7 +383,404 @@ export const updateQuestion = async (questionId, updates) => {
 };
 
 /**
- * Deletes a question
+ * Sets or clears the accepted answer for a question
+ * A question has at most one accepted response, so accepting a response
+ * replaces any previous one.
+ * @param {string} questionId - Question ObjectId
+ * @param {string|null} responseId - Response ObjectId, or null to clear
+ * @returns {Promise<Object>} Updated question document
+ * @throws {Error} If an ID is invalid or the question does not exist
+ */
+export const setAcceptedResponse = async (questionId, responseId) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  if (responseId !== null && !isValidObjectId(responseId)) {
+    throw new Error('Invalid response ID');
+  }
+
+  const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
+  const result = await questionsCollection.findOneAndUpdate(
+    { _id: new ObjectId(questionId) },
+    {
+      $set: {
+        acceptedResponseId: responseId ? new ObjectId(responseId) : null,
+        updatedAt: new Date(),
+      },
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!result) {
+    throw new Error('Question not found');
+  }
+
+  return result;
+};
+
+/**
+ * Clears the accepted answer on whichever question accepted a response
+ * Used when the accepted response is deleted.
+ * @param {string} responseId - Response ObjectId
+ * @returns {Promise<Object>} Update result with count
+ * @throws {Error} If responseId is invalid
+ */
+export const clearAcceptedResponse = async (responseId) => {
+  if (!isValidObjectId(responseId)) {
+    throw new Error('Invalid response ID');
+  }
+
+  const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
+  const result = await questionsCollection.updateMany(
+    { acceptedResponseId: new ObjectId(responseId) },
+    { $set: { acceptedResponseId: null } }
+  );
+
+  return { success: true, modifiedCount: result.modifiedCount };
+};
+
+/**
+ * Marks a question as a duplicate of another, or clears the mark
+ * Questions already marked as duplicates of this one are moved to the new
+ * original, so every duplicate links straight to the question it repeats.
+ * @param {string} questionId - Question ObjectId
+ * @param {string|null} duplicateOfId - Original question ObjectId, or null to clear
+ * @param {string} markedBy - Student ObjectId of the staff member marking it
+ * @returns {Promise<Object>} Updated question document
+ * @throws {Error} If an ID is invalid, the question would duplicate itself,
+ *   or the question does not exist
+ */
+export const markDuplicate = async (questionId, duplicateOfId, markedBy) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  if (duplicateOfId !== null && !isValidObjectId(duplicateOfId)) {
+    throw new Error('Invalid original question ID');
+  }
+
+  if (!isValidObjectId(markedBy)) {
+    throw new Error('Invalid student ID');
+  }
+
+  if (duplicateOfId === questionId) {
+    throw new Error('A question cannot be a duplicate of itself');
+  }
+
+  const update = duplicateOfId
+    ? {
+        $set: {
+          duplicateOfId: new ObjectId(duplicateOfId),
+          duplicateMarkedBy: new ObjectId(markedBy),
+          duplicateMarkedAt: new Date(),
+        },
+      }
+    : {
+        $unset: {
+          duplicateOfId: '',
+          duplicateMarkedBy: '',
+          duplicateMarkedAt: '',
+        },
+      };
+
+  const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
+  const result = await questionsCollection.findOneAndUpdate(
+    { _id: new ObjectId(questionId), deletedAt: null },
+    update,
+    { returnDocument: 'after' }
+  );
+
+  if (!result) {
+    throw new Error('Question not found');
+  }
+
+  if (duplicateOfId) {
+    await questionsCollection.updateMany(
+      { duplicateOfId: result._id },
+      { $set: { duplicateOfId: result.duplicateOfId } }
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Gets the threads linked to a question by duplicate marks
+ * Questions in the trash are left out, and so are private and hidden
+ * questions the viewer cannot see.
+ * @param {Object} question - Question document
+ * @param {Object} [options]
+ * @param {string} [options.viewerId] - Student ObjectId; their own private and
+ *   hidden questions are included
+ * @param {boolean} [options.isStaff=false] - Whether the viewer is course
+ *   staff, who see every linked question
+ * @returns {Promise<Object>} { duplicateOf: { _id, title } or null,
+ *   duplicates: [{ _id, title }] } - the original this question duplicates,
+ *   and the questions marked as duplicates of this one
+ */
+export const getDuplicateLinks = async (
+  question,
+  { viewerId, isStaff = false } = {}
+) => {
+  const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
+  const projection = { title: 1 };
+  const visibleFilter = isStaff
+    ? {}
+    : { $and: [privateQuestionFilter(viewerId), hiddenPostFilter(viewerId)] };
+
+  const [duplicateOf, duplicates] = await Promise.all([
+    question.duplicateOfId
+      ? questionsCollection.findOne(
+          { _id: question.duplicateOfId, deletedAt: null, ...visibleFilter },
+          { projection }
+        )
+      : null,
+    questionsCollection
+      .find(
+        { duplicateOfId: question._id, deletedAt: null, ...visibleFilter },
+        { projection, sort: { createdAt: 1 } }
+      )
+      .toArray(),
+  ]);
+
+  return { duplicateOf, duplicates };
+};
+
+/**
+ * Hides a question from students, or shows it again
+ * Hidden questions stay visible to course staff and their poster.
+ * @param {string} questionId - Question ObjectId
+ * @param {boolean} isHidden - True to hide, false to show
+ * @param {string|null} moderatorId - Student ObjectId of the staff member,
+ *   or null when content screening holds the question for review
+ * @returns {Promise<Object|null>} Updated question document, or null if the
+ *   question does not exist or is in the trash
+ * @throws {Error} If an ID is invalid
+ */
+export const setQuestionHidden = async (questionId, isHidden, moderatorId) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  if (moderatorId !== null && !isValidObjectId(moderatorId)) {
+    throw new Error('Invalid moderator ID');
+  }
+
+  const hiddenBy = moderatorId && new ObjectId(moderatorId);
+  const update = isHidden
+    ? { $set: { hiddenAt: new Date(), hiddenBy } }
+    : { $unset: { hiddenAt: '', hiddenBy: '' } };
+
+  const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
+  return questionsCollection.findOneAndUpdate(
+    { _id: new ObjectId(questionId), deletedAt: null },
+    update,
+    { returnDocument: 'after' }
+  );
+};
+
+/**
+ * Endorses a question on behalf of the course staff, or withdraws the endorsement
+ * @param {string} questionId - Question ObjectId
+ * @param {boolean} isEndorsed - True to endorse, false to withdraw
+ * @param {string} staffId - Student ObjectId of the staff member
+ * @returns {Promise<Object|null>} Updated question document, or null if the
+ *   question does not exist or is in the trash
+ * @throws {Error} If an ID is invalid
+ */
+export const setQuestionEndorsed = async (questionId, isEndorsed, staffId) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  if (!isValidObjectId(staffId)) {
+    throw new Error('Invalid staff ID');
+  }
+
+  const update = isEndorsed
+    ? {
+        $set: { endorsedBy: new ObjectId(staffId), endorsedAt: new Date() },
+      }
+    : { $unset: { endorsedBy: '', endorsedAt: '' } };
+
+  const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
+  return questionsCollection.findOneAndUpdate(
+    { _id: new ObjectId(questionId), deletedAt: null },
+    update,
+    { returnDocument: 'after' }
+  );
+};
+
+/**
+ * Makes a private question public to the whole course
+ * Anonymizing publishes the question, and the poster's own responses and
+ * comments in the thread, under the poster's pseudonym. Course staff already
+ * know who asked, so posts anonymized this way stay visible to staff; posts
+ * the poster made anonymous to staff stay that way.
+ * @param {string} questionId - Question ObjectId
+ * @param {string} staffId - Student ObjectId of the staff member
+ * @param {boolean} [anonymize] - Hide the poster from other students
+ * @returns {Promise<Object|null>} Updated question document, or null if the
+ *   question does not exist, is in the trash or is already public
+ * @throws {Error} If an ID is invalid
+ */
+export const makeQuestionPublic = async (
+  questionId,
+  staffId,
+  anonymize = false
+) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  if (!isValidObjectId(staffId)) {
+    throw new Error('Invalid staff ID');
+  }
+
+  const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
+  const question = await questionsCollection.findOne({
+    _id: new ObjectId(questionId),
+    deletedAt: null,
+    visibility: 'staff',
+  });
+  if (!question) {
+    return null;
+  }
+
+  const anonymousToStudents = { isAnonymous: true, isAnonymousToStaff: false };
+  const updatedQuestion = await questionsCollection.findOneAndUpdate(
+    { _id: question._id, visibility: 'staff' },
+    {
+      $set: {
+        visibility: 'public',
+        madePublicBy: new ObjectId(staffId),
+        madePublicAt: new Date(),
+        ...(anonymize && !question.isAnonymous && anonymousToStudents),
+      },
+    },
+    { returnDocument: 'after' }
+  );
+  if (!updatedQuestion || !anonymize) {
+    return updatedQuestion;
+  }
+
+  const posterFilter = {
+    questionId: question._id,
+    posterId: question.posterId,
+    isAnonymous: { $ne: true },
+  };
+  await Promise.all([
+    getCollection(COLLECTIONS.RESPONSES).updateMany(posterFilter, {
+      $set: anonymousToStudents,
+    }),
+    getCollection(COLLECTIONS.COMMENTS).updateMany(posterFilter, {
+      $set: anonymousToStudents,
+    }),
+  ]);
+
+  const pseudonym = await getPseudonym(
+    questionId,
+    question.posterId.toString()
+  );
+  return { ...updatedQuestion, pseudonym };
+};
+
+/**
+ * Locks a question's thread, or unlocks it
+ * Students cannot respond to or comment in a locked thread.
+ * @param {string} questionId - Question ObjectId
+ * @param {boolean} isLocked - True to lock, false to unlock
+ * @param {string} moderatorId - Student ObjectId of the staff member
+ * @returns {Promise<Object|null>} Updated question document, or null if the
+ *   question does not exist or is in the trash
+ * @throws {Error} If an ID is invalid
+ */
+export const setQuestionLocked = async (questionId, isLocked, moderatorId) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  if (!isValidObjectId(moderatorId)) {
+    throw new Error('Invalid moderator ID');
+  }
+
+  const update = isLocked
+    ? { $set: { lockedAt: new Date(), lockedBy: new ObjectId(moderatorId) } }
+    : { $unset: { lockedAt: '', lockedBy: '' } };
+
+  const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
+  return questionsCollection.findOneAndUpdate(
+    { _id: new ObjectId(questionId), deletedAt: null },
+    update,
+    { returnDocument: 'after' }
+  );
+};
+
+/**
+ * Moves a question to the trash
+ * The question and its thread are kept but hidden until the student who
+ * deleted it restores it or the trash purge job deletes it for good.
+ * @param {string} questionId - Question ObjectId
+ * @param {string} deletedBy - Student ObjectId of who deleted it
+ * @returns {Promise<Object>} Updated question document
+ * @throws {Error} If an ID is invalid or the question does not exist
+ */
+export const softDeleteQuestion = async (questionId, deletedBy) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  if (!isValidObjectId(deletedBy)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
+  const result = await questionsCollection.findOneAndUpdate(
+    { _id: new ObjectId(questionId), deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy: new ObjectId(deletedBy) } },
+    { returnDocument: 'after' }
+  );
+
+  if (!result) {
+    throw new Error('Question not found');
+  }
+
+  return result;
+};
+
+/**
+ * Takes a question out of the trash
+ * @param {string} questionId - Question ObjectId
+ * @param {string} studentId - Student ObjectId; must be who deleted it
+ * @param {Date} deletedAfter - Questions deleted earlier have expired
+ * @returns {Promise<Object|null>} Restored question, or null if it is not
+ *   in the student's trash
+ * @throws {Error} If an ID is invalid
+ */
+export const restoreQuestion = async (questionId, studentId, deletedAfter) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
+  return questionsCollection.findOneAndUpdate(
+    {
+      _id: new ObjectId(questionId),
+      deletedBy: new ObjectId(studentId),
+      deletedAt: { $gt: deletedAfter },
+    },
+    { $unset: { deletedAt: '', deletedBy: '' } },
+    { returnDocument: 'after' }
+  );
+};
+
+/**
+ * Deletes a question permanently
  * @param {string} questionId - Question ObjectId
  * @returns {Promise<Object>} Deletion result
  * @throws {Error} If ID is invalid or deletion fails
@@ -261,18 +802,56 @@ export const deleteQuestion = async (questionId) => {
   return { success: true, deletedCount: result.deletedCount };
 };
 
+/**
+ * Deletes all questions in a course
+ * Returns the deleted IDs so callers can cascade to responses and notifications.
+ * @param {string} courseId - Course ObjectId
+ * @returns {Promise<Object>} Deletion result with count and deleted question IDs
+ * @throws {Error} If courseId is invalid
+ */
+export const deleteQuestionsByCourseId = async (courseId) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
+  const questions = await questionsCollection
+    .find({ courseId: new ObjectId(courseId) }, { projection: { _id: 1 } })
+    .toArray();
+  const questionIds = questions.map((q) => q._id);
+
+  const result = await questionsCollection.deleteMany({
+    _id: { $in: questionIds },
+  });
+
+  return {
+    success: true,
+    deletedCount: result.deletedCount,
+    questionIds: questionIds.map((id) => id.toString()),
+  };
+};
+
 /**
  * Gets count of questions created in the last 24 hours for multiple courses
+ * Private questions and hidden questions are only counted in the courses
+ * the viewer is staff of.
  * @param {Array<string>} courseIds - Array of course ObjectId strings
+ * @param {Object} [options] - Viewer options
+ * @param {Array<string>} [options.staffCourseIds] - Courses among courseIds
+ *   the viewer is course staff of
  * @returns {Promise<Object>} Map of courseId string to count
  * @throws {Error} If any courseId is invalid
  */
-export const getNewQuestionCountsByCourseIds = async (courseIds) => {
+export const getNewQuestionCountsByCourseIds = async (
+  courseIds,
+  options = {}
+) => {
   if (!Array.isArray(courseIds) || courseIds.length === 0) {
     return {};
   }
 
-  for (const id of courseIds) {
+  const { staffCourseIds = [] } = options;
+  for (const id of [...courseIds, ...staffCourseIds]) {
     if (!isValidObjectId(id)) {
       throw new Error('Invalid course ID');
     }
@@ -287,6 +866,13 @@ export const getNewQuestionCountsByCourseIds = async (courseIds) => {
         $match: {
           courseId: { $in: courseIds.map((id) => new ObjectId(id)) },
           createdAt: { $gte: twentyFourHoursAgo },
+          deletedAt: null,
+          $or: [
+            {
+              courseId: { $in: staffCourseIds.map((id) => new ObjectId(id)) },
+            },
+            { visibility: { $ne: 'staff' }, hiddenAt: null },
+          ],
         },
       },
       {
@@ -305,3 +891,84 @@ export const getNewQuestionCountsByCourseIds = async (courseIds) => {
 
   return countsMap;
 };
+
+/**
+ * Gets questions that have waited too long for an answer and whose course
+ * staff have not been alerted yet
+ * Resolved questions, duplicates and questions in the trash do not count, nor
+ * do questions with a response that is not in the trash.
+ * @param {Date} cutoff - Questions asked at or before this time are overdue
+ * @param {Date} [since] - Ignore questions asked before this time
+ * @returns {Promise<Array>} Questions { _id, courseId, posterId, title,
+ *   isAnonymous, isAnonymousToStaff, createdAt }, oldest first
+ */
+export const getUnansweredQuestions = async (cutoff, since) => {
+  const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
+
+  return questionsCollection
+    .aggregate([
+      {
+        $match: {
+          createdAt: { $lte: cutoff, ...(since && { $gte: since }) },
+          isResolved: false,
+          deletedAt: null,
+          duplicateOfId: null,
+          unansweredAlertedAt: null,
+        },
+      },
+      {
+        $lookup: {
+          from: 'responses',
+          let: { questionId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ['$questionId', '$$questionId'] },
+                deletedAt: null,
+              },
+            },
+            { $limit: 1 },
+          ],
+          as: 'responses',
+        },
+      },
+      { $match: { responses: { $size: 0 } } },
+      {
+        $project: {
+          courseId: 1,
+          posterId: 1,
+          title: 1,
+          isAnonymous: 1,
+          isAnonymousToStaff: 1,
+          createdAt: 1,
+        },
+      },
+      { $sort: { createdAt: 1, _id: 1 } },
+    ])
+    .toArray();
+};
+
+/**
+ * Records that course staff were alerted about an unanswered question, so
+ * they are only alerted once
+ * @param {string} questionId - Question ObjectId
+ * @param {Date} [alertedAt] - When the alert was sent
+ * @returns {Promise<Object>} Update result
+ * @throws {Error} If questionId is invalid
+ */
+export const markUnansweredAlerted = async (
+  questionId,
+  alertedAt = new Date()
+) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
+  const result = await questionsCollection.updateOne(
+    { _id: new ObjectId(questionId) },
+    { $set: { unansweredAlertedAt: alertedAt } }
+  );
+
+  return { success: true, modifiedCount: result.modifiedCount };
+};
@@ -0,0 +1,411 @@
+/**
+ * Report Data Functions
+ * Reports of abusive or off-topic questions and responses
+ * A report stays open until course staff act on the post or dismiss its
+ * reports from the moderation queue (see moderation.js).
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import {
+  validateString,
+  validateArray,
+  isValidObjectId,
+} from '../validation.js';
+import { isHiddenFromStaff } from './anonymity.js';
+
+/**
+ * Kinds of post that can be reported
+ */
+export const REPORT_TARGETS = ['question', 'response'];
+
+/**
+ * Reasons a post can be reported for
+ */
+export const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'off_topic',
+  'academic_integrity',
+  'other',
+];
+
+/**
+ * Longest details text a report may have
+ */
+export const MAX_REPORT_DETAILS_LENGTH = 500;
+
+/**
+ * Ways an open report can be closed
+ */
+export const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+/**
+ * Reason of the reports content screening files, which have no reporter
+ */
+export const SCREENING_REASON = 'screening';
+
+/**
+ * Reports a question or response
+ * A student has at most one open report per post; reporting it again while
+ * that report is open creates nothing.
+ * @param {Object} reportData - Report information
+ * @param {string} reportData.reporterId - Student ObjectId of the reporter
+ * @param {string} reportData.targetType - 'question' or 'response'
+ * @param {string} reportData.targetId - Reported post ObjectId
+ * @param {string} reportData.questionId - Question ObjectId (the post itself, or a response's question)
+ * @param {string} reportData.courseId - Course ObjectId
+ * @param {string} reportData.reason - One of REPORT_REASONS
+ * @param {string} [reportData.details] - What is wrong with the post
+ * @returns {Promise<Object|null>} Created report, or null if the student
+ *   already has an open report on the post
+ * @throws {Error} If validation fails
+ */
+export const createReport = async (reportData) => {
+  const { reporterId, targetType, targetId, questionId, courseId, reason } =
+    reportData;
+
+  if (!isValidObjectId(reporterId)) {
+    throw new Error('Invalid reporter ID');
+  }
+  if (!REPORT_TARGETS.includes(targetType)) {
+    throw new Error('Invalid report target');
+  }
+  if (!isValidObjectId(targetId)) {
+    throw new Error('Invalid target ID');
+  }
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new Error(`Reason must be one of: ${REPORT_REASONS.join(', ')}`);
+  }
+
+  const details =
+    reportData.details === undefined || reportData.details === ''
+      ? ''
+      : validateString(
+          reportData.details,
+          'Details',
+          1,
+          MAX_REPORT_DETAILS_LENGTH
+        );
+
+  const openReport = {
+    targetType,
+    targetId: new ObjectId(targetId),
+    reporterId: new ObjectId(reporterId),
+    status: 'open',
+  };
+  const newReport = {
+    ...openReport,
+    questionId: new ObjectId(questionId),
+    courseId: new ObjectId(courseId),
+    reason,
+    details,
+    createdAt: new Date(),
+  };
+
+  const result = await getCollection(COLLECTIONS.REPORTS).updateOne(
+    openReport,
+    { $setOnInsert: newReport },
+    { upsert: true }
+  );
+
+  if (!result.upsertedId) {
+    return null;
+  }
+
+  return {
+    _id: result.upsertedId,
+    ...newReport,
+  };
+};
+
+/**
+ * Files a report for a post that content screening held or flagged
+ * A post has at most one open screening report; screening it again (after an
+ * edit) replaces that report's details.
+ * @param {Object} reportData - Report information
+ * @param {string} reportData.targetType - 'question' or 'response'
+ * @param {string} reportData.targetId - Screened post ObjectId
+ * @param {string} reportData.questionId - Question ObjectId (the post itself, or a response's question)
+ * @param {string} reportData.courseId - Course ObjectId
+ * @param {string} reportData.outcome - 'hold' or 'flag'
+ * @param {Array<string>} reportData.reasons - Why screening matched the post
+ * @returns {Promise<Object>} Update result
+ * @throws {Error} If validation fails
+ */
+export const createScreeningReport = async (reportData) => {
+  const { targetType, targetId, questionId, courseId, outcome, reasons } =
+    reportData;
+
+  if (!REPORT_TARGETS.includes(targetType)) {
+    throw new Error('Invalid report target');
+  }
+  for (const [id, name] of [
+    [targetId, 'target'],
+    [questionId, 'question'],
+    [courseId, 'course'],
+  ]) {
+    if (!isValidObjectId(id)) {
+      throw new Error(`Invalid ${name} ID`);
+    }
+  }
+  if (!['hold', 'flag'].includes(outcome)) {
+    throw new Error('Outcome must be hold or flag');
+  }
+
+  const label = outcome === 'hold' ? 'Held for review' : 'Flagged';
+  const details = `${label}: ${validateArray(reasons, 'Reasons').join(' ')}`;
+
+  return getCollection(COLLECTIONS.REPORTS).updateOne(
+    {
+      targetType,
+      targetId: new ObjectId(targetId),
+      reporterId: null,
+      status: 'open',
+    },
+    {
+      $set: {
+        details: details.slice(0, MAX_REPORT_DETAILS_LENGTH),
+        createdAt: new Date(),
+      },
+      $setOnInsert: {
+        questionId: new ObjectId(questionId),
+        courseId: new ObjectId(courseId),
+        reason: SCREENING_REASON,
+      },
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Gets a course's open reports, one entry per reported post
+ * Posts with the most reports come first, then those reported earliest. Each
+ * entry carries enough of the post to judge it without opening the thread;
+ * authors of anonymous posts hidden from staff are shown as 'Anonymous', with
+ * no authorId, until staff reveal them. Screening reports have
+ * no reporter, so their reporterName is null; isHeld marks posts screening
+ * is holding for review.
+ * @param {string} courseId - Course ObjectId
+ * @returns {Promise<Array>} Queue entries { targetType, targetId, questionId,
+ *   questionTitle, content, authorId, authorName, isAnonymous, isHidden, isHeld, isLocked,
+ *   isDeleted, reportCount, reasons, reports, firstReportedAt, lastReportedAt }
+ * @throws {Error} If courseId is invalid
+ */
+export const getReportQueue = async (courseId) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  const groups = await getCollection(COLLECTIONS.REPORTS)
+    .aggregate([
+      { $match: { courseId: new ObjectId(courseId), status: 'open' } },
+      { $sort: { createdAt: 1 } },
+      {
+        $lookup: {
+          from: 'students',
+          localField: 'reporterId',
+          foreignField: '_id',
+          as: 'reporter',
+        },
+      },
+      {
+        $group: {
+          _id: { targetType: '$targetType', targetId: '$targetId' },
+          questionId: { $first: '$questionId' },
+          reports: {
+            $push: {
+              _id: '$_id',
+              reason: '$reason',
+              details: '$details',
+              createdAt: '$createdAt',
+              reporterName: {
+                $concat: [
+                  { $arrayElemAt: ['$reporter.firstName', 0] },
+                  ' ',
+                  { $arrayElemAt: ['$reporter.lastName', 0] },
+                ],
+              },
+            },
+          },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' },
+        },
+      },
+      { $addFields: { reportCount: { $size: '$reports' } } },
+      { $sort: { reportCount: -1, firstReportedAt: 1 } },
+    ])
+    .toArray();
+
+  if (groups.length === 0) {
+    return [];
+  }
+
+  // Posts are looked up even when deleted, so their reports can be dismissed
+  const idsOfType = (targetType) =>
+    groups
+      .filter((group) => group._id.targetType === targetType)
+      .map((group) => group._id.targetId);
+  const [questions, responses] = await Promise.all([
+    getCollection(COLLECTIONS.QUESTIONS)
+      .find({
+        _id: {
+          $in: [...idsOfType('question'), ...groups.map((g) => g.questionId)],
+        },
+      })
+      .toArray(),
+    getCollection(COLLECTIONS.RESPONSES)
+      .find({ _id: { $in: idsOfType('response') } })
+      .toArray(),
+  ]);
+  const postsById = new Map(
+    [...questions, ...responses].map((post) => [post._id.toString(), post])
+  );
+
+  const authors = await getCollection(COLLECTIONS.STUDENTS)
+    .find(
+      { _id: { $in: [...postsById.values()].map((post) => post.posterId) } },
+      { projection: { firstName: 1, lastName: 1 } }
+    )
+    .toArray();
+  const authorNames = new Map(
+    authors.map((author) => [
+      author._id.toString(),
+      `${author.firstName} ${author.lastName}`,
+    ])
+  );
+
+  return groups.map(({ _id, questionId, reports, ...group }) => {
+    const post = postsById.get(_id.targetId.toString());
+    const question = postsById.get(questionId.toString());
+    const reasons = {};
+    for (const report of reports) {
+      reasons[report.reason] = (reasons[report.reason] ?? 0) + 1;
+    }
+
+    return {
+      targetType: _id.targetType,
+      targetId: _id.targetId,
+      questionId,
+      questionTitle: question?.title ?? null,
+      content: post?.content ?? null,
+      authorId: post && !isHiddenFromStaff(post) ? post.posterId : null,
+      authorName: !post
+        ? null
+        : isHiddenFromStaff(post)
+        ? 'Anonymous'
+        : authorNames.get(post.posterId.toString()) ?? null,
+      isAnonymous: Boolean(post?.isAnonymous),
+      isHidden: Boolean(post?.hiddenAt),
+      isHeld: Boolean(post?.hiddenAt) && !post.hiddenBy,
+      isLocked: Boolean(question?.lockedAt),
+      isDeleted: !post || Boolean(post.deletedAt),
+      reasons,
+      reports,
+      ...group,
+    };
+  });
+};
+
+/**
+ * Closes the open reports on a post
+ * @param {string} targetType - 'question' or 'response'
+ * @param {string} targetId - Post ObjectId
+ * @param {Object} resolution - How the reports were closed
+ * @param {string} resolution.status - 'resolved' or 'dismissed'
+ * @param {string} resolution.resolvedBy - Student ObjectId of the moderator
+ * @param {string} resolution.action - Moderation action that closed them
+ * @returns {Promise<number>} Number of reports closed
+ * @throws {Error} If validation fails
+ */
+export const closeReports = async (targetType, targetId, resolution) => {
+  if (!REPORT_TARGETS.includes(targetType)) {
+    throw new Error('Invalid report target');
+  }
+  if (!isValidObjectId(targetId)) {
+    throw new Error('Invalid target ID');
+  }
+
+  const { status, resolvedBy, action } = resolution;
+  if (status === 'open' || !REPORT_STATUSES.includes(status)) {
+    throw new Error('Status must be resolved or dismissed');
+  }
+  if (!isValidObjectId(resolvedBy)) {
+    throw new Error('Invalid moderator ID');
+  }
+
+  const result = await getCollection(COLLECTIONS.REPORTS).updateMany(
+    { targetType, targetId: new ObjectId(targetId), status: 'open' },
+    {
+      $set: {
+        status,
+        resolvedBy: new ObjectId(resolvedBy),
+        resolvedAt: new Date(),
+        resolution: validateString(action, 'Action'),
+      },
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Deletes all reports on a question and its responses
+ * @param {string} questionId - Question ObjectId
+ * @returns {Promise<Object>} Delete result
+ * @throws {Error} If questionId is invalid
+ */
+export const deleteReportsByQuestionId = async (questionId) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  const result = await getCollection(COLLECTIONS.REPORTS).deleteMany({
+    questionId: new ObjectId(questionId),
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
+
+/**
+ * Deletes all reports on a response
+ * @param {string} responseId - Response ObjectId
+ * @returns {Promise<Object>} Delete result
+ * @throws {Error} If responseId is invalid
+ */
+export const deleteReportsByResponseId = async (responseId) => {
+  if (!isValidObjectId(responseId)) {
+    throw new Error('Invalid response ID');
+  }
+
+  const result = await getCollection(COLLECTIONS.REPORTS).deleteMany({
+    targetType: 'response',
+    targetId: new ObjectId(responseId),
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
+
+/**
+ * Deletes all reports in a course
+ * @param {string} courseId - Course ObjectId
+ * @returns {Promise<Object>} Delete result
+ * @throws {Error} If courseId is invalid
+ */
+export const deleteReportsByCourseId = async (courseId) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  const result = await getCollection(COLLECTIONS.REPORTS).deleteMany({
+    courseId: new ObjectId(courseId),
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
@@ -6,9 +6,22 @@
 import { ObjectId } from 'mongodb';
 import { getCollection, COLLECTIONS } from '../database_config/index.js';
 import { validateString, isValidObjectId } from '../validation.js';
+import { afterCursor } from '../pagination.js';
+import { voteDetailStages } from './votes.js';
+import { renderMarkdown, withContentHtml } from '../markdown.js';
+import {
+  MAX_ATTACHMENTS_PER_POST,
+  toAttachmentSummary,
+} from './attachments.js';
+import { hiddenPostFilter } from './moderation.js';
+import { endorserStages } from './endorsements.js';
+import { getPseudonym, posterStages } from './anonymity.js';
 
 /**
  * Creates a new response in the database
+ * A response held by content screening (isHeld) starts out hidden until
+ * course staff approve it. Anonymous responses work the same as anonymous
+ * questions (see questionData.createQuestion).
  * @param {Object} responseData - Response information
  * @returns {Promise<Object>} Created response document
  * @throws {Error} If validation fails
@@ -34,15 +47,45 @@ export const createResponse = async (responseData) => {
     throw new Error('isAnonymous must be a boolean');
   }
 
+  const isAnonymousToStaff =
+    responseData.isAnonymousToStaff !== undefined
+      ? responseData.isAnonymousToStaff
+      : true;
+
+  if (typeof isAnonymousToStaff !== 'boolean') {
+    throw new Error('isAnonymousToStaff must be a boolean');
+  }
+
+  // Uploads already checked by attachmentData.getAttachableAttachments
+  const attachments = responseData.attachments ?? [];
+  if (
+    !Array.isArray(attachments) ||
+    attachments.length > MAX_ATTACHMENTS_PER_POST
+  ) {
+    throw new Error(
+      `Attachments must be an array of at most ${MAX_ATTACHMENTS_PER_POST}`
+    );
+  }
+
+  const now = new Date();
   // Create response document
   const newResponse = {
     questionId: new ObjectId(questionId),
     posterId: new ObjectId(posterId),
     content,
+    contentHtml: renderMarkdown(content),
+    attachments: attachments.map((attachment) => ({
+      ...toAttachmentSummary(attachment),
+      _id: new ObjectId(attachment._id),
+    })),
     isAnonymous,
+    ...(isAnonymous && { isAnonymousToStaff }),
     isHelpful: false,
-    createdAt: new Date(),
-    updatedAt: new Date(),
+    score: 0,
+    // Held posts are hidden as they are created (see isHeldSinceCreation)
+    ...(responseData.isHeld && { hiddenAt: now, hiddenBy: null }),
+    createdAt: now,
+    updatedAt: now,
   };
 
   const responsesCollection = getCollection(COLLECTIONS.RESPONSES);
@@ -52,14 +95,20 @@ export const createResponse = async (responseData) => {
     throw new Error('Failed to create response');
   }
 
+  const pseudonym = isAnonymous
+    ? await getPseudonym(questionId, posterId)
+    : undefined;
+
   return {
     _id: result.insertedId,
     ...newResponse,
+    ...(pseudonym && { pseudonym }),
   };
 };
 
 /**
  * Gets a response by ID
+ * Responses in the trash are not found.
  * @param {string} responseId - Response ObjectId
  * @returns {Promise<Object|null>} Response document or null
  * @throws {Error} If ID is invalid
@@ -72,76 +121,85 @@ export const getResponseById = async (responseId) => {
   const responsesCollection = getCollection(COLLECTIONS.RESPONSES);
   const response = await responsesCollection.findOne({
     _id: new ObjectId(responseId),
+    deletedAt: null,
   });
 
   return response;
 };
 
 /**
- * Gets all responses for a question with sorting
+ * Gets responses for a question with sorting, one page at a time
  * @param {string} questionId - Question ObjectId
- * @param {string} sortOption - Sort option: 'newest', 'oldest'
+ * @param {string} sortOption - Sort option: 'newest', 'oldest', 'top'
+ * @param {Object} [options] - Paging options
+ * @param {number} [options.limit] - Maximum responses to return (default: all)
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {string} [options.viewerId] - Student ObjectId; adds their votes as myVote
+ * @param {boolean} [options.showHidden] - Include responses hidden by
+ *   moderators (for course staff); otherwise only the viewer's own are included
+ * @param {boolean} [options.isStaff] - Whether the viewer is course staff, who
+ *   see anonymous posters that chose to stay visible to staff
  * @returns {Promise<Array>} Array of response documents
- * @throws {Error} If questionId is invalid
+ * @throws {Error} If questionId or cursor is invalid
  */
 export const getResponsesByQuestionId = async (
   questionId,
-  sortOption = 'newest'
+  sortOption = 'newest',
+  options = {}
 ) => {
   if (!isValidObjectId(questionId)) {
     throw new Error('Invalid question ID');
   }
 
+  const {
+    limit,
+    cursor,
+    viewerId,
+    showHidden = false,
+    isStaff = false,
+  } = options;
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    throw new Error('Limit must be a positive integer');
+  }
+
   const responsesCollection = getCollection(COLLECTIONS.RESPONSES);
 
-  let sortStage = {};
+  const direction = sortOption === 'oldest' ? 1 : -1;
+  const byScore = sortOption === 'top';
+
+  // Responses from before voting have no stored score
+  const pipeline = [
+    { $match: { questionId: new ObjectId(questionId), deletedAt: null } },
+    { $addFields: { score: { $ifNull: ['$score', 0] } } },
+  ];
+  if (!showHidden) {
+    pipeline.push({ $match: hiddenPostFilter(viewerId) });
+  }
+  if (cursor) {
+    pipeline.push({ $match: afterCursor(cursor, direction, { byScore }) });
+  }
 
-  switch (sortOption) {
-    case 'newest':
-      sortStage = { createdAt: -1 };
-      break;
-    case 'oldest':
-      sortStage = { createdAt: 1 };
-      break;
-    default:
-      sortStage = { createdAt: -1 };
+  // _id breaks ties between responses posted in the same millisecond
+  pipeline.push({
+    $sort: byScore
+      ? { score: -1, createdAt: -1, _id: -1 }
+      : { createdAt: direction, _id: direction },
+  });
+  if (limit) {
+    pipeline.push({ $limit: limit });
   }
 
   // Use aggregation to populate poster information
   const responses = await responsesCollection
     .aggregate([
-      { $match: { questionId: new ObjectId(questionId) } },
-      {
-        $lookup: {
-          from: 'students',
-          localField: 'posterId',
-          foreignField: '_id',
-          as: 'poster',
-        },
-      },
-      {
-        $addFields: {
-          posterName: {
-            $cond: {
-              if: '$isAnonymous',
-              then: 'Anonymous',
-              else: {
-                $concat: [
-                  { $arrayElemAt: ['$poster.firstName', 0] },
-                  ' ',
-                  { $arrayElemAt: ['$poster.lastName', 0] },
-                ],
-              },
-            },
-          },
-        },
-      },
-      { $project: { poster: 0 } }, // Remove full poster object
-      { $sort: sortStage },
+      ...pipeline,
+      ...voteDetailStages('response', viewerId),
+      ...posterStages({ threadField: '$questionId', viewerId, isStaff }),
+      ...endorserStages(),
     ])
     .toArray();
 
-  return responses;
+  return responses.map(withContentHtml);
 };
 
 /**
@@ -160,7 +218,7 @@ export const updateResponse = async (responseId, updates) => {
     throw new Error('No updates provided');
   }
 
-  const allowedUpdates = ['content', 'isHelpful'];
+  const allowedUpdates = ['content'];
   const updateFields = {};
 
   // Validate and process each update field
@@ -171,11 +229,7 @@ export const updateResponse = async (responseId, updates) => {
 
     if (key === 'content') {
       updateFields[key] = validateString(value, 'Content', 1, 1500);
-    } else if (key === 'isHelpful') {
-      if (typeof value !== 'boolean') {
-        throw new Error('isHelpful must be a boolean');
-      }
-      updateFields[key] = value;
+      updateFields.contentHtml = renderMarkdown(updateFields[key]);
     }
   }
 
@@ -196,7 +250,159 @@ export const updateResponse = async (responseId, updates) => {
 };
 
 /**
- * Deletes a response
+ * Hides a response from students, or shows it again
+ * Hidden responses stay visible to course staff and their poster.
+ * @param {string} responseId - Response ObjectId
+ * @param {boolean} isHidden - True to hide, false to show
+ * @param {string|null} moderatorId - Student ObjectId of the staff member,
+ *   or null when content screening holds the response for review
+ * @returns {Promise<Object|null>} Updated response document, or null if the
+ *   response does not exist or is in the trash
+ * @throws {Error} If an ID is invalid
+ */
+export const setResponseHidden = async (responseId, isHidden, moderatorId) => {
+  if (!isValidObjectId(responseId)) {
+    throw new Error('Invalid response ID');
+  }
+
+  if (moderatorId !== null && !isValidObjectId(moderatorId)) {
+    throw new Error('Invalid moderator ID');
+  }
+
+  const hiddenBy = moderatorId && new ObjectId(moderatorId);
+  const update = isHidden
+    ? { $set: { hiddenAt: new Date(), hiddenBy } }
+    : { $unset: { hiddenAt: '', hiddenBy: '' } };
+
+  const responsesCollection = getCollection(COLLECTIONS.RESPONSES);
+  return responsesCollection.findOneAndUpdate(
+    { _id: new ObjectId(responseId), deletedAt: null },
+    update,
+    { returnDocument: 'after' }
+  );
+};
+
+/**
+ * Endorses a response on behalf of the course staff, or withdraws the endorsement
+ * @param {string} responseId - Response ObjectId
+ * @param {boolean} isEndorsed - True to endorse, false to withdraw
+ * @param {string} staffId - Student ObjectId of the staff member
+ * @returns {Promise<Object|null>} Updated response document, or null if the
+ *   response does not exist or is in the trash
+ * @throws {Error} If an ID is invalid
+ */
+export const setResponseEndorsed = async (responseId, isEndorsed, staffId) => {
+  if (!isValidObjectId(responseId)) {
+    throw new Error('Invalid response ID');
+  }
+
+  if (!isValidObjectId(staffId)) {
+    throw new Error('Invalid staff ID');
+  }
+
+  const update = isEndorsed
+    ? {
+        $set: { endorsedBy: new ObjectId(staffId), endorsedAt: new Date() },
+      }
+    : { $unset: { endorsedBy: '', endorsedAt: '' } };
+
+  const responsesCollection = getCollection(COLLECTIONS.RESPONSES);
+  return responsesCollection.findOneAndUpdate(
+    { _id: new ObjectId(responseId), deletedAt: null },
+    update,
+    { returnDocument: 'after' }
+  );
+};
+
+/**
+ * Marks a response as helpful, or unmarks it
+ * @param {string} responseId - Response ObjectId
+ * @param {boolean} isHelpful - True to mark, false to unmark
+ * @returns {Promise<Object|null>} Updated response document, or null if the
+ *   response does not exist or is in the trash
+ * @throws {Error} If ID is invalid or isHelpful is not a boolean
+ */
+export const setResponseHelpful = async (responseId, isHelpful) => {
+  if (!isValidObjectId(responseId)) {
+    throw new Error('Invalid response ID');
+  }
+
+  if (typeof isHelpful !== 'boolean') {
+    throw new Error('isHelpful must be a boolean');
+  }
+
+  const responsesCollection = getCollection(COLLECTIONS.RESPONSES);
+  return responsesCollection.findOneAndUpdate(
+    { _id: new ObjectId(responseId), deletedAt: null },
+    { $set: { isHelpful, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+};
+
+/**
+ * Moves a response to the trash
+ * The response is kept but hidden until the student who deleted it restores
+ * it or the trash purge job deletes it for good.
+ * @param {string} responseId - Response ObjectId
+ * @param {string} deletedBy - Student ObjectId of who deleted it
+ * @returns {Promise<Object>} Updated response document
+ * @throws {Error} If an ID is invalid or the response does not exist
+ */
+export const softDeleteResponse = async (responseId, deletedBy) => {
+  if (!isValidObjectId(responseId)) {
+    throw new Error('Invalid response ID');
+  }
+
+  if (!isValidObjectId(deletedBy)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const responsesCollection = getCollection(COLLECTIONS.RESPONSES);
+  const result = await responsesCollection.findOneAndUpdate(
+    { _id: new ObjectId(responseId), deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy: new ObjectId(deletedBy) } },
+    { returnDocument: 'after' }
+  );
+
+  if (!result) {
+    throw new Error('Response not found');
+  }
+
+  return result;
+};
+
+/**
+ * Takes a response out of the trash
+ * @param {string} responseId - Response ObjectId
+ * @param {string} studentId - Student ObjectId; must be who deleted it
+ * @param {Date} deletedAfter - Responses deleted earlier have expired
+ * @returns {Promise<Object|null>} Restored response, or null if it is not
+ *   in the student's trash
+ * @throws {Error} If an ID is invalid
+ */
+export const restoreResponse = async (responseId, studentId, deletedAfter) => {
+  if (!isValidObjectId(responseId)) {
+    throw new Error('Invalid response ID');
+  }
+
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const responsesCollection = getCollection(COLLECTIONS.RESPONSES);
+  return responsesCollection.findOneAndUpdate(
+    {
+      _id: new ObjectId(responseId),
+      deletedBy: new ObjectId(studentId),
+      deletedAt: { $gt: deletedAfter },
+    },
+    { $unset: { deletedAt: '', deletedBy: '' } },
+    { returnDocument: 'after' }
+  );
+};
+
+/**
+ * Deletes a response permanently
  * @param {string} responseId - Response ObjectId
  * @returns {Promise<Object>} Deletion result
  * @throws {Error} If ID is invalid or deletion fails
@@ -0,0 +1,232 @@
+/**
+ * Revision Data Functions
+ * Edit history of questions and responses
+ * Once a post is first edited its history holds every version, starting with
+ * the original, so any two versions can be compared.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import { isValidObjectId } from '../validation.js';
+import { getPseudonym, isHiddenFromStaff } from './anonymity.js';
+
+/**
+ * Kinds of post that keep an edit history
+ */
+export const REVISION_TARGETS = ['question', 'response'];
+
+// Fields whose changes make a new revision, per kind of post
+const TRACKED_FIELDS = {
+  question: ['title', 'content'],
+  response: ['content'],
+};
+
+/**
+ * Picks the tracked fields of a post
+ * @param {string} targetType - 'question' or 'response'
+ * @param {Object} post - Question or response document
+ * @returns {Object} e.g. { title, content }
+ */
+const snapshot = (targetType, post) =>
+  Object.fromEntries(
+    TRACKED_FIELDS[targetType].map((field) => [field, post[field]])
+  );
+
+/**
+ * Records an edit to a question or response
+ * Does nothing if the title and content are unchanged (e.g. only isResolved
+ * was updated). The first recorded edit also stores the original version.
+ * Marks the post with editedAt and revisionCount for the "edited" badge.
+ * @param {Object} revisionData - Edit information
+ * @param {string} revisionData.targetType - 'question' or 'response'
+ * @param {Object} revisionData.before - The post before the update
+ * @param {Object} revisionData.after - The post after the update
+ * @param {string} revisionData.editorId - Student ObjectId of the editor
+ * @returns {Promise<Object|null>} { editedAt, revisionCount }, or null if
+ *   nothing tracked changed
+ * @throws {Error} If validation fails
+ */
+export const recordRevision = async (revisionData) => {
+  const { targetType, before, after, editorId } = revisionData;
+
+  if (!REVISION_TARGETS.includes(targetType)) {
+    throw new Error('Invalid revision target');
+  }
+  if (!before || !after || before._id.toString() !== after._id.toString()) {
+    throw new Error('Revision must compare two versions of the same post');
+  }
+  if (!isValidObjectId(editorId)) {
+    throw new Error('Invalid editor ID');
+  }
+
+  const previous = snapshot(targetType, before);
+  const current = snapshot(targetType, after);
+  if (
+    Object.keys(current).every((field) => previous[field] === current[field])
+  ) {
+    return null;
+  }
+
+  const questionId = targetType === 'question' ? after._id : after.questionId;
+  const revisionsCollection = getCollection(COLLECTIONS.REVISIONS);
+  const existingCount = await revisionsCollection.countDocuments({
+    targetType,
+    targetId: after._id,
+  });
+
+  const newRevisions = [];
+  if (existingCount === 0) {
+    // The original version, as posted
+    newRevisions.push({
+      targetType,
+      targetId: after._id,
+      questionId,
+      revision: 1,
+      ...previous,
+      editorId: before.posterId,
+      createdAt: before.createdAt,
+    });
+  }
+
+  const editedAt = after.updatedAt;
+  const revisionCount = Math.max(existingCount, 1) + 1;
+  newRevisions.push({
+    targetType,
+    targetId: after._id,
+    questionId,
+    revision: revisionCount,
+    ...current,
+    editorId: new ObjectId(editorId),
+    createdAt: editedAt,
+  });
+
+  await revisionsCollection.insertMany(newRevisions);
+
+  const targetsCollection = getCollection(
+    targetType === 'question' ? COLLECTIONS.QUESTIONS : COLLECTIONS.RESPONSES
+  );
+  await targetsCollection.updateOne(
+    { _id: after._id },
+    { $set: { editedAt, revisionCount } }
+  );
+
+  return { editedAt, revisionCount };
+};
+
+/**
+ * Gets every version of a question or response, oldest first
+ * A post that was never edited has one version, built from the post itself.
+ * When the poster of an anonymous post is hidden from the viewer, their
+ * edits are shown under their pseudonym in the thread and without editorId,
+ * as the post itself is.
+ * @param {string} targetType - 'question' or 'response'
+ * @param {Object} post - Question or response document
+ * @param {Object} [options] - Viewer options
+ * @param {string} [options.viewerId] - Student ObjectId of the viewer
+ * @param {boolean} [options.isStaff] - Whether the viewer is course staff,
+ *   who see posters that chose to stay visible to staff
+ * @returns {Promise<Array>} Revisions with editorName
+ * @throws {Error} If targetType is invalid
+ */
+export const getRevisions = async (targetType, post, options = {}) => {
+  if (!REVISION_TARGETS.includes(targetType)) {
+    throw new Error('Invalid revision target');
+  }
+
+  const revisionsCollection = getCollection(COLLECTIONS.REVISIONS);
+  const stored = await revisionsCollection
+    .find({ targetType, targetId: new ObjectId(post._id) })
+    .sort({ revision: 1 })
+    .toArray();
+
+  const revisions =
+    stored.length > 0
+      ? stored
+      : [
+          {
+            targetType,
+            targetId: post._id,
+            revision: 1,
+            ...snapshot(targetType, post),
+            editorId: post.posterId,
+            createdAt: post.createdAt,
+          },
+        ];
+
+  const editorIds = [...new Set(revisions.map((r) => r.editorId.toString()))];
+  const editors = await getCollection(COLLECTIONS.STUDENTS)
+    .find(
+      { _id: { $in: editorIds.map((id) => new ObjectId(id)) } },
+      { projection: { firstName: 1, lastName: 1 } }
+    )
+    .toArray();
+  const namesById = new Map(
+    editors.map((e) => [e._id.toString(), `${e.firstName} ${e.lastName}`])
+  );
+
+  const { viewerId, isStaff = false } = options;
+  const posterId = post.posterId.toString();
+  const isPosterHidden = isStaff
+    ? isHiddenFromStaff(post)
+    : Boolean(post.isAnonymous);
+  const pseudonym = isPosterHidden
+    ? await getPseudonym(
+        (targetType === 'question' ? post._id : post.questionId).toString(),
+        posterId
+      )
+    : null;
+
+  return revisions.map((revision) => {
+    const editorId = revision.editorId.toString();
+    if (isPosterHidden && editorId === posterId) {
+      const { editorId: _editorId, ...anonymousRevision } = revision;
+      return {
+        ...(viewerId === posterId ? revision : anonymousRevision),
+        editorName: pseudonym,
+      };
+    }
+    return {
+      ...revision,
+      editorName: namesById.get(editorId) || 'Unknown',
+    };
+  });
+};
+
+/**
+ * Deletes the history of a question and of its responses (cascade delete)
+ * @param {string} questionId - Question ObjectId
+ * @returns {Promise<Object>} Deletion result with count
+ * @throws {Error} If questionId is invalid
+ */
+export const deleteRevisionsByQuestionId = async (questionId) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  const revisionsCollection = getCollection(COLLECTIONS.REVISIONS);
+  const result = await revisionsCollection.deleteMany({
+    questionId: new ObjectId(questionId),
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
+
+/**
+ * Deletes the history of a response (cascade delete)
+ * @param {string} responseId - Response ObjectId
+ * @returns {Promise<Object>} Deletion result with count
+ * @throws {Error} If responseId is invalid
+ */
+export const deleteRevisionsByResponseId = async (responseId) => {
+  if (!isValidObjectId(responseId)) {
+    throw new Error('Invalid response ID');
+  }
+
+  const revisionsCollection = getCollection(COLLECTIONS.REVISIONS);
+  const result = await revisionsCollection.deleteMany({
+    targetType: 'response',
+    targetId: new ObjectId(responseId),
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
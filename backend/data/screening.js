@@ -0,0 +1,459 @@
+/**
+ * Screening Data Functions
+ * Content screening of new and edited posts, and each course's screening
+ * settings
+ * A post is checked against the built-in profanity and academic-integrity
+ * word lists, the course's own word and regex rules, and its code-block
+ * limit around assignment deadlines. Each rule that matches can reject the
+ * post, hold it for review by course staff, or flag it to them; the most
+ * severe outcome wins.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import {
+  validateString,
+  validateArray,
+  validateNumber,
+  isValidObjectId,
+} from '../validation.js';
+
+/**
+ * What a matching rule does to a post, least severe first
+ * flag publishes the post and adds it to the moderation queue; hold keeps it
+ * hidden from other students until staff approve it; reject turns it away.
+ */
+export const SCREENING_OUTCOMES = ['flag', 'hold', 'reject'];
+
+/**
+ * Kinds of course rule: a word or phrase, or a regular expression
+ */
+export const SCREENING_RULE_TYPES = ['word', 'regex'];
+
+/**
+ * Maximum rules in a course's screening settings
+ */
+export const MAX_SCREENING_RULES = 50;
+
+/**
+ * Longest pattern or message a rule may have
+ */
+export const MAX_RULE_LENGTH = 200;
+
+/**
+ * Longest pattern a regex rule may have
+ */
+export const MAX_REGEX_LENGTH = 100;
+
+/**
+ * Maximum assignment deadlines the code-block limit can watch
+ */
+export const MAX_SCREENING_DEADLINES = 20;
+
+/**
+ * Screening settings of a course that has not changed them
+ */
+export const DEFAULT_SCREENING = {
+  profanity: 'reject',
+  integrity: 'flag',
+  rules: [],
+  codeLimit: null,
+};
+
+// Built-in word lists; each can be turned off or given another outcome per course
+const PROFANITY_WORDS = [
+  'asshole',
+  'bastard',
+  'bitch',
+  'bullshit',
+  'cunt',
+  'dickhead',
+  'fuck',
+  'fucked',
+  'fucking',
+  'motherfucker',
+  'shit',
+  'shitty',
+];
+
+const INTEGRITY_PHRASES = [
+  'answers for sale',
+  'buy the answers',
+  'chegg',
+  'course hero',
+  'do my homework',
+  'pay someone to',
+  'selling answers',
+  'exam answers',
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Letters and digits count as part of a word, so a listed word never matches
+// inside a longer one; spaces in a phrase match any run of whitespace
+const wordsPattern = (words) =>
+  new RegExp(
+    `(?<![\\p{L}\\p{N}])(${words
+      .map((word) => escapeRegExp(word).replace(/\s+/g, '\\s+'))
+      .join('|')})(?![\\p{L}\\p{N}])`,
+    'iu'
+  );
+
+const PROFANITY_PATTERN = wordsPattern(PROFANITY_WORDS);
+const INTEGRITY_PATTERN = wordsPattern(INTEGRITY_PHRASES);
+
+/**
+ * Finds what makes a regex rule unsafe to run on a post
+ * Backreferences, lookarounds and a repeated group that itself repeats or
+ * alternates, like (a+)+ or (a|ab)*, can make matching take exponential time
+ * on a crafted post, so rules may not use them.
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} What the pattern uses that is not allowed, or null
+ */
+const unsafeRegexFeature = (pattern) => {
+  if (/\\[1-9]|\\k</.test(pattern)) {
+    return 'backreferences';
+  }
+  if (/\(\?<?[=!]/.test(pattern)) {
+    return 'lookarounds';
+  }
+
+  // For each open group, whether it repeats or alternates inside
+  const groups = [];
+  let closedGroup = null;
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    const previousGroup = closedGroup;
+    closedGroup = null;
+
+    if (char === '\\') {
+      i += 1;
+    } else if (char === '[') {
+      // Skip the character class, whose contents never repeat on their own
+      for (i += 1; i < pattern.length && pattern[i] !== ']'; i += 1) {
+        if (pattern[i] === '\\') {
+          i += 1;
+        }
+      }
+    } else if (char === '(') {
+      groups.push(false);
+      // Skip the (?: or (?<name> that starts a group
+      if (pattern[i + 1] === '?') {
+        i = pattern[i + 2] === '<' ? pattern.indexOf('>', i) : i + 2;
+      }
+    } else if (char === ')') {
+      closedGroup = groups.pop() ?? false;
+      if (closedGroup && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    } else if ('*+?{|'.includes(char)) {
+      if (previousGroup && char !== '?' && char !== '|') {
+        return 'nested quantifiers';
+      }
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validates an outcome, optionally allowing 'off'
+ * @param {any} value - Outcome as entered
+ * @param {string} fieldName - Name of field (for error messages)
+ * @param {boolean} [allowOff] - Whether 'off' is allowed
+ * @returns {string} The outcome
+ * @throws {Error} If value is not an allowed outcome
+ */
+const validateOutcome = (value, fieldName, allowOff = false) => {
+  const allowed = allowOff
+    ? ['off', ...SCREENING_OUTCOMES]
+    : SCREENING_OUTCOMES;
+  if (!allowed.includes(value)) {
+    throw new Error(`${fieldName} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+};
+
+/**
+ * Validates one course rule
+ * @param {any} rule - { type, pattern, outcome, message }
+ * @returns {Object} Normalized rule
+ * @throws {Error} If the rule is invalid or its regex does not compile or
+ *   is unsafe
+ */
+const normalizeRule = (rule) => {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Each rule must be an object');
+  }
+  if (!SCREENING_RULE_TYPES.includes(rule.type)) {
+    throw new Error('Rule type must be word or regex');
+  }
+
+  const pattern = validateString(
+    rule.pattern,
+    'Rule pattern',
+    1,
+    MAX_RULE_LENGTH
+  );
+  if (rule.type === 'regex') {
+    if (pattern.length > MAX_REGEX_LENGTH) {
+      throw new Error(
+        `Regular expressions cannot be longer than ${MAX_REGEX_LENGTH} characters`
+      );
+    }
+    try {
+      new RegExp(pattern, 'iu');
+    } catch (_error) {
+      throw new Error(`Invalid regular expression: ${pattern}`);
+    }
+    const feature = unsafeRegexFeature(pattern);
+    if (feature) {
+      throw new Error(`Regular expressions cannot use ${feature}: ${pattern}`);
+    }
+  }
+
+  return {
+    type: rule.type,
+    pattern: rule.type === 'word' ? pattern.toLowerCase() : pattern,
+    outcome: validateOutcome(rule.outcome, 'Rule outcome'),
+    message:
+      rule.message === undefined || rule.message === ''
+        ? ''
+        : validateString(rule.message, 'Rule message', 1, MAX_RULE_LENGTH),
+  };
+};
+
+/**
+ * Validates a course's code-block limit
+ * @param {any} codeLimit - { maxLines, windowHours, outcome, deadlines }, or null
+ * @returns {Object|null} Normalized limit, deadlines soonest first
+ * @throws {Error} If the limit is invalid
+ */
+const normalizeCodeLimit = (codeLimit) => {
+  if (codeLimit === null || codeLimit === undefined) {
+    return null;
+  }
+  if (typeof codeLimit !== 'object') {
+    throw new Error('Code limit must be an object or null');
+  }
+
+  const maxLines = validateNumber(codeLimit.maxLines, 'Max lines', 1, 500);
+  const windowHours = validateNumber(
+    codeLimit.windowHours,
+    'Window hours',
+    1,
+    24 * 14
+  );
+  if (!Number.isInteger(maxLines) || !Number.isInteger(windowHours)) {
+    throw new Error('Max lines and window hours must be whole numbers');
+  }
+
+  const deadlines = validateArray(codeLimit.deadlines ?? [], 'Deadlines');
+  if (deadlines.length > MAX_SCREENING_DEADLINES) {
+    throw new Error(`At most ${MAX_SCREENING_DEADLINES} deadlines are allowed`);
+  }
+
+  return {
+    maxLines,
+    windowHours,
+    outcome: validateOutcome(codeLimit.outcome, 'Code limit outcome'),
+    deadlines: deadlines
+      .map((deadline) => {
+        const dueAt = new Date(deadline?.dueAt);
+        if (Number.isNaN(dueAt.getTime())) {
+          throw new Error('Each deadline needs a valid dueAt date');
+        }
+        return {
+          name: validateString(deadline.name, 'Deadline name', 1, 100),
+          dueAt,
+        };
+      })
+      .sort((a, b) => a.dueAt - b.dueAt),
+  };
+};
+
+/**
+ * Validates a course's screening settings
+ * @param {any} settings - { profanity, integrity, rules, codeLimit }
+ * @returns {Object} Normalized settings
+ * @throws {Error} If any part of the settings is invalid
+ */
+export const normalizeScreening = (settings) => {
+  if (!settings || typeof settings !== 'object') {
+    throw new Error('Screening settings must be an object');
+  }
+
+  const rules = validateArray(settings.rules ?? [], 'Rules');
+  if (rules.length > MAX_SCREENING_RULES) {
+    throw new Error(`At most ${MAX_SCREENING_RULES} rules are allowed`);
+  }
+
+  return {
+    profanity: validateOutcome(
+      settings.profanity ?? DEFAULT_SCREENING.profanity,
+      'Profanity filter',
+      true
+    ),
+    integrity: validateOutcome(
+      settings.integrity ?? DEFAULT_SCREENING.integrity,
+      'Academic integrity filter',
+      true
+    ),
+    rules: rules.map(normalizeRule),
+    codeLimit: normalizeCodeLimit(settings.codeLimit),
+  };
+};
+
+/**
+ * Gets a course's screening settings, with defaults for what it has not set
+ * @param {Object} course - Course document
+ * @returns {Object} { profanity, integrity, rules, codeLimit }
+ */
+export const getCourseScreening = (course) => ({
+  ...DEFAULT_SCREENING,
+  ...course.screening,
+});
+
+/**
+ * Counts the lines of the longest fenced code block in Markdown
+ * A block left open runs to the end of the post.
+ * @param {string} content - Markdown source
+ * @returns {number} Lines inside the longest ``` or ~~~ block, 0 if none
+ */
+export const longestCodeBlock = (content) => {
+  let longest = 0;
+  let fence = null;
+  let lines = 0;
+
+  for (const line of content.split('\n')) {
+    const marker = line.trim().match(/^(`{3,}|~{3,})/)?.[1];
+    if (!fence) {
+      if (marker) {
+        fence = marker;
+        lines = 0;
+      }
+    } else if (
+      marker &&
+      marker[0] === fence[0] &&
+      marker.length >= fence.length
+    ) {
+      longest = Math.max(longest, lines);
+      fence = null;
+    } else {
+      lines += 1;
+    }
+  }
+
+  return fence ? Math.max(longest, lines) : longest;
+};
+
+/**
+ * Screens a post against a course's settings
+ * @param {Object} post - { title, content }; title is left out for responses
+ * @param {Object} screening - Course settings (see getCourseScreening)
+ * @param {Date} [now] - Current time, for the code-block limit
+ * @returns {Object} { outcome, reasons } - outcome is 'allow' or the most
+ *   severe outcome of the rules that matched; reasons explain each match,
+ *   most severe first
+ */
+export const screenPost = (post, screening, now = new Date()) => {
+  const text = [post.title, post.content].filter(Boolean).join('\n');
+  const matches = [];
+
+  if (screening.profanity !== 'off' && PROFANITY_PATTERN.test(text)) {
+    matches.push({
+      outcome: screening.profanity,
+      reason: 'Contains language that is not allowed in this course',
+    });
+  }
+
+  if (screening.integrity !== 'off') {
+    const phrase = text.match(INTEGRITY_PATTERN)?.[1];
+    if (phrase) {
+      matches.push({
+        outcome: screening.integrity,
+        reason: `Mentions "${phrase}", which may break the academic integrity policy`,
+      });
+    }
+  }
+
+  for (const rule of screening.rules) {
+    // Settings saved before regex rules were checked may still hold unsafe ones
+    if (
+      rule.type === 'regex' &&
+      (rule.pattern.length > MAX_REGEX_LENGTH ||
+        unsafeRegexFeature(rule.pattern))
+    ) {
+      continue;
+    }
+    const pattern =
+      rule.type === 'word'
+        ? wordsPattern([rule.pattern])
+        : new RegExp(rule.pattern, 'iu');
+    if (pattern.test(text)) {
+      matches.push({
+        outcome: rule.outcome,
+        reason:
+          rule.message ||
+          (rule.type === 'word'
+            ? `Contains "${rule.pattern}", which is not allowed in this course`
+            : 'Matches a content rule of this course'),
+      });
+    }
+  }
+
+  const { codeLimit } = screening;
+  if (codeLimit && longestCodeBlock(post.content) > codeLimit.maxLines) {
+    const windowMs = codeLimit.windowHours * 60 * 60 * 1000;
+    const deadline = codeLimit.deadlines.find(
+      ({ dueAt }) => now <= dueAt && now.getTime() >= dueAt.getTime() - windowMs
+    );
+    if (deadline) {
+      matches.push({
+        outcome: codeLimit.outcome,
+        reason: `Code blocks over ${codeLimit.maxLines} lines are not allowed in the ${codeLimit.windowHours} hours before ${deadline.name} is due`,
+      });
+    }
+  }
+
+  if (matches.length === 0) {
+    return { outcome: 'allow', reasons: [] };
+  }
+
+  const severity = (match) => SCREENING_OUTCOMES.indexOf(match.outcome);
+  matches.sort((a, b) => severity(b) - severity(a));
+  return {
+    outcome: matches[0].outcome,
+    reasons: matches.map((match) => match.reason),
+  };
+};
+
+/**
+ * Replaces a course's screening settings
+ * @param {string} courseId - Course ObjectId
+ * @param {Object} settings - { profanity, integrity, rules, codeLimit }
+ * @returns {Promise<Object>} The course's screening settings, normalized
+ * @throws {Error} If inputs are invalid or the course does not exist
+ */
+export const setCourseScreening = async (courseId, settings) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  const screening = normalizeScreening(settings);
+
+  const result = await getCollection(COLLECTIONS.COURSES).findOneAndUpdate(
+    { _id: new ObjectId(courseId) },
+    { $set: { screening } },
+    { returnDocument: 'after' }
+  );
+
+  if (!result) {
+    throw new Error('Course not found');
+  }
+
+  return result.screening;
+};
@@ -0,0 +1,440 @@
+/**
+ * Search Data Functions
+ * Full-text search over a course's questions and responses, and lookup of
+ * likely duplicates of a question being written
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import { validateString, isValidObjectId } from '../validation.js';
+import { normalizeTags } from './tags.js';
+import { endorsedResponseStages } from './endorsements.js';
+import { posterStages } from './anonymity.js';
+import { privateQuestionFilter } from './questions.js';
+
+// Upper bound on text matches read per collection for one search
+const MAX_MATCHES = 500;
+
+// Response matches count for a little less than matches in the question itself
+const RESPONSE_SCORE_WEIGHT = 0.75;
+
+// Characters of context shown around the first match in a snippet
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+
+// Most matching responses shown under one result
+const MAX_RESPONSE_SNIPPETS = 2;
+
+// Text score a question needs to count as a likely duplicate; one shared
+// title word scores about 3 (title weight 5), a single content word under 1
+const MIN_SIMILAR_SCORE = 1.5;
+
+// Words MongoDB's english text index ignores; never highlighted
+const STOP_WORDS = new Set(
+  (
+    'a an and are as at be by for from how i in is it of on or that the ' +
+    'this to was what when where which why with'
+  ).split(' ')
+);
+
+/**
+ * Extracts the words to highlight from a search string
+ * Negated terms (-word) are dropped and simple English suffixes are
+ * trimmed so "arrays" also highlights "array".
+ * @param {string} searchText - Raw search string
+ * @returns {Array<string>} Lowercase word stems
+ */
+const getHighlightTerms = (searchText) => {
+  const withoutNegations = searchText
+    .replace(/-"[^"]*"/g, ' ')
+    .replace(/(^|\s)-\S+/g, ' ');
+  const words = withoutNegations.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  const terms = new Set();
+  for (const word of words) {
+    if (STOP_WORDS.has(word)) {
+      continue;
+    }
+    const stem = word.replace(/(ing|ed|es|s)$/, '');
+    terms.add(stem.length >= 4 ? stem : word);
+  }
+  return [...terms];
+};
+
+/**
+ * Escapes a string for use inside a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds a regex matching any word that starts with one of the terms
+ * @param {Array<string>} terms - Word stems from getHighlightTerms
+ * @returns {RegExp|null} Global, case-insensitive regex, or null if no terms
+ */
+const buildTermPattern = (terms) => {
+  if (terms.length === 0) {
+    return null;
+  }
+  const alternatives = terms.map(escapeRegExp).join('|');
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${alternatives})[\\p{L}\\p{N}]*`,
+    'giu'
+  );
+};
+
+/**
+ * Splits text into highlighted and plain segments
+ * @param {string} text - Text to split
+ * @param {RegExp|null} pattern - Pattern from buildTermPattern
+ * @returns {Array<{text: string, match: boolean}>} Segments in order
+ */
+const highlight = (text, pattern) => {
+  if (!pattern) {
+    return [{ text, match: false }];
+  }
+
+  const segments = [];
+  let lastIndex = 0;
+  for (const found of text.matchAll(pattern)) {
+    if (found.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, found.index), match: false });
+    }
+    segments.push({ text: found[0], match: true });
+    lastIndex = found.index + found[0].length;
+  }
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+  return segments;
+};
+
+/**
+ * Cuts a highlighted excerpt around the first match in a block of text
+ * @param {string} text - Full text
+ * @param {RegExp|null} pattern - Pattern from buildTermPattern
+ * @returns {Array<{text: string, match: boolean}>} Highlighted excerpt
+ */
+const buildSnippet = (text, pattern) => {
+  const firstMatch = pattern ? text.search(pattern) : -1;
+
+  let start = Math.max(0, firstMatch - SNIPPET_LEAD);
+  if (start > 0) {
+    // Start on a word boundary rather than mid-word
+    const nextSpace = text.indexOf(' ', start);
+    if (nextSpace !== -1 && nextSpace < firstMatch) {
+      start = nextSpace + 1;
+    }
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const excerpt =
+    (start > 0 ? '…' : '') +
+    text.slice(start, end) +
+    (end < text.length ? '…' : '');
+  return highlight(excerpt, pattern);
+};
+
+/**
+ * Searches a course's questions and responses
+ * Each result is a question. A question matches when its title or content
+ * matches, or when any of its responses does; results are ranked by
+ * MongoDB text score. Posts hidden by moderators are left out, as are
+ * private questions the viewer cannot see.
+ * @param {string} courseId - Course ObjectId
+ * @param {string} searchText - Words or "quoted phrases"; prefix -word to exclude
+ * @param {Object} [options] - Search options
+ * @param {string} [options.status] - 'all', 'answered', or 'unanswered'
+ * @param {Array<string>} [options.tags] - Only questions with all of these tags
+ * @param {boolean} [options.endorsed] - Only questions endorsed by course
+ *   staff or with an endorsed response
+ * @param {number} [options.page] - 1-based page number
+ * @param {number} [options.limit] - Results per page (max 50)
+ * @param {string} [options.viewerId] - Student ObjectId; hides anonymous
+ *   posters from them
+ * @param {boolean} [options.isStaff] - Whether the viewer is course staff, who
+ *   see private questions and anonymous posters that chose to stay visible
+ *   to staff; others find only their own private questions
+ * @returns {Promise<Object>} { results, total, page, limit, totalPages };
+ *   results include hasEndorsedResponse
+ * @throws {Error} If courseId, searchText, or options are invalid
+ */
+export const searchCourse = async (courseId, searchText, options = {}) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+  const text = validateString(searchText, 'Search query', 1, 200);
+
+  const {
+    status = 'all',
+    tags = [],
+    endorsed = false,
+    page = 1,
+    limit = 20,
+    viewerId,
+    isStaff = false,
+  } = options;
+  if (!['all', 'answered', 'unanswered'].includes(status)) {
+    throw new Error('Invalid status filter');
+  }
+  if (!Number.isInteger(page) || page < 1) {
+    throw new Error('Page must be a positive integer');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+    throw new Error('Limit must be between 1 and 50');
+  }
+
+  const courseObjectId = new ObjectId(courseId);
+  const questionsCollection = getCollection(COLLECTIONS.QUESTIONS);
+  const responsesCollection = getCollection(COLLECTIONS.RESPONSES);
+
+  const questionFilter = {
+    courseId: courseObjectId,
+    deletedAt: null,
+    hiddenAt: null,
+  };
+  if (!isStaff) {
+    questionFilter.$and = [privateQuestionFilter(viewerId)];
+  }
+  if (status === 'answered') {
+    questionFilter.isResolved = true;
+  } else if (status === 'unanswered') {
+    questionFilter.isResolved = false;
+  }
+
+  const tagFilter = normalizeTags(tags);
+  if (tagFilter.length > 0) {
+    questionFilter.tags = { $all: tagFilter };
+  }
+
+  if (endorsed) {
+    const endorsedResponseQuestionIds = await responsesCollection.distinct(
+      'questionId',
+      { endorsedAt: { $ne: null }, deletedAt: null, hiddenAt: null }
+    );
+    questionFilter.$or = [
+      { endorsedAt: { $ne: null } },
+      { _id: { $in: endorsedResponseQuestionIds } },
+    ];
+  }
+
+  const [questionMatches, courseQuestions] = await Promise.all([
+    questionsCollection
+      .find(
+        { $text: { $search: text }, ...questionFilter },
+        { projection: { score: { $meta: 'textScore' }, createdAt: 1 } }
+      )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(MAX_MATCHES)
+      .toArray(),
+    questionsCollection
+      .find(questionFilter, { projection: { _id: 1, createdAt: 1 } })
+      .toArray(),
+  ]);
+
+  const responseMatches = await responsesCollection
+    .find(
+      {
+        $text: { $search: text },
+        questionId: { $in: courseQuestions.map((q) => q._id) },
+        deletedAt: null,
+        hiddenAt: null,
+      },
+      { projection: { score: { $meta: 'textScore' }, questionId: 1 } }
+    )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(MAX_MATCHES)
+    .toArray();
+
+  // Merge both match lists into one entry per question
+  const createdAtById = new Map(
+    courseQuestions.map((q) => [q._id.toString(), q.createdAt])
+  );
+  const hits = new Map();
+  const getHit = (questionId) => {
+    const key = questionId.toString();
+    if (!hits.has(key)) {
+      hits.set(key, {
+        questionId,
+        questionScore: 0,
+        bestResponseScore: 0,
+        responseIds: [],
+      });
+    }
+    return hits.get(key);
+  };
+
+  for (const match of questionMatches) {
+    getHit(match._id).questionScore = match.score;
+  }
+  for (const match of responseMatches) {
+    const hit = getHit(match.questionId);
+    hit.bestResponseScore = Math.max(hit.bestResponseScore, match.score);
+    hit.responseIds.push(match._id);
+  }
+
+  const ranked = [...hits.values()]
+    .map((hit) => ({
+      ...hit,
+      score: hit.questionScore + RESPONSE_SCORE_WEIGHT * hit.bestResponseScore,
+      createdAt: createdAtById.get(hit.questionId.toString()),
+    }))
+    .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt);
+
+  const total = ranked.length;
+  const pageHits = ranked.slice((page - 1) * limit, page * limit);
+
+  // Load full documents only for the requested page
+  const [questions, responses] = await Promise.all([
+    questionsCollection
+      .aggregate([
+        { $match: { _id: { $in: pageHits.map((hit) => hit.questionId) } } },
+        ...posterStages({ viewerId, isStaff }),
+        ...endorsedResponseStages(),
+      ])
+      .toArray(),
+    responsesCollection
+      .find(
+        {
+          _id: {
+            $in: pageHits.flatMap((hit) =>
+              hit.responseIds.slice(0, MAX_RESPONSE_SNIPPETS)
+            ),
+          },
+        },
+        { projection: { content: 1 } }
+      )
+      .toArray(),
+  ]);
+
+  const questionsById = new Map(questions.map((q) => [q._id.toString(), q]));
+  const responsesById = new Map(responses.map((r) => [r._id.toString(), r]));
+  const pattern = buildTermPattern(getHighlightTerms(text));
+
+  const results = pageHits
+    .filter((hit) => questionsById.has(hit.questionId.toString()))
+    .map((hit) => {
+      const question = questionsById.get(hit.questionId.toString());
+      return {
+        ...question,
+        score: hit.score,
+        matchedResponseCount: hit.responseIds.length,
+        highlights: {
+          title: highlight(question.title, pattern),
+          content: buildSnippet(question.content, pattern),
+          responses: hit.responseIds
+            .slice(0, MAX_RESPONSE_SNIPPETS)
+            .filter((id) => responsesById.has(id.toString()))
+            .map((id) => ({
+              responseId: id,
+              snippet: buildSnippet(
+                responsesById.get(id.toString()).content,
+                pattern
+              ),
+            })),
+        },
+      };
+    });
+
+  return {
+    results,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+  };
+};
+
+/**
+ * Finds questions in a course that are likely duplicates of a draft
+ * Every word of the draft counts on its own (quotes and -word have no special
+ * meaning), so questions sharing the most title words rank first. Questions
+ * marked as duplicates are left out in favor of the question they duplicate,
+ * and hidden and private questions are left out.
+ * @param {string} courseId - Course ObjectId
+ * @param {string} draftText - Title (and optionally content) being written
+ * @param {Object} [options] - Lookup options
+ * @param {number} [options.limit] - Maximum questions to return (default 5, max 10)
+ * @param {string} [options.excludeId] - Question ObjectId to leave out (the one being edited)
+ * @returns {Promise<Array>} Questions { _id, title, isResolved, responseCount, createdAt, score, highlights }
+ * @throws {Error} If courseId, draftText, or options are invalid
+ */
+export const findSimilarQuestions = async (
+  courseId,
+  draftText,
+  options = {}
+) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+  const text = validateString(draftText, 'Search query', 1, 200);
+
+  const { limit = 5, excludeId } = options;
+  if (!Number.isInteger(limit) || limit < 1 || limit > 10) {
+    throw new Error('Limit must be between 1 and 10');
+  }
+  if (excludeId !== undefined && !isValidObjectId(excludeId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  const words = text.match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length === 0) {
+    return [];
+  }
+
+  const filter = {
+    $text: { $search: words.join(' ') },
+    courseId: new ObjectId(courseId),
+    deletedAt: null,
+    hiddenAt: null,
+    visibility: { $ne: 'staff' },
+    duplicateOfId: null,
+  };
+  if (excludeId) {
+    filter._id = { $ne: new ObjectId(excludeId) };
+  }
+
+  const matches = await getCollection(COLLECTIONS.QUESTIONS)
+    .aggregate([
+      { $match: filter },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      { $match: { score: { $gte: MIN_SIMILAR_SCORE } } },
+      { $sort: { score: -1, createdAt: -1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: 'responses',
+          let: { questionId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ['$questionId', '$$questionId'] },
+                deletedAt: null,
+              },
+            },
+            { $count: 'count' },
+          ],
+          as: 'responseCounts',
+        },
+      },
+      {
+        $project: {
+          title: 1,
+          isResolved: 1,
+          createdAt: 1,
+          score: 1,
+          responseCount: {
+            $ifNull: [{ $arrayElemAt: ['$responseCounts.count', 0] }, 0],
+          },
+        },
+      },
+    ])
+    .toArray();
+
+  const pattern = buildTermPattern(getHighlightTerms(words.join(' ')));
+  return matches.map((question) => ({
+    ...question,
+    highlights: { title: highlight(question.title, pattern) },
+  }));
+};
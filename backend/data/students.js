@@ -12,6 +12,7 @@ import {
   isValidStevensEmail,
   validateArray,
 } from '../validation.js';
+import { ROLES, ACCOUNT_ROLES } from '../roles.js';
 
 /**
  * Creates a new student in the database
@@ -23,6 +24,8 @@ import {
  * @param {string} studentData.major - Major
  * @param {number} studentData.age - Age (17-25)
  * @param {Array<string>} [studentData.enrolledCourses=[]] - Course IDs
+ * @param {boolean} [studentData.isVerified=true] - Whether the email is confirmed
+ * @param {string} [studentData.role='student'] - Account role (student, instructor, admin)
  * @returns {Promise<Object>} Created student document
  * @throws {Error} If validation fails or email already exists
  */
@@ -57,6 +60,20 @@ export const createStudent = async (studentData) => {
     }
   }
 
+  const isVerified =
+    studentData.isVerified !== undefined ? studentData.isVerified : true;
+
+  if (typeof isVerified !== 'boolean') {
+    throw new Error('isVerified must be a boolean');
+  }
+
+  const role =
+    studentData.role !== undefined ? studentData.role : ROLES.STUDENT;
+
+  if (!ACCOUNT_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ACCOUNT_ROLES.join(', ')}`);
+  }
+
   // Check if email already exists
   const studentsCollection = getCollection(COLLECTIONS.STUDENTS);
   const existingStudent = await studentsCollection.findOne({
@@ -76,6 +93,8 @@ export const createStudent = async (studentData) => {
     major,
     age,
     enrolledCourses: enrolledCourses.map((id) => new ObjectId(id)),
+    isVerified,
+    role,
     createdAt: new Date(),
     updatedAt: new Date(),
   };
@@ -206,6 +225,125 @@ export const updateStudent = async (studentId, updates) => {
   return result;
 };
 
+/**
+ * Marks a student's email address as verified
+ * @param {string} studentId - Student ObjectId
+ * @returns {Promise<Object>} Updated student document
+ * @throws {Error} If ID is invalid or student not found
+ */
+export const markStudentVerified = async (studentId) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const studentsCollection = getCollection(COLLECTIONS.STUDENTS);
+  const result = await studentsCollection.findOneAndUpdate(
+    { _id: new ObjectId(studentId) },
+    {
+      $set: { isVerified: true, verifiedAt: new Date(), updatedAt: new Date() },
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!result) {
+    throw new Error('Student not found');
+  }
+
+  return result;
+};
+
+/**
+ * Replaces a student's password hash
+ * Kept separate from updateStudent so passwords only change through the
+ * auth routes, which verify the current password or a reset token first.
+ * @param {string} studentId - Student ObjectId
+ * @param {string} hashedPassword - New bcrypt hash
+ * @returns {Promise<Object>} Updated student document
+ * @throws {Error} If ID is invalid or student not found
+ */
+export const updateStudentPassword = async (studentId, hashedPassword) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const validHash = validateString(hashedPassword, 'Password');
+  const now = new Date();
+
+  const studentsCollection = getCollection(COLLECTIONS.STUDENTS);
+  const result = await studentsCollection.findOneAndUpdate(
+    { _id: new ObjectId(studentId) },
+    {
+      $set: {
+        hashedPassword: validHash,
+        passwordChangedAt: now,
+        updatedAt: now,
+      },
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!result) {
+    throw new Error('Student not found');
+  }
+
+  return result;
+};
+
+/**
+ * Changes a student's account role
+ * Kept separate from updateStudent so roles only change through admin routes.
+ * @param {string} studentId - Student ObjectId
+ * @param {string} role - New account role (student, instructor, admin)
+ * @returns {Promise<Object>} Updated student document
+ * @throws {Error} If ID or role is invalid, or student not found
+ */
+export const updateStudentRole = async (studentId, role) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  if (!ACCOUNT_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ACCOUNT_ROLES.join(', ')}`);
+  }
+
+  const studentsCollection = getCollection(COLLECTIONS.STUDENTS);
+  const result = await studentsCollection.findOneAndUpdate(
+    { _id: new ObjectId(studentId) },
+    { $set: { role, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+
+  if (!result) {
+    throw new Error('Student not found');
+  }
+
+  return result;
+};
+
+/**
+ * Removes a course from every student's enrolledCourses
+ * Used when a course is deleted.
+ * @param {string} courseId - Course ObjectId
+ * @returns {Promise<Object>} Update result with count
+ * @throws {Error} If courseId is invalid
+ */
+export const removeCourseFromStudents = async (courseId) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  const studentsCollection = getCollection(COLLECTIONS.STUDENTS);
+  const result = await studentsCollection.updateMany(
+    { enrolledCourses: new ObjectId(courseId) },
+    {
+      $pull: { enrolledCourses: new ObjectId(courseId) },
+      $set: { updatedAt: new Date() },
+    }
+  );
+
+  return { success: true, modifiedCount: result.modifiedCount };
+};
+
 /**
  * Deletes a student
  * @param {string} studentId - Student ObjectId
@@ -0,0 +1,160 @@
+/**
+ * Tag Data Functions
+ * Topic tags on questions, each course's curated tag set, and tag counts
+ * Instructors curate a course's tags, which the tag picker offers first;
+ * students can also add free tags of their own when posting.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import {
+  validateString,
+  validateArray,
+  isValidObjectId,
+} from '../validation.js';
+
+/**
+ * Maximum tags on one question
+ */
+export const MAX_TAGS_PER_QUESTION = 5;
+
+/**
+ * Maximum length of a tag
+ */
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Maximum tags in a course's curated set
+ */
+export const MAX_COURSE_TAGS = 50;
+
+// Lowercase words joined by hyphens; + # and . allow names like c++ and c#
+const TAG_PATTERN = /^[a-z0-9+#.]+(-[a-z0-9+#.]+)*$/;
+
+/**
+ * Normalizes a tag to lowercase, with spaces replaced by hyphens
+ * @param {any} tag - Tag as entered
+ * @returns {string} Normalized tag
+ * @throws {Error} If the tag is not a string, too long, or has other characters
+ */
+export const normalizeTag = (tag) => {
+  const name = validateString(tag, 'Tag', 1, MAX_TAG_LENGTH)
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-');
+
+  if (!TAG_PATTERN.test(name)) {
+    throw new Error(
+      `Invalid tag "${name}": use letters, numbers, +, #, . and hyphens`
+    );
+  }
+
+  return name;
+};
+
+/**
+ * Normalizes a list of tags, dropping duplicates
+ * @param {any} tags - Tags as entered
+ * @param {number} [max] - Maximum number of tags
+ * @returns {Array<string>} Normalized tags in their original order
+ * @throws {Error} If tags is not an array, has too many tags, or has an invalid tag
+ */
+export const normalizeTags = (tags, max = MAX_TAGS_PER_QUESTION) => {
+  const names = [...new Set(validateArray(tags, 'Tags').map(normalizeTag))];
+  if (names.length > max) {
+    throw new Error(`At most ${max} tags are allowed`);
+  }
+  return names;
+};
+
+/**
+ * Splits a comma-separated tags query parameter
+ * @param {string|Array<string>} value - ?tags=a,b (or repeated ?tags=)
+ * @returns {Array<string>} Tags as entered, without empty entries
+ */
+export const parseTagList = (value) =>
+  [value]
+    .flat()
+    .flatMap((part) => String(part).split(','))
+    .filter((part) => part.trim() !== '');
+
+/**
+ * Gets a course's tags with how many questions use each
+ * The curated tags come first, in the instructor's order, even when unused;
+ * free tags follow, most used first. Private and hidden questions are only
+ * counted for course staff.
+ * @param {string} courseId - Course ObjectId
+ * @param {Object} [options] - Viewer options
+ * @param {boolean} [options.isStaff] - Whether the viewer is course staff
+ * @returns {Promise<Array>} Tags as { name, count, curated }
+ * @throws {Error} If courseId is invalid
+ */
+export const getTagsByCourseId = async (courseId, options = {}) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  const { isStaff = false } = options;
+  const courseObjectId = new ObjectId(courseId);
+  const [course, counts] = await Promise.all([
+    getCollection(COLLECTIONS.COURSES).findOne(
+      { _id: courseObjectId },
+      { projection: { tags: 1 } }
+    ),
+    getCollection(COLLECTIONS.QUESTIONS)
+      .aggregate([
+        {
+          $match: {
+            courseId: courseObjectId,
+            deletedAt: null,
+            ...(!isStaff && { visibility: { $ne: 'staff' }, hiddenAt: null }),
+          },
+        },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+      ])
+      .toArray(),
+  ]);
+
+  const curated = course?.tags ?? [];
+  const countByName = new Map(counts.map((tag) => [tag._id, tag.count]));
+
+  return [
+    ...curated.map((name) => ({
+      name,
+      count: countByName.get(name) ?? 0,
+      curated: true,
+    })),
+    ...counts
+      .filter((tag) => !curated.includes(tag._id))
+      .map((tag) => ({ name: tag._id, count: tag.count, curated: false })),
+  ];
+};
+
+/**
+ * Replaces a course's curated tag set
+ * Questions keep the tags they have; tags dropped from the set become free tags.
+ * @param {string} courseId - Course ObjectId
+ * @param {Array<string>} tags - Curated tags, in display order
+ * @returns {Promise<Array<string>>} The course's curated tags, normalized
+ * @throws {Error} If inputs are invalid or the course does not exist
+ */
+export const setCourseTags = async (courseId, tags) => {
+  if (!isValidObjectId(courseId)) {
+    throw new Error('Invalid course ID');
+  }
+
+  const names = normalizeTags(tags, MAX_COURSE_TAGS);
+
+  const result = await getCollection(COLLECTIONS.COURSES).findOneAndUpdate(
+    { _id: new ObjectId(courseId) },
+    { $set: { tags: names } },
+    { returnDocument: 'after' }
+  );
+
+  if (!result) {
+    throw new Error('Course not found');
+  }
+
+  return result.tags;
+};
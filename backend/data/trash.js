@@ -0,0 +1,160 @@
+/**
+ * Trash Data Functions
+ * Deleted questions and responses that can still be restored
+ * Deleting a post only marks it with deletedAt and deletedBy. It stays in the
+ * trash of the student who deleted it for TRASH_RETENTION_DAYS, after which
+ * the purge job (jobs/purgeTrash.js) deletes it and everything attached to it.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import { isValidObjectId } from '../validation.js';
+
+/**
+ * Days a deleted post can be restored when TRASH_RETENTION_DAYS is not set
+ */
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets how many days deleted posts stay in the trash
+ * @returns {number} TRASH_RETENTION_DAYS, or the default if unset or invalid
+ */
+export const getTrashRetentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0
+    ? days
+    : DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+/**
+ * Gets the oldest deletion time still in the trash
+ * Posts deleted at or before the cutoff have expired.
+ * @param {Date} [now] - Current time
+ * @returns {Date} Cutoff time
+ */
+export const getTrashCutoff = (now = new Date()) =>
+  new Date(now.getTime() - getTrashRetentionDays() * DAY_MS);
+
+/**
+ * Gets when a deleted post expires and can no longer be restored
+ * @param {Date} deletedAt - When the post was deleted
+ * @returns {Date} Expiry time
+ */
+export const getTrashExpiry = (deletedAt) =>
+  new Date(deletedAt.getTime() + getTrashRetentionDays() * DAY_MS);
+
+/**
+ * Gets the questions and responses a student deleted, newest first
+ * Responses include the title of their question so they can be recognized.
+ * @param {string} studentId - Student ObjectId
+ * @returns {Promise<Array>} Trash items
+ *   { _id, targetType, questionId, courseId, courseCode, title, content, deletedAt, expiresAt }
+ * @throws {Error} If studentId is invalid
+ */
+export const getTrashByStudentId = async (studentId) => {
+  if (!isValidObjectId(studentId)) {
+    throw new Error('Invalid student ID');
+  }
+
+  const inTrash = {
+    deletedBy: new ObjectId(studentId),
+    deletedAt: { $gt: getTrashCutoff() },
+  };
+  const courseCodeStages = [
+    {
+      $lookup: {
+        from: 'courses',
+        localField: 'courseId',
+        foreignField: '_id',
+        as: 'course',
+      },
+    },
+    {
+      $addFields: {
+        courseCode: { $arrayElemAt: ['$course.courseCode', 0] },
+      },
+    },
+  ];
+
+  const [questions, responses] = await Promise.all([
+    getCollection(COLLECTIONS.QUESTIONS)
+      .aggregate([
+        { $match: inTrash },
+        ...courseCodeStages,
+        {
+          $project: {
+            targetType: { $literal: 'question' },
+            questionId: '$_id',
+            courseId: 1,
+            courseCode: 1,
+            title: 1,
+            content: 1,
+            deletedAt: 1,
+          },
+        },
+      ])
+      .toArray(),
+    getCollection(COLLECTIONS.RESPONSES)
+      .aggregate([
+        { $match: inTrash },
+        {
+          $lookup: {
+            from: 'questions',
+            localField: 'questionId',
+            foreignField: '_id',
+            as: 'question',
+          },
+        },
+        {
+          $addFields: {
+            courseId: { $arrayElemAt: ['$question.courseId', 0] },
+            title: { $arrayElemAt: ['$question.title', 0] },
+          },
+        },
+        ...courseCodeStages,
+        {
+          $project: {
+            targetType: { $literal: 'response' },
+            questionId: 1,
+            courseId: 1,
+            courseCode: 1,
+            title: 1,
+            content: 1,
+            deletedAt: 1,
+          },
+        },
+      ])
+      .toArray(),
+  ]);
+
+  return [...questions, ...responses]
+    .sort((a, b) => b.deletedAt - a.deletedAt)
+    .map((item) => ({ ...item, expiresAt: getTrashExpiry(item.deletedAt) }));
+};
+
+/**
+ * Gets the IDs of questions or responses whose time in the trash is over
+ * @param {string} targetType - 'question' or 'response'
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array<string>>} Expired post IDs
+ * @throws {Error} If targetType is invalid
+ */
+export const getExpiredTrashIds = async (targetType, now = new Date()) => {
+  if (!['question', 'response'].includes(targetType)) {
+    throw new Error('Invalid trash target');
+  }
+
+  const collection = getCollection(
+    targetType === 'question' ? COLLECTIONS.QUESTIONS : COLLECTIONS.RESPONSES
+  );
+  const expired = await collection
+    .find(
+      { deletedAt: { $lte: getTrashCutoff(now) } },
+      { projection: { _id: 1 } }
+    )
+    .toArray();
+
+  return expired.map((post) => post._id.toString());
+};
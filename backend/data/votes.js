@@ -0,0 +1,210 @@
+/**
+ * Vote Data Functions
+ * Up/down votes on questions and responses, and the scores and reputation
+ * derived from them
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import { isValidObjectId } from '../validation.js';
+
+/**
+ * Kinds of post that can be voted on
+ */
+export const VOTE_TARGETS = ['question', 'response'];
+
+/**
+ * Allowed vote values; 0 clears the voter's vote
+ */
+export const VOTE_VALUES = [1, 0, -1];
+
+/**
+ * Casts, changes, or clears a student's vote on a question or response
+ * Each student has at most one vote per post. The post's stored score is
+ * adjusted by the difference from their previous vote, so repeating a vote
+ * leaves it unchanged. Votes on anonymous posts do not count toward the
+ * poster's reputation.
+ * @param {Object} voteData - Vote information
+ * @param {string} voteData.targetType - 'question' or 'response'
+ * @param {string} voteData.targetId - Question or response ObjectId
+ * @param {string} voteData.voterId - Student ObjectId of the voter
+ * @param {number} voteData.value - 1 (up), -1 (down), or 0 (clear)
+ * @returns {Promise<Object>} The post's new score and the voter's vote
+ * @throws {Error} If validation fails, the post is missing, or it is the voter's own
+ */
+export const castVote = async (voteData) => {
+  const { targetType, targetId, voterId, value } = voteData;
+
+  if (!VOTE_TARGETS.includes(targetType)) {
+    throw new Error('Invalid vote target');
+  }
+  if (!isValidObjectId(targetId)) {
+    throw new Error(`Invalid ${targetType} ID`);
+  }
+  if (!isValidObjectId(voterId)) {
+    throw new Error('Invalid voter ID');
+  }
+  if (!VOTE_VALUES.includes(value)) {
+    throw new Error('Vote must be 1, 0, or -1');
+  }
+
+  const targetsCollection = getCollection(
+    targetType === 'question' ? COLLECTIONS.QUESTIONS : COLLECTIONS.RESPONSES
+  );
+  const target = await targetsCollection.findOne({
+    _id: new ObjectId(targetId),
+    deletedAt: null,
+  });
+
+  if (!target) {
+    throw new Error(
+      targetType === 'question' ? 'Question not found' : 'Response not found'
+    );
+  }
+  if (target.posterId.toString() === voterId.toString()) {
+    throw new Error('You cannot vote on your own post');
+  }
+
+  const votesCollection = getCollection(COLLECTIONS.VOTES);
+  const voteFilter = {
+    targetType,
+    targetId: target._id,
+    voterId: new ObjectId(voterId),
+  };
+
+  // Read the previous vote in the same operation that replaces it, so
+  // concurrent requests from one voter cannot double-count
+  const previousVote =
+    value === 0
+      ? await votesCollection.findOneAndDelete(voteFilter)
+      : await votesCollection.findOneAndUpdate(
+          voteFilter,
+          {
+            $set: { value, updatedAt: new Date() },
+            $setOnInsert: {
+              questionId:
+                targetType === 'question' ? target._id : target.questionId,
+              recipientId: target.isAnonymous ? null : target.posterId,
+              createdAt: new Date(),
+            },
+          },
+          { upsert: true, returnDocument: 'before' }
+        );
+
+  const change = value - (previousVote?.value ?? 0);
+  if (change === 0) {
+    return { score: target.score ?? 0, value };
+  }
+
+  const updatedTarget = await targetsCollection.findOneAndUpdate(
+    { _id: target._id },
+    { $inc: { score: change } },
+    { returnDocument: 'after' }
+  );
+
+  return { score: updatedTarget?.score ?? 0, value };
+};
+
+/**
+ * Aggregation stages that add vote details to questions or responses
+ * Adds posterReputation (null for anonymous posts) and, when a viewer is
+ * given, myVote (1, -1, or 0) for that viewer. Run after paging so only the
+ * returned documents are looked up.
+ * @param {string} targetType - 'question' or 'response'
+ * @param {string} [viewerId] - Student ObjectId of the viewer
+ * @returns {Array<Object>} Aggregation pipeline stages
+ */
+export const voteDetailStages = (targetType, viewerId) => {
+  const stages = [
+    {
+      $lookup: {
+        from: 'votes',
+        localField: 'posterId',
+        foreignField: 'recipientId',
+        as: 'posterVotes',
+      },
+    },
+    {
+      $addFields: {
+        posterReputation: {
+          $cond: {
+            if: '$isAnonymous',
+            then: null,
+            else: { $sum: '$posterVotes.value' },
+          },
+        },
+      },
+    },
+    { $project: { posterVotes: 0 } },
+  ];
+
+  if (viewerId && isValidObjectId(viewerId)) {
+    stages.push(
+      {
+        $lookup: {
+          from: 'votes',
+          let: { targetId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ['$targetId', '$$targetId'] },
+                targetType,
+                voterId: new ObjectId(viewerId),
+              },
+            },
+          ],
+          as: 'viewerVote',
+        },
+      },
+      {
+        $addFields: {
+          myVote: {
+            $ifNull: [{ $arrayElemAt: ['$viewerVote.value', 0] }, 0],
+          },
+        },
+      },
+      { $project: { viewerVote: 0 } }
+    );
+  }
+
+  return stages;
+};
+
+/**
+ * Deletes all votes on a question and on its responses
+ * @param {string} questionId - Question ObjectId
+ * @returns {Promise<Object>} Deletion result
+ * @throws {Error} If ID is invalid
+ */
+export const deleteVotesByQuestionId = async (questionId) => {
+  if (!isValidObjectId(questionId)) {
+    throw new Error('Invalid question ID');
+  }
+
+  const votesCollection = getCollection(COLLECTIONS.VOTES);
+  const result = await votesCollection.deleteMany({
+    questionId: new ObjectId(questionId),
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
+
+/**
+ * Deletes all votes on a response
+ * @param {string} responseId - Response ObjectId
+ * @returns {Promise<Object>} Deletion result
+ * @throws {Error} If ID is invalid
+ */
+export const deleteVotesByResponseId = async (responseId) => {
+  if (!isValidObjectId(responseId)) {
+    throw new Error('Invalid response ID');
+  }
+
+  const votesCollection = getCollection(COLLECTIONS.VOTES);
+  const result = await votesCollection.deleteMany({
+    targetType: 'response',
+    targetId: new ObjectId(responseId),
+  });
+
+  return { success: true, deletedCount: result.deletedCount };
+};
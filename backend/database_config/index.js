@@ -24,6 +24,17 @@ const COLLECTIONS = {
   QUESTIONS: 'questions',
   RESPONSES: 'responses',
   NOTIFICATIONS: 'notifications',
+  EMAIL_VERIFICATIONS: 'emailVerifications',
+  PASSWORD_RESETS: 'passwordResets',
+  VOTES: 'votes',
+  COMMENTS: 'comments',
+  ATTACHMENTS: 'attachments',
+  REVISIONS: 'revisions',
+  FOLLOWS: 'follows',
+  NOTIFICATION_PREFERENCES: 'notificationPreferences',
+  REPORTS: 'reports',
+  MODERATION_ACTIONS: 'moderationActions',
+  PSEUDONYMS: 'pseudonyms',
 };
 
 export { connectToDb, getDb, closeConnection, getCollection, COLLECTIONS };
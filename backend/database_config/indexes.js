@@ -0,0 +1,246 @@
+/**
+ * Database Indexes
+ * Creates the indexes the data layer relies on
+ */
+
+/**
+ * Text index over question titles and content
+ * Title matches count more toward relevance than body matches.
+ */
+const QUESTION_TEXT_INDEX = {
+  key: { title: 'text', content: 'text' },
+  name: 'question_text',
+  weights: { title: 5, content: 1 },
+  default_language: 'english',
+};
+
+/**
+ * Text index over response content
+ */
+const RESPONSE_TEXT_INDEX = {
+  key: { content: 'text' },
+  name: 'response_text',
+  default_language: 'english',
+};
+
+/**
+ * Vote indexes
+ * One vote per student per post; reputation sums votes by recipient, and
+ * deleting a question removes the votes on it and its responses.
+ */
+const VOTE_INDEXES = [
+  {
+    key: { targetType: 1, targetId: 1, voterId: 1 },
+    name: 'vote_unique',
+    unique: true,
+  },
+  { key: { recipientId: 1 }, name: 'vote_recipient' },
+  { key: { questionId: 1 }, name: 'vote_question' },
+];
+
+/**
+ * Comment indexes
+ * Comment threads are loaded per question, oldest first; deleting a response
+ * removes the comments on it.
+ */
+const COMMENT_INDEXES = [
+  { key: { questionId: 1, createdAt: 1 }, name: 'comment_question' },
+  { key: { targetType: 1, targetId: 1 }, name: 'comment_target' },
+];
+
+/**
+ * Attachment indexes
+ * Deleting a question, response or course removes the files on it.
+ */
+const ATTACHMENT_INDEXES = [
+  { key: { questionId: 1 }, name: 'attachment_question' },
+  { key: { targetType: 1, targetId: 1 }, name: 'attachment_target' },
+  { key: { courseId: 1 }, name: 'attachment_course' },
+];
+
+/**
+ * Revision indexes
+ * One document per version of a post, read in order; deleting a question
+ * removes the history of it and its responses.
+ */
+const REVISION_INDEXES = [
+  {
+    key: { targetType: 1, targetId: 1, revision: 1 },
+    name: 'revision_unique',
+    unique: true,
+  },
+  { key: { questionId: 1 }, name: 'revision_question' },
+];
+
+/**
+ * Trash indexes, on both questions and responses
+ * Each student's trash lists what they deleted, newest first, and the purge
+ * job finds posts deleted before the retention window. Sparse, since only
+ * deleted posts have these fields.
+ */
+const TRASH_INDEXES = [
+  {
+    key: { deletedBy: 1, deletedAt: -1 },
+    name: 'trash_owner',
+    sparse: true,
+  },
+  { key: { deletedAt: 1 }, name: 'trash_expiry', sparse: true },
+];
+
+/**
+ * Question tag index
+ * Tag filters and tag counts are per course; multikey over each question's tags.
+ */
+const QUESTION_TAG_INDEX = {
+  key: { courseId: 1, tags: 1 },
+  name: 'question_tags',
+};
+
+/**
+ * Duplicate link index
+ * A question's page lists the questions marked as duplicates of it. Sparse,
+ * since only duplicates have the field.
+ */
+const QUESTION_DUPLICATE_INDEX = {
+  key: { duplicateOfId: 1 },
+  name: 'question_duplicates',
+  sparse: true,
+};
+
+/**
+ * Unanswered question index
+ * The unanswered alert job looks for unresolved questions by age.
+ */
+const QUESTION_UNANSWERED_INDEX = {
+  key: { isResolved: 1, createdAt: 1 },
+  name: 'question_unanswered',
+};
+
+/**
+ * Follow indexes
+ * One follow per student per question; followers are looked up per question,
+ * and leaving a course removes the student's follows in it.
+ */
+const FOLLOW_INDEXES = [
+  {
+    key: { studentId: 1, questionId: 1 },
+    name: 'follow_unique',
+    unique: true,
+  },
+  { key: { questionId: 1 }, name: 'follow_question' },
+  { key: { studentId: 1, courseId: 1 }, name: 'follow_course' },
+];
+
+/**
+ * Notification preference indexes
+ * One preferences document per student; the digest job finds students by
+ * email frequency and when they last got a digest, and new questions notify
+ * the students who opted in to their course.
+ */
+const NOTIFICATION_PREFERENCE_INDEXES = [
+  {
+    key: { studentId: 1 },
+    name: 'notification_preference_student',
+    unique: true,
+  },
+  {
+    key: { emailFrequency: 1, lastDigestAt: 1 },
+    name: 'notification_preference_digest',
+  },
+  {
+    key: { newQuestionCourseIds: 1 },
+    name: 'notification_preference_new_questions',
+  },
+];
+
+/**
+ * Notification digest index
+ * Digests collect each student's unread notifications that were not emailed.
+ */
+const NOTIFICATION_DIGEST_INDEX = {
+  key: { recipientId: 1, isRead: 1, emailedAt: 1 },
+  name: 'notification_digest',
+};
+
+/**
+ * Report indexes
+ * A student has one open report per post; the moderation queue lists a
+ * course's open reports, and deleting a question removes the reports on it
+ * and its responses.
+ */
+const REPORT_INDEXES = [
+  {
+    key: { targetType: 1, targetId: 1, reporterId: 1 },
+    name: 'report_open_unique',
+    unique: true,
+    partialFilterExpression: { status: 'open' },
+  },
+  { key: { courseId: 1, status: 1, createdAt: 1 }, name: 'report_queue' },
+  { key: { questionId: 1 }, name: 'report_question' },
+];
+
+/**
+ * Moderation audit trail index
+ * Each course's log is read newest first.
+ */
+const MODERATION_ACTION_INDEX = {
+  key: { courseId: 1, createdAt: -1, _id: -1 },
+  name: 'moderation_log',
+};
+
+/**
+ * Pseudonym indexes
+ * A student has one pseudonym per thread, and no two students in a thread
+ * share one.
+ */
+const PSEUDONYM_INDEXES = [
+  {
+    key: { questionId: 1, studentId: 1 },
+    name: 'pseudonym_student_unique',
+    unique: true,
+  },
+  {
+    key: { questionId: 1, animal: 1 },
+    name: 'pseudonym_animal_unique',
+    unique: true,
+  },
+];
+
+/**
+ * Creates all indexes if they do not already exist
+ * Safe to call on every startup; existing indexes are left unchanged.
+ * @param {Db} db - MongoDB database instance
+ * @returns {Promise<void>}
+ */
+const ensureIndexes = async (db) => {
+  await db
+    .collection('questions')
+    .createIndexes([
+      QUESTION_TEXT_INDEX,
+      QUESTION_TAG_INDEX,
+      QUESTION_DUPLICATE_INDEX,
+      QUESTION_UNANSWERED_INDEX,
+      ...TRASH_INDEXES,
+    ]);
+  await db
+    .collection('responses')
+    .createIndexes([RESPONSE_TEXT_INDEX, ...TRASH_INDEXES]);
+  await db.collection('votes').createIndexes(VOTE_INDEXES);
+  await db.collection('comments').createIndexes(COMMENT_INDEXES);
+  await db.collection('attachments').createIndexes(ATTACHMENT_INDEXES);
+  await db.collection('revisions').createIndexes(REVISION_INDEXES);
+  await db.collection('follows').createIndexes(FOLLOW_INDEXES);
+  await db
+    .collection('notificationPreferences')
+    .createIndexes(NOTIFICATION_PREFERENCE_INDEXES);
+  await db
+    .collection('notifications')
+    .createIndexes([NOTIFICATION_DIGEST_INDEX]);
+  await db.collection('reports').createIndexes(REPORT_INDEXES);
+  await db
+    .collection('moderationActions')
+    .createIndexes([MODERATION_ACTION_INDEX]);
+  await db.collection('pseudonyms').createIndexes(PSEUDONYM_INDEXES);
+};
+
+export { ensureIndexes };
@@ -5,6 +5,7 @@
 
 import { MongoClient } from 'mongodb';
 import dotenv from 'dotenv';
+import { ensureIndexes } from './indexes.js';
 
 dotenv.config();
 
@@ -28,6 +29,7 @@ const connectToDb = async () => {
         serverSelectionTimeoutMS: 5000,
       });
       _db = _connection.db(dbName);
+      await ensureIndexes(_db);
       console.log(`Connected to MongoDB: ${dbName}`);
     } catch (error) {
       console.error('MongoDB connection error:', error);
@@ -11,6 +11,7 @@ export default {
   collectCoverageFrom: [
     'data/**/*.js',
     'routes/**/*.js',
+    'jobs/**/*.js',
     'middlewares.js',
     'validation.js',
     '!**/node_modules/**',
@@ -0,0 +1,83 @@
+/**
+ * Background Jobs
+ * Tasks the server runs on a timer while it is up
+ *
+ * Each job runs once when the jobs start and then every intervalMs. A failed
+ * run is logged and the job tries again at its next interval; a run that is
+ * still going when the next one is due is not started twice.
+ */
+
+import { purgeExpiredTrash } from './purgeTrash.js';
+import { sendNotificationDigests } from './sendDigests.js';
+import { alertUnansweredQuestions } from './unansweredAlerts.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Registered jobs
+ * @type {Array<{ name: string, intervalMs: number, run: Function }>}
+ */
+const JOBS = [
+  { name: 'purge-trash', intervalMs: HOUR_MS, run: purgeExpiredTrash },
+  // Often enough for "immediate" email; daily and weekly digests wait for their turn
+  {
+    name: 'notification-digests',
+    intervalMs: 5 * MINUTE_MS,
+    run: sendNotificationDigests,
+  },
+  {
+    name: 'unanswered-alerts',
+    intervalMs: 15 * MINUTE_MS,
+    run: alertUnansweredQuestions,
+  },
+];
+
+let _timers = [];
+
+/**
+ * Runs a job once, logging its result or error
+ * @param {Object} job - Job from JOBS
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  if (job.running) {
+    return;
+  }
+
+  job.running = true;
+  try {
+    const result = await job.run();
+    console.log(`[jobs] ${job.name} finished`, result ?? '');
+  } catch (error) {
+    console.error(`[jobs] ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Starts every job on its schedule
+ * Call after connecting to the database. Does nothing if already started.
+ */
+export const startJobs = () => {
+  if (_timers.length > 0) {
+    return;
+  }
+
+  _timers = JOBS.map((job) => {
+    runJob(job);
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    // Timers alone should not keep the process alive
+    timer.unref();
+    return timer;
+  });
+};
+
+/**
+ * Stops all scheduled jobs (runs in progress finish on their own)
+ */
+export const stopJobs = () => {
+  _timers.forEach((timer) => clearInterval(timer));
+  _timers = [];
+};
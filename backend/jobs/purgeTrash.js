@@ -0,0 +1,74 @@
+/**
+ * Trash Purge Job
+ * Permanently deletes questions and responses whose time in the trash is
+ * over, along with everything attached to them
+ */
+
+import {
+  questionData,
+  responseData,
+  notificationData,
+  voteData,
+  commentData,
+  attachmentData,
+  revisionData,
+  trashData,
+  followData,
+  reportData,
+  anonymityData,
+} from '../data/index.js';
+
+/**
+ * Permanently deletes a question and its whole thread
+ * @param {string} questionId - Question ObjectId
+ * @returns {Promise<void>}
+ */
+export const purgeQuestion = async (questionId) => {
+  // Cascade delete: remove all responses, notifications, votes, comments, attachments, edit history, follows, reports and pseudonyms for this question
+  await responseData.deleteResponsesByQuestionId(questionId);
+  await notificationData.deleteNotificationsByQuestionId(questionId);
+  await voteData.deleteVotesByQuestionId(questionId);
+  await commentData.deleteCommentsByQuestionId(questionId);
+  await attachmentData.deleteAttachmentsByQuestionId(questionId);
+  await revisionData.deleteRevisionsByQuestionId(questionId);
+  await followData.deleteFollowsByQuestionId(questionId);
+  await reportData.deleteReportsByQuestionId(questionId);
+  await anonymityData.deletePseudonymsByQuestionId(questionId);
+
+  await questionData.deleteQuestion(questionId);
+};
+
+/**
+ * Permanently deletes a response and what is attached to it
+ * @param {string} responseId - Response ObjectId
+ * @returns {Promise<void>}
+ */
+export const purgeResponse = async (responseId) => {
+  await voteData.deleteVotesByResponseId(responseId);
+  await commentData.deleteCommentsByResponseId(responseId);
+  await attachmentData.deleteAttachmentsByResponseId(responseId);
+  await revisionData.deleteRevisionsByResponseId(responseId);
+  await reportData.deleteReportsByResponseId(responseId);
+
+  await responseData.deleteResponse(responseId);
+};
+
+/**
+ * Purges every question and response deleted before the retention window
+ * Questions go first, since purging one also removes its responses.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { questions, responses } purged counts
+ */
+export const purgeExpiredTrash = async (now = new Date()) => {
+  const questionIds = await trashData.getExpiredTrashIds('question', now);
+  for (const questionId of questionIds) {
+    await purgeQuestion(questionId);
+  }
+
+  const responseIds = await trashData.getExpiredTrashIds('response', now);
+  for (const responseId of responseIds) {
+    await purgeResponse(responseId);
+  }
+
+  return { questions: questionIds.length, responses: responseIds.length };
+};
@@ -0,0 +1,74 @@
+/**
+ * Notification Digest Job
+ * Emails students their unread notifications, as often as their preferences
+ * ask (immediately, daily or weekly)
+ */
+
+import {
+  studentData,
+  notificationData,
+  notificationPreferenceData,
+} from '../data/index.js';
+import { sendMail } from '../mail/index.js';
+import { notificationDigestEmail } from '../mail/templates.js';
+
+/**
+ * Sends one student their digest, if they have anything to read
+ * Students who have not verified their email are skipped.
+ * @param {string} studentId - Student ObjectId
+ * @param {string} frequency - Student's email frequency
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} True if a digest was sent
+ */
+export const sendDigest = async (studentId, frequency, now) => {
+  const student = await studentData.getStudentById(studentId);
+  if (!student || student.isVerified === false) {
+    return false;
+  }
+
+  const notifications = await notificationData.getDigestNotifications(
+    studentId
+  );
+  if (notifications.length === 0) {
+    return false;
+  }
+
+  const { subject, text } = notificationDigestEmail({
+    firstName: student.firstName,
+    frequency,
+    notifications,
+  });
+  await sendMail({ to: student.universityEmail, subject, text });
+
+  await notificationData.markNotificationsEmailed(
+    notifications.map((notification) => notification._id.toString()),
+    now
+  );
+  await notificationPreferenceData.recordDigestSent(studentId, now);
+  return true;
+};
+
+/**
+ * Sends every digest that is due
+ * A digest that fails is logged and tried again on the next run.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { sent, failed } digest counts
+ */
+export const sendNotificationDigests = async (now = new Date()) => {
+  const due = await notificationPreferenceData.getDueDigests(now);
+
+  let sent = 0;
+  let failed = 0;
+  for (const { studentId, emailFrequency } of due) {
+    try {
+      if (await sendDigest(studentId, emailFrequency, now)) {
+        sent += 1;
+      }
+    } catch (error) {
+      failed += 1;
+      console.error(`[jobs] digest for student ${studentId} failed:`, error);
+    }
+  }
+
+  return { sent, failed };
+};
@@ -0,0 +1,86 @@
+/**
+ * Unanswered Question Alert Job
+ * Notifies course staff about questions nobody has answered after
+ * UNANSWERED_ALERT_HOURS
+ */
+
+import {
+  questionData,
+  courseData,
+  notificationData,
+  anonymityData,
+} from '../data/index.js';
+import { getCourseStaffIds } from '../roles.js';
+
+/**
+ * Hours a question can go unanswered when UNANSWERED_ALERT_HOURS is not set
+ */
+export const DEFAULT_UNANSWERED_ALERT_HOURS = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Questions already this far past the threshold are left alone, so starting
+// the job does not alert staff about a whole backlog of old questions
+const MAX_OVERDUE_MS = 7 * 24 * HOUR_MS;
+
+/**
+ * Gets how many hours a question can go unanswered before staff are alerted
+ * @returns {number} UNANSWERED_ALERT_HOURS, or the default if unset or invalid
+ */
+export const getUnansweredAlertHours = () => {
+  const hours = Number(process.env.UNANSWERED_ALERT_HOURS);
+  return Number.isFinite(hours) && hours > 0
+    ? hours
+    : DEFAULT_UNANSWERED_ALERT_HOURS;
+};
+
+/**
+ * Alerts the staff of each course about its overdue unanswered questions
+ * Each question is alerted about once. Staff who asked the question are not
+ * alerted about it.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { questions, alerts } counts
+ */
+export const alertUnansweredQuestions = async (now = new Date()) => {
+  const hours = getUnansweredAlertHours();
+  const cutoff = new Date(now.getTime() - hours * HOUR_MS);
+  const questions = await questionData.getUnansweredQuestions(
+    cutoff,
+    new Date(cutoff.getTime() - MAX_OVERDUE_MS)
+  );
+
+  const courses = new Map();
+  let alerts = 0;
+  for (const question of questions) {
+    const courseId = question.courseId.toString();
+    if (!courses.has(courseId)) {
+      courses.set(courseId, await courseData.getCourseById(courseId));
+    }
+    const course = courses.get(courseId);
+
+    const posterId = question.posterId.toString();
+    const staffIds = course
+      ? getCourseStaffIds(course).filter((staffId) => staffId !== posterId)
+      : [];
+    // Only staff are alerted, so only a poster hidden from staff is unnamed
+    const senderId = anonymityData.isHiddenFromStaff(question)
+      ? null
+      : posterId;
+    const notifications = await Promise.all(
+      staffIds.map((recipientId) =>
+        notificationData.createNotification({
+          recipientId,
+          questionId: question._id.toString(),
+          senderId,
+          type: 'unanswered_question',
+          message: `"${question.title}" in ${course.courseCode} has had no answer for ${hours} hours`,
+        })
+      )
+    );
+    alerts += notifications.filter(Boolean).length;
+
+    await questionData.markUnansweredAlerted(question._id.toString(), now);
+  }
+
+  return { questions: questions.length, alerts };
+};
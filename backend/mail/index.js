@@ -0,0 +1,85 @@
+/**
+ * Mailer Module
+ * Sends email through the configured transport
+ *
+ * The transport is chosen from MAIL_TRANSPORT ("outbox" or "console") on
+ * first use, and can be replaced at runtime with setMailTransport().
+ */
+
+import path from 'path';
+import { validateString, isValidEmail } from '../validation.js';
+import { createOutboxTransport, createConsoleTransport } from './transports.js';
+
+let _transport = undefined;
+
+/**
+ * Builds the transport described by environment variables
+ * @returns {Object} Mail transport
+ */
+const createTransportFromEnv = () => {
+  const transportName = process.env.MAIL_TRANSPORT || 'outbox';
+
+  switch (transportName) {
+    case 'console':
+      return createConsoleTransport();
+    case 'outbox':
+      return createOutboxTransport(
+        path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox')
+      );
+    default:
+      throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+};
+
+/**
+ * Gets the active mail transport, creating it on first use
+ * @returns {Object} Mail transport
+ */
+export const getMailTransport = () => {
+  if (!_transport) {
+    _transport = createTransportFromEnv();
+  }
+  return _transport;
+};
+
+/**
+ * Replaces the active mail transport
+ * @param {Object|undefined} transport - Object with a send(message) function,
+ *   or undefined to fall back to the environment configuration
+ * @throws {Error} If transport has no send function
+ */
+export const setMailTransport = (transport) => {
+  if (transport !== undefined && typeof transport?.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  _transport = transport;
+};
+
+/**
+ * Sends an email
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient email address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - Optional HTML body
+ * @returns {Promise<Object>} Transport delivery result
+ * @throws {Error} If validation fails
+ */
+export const sendMail = async (message) => {
+  const to = validateString(message?.to, 'Recipient');
+  if (!isValidEmail(to)) {
+    throw new Error('Recipient must be a valid email address');
+  }
+  const subject = validateString(message.subject, 'Subject', 1, 200);
+  const text = validateString(message.text, 'Body', 1, 20000);
+
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'Peer-Tutor Connect <no-reply@stevens.edu>',
+    to,
+    subject,
+    text,
+    ...(message.html && { html: message.html }),
+  });
+};
+
+export { createOutboxTransport, createConsoleTransport };
@@ -0,0 +1,133 @@
+/**
+ * Mail Templates
+ * Builds subject and body text for outgoing emails
+ */
+
+/**
+ * Gets the base URL of the frontend for links in emails
+ * @returns {string} Frontend URL without trailing slash
+ */
+export const getFrontendUrl = () => {
+  return (process.env.FRONTEND_URL || 'http://localhost:5173').replace(
+    /\/+$/,
+    ''
+  );
+};
+
+/**
+ * Builds the email verification message
+ * @param {Object} params - Template parameters
+ * @param {string} params.firstName - Recipient first name
+ * @param {string} params.token - Raw verification token
+ * @returns {Object} Message with subject and text
+ */
+export const verificationEmail = ({ firstName, token }) => {
+  const link = `${getFrontendUrl()}/verify-email?token=${encodeURIComponent(
+    token
+  )}`;
+
+  return {
+    subject: 'Verify your Peer-Tutor Connect account',
+    text: [
+      `Hi ${firstName},`,
+      '',
+      'Welcome to Peer-Tutor Connect! Please confirm your Stevens email address by opening the link below:',
+      '',
+      link,
+      '',
+      'This link expires in 24 hours. If you did not create an account, you can ignore this email.',
+    ].join('\n'),
+  };
+};
+
+/**
+ * Builds the password reset message
+ * @param {Object} params - Template parameters
+ * @param {string} params.firstName - Recipient first name
+ * @param {string} params.token - Raw reset token
+ * @returns {Object} Message with subject and text
+ */
+export const passwordResetEmail = ({ firstName, token }) => {
+  const link = `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(
+    token
+  )}`;
+
+  return {
+    subject: 'Reset your Peer-Tutor Connect password',
+    text: [
+      `Hi ${firstName},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      '',
+      link,
+      '',
+      'This link expires in 1 hour and can only be used once. If you did not request a reset, you can ignore this email.',
+    ].join('\n'),
+  };
+};
+
+/**
+ * Builds the notice sent after a password changes
+ * @param {Object} params - Template parameters
+ * @param {string} params.firstName - Recipient first name
+ * @returns {Object} Message with subject and text
+ */
+export const passwordChangedEmail = ({ firstName }) => {
+  return {
+    subject: 'Your Peer-Tutor Connect password was changed',
+    text: [
+      `Hi ${firstName},`,
+      '',
+      'The password for your Peer-Tutor Connect account was just changed.',
+      '',
+      `If this wasn't you, reset your password right away at ${getFrontendUrl()}/forgot-password.`,
+    ].join('\n'),
+  };
+};
+
+// Most notifications listed in one digest; the rest are counted
+const MAX_DIGEST_ITEMS = 20;
+
+const DIGEST_SUBJECTS = {
+  daily: 'Your daily Peer-Tutor Connect digest',
+  weekly: 'Your weekly Peer-Tutor Connect digest',
+};
+
+/**
+ * Builds an email digest of notifications
+ * @param {Object} params - Template parameters
+ * @param {string} params.firstName - Recipient first name
+ * @param {string} params.frequency - Email frequency (immediate, daily or weekly)
+ * @param {Array<Object>} params.notifications - Notification documents, newest first
+ * @returns {Object} Message with subject and text
+ */
+export const notificationDigestEmail = ({
+  firstName,
+  frequency,
+  notifications,
+}) => {
+  const count = notifications.length;
+  const countText = `${count} new notification${count === 1 ? '' : 's'}`;
+  const listed = notifications.slice(0, MAX_DIGEST_ITEMS);
+
+  const lines = listed.flatMap((notification) => [
+    `- ${notification.message}`,
+    `  ${getFrontendUrl()}/questions/${notification.questionId}`,
+  ]);
+  if (count > listed.length) {
+    lines.push(`...and ${count - listed.length} more.`);
+  }
+
+  return {
+    subject: DIGEST_SUBJECTS[frequency] || `${countText} on Peer-Tutor Connect`,
+    text: [
+      `Hi ${firstName},`,
+      '',
+      `You have ${countText} on Peer-Tutor Connect:`,
+      '',
+      ...lines,
+      '',
+      `To choose which notifications you get and how often they are emailed, visit ${getFrontendUrl()}/account/notifications.`,
+    ].join('\n'),
+  };
+};
@@ -0,0 +1,53 @@
+/**
+ * Mail Transports
+ * Interchangeable delivery backends used by the mailer
+ *
+ * A transport is any object exposing `send(message)` that resolves once the
+ * message has been handed off. Messages have the shape
+ * `{ to, subject, text, html? }`.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Creates a transport that writes each message as a JSON file
+ * Used in development and tests instead of a real mail server
+ * @param {string} outboxDir - Directory to write messages into
+ * @returns {Object} Transport with send() and name
+ */
+export const createOutboxTransport = (outboxDir) => {
+  return {
+    name: 'outbox',
+    send: async (message) => {
+      await fs.mkdir(outboxDir, { recursive: true });
+      const sentAt = new Date();
+      const fileName = `${sentAt.getTime()}-${crypto
+        .randomBytes(4)
+        .toString('hex')}.json`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.writeFile(
+        filePath,
+        JSON.stringify({ ...message, sentAt: sentAt.toISOString() }, null, 2)
+      );
+      return { accepted: [message.to], filePath };
+    },
+  };
+};
+
+/**
+ * Creates a transport that prints messages to the console
+ * @returns {Object} Transport with send() and name
+ */
+export const createConsoleTransport = () => {
+  return {
+    name: 'console',
+    send: async (message) => {
+      console.log(
+        `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+      );
+      return { accepted: [message.to] };
+    },
+  };
+};
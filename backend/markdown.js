@@ -0,0 +1,256 @@
+/**
+ * Markdown Rendering
+ * Renders post content to sanitized HTML: a safe Markdown subset with
+ * highlighted fenced code blocks and LaTeX math
+ */
+
+import { Marked } from 'marked';
+import { markedHighlight } from 'marked-highlight';
+import hljs from 'highlight.js';
+import katex from 'katex';
+import sanitizeHtml from 'sanitize-html';
+
+/**
+ * Escapes text for use in HTML content or a quoted attribute
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Renders TeX with KaTeX; invalid TeX is shown in red instead of throwing
+ * @param {string} tex - TeX source
+ * @param {boolean} displayMode - Render as a centered block
+ * @returns {string} KaTeX HTML and MathML
+ */
+const renderMath = (tex, displayMode) =>
+  katex.renderToString(tex, {
+    displayMode,
+    throwOnError: false,
+    maxSize: 10,
+    maxExpand: 100,
+  });
+
+// $$...$$ on its own lines
+const blockMath = {
+  name: 'blockMath',
+  level: 'block',
+  start: (src) => src.match(/^\$\$/m)?.index,
+  tokenizer(src) {
+    const match = /^\$\$([\s\S]+?)\$\$(?:\n+|$)/.exec(src);
+    if (match) {
+      return { type: 'blockMath', raw: match[0], text: match[1].trim() };
+    }
+  },
+  renderer: (token) => `<p>${renderMath(token.text, true)}</p>\n`,
+};
+
+// $...$ within a line; the $ must hug the math so prices like "$5 and $10"
+// stay text
+const inlineMath = {
+  name: 'inlineMath',
+  level: 'inline',
+  start: (src) => src.indexOf('$'),
+  tokenizer(src) {
+    const match = /^\$(?!\s)((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/.exec(src);
+    if (match) {
+      return { type: 'inlineMath', raw: match[0], text: match[1] };
+    }
+  },
+  renderer: (token) => renderMath(token.text, false),
+};
+
+const marked = new Marked(
+  markedHighlight({
+    emptyLangClass: 'hljs',
+    langPrefix: 'hljs language-',
+    highlight(code, lang) {
+      const language = hljs.getLanguage(lang) ? lang : 'plaintext';
+      return hljs.highlight(code, { language }).value;
+    },
+  }),
+  {
+    gfm: true,
+    // Single newlines stay line breaks, as they were in plain-text posts
+    breaks: true,
+    extensions: [blockMath, inlineMath],
+    renderer: {
+      // Raw HTML is shown as typed rather than interpreted
+      html: ({ text }) => escapeHtml(text),
+      // Images are not embedded; link to them instead
+      image: ({ href, text }) =>
+        `<a href="${escapeHtml(href)}">${escapeHtml(text || href)}</a>`,
+    },
+  }
+);
+
+// Elements KaTeX uses for its MathML (screen reader) output
+const MATHML_TAGS = [
+  'math',
+  'semantics',
+  'annotation',
+  'mrow',
+  'mi',
+  'mn',
+  'mo',
+  'ms',
+  'mtext',
+  'mspace',
+  'msup',
+  'msub',
+  'msubsup',
+  'mfrac',
+  'msqrt',
+  'mroot',
+  'mover',
+  'munder',
+  'munderover',
+  'mtable',
+  'mtr',
+  'mtd',
+  'mstyle',
+  'mpadded',
+  'mphantom',
+  'menclose',
+];
+
+const MATHML_ATTRIBUTES = [
+  'xmlns',
+  'display',
+  'encoding',
+  'mathvariant',
+  'stretchy',
+  'fence',
+  'separator',
+  'lspace',
+  'rspace',
+  'width',
+  'height',
+  'depth',
+  'accent',
+  'accentunder',
+  'linethickness',
+  'scriptlevel',
+  'displaystyle',
+  'columnalign',
+  'rowspacing',
+  'columnspacing',
+  'notation',
+  'minsize',
+  'maxsize',
+  'movablelimits',
+];
+
+// Lengths KaTeX sets inline to lay out math
+const LENGTH = [/^-?\d*\.?\d+(em|ex)?$/];
+
+/**
+ * Allowlist applied to every rendered post
+ * Rendering already escapes raw HTML; this is the backstop that guarantees no
+ * scripts, event handlers, or unsafe URLs reach the browser.
+ */
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p',
+    'br',
+    'hr',
+    'h1',
+    'h2',
+    'h3',
+    'h4',
+    'h5',
+    'h6',
+    'strong',
+    'em',
+    'del',
+    'blockquote',
+    'ul',
+    'ol',
+    'li',
+    'input',
+    'a',
+    'code',
+    'pre',
+    'table',
+    'thead',
+    'tbody',
+    'tr',
+    'th',
+    'td',
+    'span',
+    'svg',
+    'path',
+    ...MATHML_TAGS,
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    ol: ['start'],
+    input: ['type', 'checked', 'disabled'],
+    th: ['align'],
+    td: ['align'],
+    code: ['class'],
+    span: ['class', 'style', 'aria-hidden'],
+    svg: ['xmlns', 'width', 'height', 'viewBox', 'preserveAspectRatio'],
+    path: ['d'],
+    ...Object.fromEntries(MATHML_TAGS.map((tag) => [tag, MATHML_ATTRIBUTES])),
+  },
+  allowedClasses: {
+    code: ['hljs', 'language-*'],
+  },
+  allowedStyles: {
+    span: {
+      height: LENGTH,
+      width: LENGTH,
+      'min-width': LENGTH,
+      top: LENGTH,
+      left: LENGTH,
+      'margin-left': LENGTH,
+      'margin-right': LENGTH,
+      'padding-left': LENGTH,
+      'border-bottom-width': LENGTH,
+      'vertical-align': LENGTH,
+      position: [/^relative$/],
+      color: [/^#[0-9a-f]{3,6}$/i, /^[a-z]+$/i],
+    },
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  // Task list checkboxes only
+  exclusiveFilter: (frame) =>
+    frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', {
+      target: '_blank',
+      rel: 'noopener noreferrer nofollow',
+    }),
+  },
+};
+
+/**
+ * Renders post content (Markdown with LaTeX) to sanitized HTML
+ * @param {string} content - Markdown source as stored on the post
+ * @returns {string} Safe HTML
+ */
+export const renderMarkdown = (content) => {
+  if (typeof content !== 'string') {
+    return '';
+  }
+  return sanitizeHtml(marked.parse(content), SANITIZE_OPTIONS);
+};
+
+/**
+ * Fills in contentHtml for posts stored before Markdown rendering
+ * @param {Object|null} post - Question or response document
+ * @returns {Object|null} The post with contentHtml set
+ */
+export const withContentHtml = (post) => {
+  if (!post || typeof post.contentHtml === 'string') {
+    return post;
+  }
+  return { ...post, contentHtml: renderMarkdown(post.content) };
+};
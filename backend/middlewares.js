@@ -1,8 +1,36 @@
 /**
  * Express Middleware Functions
- * Authentication, error handling, and utility middleware
+ * Authentication, authorization, error handling, and utility middleware
  */
 
+import {
+  studentData,
+  courseData,
+  questionData,
+  responseData,
+  commentData,
+  attachmentData,
+} from './data/index.js';
+import { isValidObjectId } from './validation.js';
+import {
+  ROLES,
+  getAccountRole,
+  resolveCourseRole,
+  isCourseStaff,
+} from './roles.js';
+
+/**
+ * Creates an error that errorHandler responds to with the given status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message sent to the client
+ * @returns {Error} Error with statusCode set
+ */
+export const createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
 /**
  * Authentication middleware
  * Checks if user is logged in via session
@@ -20,6 +48,275 @@ export const requireAuth = (req, res, next) => {
   next();
 };
 
+/**
+ * Account role middleware factory
+ * Reads the role from the database rather than the session so role changes
+ * take effect without signing out. Sets req.userRole for later handlers.
+ * @param {...string} roles - Account roles allowed through (e.g. 'admin')
+ * @returns {Function} Express middleware
+ */
+export const requireRole = (...roles) => {
+  return async (req, res, next) => {
+    if (!req.session || !req.session.student) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required. Please log in.',
+      });
+    }
+
+    try {
+      const student = await studentData.getStudentById(req.session.student.id);
+      const role = getAccountRole(student);
+
+      if (!student || !roles.includes(role)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to perform this action',
+        });
+      }
+
+      req.userRole = role;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Course role middleware factory
+ * Allows the request through when the student holds one of the given roles
+ * in the course. Admins are always allowed. Sets req.course and
+ * req.courseRole for later handlers.
+ * @param {Array<string>} roles - Course roles allowed through (e.g. ['instructor', 'ta'])
+ * @param {Function} [getCourseId] - Resolves the course ID from the request
+ *   (may be async); defaults to req.params.courseId
+ * @param {string} [deniedMessage] - Error message for the 403 response
+ * @returns {Function} Express middleware
+ */
+export const requireCourseRole = (
+  roles,
+  getCourseId = (req) => req.params.courseId,
+  deniedMessage = 'You do not have permission to perform this action in this course'
+) => {
+  return async (req, res, next) => {
+    if (!req.session || !req.session.student) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required. Please log in.',
+      });
+    }
+
+    try {
+      const courseId = String((await getCourseId(req)) ?? '');
+      if (!isValidObjectId(courseId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid course ID',
+        });
+      }
+
+      const [course, student] = await Promise.all([
+        courseData.getCourseById(courseId),
+        studentData.getStudentById(req.session.student.id),
+      ]);
+
+      if (!course) {
+        return res.status(404).json({
+          success: false,
+          error: 'Course not found',
+        });
+      }
+
+      const courseRole = resolveCourseRole(course, student);
+      if (courseRole !== ROLES.ADMIN && !roles.includes(courseRole)) {
+        return res.status(403).json({
+          success: false,
+          error: deniedMessage,
+        });
+      }
+
+      req.course = course;
+      req.courseRole = courseRole;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Course membership middleware factory
+ * Allows enrolled students, course staff, and admins through.
+ * @param {Function} [getCourseId] - Resolves the course ID from the request
+ *   (may be async); defaults to req.params.courseId
+ * @returns {Function} Express middleware
+ */
+export const requireCourseMember = (getCourseId) => {
+  return requireCourseRole(
+    [ROLES.STUDENT, ROLES.TA, ROLES.INSTRUCTOR],
+    getCourseId,
+    'You are not enrolled in this course'
+  );
+};
+
+/**
+ * Course ID resolver for routes addressed by question
+ * @param {Function} getQuestionId - Reads the question ID from the request
+ * @returns {Function} Resolver for requireCourseRole/requireCourseMember
+ */
+export const courseIdFromQuestion = (getQuestionId) => {
+  return async (req) => {
+    const questionId = getQuestionId(req);
+    if (!isValidObjectId(questionId)) {
+      throw createHttpError(400, 'Invalid question ID');
+    }
+
+    const question = await questionData.getQuestionById(questionId);
+    if (!question) {
+      throw createHttpError(404, 'Question not found');
+    }
+
+    return question.courseId;
+  };
+};
+
+/**
+ * Course ID resolver for routes addressed by response
+ * @param {Function} getResponseId - Reads the response ID from the request
+ * @returns {Function} Resolver for requireCourseRole/requireCourseMember
+ */
+export const courseIdFromResponse = (getResponseId) => {
+  return async (req) => {
+    const responseId = getResponseId(req);
+    if (!isValidObjectId(responseId)) {
+      throw createHttpError(400, 'Invalid response ID');
+    }
+
+    const response = await responseData.getResponseById(responseId);
+    if (!response) {
+      throw createHttpError(404, 'Response not found');
+    }
+
+    const question = await questionData.getQuestionById(
+      response.questionId.toString()
+    );
+    if (!question) {
+      throw createHttpError(404, 'Question not found');
+    }
+
+    return question.courseId;
+  };
+};
+
+/**
+ * Question ID resolver for routes addressed by response
+ * @param {Function} getResponseId - Reads the response ID from the request
+ * @returns {Function} Resolver for requireVisibleQuestion
+ */
+export const questionIdFromResponse = (getResponseId) => {
+  return async (req) => {
+    const responseId = getResponseId(req);
+    if (!isValidObjectId(responseId)) {
+      throw createHttpError(400, 'Invalid response ID');
+    }
+
+    const response = await responseData.getResponseById(responseId);
+    if (!response) {
+      throw createHttpError(404, 'Response not found');
+    }
+
+    return response.questionId;
+  };
+};
+
+/**
+ * Course ID resolver for routes addressed by comment
+ * @param {Function} getCommentId - Reads the comment ID from the request
+ * @returns {Function} Resolver for requireCourseRole/requireCourseMember
+ */
+export const courseIdFromComment = (getCommentId) => {
+  return async (req) => {
+    const commentId = getCommentId(req);
+    if (!isValidObjectId(commentId)) {
+      throw createHttpError(400, 'Invalid comment ID');
+    }
+
+    const comment = await commentData.getCommentById(commentId);
+    if (!comment) {
+      throw createHttpError(404, 'Comment not found');
+    }
+
+    const question = await questionData.getQuestionById(
+      comment.questionId.toString()
+    );
+    if (!question) {
+      throw createHttpError(404, 'Question not found');
+    }
+
+    return question.courseId;
+  };
+};
+
+/**
+ * Course ID resolver for routes addressed by attachment
+ * @param {Function} getAttachmentId - Reads the attachment ID from the request
+ * @returns {Function} Resolver for requireCourseRole/requireCourseMember
+ */
+export const courseIdFromAttachment = (getAttachmentId) => {
+  return async (req) => {
+    const attachmentId = getAttachmentId(req);
+    if (!isValidObjectId(attachmentId)) {
+      throw createHttpError(400, 'Invalid attachment ID');
+    }
+
+    const attachment = await attachmentData.getAttachmentById(attachmentId);
+    if (!attachment) {
+      throw createHttpError(404, 'Attachment not found');
+    }
+
+    return attachment.courseId;
+  };
+};
+
+/**
+ * Private question middleware factory
+ * Must follow a course membership check. Responds 404 when the question is
+ * private and the student is neither its poster nor course staff, so that
+ * private questions cannot be told apart from missing ones.
+ * @param {Function} getQuestionId - Resolves the question ID from the request
+ *   (may be async)
+ * @returns {Function} Express middleware
+ */
+export const requireVisibleQuestion = (getQuestionId) => {
+  return async (req, res, next) => {
+    try {
+      const questionId = String((await getQuestionId(req)) ?? '');
+      const question = isValidObjectId(questionId)
+        ? await questionData.getQuestionById(questionId)
+        : null;
+
+      if (
+        !question ||
+        !questionData.canViewQuestion(
+          question,
+          req.session.student.id,
+          isCourseStaff(req.courseRole)
+        )
+      ) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question not found',
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 /**
  * Logging middleware
  * Logs all incoming requests
@@ -0,0 +1,126 @@
+/**
+ * Pagination
+ * Cursor encoding and query helpers for lists ordered by createdAt, then _id
+ */
+
+import { ObjectId } from 'mongodb';
+
+/**
+ * Page size used when a request does not give a limit
+ */
+export const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Largest page size a request may ask for
+ */
+export const MAX_PAGE_SIZE = 50;
+
+/**
+ * Encodes the position of a document as an opaque cursor
+ * @param {Object} doc - Document with createdAt and _id (and score when byScore)
+ * @param {Object} [options] - Cursor options
+ * @param {boolean} [options.byScore] - Include the score, for lists ordered by
+ *   score before createdAt
+ * @returns {string} URL-safe cursor
+ */
+export const encodeCursor = (doc, { byScore = false } = {}) => {
+  const position = `${new Date(doc.createdAt).getTime()}:${doc._id.toString()}`;
+  return Buffer.from(
+    byScore ? `${position}:${doc.score ?? 0}` : position
+  ).toString('base64url');
+};
+
+/**
+ * Decodes a cursor made by encodeCursor
+ * @param {string} cursor - Cursor string
+ * @returns {{createdAt: Date, _id: ObjectId, score: number|undefined}} Position
+ *   of the last document seen
+ * @throws {Error} If the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string' || cursor.length === 0) {
+    throw new Error('Invalid cursor');
+  }
+
+  const [time, id, score, ...rest] = Buffer.from(cursor, 'base64url')
+    .toString()
+    .split(':');
+  if (
+    !/^\d+$/.test(time || '') ||
+    !ObjectId.isValid(id || '') ||
+    (score !== undefined && !/^-?\d+$/.test(score)) ||
+    rest.length > 0
+  ) {
+    throw new Error('Invalid cursor');
+  }
+
+  return {
+    createdAt: new Date(Number(time)),
+    _id: new ObjectId(id),
+    score: score === undefined ? undefined : Number(score),
+  };
+};
+
+/**
+ * Checks whether a value is a well-formed cursor
+ * @param {string} cursor - Cursor string
+ * @param {Object} [options] - Cursor options
+ * @param {boolean} [options.byScore] - Require a score-ordered cursor
+ * @returns {boolean} True if afterCursor would accept it
+ */
+export const isValidCursor = (cursor, { byScore = false } = {}) => {
+  try {
+    const { score } = decodeCursor(cursor);
+    return byScore === (score !== undefined);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Builds a filter matching documents after a cursor in a createdAt/_id ordering
+ * With byScore the ordering is score (highest first), then createdAt/_id.
+ * @param {string} cursor - Cursor from a previous page
+ * @param {number} direction - -1 for newest first, 1 for oldest first
+ * @param {Object} [options] - Cursor options
+ * @param {boolean} [options.byScore] - Order by score before createdAt
+ * @returns {Object} MongoDB filter
+ * @throws {Error} If the cursor is malformed or of the wrong kind
+ */
+export const afterCursor = (cursor, direction, { byScore = false } = {}) => {
+  const { createdAt, _id, score } = decodeCursor(cursor);
+  if (byScore !== (score !== undefined)) {
+    throw new Error('Invalid cursor');
+  }
+
+  const op = direction < 0 ? '$lt' : '$gt';
+  const position = [
+    { createdAt: { [op]: createdAt } },
+    { createdAt, _id: { [op]: _id } },
+  ];
+  if (!byScore) {
+    return { $or: position };
+  }
+
+  return {
+    $or: [
+      { score: { $lt: score } },
+      ...position.map((filter) => ({ score, ...filter })),
+    ],
+  };
+};
+
+/**
+ * Splits a fetched batch into one page and the cursor for the next
+ * Fetch limit + 1 documents; the extra one only signals that more exist.
+ * @param {Array} docs - Up to limit + 1 documents in page order
+ * @param {number} limit - Page size
+ * @param {Object} [options] - Cursor options passed to encodeCursor
+ * @returns {{items: Array, nextCursor: string|null}} Page and next cursor
+ */
+export const toPage = (docs, limit, options = {}) => {
+  const items = docs.slice(0, limit);
+  const nextCursor =
+    docs.length > limit ? encodeCursor(items[items.length - 1], options) : null;
+  return { items, nextCursor };
+};
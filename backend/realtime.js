@@ -0,0 +1,109 @@
+/**
+ * Realtime Events
+ * In-process publish/subscribe for pushing updates to Server-Sent Event streams
+ */
+
+/**
+ * Milliseconds between keep-alive comments on an open stream
+ */
+export const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * Milliseconds the browser waits before reconnecting a dropped stream
+ */
+export const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Event names sent to clients
+ */
+export const EVENTS = {
+  NOTIFICATION: 'notification',
+  QUESTION_CREATED: 'question_created',
+  RESPONSE_CREATED: 'response_created',
+  COMMENT_CREATED: 'comment_created',
+};
+
+// Channel name -> Set of send functions
+const subscribers = new Map();
+
+/**
+ * Channel carrying a student's own notifications
+ * @param {string|ObjectId} studentId - Student ObjectId
+ * @returns {string} Channel name
+ */
+export const studentChannel = (studentId) => `student:${studentId.toString()}`;
+
+/**
+ * Channel carrying new questions in a course
+ * @param {string|ObjectId} courseId - Course ObjectId
+ * @returns {string} Channel name
+ */
+export const courseChannel = (courseId) => `course:${courseId.toString()}`;
+
+/**
+ * Channel carrying new responses and comments on a question
+ * @param {string|ObjectId} questionId - Question ObjectId
+ * @returns {string} Channel name
+ */
+export const questionChannel = (questionId) =>
+  `question:${questionId.toString()}`;
+
+/**
+ * Registers a listener on one or more channels
+ * @param {Array<string>} channels - Channel names
+ * @param {Function} send - Called with (event, data) for each publish
+ * @returns {Function} Removes the listener from every channel
+ */
+export const subscribe = (channels, send) => {
+  for (const channel of channels) {
+    if (!subscribers.has(channel)) {
+      subscribers.set(channel, new Set());
+    }
+    subscribers.get(channel).add(send);
+  }
+
+  return () => {
+    for (const channel of channels) {
+      const listeners = subscribers.get(channel);
+      if (!listeners) {
+        continue;
+      }
+      listeners.delete(send);
+      if (listeners.size === 0) {
+        subscribers.delete(channel);
+      }
+    }
+  };
+};
+
+/**
+ * Sends an event to every listener on a channel
+ * A failing listener is logged and does not stop delivery to the others.
+ * @param {string} channel - Channel name
+ * @param {string} event - Event name from EVENTS
+ * @param {Object} data - JSON-serializable payload
+ */
+export const publish = (channel, event, data) => {
+  const listeners = subscribers.get(channel);
+  if (!listeners) {
+    return;
+  }
+
+  for (const send of [...listeners]) {
+    try {
+      send(event, data);
+    } catch (error) {
+      console.error(`Failed to deliver ${event} on ${channel}:`, error);
+    }
+  }
+};
+
+/**
+ * Formats one Server-Sent Event frame
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serializable payload
+ * @returns {string} Frame ready to write to the response
+ */
+export const formatEvent = (event, data) => {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+};
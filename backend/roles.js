@@ -0,0 +1,108 @@
+/**
+ * Roles
+ * Account and course role constants, and resolution of a student's role in a course
+ */
+
+/**
+ * Role names
+ * Account roles are stored on the student document; course roles (instructor
+ * and TA) come from the course document's staff arrays.
+ */
+export const ROLES = {
+  STUDENT: 'student',
+  TA: 'ta',
+  INSTRUCTOR: 'instructor',
+  ADMIN: 'admin',
+};
+
+/**
+ * Roles that can be stored on a student account
+ */
+export const ACCOUNT_ROLES = [ROLES.STUDENT, ROLES.INSTRUCTOR, ROLES.ADMIN];
+
+/**
+ * Course roles that count as course staff
+ */
+export const COURSE_STAFF_ROLES = [ROLES.INSTRUCTOR, ROLES.TA];
+
+/**
+ * Course document field that holds each staff role
+ */
+export const STAFF_FIELDS = {
+  [ROLES.INSTRUCTOR]: 'instructors',
+  [ROLES.TA]: 'teachingAssistants',
+};
+
+/**
+ * Gets a student's account role, treating documents created before roles
+ * existed as plain students
+ * @param {Object|null} student - Student document
+ * @returns {string} Account role
+ */
+export const getAccountRole = (student) => {
+  return (student && student.role) || ROLES.STUDENT;
+};
+
+/**
+ * Determines the role a student holds in a course
+ * @param {Object|null} course - Course document
+ * @param {Object|null} student - Student document
+ * @returns {string|null} 'admin', 'instructor', 'ta', 'student', or null if not a member
+ */
+export const resolveCourseRole = (course, student) => {
+  if (!course || !student) {
+    return null;
+  }
+
+  if (getAccountRole(student) === ROLES.ADMIN) {
+    return ROLES.ADMIN;
+  }
+
+  const studentId = student._id.toString();
+  const includesStudent = (ids = []) =>
+    ids.some((id) => id.toString() === studentId);
+
+  if (includesStudent(course.instructors)) {
+    return ROLES.INSTRUCTOR;
+  }
+  if (includesStudent(course.teachingAssistants)) {
+    return ROLES.TA;
+  }
+  if (includesStudent(course.enrolledStudents)) {
+    return ROLES.STUDENT;
+  }
+
+  return null;
+};
+
+/**
+ * Gets the IDs of a course's staff (instructors and TAs)
+ * @param {Object} course - Course document
+ * @returns {Array<string>} Student ObjectIds as strings, without duplicates
+ */
+export const getCourseStaffIds = (course) => {
+  const ids = COURSE_STAFF_ROLES.flatMap(
+    (role) => course[STAFF_FIELDS[role]] || []
+  );
+  return [...new Set(ids.map(String))];
+};
+
+/**
+ * Gets the IDs of everyone in a course, enrolled students and staff
+ * @param {Object} course - Course document
+ * @returns {Array<string>} Student ObjectIds as strings, without duplicates
+ */
+export const getCourseMemberIds = (course) => {
+  const enrolledIds = (course.enrolledStudents || []).map(String);
+  return [...new Set([...enrolledIds, ...getCourseStaffIds(course)])];
+};
+
+/**
+ * Checks whether a course role can moderate the course
+ * Admins count as staff in every course.
+ * @param {string|null} courseRole - Role from resolveCourseRole
+ * @returns {boolean} True for instructors, TAs, and admins
+ */
+export const isCourseStaff = (courseRole) => {
+  return courseRole === ROLES.ADMIN || COURSE_STAFF_ROLES.includes(courseRole);
+};
@@ -0,0 +1,83 @@
+/**
+ * Admin Routes
+ * Site-wide account administration (admin only)
+ */
+
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { requireRole } from '../middlewares.js';
+import { studentData } from '../data/index.js';
+import { isValidObjectId } from '../validation.js';
+import { ROLES, ACCOUNT_ROLES } from '../roles.js';
+
+const router = express.Router();
+
+/**
+ * PATCH /api/admin/students/:studentId/role
+ * Change a student's account role
+ */
+router.patch(
+  '/students/:studentId/role',
+  requireRole(ROLES.ADMIN),
+  [
+    param('studentId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid student ID');
+      }
+      return true;
+    }),
+    body('role')
+      .isIn(ACCOUNT_ROLES)
+      .withMessage(`Role must be one of: ${ACCOUNT_ROLES.join(', ')}`),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { studentId } = req.params;
+      const { role } = req.body;
+
+      // Prevent admins from locking themselves out
+      if (studentId === req.session.student.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot change your own role',
+        });
+      }
+
+      const student = await studentData.getStudentById(studentId);
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          error: 'Student not found',
+        });
+      }
+
+      const updatedStudent = await studentData.updateStudentRole(
+        studentId,
+        role
+      );
+
+      res.json({
+        success: true,
+        student: {
+          id: updatedStudent._id.toString(),
+          firstName: updatedStudent.firstName,
+          lastName: updatedStudent.lastName,
+          email: updatedStudent.universityEmail,
+          role: updatedStudent.role,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,275 @@
+/**
+ * Attachments Routes
+ * File uploads for questions and responses
+ *
+ * Files are uploaded first and attached when the post is created, by passing
+ * their IDs as attachmentIds to POST /api/questions or POST /api/responses.
+ */
+
+import express from 'express';
+import multer from 'multer';
+import { body, param, validationResult } from 'express-validator';
+import {
+  requireAuth,
+  requireCourseMember,
+  courseIdFromAttachment,
+  createHttpError,
+} from '../middlewares.js';
+import {
+  attachmentData,
+  questionData,
+  responseData,
+  moderationData,
+} from '../data/index.js';
+import { isValidObjectId } from '../validation.js';
+import { isCourseStaff } from '../roles.js';
+
+const router = express.Router();
+
+// Uploads are held in memory until they are validated and stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: attachmentData.MAX_ATTACHMENT_SIZE, files: 1 },
+});
+
+/**
+ * Reads the single "file" field of a multipart upload into req.file
+ * Upload errors become 400/413 responses instead of 500s.
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next function
+ */
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(
+        error.code === 'LIMIT_FILE_SIZE'
+          ? createHttpError(413, 'File must not exceed 5 MB')
+          : createHttpError(400, error.message)
+      );
+    }
+    next(error);
+  });
+};
+
+/**
+ * POST /api/attachments
+ * Upload a file (multipart field "file") to a course the student belongs to
+ * Returns the attachment to reference from a new question or response.
+ */
+router.post(
+  '/',
+  requireAuth,
+  receiveFile,
+  [
+    body('courseId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid course ID');
+      }
+      return true;
+    }),
+  ],
+  requireCourseMember((req) => req.body.courseId),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'File is required',
+        });
+      }
+
+      try {
+        attachmentData.validateAttachmentFile(
+          req.file.buffer,
+          req.file.mimetype
+        );
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError.message,
+        });
+      }
+
+      const attachment = await attachmentData.createAttachment({
+        courseId: req.body.courseId,
+        uploaderId: req.session.student.id,
+        fileName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        buffer: req.file.buffer,
+      });
+
+      res.status(201).json({
+        success: true,
+        attachment: attachmentData.toAttachmentSummary(attachment),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/attachments/:attachmentId
+ * Download an attachment (course members; unattached uploads only by their uploader)
+ * An attached file can only be downloaded by those who can see its post: not
+ * once the post is in the trash, and a private question's or hidden post's
+ * files only by course staff and the poster. Images are shown inline; other
+ * files download.
+ */
+router.get(
+  '/:attachmentId',
+  requireAuth,
+  [
+    param('attachmentId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid attachment ID');
+      }
+      return true;
+    }),
+  ],
+  requireCourseMember(courseIdFromAttachment((req) => req.params.attachmentId)),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const attachment = await attachmentData.getAttachmentById(
+        req.params.attachmentId
+      );
+      if (
+        !attachment ||
+        (!attachment.targetId &&
+          attachment.uploaderId.toString() !== req.session.student.id)
+      ) {
+        return res.status(404).json({
+          success: false,
+          error: 'Attachment not found',
+        });
+      }
+
+      if (attachment.targetId) {
+        const viewerId = req.session.student.id;
+        const isStaff = isCourseStaff(req.courseRole);
+        // Posts in the trash are not found
+        const question = await questionData.getQuestionById(
+          attachment.questionId.toString()
+        );
+        const post =
+          attachment.targetType === 'response'
+            ? await responseData.getResponseById(attachment.targetId.toString())
+            : question;
+        if (
+          !question ||
+          !post ||
+          !questionData.canViewQuestion(question, viewerId, isStaff) ||
+          !moderationData.canViewPost(question, viewerId, isStaff) ||
+          !moderationData.canViewPost(post, viewerId, isStaff)
+        ) {
+          return res.status(404).json({
+            success: false,
+            error: 'Attachment not found',
+          });
+        }
+      }
+
+      if (attachment.mimeType.startsWith('image/')) {
+        res.set('Content-Disposition', 'inline');
+      } else {
+        res.attachment(attachment.fileName);
+      }
+      res.set({
+        'Content-Type': attachment.mimeType,
+        'Content-Length': String(attachment.size),
+        // Files never change once uploaded
+        'Cache-Control': 'private, max-age=86400, immutable',
+      });
+
+      const stream = attachmentData.openAttachmentStream(attachment);
+      stream.once('error', (streamError) => {
+        if (res.headersSent) {
+          res.destroy(streamError);
+        } else {
+          res.removeHeader('Content-Disposition');
+          next(createHttpError(404, 'Attachment file not found'));
+        }
+      });
+      stream.pipe(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/attachments/:attachmentId
+ * Discard an upload that has not been attached to a post (uploader only)
+ * Attached files are removed along with their question or response.
+ */
+router.delete(
+  '/:attachmentId',
+  requireAuth,
+  [
+    param('attachmentId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid attachment ID');
+      }
+      return true;
+    }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const attachment = await attachmentData.getAttachmentById(
+        req.params.attachmentId
+      );
+      if (
+        !attachment ||
+        attachment.uploaderId.toString() !== req.session.student.id
+      ) {
+        return res.status(404).json({
+          success: false,
+          error: 'Attachment not found',
+        });
+      }
+
+      if (attachment.targetId) {
+        return res.status(409).json({
+          success: false,
+          error: 'Attachment is already part of a post',
+        });
+      }
+
+      await attachmentData.deleteAttachment(req.params.attachmentId);
+
+      res.json({
+        success: true,
+        message: 'Attachment deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
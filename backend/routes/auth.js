@@ -1,16 +1,257 @@
 /**
  * Authentication Routes
- * Handles login, logout, and session checking
+ * Handles registration, email verification, login, logout, password
+ * management, and session checking
  */
 
 import express from 'express';
 import bcrypt from 'bcrypt';
 import { body, validationResult } from 'express-validator';
-import { studentData } from '../data/index.js';
+import {
+  studentData,
+  emailVerificationData,
+  passwordResetData,
+} from '../data/index.js';
 import { requireAuth } from '../middlewares.js';
+import { getAccountRole } from '../roles.js';
+import { sendMail } from '../mail/index.js';
+import {
+  verificationEmail,
+  passwordResetEmail,
+  passwordChangedEmail,
+} from '../mail/templates.js';
 
 const router = express.Router();
 
+const SALT_ROUNDS = 10;
+
+/**
+ * Shared validation chain for Stevens email fields
+ * @param {string} field - Body field name
+ * @returns {ValidationChain} express-validator chain
+ */
+const stevensEmailField = (field) =>
+  body(field)
+    .isEmail()
+    .withMessage('Must be a valid email')
+    .normalizeEmail()
+    .custom((value) => {
+      if (!value.endsWith('@stevens.edu')) {
+        throw new Error('Must be a Stevens email address');
+      }
+      return true;
+    });
+
+/**
+ * Validation chain for new passwords
+ * @param {string} field - Body field name
+ * @returns {ValidationChain} express-validator chain
+ */
+const newPasswordField = (field) =>
+  body(field)
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be 8-128 characters');
+
+/**
+ * Emails a student that their password changed
+ * Failures are logged rather than surfaced, since the change already happened.
+ * @param {Object} student - Student document
+ * @returns {Promise<void>}
+ */
+const sendPasswordChangedNotice = async (student) => {
+  try {
+    const { subject, text } = passwordChangedEmail({
+      firstName: student.firstName,
+    });
+    await sendMail({ to: student.universityEmail, subject, text });
+  } catch (mailError) {
+    console.error('Failed to send password changed email:', mailError);
+  }
+};
+
+/**
+ * Creates a verification token for a student and emails the link
+ * @param {Object} student - Student document
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (student) => {
+  const { token } = await emailVerificationData.createVerificationToken(
+    student._id.toString()
+  );
+  const { subject, text } = verificationEmail({
+    firstName: student.firstName,
+    token,
+  });
+  await sendMail({ to: student.universityEmail, subject, text });
+};
+
+/**
+ * POST /api/auth/register
+ * Creates an unverified student account and sends a verification email
+ */
+router.post(
+  '/register',
+  [
+    body('firstName')
+      .trim()
+      .notEmpty()
+      .withMessage('First name is required')
+      .isLength({ max: 50 })
+      .withMessage('First name must not exceed 50 characters'),
+    body('lastName')
+      .trim()
+      .notEmpty()
+      .withMessage('Last name is required')
+      .isLength({ max: 50 })
+      .withMessage('Last name must not exceed 50 characters'),
+    stevensEmailField('universityEmail'),
+    newPasswordField('password'),
+    body('major')
+      .trim()
+      .notEmpty()
+      .withMessage('Major is required')
+      .isLength({ max: 100 })
+      .withMessage('Major must not exceed 100 characters'),
+    body('age')
+      .isInt({ min: 17, max: 25 })
+      .withMessage('Age must be between 17 and 25')
+      .toInt(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { firstName, lastName, universityEmail, password, major, age } =
+        req.body;
+
+      const existingStudent = await studentData.getStudentByEmail(
+        universityEmail
+      );
+      if (existingStudent) {
+        return res.status(409).json({
+          success: false,
+          error: 'An account with this email already exists',
+        });
+      }
+
+      const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+      const student = await studentData.createStudent({
+        firstName,
+        lastName,
+        universityEmail,
+        hashedPassword,
+        major,
+        age,
+        isVerified: false,
+      });
+
+      try {
+        await sendVerificationEmail(student);
+      } catch (mailError) {
+        // Log error but don't fail the registration; the link can be resent
+        console.error('Failed to send verification email:', mailError);
+      }
+
+      res.status(201).json({
+        success: true,
+        message:
+          'Account created. Check your Stevens email for a verification link.',
+        student: {
+          id: student._id.toString(),
+          firstName: student.firstName,
+          lastName: student.lastName,
+          email: student.universityEmail,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/verify-email
+ * Confirms a student's email address using the token from the email link
+ */
+router.post(
+  '/verify-email',
+  [body('token').trim().notEmpty().withMessage('Token is required')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      let studentId;
+      try {
+        studentId = await emailVerificationData.consumeVerificationToken(
+          req.body.token
+        );
+      } catch (tokenError) {
+        return res.status(400).json({
+          success: false,
+          error: tokenError.message,
+        });
+      }
+
+      await studentData.markStudentVerified(studentId.toString());
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully. You can now sign in.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/resend-verification
+ * Sends a fresh verification link to an unverified account
+ * Always responds the same way so it cannot be used to probe for accounts.
+ */
+router.post(
+  '/resend-verification',
+  [stevensEmailField('universityEmail')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const student = await studentData.getStudentByEmail(
+        req.body.universityEmail
+      );
+      if (student && student.isVerified === false) {
+        await sendVerificationEmail(student);
+      }
+
+      res.json({
+        success: true,
+        message:
+          'If an unverified account exists for this email, a new verification link has been sent.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * POST /api/auth/login
  * Authenticates a student and creates a session
@@ -18,16 +259,7 @@ const router = express.Router();
 router.post(
   '/login',
   [
-    body('universityEmail')
-      .isEmail()
-      .withMessage('Must be a valid email')
-      .normalizeEmail()
-      .custom((value) => {
-        if (!value.endsWith('@stevens.edu')) {
-          throw new Error('Must be a Stevens email address');
-        }
-        return true;
-      }),
+    stevensEmailField('universityEmail'),
     body('password').trim().notEmpty().withMessage('Password is required'),
   ],
   async (req, res, next) => {
@@ -64,12 +296,23 @@ router.post(
         });
       }
 
+      // Accounts created through self-registration must confirm their email
+      if (student.isVerified === false) {
+        return res.status(403).json({
+          success: false,
+          error: 'Please verify your email address before signing in',
+          needsVerification: true,
+        });
+      }
+
       // Create session
+      // The role here is for display only; authorization re-reads it from the database
       req.session.student = {
         id: student._id.toString(),
         firstName: student.firstName,
         lastName: student.lastName,
         email: student.universityEmail,
+        role: getAccountRole(student),
       };
 
       // Return success without sensitive data
@@ -80,6 +323,7 @@ router.post(
           firstName: student.firstName,
           lastName: student.lastName,
           email: student.universityEmail,
+          role: getAccountRole(student),
         },
       });
     } catch (error) {
@@ -108,6 +352,180 @@ router.post('/logout', requireAuth, (req, res) => {
   });
 });
 
+/**
+ * POST /api/auth/forgot-password
+ * Emails a single-use password reset link
+ * Always responds the same way so it cannot be used to probe for accounts.
+ */
+router.post(
+  '/forgot-password',
+  [stevensEmailField('universityEmail')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const student = await studentData.getStudentByEmail(
+        req.body.universityEmail
+      );
+      if (student) {
+        const { token } = await passwordResetData.createPasswordResetToken(
+          student._id.toString()
+        );
+        const { subject, text } = passwordResetEmail({
+          firstName: student.firstName,
+          token,
+        });
+        try {
+          await sendMail({ to: student.universityEmail, subject, text });
+        } catch (mailError) {
+          // Log error but keep the response identical for every email
+          console.error('Failed to send password reset email:', mailError);
+        }
+      }
+
+      res.json({
+        success: true,
+        message:
+          'If an account exists for this email, a password reset link has been sent.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/reset-password
+ * Sets a new password using a token from the reset email
+ */
+router.post(
+  '/reset-password',
+  [
+    body('token').trim().notEmpty().withMessage('Token is required'),
+    newPasswordField('password'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      let studentId;
+      try {
+        studentId = await passwordResetData.consumePasswordResetToken(
+          req.body.token
+        );
+      } catch (tokenError) {
+        return res.status(400).json({
+          success: false,
+          error: tokenError.message,
+        });
+      }
+
+      const hashedPassword = await bcrypt.hash(req.body.password, SALT_ROUNDS);
+      const student = await studentData.updateStudentPassword(
+        studentId.toString(),
+        hashedPassword
+      );
+
+      // Opening the reset link proves the student controls the inbox
+      if (student.isVerified === false) {
+        await studentData.markStudentVerified(studentId.toString());
+      }
+
+      await sendPasswordChangedNotice(student);
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully. You can now sign in.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/change-password
+ * Changes the logged-in student's password after re-checking the current one
+ */
+router.post(
+  '/change-password',
+  requireAuth,
+  [
+    body('currentPassword')
+      .notEmpty()
+      .withMessage('Current password is required'),
+    newPasswordField('newPassword'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { currentPassword, newPassword } = req.body;
+      const studentId = req.session.student.id;
+
+      const student = await studentData.getStudentById(studentId);
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          error: 'Student not found',
+        });
+      }
+
+      const isPasswordValid = await bcrypt.compare(
+        currentPassword,
+        student.hashedPassword
+      );
+      if (!isPasswordValid) {
+        // 400 rather than 401: the session itself is still valid
+        return res.status(400).json({
+          success: false,
+          error: 'Current password is incorrect',
+        });
+      }
+
+      if (currentPassword === newPassword) {
+        return res.status(400).json({
+          success: false,
+          error: 'New password must be different from the current password',
+        });
+      }
+
+      const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+      await studentData.updateStudentPassword(studentId, hashedPassword);
+
+      // Any outstanding reset links should no longer work
+      await passwordResetData.deletePasswordResetTokensByStudentId(studentId);
+
+      await sendPasswordChangedNotice(student);
+
+      res.json({
+        success: true,
+        message: 'Password changed successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/auth/check
  * Checks if user is currently authenticated
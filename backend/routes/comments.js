@@ -0,0 +1,418 @@
+/**
+ * Comments Routes
+ * Comment threads on questions and responses
+ */
+
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import {
+  requireAuth,
+  requireCourseMember,
+  courseIdFromQuestion,
+  courseIdFromResponse,
+  questionIdFromResponse,
+  requireVisibleQuestion,
+  courseIdFromComment,
+} from '../middlewares.js';
+import {
+  commentData,
+  questionData,
+  responseData,
+  notificationData,
+  moderationData,
+  anonymityData,
+  screeningData,
+} from '../data/index.js';
+import { isValidObjectId } from '../validation.js';
+import { isCourseStaff } from '../roles.js';
+import { EVENTS, questionChannel, publish } from '../realtime.js';
+
+const router = express.Router();
+
+// Membership check for routes addressed by :commentId
+const requireCommentCourseMember = requireCourseMember(
+  courseIdFromComment((req) => req.params.commentId)
+);
+
+// Membership check for new comments, resolved through the post commented on
+const requireTargetCourseMember = requireCourseMember((req) =>
+  req.body.targetType === 'response'
+    ? courseIdFromResponse((r) => r.body.targetId)(req)
+    : courseIdFromQuestion((r) => r.body.targetId)(req)
+);
+
+// Private question check for the post's thread
+const requireVisibleTargetQuestion = requireVisibleQuestion((req) =>
+  req.body.targetType === 'response'
+    ? questionIdFromResponse((r) => r.body.targetId)(req)
+    : req.body.targetId
+);
+
+// Comments have no review queue, so one that screening would hold is turned
+// away like a rejected one; flagged comments are posted. Course staff
+// comments are not screened.
+const screenComment = (req, content) => {
+  if (isCourseStaff(req.courseRole)) {
+    return null;
+  }
+  const screening = screeningData.screenPost(
+    { content },
+    screeningData.getCourseScreening(req.course)
+  );
+  return ['reject', 'hold'].includes(screening.outcome) ? screening : null;
+};
+
+/**
+ * GET /api/comments/:questionId
+ * Get every comment on a question and its responses, oldest first (course members only)
+ * A hidden question's comments, and a hidden response's, are only seen by
+ * course staff and the post's poster.
+ */
+router.get(
+  '/:questionId',
+  requireAuth,
+  [
+    param('questionId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid question ID');
+      }
+      return true;
+    }),
+  ],
+  requireCourseMember(courseIdFromQuestion((req) => req.params.questionId)),
+  requireVisibleQuestion((req) => req.params.questionId),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const viewerId = req.session.student.id;
+      const isStaff = isCourseStaff(req.courseRole);
+
+      // A hidden question's comments are hidden along with it
+      const question = await questionData.getQuestionById(
+        req.params.questionId
+      );
+      if (!moderationData.canViewPost(question, viewerId, isStaff)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question not found',
+        });
+      }
+
+      const comments = await commentData.getCommentsByQuestionId(
+        req.params.questionId,
+        { viewerId, isStaff }
+      );
+
+      res.json({
+        success: true,
+        comments,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/comments
+ * Comment on a question or response in a course the student belongs to
+ * Notifies the author of the post commented on. Only course staff can
+ * comment in a locked thread or on a post hidden by a moderator. Students'
+ * comments are screened first and turned away if they break the course's
+ * content rules.
+ */
+router.post(
+  '/',
+  requireAuth,
+  [
+    body('targetType')
+      .isIn(commentData.COMMENT_TARGETS)
+      .withMessage('targetType must be question or response'),
+    body('targetId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid target ID');
+      }
+      return true;
+    }),
+    body('content')
+      .trim()
+      .notEmpty()
+      .withMessage('Content is required')
+      .isLength({ max: 500 })
+      .withMessage('Content must not exceed 500 characters'),
+    body('isAnonymous')
+      .optional()
+      .isBoolean()
+      .withMessage('isAnonymous must be a boolean'),
+    body('isAnonymousToStaff')
+      .optional()
+      .isBoolean()
+      .withMessage('isAnonymousToStaff must be a boolean'),
+  ],
+  requireTargetCourseMember,
+  requireVisibleTargetQuestion,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        targetType,
+        targetId,
+        content,
+        isAnonymous = false,
+        isAnonymousToStaff,
+      } = req.body;
+      const posterId = req.session.student.id;
+
+      // The membership check has already confirmed the post exists
+      let parent;
+      let question;
+      if (targetType === 'response') {
+        parent = await responseData.getResponseById(targetId);
+        question = await questionData.getQuestionById(
+          parent.questionId.toString()
+        );
+      } else {
+        question = await questionData.getQuestionById(targetId);
+        parent = question;
+      }
+      const questionId = question._id.toString();
+
+      const isStaff = isCourseStaff(req.courseRole);
+      if (
+        !moderationData.canViewPost(question, posterId, isStaff) ||
+        !moderationData.canViewPost(parent, posterId, isStaff)
+      ) {
+        return res.status(404).json({
+          success: false,
+          error: 'Post not found',
+        });
+      }
+
+      if (question.lockedAt && !isStaff) {
+        return res.status(403).json({
+          success: false,
+          error: 'This thread is locked',
+        });
+      }
+
+      if ((question.hiddenAt || parent.hiddenAt) && !isStaff) {
+        return res.status(403).json({
+          success: false,
+          error: 'Comments are closed on hidden posts',
+        });
+      }
+
+      const screening = screenComment(req, content);
+      if (screening) {
+        return res.status(400).json({
+          success: false,
+          error: "This comment breaks the course's content rules",
+          screening,
+        });
+      }
+
+      const newComment = await commentData.createComment({
+        targetType,
+        targetId,
+        questionId,
+        posterId,
+        content,
+        isAnonymous,
+        isAnonymousToStaff,
+      });
+
+      // Push to anyone viewing the question, shaped like a listed comment
+      publish(
+        questionChannel(questionId),
+        EVENTS.COMMENT_CREATED,
+        anonymityData.toPublishedPost(newComment, req.session.student)
+      );
+
+      // Create notification for the post's author (if not commenting on own post)
+      if (parent.posterId.toString() !== posterId) {
+        try {
+          const commenterName = isAnonymous
+            ? newComment.pseudonym
+            : req.session.student.firstName;
+          const message =
+            targetType === 'response'
+              ? `${commenterName} commented on your response to "${question.title}"`
+              : `${commenterName} commented on your question: "${question.title}"`;
+          await notificationData.createNotification({
+            recipientId: parent.posterId.toString(),
+            questionId,
+            senderId: anonymityData.notificationSenderId(newComment, posterId),
+            type: 'new_comment',
+            message,
+          });
+        } catch (notifError) {
+          // Log error but don't fail the comment creation
+          console.error('Failed to create notification:', notifError);
+        }
+      }
+
+      res.status(201).json({
+        success: true,
+        comment: newComment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/comments/:commentId
+ * Update a comment's content (by poster or course staff)
+ * A student's new content is screened like a new comment.
+ */
+router.patch(
+  '/:commentId',
+  requireAuth,
+  [
+    param('commentId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid comment ID');
+      }
+      return true;
+    }),
+    body('content')
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Content must be 1-500 characters'),
+  ],
+  requireCommentCourseMember,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { commentId } = req.params;
+      const currentUserId = req.session.student.id;
+
+      // Check if comment exists and user is the poster or course staff
+      const comment = await commentData.getCommentById(commentId);
+      if (!comment) {
+        return res.status(404).json({
+          success: false,
+          error: 'Comment not found',
+        });
+      }
+
+      if (
+        comment.posterId.toString() !== currentUserId &&
+        !isCourseStaff(req.courseRole)
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only edit your own comments',
+        });
+      }
+
+      const screening = screenComment(req, req.body.content);
+      if (screening) {
+        return res.status(400).json({
+          success: false,
+          error: "This comment breaks the course's content rules",
+          screening,
+        });
+      }
+
+      const updatedComment = await commentData.updateComment(commentId, {
+        content: req.body.content,
+      });
+
+      res.json({
+        success: true,
+        comment: anonymityData.forViewer(
+          updatedComment,
+          currentUserId,
+          isCourseStaff(req.courseRole)
+        ),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/comments/:commentId
+ * Delete a comment (by poster or course staff)
+ */
+router.delete(
+  '/:commentId',
+  requireAuth,
+  [
+    param('commentId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid comment ID');
+      }
+      return true;
+    }),
+  ],
+  requireCommentCourseMember,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { commentId } = req.params;
+      const currentUserId = req.session.student.id;
+
+      // Check if comment exists and user is the poster or course staff
+      const comment = await commentData.getCommentById(commentId);
+      if (!comment) {
+        return res.status(404).json({
+          success: false,
+          error: 'Comment not found',
+        });
+      }
+
+      if (
+        comment.posterId.toString() !== currentUserId &&
+        !isCourseStaff(req.courseRole)
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only delete your own comments',
+        });
+      }
+
+      await commentData.deleteComment(commentId);
+
+      res.json({
+        success: true,
+        message: 'Comment deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
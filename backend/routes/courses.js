@@ -1,37 +1,166 @@
 /**
  * Courses Routes
- * Handles course-related endpoints
+ * Handles course-related endpoints, admin course management, course staff,
+ * and enrollment
  */
 
 import express from 'express';
-import { param, validationResult } from 'express-validator';
-import { requireAuth } from '../middlewares.js';
-import { courseData, questionData } from '../data/index.js';
+import { body, param, validationResult } from 'express-validator';
+import {
+  requireAuth,
+  requireRole,
+  requireCourseRole,
+  requireCourseMember,
+} from '../middlewares.js';
+import {
+  courseData,
+  questionData,
+  responseData,
+  notificationData,
+  studentData,
+  enrollmentData,
+  voteData,
+  commentData,
+  attachmentData,
+  revisionData,
+  tagData,
+  followData,
+  notificationPreferenceData,
+  reportData,
+  moderationData,
+  screeningData,
+  anonymityData,
+} from '../data/index.js';
 import { isValidObjectId } from '../validation.js';
+import {
+  ROLES,
+  COURSE_STAFF_ROLES,
+  getAccountRole,
+  resolveCourseRole,
+  isCourseStaff,
+} from '../roles.js';
 
 const router = express.Router();
 
+/**
+ * Validation chain for an ObjectId route parameter
+ * @param {string} field - Parameter name
+ * @param {string} label - Label used in the error message
+ * @returns {ValidationChain} express-validator chain
+ */
+const objectIdParam = (field, label) =>
+  param(field).custom((value) => {
+    if (!isValidObjectId(value)) {
+      throw new Error(`Invalid ${label} ID`);
+    }
+    return true;
+  });
+
+/**
+ * Validation chains for course fields
+ * @param {boolean} isUpdate - Whether fields are optional (PATCH)
+ * @returns {Array<ValidationChain>} express-validator chains
+ */
+const courseFields = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  const text = (name, label, max) =>
+    field(name)
+      .isString()
+      .withMessage(`${label} must be a string`)
+      .trim()
+      .isLength({ min: 1, max })
+      .withMessage(`${label} must be 1-${max} characters`);
+
+  return [
+    text('courseName', 'Course name', 200),
+    text('section', 'Section', 10),
+    text('department', 'Department', 100),
+    text('instructorName', 'Instructor name', 100),
+    field('instructorEmail')
+      .isEmail()
+      .withMessage('Instructor email must be a valid email'),
+    text('term', 'Term', 50),
+  ];
+};
+
+/**
+ * Adds the viewer's role to a course, hiding the join code from non-staff
+ * Screening settings are left out; staff get them from /:courseId/screening.
+ * @param {Object} course - Course document
+ * @param {string|null} courseRole - Viewer's role in the course
+ * @returns {Object} Course as sent to the client
+ */
+const toCourseView = (course, courseRole) => {
+  const { joinCode, screening, ...rest } = course;
+  return {
+    ...rest,
+    ...(isCourseStaff(courseRole) && { joinCode }),
+    courseRole,
+  };
+};
+
+/**
+ * Extracts email addresses from an uploaded roster CSV
+ * Uses the column whose header mentions "email" when there is one, otherwise
+ * the first cell in each row that looks like an email address.
+ * @param {string} csv - CSV text
+ * @returns {Array<string>} Email addresses in file order
+ */
+const parseRosterCsv = (csv) => {
+  const rows = csv
+    .split(/\r?\n/)
+    .map((line) =>
+      line.split(',').map((cell) => cell.trim().replace(/^"(.*)"$/, '$1'))
+    )
+    .filter((cells) => cells.some((cell) => cell !== ''));
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const emailColumn = rows[0].findIndex((cell) => /e-?mail/i.test(cell));
+  if (emailColumn !== -1) {
+    return rows
+      .slice(1)
+      .map((cells) => cells[emailColumn] || '')
+      .filter(Boolean);
+  }
+
+  return rows
+    .map((cells) => cells.find((cell) => cell.includes('@')))
+    .filter(Boolean);
+};
+
 /**
  * GET /api/courses
- * Get all courses the logged-in student is enrolled in
+ * Get all courses the logged-in student belongs to (as a student or staff)
+ * Admins see every course.
  */
 router.get('/', requireAuth, async (req, res, next) => {
   try {
     const studentId = req.session.student.id;
-    const courses = await courseData.getCoursesByStudentId(studentId);
+    const student = await studentData.getStudentById(studentId);
+    const courses =
+      getAccountRole(student) === ROLES.ADMIN
+        ? await courseData.getAllCourses()
+        : await courseData.getCoursesByMemberId(studentId);
 
     // Get new question counts for all courses in a single query
     let newQuestionCounts = {};
     if (courses.length > 0) {
       const courseIds = courses.map((c) => c._id.toString());
+      const staffCourseIds = courses
+        .filter((course) => isCourseStaff(resolveCourseRole(course, student)))
+        .map((course) => course._id.toString());
       newQuestionCounts = await questionData.getNewQuestionCountsByCourseIds(
-        courseIds
+        courseIds,
+        { staffCourseIds }
       );
     }
 
-    // Merge counts into course objects
+    // Merge counts and the viewer's role into course objects
     const coursesWithCounts = courses.map((course) => ({
-      ...course,
+      ...toCourseView(course, resolveCourseRole(course, student)),
       newQuestionCount: newQuestionCounts[course._id.toString()] || 0,
     }));
 
@@ -44,21 +173,200 @@ router.get('/', requireAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/courses/catalog
+ * Browse every course with its public details and the viewer's role
+ */
+router.get('/catalog', requireAuth, async (req, res, next) => {
+  try {
+    const [courses, student] = await Promise.all([
+      courseData.getAllCourses(),
+      studentData.getStudentById(req.session.student.id),
+    ]);
+
+    const catalog = courses
+      .map((course) => ({
+        _id: course._id,
+        courseCode: course.courseCode,
+        courseName: course.courseName,
+        section: course.section,
+        department: course.department,
+        instructorName: course.instructorName,
+        term: course.term,
+        studentCount: (course.enrolledStudents || []).length,
+        courseRole: resolveCourseRole(course, student),
+      }))
+      .sort((a, b) => a.courseCode.localeCompare(b.courseCode));
+
+    res.json({
+      success: true,
+      courses: catalog,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/courses/join
+ * Enroll the logged-in student in a course using its join code
+ */
+router.post(
+  '/join',
+  requireAuth,
+  [
+    body('joinCode')
+      .isString()
+      .withMessage('Join code is required')
+      .trim()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Join code is required'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const studentId = req.session.student.id;
+      const course = await courseData.getCourseByJoinCode(req.body.joinCode);
+      if (!course) {
+        return res.status(404).json({
+          success: false,
+          error: 'No course matches that join code',
+        });
+      }
+
+      const student = await studentData.getStudentById(studentId);
+      if (resolveCourseRole(course, student)) {
+        return res.status(409).json({
+          success: false,
+          error: 'You are already a member of this course',
+        });
+      }
+
+      const updatedCourse = await enrollmentData.enrollStudent(
+        course._id.toString(),
+        studentId
+      );
+
+      res.json({
+        success: true,
+        course: toCourseView(updatedCourse, ROLES.STUDENT),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/courses
+ * Create a course (admin only)
+ */
+router.post(
+  '/',
+  requireRole(ROLES.ADMIN),
+  [
+    body('courseCode')
+      .isString()
+      .withMessage('Course code must be a string')
+      .trim()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Course code must be 1-20 characters'),
+    ...courseFields(false),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const existingCourse = await courseData.getCourseByCode(
+        req.body.courseCode
+      );
+      if (existingCourse) {
+        return res.status(409).json({
+          success: false,
+          error: 'A course with this code already exists',
+        });
+      }
+
+      const {
+        courseCode,
+        courseName,
+        section,
+        department,
+        instructorName,
+        instructorEmail,
+        term,
+      } = req.body;
+
+      const course = await courseData.createCourse({
+        courseCode,
+        courseName,
+        section,
+        department,
+        instructorName,
+        instructorEmail,
+        term,
+      });
+
+      res.status(201).json({
+        success: true,
+        course,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/courses/:courseId
- * Get a specific course by ID
+ * Get a specific course by ID (course members only)
  */
 router.get(
   '/:courseId',
   requireAuth,
-  [
-    param('courseId').custom((value) => {
-      if (!isValidObjectId(value)) {
-        throw new Error('Invalid course ID');
+  [objectIdParam('courseId', 'course')],
+  requireCourseMember(),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
       }
-      return true;
-    }),
-  ],
+
+      res.json({
+        success: true,
+        course: toCourseView(req.course, req.courseRole),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/courses/:courseId
+ * Update course details (admin only)
+ */
+router.patch(
+  '/:courseId',
+  requireRole(ROLES.ADMIN),
+  [objectIdParam('courseId', 'course'), ...courseFields(true)],
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -70,8 +378,66 @@ router.get(
       }
 
       const { courseId } = req.params;
+      const editableFields = [
+        'courseName',
+        'section',
+        'department',
+        'instructorName',
+        'instructorEmail',
+        'term',
+      ];
+      const updates = Object.fromEntries(
+        Object.entries(req.body).filter(([key]) => editableFields.includes(key))
+      );
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No updates provided',
+        });
+      }
+
       const course = await courseData.getCourseById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          success: false,
+          error: 'Course not found',
+        });
+      }
+
+      const updatedCourse = await courseData.updateCourse(courseId, updates);
+
+      res.json({
+        success: true,
+        course: updatedCourse,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
+/**
+ * DELETE /api/courses/:courseId
+ * Delete a course and all of its questions, responses, notifications, and reports (admin only)
+ */
+router.delete(
+  '/:courseId',
+  requireRole(ROLES.ADMIN),
+  [objectIdParam('courseId', 'course')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { courseId } = req.params;
+
+      const course = await courseData.getCourseById(courseId);
       if (!course) {
         return res.status(404).json({
           success: false,
@@ -79,6 +445,117 @@ router.get(
         });
       }
 
+      // Cascade delete: questions and everything attached to them
+      const { questionIds } = await questionData.deleteQuestionsByCourseId(
+        courseId
+      );
+      for (const questionId of questionIds) {
+        await responseData.deleteResponsesByQuestionId(questionId);
+        await notificationData.deleteNotificationsByQuestionId(questionId);
+        await voteData.deleteVotesByQuestionId(questionId);
+        await commentData.deleteCommentsByQuestionId(questionId);
+        await revisionData.deleteRevisionsByQuestionId(questionId);
+        await followData.deleteFollowsByQuestionId(questionId);
+        await anonymityData.deletePseudonymsByQuestionId(questionId);
+      }
+      await attachmentData.deleteAttachmentsByCourseId(courseId);
+      await reportData.deleteReportsByCourseId(courseId);
+      await moderationData.deleteModerationActionsByCourseId(courseId);
+
+      await studentData.removeCourseFromStudents(courseId);
+      await notificationPreferenceData.removeCourseFromPreferences(courseId);
+      await courseData.deleteCourse(courseId);
+
+      res.json({
+        success: true,
+        message: 'Course deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/courses/:courseId/staff/:studentId
+ * Make a student an instructor or TA of the course (course instructors and admins)
+ */
+router.put(
+  '/:courseId/staff/:studentId',
+  requireCourseRole([ROLES.INSTRUCTOR]),
+  [
+    objectIdParam('studentId', 'student'),
+    body('role')
+      .isIn(COURSE_STAFF_ROLES)
+      .withMessage(`Role must be one of: ${COURSE_STAFF_ROLES.join(', ')}`),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { courseId, studentId } = req.params;
+      const { role } = req.body;
+
+      const student = await studentData.getStudentById(studentId);
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          error: 'Student not found',
+        });
+      }
+
+      // Any student can be a TA, but instructors need an instructor account
+      const accountRole = getAccountRole(student);
+      if (
+        role === ROLES.INSTRUCTOR &&
+        accountRole !== ROLES.INSTRUCTOR &&
+        accountRole !== ROLES.ADMIN
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only instructor accounts can be made course instructors',
+        });
+      }
+
+      const course = await courseData.addCourseStaff(courseId, studentId, role);
+
+      res.json({
+        success: true,
+        course,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/courses/:courseId/staff/:studentId
+ * Remove a student from the course staff (course instructors and admins)
+ */
+router.delete(
+  '/:courseId/staff/:studentId',
+  requireCourseRole([ROLES.INSTRUCTOR]),
+  [objectIdParam('studentId', 'student')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { courseId, studentId } = req.params;
+      const course = await courseData.removeCourseStaff(courseId, studentId);
+
       res.json({
         success: true,
         course,
@@ -89,4 +566,362 @@ router.get(
   }
 );
 
+/**
+ * DELETE /api/courses/:courseId/enrollment
+ * Leave a course the logged-in student is enrolled in
+ */
+router.delete(
+  '/:courseId/enrollment',
+  requireCourseMember(),
+  async (req, res, next) => {
+    try {
+      // Staff leave through the staff routes, not by unenrolling
+      if (req.courseRole !== ROLES.STUDENT) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only enrolled students can leave a course',
+        });
+      }
+
+      await enrollmentData.unenrollStudent(
+        req.params.courseId,
+        req.session.student.id
+      );
+      // Former members are no longer told about the course's questions
+      await followData.deleteFollowsByStudentInCourse(
+        req.session.student.id,
+        req.params.courseId
+      );
+
+      res.json({
+        success: true,
+        message: 'You have left the course',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/courses/:courseId/students
+ * List the students enrolled in a course (course staff and admins)
+ */
+router.get(
+  '/:courseId/students',
+  requireCourseRole(COURSE_STAFF_ROLES),
+  async (req, res, next) => {
+    try {
+      const students = await enrollmentData.getRoster(req.params.courseId);
+
+      res.json({
+        success: true,
+        students,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/courses/:courseId/students
+ * Enroll a student by university email (course instructors and admins)
+ */
+router.post(
+  '/:courseId/students',
+  requireCourseRole([ROLES.INSTRUCTOR]),
+  [
+    body('universityEmail')
+      .isEmail()
+      .withMessage('Must be a valid email')
+      .normalizeEmail()
+      .custom((value) => {
+        if (!value.endsWith('@stevens.edu')) {
+          throw new Error('Must be a Stevens email address');
+        }
+        return true;
+      }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { courseId } = req.params;
+      const { enrolled, alreadyEnrolled } =
+        await enrollmentData.enrollStudentsByEmail(courseId, [
+          req.body.universityEmail,
+        ]);
+
+      if (alreadyEnrolled.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'That student is already enrolled',
+        });
+      }
+      if (enrolled.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'No student account uses that email',
+        });
+      }
+
+      const students = await enrollmentData.getRoster(courseId);
+
+      res.status(201).json({
+        success: true,
+        students,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/courses/:courseId/students/import
+ * Enroll every student listed in a roster CSV (course instructors and admins)
+ * Rows without a matching account are reported back rather than failing the import.
+ */
+router.post(
+  '/:courseId/students/import',
+  requireCourseRole([ROLES.INSTRUCTOR]),
+  [
+    body('csv')
+      .isString()
+      .withMessage('Roster CSV is required')
+      .isLength({ min: 1, max: 50000 })
+      .withMessage('Roster CSV must be 1-50000 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const emails = parseRosterCsv(req.body.csv);
+      if (emails.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No email addresses found in the roster',
+        });
+      }
+
+      const summary = await enrollmentData.enrollStudentsByEmail(
+        req.params.courseId,
+        emails
+      );
+
+      res.json({
+        success: true,
+        ...summary,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/courses/:courseId/students/:studentId
+ * Remove a student from the course (course instructors and admins)
+ */
+router.delete(
+  '/:courseId/students/:studentId',
+  requireCourseRole([ROLES.INSTRUCTOR]),
+  [objectIdParam('studentId', 'student')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { courseId, studentId } = req.params;
+      const isEnrolled = (req.course.enrolledStudents || []).some(
+        (id) => id.toString() === studentId
+      );
+      if (!isEnrolled) {
+        return res.status(404).json({
+          success: false,
+          error: 'Student is not enrolled in this course',
+        });
+      }
+
+      await enrollmentData.unenrollStudent(courseId, studentId);
+      await followData.deleteFollowsByStudentInCourse(studentId, courseId);
+
+      res.json({
+        success: true,
+        message: 'Student removed from course',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/courses/:courseId/join-code
+ * Replace the course's join code (course instructors and admins)
+ */
+router.post(
+  '/:courseId/join-code',
+  requireCourseRole([ROLES.INSTRUCTOR]),
+  async (req, res, next) => {
+    try {
+      const course = await courseData.regenerateJoinCode(req.params.courseId);
+
+      res.json({
+        success: true,
+        joinCode: course.joinCode,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/courses/:courseId/tags
+ * Get the course's curated tags and the free tags in use, with question counts (course members only)
+ * Only course staff have private and hidden questions counted.
+ */
+router.get(
+  '/:courseId/tags',
+  requireAuth,
+  [objectIdParam('courseId', 'course')],
+  requireCourseMember(),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const tags = await tagData.getTagsByCourseId(req.params.courseId, {
+        isStaff: isCourseStaff(req.courseRole),
+      });
+
+      res.json({
+        success: true,
+        tags,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/courses/:courseId/tags
+ * Replace the course's curated tags (course instructors and admins)
+ */
+router.put(
+  '/:courseId/tags',
+  requireCourseRole([ROLES.INSTRUCTOR]),
+  [
+    body('tags').custom((value) => {
+      tagData.normalizeTags(value, tagData.MAX_COURSE_TAGS);
+      return true;
+    }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const tags = await tagData.setCourseTags(
+        req.params.courseId,
+        req.body.tags
+      );
+
+      res.json({
+        success: true,
+        tags,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/courses/:courseId/screening
+ * Get the course's content screening settings (course staff and admins)
+ */
+router.get(
+  '/:courseId/screening',
+  requireCourseRole(COURSE_STAFF_ROLES),
+  async (req, res, next) => {
+    try {
+      res.json({
+        success: true,
+        screening: screeningData.getCourseScreening(req.course),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/courses/:courseId/screening
+ * Replace the course's content screening settings (course instructors and admins)
+ */
+router.put(
+  '/:courseId/screening',
+  requireCourseRole([ROLES.INSTRUCTOR]),
+  [
+    body().custom((value) => {
+      screeningData.normalizeScreening(value);
+      return true;
+    }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const screening = await screeningData.setCourseScreening(
+        req.params.courseId,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        screening,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 export default router;
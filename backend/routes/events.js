@@ -0,0 +1,131 @@
+/**
+ * Events Routes
+ * Server-Sent Event stream of live updates for the signed-in student
+ */
+
+import express from 'express';
+import {
+  requireAuth,
+  requireCourseMember,
+  courseIdFromQuestion,
+  requireVisibleQuestion,
+} from '../middlewares.js';
+import { questionData, moderationData } from '../data/index.js';
+import { isCourseStaff } from '../roles.js';
+import {
+  HEARTBEAT_INTERVAL_MS,
+  RECONNECT_DELAY_MS,
+  studentChannel,
+  courseChannel,
+  questionChannel,
+  subscribe,
+  formatEvent,
+} from '../realtime.js';
+
+const router = express.Router();
+
+/**
+ * Runs a middleware only when the request names the value it checks
+ * @param {Function} getValue - Reads the value from the request
+ * @param {Function} middleware - Middleware to run when the value is present
+ * @returns {Function} Express middleware
+ */
+const whenPresent = (getValue, middleware) => {
+  return (req, res, next) => {
+    if (getValue(req) === undefined) {
+      return next();
+    }
+    return middleware(req, res, next);
+  };
+};
+
+/**
+ * Stops students other than its poster subscribing to a hidden question.
+ * Runs after requireVisibleQuestion, which has confirmed the question exists.
+ * @param {Object} req - Express request with query.questionId and courseRole
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next callback
+ */
+const requireUnhiddenQuestion = async (req, res, next) => {
+  try {
+    const question = await questionData.getQuestionById(
+      String(req.query.questionId)
+    );
+    if (
+      !moderationData.canViewPost(
+        question,
+        req.session.student.id,
+        isCourseStaff(req.courseRole)
+      )
+    ) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found',
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/events
+ * Opens a text/event-stream for the current student. Always carries their
+ * notifications; ?courseId= adds new questions in that course and
+ * ?questionId= adds new responses to that question (course members only).
+ */
+router.get(
+  '/',
+  requireAuth,
+  whenPresent(
+    (req) => req.query.courseId,
+    requireCourseMember((req) => req.query.courseId)
+  ),
+  whenPresent(
+    (req) => req.query.questionId,
+    requireCourseMember(courseIdFromQuestion((req) => req.query.questionId))
+  ),
+  whenPresent(
+    (req) => req.query.questionId,
+    requireVisibleQuestion((req) => req.query.questionId)
+  ),
+  whenPresent((req) => req.query.questionId, requireUnhiddenQuestion),
+  (req, res) => {
+    const { courseId, questionId } = req.query;
+
+    const channels = [studentChannel(req.session.student.id)];
+    if (courseId) {
+      channels.push(courseChannel(courseId));
+    }
+    if (questionId) {
+      channels.push(questionChannel(questionId));
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Stop proxies from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const unsubscribe = subscribe(channels, (event, data) => {
+      res.write(formatEvent(event, data));
+    });
+
+    // Comments keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+);
+
+export default router;
@@ -0,0 +1,34 @@
+/**
+ * Following Routes
+ * List the questions the logged-in student follows
+ *
+ * Questions are followed and unfollowed from PATCH /api/questions/:questionId/follow;
+ * answering a question follows it.
+ */
+
+import express from 'express';
+import { requireAuth } from '../middlewares.js';
+import { followData } from '../data/index.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/following
+ * Get the questions the logged-in student follows, most recently active first
+ */
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const questions = await followData.getFollowedQuestions(
+      req.session.student.id
+    );
+
+    res.json({
+      success: true,
+      questions,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
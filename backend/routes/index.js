@@ -8,6 +8,16 @@ import coursesRoutes from './courses.js';
 import questionsRoutes from './questions.js';
 import responsesRoutes from './responses.js';
 import notificationsRoutes from './notifications.js';
+import adminRoutes from './admin.js';
+import searchRoutes from './search.js';
+import eventsRoutes from './events.js';
+import commentsRoutes from './comments.js';
+import markdownRoutes from './markdown.js';
+import attachmentsRoutes from './attachments.js';
+import trashRoutes from './trash.js';
+import followingRoutes from './following.js';
+import reportsRoutes from './reports.js';
+import moderationRoutes from './moderation.js';
 
 /**
  * Configures all routes for the application
@@ -20,6 +30,16 @@ const configureRoutes = (app) => {
   app.use('/api/questions', questionsRoutes);
   app.use('/api/responses', responsesRoutes);
   app.use('/api/notifications', notificationsRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/search', searchRoutes);
+  app.use('/api/events', eventsRoutes);
+  app.use('/api/comments', commentsRoutes);
+  app.use('/api/markdown', markdownRoutes);
+  app.use('/api/attachments', attachmentsRoutes);
+  app.use('/api/trash', trashRoutes);
+  app.use('/api/following', followingRoutes);
+  app.use('/api/reports', reportsRoutes);
+  app.use('/api/moderation', moderationRoutes);
 };
 
 export default configureRoutes;
@@ -0,0 +1,47 @@
+/**
+ * Markdown Routes
+ * Server-rendered previews for the post editor
+ */
+
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { requireAuth } from '../middlewares.js';
+import { renderMarkdown } from '../markdown.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/markdown/preview
+ * Render post content exactly as it will be shown once posted
+ */
+router.post(
+  '/preview',
+  requireAuth,
+  [
+    body('content')
+      .isString()
+      .withMessage('Content must be a string')
+      .isLength({ max: 2000 })
+      .withMessage('Content must not exceed 2000 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      res.json({
+        success: true,
+        html: renderMarkdown(req.body.content),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,413 @@
+/**
+ * Moderation Routes
+ * The moderation queue of reported posts, the actions course staff take on
+ * posts, revealing who wrote anonymous posts, and the audit trail of those
+ * actions (course staff and admins)
+ */
+
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { requireCourseRole } from '../middlewares.js';
+import {
+  studentData,
+  questionData,
+  responseData,
+  notificationData,
+  reportData,
+  moderationData,
+  anonymityData,
+  announcementData,
+} from '../data/index.js';
+import { isValidObjectId } from '../validation.js';
+import {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  isValidCursor,
+  toPage,
+} from '../pagination.js';
+import { COURSE_STAFF_ROLES } from '../roles.js';
+
+const router = express.Router();
+
+// How each action closes the open reports on its post; unhide and unlock
+// leave them open
+const REPORT_STATUS_BY_ACTION = {
+  hide: 'resolved',
+  lock: 'resolved',
+  delete: 'resolved',
+  warn: 'resolved',
+  dismiss: 'dismissed',
+  approve: 'dismissed',
+};
+
+/**
+ * GET /api/moderation/:courseId/reports
+ * Get the course's open reports, one entry per reported post
+ */
+router.get(
+  '/:courseId/reports',
+  requireCourseRole(COURSE_STAFF_ROLES),
+  async (req, res, next) => {
+    try {
+      const items = await reportData.getReportQueue(req.params.courseId);
+
+      res.json({
+        success: true,
+        items,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/moderation/:courseId/log
+ * Get a page of the course's moderation audit trail, newest first
+ * Optional: limit, cursor
+ */
+router.get(
+  '/:courseId/log',
+  requireCourseRole(COURSE_STAFF_ROLES),
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+    query('cursor')
+      .optional()
+      .custom((value) => {
+        if (!isValidCursor(value)) {
+          throw new Error('Invalid cursor');
+        }
+        return true;
+      }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const limit = Number.parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+
+      // Fetch one extra entry to tell whether another page exists
+      const batch = await moderationData.getModerationLog(req.params.courseId, {
+        cursor: req.query.cursor,
+        limit: limit + 1,
+      });
+      const { items: actions, nextCursor } = toPage(batch, limit);
+
+      res.json({
+        success: true,
+        actions,
+        nextCursor,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/moderation/:courseId/actions
+ * Hide, unhide, lock, unlock or delete a post, warn its author, dismiss its
+ * reports, or approve a post held by content screening; records the action
+ * in the audit trail
+ */
+router.post(
+  '/:courseId/actions',
+  requireCourseRole(COURSE_STAFF_ROLES),
+  [
+    body('action')
+      .isIn(moderationData.MODERATION_ACTIONS)
+      .withMessage(
+        `Action must be one of: ${moderationData.MODERATION_ACTIONS.join(', ')}`
+      ),
+    body('targetType')
+      .isIn(reportData.REPORT_TARGETS)
+      .withMessage('targetType must be question or response'),
+    body('targetId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid target ID');
+      }
+      return true;
+    }),
+    body('note')
+      .optional()
+      .isString()
+      .withMessage('Note must be a string')
+      .trim()
+      .isLength({ max: moderationData.MAX_MODERATION_NOTE_LENGTH })
+      .withMessage(
+        `Note must not exceed ${moderationData.MAX_MODERATION_NOTE_LENGTH} characters`
+      ),
+    body('note').custom((value, { req }) => {
+      if (req.body.action === 'warn' && !value) {
+        throw new Error('A message is required to warn the author');
+      }
+      return true;
+    }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { action, targetType, targetId, note } = req.body;
+      const { courseId } = req.params;
+      const moderatorId = req.session.student.id;
+
+      // Reports on posts already in the trash can still be dismissed
+      const target = await moderationData.getModerationTarget(
+        targetType,
+        targetId
+      );
+      if (
+        !target ||
+        target.question.courseId.toString() !== courseId ||
+        ((target.post.deletedAt || target.question.deletedAt) &&
+          action !== 'dismiss')
+      ) {
+        return res.status(404).json({
+          success: false,
+          error: 'Post not found in this course',
+        });
+      }
+
+      const { post, question } = target;
+      const authorId = post.posterId.toString();
+      const questionId = question._id.toString();
+
+      if (['lock', 'unlock'].includes(action) && targetType !== 'question') {
+        return res.status(400).json({
+          success: false,
+          error: 'Only questions can be locked',
+        });
+      }
+
+      // Held posts are hidden with no moderator recorded
+      if (action === 'approve' && !(post.hiddenAt && !post.hiddenBy)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only posts held for review can be approved',
+        });
+      }
+
+      if (action === 'warn' && authorId === moderatorId) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot warn yourself',
+        });
+      }
+
+      switch (action) {
+        case 'hide':
+        case 'unhide':
+        case 'approve':
+          if (targetType === 'question') {
+            await questionData.setQuestionHidden(
+              targetId,
+              action === 'hide',
+              moderatorId
+            );
+          } else {
+            await responseData.setResponseHidden(
+              targetId,
+              action === 'hide',
+              moderatorId
+            );
+          }
+          break;
+        case 'lock':
+        case 'unlock':
+          await questionData.setQuestionLocked(
+            targetId,
+            action === 'lock',
+            moderatorId
+          );
+          break;
+        case 'delete':
+          // Goes to the moderator's trash, so it can be restored from there
+          if (targetType === 'question') {
+            await questionData.softDeleteQuestion(targetId, moderatorId);
+          } else {
+            await responseData.softDeleteResponse(targetId, moderatorId);
+            await questionData.clearAcceptedResponse(targetId);
+          }
+          break;
+        case 'warn':
+          await notificationData.createNotification({
+            recipientId: authorId,
+            questionId,
+            senderId: moderatorId,
+            type: 'moderation_warning',
+            message: `A moderator in ${req.course.courseCode} warned you about your ${targetType} in "${question.title}": ${note}`,
+          });
+          break;
+        default:
+          break;
+      }
+
+      // A post held since it was created is announced as if just posted
+      if (action === 'approve' && announcementData.isHeldSinceCreation(post)) {
+        const {
+          hiddenAt: _hiddenAt,
+          hiddenBy: _hiddenBy,
+          ...approvedPost
+        } = post;
+        const poster = await studentData.getStudentById(authorId);
+        // Posts outlive deleted accounts, whose posts are not announced
+        if (poster) {
+          if (targetType === 'question') {
+            await announcementData.announceQuestion(approvedPost, {
+              course: req.course,
+              poster,
+            });
+          } else {
+            await announcementData.announceResponse(approvedPost, {
+              question,
+              poster,
+            });
+          }
+        }
+      }
+
+      const reportCount = REPORT_STATUS_BY_ACTION[action]
+        ? await reportData.closeReports(targetType, targetId, {
+            status: REPORT_STATUS_BY_ACTION[action],
+            resolvedBy: moderatorId,
+            action,
+          })
+        : 0;
+
+      const entry = await moderationData.recordModerationAction({
+        courseId,
+        moderatorId,
+        action,
+        targetType,
+        targetId,
+        questionId,
+        // Only a reveal may record who wrote a post anonymous to staff
+        authorId: anonymityData.isHiddenFromStaff(post) ? null : authorId,
+        note,
+        reportCount,
+      });
+
+      res.status(201).json({
+        success: true,
+        action: entry,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/moderation/:courseId/reveal
+ * Reveal who wrote a post that is anonymous to staff; requires a reason,
+ * which is recorded with the reveal in the audit trail
+ */
+router.post(
+  '/:courseId/reveal',
+  requireCourseRole(COURSE_STAFF_ROLES),
+  [
+    body('targetType')
+      .isIn(moderationData.REVEAL_TARGETS)
+      .withMessage('targetType must be question, response or comment'),
+    body('targetId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid target ID');
+      }
+      return true;
+    }),
+    body('reason')
+      .isString()
+      .withMessage('Reason must be a string')
+      .trim()
+      .notEmpty()
+      .withMessage('A reason is required to reveal the author')
+      .isLength({ max: moderationData.MAX_MODERATION_NOTE_LENGTH })
+      .withMessage(
+        `Reason must not exceed ${moderationData.MAX_MODERATION_NOTE_LENGTH} characters`
+      ),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { targetType, targetId, reason } = req.body;
+      const { courseId } = req.params;
+
+      // Posts in the trash can still be revealed, e.g. for integrity cases
+      const target = await moderationData.getModerationTarget(
+        targetType,
+        targetId
+      );
+      if (!target || target.question.courseId.toString() !== courseId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Post not found in this course',
+        });
+      }
+
+      const { post, question } = target;
+      if (!anonymityData.isHiddenFromStaff(post)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only posts anonymous to staff can be revealed',
+        });
+      }
+
+      const author = await studentData.getStudentById(post.posterId.toString());
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: 'Author not found',
+        });
+      }
+
+      const entry = await moderationData.recordModerationAction({
+        courseId,
+        moderatorId: req.session.student.id,
+        action: 'reveal',
+        targetType,
+        targetId,
+        questionId: question._id.toString(),
+        authorId: post.posterId.toString(),
+        note: reason,
+      });
+
+      res.status(201).json({
+        success: true,
+        author: {
+          _id: author._id,
+          firstName: author.firstName,
+          lastName: author.lastName,
+          universityEmail: author.universityEmail,
+        },
+        action: entry,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
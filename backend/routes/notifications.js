@@ -1,19 +1,44 @@
 /**
  * Notifications Routes
- * Get and manage notifications
+ * Get and manage notifications, and each student's notification preferences
  */
 
 import express from 'express';
-import { param, query, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import { requireAuth } from '../middlewares.js';
-import { notificationData } from '../data/index.js';
+import { notificationData, notificationPreferenceData } from '../data/index.js';
 import { isValidObjectId } from '../validation.js';
+import {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  isValidCursor,
+  toPage,
+} from '../pagination.js';
 
 const router = express.Router();
 
+/**
+ * Validator for an optional array of course IDs in the body
+ * @param {string} field - Body field name
+ * @returns {ValidationChain} express-validator chain
+ */
+const courseIdList = (field) =>
+  body(field)
+    .optional()
+    .isArray()
+    .withMessage(`${field} must be an array`)
+    .bail()
+    .custom((value) => {
+      if (!value.every(isValidObjectId)) {
+        throw new Error('Invalid course ID');
+      }
+      return true;
+    });
+
 /**
  * GET /api/notifications
- * Get all notifications for the logged-in user
+ * Get a page of notifications for the logged-in user, newest first
+ * Optional: unreadOnly, limit, cursor
  */
 router.get(
   '/',
@@ -23,6 +48,18 @@ router.get(
       .optional()
       .isBoolean()
       .withMessage('unreadOnly must be a boolean'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+    query('cursor')
+      .optional()
+      .custom((value) => {
+        if (!isValidCursor(value)) {
+          throw new Error('Invalid cursor');
+        }
+        return true;
+      }),
   ],
   async (req, res, next) => {
     try {
@@ -36,15 +73,24 @@ router.get(
 
       const studentId = req.session.student.id;
       const unreadOnly = req.query.unreadOnly === 'false' ? false : true;
+      const { cursor } = req.query;
+      const limit = Number.parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
 
-      const notifications = await notificationData.getNotificationsByStudentId(
-        studentId,
-        unreadOnly
-      );
+      // Fetch one extra notification to tell whether another page exists
+      const [batch, unreadCount] = await Promise.all([
+        notificationData.getNotificationsByStudentId(studentId, unreadOnly, {
+          cursor,
+          limit: limit + 1,
+        }),
+        notificationData.getUnreadNotificationCount(studentId),
+      ]);
+      const { items: notifications, nextCursor } = toPage(batch, limit);
 
       res.json({
         success: true,
         notifications,
+        nextCursor,
+        unreadCount,
       });
     } catch (error) {
       next(error);
@@ -113,4 +159,101 @@ router.patch('/read-all', requireAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/notifications/preferences
+ * Get the logged-in user's notification preferences
+ */
+router.get('/preferences', requireAuth, async (req, res, next) => {
+  try {
+    const preferences = await notificationPreferenceData.getPreferences(
+      req.session.student.id
+    );
+
+    res.json({
+      success: true,
+      preferences,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/notifications/preferences
+ * Update the logged-in user's notification preferences
+ * Optional: muted, disabledTypes, mutedCourseIds, newQuestionCourseIds, emailFrequency
+ */
+router.patch(
+  '/preferences',
+  requireAuth,
+  [
+    body('muted')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('muted must be a boolean'),
+    body('disabledTypes')
+      .optional()
+      .isArray()
+      .withMessage('disabledTypes must be an array')
+      .bail()
+      .custom((value) => {
+        const unknownType = value.find(
+          (type) =>
+            !notificationPreferenceData.NOTIFICATION_TYPES.includes(type)
+        );
+        if (unknownType !== undefined) {
+          throw new Error(`Unknown notification type: ${unknownType}`);
+        }
+        return true;
+      }),
+    courseIdList('mutedCourseIds'),
+    courseIdList('newQuestionCourseIds'),
+    body('emailFrequency')
+      .optional()
+      .isIn(notificationPreferenceData.EMAIL_FREQUENCIES)
+      .withMessage(
+        `Email frequency must be one of: ${notificationPreferenceData.EMAIL_FREQUENCIES.join(
+          ', '
+        )}`
+      ),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        muted,
+        disabledTypes,
+        mutedCourseIds,
+        newQuestionCourseIds,
+        emailFrequency,
+      } = req.body;
+
+      const preferences = await notificationPreferenceData.updatePreferences(
+        req.session.student.id,
+        {
+          muted,
+          disabledTypes,
+          mutedCourseIds,
+          newQuestionCourseIds,
+          emailFrequency,
+        }
+      );
+
+      res.json({
+        success: true,
+        preferences,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 export default router;
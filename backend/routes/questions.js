@@ -5,15 +5,53 @@
 
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
-import { requireAuth } from '../middlewares.js';
-import { questionData, responseData, notificationData } from '../data/index.js';
+import {
+  requireAuth,
+  requireCourseMember,
+  courseIdFromQuestion,
+  requireVisibleQuestion,
+} from '../middlewares.js';
+import {
+  questionData,
+  notificationData,
+  searchData,
+  voteData,
+  attachmentData,
+  revisionData,
+  trashData,
+  tagData,
+  followData,
+  moderationData,
+  reportData,
+  screeningData,
+  anonymityData,
+  announcementData,
+} from '../data/index.js';
 import { isValidObjectId } from '../validation.js';
+import {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  isValidCursor,
+  toPage,
+} from '../pagination.js';
+import { isCourseStaff } from '../roles.js';
 
 const router = express.Router();
 
+// Membership check for routes addressed by :questionId
+const requireQuestionCourseMember = requireCourseMember(
+  courseIdFromQuestion((req) => req.params.questionId)
+);
+
+// Private question check for routes addressed by :questionId
+const requireVisibleParamQuestion = requireVisibleQuestion(
+  (req) => req.params.questionId
+);
+
 /**
  * GET /api/questions/detail/:questionId
- * Get a specific question with all details
+ * Get a specific question with all details (course members only)
+ * Hidden questions are only found by course staff and their poster.
  */
 router.get(
   '/detail/:questionId',
@@ -26,6 +64,7 @@ router.get(
       return true;
     }),
   ],
+  requireQuestionCourseMember,
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -38,7 +77,75 @@ router.get(
 
       const { questionId } = req.params;
 
-      const question = await questionData.getQuestionById(questionId);
+      const question = await questionData.getQuestionById(
+        questionId,
+        req.session.student.id,
+        isCourseStaff(req.courseRole)
+      );
+      if (
+        !question ||
+        !moderationData.canViewPost(
+          question,
+          req.session.student.id,
+          isCourseStaff(req.courseRole)
+        )
+      ) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question not found',
+        });
+      }
+
+      // Threads linked by duplicate marks, in either direction
+      const duplicateLinks = await questionData.getDuplicateLinks(question, {
+        viewerId: req.session.student.id,
+        isStaff: isCourseStaff(req.courseRole),
+      });
+      const following = await followData.isFollowing(
+        req.session.student.id,
+        questionId
+      );
+
+      res.json({
+        success: true,
+        question: { ...question, ...duplicateLinks, isFollowing: following },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/questions/:questionId/revisions
+ * Get every version of a question's title and content, oldest first (course members only)
+ */
+router.get(
+  '/:questionId/revisions',
+  requireAuth,
+  [
+    param('questionId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid question ID');
+      }
+      return true;
+    }),
+  ],
+  requireQuestionCourseMember,
+  requireVisibleParamQuestion,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const question = await questionData.getQuestionById(
+        req.params.questionId
+      );
       if (!question) {
         return res.status(404).json({
           success: false,
@@ -46,9 +153,14 @@ router.get(
         });
       }
 
+      const revisions = await revisionData.getRevisions('question', question, {
+        viewerId: req.session.student.id,
+        isStaff: isCourseStaff(req.courseRole),
+      });
+
       res.json({
         success: true,
-        question,
+        revisions,
       });
     } catch (error) {
       next(error);
@@ -58,7 +170,11 @@ router.get(
 
 /**
  * GET /api/questions/:courseId
- * Get all questions for a specific course with optional sorting
+ * Get a page of questions for a specific course with optional sorting (course members only)
+ * Optional: sort (newest, oldest, top, answered, unanswered), status (all, answered, unanswered),
+ * tags (comma-separated; questions must have all of them), endorsed (true: only
+ * questions endorsed by course staff or with an endorsed response), limit, cursor
+ * Hidden questions are listed for course staff and their poster only.
  */
 router.get(
   '/:courseId',
@@ -72,8 +188,36 @@ router.get(
     }),
     query('sort')
       .optional()
-      .isIn(['answered', 'unanswered', 'newest', 'oldest']),
+      .isIn(['answered', 'unanswered', 'newest', 'oldest', 'top']),
+    query('status')
+      .optional()
+      .isIn(['all', 'answered', 'unanswered'])
+      .withMessage('Status must be all, answered, or unanswered'),
+    query('tags')
+      .optional()
+      .custom((value) => {
+        tagData.normalizeTags(tagData.parseTagList(value));
+        return true;
+      }),
+    query('endorsed')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('Endorsed must be true or false'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+    query('cursor')
+      .optional()
+      .custom((value, { req }) => {
+        // Top-voted pages carry the score in their cursor
+        if (!isValidCursor(value, { byScore: req.query.sort === 'top' })) {
+          throw new Error('Invalid cursor');
+        }
+        return true;
+      }),
   ],
+  requireCourseMember(),
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -85,11 +229,88 @@ router.get(
       }
 
       const { courseId } = req.params;
-      const { sort = 'newest' } = req.query;
+      const { sort = 'newest', status = 'all', cursor } = req.query;
+      const tags = tagData.parseTagList(req.query.tags ?? []);
+      const limit = Number.parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
 
-      const questions = await questionData.getQuestionsByCourseId(
-        courseId,
-        sort
+      // Fetch one extra question to tell whether another page exists
+      const batch = await questionData.getQuestionsByCourseId(courseId, sort, {
+        status,
+        tags,
+        endorsed: req.query.endorsed === 'true',
+        cursor,
+        limit: limit + 1,
+        viewerId: req.session.student.id,
+        showHidden: isCourseStaff(req.courseRole),
+        isStaff: isCourseStaff(req.courseRole),
+      });
+      const { items: questions, nextCursor } = toPage(batch, limit, {
+        byScore: sort === 'top',
+      });
+
+      res.json({
+        success: true,
+        questions,
+        nextCursor,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/questions/:courseId/similar?q=
+ * Find likely duplicates of a question being written (course members only)
+ * Optional: excludeId (the question being edited), limit
+ */
+router.get(
+  '/:courseId/similar',
+  requireAuth,
+  [
+    param('courseId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid course ID');
+      }
+      return true;
+    }),
+    query('q')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Search query is required')
+      .isLength({ max: 200 })
+      .withMessage('Search query must not exceed 200 characters'),
+    query('excludeId')
+      .optional()
+      .custom((value) => {
+        if (!isValidObjectId(value)) {
+          throw new Error('Invalid question ID');
+        }
+        return true;
+      }),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 10 })
+      .withMessage('Limit must be between 1 and 10'),
+  ],
+  requireCourseMember(),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { q, excludeId, limit = '5' } = req.query;
+
+      const questions = await searchData.findSimilarQuestions(
+        req.params.courseId,
+        q,
+        { excludeId, limit: Number.parseInt(limit, 10) }
       );
 
       res.json({
@@ -104,7 +325,10 @@ router.get(
 
 /**
  * POST /api/questions
- * Create a new question
+ * Create a new question in a course the student belongs to
+ * Students' questions are screened first: they may be rejected, held hidden
+ * until course staff approve them, or flagged to staff. A private question
+ * (visibility 'staff') is seen only by its poster and the course staff.
  */
 router.post(
   '/',
@@ -132,7 +356,38 @@ router.post(
       .optional()
       .isBoolean()
       .withMessage('isAnonymous must be a boolean'),
+    body('isAnonymousToStaff')
+      .optional()
+      .isBoolean()
+      .withMessage('isAnonymousToStaff must be a boolean'),
+    body('visibility')
+      .optional()
+      .isIn(questionData.QUESTION_VISIBILITIES)
+      .withMessage(
+        `Visibility must be one of: ${questionData.QUESTION_VISIBILITIES.join(
+          ', '
+        )}`
+      ),
+    body('tags')
+      .optional()
+      .custom((value) => {
+        tagData.normalizeTags(value);
+        return true;
+      }),
+    body('attachmentIds')
+      .optional()
+      .isArray({ max: attachmentData.MAX_ATTACHMENTS_PER_POST })
+      .withMessage(
+        `attachmentIds must be an array of at most ${attachmentData.MAX_ATTACHMENTS_PER_POST} IDs`
+      ),
+    body('attachmentIds.*').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid attachment ID');
+      }
+      return true;
+    }),
   ],
+  requireCourseMember((req) => req.body.courseId),
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -143,19 +398,92 @@ router.post(
         });
       }
 
-      const { courseId, title, content, isAnonymous = false } = req.body;
+      const {
+        courseId,
+        title,
+        content,
+        isAnonymous = false,
+        isAnonymousToStaff,
+        visibility = 'public',
+        tags = [],
+        attachmentIds = [],
+      } = req.body;
       const posterId = req.session.student.id;
 
+      // Course staff posts are not screened
+      const screening = isCourseStaff(req.courseRole)
+        ? null
+        : screeningData.screenPost(
+            { title, content },
+            screeningData.getCourseScreening(req.course)
+          );
+      if (screening?.outcome === 'reject') {
+        return res.status(400).json({
+          success: false,
+          error: "This question breaks the course's content rules",
+          screening,
+        });
+      }
+      const isHeld = screening?.outcome === 'hold';
+
+      // Uploads must be the poster's own, from this course, and not yet used
+      const attachments = await attachmentData.getAttachableAttachments(
+        attachmentIds,
+        { uploaderId: posterId, courseId: courseId }
+      );
+      if (!attachments) {
+        return res.status(400).json({
+          success: false,
+          error: 'Attachments must be your own unused uploads in this course',
+        });
+      }
+
       // Build question payload for creation
       const newQuestionPayload = {
         courseId,
         posterId,
         title,
         content,
+        tags,
         isAnonymous,
+        isAnonymousToStaff,
+        visibility,
+        attachments,
+        isHeld,
       };
 
       const newQuestion = await questionData.createQuestion(newQuestionPayload);
+      await attachmentData.linkAttachments(attachments, {
+        targetType: 'question',
+        targetId: newQuestion._id.toString(),
+        questionId: newQuestion._id.toString(),
+      });
+
+      // Held and flagged questions go to the moderation queue
+      if (screening && screening.outcome !== 'allow') {
+        await reportData.createScreeningReport({
+          targetType: 'question',
+          targetId: newQuestion._id.toString(),
+          questionId: newQuestion._id.toString(),
+          courseId,
+          outcome: screening.outcome,
+          reasons: screening.reasons,
+        });
+      }
+
+      // Nobody else hears about a held question until it is approved
+      if (isHeld) {
+        return res.status(201).json({
+          success: true,
+          question: newQuestion,
+          screening,
+        });
+      }
+
+      await announcementData.announceQuestion(newQuestion, {
+        course: req.course,
+        poster: req.session.student,
+      });
 
       res.status(201).json({
         success: true,
@@ -169,7 +497,8 @@ router.post(
 
 /**
  * PATCH /api/questions/:questionId
- * Update a question (only by poster)
+ * Update a question (by poster or course staff)
+ * A student's new title or content is screened like a new question.
  */
 router.patch(
   '/:questionId',
@@ -191,11 +520,18 @@ router.patch(
       .trim()
       .isLength({ min: 1, max: 2000 })
       .withMessage('Content must be 1-2000 characters'),
+    body('tags')
+      .optional()
+      .custom((value) => {
+        tagData.normalizeTags(value);
+        return true;
+      }),
     body('isResolved')
       .optional()
       .isBoolean()
       .withMessage('isResolved must be a boolean'),
   ],
+  requireQuestionCourseMember,
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -210,7 +546,7 @@ router.patch(
       const updates = req.body;
       const currentUserId = req.session.student.id;
 
-      // Check if question exists and user is the poster
+      // Check if question exists and user is the poster or course staff
       const question = await questionData.getQuestionById(questionId);
       if (!question) {
         return res.status(404).json({
@@ -219,21 +555,106 @@ router.patch(
         });
       }
 
-      if (question.posterId.toString() !== currentUserId) {
+      if (
+        question.posterId.toString() !== currentUserId &&
+        !isCourseStaff(req.courseRole)
+      ) {
         return res.status(403).json({
           success: false,
           error: 'You can only edit your own questions',
         });
       }
 
-      const updatedQuestion = await questionData.updateQuestion(
+      const screening =
+        isCourseStaff(req.courseRole) ||
+        (updates.title === undefined && updates.content === undefined)
+          ? null
+          : screeningData.screenPost(
+              {
+                title: updates.title ?? question.title,
+                content: updates.content ?? question.content,
+              },
+              screeningData.getCourseScreening(req.course)
+            );
+      if (screening?.outcome === 'reject') {
+        return res.status(400).json({
+          success: false,
+          error: "This question breaks the course's content rules",
+          screening,
+        });
+      }
+      const isHeld = screening?.outcome === 'hold';
+
+      let updatedQuestion = await questionData.updateQuestion(
         questionId,
         updates
       );
 
+      if (screening && screening.outcome !== 'allow') {
+        // A question a moderator already hid stays hidden by them
+        if (isHeld && !question.hiddenAt) {
+          updatedQuestion = await questionData.setQuestionHidden(
+            questionId,
+            true,
+            null
+          );
+        }
+        await reportData.createScreeningReport({
+          targetType: 'question',
+          targetId: questionId,
+          questionId,
+          courseId: question.courseId.toString(),
+          outcome: screening.outcome,
+          reasons: screening.reasons,
+        });
+      }
+
+      // Keep the previous title and content in the question's history
+      const edit = await revisionData.recordRevision({
+        targetType: 'question',
+        before: question,
+        after: updatedQuestion,
+        editorId: currentUserId,
+      });
+
+      // Followers hear about edits to the title or content, and resolution
+      try {
+        const senderId = anonymityData.notificationSenderId(
+          question,
+          currentUserId
+        );
+        const editorName = senderId
+          ? req.session.student.firstName
+          : await anonymityData.getPseudonym(questionId, currentUserId);
+        if (edit && !isHeld) {
+          await followData.notifyFollowers(questionId, {
+            senderId,
+            type: 'question_edited',
+            message: `${editorName} edited "${updatedQuestion.title}"`,
+            excludeIds: [currentUserId],
+          });
+        }
+        if (!question.isResolved && updatedQuestion.isResolved) {
+          await followData.notifyFollowers(questionId, {
+            senderId,
+            type: 'question_resolved',
+            message: `"${updatedQuestion.title}" was marked as resolved`,
+            excludeIds: [currentUserId],
+          });
+        }
+      } catch (notifError) {
+        // Log error but don't fail the update
+        console.error('Failed to create notification:', notifError);
+      }
+
       res.json({
         success: true,
-        question: updatedQuestion,
+        question: anonymityData.forViewer(
+          { ...updatedQuestion, ...edit },
+          currentUserId,
+          isCourseStaff(req.courseRole)
+        ),
+        ...(isHeld && { screening }),
       });
     } catch (error) {
       next(error);
@@ -243,7 +664,8 @@ router.patch(
 
 /**
  * DELETE /api/questions/:questionId
- * Delete a question (only by poster)
+ * Move a question to the trash (by poster or course staff)
+ * The deleter can restore it from /api/trash until the purge job removes it.
  */
 router.delete(
   '/:questionId',
@@ -256,6 +678,7 @@ router.delete(
       return true;
     }),
   ],
+  requireQuestionCourseMember,
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -269,7 +692,7 @@ router.delete(
       const { questionId } = req.params;
       const currentUserId = req.session.student.id;
 
-      // Check if question exists and user is the poster
+      // Check if question exists and user is the poster or course staff
       const question = await questionData.getQuestionById(questionId);
       if (!question) {
         return res.status(404).json({
@@ -278,23 +701,446 @@ router.delete(
         });
       }
 
-      if (question.posterId.toString() !== currentUserId) {
+      if (
+        question.posterId.toString() !== currentUserId &&
+        !isCourseStaff(req.courseRole)
+      ) {
         return res.status(403).json({
           success: false,
           error: 'You can only delete your own questions',
         });
       }
 
-      // Cascade delete: remove all responses and notifications for this question
-      await responseData.deleteResponsesByQuestionId(questionId);
-      await notificationData.deleteNotificationsByQuestionId(questionId);
+      // The thread is kept until the trash is purged
+      const deletedQuestion = await questionData.softDeleteQuestion(
+        questionId,
+        currentUserId
+      );
+
+      res.json({
+        success: true,
+        message: 'Question moved to trash',
+        restoreUntil: trashData.getTrashExpiry(deletedQuestion.deletedAt),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/questions/:questionId/vote
+ * Upvote (1), downvote (-1), or clear (0) the current student's vote (course members, not the poster)
+ */
+router.patch(
+  '/:questionId/vote',
+  requireAuth,
+  [
+    param('questionId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid question ID');
+      }
+      return true;
+    }),
+    body('value').isIn([1, 0, -1]).withMessage('Vote must be 1, 0, or -1'),
+  ],
+  requireQuestionCourseMember,
+  requireVisibleParamQuestion,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { questionId } = req.params;
+      const currentUserId = req.session.student.id;
+
+      const question = await questionData.getQuestionById(questionId);
+      if (
+        !moderationData.canViewPost(
+          question,
+          currentUserId,
+          isCourseStaff(req.courseRole)
+        )
+      ) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question not found',
+        });
+      }
+
+      if (question.posterId.toString() === currentUserId) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot vote on your own post',
+        });
+      }
+
+      const { score, value } = await voteData.castVote({
+        targetType: 'question',
+        targetId: questionId,
+        voterId: currentUserId,
+        value: Number(req.body.value),
+      });
+
+      res.json({
+        success: true,
+        score,
+        myVote: value,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/questions/:questionId/follow
+ * Follow or unfollow a question to be notified of its responses, edits and
+ * resolution (course members)
+ */
+router.patch(
+  '/:questionId/follow',
+  requireAuth,
+  [
+    param('questionId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid question ID');
+      }
+      return true;
+    }),
+    body('isFollowing')
+      .isBoolean()
+      .withMessage('isFollowing must be a boolean'),
+  ],
+  requireQuestionCourseMember,
+  requireVisibleParamQuestion,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { questionId } = req.params;
+      const { isFollowing } = req.body;
+      const currentUserId = req.session.student.id;
+
+      if (isFollowing) {
+        await followData.followQuestion(currentUserId, questionId);
+      } else {
+        await followData.unfollowQuestion(currentUserId, questionId);
+      }
 
-      // Delete the question itself
-      await questionData.deleteQuestion(questionId);
+      res.json({
+        success: true,
+        isFollowing,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/questions/:questionId/endorsed
+ * Endorse a question on behalf of the course staff, or withdraw the
+ * endorsement (course staff only)
+ */
+router.patch(
+  '/:questionId/endorsed',
+  requireAuth,
+  [
+    param('questionId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid question ID');
+      }
+      return true;
+    }),
+    body('isEndorsed').isBoolean().withMessage('isEndorsed must be a boolean'),
+  ],
+  requireQuestionCourseMember,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      if (!isCourseStaff(req.courseRole)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only course staff can endorse questions',
+        });
+      }
+
+      const { questionId } = req.params;
+      const { isEndorsed } = req.body;
+      const currentUserId = req.session.student.id;
+
+      const question = await questionData.getQuestionById(questionId);
+
+      // Endorsing again keeps the original endorser and time
+      const wasEndorsed = Boolean(question.endorsedAt);
+      const updatedQuestion =
+        isEndorsed === wasEndorsed
+          ? question
+          : await questionData.setQuestionEndorsed(
+              questionId,
+              isEndorsed,
+              currentUserId
+            );
+
+      if (
+        isEndorsed &&
+        !wasEndorsed &&
+        question.posterId.toString() !== currentUserId
+      ) {
+        try {
+          await notificationData.createNotification({
+            recipientId: question.posterId.toString(),
+            questionId,
+            senderId: currentUserId,
+            type: 'endorsement',
+            message: `Your question "${question.title}" was endorsed by the course staff`,
+          });
+        } catch (notifError) {
+          // Log error but don't fail the update
+          console.error('Failed to create notification:', notifError);
+        }
+      }
+
+      res.json({
+        success: true,
+        question: anonymityData.forViewer(
+          updatedQuestion,
+          currentUserId,
+          isCourseStaff(req.courseRole)
+        ),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/questions/:questionId/visibility
+ * Make a private question public to the course, optionally anonymizing its
+ * poster (course staff only)
+ */
+router.patch(
+  '/:questionId/visibility',
+  requireAuth,
+  [
+    param('questionId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid question ID');
+      }
+      return true;
+    }),
+    body('visibility')
+      .equals('public')
+      .withMessage('Private questions can only be made public'),
+    body('anonymize')
+      .optional()
+      .isBoolean()
+      .withMessage('anonymize must be a boolean'),
+  ],
+  requireQuestionCourseMember,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      if (!isCourseStaff(req.courseRole)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only course staff can make private questions public',
+        });
+      }
+
+      const { questionId } = req.params;
+      const { anonymize = false } = req.body;
+      const currentUserId = req.session.student.id;
+
+      const updatedQuestion = await questionData.makeQuestionPublic(
+        questionId,
+        currentUserId,
+        anonymize
+      );
+      if (!updatedQuestion) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only private questions can be made public',
+        });
+      }
+
+      if (updatedQuestion.posterId.toString() !== currentUserId) {
+        try {
+          await notificationData.createNotification({
+            recipientId: updatedQuestion.posterId.toString(),
+            questionId,
+            senderId: currentUserId,
+            type: 'question_made_public',
+            message: updatedQuestion.isAnonymous
+              ? `Your private question "${updatedQuestion.title}" was shared anonymously with the class`
+              : `Your private question "${updatedQuestion.title}" was shared with the class`,
+          });
+        } catch (notifError) {
+          // Log error but don't fail the update
+          console.error('Failed to create notification:', notifError);
+        }
+      }
+
+      res.json({
+        success: true,
+        question: anonymityData.forViewer(
+          updatedQuestion,
+          currentUserId,
+          isCourseStaff(req.courseRole)
+        ),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/questions/:questionId/duplicate
+ * Mark a question as a duplicate of another question in the course, or clear
+ * the mark with duplicateOfId: null (course staff only)
+ */
+router.patch(
+  '/:questionId/duplicate',
+  requireAuth,
+  [
+    param('questionId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid question ID');
+      }
+      return true;
+    }),
+    body('duplicateOfId').custom((value) => {
+      if (value !== null && !isValidObjectId(value)) {
+        throw new Error('duplicateOfId must be a question ID or null');
+      }
+      return true;
+    }),
+  ],
+  requireQuestionCourseMember,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      if (!isCourseStaff(req.courseRole)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only course staff can mark duplicates',
+        });
+      }
+
+      const { questionId } = req.params;
+      const { duplicateOfId } = req.body;
+      const currentUserId = req.session.student.id;
+
+      const question = await questionData.getQuestionById(questionId);
+
+      if (duplicateOfId) {
+        if (duplicateOfId === questionId) {
+          return res.status(400).json({
+            success: false,
+            error: 'A question cannot be a duplicate of itself',
+          });
+        }
+
+        const original = await questionData.getQuestionById(duplicateOfId);
+        if (
+          !original ||
+          original.courseId.toString() !== question.courseId.toString()
+        ) {
+          return res.status(404).json({
+            success: false,
+            error: 'Original question not found in this course',
+          });
+        }
+
+        // The poster of a public question would be told the private title
+        if (
+          original.visibility === 'staff' &&
+          question.visibility !== 'staff'
+        ) {
+          return res.status(400).json({
+            success: false,
+            error:
+              'A public question cannot be marked as a duplicate of a private question',
+          });
+        }
+
+        // Keep links one level deep so every duplicate points at the original
+        if (original.duplicateOfId) {
+          return res.status(400).json({
+            success: false,
+            error:
+              'That question is itself a duplicate; link to the question it duplicates',
+          });
+        }
+      }
+
+      const updatedQuestion = await questionData.markDuplicate(
+        questionId,
+        duplicateOfId,
+        currentUserId
+      );
+      const duplicateLinks = await questionData.getDuplicateLinks(
+        updatedQuestion,
+        { viewerId: currentUserId, isStaff: true }
+      );
+
+      if (duplicateOfId && question.posterId.toString() !== currentUserId) {
+        try {
+          await notificationData.createNotification({
+            recipientId: question.posterId.toString(),
+            questionId,
+            senderId: currentUserId,
+            type: 'marked_duplicate',
+            message: `Your question "${question.title}" was marked as a duplicate of "${duplicateLinks.duplicateOf.title}"`,
+          });
+        } catch (notifError) {
+          // Log error but don't fail the update
+          console.error('Failed to create notification:', notifError);
+        }
+      }
 
       res.json({
         success: true,
-        message: 'Question deleted successfully',
+        question: anonymityData.forViewer(
+          { ...updatedQuestion, ...duplicateLinks },
+          currentUserId,
+          isCourseStaff(req.courseRole)
+        ),
       });
     } catch (error) {
       next(error);
@@ -0,0 +1,123 @@
+/**
+ * Report Routes
+ * Lets course members report abusive or off-topic questions and responses
+ * to course staff, who review them in the moderation queue
+ */
+
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import {
+  requireAuth,
+  requireCourseMember,
+  courseIdFromQuestion,
+  courseIdFromResponse,
+  questionIdFromResponse,
+  requireVisibleQuestion,
+} from '../middlewares.js';
+import { questionData, responseData, reportData } from '../data/index.js';
+import { isValidObjectId } from '../validation.js';
+
+const router = express.Router();
+
+// Membership check for new reports, resolved through the reported post
+const requireTargetCourseMember = requireCourseMember((req) =>
+  req.body.targetType === 'response'
+    ? courseIdFromResponse((r) => r.body.targetId)(req)
+    : courseIdFromQuestion((r) => r.body.targetId)(req)
+);
+
+// Private question check for the post's thread
+const requireVisibleTargetQuestion = requireVisibleQuestion((req) =>
+  req.body.targetType === 'response'
+    ? questionIdFromResponse((r) => r.body.targetId)(req)
+    : req.body.targetId
+);
+
+/**
+ * POST /api/reports
+ * Report a question or response in a course the student belongs to
+ */
+router.post(
+  '/',
+  requireAuth,
+  [
+    body('targetType')
+      .isIn(reportData.REPORT_TARGETS)
+      .withMessage('targetType must be question or response'),
+    body('targetId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid target ID');
+      }
+      return true;
+    }),
+    body('reason')
+      .isIn(reportData.REPORT_REASONS)
+      .withMessage(
+        `Reason must be one of: ${reportData.REPORT_REASONS.join(', ')}`
+      ),
+    body('details')
+      .optional()
+      .isString()
+      .withMessage('Details must be a string')
+      .trim()
+      .isLength({ max: reportData.MAX_REPORT_DETAILS_LENGTH })
+      .withMessage(
+        `Details must not exceed ${reportData.MAX_REPORT_DETAILS_LENGTH} characters`
+      ),
+  ],
+  requireTargetCourseMember,
+  requireVisibleTargetQuestion,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { targetType, targetId, reason, details } = req.body;
+      const reporterId = req.session.student.id;
+
+      // The membership check has already confirmed the post exists
+      const post =
+        targetType === 'response'
+          ? await responseData.getResponseById(targetId)
+          : await questionData.getQuestionById(targetId);
+
+      if (post.posterId.toString() === reporterId) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot report your own post',
+        });
+      }
+
+      const report = await reportData.createReport({
+        reporterId,
+        targetType,
+        targetId,
+        questionId:
+          targetType === 'response' ? post.questionId.toString() : targetId,
+        courseId: req.course._id.toString(),
+        reason,
+        details,
+      });
+      if (!report) {
+        return res.status(409).json({
+          success: false,
+          error: 'You have already reported this post',
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        report,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -5,15 +5,56 @@
 
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
-import { requireAuth } from '../middlewares.js';
-import { responseData, questionData, notificationData } from '../data/index.js';
+import {
+  requireAuth,
+  requireCourseMember,
+  courseIdFromQuestion,
+  courseIdFromResponse,
+  questionIdFromResponse,
+  requireVisibleQuestion,
+  createHttpError,
+} from '../middlewares.js';
+import {
+  responseData,
+  questionData,
+  notificationData,
+  voteData,
+  attachmentData,
+  revisionData,
+  trashData,
+  followData,
+  moderationData,
+  reportData,
+  screeningData,
+  anonymityData,
+  announcementData,
+} from '../data/index.js';
 import { isValidObjectId } from '../validation.js';
+import {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  isValidCursor,
+  toPage,
+} from '../pagination.js';
+import { isCourseStaff } from '../roles.js';
 
 const router = express.Router();
 
+// Membership check for routes addressed by :responseId
+const requireResponseCourseMember = requireCourseMember(
+  courseIdFromResponse((req) => req.params.responseId)
+);
+
+// Private question check for routes addressed by :responseId
+const requireVisibleResponseQuestion = requireVisibleQuestion(
+  questionIdFromResponse((req) => req.params.responseId)
+);
+
 /**
  * GET /api/responses/:questionId
- * Get all responses for a question
+ * Get all responses for a question (course members only)
+ * Hidden responses are listed for course staff and their poster only. A
+ * private question's responses are seen only by course staff and its poster.
  */
 router.get(
   '/:questionId',
@@ -25,8 +66,23 @@ router.get(
       }
       return true;
     }),
-    query('sort').optional().isIn(['newest', 'oldest']),
+    query('sort').optional().isIn(['newest', 'oldest', 'top']),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+    query('cursor')
+      .optional()
+      .custom((value, { req }) => {
+        // Top-voted pages carry the score in their cursor
+        if (!isValidCursor(value, { byScore: req.query.sort === 'top' })) {
+          throw new Error('Invalid cursor');
+        }
+        return true;
+      }),
   ],
+  requireCourseMember(courseIdFromQuestion((req) => req.params.questionId)),
+  requireVisibleQuestion((req) => req.params.questionId),
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -38,16 +94,40 @@ router.get(
       }
 
       const { questionId } = req.params;
-      const { sort = 'newest' } = req.query;
+      const { sort = 'newest', cursor } = req.query;
+      const limit = Number.parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+      const viewerId = req.session.student.id;
+      const isStaff = isCourseStaff(req.courseRole);
+
+      // A hidden question's responses are hidden along with it
+      const question = await questionData.getQuestionById(questionId);
+      if (!moderationData.canViewPost(question, viewerId, isStaff)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question not found',
+        });
+      }
 
-      const responses = await responseData.getResponsesByQuestionId(
+      // Fetch one extra response to tell whether another page exists
+      const batch = await responseData.getResponsesByQuestionId(
         questionId,
-        sort
+        sort,
+        {
+          cursor,
+          limit: limit + 1,
+          viewerId,
+          showHidden: isStaff,
+          isStaff,
+        }
       );
+      const { items: responses, nextCursor } = toPage(batch, limit, {
+        byScore: sort === 'top',
+      });
 
       res.json({
         success: true,
         responses,
+        nextCursor,
       });
     } catch (error) {
       next(error);
@@ -57,7 +137,10 @@ router.get(
 
 /**
  * POST /api/responses
- * Create a new response to a question
+ * Create a new response to a question in a course the student belongs to
+ * Only course staff can respond in a locked thread. Students' responses are
+ * screened first: they may be rejected, held hidden until course staff
+ * approve them, or flagged to staff.
  */
 router.post(
   '/',
@@ -79,7 +162,25 @@ router.post(
       .optional()
       .isBoolean()
       .withMessage('isAnonymous must be a boolean'),
+    body('isAnonymousToStaff')
+      .optional()
+      .isBoolean()
+      .withMessage('isAnonymousToStaff must be a boolean'),
+    body('attachmentIds')
+      .optional()
+      .isArray({ max: attachmentData.MAX_ATTACHMENTS_PER_POST })
+      .withMessage(
+        `attachmentIds must be an array of at most ${attachmentData.MAX_ATTACHMENTS_PER_POST} IDs`
+      ),
+    body('attachmentIds.*').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid attachment ID');
+      }
+      return true;
+    }),
   ],
+  requireCourseMember(courseIdFromQuestion((req) => req.body.questionId)),
+  requireVisibleQuestion((req) => req.body.questionId),
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -90,39 +191,110 @@ router.post(
         });
       }
 
-      const { questionId, content, isAnonymous = false } = req.body;
+      const {
+        questionId,
+        content,
+        isAnonymous = false,
+        isAnonymousToStaff,
+        attachmentIds = [],
+      } = req.body;
       const posterId = req.session.student.id;
 
+      const question = await questionData.getQuestionById(questionId);
+      const isStaff = isCourseStaff(req.courseRole);
+      if (!moderationData.canViewPost(question, posterId, isStaff)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question not found',
+        });
+      }
+
+      if (question.lockedAt && !isStaff) {
+        return res.status(403).json({
+          success: false,
+          error: 'This thread is locked',
+        });
+      }
+
+      // Course staff posts are not screened
+      const screening = isStaff
+        ? null
+        : screeningData.screenPost(
+            { content },
+            screeningData.getCourseScreening(req.course)
+          );
+      if (screening?.outcome === 'reject') {
+        return res.status(400).json({
+          success: false,
+          error: "This response breaks the course's content rules",
+          screening,
+        });
+      }
+      const isHeld = screening?.outcome === 'hold';
+
+      // Uploads must be the poster's own, from this course, and not yet used
+      const attachments = await attachmentData.getAttachableAttachments(
+        attachmentIds,
+        { uploaderId: posterId, courseId: req.course._id.toString() }
+      );
+      if (!attachments) {
+        return res.status(400).json({
+          success: false,
+          error: 'Attachments must be your own unused uploads in this course',
+        });
+      }
+
       // Build response payload for creation
       const newResponsePayload = {
         questionId,
         posterId,
         content,
         isAnonymous,
+        isAnonymousToStaff,
+        attachments,
+        isHeld,
       };
 
       const newResponse = await responseData.createResponse(newResponsePayload);
+      await attachmentData.linkAttachments(attachments, {
+        targetType: 'response',
+        targetId: newResponse._id.toString(),
+        questionId,
+      });
 
-      // Create notification for question poster (if not posting to own question)
+      // Held and flagged responses go to the moderation queue
+      if (screening && screening.outcome !== 'allow') {
+        await reportData.createScreeningReport({
+          targetType: 'response',
+          targetId: newResponse._id.toString(),
+          questionId,
+          courseId: req.course._id.toString(),
+          outcome: screening.outcome,
+          reasons: screening.reasons,
+        });
+      }
+
+      // Answering a question follows it
       try {
-        const question = await questionData.getQuestionById(questionId);
-        if (question && question.posterId.toString() !== posterId) {
-          const responderName = isAnonymous
-            ? 'Someone'
-            : req.session.student.firstName;
-          await notificationData.createNotification({
-            recipientId: question.posterId.toString(),
-            questionId: questionId,
-            senderId: posterId,
-            type: 'new_response',
-            message: `${responderName} replied to your question: "${question.title}"`,
-          });
-        }
-      } catch (notifError) {
-        // Log error but don't fail the response creation
-        console.error('Failed to create notification:', notifError);
+        await followData.followQuestion(posterId, questionId);
+      } catch (followError) {
+        console.error('Failed to follow question:', followError);
       }
 
+      // Nobody else hears about a held response until it is approved
+      if (isHeld) {
+        return res.status(201).json({
+          success: true,
+          response: newResponse,
+          screening,
+        });
+      }
+
+      await announcementData.announceResponse(newResponse, {
+        question,
+        poster: req.session.student,
+      });
+
       res.status(201).json({
         success: true,
         response: newResponse,
@@ -133,9 +305,62 @@ router.post(
   }
 );
 
+/**
+ * GET /api/responses/:responseId/revisions
+ * Get every version of a response's content, oldest first (course members only)
+ */
+router.get(
+  '/:responseId/revisions',
+  requireAuth,
+  [
+    param('responseId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid response ID');
+      }
+      return true;
+    }),
+  ],
+  requireResponseCourseMember,
+  requireVisibleResponseQuestion,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const response = await responseData.getResponseById(
+        req.params.responseId
+      );
+      if (!response) {
+        return res.status(404).json({
+          success: false,
+          error: 'Response not found',
+        });
+      }
+
+      const revisions = await revisionData.getRevisions('response', response, {
+        viewerId: req.session.student.id,
+        isStaff: isCourseStaff(req.courseRole),
+      });
+
+      res.json({
+        success: true,
+        revisions,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * PATCH /api/responses/:responseId
- * Update a response's content (only by poster)
+ * Update a response's content (by poster or course staff)
+ * A student's new content is screened like a new response.
  */
 router.patch(
   '/:responseId',
@@ -148,11 +373,11 @@ router.patch(
       return true;
     }),
     body('content')
-      .optional()
       .trim()
       .isLength({ min: 1, max: 1500 })
       .withMessage('Content must be 1-1500 characters'),
   ],
+  requireResponseCourseMember,
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -164,10 +389,11 @@ router.patch(
       }
 
       const { responseId } = req.params;
-      const updates = req.body;
+      // Only the content can be edited; marks have their own routes
+      const updates = { content: req.body.content };
       const currentUserId = req.session.student.id;
 
-      // Check if response exists and user is the poster
+      // Check if response exists and user is the poster or course staff
       const response = await responseData.getResponseById(responseId);
       if (!response) {
         return res.status(404).json({
@@ -176,21 +402,71 @@ router.patch(
         });
       }
 
-      if (response.posterId.toString() !== currentUserId) {
+      if (
+        response.posterId.toString() !== currentUserId &&
+        !isCourseStaff(req.courseRole)
+      ) {
         return res.status(403).json({
           success: false,
           error: 'You can only edit your own responses',
         });
       }
 
-      const updatedResponse = await responseData.updateResponse(
+      const screening = isCourseStaff(req.courseRole)
+        ? null
+        : screeningData.screenPost(
+            { content: updates.content },
+            screeningData.getCourseScreening(req.course)
+          );
+      if (screening?.outcome === 'reject') {
+        return res.status(400).json({
+          success: false,
+          error: "This response breaks the course's content rules",
+          screening,
+        });
+      }
+      const isHeld = screening?.outcome === 'hold';
+
+      let updatedResponse = await responseData.updateResponse(
         responseId,
         updates
       );
 
+      if (screening && screening.outcome !== 'allow') {
+        // A response a moderator already hid stays hidden by them
+        if (isHeld && !response.hiddenAt) {
+          updatedResponse = await responseData.setResponseHidden(
+            responseId,
+            true,
+            null
+          );
+        }
+        await reportData.createScreeningReport({
+          targetType: 'response',
+          targetId: responseId,
+          questionId: response.questionId.toString(),
+          courseId: req.course._id.toString(),
+          outcome: screening.outcome,
+          reasons: screening.reasons,
+        });
+      }
+
+      // Keep the previous content in the response's history
+      const edit = await revisionData.recordRevision({
+        targetType: 'response',
+        before: response,
+        after: updatedResponse,
+        editorId: currentUserId,
+      });
+
       res.json({
         success: true,
-        response: updatedResponse,
+        response: anonymityData.forViewer(
+          { ...updatedResponse, ...edit },
+          currentUserId,
+          isCourseStaff(req.courseRole)
+        ),
+        ...(isHeld && { screening }),
       });
     } catch (error) {
       next(error);
@@ -200,7 +476,9 @@ router.patch(
 
 /**
  * DELETE /api/responses/:responseId
- * Delete a response (only by poster)
+ * Move a response to the trash (by poster or course staff)
+ * Clears the accepted answer if it was this response; restoring does not
+ * accept it again.
  */
 router.delete(
   '/:responseId',
@@ -213,6 +491,7 @@ router.delete(
       return true;
     }),
   ],
+  requireResponseCourseMember,
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -226,7 +505,7 @@ router.delete(
       const { responseId } = req.params;
       const currentUserId = req.session.student.id;
 
-      // Check if response exists and user is the poster
+      // Check if response exists and user is the poster or course staff
       const response = await responseData.getResponseById(responseId);
       if (!response) {
         return res.status(404).json({
@@ -235,18 +514,27 @@ router.delete(
         });
       }
 
-      if (response.posterId.toString() !== currentUserId) {
+      if (
+        response.posterId.toString() !== currentUserId &&
+        !isCourseStaff(req.courseRole)
+      ) {
         return res.status(403).json({
           success: false,
           error: 'You can only delete your own responses',
         });
       }
 
-      await responseData.deleteResponse(responseId);
+      // Votes, comments and attachments are kept until the trash is purged
+      const deletedResponse = await responseData.softDeleteResponse(
+        responseId,
+        currentUserId
+      );
+      await questionData.clearAcceptedResponse(responseId);
 
       res.json({
         success: true,
-        message: 'Response deleted successfully',
+        message: 'Response moved to trash',
+        restoreUntil: trashData.getTrashExpiry(deletedResponse.deletedAt),
       });
     } catch (error) {
       next(error);
@@ -254,9 +542,42 @@ router.delete(
   }
 );
 
+/**
+ * Loads a response and its question, checking that the caller can judge it
+ * Only the question poster and course staff may mark helpful or accepted answers.
+ * @param {Request} req - Express request object (after requireResponseCourseMember)
+ * @returns {Promise<Object>} { response, question }
+ * @throws {Error} 404 or 403 error for errorHandler
+ */
+const getJudgeableResponse = async (req) => {
+  const response = await responseData.getResponseById(req.params.responseId);
+  if (!response) {
+    throw createHttpError(404, 'Response not found');
+  }
+
+  const question = await questionData.getQuestionById(
+    response.questionId.toString()
+  );
+  if (!question) {
+    throw createHttpError(404, 'Question not found');
+  }
+
+  if (
+    question.posterId.toString() !== req.session.student.id &&
+    !isCourseStaff(req.courseRole)
+  ) {
+    throw createHttpError(
+      403,
+      'Only the question poster or course staff can do this'
+    );
+  }
+
+  return { response, question };
+};
+
 /**
  * PATCH /api/responses/:responseId/helpful
- * Mark or unmark a response as helpful (only by question poster)
+ * Mark or unmark a response as helpful (question poster or course staff)
  */
 router.patch(
   '/:responseId/helpful',
@@ -270,6 +591,7 @@ router.patch(
     }),
     body('isHelpful').isBoolean().withMessage('isHelpful must be a boolean'),
   ],
+  requireResponseCourseMember,
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -284,7 +606,190 @@ router.patch(
       const { isHelpful } = req.body;
       const currentUserId = req.session.student.id;
 
-      // Get the response to find the response poster
+      const { response, question } = await getJudgeableResponse(req);
+
+      const updatedResponse = await responseData.setResponseHelpful(
+        responseId,
+        isHelpful
+      );
+
+      // Create notification when response is marked as helpful (not unmarked)
+      if (isHelpful && response.posterId.toString() !== currentUserId) {
+        try {
+          await notificationData.createNotification({
+            recipientId: response.posterId.toString(),
+            questionId: response.questionId.toString(),
+            senderId: anonymityData.notificationSenderId(
+              question,
+              currentUserId
+            ),
+            type: 'helpful_mark',
+            message: `Your response to "${question.title}" was marked as helpful!`,
+          });
+        } catch (notifError) {
+          // Log error but don't fail the update
+          console.error('Failed to create notification:', notifError);
+        }
+      }
+
+      res.json({
+        success: true,
+        response: anonymityData.forViewer(
+          updatedResponse,
+          currentUserId,
+          isCourseStaff(req.courseRole)
+        ),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/responses/:responseId/accepted
+ * Accept or unaccept a response as the answer to its question (question poster or course staff)
+ * Accepting replaces any previously accepted response and resolves the question.
+ */
+router.patch(
+  '/:responseId/accepted',
+  requireAuth,
+  [
+    param('responseId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid response ID');
+      }
+      return true;
+    }),
+    body('isAccepted').isBoolean().withMessage('isAccepted must be a boolean'),
+  ],
+  requireResponseCourseMember,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { responseId } = req.params;
+      const { isAccepted } = req.body;
+      const currentUserId = req.session.student.id;
+
+      const { response, question } = await getJudgeableResponse(req);
+      const questionId = question._id.toString();
+      const wasAccepted =
+        question.acceptedResponseId?.toString() === responseId;
+
+      let updatedQuestion = question;
+      if (isAccepted && !wasAccepted) {
+        await questionData.setAcceptedResponse(questionId, responseId);
+        updatedQuestion = await questionData.updateQuestion(questionId, {
+          isResolved: true,
+        });
+      } else if (!isAccepted && wasAccepted) {
+        // Unaccepting leaves the question's resolved state alone
+        updatedQuestion = await questionData.setAcceptedResponse(
+          questionId,
+          null
+        );
+      }
+
+      if (
+        isAccepted &&
+        !wasAccepted &&
+        response.posterId.toString() !== currentUserId
+      ) {
+        try {
+          await notificationData.createNotification({
+            recipientId: response.posterId.toString(),
+            questionId,
+            senderId: anonymityData.notificationSenderId(
+              question,
+              currentUserId
+            ),
+            type: 'answer_accepted',
+            message: `Your response to "${question.title}" was accepted as the answer!`,
+          });
+        } catch (notifError) {
+          // Log error but don't fail the update
+          console.error('Failed to create notification:', notifError);
+        }
+      }
+
+      // Accepting an answer to an open question resolves it for followers
+      if (!question.isResolved && updatedQuestion.isResolved) {
+        try {
+          await followData.notifyFollowers(questionId, {
+            senderId: anonymityData.notificationSenderId(
+              question,
+              currentUserId
+            ),
+            type: 'question_resolved',
+            message: `"${question.title}" was marked as resolved`,
+            excludeIds: [response.posterId.toString(), currentUserId],
+          });
+        } catch (notifError) {
+          // Log error but don't fail the update
+          console.error('Failed to create notification:', notifError);
+        }
+      }
+
+      res.json({
+        success: true,
+        question: anonymityData.forViewer(
+          updatedQuestion,
+          currentUserId,
+          isCourseStaff(req.courseRole)
+        ),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/responses/:responseId/endorsed
+ * Endorse a response on behalf of the course staff, or withdraw the
+ * endorsement (course staff only)
+ */
+router.patch(
+  '/:responseId/endorsed',
+  requireAuth,
+  [
+    param('responseId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid response ID');
+      }
+      return true;
+    }),
+    body('isEndorsed').isBoolean().withMessage('isEndorsed must be a boolean'),
+  ],
+  requireResponseCourseMember,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      if (!isCourseStaff(req.courseRole)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only course staff can endorse responses',
+        });
+      }
+
+      const { responseId } = req.params;
+      const { isEndorsed } = req.body;
+      const currentUserId = req.session.student.id;
+
       const response = await responseData.getResponseById(responseId);
       if (!response) {
         return res.status(404).json({
@@ -293,25 +798,33 @@ router.patch(
         });
       }
 
-      const updatedResponse = await responseData.updateResponse(responseId, {
-        isHelpful,
-      });
+      // Endorsing again keeps the original endorser and time
+      const wasEndorsed = Boolean(response.endorsedAt);
+      const updatedResponse =
+        isEndorsed === wasEndorsed
+          ? response
+          : await responseData.setResponseEndorsed(
+              responseId,
+              isEndorsed,
+              currentUserId
+            );
 
-      // Create notification when response is marked as helpful (not unmarked)
-      if (isHelpful && response.posterId.toString() !== currentUserId) {
+      if (
+        isEndorsed &&
+        !wasEndorsed &&
+        response.posterId.toString() !== currentUserId
+      ) {
         try {
           const question = await questionData.getQuestionById(
             response.questionId.toString()
           );
-          if (question) {
-            await notificationData.createNotification({
-              recipientId: response.posterId.toString(),
-              questionId: response.questionId.toString(),
-              senderId: currentUserId,
-              type: 'helpful_mark',
-              message: `Your response to "${question.title}" was marked as helpful!`,
-            });
-          }
+          await notificationData.createNotification({
+            recipientId: response.posterId.toString(),
+            questionId: response.questionId.toString(),
+            senderId: currentUserId,
+            type: 'endorsement',
+            message: `Your response to "${question.title}" was endorsed by the course staff`,
+          });
         } catch (notifError) {
           // Log error but don't fail the update
           console.error('Failed to create notification:', notifError);
@@ -320,7 +833,82 @@ router.patch(
 
       res.json({
         success: true,
-        response: updatedResponse,
+        response: anonymityData.forViewer(
+          updatedResponse,
+          currentUserId,
+          isCourseStaff(req.courseRole)
+        ),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/responses/:responseId/vote
+ * Upvote (1), downvote (-1), or clear (0) the current student's vote (course members, not the poster)
+ */
+router.patch(
+  '/:responseId/vote',
+  requireAuth,
+  [
+    param('responseId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid response ID');
+      }
+      return true;
+    }),
+    body('value').isIn([1, 0, -1]).withMessage('Vote must be 1, 0, or -1'),
+  ],
+  requireResponseCourseMember,
+  requireVisibleResponseQuestion,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { responseId } = req.params;
+      const currentUserId = req.session.student.id;
+
+      const response = await responseData.getResponseById(responseId);
+      const question = await questionData.getQuestionById(
+        response.questionId.toString()
+      );
+      const isStaff = isCourseStaff(req.courseRole);
+      if (
+        !moderationData.canViewPost(question, currentUserId, isStaff) ||
+        !moderationData.canViewPost(response, currentUserId, isStaff)
+      ) {
+        return res.status(404).json({
+          success: false,
+          error: 'Response not found',
+        });
+      }
+
+      if (response.posterId.toString() === currentUserId) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot vote on your own post',
+        });
+      }
+
+      const { score, value } = await voteData.castVote({
+        targetType: 'response',
+        targetId: responseId,
+        voterId: currentUserId,
+        value: Number(req.body.value),
+      });
+
+      res.json({
+        success: true,
+        score,
+        myVote: value,
       });
     } catch (error) {
       next(error);
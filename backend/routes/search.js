@@ -0,0 +1,101 @@
+/**
+ * Search Routes
+ * Full-text search within a course
+ */
+
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { requireAuth, requireCourseMember } from '../middlewares.js';
+import { searchData, tagData } from '../data/index.js';
+import { isValidObjectId } from '../validation.js';
+import { isCourseStaff } from '../roles.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/search?courseId=&q=
+ * Search a course's questions and responses, ranked by relevance (course members only)
+ * Optional: status (all, answered, unanswered), tags (comma-separated),
+ * endorsed (true: only staff-endorsed questions or ones with an endorsed response),
+ * page, limit
+ */
+router.get(
+  '/',
+  requireAuth,
+  [
+    query('courseId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid course ID');
+      }
+      return true;
+    }),
+    query('q')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Search query is required')
+      .isLength({ max: 200 })
+      .withMessage('Search query must not exceed 200 characters'),
+    query('status')
+      .optional()
+      .isIn(['all', 'answered', 'unanswered'])
+      .withMessage('Status must be all, answered, or unanswered'),
+    query('endorsed')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('Endorsed must be true or false'),
+    query('tags')
+      .optional()
+      .custom((value) => {
+        tagData.normalizeTags(tagData.parseTagList(value));
+        return true;
+      }),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+  ],
+  requireCourseMember((req) => req.query.courseId),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        courseId,
+        q,
+        status = 'all',
+        page = '1',
+        limit = '20',
+      } = req.query;
+
+      const searchResults = await searchData.searchCourse(courseId, q, {
+        status,
+        tags: tagData.parseTagList(req.query.tags ?? []),
+        endorsed: req.query.endorsed === 'true',
+        viewerId: req.session.student.id,
+        isStaff: isCourseStaff(req.courseRole),
+        page: Number.parseInt(page, 10),
+        limit: Number.parseInt(limit, 10),
+      });
+
+      res.json({
+        success: true,
+        ...searchResults,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
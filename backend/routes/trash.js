@@ -0,0 +1,129 @@
+/**
+ * Trash Routes
+ * List and restore the questions and responses a student deleted
+ *
+ * Deleted posts can be restored by the student who deleted them until they
+ * expire (TRASH_RETENTION_DAYS) and the purge job removes them for good.
+ */
+
+import express from 'express';
+import { param, validationResult } from 'express-validator';
+import { requireAuth } from '../middlewares.js';
+import { questionData, responseData, trashData } from '../data/index.js';
+import { isValidObjectId } from '../validation.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/trash
+ * Get the logged-in student's deleted questions and responses, newest first
+ */
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const items = await trashData.getTrashByStudentId(req.session.student.id);
+
+    res.json({
+      success: true,
+      items,
+      retentionDays: trashData.getTrashRetentionDays(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/trash/questions/:questionId/restore
+ * Restore a question, with its responses, from the logged-in student's trash
+ */
+router.patch(
+  '/questions/:questionId/restore',
+  requireAuth,
+  [
+    param('questionId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid question ID');
+      }
+      return true;
+    }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const question = await questionData.restoreQuestion(
+        req.params.questionId,
+        req.session.student.id,
+        trashData.getTrashCutoff()
+      );
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question not found in your trash',
+        });
+      }
+
+      res.json({
+        success: true,
+        question,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/trash/responses/:responseId/restore
+ * Restore a response from the logged-in student's trash
+ */
+router.patch(
+  '/responses/:responseId/restore',
+  requireAuth,
+  [
+    param('responseId').custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Invalid response ID');
+      }
+      return true;
+    }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const response = await responseData.restoreResponse(
+        req.params.responseId,
+        req.session.student.id,
+        trashData.getTrashCutoff()
+      );
+      if (!response) {
+        return res.status(404).json({
+          success: false,
+          error: 'Response not found in your trash',
+        });
+      }
+
+      res.json({
+        success: true,
+        response,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -6,6 +6,7 @@
 import { connectToDb, closeConnection } from '../database_config/index.js';
 import { seedCourses } from './seedCourses.js';
 import { seedStudents } from './seedStudents.js';
+import { seedStaff } from './seedStaff.js';
 import { seedQuestions } from './seedQuestions.js';
 import { seedResponses } from './seedResponses.js';
 
@@ -16,13 +17,16 @@ const runSeed = async () => {
     // Connect to database
     await connectToDb();
 
-    // Seed in order (courses → students → questions → responses)
+    // Seed in order (courses → students → staff → questions → responses)
     console.log('Seeding courses...');
     const courseIds = await seedCourses();
 
     console.log('\nSeeding students...');
     const studentIds = await seedStudents(courseIds);
 
+    console.log('\nSeeding staff...');
+    await seedStaff(courseIds, studentIds);
+
     console.log('\nSeeding questions...');
     const questionIds = await seedQuestions(courseIds, studentIds);
 
@@ -37,7 +41,8 @@ const runSeed = async () => {
     console.log('\nAll student passwords: password123\n');
     console.log('   Example login credentials:');
     console.log('   Email: aditi.sharma@stevens.edu');
-    console.log('   Password: password123\n');
+    console.log('   Password: password123');
+    console.log('   Admin: admin@stevens.edu / password123\n');
   } catch (error) {
     console.error('Seeding failed:', error);
     process.exit(1);
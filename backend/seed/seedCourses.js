@@ -4,6 +4,7 @@
  */
 
 import { getCollection, COLLECTIONS } from '../database_config/index.js';
+import { generateJoinCode } from '../tokens.js';
 
 const courses = [
   {
@@ -15,6 +16,8 @@ const courses = [
     instructorEmail: 'gvesonde@stevens.edu',
     term: 'Fall 2025',
     enrolledStudents: [],
+    instructors: [],
+    teachingAssistants: [],
     createdAt: new Date(),
   },
   {
@@ -26,6 +29,8 @@ const courses = [
     instructorEmail: 'whendrix@stevens.edu',
     term: 'Fall 2025',
     enrolledStudents: [],
+    instructors: [],
+    teachingAssistants: [],
     createdAt: new Date(),
   },
   {
@@ -37,6 +42,8 @@ const courses = [
     instructorEmail: 'mchen@stevens.edu',
     term: 'Fall 2025',
     enrolledStudents: [],
+    instructors: [],
+    teachingAssistants: [],
     createdAt: new Date(),
   },
   {
@@ -48,6 +55,8 @@ const courses = [
     instructorEmail: 'gvesonde@stevens.edu',
     term: 'Fall 2025',
     enrolledStudents: [],
+    instructors: [],
+    teachingAssistants: [],
     createdAt: new Date(),
   },
   {
@@ -59,6 +68,8 @@ const courses = [
     instructorEmail: 'phill@stevens.edu',
     term: 'Fall 2025',
     enrolledStudents: [],
+    instructors: [],
+    teachingAssistants: [],
     createdAt: new Date(),
   },
 ];
@@ -70,8 +81,10 @@ export const seedCourses = async () => {
     // Clear existing courses
     await coursesCollection.deleteMany({});
 
-    // Insert courses
-    const result = await coursesCollection.insertMany(courses);
+    // Insert courses, each with a fresh join code
+    const result = await coursesCollection.insertMany(
+      courses.map((course) => ({ ...course, joinCode: generateJoinCode() }))
+    );
 
     console.log(`Seeded ${result.insertedCount} courses`);
     return Object.values(result.insertedIds);
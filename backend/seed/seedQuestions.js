@@ -828,6 +828,7 @@ export const seedQuestions = async (courseIds, studentIds) => {
           content: template.content,
           isAnonymous: template.isAnonymous,
           isResolved: Math.random() > 0.7, // 30% chance of being resolved
+          acceptedResponseId: null,
           createdAt: getRandomRecentDate(),
           updatedAt: getRandomRecentDate(),
         };
@@ -0,0 +1,55 @@
+/**
+ * Seed Staff
+ * Creates an admin account and assigns teaching assistants to each course
+ */
+
+import bcrypt from 'bcrypt';
+import { getCollection, COLLECTIONS } from '../database_config/index.js';
+
+/**
+ * Seeds the admin account and two TAs per course
+ * TAs are picked from each course's enrolled students, skipping the
+ * Aditi Sharma persona so she stays a regular student everywhere.
+ */
+export const seedStaff = async (courseIds, studentIds) => {
+  try {
+    const studentsCollection = getCollection(COLLECTIONS.STUDENTS);
+    const coursesCollection = getCollection(COLLECTIONS.COURSES);
+
+    const hashedPassword = await bcrypt.hash('password123', 10);
+    await studentsCollection.insertOne({
+      firstName: 'Site',
+      lastName: 'Admin',
+      universityEmail: 'admin@stevens.edu',
+      hashedPassword,
+      major: 'Administration',
+      age: 25,
+      enrolledCourses: [],
+      role: 'admin',
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    const persona = studentIds[0];
+    let assigned = 0;
+
+    for (const courseId of courseIds) {
+      const course = await coursesCollection.findOne({ _id: courseId });
+      const teachingAssistants = course.enrolledStudents
+        .filter((id) => !id.equals(persona))
+        .slice(0, 2);
+
+      await coursesCollection.updateOne(
+        { _id: courseId },
+        { $set: { teachingAssistants } }
+      );
+      assigned += teachingAssistants.length;
+    }
+
+    console.log('Seeded admin account: admin@stevens.edu');
+    console.log(`   - Assigned ${assigned} teaching assistants`);
+  } catch (error) {
+    console.error('Error seeding staff:', error);
+    throw error;
+  }
+};
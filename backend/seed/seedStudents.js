@@ -190,6 +190,7 @@ export const seedStudents = async (courseIds) => {
         major: majors[randomInt(0, majors.length - 1)],
         age: randomInt(17, 25),
         enrolledCourses,
+        role: 'student',
         createdAt: new Date(),
         updatedAt: new Date(),
       };
@@ -0,0 +1,84 @@
+/**
+ * Attachment Storage Adapters
+ * Interchangeable backends that hold uploaded file contents
+ *
+ * An adapter is any object exposing `save(key, buffer, { mimeType })`,
+ * `createReadStream(key)` and `remove(key)`. Keys are generated by the
+ * attachments data module; metadata lives in the attachments collection.
+ */
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { GridFSBucket } from 'mongodb';
+import { getDb } from '../database_config/index.js';
+
+// Keys are random hex strings, which also keeps them inside the storage dir
+const KEY_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * Ensures a storage key has the generated format
+ * @param {string} key - Storage key
+ * @returns {string} The key
+ * @throws {Error} If the key is malformed
+ */
+const checkKey = (key) => {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new Error('Invalid storage key');
+  }
+  return key;
+};
+
+/**
+ * Creates an adapter that writes each file into a local directory
+ * @param {string} storageDir - Directory to write files into
+ * @returns {Object} Adapter with save(), createReadStream(), remove() and name
+ */
+export const createLocalDiskStorage = (storageDir) => {
+  const filePath = (key) => path.join(storageDir, checkKey(key));
+
+  return {
+    name: 'local',
+    save: async (key, buffer) => {
+      await fsPromises.mkdir(storageDir, { recursive: true });
+      // wx: never overwrite an existing file
+      await fsPromises.writeFile(filePath(key), buffer, { flag: 'wx' });
+    },
+    createReadStream: (key) => fs.createReadStream(filePath(key)),
+    remove: async (key) => {
+      await fsPromises.rm(filePath(key), { force: true });
+    },
+  };
+};
+
+/**
+ * Creates an adapter that stores files in MongoDB GridFS
+ * Uses the app's database connection, so files live alongside the data.
+ * @param {string} [bucketName] - GridFS bucket name
+ * @returns {Object} Adapter with save(), createReadStream(), remove() and name
+ */
+export const createGridFsStorage = (bucketName = 'attachments') => {
+  const getBucket = () => new GridFSBucket(getDb(), { bucketName });
+
+  return {
+    name: 'gridfs',
+    save: (key, buffer, { mimeType } = {}) =>
+      new Promise((resolve, reject) => {
+        const upload = getBucket().openUploadStream(checkKey(key), {
+          metadata: { mimeType },
+        });
+        upload.once('finish', resolve);
+        upload.once('error', reject);
+        upload.end(buffer);
+      }),
+    createReadStream: (key) =>
+      getBucket().openDownloadStreamByName(checkKey(key)),
+    remove: async (key) => {
+      const bucket = getBucket();
+      const files = await bucket.find({ filename: checkKey(key) }).toArray();
+      for (const file of files) {
+        await bucket.delete(file._id);
+      }
+    },
+  };
+};
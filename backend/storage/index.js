@@ -0,0 +1,95 @@
+/**
+ * Attachment Storage Module
+ * Holds uploaded file contents through the configured adapter
+ *
+ * The adapter is chosen from ATTACHMENT_STORAGE ("local" or "gridfs") on
+ * first use, and can be replaced at runtime with setAttachmentStorage().
+ * Files saved by another built-in adapter are still read through it.
+ */
+
+import path from 'path';
+import { createLocalDiskStorage, createGridFsStorage } from './adapters.js';
+
+let _storage = undefined;
+
+// Built-in adapters other than the active one, by name
+const _storagesByName = new Map();
+
+/**
+ * Builds a built-in adapter from environment variables
+ * @param {string} storageName - "local" or "gridfs"
+ * @returns {Object} Storage adapter
+ * @throws {Error} If storageName is not a built-in adapter
+ */
+const createStorage = (storageName) => {
+  switch (storageName) {
+    case 'local':
+      return createLocalDiskStorage(
+        path.resolve(process.env.ATTACHMENT_DIR || 'uploads')
+      );
+    case 'gridfs':
+      return createGridFsStorage();
+    default:
+      throw new Error(`Unknown attachment storage: ${storageName}`);
+  }
+};
+
+/**
+ * Builds the adapter described by environment variables
+ * @returns {Object} Storage adapter
+ */
+const createStorageFromEnv = () =>
+  createStorage(process.env.ATTACHMENT_STORAGE || 'local');
+
+/**
+ * Gets the active storage adapter, creating it on first use
+ * @returns {Object} Storage adapter
+ */
+export const getAttachmentStorage = () => {
+  if (!_storage) {
+    _storage = createStorageFromEnv();
+  }
+  return _storage;
+};
+
+/**
+ * Gets the adapter holding files saved under a storage name
+ * Attachments record the name of the adapter that saved them, so their files
+ * can still be read and removed after ATTACHMENT_STORAGE changes.
+ * @param {string} [storageName] - Adapter name saved with the file; the active
+ *   adapter is used when it is missing or matches
+ * @returns {Object} Storage adapter
+ * @throws {Error} If storageName is neither the active nor a built-in adapter
+ */
+export const getAttachmentStorageByName = (storageName) => {
+  const storage = getAttachmentStorage();
+  if (!storageName || storage.name === storageName) {
+    return storage;
+  }
+  if (!_storagesByName.has(storageName)) {
+    _storagesByName.set(storageName, createStorage(storageName));
+  }
+  return _storagesByName.get(storageName);
+};
+
+/**
+ * Replaces the active storage adapter
+ * @param {Object|undefined} storage - Object with save, createReadStream and
+ *   remove functions, or undefined to fall back to the environment configuration
+ * @throws {Error} If storage is missing one of those functions
+ */
+export const setAttachmentStorage = (storage) => {
+  if (
+    storage !== undefined &&
+    ['save', 'createReadStream', 'remove'].some(
+      (fn) => typeof storage?.[fn] !== 'function'
+    )
+  ) {
+    throw new Error(
+      'Attachment storage must implement save, createReadStream and remove'
+    );
+  }
+  _storage = storage;
+};
+
+export { createLocalDiskStorage, createGridFsStorage };
@@ -0,0 +1,136 @@
+/**
+ * Tests for Announcement Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import {
+  isHeldSinceCreation,
+  announceQuestion,
+  announceResponse,
+} from '../../data/announcements.js';
+
+describe('Announcement Data Functions', () => {
+  let db;
+  const courseId = new ObjectId();
+  const posterId = new ObjectId();
+  const askerId = new ObjectId();
+  const staffId = new ObjectId();
+  const poster = { firstName: 'Test', lastName: 'Student' };
+  const course = {
+    _id: courseId,
+    courseCode: 'CS545',
+    enrolledStudents: [posterId, askerId],
+    teachingAssistants: [staffId],
+  };
+  const collections = ['notifications', 'pseudonyms', 'follows'];
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    for (const name of collections) {
+      await db.collection(name).deleteMany({});
+    }
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    for (const name of collections) {
+      await db.collection(name).deleteMany({});
+    }
+  });
+
+  describe('isHeldSinceCreation', () => {
+    const createdAt = new Date('2025-03-10T12:00:00Z');
+
+    it('should be true for a post held when it was posted', () => {
+      expect(
+        isHeldSinceCreation({ createdAt, hiddenAt: createdAt, hiddenBy: null })
+      ).toBe(true);
+    });
+
+    it('should be false for a post held after an edit', () => {
+      expect(
+        isHeldSinceCreation({
+          createdAt,
+          hiddenAt: new Date(createdAt.getTime() + 1000),
+          hiddenBy: null,
+        })
+      ).toBe(false);
+    });
+
+    it('should be false for visible posts and posts a moderator hid', () => {
+      expect(isHeldSinceCreation({ createdAt })).toBe(false);
+      expect(
+        isHeldSinceCreation({
+          createdAt,
+          hiddenAt: createdAt,
+          hiddenBy: staffId,
+        })
+      ).toBe(false);
+    });
+  });
+
+  describe('announceQuestion', () => {
+    it('should notify only course staff of a private question', async () => {
+      await announceQuestion(
+        {
+          _id: new ObjectId(),
+          courseId,
+          posterId,
+          title: 'Grading question',
+          visibility: 'staff',
+          isAnonymous: false,
+        },
+        { course, poster }
+      );
+
+      const notifications = await db
+        .collection('notifications')
+        .find()
+        .toArray();
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0]).toMatchObject({
+        recipientId: staffId,
+        senderId: posterId,
+        type: 'private_question',
+      });
+    });
+  });
+
+  describe('announceResponse', () => {
+    it('should notify the question poster under a pseudonym', async () => {
+      const question = {
+        _id: new ObjectId(),
+        courseId,
+        posterId: askerId,
+        title: 'Fitts law',
+      };
+
+      await announceResponse(
+        {
+          _id: new ObjectId(),
+          questionId: question._id,
+          posterId,
+          content: 'Bigger targets are faster to hit',
+          isAnonymous: true,
+        },
+        { question, poster }
+      );
+
+      const notification = await db.collection('notifications').findOne();
+      expect(notification).toMatchObject({
+        recipientId: askerId,
+        senderId: null,
+        type: 'new_response',
+      });
+      expect(notification.message).toMatch(
+        /^Anonymous .+ replied to your question: "Fitts law"$/
+      );
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for Anonymity Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import {
+  PSEUDONYM_ANIMALS,
+  isHiddenFromStaff,
+  toPublishedPost,
+  getPseudonym,
+  deletePseudonymsByQuestionId,
+} from '../../data/anonymity.js';
+
+describe('Anonymity Data Functions', () => {
+  let db;
+  let questionId;
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('pseudonyms').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('pseudonyms').deleteMany({});
+    questionId = new ObjectId().toString();
+  });
+
+  describe('isHiddenFromStaff', () => {
+    it('should hide anonymous posts from staff unless the poster chose not to', () => {
+      expect(isHiddenFromStaff({ isAnonymous: true })).toBe(true);
+      expect(
+        isHiddenFromStaff({ isAnonymous: true, isAnonymousToStaff: true })
+      ).toBe(true);
+      expect(
+        isHiddenFromStaff({ isAnonymous: true, isAnonymousToStaff: false })
+      ).toBe(false);
+      expect(isHiddenFromStaff({ isAnonymous: false })).toBe(false);
+    });
+  });
+
+  describe('toPublishedPost', () => {
+    const poster = { id: 'abc', firstName: 'Ada', lastName: 'Lovelace' };
+
+    it('should name the poster of a post', () => {
+      const post = toPublishedPost(
+        { posterId: 'abc', isAnonymous: false },
+        poster
+      );
+      expect(post.posterName).toBe('Ada Lovelace');
+      expect(post.posterId).toBe('abc');
+    });
+
+    it('should publish an anonymous post under its pseudonym', () => {
+      const post = toPublishedPost(
+        { posterId: 'abc', isAnonymous: true, pseudonym: 'Anonymous Owl' },
+        poster
+      );
+      expect(post.posterName).toBe('Anonymous Owl');
+      expect(post).not.toHaveProperty('posterId');
+    });
+  });
+
+  describe('getPseudonym', () => {
+    it('should keep the same pseudonym for a student in a thread', async () => {
+      const studentId = new ObjectId().toString();
+
+      const first = await getPseudonym(questionId, studentId);
+      const second = await getPseudonym(questionId, studentId);
+
+      expect(first).toMatch(/^Anonymous [A-Z][a-z]+$/);
+      expect(second).toBe(first);
+      expect(PSEUDONYM_ANIMALS).toContain(first.replace('Anonymous ', ''));
+    });
+
+    it('should give each student in a thread a different pseudonym', async () => {
+      const pseudonyms = await Promise.all(
+        Array.from({ length: 10 }, () =>
+          getPseudonym(questionId, new ObjectId().toString())
+        )
+      );
+
+      expect(new Set(pseudonyms).size).toBe(10);
+    });
+
+    it('should number pseudonyms once every animal is taken', async () => {
+      await db.collection('pseudonyms').insertMany(
+        PSEUDONYM_ANIMALS.map((animal) => ({
+          questionId: new ObjectId(questionId),
+          studentId: new ObjectId(),
+          animal,
+          createdAt: new Date(),
+        }))
+      );
+
+      const pseudonym = await getPseudonym(
+        questionId,
+        new ObjectId().toString()
+      );
+
+      expect(pseudonym).toMatch(/^Anonymous [A-Z][a-z]+ 2$/);
+    });
+
+    it('should throw error for invalid IDs', async () => {
+      await expect(
+        getPseudonym('invalid', new ObjectId().toString())
+      ).rejects.toThrow('Invalid question ID');
+      await expect(getPseudonym(questionId, 'invalid')).rejects.toThrow(
+        'Invalid student ID'
+      );
+    });
+  });
+
+  describe('deletePseudonymsByQuestionId', () => {
+    it("should delete only the thread's pseudonyms", async () => {
+      await getPseudonym(questionId, new ObjectId().toString());
+      const otherQuestionId = new ObjectId().toString();
+      await getPseudonym(otherQuestionId, new ObjectId().toString());
+
+      const result = await deletePseudonymsByQuestionId(questionId);
+
+      expect(result).toEqual({ success: true, deletedCount: 1 });
+      expect(await db.collection('pseudonyms').countDocuments()).toBe(1);
+    });
+  });
+});
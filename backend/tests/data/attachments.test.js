@@ -0,0 +1,241 @@
+/**
+ * Tests for Attachment Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import {
+  createAttachment,
+  getAttachmentById,
+  getAttachableAttachments,
+  linkAttachments,
+  openAttachmentStream,
+  deleteAttachment,
+  deleteAttachmentsByQuestionId,
+  deleteAttachmentsByResponseId,
+  deleteAttachmentsByCourseId,
+} from '../../data/attachments.js';
+import { setAttachmentStorage } from '../../storage/index.js';
+
+// Smallest byte sequence the PNG check accepts
+const PNG_BYTES = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00,
+]);
+
+const UPLOAD_DIR = path.resolve(process.env.ATTACHMENT_DIR);
+
+describe('Attachment Data Functions', () => {
+  let db;
+  const courseId = new ObjectId().toString();
+  const uploaderId = new ObjectId().toString();
+  const questionId = new ObjectId().toString();
+  const responseId = new ObjectId().toString();
+
+  const upload = (overrides = {}) =>
+    createAttachment({
+      courseId,
+      uploaderId,
+      fileName: 'trace.png',
+      mimeType: 'image/png',
+      buffer: PNG_BYTES,
+      ...overrides,
+    });
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('attachments').deleteMany({});
+    await fs.rm(UPLOAD_DIR, { recursive: true, force: true });
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('attachments').deleteMany({});
+  });
+
+  describe('createAttachment', () => {
+    it('should store the file and its metadata', async () => {
+      const attachment = await upload({ fileName: 'C:\\Users\\me\\trace.png' });
+
+      expect(attachment).toHaveProperty('_id');
+      expect(attachment.fileName).toBe('trace.png');
+      expect(attachment.size).toBe(PNG_BYTES.length);
+      expect(attachment.storage).toBe('local');
+      expect(attachment.targetId).toBeNull();
+
+      const stored = await fs.readFile(
+        path.join(UPLOAD_DIR, attachment.storageKey)
+      );
+      expect(stored.equals(PNG_BYTES)).toBe(true);
+    });
+
+    it('should reject disallowed types and mismatched contents', async () => {
+      await expect(
+        upload({ mimeType: 'text/html', buffer: Buffer.from('<p>hi</p>') })
+      ).rejects.toThrow(
+        'Only PNG, JPEG, GIF, WebP, PDF and text files are allowed'
+      );
+      await expect(
+        upload({ buffer: Buffer.from('<script>alert(1)</script>') })
+      ).rejects.toThrow('File contents do not match its type');
+      await expect(upload({ buffer: Buffer.alloc(0) })).rejects.toThrow(
+        'File is empty'
+      );
+    });
+
+    it('should reject files over 5 MB', async () => {
+      const buffer = Buffer.concat([PNG_BYTES, Buffer.alloc(5 * 1024 * 1024)]);
+
+      await expect(upload({ buffer })).rejects.toThrow(
+        'File must not exceed 5 MB'
+      );
+    });
+  });
+
+  describe('getAttachableAttachments', () => {
+    it("should return summaries of the poster's unused uploads", async () => {
+      const first = await upload();
+      const second = await upload({
+        fileName: 'notes.txt',
+        mimeType: 'text/plain',
+        buffer: Buffer.from('step 1'),
+      });
+
+      const attachments = await getAttachableAttachments(
+        [second._id.toString(), first._id.toString()],
+        { uploaderId, courseId }
+      );
+
+      expect(attachments.map((a) => a.fileName)).toEqual([
+        'notes.txt',
+        'trace.png',
+      ]);
+      expect(attachments[0]).not.toHaveProperty('storageKey');
+    });
+
+    it('should return null for uploads that are used, foreign, or from another course', async () => {
+      const used = await upload();
+      await linkAttachments([used], {
+        targetType: 'question',
+        targetId: questionId,
+        questionId,
+      });
+      const foreign = await upload({ uploaderId: new ObjectId().toString() });
+      const elsewhere = await upload({ courseId: new ObjectId().toString() });
+
+      for (const attachment of [used, foreign, elsewhere]) {
+        expect(
+          await getAttachableAttachments([attachment._id.toString()], {
+            uploaderId,
+            courseId,
+          })
+        ).toBeNull();
+      }
+    });
+
+    it('should throw error for too many or invalid IDs', async () => {
+      const ids = Array.from({ length: 5 }, () => new ObjectId().toString());
+
+      await expect(
+        getAttachableAttachments(ids, { uploaderId, courseId })
+      ).rejects.toThrow('A post can have at most 4 attachments');
+      await expect(
+        getAttachableAttachments(['invalid'], { uploaderId, courseId })
+      ).rejects.toThrow('Invalid attachment ID');
+    });
+  });
+
+  describe('openAttachmentStream', () => {
+    afterEach(() => {
+      setAttachmentStorage(undefined);
+    });
+
+    it('should read files from the adapter that saved them', async () => {
+      const attachment = await upload();
+
+      // Another backend is configured after the upload
+      const unused = () => {
+        throw new Error('Read from the wrong storage');
+      };
+      setAttachmentStorage({
+        name: 'gridfs',
+        save: unused,
+        createReadStream: unused,
+        remove: unused,
+      });
+
+      const chunks = [];
+      for await (const chunk of openAttachmentStream(attachment)) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).equals(PNG_BYTES)).toBe(true);
+
+      await deleteAttachment(attachment._id.toString());
+      await expect(
+        fs.access(path.join(UPLOAD_DIR, attachment.storageKey))
+      ).rejects.toThrow();
+    });
+  });
+
+  describe('deleteAttachment', () => {
+    it('should delete the metadata and the file', async () => {
+      const attachment = await upload();
+
+      await deleteAttachment(attachment._id.toString());
+
+      expect(await getAttachmentById(attachment._id.toString())).toBeNull();
+      await expect(
+        fs.access(path.join(UPLOAD_DIR, attachment.storageKey))
+      ).rejects.toThrow();
+    });
+
+    it('should throw error for a missing attachment', async () => {
+      await expect(deleteAttachment(new ObjectId().toString())).rejects.toThrow(
+        'Attachment not found'
+      );
+    });
+  });
+
+  describe('cascade deletes', () => {
+    beforeEach(async () => {
+      const onQuestion = await upload();
+      const onResponse = await upload();
+      await upload(); // never attached
+      await linkAttachments([onQuestion], {
+        targetType: 'question',
+        targetId: questionId,
+        questionId,
+      });
+      await linkAttachments([onResponse], {
+        targetType: 'response',
+        targetId: responseId,
+        questionId,
+      });
+    });
+
+    it('should delete attachments on a question and its responses', async () => {
+      const result = await deleteAttachmentsByQuestionId(questionId);
+
+      expect(result.deletedCount).toBe(2);
+    });
+
+    it('should delete only the attachments on a response', async () => {
+      const result = await deleteAttachmentsByResponseId(responseId);
+
+      expect(result.deletedCount).toBe(1);
+      expect(await db.collection('attachments').countDocuments()).toBe(2);
+    });
+
+    it('should delete every upload in a course', async () => {
+      const result = await deleteAttachmentsByCourseId(courseId);
+
+      expect(result.deletedCount).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Tests for Comment Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import {
+  createComment,
+  getCommentById,
+  getCommentsByQuestionId,
+  updateComment,
+  deleteComment,
+  deleteCommentsByQuestionId,
+  deleteCommentsByResponseId,
+} from '../../data/comments.js';
+
+describe('Comment Data Functions', () => {
+  let db;
+  let posterId;
+  const questionId = new ObjectId().toString();
+  const responseId = new ObjectId().toString();
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('comments').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('pseudonyms').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('comments').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('pseudonyms').deleteMany({});
+
+    const studentResult = await db.collection('students').insertOne({
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      universityEmail: 'ada@stevens.edu',
+    });
+    posterId = studentResult.insertedId.toString();
+
+    await db.collection('responses').insertOne({
+      _id: new ObjectId(responseId),
+      questionId: new ObjectId(questionId),
+      posterId: new ObjectId(posterId),
+      content: 'Use a heap',
+      createdAt: new Date(),
+    });
+  });
+
+  describe('createComment', () => {
+    it('should create a comment on a question', async () => {
+      const comment = await createComment({
+        targetType: 'question',
+        targetId: questionId,
+        questionId,
+        posterId,
+        content: '  Which version of the algorithm?  ',
+      });
+
+      expect(comment).toHaveProperty('_id');
+      expect(comment.targetType).toBe('question');
+      expect(comment.targetId.toString()).toBe(questionId);
+      expect(comment.content).toBe('Which version of the algorithm?');
+      expect(comment.isAnonymous).toBe(false);
+    });
+
+    it('should throw error for invalid input', async () => {
+      await expect(
+        createComment({
+          targetType: 'comment',
+          targetId: questionId,
+          questionId,
+          posterId,
+          content: 'Hi',
+        })
+      ).rejects.toThrow('Invalid comment target');
+      await expect(
+        createComment({
+          targetType: 'response',
+          targetId: 'invalid',
+          questionId,
+          posterId,
+          content: 'Hi',
+        })
+      ).rejects.toThrow('Invalid response ID');
+      await expect(
+        createComment({
+          targetType: 'question',
+          targetId: questionId,
+          questionId,
+          posterId,
+          content: 'a'.repeat(501),
+        })
+      ).rejects.toThrow('Content must not exceed 500 characters');
+    });
+  });
+
+  describe('getCommentsByQuestionId', () => {
+    it('should return comments on the question and its responses, oldest first', async () => {
+      const first = await createComment({
+        targetType: 'question',
+        targetId: questionId,
+        questionId,
+        posterId,
+        content: 'First',
+      });
+      await db
+        .collection('comments')
+        .updateOne(
+          { _id: first._id },
+          { $set: { createdAt: new Date(Date.now() - 1000) } }
+        );
+      await createComment({
+        targetType: 'response',
+        targetId: responseId,
+        questionId,
+        posterId,
+        content: 'Second',
+        isAnonymous: true,
+      });
+      await createComment({
+        targetType: 'question',
+        targetId: new ObjectId().toString(),
+        questionId: new ObjectId().toString(),
+        posterId,
+        content: 'Elsewhere',
+      });
+
+      const comments = await getCommentsByQuestionId(questionId);
+
+      expect(comments.map((c) => c.content)).toEqual(['First', 'Second']);
+      expect(comments[0].posterName).toBe('Ada Lovelace');
+      expect(comments[1].posterName).toMatch(/^Anonymous [A-Z]/);
+      expect(comments[0]).not.toHaveProperty('poster');
+    });
+
+    it('should leave out comments on responses in the trash', async () => {
+      await createComment({
+        targetType: 'question',
+        targetId: questionId,
+        questionId,
+        posterId,
+        content: 'On the question',
+      });
+      await createComment({
+        targetType: 'response',
+        targetId: responseId,
+        questionId,
+        posterId,
+        content: 'On the response',
+      });
+      await db
+        .collection('responses')
+        .updateOne(
+          { _id: new ObjectId(responseId) },
+          { $set: { deletedAt: new Date() } }
+        );
+
+      const comments = await getCommentsByQuestionId(questionId);
+
+      expect(comments.map((c) => c.content)).toEqual(['On the question']);
+    });
+
+    it('should throw error for invalid question ID', async () => {
+      await expect(getCommentsByQuestionId('invalid')).rejects.toThrow(
+        'Invalid question ID'
+      );
+    });
+  });
+
+  describe('updateComment', () => {
+    it('should update the content', async () => {
+      const comment = await createComment({
+        targetType: 'question',
+        targetId: questionId,
+        questionId,
+        posterId,
+        content: 'Original',
+      });
+
+      const updated = await updateComment(comment._id.toString(), {
+        content: 'Edited',
+      });
+
+      expect(updated.content).toBe('Edited');
+    });
+
+    it('should reject other fields', async () => {
+      const comment = await createComment({
+        targetType: 'question',
+        targetId: questionId,
+        questionId,
+        posterId,
+        content: 'Original',
+      });
+
+      await expect(
+        updateComment(comment._id.toString(), { posterId })
+      ).rejects.toThrow('Cannot update field: posterId');
+    });
+  });
+
+  describe('deleteComment', () => {
+    it('should delete a comment', async () => {
+      const comment = await createComment({
+        targetType: 'question',
+        targetId: questionId,
+        questionId,
+        posterId,
+        content: 'Going away',
+      });
+
+      await deleteComment(comment._id.toString());
+
+      expect(await getCommentById(comment._id.toString())).toBeNull();
+    });
+
+    it('should throw error for a missing comment', async () => {
+      await expect(deleteComment(new ObjectId().toString())).rejects.toThrow(
+        'Comment not found'
+      );
+    });
+  });
+
+  describe('cascade deletes', () => {
+    beforeEach(async () => {
+      await createComment({
+        targetType: 'question',
+        targetId: questionId,
+        questionId,
+        posterId,
+        content: 'On the question',
+      });
+      await createComment({
+        targetType: 'response',
+        targetId: responseId,
+        questionId,
+        posterId,
+        content: 'On the response',
+      });
+    });
+
+    it('should delete comments on a question and its responses', async () => {
+      const result = await deleteCommentsByQuestionId(questionId);
+
+      expect(result.deletedCount).toBe(2);
+    });
+
+    it('should delete only the comments on a response', async () => {
+      const result = await deleteCommentsByResponseId(responseId);
+
+      expect(result.deletedCount).toBe(1);
+      expect(await db.collection('comments').countDocuments()).toBe(1);
+    });
+  });
+});
@@ -15,10 +15,26 @@ import {
   getCourseByCode,
   getAllCourses,
   getCoursesByStudentId,
+  getCoursesByMemberId,
+  getCourseRole,
   updateCourse,
+  addCourseStaff,
+  removeCourseStaff,
+  getCourseByJoinCode,
+  regenerateJoinCode,
   deleteCourse,
 } from '../../data/courses.js';
 
+const baseCourse = {
+  courseCode: 'CS545',
+  courseName: 'Human Computer Interaction',
+  section: 'WS',
+  department: 'Computer Science',
+  instructorName: 'Dr. Gregg Vesonder',
+  instructorEmail: 'gvesonde@stevens.edu',
+  term: 'Fall 2025',
+};
+
 describe('Course Data Functions', () => {
   let db;
 
@@ -29,11 +45,13 @@ describe('Course Data Functions', () => {
 
   afterAll(async () => {
     await db.collection('courses').deleteMany({});
+    await db.collection('students').deleteMany({});
     await closeConnection();
   });
 
   beforeEach(async () => {
     await db.collection('courses').deleteMany({});
+    await db.collection('students').deleteMany({});
   });
 
   describe('createCourse', () => {
@@ -275,6 +293,189 @@ describe('Course Data Functions', () => {
     });
   });
 
+  describe('course staff', () => {
+    const studentId = '507f1f77bcf86cd799439011';
+
+    it('should create a course with empty staff arrays by default', async () => {
+      const course = await createCourse(baseCourse);
+
+      expect(course.instructors).toEqual([]);
+      expect(course.teachingAssistants).toEqual([]);
+    });
+
+    it('should reject invalid staff IDs', async () => {
+      await expect(
+        createCourse({ ...baseCourse, teachingAssistants: ['bad-id'] })
+      ).rejects.toThrow('Invalid student ID: bad-id');
+    });
+
+    it('should add a TA and move them between staff roles', async () => {
+      const course = await createCourse(baseCourse);
+
+      const withTa = await addCourseStaff(
+        course._id.toString(),
+        studentId,
+        'ta'
+      );
+      expect(withTa.teachingAssistants.map(String)).toEqual([studentId]);
+
+      const promoted = await addCourseStaff(
+        course._id.toString(),
+        studentId,
+        'instructor'
+      );
+      expect(promoted.instructors.map(String)).toEqual([studentId]);
+      expect(promoted.teachingAssistants).toEqual([]);
+    });
+
+    it('should not add the same TA twice', async () => {
+      const course = await createCourse(baseCourse);
+
+      await addCourseStaff(course._id.toString(), studentId, 'ta');
+      const result = await addCourseStaff(
+        course._id.toString(),
+        studentId,
+        'ta'
+      );
+
+      expect(result.teachingAssistants).toHaveLength(1);
+    });
+
+    it('should reject an unknown staff role', async () => {
+      const course = await createCourse(baseCourse);
+
+      await expect(
+        addCourseStaff(course._id.toString(), studentId, 'admin')
+      ).rejects.toThrow('Staff role must be one of');
+    });
+
+    it('should remove a student from all staff roles', async () => {
+      const course = await createCourse({
+        ...baseCourse,
+        teachingAssistants: [studentId],
+      });
+
+      const result = await removeCourseStaff(course._id.toString(), studentId);
+
+      expect(result.teachingAssistants).toEqual([]);
+      expect(result.instructors).toEqual([]);
+    });
+
+    it('should throw error if course not found', async () => {
+      await expect(
+        removeCourseStaff('507f1f77bcf86cd799439099', studentId)
+      ).rejects.toThrow('Course not found');
+    });
+  });
+
+  describe('getCoursesByMemberId', () => {
+    it('should return courses where the student is enrolled or staff', async () => {
+      const studentId = '507f1f77bcf86cd799439011';
+
+      await createCourse({ ...baseCourse, enrolledStudents: [studentId] });
+      await createCourse({
+        ...baseCourse,
+        courseCode: 'CS590',
+        teachingAssistants: [studentId],
+      });
+      await createCourse({ ...baseCourse, courseCode: 'CS555' });
+
+      const courses = await getCoursesByMemberId(studentId);
+
+      expect(courses.map((c) => c.courseCode).sort()).toEqual([
+        'CS545',
+        'CS590',
+      ]);
+    });
+  });
+
+  describe('getCourseRole', () => {
+    const insertStudent = async (email, role) => {
+      const result = await db.collection('students').insertOne({
+        firstName: 'Role',
+        lastName: 'Tester',
+        universityEmail: email,
+        ...(role && { role }),
+      });
+      return result.insertedId.toString();
+    };
+
+    it('should resolve staff, student, and non-member roles', async () => {
+      const instructorId = await insertStudent(
+        'instructor@stevens.edu',
+        'instructor'
+      );
+      const taId = await insertStudent('ta@stevens.edu', 'student');
+      // Documents created before roles existed have no role field
+      const enrolledId = await insertStudent('enrolled@stevens.edu');
+      const outsiderId = await insertStudent('outsider@stevens.edu');
+
+      const course = await createCourse({
+        ...baseCourse,
+        instructors: [instructorId],
+        teachingAssistants: [taId],
+        enrolledStudents: [enrolledId],
+      });
+      const courseId = course._id.toString();
+
+      expect(await getCourseRole(courseId, instructorId)).toBe('instructor');
+      expect(await getCourseRole(courseId, taId)).toBe('ta');
+      expect(await getCourseRole(courseId, enrolledId)).toBe('student');
+      expect(await getCourseRole(courseId, outsiderId)).toBeNull();
+    });
+
+    it('should treat admins as admin in every course', async () => {
+      const adminId = await insertStudent('admin@stevens.edu', 'admin');
+      const course = await createCourse(baseCourse);
+
+      expect(await getCourseRole(course._id.toString(), adminId)).toBe('admin');
+    });
+
+    it('should return null for a missing course', async () => {
+      const studentId = await insertStudent('student@stevens.edu', 'student');
+
+      expect(
+        await getCourseRole('507f1f77bcf86cd799439099', studentId)
+      ).toBeNull();
+    });
+  });
+
+  describe('join codes', () => {
+    it('should give new courses a join code', async () => {
+      const course = await createCourse(baseCourse);
+
+      expect(course.joinCode).toMatch(/^[A-Z2-9]{8}$/);
+    });
+
+    it('should find a course by join code regardless of case', async () => {
+      const course = await createCourse(baseCourse);
+
+      const found = await getCourseByJoinCode(course.joinCode.toLowerCase());
+
+      expect(found._id.toString()).toBe(course._id.toString());
+    });
+
+    it('should return null for an unknown join code', async () => {
+      const found = await getCourseByJoinCode('NOPE2345');
+      expect(found).toBeNull();
+    });
+
+    it('should replace the join code', async () => {
+      const course = await createCourse(baseCourse);
+
+      const updated = await regenerateJoinCode(course._id.toString());
+
+      expect(updated.joinCode).not.toBe(course.joinCode);
+      expect(await getCourseByJoinCode(course.joinCode)).toBeNull();
+    });
+
+    it('should throw error if course not found', async () => {
+      await expect(
+        regenerateJoinCode('507f1f77bcf86cd799439011')
+      ).rejects.toThrow('Course not found');
+    });
+  });
+
   describe('updateCourse', () => {
     it('should update course fields', async () => {
       const created = await createCourse({
@@ -0,0 +1,129 @@
+/**
+ * Tests for Email Verification Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import {
+  connectToDb,
+  closeConnection,
+  getDb,
+} from '../../database_config/index.js';
+import {
+  createVerificationToken,
+  consumeVerificationToken,
+  deleteVerificationTokensByStudentId,
+} from '../../data/emailVerifications.js';
+
+describe('Email Verification Data Functions', () => {
+  let db;
+  const studentId = '507f1f77bcf86cd799439011';
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('emailVerifications').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('emailVerifications').deleteMany({});
+  });
+
+  describe('createVerificationToken', () => {
+    it('should create a token and store only its hash', async () => {
+      const { token, expiresAt } = await createVerificationToken(studentId);
+
+      expect(typeof token).toBe('string');
+      expect(token.length).toBeGreaterThan(32);
+      expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+      const stored = await db.collection('emailVerifications').findOne({});
+      expect(stored.studentId.toString()).toBe(studentId);
+      expect(stored.tokenHash).toBeDefined();
+      expect(stored.tokenHash).not.toBe(token);
+    });
+
+    it('should invalidate earlier tokens for the same student', async () => {
+      const first = await createVerificationToken(studentId);
+      await createVerificationToken(studentId);
+
+      const count = await db.collection('emailVerifications').countDocuments();
+      expect(count).toBe(1);
+      await expect(consumeVerificationToken(first.token)).rejects.toThrow(
+        'Invalid or expired verification token'
+      );
+    });
+
+    it('should throw error for invalid student ID', async () => {
+      await expect(createVerificationToken('invalid-id')).rejects.toThrow(
+        'Invalid student ID'
+      );
+    });
+  });
+
+  describe('consumeVerificationToken', () => {
+    it('should return the student ID and delete the token', async () => {
+      const { token } = await createVerificationToken(studentId);
+
+      const result = await consumeVerificationToken(token);
+
+      expect(result.toString()).toBe(studentId);
+      await expect(consumeVerificationToken(token)).rejects.toThrow(
+        'Invalid or expired verification token'
+      );
+    });
+
+    it('should reject an expired token', async () => {
+      const { token } = await createVerificationToken(studentId);
+      await db
+        .collection('emailVerifications')
+        .updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+      await expect(consumeVerificationToken(token)).rejects.toThrow(
+        'Invalid or expired verification token'
+      );
+    });
+
+    it('should reject an unknown token', async () => {
+      await expect(
+        consumeVerificationToken('not-a-real-token')
+      ).rejects.toThrow('Invalid or expired verification token');
+    });
+
+    it('should require a token', async () => {
+      await expect(consumeVerificationToken('')).rejects.toThrow(
+        'Verification token is required'
+      );
+    });
+  });
+
+  describe('deleteVerificationTokensByStudentId', () => {
+    it('should delete all tokens for a student', async () => {
+      await createVerificationToken(studentId);
+      await db.collection('emailVerifications').insertOne({
+        studentId: new ObjectId(),
+        tokenHash: 'other',
+        expiresAt: new Date(Date.now() + 1000),
+        createdAt: new Date(),
+      });
+
+      const result = await deleteVerificationTokensByStudentId(studentId);
+
+      expect(result.deletedCount).toBe(1);
+      const remaining = await db
+        .collection('emailVerifications')
+        .countDocuments();
+      expect(remaining).toBe(1);
+    });
+
+    it('should throw error for invalid student ID', async () => {
+      await expect(
+        deleteVerificationTokensByStudentId('invalid-id')
+      ).rejects.toThrow('Invalid student ID');
+    });
+  });
+});
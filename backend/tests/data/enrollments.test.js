@@ -0,0 +1,191 @@
+/**
+ * Tests for Enrollment Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import {
+  connectToDb,
+  closeConnection,
+  getDb,
+} from '../../database_config/index.js';
+import {
+  enrollStudent,
+  unenrollStudent,
+  enrollStudentsByEmail,
+  getRoster,
+} from '../../data/enrollments.js';
+
+describe('Enrollment Data Functions', () => {
+  let db;
+  let courseId;
+  let studentId;
+
+  /**
+   * Inserts a student directly and returns its ID as a string
+   */
+  const insertStudent = async (email, lastName = 'Student') => {
+    const result = await db.collection('students').insertOne({
+      firstName: 'Test',
+      lastName,
+      universityEmail: email,
+      hashedPassword: 'hashed',
+      major: 'Computer Science',
+      age: 20,
+      enrolledCourses: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    return result.insertedId.toString();
+  };
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('courses').deleteMany({});
+    await db.collection('students').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('courses').deleteMany({});
+    await db.collection('students').deleteMany({});
+
+    const courseResult = await db.collection('courses').insertOne({
+      courseCode: 'CS545',
+      courseName: 'Human Computer Interaction',
+      section: 'WS',
+      department: 'Computer Science',
+      instructorName: 'Dr. Gregg Vesonder',
+      instructorEmail: 'gvesonde@stevens.edu',
+      term: 'Fall 2025',
+      enrolledStudents: [],
+      instructors: [],
+      teachingAssistants: [],
+      joinCode: 'ABCD2345',
+      createdAt: new Date(),
+    });
+    courseId = courseResult.insertedId.toString();
+    studentId = await insertStudent('test.student@stevens.edu');
+  });
+
+  const getCourse = () =>
+    db.collection('courses').findOne({ _id: new ObjectId(courseId) });
+  const getStudent = (id = studentId) =>
+    db.collection('students').findOne({ _id: new ObjectId(id) });
+
+  describe('enrollStudent', () => {
+    it('should update both the course and the student', async () => {
+      const course = await enrollStudent(courseId, studentId);
+
+      expect(course.enrolledStudents.map(String)).toEqual([studentId]);
+      const student = await getStudent();
+      expect(student.enrolledCourses.map(String)).toEqual([courseId]);
+    });
+
+    it('should not add duplicates when enrolling twice', async () => {
+      await enrollStudent(courseId, studentId);
+      await enrollStudent(courseId, studentId);
+
+      expect((await getCourse()).enrolledStudents).toHaveLength(1);
+      expect((await getStudent()).enrolledCourses).toHaveLength(1);
+    });
+
+    it('should throw error if student not found', async () => {
+      await expect(
+        enrollStudent(courseId, '507f1f77bcf86cd799439011')
+      ).rejects.toThrow('Student not found');
+      expect((await getCourse()).enrolledStudents).toHaveLength(0);
+    });
+
+    it('should leave the student unchanged if course not found', async () => {
+      await expect(
+        enrollStudent('507f1f77bcf86cd799439011', studentId)
+      ).rejects.toThrow('Course not found');
+      expect((await getStudent()).enrolledCourses).toHaveLength(0);
+    });
+
+    it('should throw error for invalid IDs', async () => {
+      await expect(enrollStudent('invalid', studentId)).rejects.toThrow(
+        'Invalid course ID'
+      );
+      await expect(enrollStudent(courseId, 'invalid')).rejects.toThrow(
+        'Invalid student ID'
+      );
+    });
+  });
+
+  describe('unenrollStudent', () => {
+    it('should remove the enrollment from both sides', async () => {
+      await enrollStudent(courseId, studentId);
+
+      const course = await unenrollStudent(courseId, studentId);
+
+      expect(course.enrolledStudents).toHaveLength(0);
+      expect((await getStudent()).enrolledCourses).toHaveLength(0);
+    });
+
+    it('should throw error if course not found', async () => {
+      await expect(
+        unenrollStudent('507f1f77bcf86cd799439011', studentId)
+      ).rejects.toThrow('Course not found');
+    });
+  });
+
+  describe('enrollStudentsByEmail', () => {
+    it('should report what happened to each email', async () => {
+      const otherId = await insertStudent('other.student@stevens.edu');
+      await enrollStudent(courseId, otherId);
+
+      const result = await enrollStudentsByEmail(courseId, [
+        'Test.Student@stevens.edu',
+        'other.student@stevens.edu',
+        'missing.student@stevens.edu',
+        'someone@gmail.com',
+        'test.student@stevens.edu',
+      ]);
+
+      expect(result.enrolled).toEqual(['test.student@stevens.edu']);
+      expect(result.alreadyEnrolled).toEqual(['other.student@stevens.edu']);
+      expect(result.notFound).toEqual(['missing.student@stevens.edu']);
+      expect(result.invalid).toEqual(['someone@gmail.com']);
+      expect((await getStudent()).enrolledCourses.map(String)).toEqual([
+        courseId,
+      ]);
+    });
+
+    it('should throw error if course not found', async () => {
+      await expect(
+        enrollStudentsByEmail('507f1f77bcf86cd799439011', [])
+      ).rejects.toThrow('Course not found');
+    });
+
+    it('should throw error if emails is not an array', async () => {
+      await expect(
+        enrollStudentsByEmail(courseId, 'test.student@stevens.edu')
+      ).rejects.toThrow('Emails must be an array');
+    });
+  });
+
+  describe('getRoster', () => {
+    it('should return enrolled students sorted by last name', async () => {
+      const adamsId = await insertStudent('a.adams@stevens.edu', 'Adams');
+      await enrollStudent(courseId, studentId);
+      await enrollStudent(courseId, adamsId);
+
+      const roster = await getRoster(courseId);
+
+      expect(roster.map((s) => s.lastName)).toEqual(['Adams', 'Student']);
+      expect(roster[0]).not.toHaveProperty('hashedPassword');
+    });
+
+    it('should throw error if course not found', async () => {
+      await expect(getRoster('507f1f77bcf86cd799439011')).rejects.toThrow(
+        'Course not found'
+      );
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Tests for Follow Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import {
+  followQuestion,
+  unfollowQuestion,
+  isFollowing,
+  getFollowerIds,
+  getFollowedQuestions,
+  notifyFollowers,
+  deleteFollowsByQuestionId,
+  deleteFollowsByStudentInCourse,
+} from '../../data/follows.js';
+
+describe('Follow Data Functions', () => {
+  let db;
+  let courseId;
+  let questionId;
+  const studentId = new ObjectId().toString();
+  const otherStudentId = new ObjectId().toString();
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('follows').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('follows').deleteMany({});
+
+    const course = await db
+      .collection('courses')
+      .insertOne({ courseCode: 'CS590', courseName: 'Algorithms' });
+    courseId = course.insertedId;
+
+    const question = await db.collection('questions').insertOne({
+      courseId,
+      posterId: new ObjectId(),
+      title: 'Heap sort stability',
+      content: 'Is heap sort stable?',
+      isResolved: false,
+      createdAt: new Date('2025-01-01'),
+      updatedAt: new Date('2025-01-01'),
+    });
+    questionId = question.insertedId.toString();
+  });
+
+  describe('followQuestion', () => {
+    it('should follow a question once', async () => {
+      const follow = await followQuestion(studentId, questionId);
+      await followQuestion(studentId, questionId);
+
+      expect(follow.courseId.toString()).toBe(courseId.toString());
+      expect(await isFollowing(studentId, questionId)).toBe(true);
+      expect(await db.collection('follows').countDocuments()).toBe(1);
+    });
+
+    it('should throw error for a missing or deleted question', async () => {
+      await expect(
+        followQuestion(studentId, new ObjectId().toString())
+      ).rejects.toThrow('Question not found');
+
+      await db
+        .collection('questions')
+        .updateOne(
+          { _id: new ObjectId(questionId) },
+          { $set: { deletedAt: new Date() } }
+        );
+      await expect(followQuestion(studentId, questionId)).rejects.toThrow(
+        'Question not found'
+      );
+    });
+
+    it('should throw error for invalid IDs', async () => {
+      await expect(followQuestion('invalid', questionId)).rejects.toThrow(
+        'Invalid student ID'
+      );
+      await expect(followQuestion(studentId, 'invalid')).rejects.toThrow(
+        'Invalid question ID'
+      );
+    });
+  });
+
+  describe('unfollowQuestion', () => {
+    it('should stop following a question', async () => {
+      await followQuestion(studentId, questionId);
+
+      const result = await unfollowQuestion(studentId, questionId);
+
+      expect(result.deletedCount).toBe(1);
+      expect(await isFollowing(studentId, questionId)).toBe(false);
+    });
+  });
+
+  describe('getFollowedQuestions', () => {
+    it('should list followed questions by latest activity', async () => {
+      const newer = await db.collection('questions').insertOne({
+        courseId,
+        posterId: new ObjectId(),
+        title: 'Quick sort pivots',
+        content: 'Which pivot is best?',
+        isResolved: true,
+        createdAt: new Date('2025-01-02'),
+        updatedAt: new Date('2025-01-02'),
+      });
+      await followQuestion(studentId, questionId);
+      await followQuestion(studentId, newer.insertedId.toString());
+
+      // A new response makes the older question the most recently active
+      await db.collection('responses').insertOne({
+        questionId: new ObjectId(questionId),
+        posterId: new ObjectId(),
+        content: 'No, it is not.',
+        createdAt: new Date('2025-01-03'),
+      });
+
+      const questions = await getFollowedQuestions(studentId);
+
+      expect(questions.map((q) => q.title)).toEqual([
+        'Heap sort stability',
+        'Quick sort pivots',
+      ]);
+      expect(questions[0]).toMatchObject({
+        courseCode: 'CS590',
+        responseCount: 1,
+        isResolved: false,
+        lastActivityAt: new Date('2025-01-03'),
+      });
+    });
+
+    it('should throw error for invalid studentId', async () => {
+      await expect(getFollowedQuestions('invalid')).rejects.toThrow(
+        'Invalid student ID'
+      );
+    });
+  });
+
+  describe('notifyFollowers', () => {
+    it('should notify followers except the sender and excluded students', async () => {
+      const excludedId = new ObjectId().toString();
+      await followQuestion(studentId, questionId);
+      await followQuestion(otherStudentId, questionId);
+      await followQuestion(excludedId, questionId);
+
+      const count = await notifyFollowers(questionId, {
+        senderId: otherStudentId,
+        type: 'followed_response',
+        message: 'Someone replied to "Heap sort stability"',
+        excludeIds: [excludedId],
+      });
+
+      expect(count).toBe(1);
+      const notifications = await db
+        .collection('notifications')
+        .find()
+        .toArray();
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].recipientId.toString()).toBe(studentId);
+      expect(notifications[0].type).toBe('followed_response');
+    });
+  });
+
+  describe('deleteFollows', () => {
+    it('should delete follows by question', async () => {
+      await followQuestion(studentId, questionId);
+      await followQuestion(otherStudentId, questionId);
+
+      const result = await deleteFollowsByQuestionId(questionId);
+
+      expect(result.deletedCount).toBe(2);
+      expect(await getFollowerIds(questionId)).toEqual([]);
+    });
+
+    it("should delete a student's follows in one course", async () => {
+      await followQuestion(studentId, questionId);
+      await followQuestion(otherStudentId, questionId);
+
+      const result = await deleteFollowsByStudentInCourse(
+        studentId,
+        courseId.toString()
+      );
+
+      expect(result.deletedCount).toBe(1);
+      expect(await getFollowerIds(questionId)).toEqual([otherStudentId]);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Tests for Moderation Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import {
+  canViewPost,
+  getModerationTarget,
+  recordModerationAction,
+  getModerationLog,
+} from '../../data/moderation.js';
+import {
+  getQuestionsByCourseId,
+  setQuestionHidden,
+  setQuestionLocked,
+} from '../../data/questions.js';
+import { encodeCursor } from '../../pagination.js';
+
+describe('Moderation Data Functions', () => {
+  let db;
+  let courseId;
+  let questionId;
+  let posterId;
+  let moderatorId;
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('moderationActions').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('moderationActions').deleteMany({});
+
+    const [poster, moderator] = await Promise.all(
+      ['Pat', 'Morgan'].map((firstName) =>
+        db.collection('students').insertOne({ firstName, lastName: 'Smith' })
+      )
+    );
+    posterId = poster.insertedId.toString();
+    moderatorId = moderator.insertedId.toString();
+    courseId = new ObjectId().toString();
+
+    const question = await db.collection('questions').insertOne({
+      courseId: new ObjectId(courseId),
+      posterId: poster.insertedId,
+      title: 'Rude question',
+      content: 'Something rude',
+      isAnonymous: false,
+      isResolved: false,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    questionId = question.insertedId.toString();
+  });
+
+  describe('hidden posts', () => {
+    it('should hide a question from everyone but staff and its poster', async () => {
+      const hidden = await setQuestionHidden(questionId, true, moderatorId);
+      expect(hidden.hiddenBy.toString()).toBe(moderatorId);
+
+      const otherId = new ObjectId().toString();
+      expect(
+        await getQuestionsByCourseId(courseId, 'newest', { viewerId: otherId })
+      ).toEqual([]);
+      expect(
+        await getQuestionsByCourseId(courseId, 'newest', { viewerId: posterId })
+      ).toHaveLength(1);
+      expect(
+        await getQuestionsByCourseId(courseId, 'newest', {
+          viewerId: otherId,
+          showHidden: true,
+        })
+      ).toHaveLength(1);
+
+      expect(canViewPost(hidden, otherId, false)).toBe(false);
+      expect(canViewPost(hidden, posterId, false)).toBe(true);
+      expect(canViewPost(hidden, otherId, true)).toBe(true);
+    });
+
+    it('should show a question again when unhidden', async () => {
+      await setQuestionHidden(questionId, true, moderatorId);
+      const shown = await setQuestionHidden(questionId, false, moderatorId);
+
+      expect(shown.hiddenAt).toBeUndefined();
+      expect(await getQuestionsByCourseId(courseId)).toHaveLength(1);
+    });
+  });
+
+  describe('setQuestionLocked', () => {
+    it('should lock and unlock a thread', async () => {
+      const locked = await setQuestionLocked(questionId, true, moderatorId);
+      expect(locked.lockedAt).toBeInstanceOf(Date);
+
+      const unlocked = await setQuestionLocked(questionId, false, moderatorId);
+      expect(unlocked.lockedAt).toBeUndefined();
+    });
+
+    it('should return null for a question in the trash', async () => {
+      await db
+        .collection('questions')
+        .updateOne(
+          { _id: new ObjectId(questionId) },
+          { $set: { deletedAt: new Date() } }
+        );
+
+      expect(await setQuestionLocked(questionId, true, moderatorId)).toBeNull();
+    });
+  });
+
+  describe('getModerationTarget', () => {
+    it('should find a response with its question, even in the trash', async () => {
+      const response = await db.collection('responses').insertOne({
+        questionId: new ObjectId(questionId),
+        posterId: new ObjectId(posterId),
+        content: 'Deleted reply',
+        deletedAt: new Date(),
+      });
+
+      const target = await getModerationTarget(
+        'response',
+        response.insertedId.toString()
+      );
+
+      expect(target.post.content).toBe('Deleted reply');
+      expect(target.question._id.toString()).toBe(questionId);
+    });
+
+    it('should return null for a missing post', async () => {
+      expect(
+        await getModerationTarget('question', new ObjectId().toString())
+      ).toBeNull();
+    });
+  });
+
+  describe('audit trail', () => {
+    const record = (action, note) =>
+      recordModerationAction({
+        courseId,
+        moderatorId,
+        action,
+        targetType: 'question',
+        targetId: questionId,
+        questionId,
+        authorId: posterId,
+        note,
+        reportCount: 2,
+      });
+
+    it('should list actions newest first with names and titles', async () => {
+      await record('hide', 'Rude');
+      await record('warn', 'Please keep it civil');
+
+      const log = await getModerationLog(courseId);
+
+      expect(log.map((entry) => entry.action)).toEqual(['warn', 'hide']);
+      expect(log[0]).toMatchObject({
+        moderatorName: 'Morgan Smith',
+        questionTitle: 'Rude question',
+        note: 'Please keep it civil',
+        reportCount: 2,
+      });
+    });
+
+    it('should page through the log', async () => {
+      await record('lock');
+      await record('unlock');
+      await record('hide');
+
+      const firstPage = await getModerationLog(courseId, { limit: 2 });
+      const secondPage = await getModerationLog(courseId, {
+        cursor: encodeCursor(firstPage[1]),
+      });
+
+      expect(secondPage.map((entry) => entry.action)).toEqual(['lock']);
+    });
+
+    it('should leave the author out of reveals in the log', async () => {
+      await record('reveal', 'Integrity case');
+
+      const [entry] = await getModerationLog(courseId);
+
+      expect(entry.authorId).toBeNull();
+    });
+
+    it('should throw error for an unknown action', async () => {
+      await expect(record('ban')).rejects.toThrow('Action must be one of');
+    });
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Tests for Notification Preference Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import {
+  getPreferences,
+  updatePreferences,
+  allowsNotification,
+  getNewQuestionSubscriberIds,
+  removeCourseFromPreferences,
+  getDueDigests,
+  recordDigestSent,
+  DEFAULT_PREFERENCES,
+} from '../../data/notificationPreferences.js';
+import { createNotification } from '../../data/notifications.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Notification Preference Data Functions', () => {
+  let db;
+  const studentId = new ObjectId().toString();
+  const senderId = new ObjectId().toString();
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('notificationPreferences').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('notificationPreferences').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('questions').deleteMany({});
+  });
+
+  describe('getPreferences', () => {
+    it('should return the defaults when nothing was saved', async () => {
+      expect(await getPreferences(studentId)).toEqual(DEFAULT_PREFERENCES);
+    });
+
+    it('should throw error for invalid studentId', async () => {
+      await expect(getPreferences('invalid')).rejects.toThrow(
+        'Invalid student ID'
+      );
+    });
+  });
+
+  describe('updatePreferences', () => {
+    it('should keep settings that are not updated', async () => {
+      const courseId = new ObjectId().toString();
+      await updatePreferences(studentId, { emailFrequency: 'weekly' });
+
+      const preferences = await updatePreferences(studentId, {
+        muted: true,
+        disabledTypes: ['helpful_mark', 'helpful_mark'],
+        mutedCourseIds: [courseId],
+      });
+
+      expect(preferences).toMatchObject({
+        muted: true,
+        disabledTypes: ['helpful_mark'],
+        emailFrequency: 'weekly',
+      });
+      expect(preferences.mutedCourseIds.map(String)).toEqual([courseId]);
+      expect(
+        await db.collection('notificationPreferences').countDocuments()
+      ).toBe(1);
+    });
+
+    it('should throw error for invalid settings', async () => {
+      await expect(
+        updatePreferences(studentId, { muted: 'yes' })
+      ).rejects.toThrow('muted must be a boolean');
+      await expect(
+        updatePreferences(studentId, { disabledTypes: ['everything'] })
+      ).rejects.toThrow('Unknown notification type: everything');
+      await expect(
+        updatePreferences(studentId, { mutedCourseIds: ['invalid'] })
+      ).rejects.toThrow('Invalid course ID');
+      await expect(
+        updatePreferences(studentId, { emailFrequency: 'hourly' })
+      ).rejects.toThrow('Email frequency must be one of');
+    });
+  });
+
+  describe('allowsNotification', () => {
+    const courseId = new ObjectId();
+
+    it('should let every notification through by default', () => {
+      expect(
+        allowsNotification(DEFAULT_PREFERENCES, {
+          type: 'new_response',
+          courseId,
+        })
+      ).toBe(true);
+    });
+
+    it('should block muted students, turned off types and muted courses', () => {
+      expect(
+        allowsNotification(
+          { ...DEFAULT_PREFERENCES, muted: true },
+          { type: 'new_response', courseId }
+        )
+      ).toBe(false);
+      expect(
+        allowsNotification(
+          { ...DEFAULT_PREFERENCES, disabledTypes: ['new_response'] },
+          { type: 'new_response', courseId }
+        )
+      ).toBe(false);
+      expect(
+        allowsNotification(
+          { ...DEFAULT_PREFERENCES, mutedCourseIds: [courseId] },
+          { type: 'new_response', courseId: courseId.toString() }
+        )
+      ).toBe(false);
+    });
+
+    it('should always let moderation warnings through', () => {
+      expect(
+        allowsNotification(
+          {
+            ...DEFAULT_PREFERENCES,
+            muted: true,
+            disabledTypes: ['moderation_warning'],
+            mutedCourseIds: [courseId],
+          },
+          { type: 'moderation_warning', courseId }
+        )
+      ).toBe(true);
+    });
+  });
+
+  describe('createNotification with preferences', () => {
+    it('should not create notifications the recipient turned off', async () => {
+      const courseId = new ObjectId();
+      const question = await db
+        .collection('questions')
+        .insertOne({ courseId, title: 'Dijkstra' });
+      const questionId = question.insertedId.toString();
+      const notify = (type) =>
+        createNotification({
+          recipientId: studentId,
+          questionId,
+          senderId,
+          type,
+          message: 'Something happened',
+        });
+
+      await updatePreferences(studentId, { disabledTypes: ['new_comment'] });
+      expect(await notify('new_comment')).toBeNull();
+      expect(await notify('new_response')).not.toBeNull();
+
+      await updatePreferences(studentId, {
+        mutedCourseIds: [courseId.toString()],
+      });
+      expect(await notify('new_response')).toBeNull();
+
+      expect(await db.collection('notifications').countDocuments()).toBe(1);
+    });
+  });
+
+  describe('getNewQuestionSubscriberIds', () => {
+    it('should return students who opted in to the course, unless muted', async () => {
+      const courseId = new ObjectId().toString();
+      const mutedStudentId = new ObjectId().toString();
+      await updatePreferences(studentId, { newQuestionCourseIds: [courseId] });
+      await updatePreferences(mutedStudentId, {
+        muted: true,
+        newQuestionCourseIds: [courseId],
+      });
+      await updatePreferences(senderId, {
+        newQuestionCourseIds: [new ObjectId().toString()],
+      });
+
+      expect(await getNewQuestionSubscriberIds(courseId)).toEqual([studentId]);
+    });
+  });
+
+  describe('removeCourseFromPreferences', () => {
+    it('should remove a course from every course setting', async () => {
+      const courseId = new ObjectId().toString();
+      const otherCourseId = new ObjectId().toString();
+      await updatePreferences(studentId, {
+        mutedCourseIds: [courseId, otherCourseId],
+        newQuestionCourseIds: [courseId],
+      });
+
+      const result = await removeCourseFromPreferences(courseId);
+
+      expect(result.modifiedCount).toBe(1);
+      const preferences = await getPreferences(studentId);
+      expect(preferences.mutedCourseIds.map(String)).toEqual([otherCourseId]);
+      expect(preferences.newQuestionCourseIds).toEqual([]);
+    });
+  });
+
+  describe('getDueDigests', () => {
+    it('should return digests whose interval has passed', async () => {
+      const now = new Date('2025-03-10T12:00:00Z');
+      const ago = (hours) => new Date(now.getTime() - hours * HOUR_MS);
+      const students = {
+        immediate: new ObjectId(),
+        dailyDue: new ObjectId(),
+        dailyNotDue: new ObjectId(),
+        weeklyNotDue: new ObjectId(),
+        off: new ObjectId(),
+        muted: new ObjectId(),
+      };
+      await db.collection('notificationPreferences').insertMany([
+        {
+          studentId: students.immediate,
+          emailFrequency: 'immediate',
+          lastDigestAt: ago(0.1),
+        },
+        {
+          studentId: students.dailyDue,
+          emailFrequency: 'daily',
+          lastDigestAt: ago(25),
+        },
+        {
+          studentId: students.dailyNotDue,
+          emailFrequency: 'daily',
+          lastDigestAt: ago(23),
+        },
+        {
+          studentId: students.weeklyNotDue,
+          emailFrequency: 'weekly',
+          lastDigestAt: ago(24 * 6),
+        },
+        { studentId: students.off, emailFrequency: 'off', lastDigestAt: null },
+        {
+          studentId: students.muted,
+          emailFrequency: 'immediate',
+          muted: true,
+        },
+      ]);
+
+      const due = await getDueDigests(now);
+
+      expect(due.map((digest) => digest.studentId).sort()).toEqual(
+        [students.immediate, students.dailyDue].map(String).sort()
+      );
+    });
+  });
+
+  describe('recordDigestSent', () => {
+    it('should record when the last digest was sent', async () => {
+      const sentAt = new Date('2025-03-10T12:00:00Z');
+      await updatePreferences(studentId, { emailFrequency: 'daily' });
+
+      await recordDigestSent(studentId, sentAt);
+
+      expect((await getPreferences(studentId)).lastDigestAt).toEqual(sentAt);
+    });
+  });
+});
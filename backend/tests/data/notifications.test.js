@@ -17,9 +17,12 @@ import {
   markNotificationAsRead,
   markAllNotificationsAsRead,
   getUnreadNotificationCount,
+  getDigestNotifications,
+  markNotificationsEmailed,
   deleteNotification,
   deleteNotificationsByQuestionId,
 } from '../../data/notifications.js';
+import { encodeCursor } from '../../pagination.js';
 
 describe('Notification Data Functions', () => {
   let db;
@@ -63,6 +66,18 @@ describe('Notification Data Functions', () => {
       expect(result).toHaveProperty('createdAt');
     });
 
+    it('should create a notification without a sender', async () => {
+      const result = await createNotification({
+        recipientId,
+        questionId,
+        senderId: null,
+        type: 'new_response',
+        message: 'Anonymous Owl replied to your question',
+      });
+
+      expect(result.senderId).toBeNull();
+    });
+
     it('should throw error for invalid recipientId', async () => {
       const notificationData = {
         recipientId: 'invalid-id',
@@ -179,6 +194,24 @@ describe('Notification Data Functions', () => {
       expect(notifications[1].message).toBe('Notification 2 - Unread');
     });
 
+    it('should return one page at a time with a cursor', async () => {
+      const firstPage = await getNotificationsByStudentId(recipientId, false, {
+        limit: 2,
+      });
+      const secondPage = await getNotificationsByStudentId(recipientId, false, {
+        limit: 2,
+        cursor: encodeCursor(firstPage[1]),
+      });
+
+      expect(firstPage.map((n) => n.message)).toEqual([
+        'Notification 1 - Unread',
+        'Notification 2 - Unread',
+      ]);
+      expect(secondPage.map((n) => n.message)).toEqual([
+        'Notification 3 - Read',
+      ]);
+    });
+
     it('should return empty array if no notifications', async () => {
       const otherStudentId = '507f1f77bcf86cd799439099';
       const notifications = await getNotificationsByStudentId(otherStudentId);
@@ -298,6 +331,74 @@ describe('Notification Data Functions', () => {
     });
   });
 
+  describe('getDigestNotifications', () => {
+    it('should return unread notifications not yet emailed', async () => {
+      const emailed = await createNotification({
+        recipientId,
+        questionId,
+        senderId,
+        type: 'new_response',
+        message: 'Already emailed',
+      });
+      const read = await createNotification({
+        recipientId,
+        questionId,
+        senderId,
+        type: 'new_response',
+        message: 'Already read',
+      });
+      await createNotification({
+        recipientId,
+        questionId,
+        senderId,
+        type: 'new_comment',
+        message: 'Waiting for the digest',
+      });
+      await markNotificationsEmailed([emailed._id.toString()]);
+      await markNotificationAsRead(read._id.toString());
+
+      const notifications = await getDigestNotifications(recipientId);
+
+      expect(notifications.map((n) => n.message)).toEqual([
+        'Waiting for the digest',
+      ]);
+    });
+
+    it('should throw error for invalid studentId', async () => {
+      await expect(getDigestNotifications('invalid')).rejects.toThrow(
+        'Invalid student ID'
+      );
+    });
+  });
+
+  describe('markNotificationsEmailed', () => {
+    it('should set emailedAt on the given notifications', async () => {
+      const notification = await createNotification({
+        recipientId,
+        questionId,
+        senderId,
+        type: 'new_response',
+        message: 'John replied to your question',
+      });
+      const emailedAt = new Date('2025-03-01T08:00:00Z');
+
+      const result = await markNotificationsEmailed(
+        [notification._id.toString()],
+        emailedAt
+      );
+
+      expect(result.modifiedCount).toBe(1);
+      const updated = await getNotificationById(notification._id.toString());
+      expect(updated.emailedAt).toEqual(emailedAt);
+    });
+
+    it('should throw error for invalid IDs', async () => {
+      await expect(markNotificationsEmailed(['invalid'])).rejects.toThrow(
+        'Invalid notification ID'
+      );
+    });
+  });
+
   describe('deleteNotification', () => {
     it('should delete notification successfully', async () => {
       const created = await createNotification({
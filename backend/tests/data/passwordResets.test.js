@@ -0,0 +1,125 @@
+/**
+ * Tests for Password Reset Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import {
+  connectToDb,
+  closeConnection,
+  getDb,
+} from '../../database_config/index.js';
+import {
+  createPasswordResetToken,
+  consumePasswordResetToken,
+  deletePasswordResetTokensByStudentId,
+} from '../../data/passwordResets.js';
+
+describe('Password Reset Data Functions', () => {
+  let db;
+  const studentId = '507f1f77bcf86cd799439011';
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('passwordResets').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('passwordResets').deleteMany({});
+  });
+
+  describe('createPasswordResetToken', () => {
+    it('should create an unused token and store only its hash', async () => {
+      const { token, expiresAt } = await createPasswordResetToken(studentId);
+
+      expect(typeof token).toBe('string');
+      expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+      const stored = await db.collection('passwordResets').findOne({});
+      expect(stored.studentId.toString()).toBe(studentId);
+      expect(stored.tokenHash).not.toBe(token);
+      expect(stored.usedAt).toBeNull();
+    });
+
+    it('should invalidate earlier unused tokens', async () => {
+      const first = await createPasswordResetToken(studentId);
+      await createPasswordResetToken(studentId);
+
+      await expect(consumePasswordResetToken(first.token)).rejects.toThrow(
+        'Invalid or expired reset token'
+      );
+    });
+
+    it('should throw error for invalid student ID', async () => {
+      await expect(createPasswordResetToken('invalid-id')).rejects.toThrow(
+        'Invalid student ID'
+      );
+    });
+  });
+
+  describe('consumePasswordResetToken', () => {
+    it('should return the student ID and mark the token used', async () => {
+      const { token } = await createPasswordResetToken(studentId);
+
+      const result = await consumePasswordResetToken(token);
+
+      expect(result.toString()).toBe(studentId);
+      const stored = await db.collection('passwordResets').findOne({});
+      expect(stored.usedAt).toBeInstanceOf(Date);
+    });
+
+    it('should only allow a token to be used once', async () => {
+      const { token } = await createPasswordResetToken(studentId);
+      await consumePasswordResetToken(token);
+
+      await expect(consumePasswordResetToken(token)).rejects.toThrow(
+        'Invalid or expired reset token'
+      );
+    });
+
+    it('should reject an expired token', async () => {
+      const { token } = await createPasswordResetToken(studentId);
+      await db
+        .collection('passwordResets')
+        .updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+      await expect(consumePasswordResetToken(token)).rejects.toThrow(
+        'Invalid or expired reset token'
+      );
+    });
+
+    it('should require a token', async () => {
+      await expect(consumePasswordResetToken('  ')).rejects.toThrow(
+        'Reset token is required'
+      );
+    });
+  });
+
+  describe('deletePasswordResetTokensByStudentId', () => {
+    it('should delete all tokens for a student', async () => {
+      await createPasswordResetToken(studentId);
+      await db.collection('passwordResets').insertOne({
+        studentId: new ObjectId(),
+        tokenHash: 'other',
+        expiresAt: new Date(Date.now() + 1000),
+        usedAt: null,
+        createdAt: new Date(),
+      });
+
+      const result = await deletePasswordResetTokensByStudentId(studentId);
+
+      expect(result.deletedCount).toBe(1);
+    });
+
+    it('should throw error for invalid student ID', async () => {
+      await expect(
+        deletePasswordResetTokensByStudentId('invalid-id')
+      ).rejects.toThrow('Invalid student ID');
+    });
+  });
+});
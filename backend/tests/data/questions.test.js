@@ -16,8 +16,16 @@ import {
   getQuestionsByCourseId,
   getNewQuestionCountsByCourseIds,
   updateQuestion,
+  setAcceptedResponse,
+  clearAcceptedResponse,
   deleteQuestion,
+  markDuplicate,
+  getDuplicateLinks,
+  getUnansweredQuestions,
+  markUnansweredAlerted,
+  makeQuestionPublic,
 } from '../../data/questions.js';
+import { encodeCursor } from '../../pagination.js';
 
 describe('Question Data Functions', () => {
   let db;
@@ -126,6 +134,46 @@ describe('Question Data Functions', () => {
       expect(result.title).toBe('Test Question');
       expect(result.content).toBe('Test content');
     });
+
+    it('should store the content rendered from Markdown', async () => {
+      const result = await createQuestion({
+        courseId,
+        posterId,
+        title: 'Markdown',
+        content:
+          'Why is `x` **undefined**?\n\n```js\nlet x;\n```\n\n$O(n^2)$ <script>alert(1)</script>',
+      });
+
+      expect(result.contentHtml).toContain('<code>x</code>');
+      expect(result.contentHtml).toContain('<strong>undefined</strong>');
+      expect(result.contentHtml).toContain('class="hljs language-js"');
+      expect(result.contentHtml).toContain('class="katex"');
+      expect(result.contentHtml).not.toContain('<script>');
+      expect(result.contentHtml).toContain('&lt;script&gt;');
+    });
+
+    it('should default visibility to public', async () => {
+      const result = await createQuestion({
+        courseId,
+        posterId,
+        title: 'Test Question',
+        content: 'Test content',
+      });
+
+      expect(result.visibility).toBe('public');
+    });
+
+    it('should throw error for an invalid visibility', async () => {
+      await expect(
+        createQuestion({
+          courseId,
+          posterId,
+          title: 'Test Question',
+          content: 'Test content',
+          visibility: 'secret',
+        })
+      ).rejects.toThrow('Visibility must be one of: public, staff');
+    });
   });
 
   describe('getQuestionById', () => {
@@ -143,6 +191,22 @@ describe('Question Data Functions', () => {
       expect(question.title).toBe('Test Question');
     });
 
+    it('should render contentHtml for questions stored without it', async () => {
+      const created = await createQuestion({
+        courseId,
+        posterId,
+        title: 'Test Question',
+        content: '**Old** post',
+      });
+      await db
+        .collection('questions')
+        .updateOne({ _id: created._id }, { $unset: { contentHtml: 1 } });
+
+      const question = await getQuestionById(created._id.toString());
+
+      expect(question.contentHtml).toBe('<p><strong>Old</strong> post</p>\n');
+    });
+
     it('should return null if question not found', async () => {
       const fakeId = '507f1f77bcf86cd799439011';
       const question = await getQuestionById(fakeId);
@@ -154,6 +218,22 @@ describe('Question Data Functions', () => {
         'Invalid question ID'
       );
     });
+
+    it('should find a private question only for its poster and staff', async () => {
+      const created = await createQuestion({
+        courseId,
+        posterId,
+        title: 'My grade',
+        content: 'Why did I lose points?',
+        visibility: 'staff',
+      });
+      const questionId = created._id.toString();
+      const otherId = new ObjectId().toString();
+
+      expect(await getQuestionById(questionId, otherId)).toBeNull();
+      expect(await getQuestionById(questionId, posterId)).not.toBeNull();
+      expect(await getQuestionById(questionId, otherId, true)).not.toBeNull();
+    });
   });
 
   describe('getQuestionsByCourseId', () => {
@@ -226,6 +306,106 @@ describe('Question Data Functions', () => {
       expect(questions.every((q) => !q.isResolved)).toBe(true);
     });
 
+    it('should filter by status while keeping the chosen order', async () => {
+      const questions = await getQuestionsByCourseId(courseId, 'oldest', {
+        status: 'unanswered',
+      });
+
+      expect(questions.map((q) => q.title)).toEqual([
+        'Question 3 - Oldest',
+        'Question 1 - Newest',
+      ]);
+    });
+
+    it('should return one page at a time with a cursor', async () => {
+      const firstPage = await getQuestionsByCourseId(courseId, 'newest', {
+        limit: 2,
+      });
+      const secondPage = await getQuestionsByCourseId(courseId, 'newest', {
+        limit: 2,
+        cursor: encodeCursor(firstPage[1]),
+      });
+
+      expect(firstPage.map((q) => q.title)).toEqual([
+        'Question 1 - Newest',
+        'Question 2 - Older Resolved',
+      ]);
+      expect(secondPage.map((q) => q.title)).toEqual(['Question 3 - Oldest']);
+    });
+
+    it('should page through questions posted at the same time', async () => {
+      const createdAt = new Date('2025-01-01T00:00:00.000Z');
+      await db.collection('questions').insertMany(
+        [1, 2, 3].map((n) => ({
+          courseId: new ObjectId(courseId),
+          posterId: new ObjectId(posterId),
+          title: `Tied ${n}`,
+          content: 'Same timestamp',
+          isAnonymous: false,
+          isResolved: false,
+          createdAt,
+          updatedAt: createdAt,
+        }))
+      );
+
+      const seen = [];
+      let cursor;
+      do {
+        const page = await getQuestionsByCourseId(courseId, 'oldest', {
+          limit: 2,
+          cursor,
+        });
+        seen.push(...page.map((q) => q.title));
+        cursor = page.length === 2 ? encodeCursor(page[1]) : undefined;
+      } while (cursor);
+
+      expect(seen).toHaveLength(6);
+      expect(new Set(seen).size).toBe(6);
+    });
+
+    it('should sort by score with "top", newest first among ties', async () => {
+      await db
+        .collection('questions')
+        .updateOne({ title: 'Question 3 - Oldest' }, { $set: { score: 4 } });
+      await db
+        .collection('questions')
+        .updateOne(
+          { title: 'Question 2 - Older Resolved' },
+          { $set: { score: -1 } }
+        );
+
+      const firstPage = await getQuestionsByCourseId(courseId, 'top', {
+        limit: 2,
+      });
+      const secondPage = await getQuestionsByCourseId(courseId, 'top', {
+        limit: 2,
+        cursor: encodeCursor(firstPage[1], { byScore: true }),
+      });
+
+      expect(firstPage.map((q) => q.title)).toEqual([
+        'Question 3 - Oldest',
+        'Question 1 - Newest',
+      ]);
+      expect(firstPage[1].score).toBe(0);
+      expect(secondPage.map((q) => q.title)).toEqual([
+        'Question 2 - Older Resolved',
+      ]);
+    });
+
+    it('should throw error for an invalid cursor or status', async () => {
+      await expect(
+        getQuestionsByCourseId(courseId, 'top', {
+          cursor: encodeCursor({ _id: new ObjectId(), createdAt: new Date() }),
+        })
+      ).rejects.toThrow('Invalid cursor');
+      await expect(
+        getQuestionsByCourseId(courseId, 'newest', { cursor: 'not-a-cursor' })
+      ).rejects.toThrow('Invalid cursor');
+      await expect(
+        getQuestionsByCourseId(courseId, 'newest', { status: 'closed' })
+      ).rejects.toThrow('Invalid status filter');
+    });
+
     it('should return empty array if no questions for course', async () => {
       const otherCourseId = '507f1f77bcf86cd799439099';
       const questions = await getQuestionsByCourseId(otherCourseId);
@@ -265,6 +445,21 @@ describe('Question Data Functions', () => {
       );
     });
 
+    it('should re-render contentHtml when content changes', async () => {
+      const created = await createQuestion({
+        courseId,
+        posterId,
+        title: 'Test Question',
+        content: 'Plain',
+      });
+
+      const updated = await updateQuestion(created._id.toString(), {
+        content: '*Emphasis*',
+      });
+
+      expect(updated.contentHtml).toBe('<p><em>Emphasis</em></p>\n');
+    });
+
     it('should update isResolved status', async () => {
       const created = await createQuestion({
         courseId,
@@ -320,6 +515,86 @@ describe('Question Data Functions', () => {
     });
   });
 
+  describe('setAcceptedResponse', () => {
+    const responseId = '507f1f77bcf86cd799439021';
+    let questionId;
+
+    beforeEach(async () => {
+      const created = await createQuestion({
+        courseId,
+        posterId,
+        title: 'Test Question',
+        content: 'Test content',
+      });
+      questionId = created._id.toString();
+    });
+
+    it('should start new questions without an accepted answer', async () => {
+      const question = await getQuestionById(questionId);
+      expect(question.acceptedResponseId).toBeNull();
+    });
+
+    it('should set the accepted response', async () => {
+      const result = await setAcceptedResponse(questionId, responseId);
+
+      expect(result.acceptedResponseId.toString()).toBe(responseId);
+    });
+
+    it('should replace a previously accepted response', async () => {
+      const otherResponseId = '507f1f77bcf86cd799439022';
+      await setAcceptedResponse(questionId, responseId);
+
+      const result = await setAcceptedResponse(questionId, otherResponseId);
+
+      expect(result.acceptedResponseId.toString()).toBe(otherResponseId);
+    });
+
+    it('should clear the accepted response with null', async () => {
+      await setAcceptedResponse(questionId, responseId);
+
+      const result = await setAcceptedResponse(questionId, null);
+
+      expect(result.acceptedResponseId).toBeNull();
+    });
+
+    it('should throw error for invalid response ID', async () => {
+      await expect(
+        setAcceptedResponse(questionId, 'invalid-id')
+      ).rejects.toThrow('Invalid response ID');
+    });
+
+    it('should throw error if question not found', async () => {
+      await expect(
+        setAcceptedResponse('507f1f77bcf86cd799439099', responseId)
+      ).rejects.toThrow('Question not found');
+    });
+  });
+
+  describe('clearAcceptedResponse', () => {
+    it('should clear the response from the question that accepted it', async () => {
+      const responseId = '507f1f77bcf86cd799439021';
+      const created = await createQuestion({
+        courseId,
+        posterId,
+        title: 'Test Question',
+        content: 'Test content',
+      });
+      await setAcceptedResponse(created._id.toString(), responseId);
+
+      const result = await clearAcceptedResponse(responseId);
+
+      expect(result.modifiedCount).toBe(1);
+      const question = await getQuestionById(created._id.toString());
+      expect(question.acceptedResponseId).toBeNull();
+    });
+
+    it('should throw error for invalid response ID', async () => {
+      await expect(clearAcceptedResponse('invalid-id')).rejects.toThrow(
+        'Invalid response ID'
+      );
+    });
+  });
+
   describe('deleteQuestion', () => {
     it('should delete question successfully', async () => {
       const created = await createQuestion({
@@ -352,6 +627,156 @@ describe('Question Data Functions', () => {
     });
   });
 
+  describe('markDuplicate', () => {
+    let original;
+    let duplicate;
+
+    beforeEach(async () => {
+      original = await createQuestion({
+        courseId,
+        posterId,
+        title: 'Original question',
+        content: 'Asked first',
+      });
+      duplicate = await createQuestion({
+        courseId,
+        posterId,
+        title: 'Duplicate question',
+        content: 'Asked again',
+      });
+    });
+
+    it('should link a question to its original', async () => {
+      const result = await markDuplicate(
+        duplicate._id.toString(),
+        original._id.toString(),
+        posterId
+      );
+
+      expect(result.duplicateOfId.toString()).toBe(original._id.toString());
+      expect(result.duplicateMarkedBy.toString()).toBe(posterId);
+      expect(result.duplicateMarkedAt).toBeInstanceOf(Date);
+
+      const links = await getDuplicateLinks(original);
+      expect(links.duplicateOf).toBeNull();
+      expect(links.duplicates.map((q) => q.title)).toEqual([
+        'Duplicate question',
+      ]);
+      expect((await getDuplicateLinks(result)).duplicateOf.title).toBe(
+        'Original question'
+      );
+    });
+
+    it('should leave out private and hidden links the viewer cannot see', async () => {
+      const otherId = new ObjectId().toString();
+      const hidden = await createQuestion({
+        courseId,
+        posterId: otherId,
+        title: 'Hidden question',
+        content: 'Asked again and hidden',
+      });
+      await markDuplicate(
+        duplicate._id.toString(),
+        original._id.toString(),
+        posterId
+      );
+      await markDuplicate(
+        hidden._id.toString(),
+        original._id.toString(),
+        posterId
+      );
+      await db
+        .collection('questions')
+        .updateOne({ _id: hidden._id }, { $set: { hiddenAt: new Date() } });
+      await db
+        .collection('questions')
+        .updateOne({ _id: original._id }, { $set: { visibility: 'staff' } });
+
+      const viewerId = new ObjectId().toString();
+      const links = await getDuplicateLinks(original, { viewerId });
+      expect(links.duplicates.map((q) => q.title)).toEqual([
+        'Duplicate question',
+      ]);
+      const marked = await getQuestionById(duplicate._id.toString());
+      expect(
+        (await getDuplicateLinks(marked, { viewerId })).duplicateOf
+      ).toBeNull();
+
+      // The poster and staff see their links
+      expect(
+        (await getDuplicateLinks(marked, { viewerId: posterId })).duplicateOf
+          .title
+      ).toBe('Original question');
+      const staffLinks = await getDuplicateLinks(original, {
+        viewerId,
+        isStaff: true,
+      });
+      expect(staffLinks.duplicates).toHaveLength(2);
+    });
+
+    it("should move the question's own duplicates to the new original", async () => {
+      const repeat = await createQuestion({
+        courseId,
+        posterId,
+        title: 'Repeat question',
+        content: 'Asked a third time',
+      });
+      await markDuplicate(
+        repeat._id.toString(),
+        duplicate._id.toString(),
+        posterId
+      );
+
+      await markDuplicate(
+        duplicate._id.toString(),
+        original._id.toString(),
+        posterId
+      );
+
+      const moved = await getQuestionById(repeat._id.toString());
+      expect(moved.duplicateOfId.toString()).toBe(original._id.toString());
+    });
+
+    it('should clear the duplicate mark when given null', async () => {
+      await markDuplicate(
+        duplicate._id.toString(),
+        original._id.toString(),
+        posterId
+      );
+
+      const result = await markDuplicate(
+        duplicate._id.toString(),
+        null,
+        posterId
+      );
+
+      expect(result).not.toHaveProperty('duplicateOfId');
+      expect(result).not.toHaveProperty('duplicateMarkedBy');
+      expect((await getDuplicateLinks(original)).duplicates).toEqual([]);
+    });
+
+    it('should throw error for invalid input', async () => {
+      const id = duplicate._id.toString();
+
+      await expect(markDuplicate('invalid-id', null, posterId)).rejects.toThrow(
+        'Invalid question ID'
+      );
+      await expect(markDuplicate(id, 'invalid-id', posterId)).rejects.toThrow(
+        'Invalid original question ID'
+      );
+      await expect(markDuplicate(id, id, posterId)).rejects.toThrow(
+        'A question cannot be a duplicate of itself'
+      );
+      await expect(
+        markDuplicate(
+          '507f1f77bcf86cd799439099',
+          original._id.toString(),
+          posterId
+        )
+      ).rejects.toThrow('Question not found');
+    });
+  });
+
   describe('getNewQuestionCountsByCourseIds', () => {
     const courseId1 = '507f1f77bcf86cd799439011';
     const courseId2 = '507f1f77bcf86cd799439022';
@@ -450,5 +875,262 @@ describe('Question Data Functions', () => {
       const counts = await getNewQuestionCountsByCourseIds([courseId2]);
       expect(counts[courseId2]).toBe(1);
     });
+
+    it('should only count private and held questions for course staff', async () => {
+      const now = new Date();
+      await db.collection('questions').insertMany(
+        [{ visibility: 'staff' }, { hiddenAt: now, hiddenBy: null }].map(
+          (fields) => ({
+            courseId: new ObjectId(courseId2),
+            posterId: new ObjectId(posterId),
+            title: 'Not for classmates',
+            content: 'Content',
+            isAnonymous: false,
+            isResolved: false,
+            createdAt: now,
+            updatedAt: now,
+            ...fields,
+          })
+        )
+      );
+
+      const counts = await getNewQuestionCountsByCourseIds([courseId2]);
+      const staffCounts = await getNewQuestionCountsByCourseIds([courseId2], {
+        staffCourseIds: [courseId2],
+      });
+
+      expect(counts[courseId2]).toBe(1);
+      expect(staffCounts[courseId2]).toBe(3);
+    });
+  });
+
+  describe('getUnansweredQuestions', () => {
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const insertQuestion = (title, fields = {}) =>
+      db.collection('questions').insertOne({
+        courseId: new ObjectId(courseId),
+        posterId: new ObjectId(posterId),
+        title,
+        content: 'Content',
+        isResolved: false,
+        createdAt: hoursAgo(30),
+        ...fields,
+      });
+
+    afterEach(async () => {
+      await db.collection('responses').deleteMany({});
+    });
+
+    it('should return overdue questions without a response', async () => {
+      await insertQuestion('Unanswered');
+      await insertQuestion('Too recent', { createdAt: hoursAgo(2) });
+      await insertQuestion('Resolved', { isResolved: true });
+      await insertQuestion('In the trash', { deletedAt: new Date() });
+      await insertQuestion('Duplicate', { duplicateOfId: new ObjectId() });
+      await insertQuestion('Already alerted', {
+        unansweredAlertedAt: new Date(),
+      });
+      const answered = await insertQuestion('Answered');
+      await db.collection('responses').insertOne({
+        questionId: answered.insertedId,
+        content: 'An answer',
+      });
+      const deletedAnswer = await insertQuestion('Answer in the trash');
+      await db.collection('responses').insertOne({
+        questionId: deletedAnswer.insertedId,
+        content: 'A deleted answer',
+        deletedAt: new Date(),
+      });
+
+      const questions = await getUnansweredQuestions(hoursAgo(24));
+
+      expect(questions.map((q) => q.title).sort()).toEqual([
+        'Answer in the trash',
+        'Unanswered',
+      ]);
+    });
+
+    it('should leave out questions asked before since', async () => {
+      await insertQuestion('Unanswered');
+      await insertQuestion('Ancient', { createdAt: hoursAgo(24 * 30) });
+
+      const questions = await getUnansweredQuestions(
+        hoursAgo(24),
+        hoursAgo(24 * 7)
+      );
+
+      expect(questions.map((q) => q.title)).toEqual(['Unanswered']);
+    });
+
+    it('should not return a question again once alerted', async () => {
+      const question = await insertQuestion('Unanswered');
+
+      await markUnansweredAlerted(question.insertedId.toString());
+
+      expect(await getUnansweredQuestions(hoursAgo(24))).toEqual([]);
+    });
+  });
+
+  describe('private questions', () => {
+    const otherId = '507f1f77bcf86cd799439013';
+    const staffId = '507f1f77bcf86cd799439014';
+    let privateQuestion;
+
+    beforeEach(async () => {
+      await db.collection('responses').deleteMany({});
+      await db.collection('comments').deleteMany({});
+      await db.collection('pseudonyms').deleteMany({});
+
+      await createQuestion({
+        courseId,
+        posterId: otherId,
+        title: 'Public question',
+        content: 'Content',
+      });
+      privateQuestion = await createQuestion({
+        courseId,
+        posterId,
+        title: 'Private question',
+        content: 'Here is my graded code',
+        visibility: 'staff',
+      });
+    });
+
+    afterAll(async () => {
+      await db.collection('responses').deleteMany({});
+      await db.collection('comments').deleteMany({});
+      await db.collection('pseudonyms').deleteMany({});
+    });
+
+    it('should list private questions for their poster and staff only', async () => {
+      const titles = async (options) =>
+        (await getQuestionsByCourseId(courseId, 'newest', options)).map(
+          (q) => q.title
+        );
+
+      expect(await titles({ viewerId: otherId })).toEqual(['Public question']);
+      expect(await titles({ viewerId: posterId })).toEqual([
+        'Private question',
+        'Public question',
+      ]);
+      expect(await titles({ viewerId: staffId, isStaff: true })).toEqual([
+        'Private question',
+        'Public question',
+      ]);
+    });
+
+    it('should treat questions without a visibility as public', async () => {
+      await db
+        .collection('questions')
+        .updateMany({}, { $unset: { visibility: '' } });
+
+      const questions = await getQuestionsByCourseId(courseId, 'newest', {
+        viewerId: otherId,
+      });
+
+      expect(questions).toHaveLength(2);
+    });
+
+    it('should make a private question public', async () => {
+      const result = await makeQuestionPublic(
+        privateQuestion._id.toString(),
+        staffId
+      );
+
+      expect(result.visibility).toBe('public');
+      expect(result.madePublicBy.toString()).toBe(staffId);
+      expect(result.isAnonymous).toBe(false);
+      expect(
+        await getQuestionById(privateQuestion._id.toString(), otherId)
+      ).not.toBeNull();
+    });
+
+    it("should anonymize the poster's posts in the thread to students", async () => {
+      const questionObjectId = privateQuestion._id;
+      await db.collection('responses').insertMany([
+        {
+          questionId: questionObjectId,
+          posterId: new ObjectId(posterId),
+          content: 'Never mind, it was a typo',
+          isAnonymous: false,
+        },
+        {
+          questionId: questionObjectId,
+          posterId: new ObjectId(staffId),
+          content: 'Check line 12',
+          isAnonymous: false,
+        },
+      ]);
+      await db.collection('comments').insertOne({
+        questionId: questionObjectId,
+        posterId: new ObjectId(posterId),
+        content: 'Thanks!',
+        isAnonymous: false,
+      });
+
+      const result = await makeQuestionPublic(
+        questionObjectId.toString(),
+        staffId,
+        true
+      );
+
+      expect(result.isAnonymous).toBe(true);
+      expect(result.isAnonymousToStaff).toBe(false);
+      expect(result.pseudonym).toMatch(/^Anonymous [A-Z][a-z]+$/);
+
+      const responses = await db
+        .collection('responses')
+        .find({}, { sort: { content: 1 } })
+        .toArray();
+      expect(responses.map((r) => r.isAnonymous)).toEqual([false, true]);
+      expect(responses[1].isAnonymousToStaff).toBe(false);
+      const comment = await db.collection('comments').findOne({});
+      expect(comment.isAnonymous).toBe(true);
+
+      const asStudent = await getQuestionById(
+        questionObjectId.toString(),
+        otherId
+      );
+      expect(asStudent.posterName).toBe(result.pseudonym);
+      expect(asStudent.posterId).toBeUndefined();
+    });
+
+    it('should keep a question anonymous to staff that way', async () => {
+      await db
+        .collection('questions')
+        .updateOne(
+          { _id: privateQuestion._id },
+          { $set: { isAnonymous: true, isAnonymousToStaff: true } }
+        );
+
+      const result = await makeQuestionPublic(
+        privateQuestion._id.toString(),
+        staffId,
+        true
+      );
+
+      expect(result.isAnonymousToStaff).toBe(true);
+    });
+
+    it('should return null for a question that is already public', async () => {
+      await makeQuestionPublic(privateQuestion._id.toString(), staffId);
+
+      const result = await makeQuestionPublic(
+        privateQuestion._id.toString(),
+        staffId
+      );
+
+      expect(result).toBeNull();
+    });
+
+    it('should throw error for invalid IDs', async () => {
+      await expect(makeQuestionPublic('invalid', staffId)).rejects.toThrow(
+        'Invalid question ID'
+      );
+      await expect(
+        makeQuestionPublic(privateQuestion._id.toString(), 'invalid')
+      ).rejects.toThrow('Invalid staff ID');
+    });
   });
 });
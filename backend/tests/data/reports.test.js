@@ -0,0 +1,191 @@
+/**
+ * Tests for Report Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import {
+  createReport,
+  getReportQueue,
+  closeReports,
+  deleteReportsByQuestionId,
+} from '../../data/reports.js';
+
+describe('Report Data Functions', () => {
+  let db;
+  let courseId;
+  let questionId;
+  let responseId;
+  let authorId;
+  const reporterId = new ObjectId().toString();
+  const otherReporterId = new ObjectId().toString();
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('reports').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('reports').deleteMany({});
+
+    const author = await db
+      .collection('students')
+      .insertOne({ firstName: 'Ada', lastName: 'Lovelace' });
+    authorId = author.insertedId;
+    courseId = new ObjectId().toString();
+
+    const question = await db.collection('questions').insertOne({
+      courseId: new ObjectId(courseId),
+      posterId: authorId,
+      title: 'Buy cheap essays',
+      content: 'Visit my site',
+      isAnonymous: false,
+      createdAt: new Date(),
+    });
+    questionId = question.insertedId.toString();
+
+    const response = await db.collection('responses').insertOne({
+      questionId: question.insertedId,
+      posterId: authorId,
+      content: 'Off-topic reply',
+      isAnonymous: true,
+      createdAt: new Date(),
+    });
+    responseId = response.insertedId.toString();
+  });
+
+  const report = (overrides = {}) =>
+    createReport({
+      reporterId,
+      targetType: 'question',
+      targetId: questionId,
+      questionId,
+      courseId,
+      reason: 'spam',
+      ...overrides,
+    });
+
+  describe('createReport', () => {
+    it('should create one open report per student and post', async () => {
+      const created = await report({ details: 'Advertising' });
+      const repeated = await report({ reason: 'harassment' });
+
+      expect(created).toMatchObject({
+        status: 'open',
+        reason: 'spam',
+        details: 'Advertising',
+      });
+      expect(repeated).toBeNull();
+      expect(await db.collection('reports').countDocuments()).toBe(1);
+    });
+
+    it('should allow a new report once the last one was closed', async () => {
+      await report();
+      await closeReports('question', questionId, {
+        status: 'dismissed',
+        resolvedBy: otherReporterId,
+        action: 'dismiss',
+      });
+
+      expect(await report()).not.toBeNull();
+    });
+
+    it('should throw error for an unknown reason or target', async () => {
+      await expect(report({ reason: 'boring' })).rejects.toThrow(
+        'Reason must be one of'
+      );
+      await expect(report({ targetType: 'comment' })).rejects.toThrow(
+        'Invalid report target'
+      );
+    });
+  });
+
+  describe('getReportQueue', () => {
+    it('should group open reports by post, most reported first', async () => {
+      await report({ targetType: 'response', targetId: responseId });
+      await report();
+      await report({ reporterId: otherReporterId, reason: 'off_topic' });
+
+      const queue = await getReportQueue(courseId);
+
+      expect(queue).toHaveLength(2);
+      expect(queue[0]).toMatchObject({
+        targetType: 'question',
+        questionTitle: 'Buy cheap essays',
+        authorName: 'Ada Lovelace',
+        reportCount: 2,
+        reasons: { spam: 1, off_topic: 1 },
+        isHidden: false,
+        isDeleted: false,
+      });
+      expect(queue[1]).toMatchObject({
+        targetType: 'response',
+        content: 'Off-topic reply',
+        authorName: 'Anonymous',
+        reportCount: 1,
+      });
+    });
+
+    it('should leave out closed reports', async () => {
+      await report();
+      await closeReports('question', questionId, {
+        status: 'resolved',
+        resolvedBy: otherReporterId,
+        action: 'hide',
+      });
+
+      expect(await getReportQueue(courseId)).toEqual([]);
+    });
+  });
+
+  describe('closeReports', () => {
+    it('should close the open reports on a post', async () => {
+      await report();
+      await report({ reporterId: otherReporterId });
+
+      const count = await closeReports('question', questionId, {
+        status: 'resolved',
+        resolvedBy: otherReporterId,
+        action: 'hide',
+      });
+
+      expect(count).toBe(2);
+      const reports = await db.collection('reports').find().toArray();
+      expect(reports.every((r) => r.status === 'resolved')).toBe(true);
+      expect(reports[0].resolution).toBe('hide');
+    });
+
+    it('should not reopen reports', async () => {
+      await expect(
+        closeReports('question', questionId, {
+          status: 'open',
+          resolvedBy: otherReporterId,
+          action: 'hide',
+        })
+      ).rejects.toThrow('Status must be resolved or dismissed');
+    });
+  });
+
+  describe('deleteReportsByQuestionId', () => {
+    it('should delete reports on a question and its responses', async () => {
+      await report();
+      await report({ targetType: 'response', targetId: responseId });
+
+      const result = await deleteReportsByQuestionId(questionId);
+
+      expect(result.deletedCount).toBe(2);
+    });
+  });
+});
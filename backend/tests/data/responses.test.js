@@ -14,9 +14,11 @@ import {
   getResponseById,
   getResponsesByQuestionId,
   updateResponse,
+  setResponseHelpful,
   deleteResponse,
   deleteResponsesByQuestionId,
 } from '../../data/responses.js';
+import { encodeCursor } from '../../pagination.js';
 
 describe('Response Data Functions', () => {
   let db;
@@ -195,6 +197,48 @@ describe('Response Data Functions', () => {
       expect(responses[2].content).toBe('Response 1 - Newest');
     });
 
+    it('should return one page at a time with a cursor', async () => {
+      const firstPage = await getResponsesByQuestionId(questionId, 'oldest', {
+        limit: 2,
+      });
+      const secondPage = await getResponsesByQuestionId(questionId, 'oldest', {
+        limit: 2,
+        cursor: encodeCursor(firstPage[1]),
+      });
+
+      expect(firstPage.map((r) => r.content)).toEqual([
+        'Response 3 - Oldest',
+        'Response 2 - Middle',
+      ]);
+      expect(secondPage.map((r) => r.content)).toEqual(['Response 1 - Newest']);
+    });
+
+    it('should sort by score with "top"', async () => {
+      await db
+        .collection('responses')
+        .updateOne({ content: 'Response 3 - Oldest' }, { $set: { score: 2 } });
+
+      const firstPage = await getResponsesByQuestionId(questionId, 'top', {
+        limit: 2,
+      });
+      const secondPage = await getResponsesByQuestionId(questionId, 'top', {
+        limit: 2,
+        cursor: encodeCursor(firstPage[1], { byScore: true }),
+      });
+
+      expect(firstPage.map((r) => r.content)).toEqual([
+        'Response 3 - Oldest',
+        'Response 1 - Newest',
+      ]);
+      expect(secondPage.map((r) => r.content)).toEqual(['Response 2 - Middle']);
+    });
+
+    it('should throw error for an invalid cursor', async () => {
+      await expect(
+        getResponsesByQuestionId(questionId, 'newest', { cursor: 'bad' })
+      ).rejects.toThrow('Invalid cursor');
+    });
+
     it('should return empty array if no responses for question', async () => {
       const otherQuestionId = '507f1f77bcf86cd799439099';
       const responses = await getResponsesByQuestionId(otherQuestionId);
@@ -231,18 +275,31 @@ describe('Response Data Functions', () => {
       );
     });
 
-    it('should update isHelpful status', async () => {
+    it('should re-render contentHtml when content changes', async () => {
       const created = await createResponse({
         questionId,
         posterId,
-        content: 'Test response',
+        content: 'Original content',
       });
+      expect(created.contentHtml).toBe('<p>Original content</p>\n');
 
       const updated = await updateResponse(created._id.toString(), {
-        isHelpful: true,
+        content: 'Use `git rebase`',
       });
 
-      expect(updated.isHelpful).toBe(true);
+      expect(updated.contentHtml).toBe('<p>Use <code>git rebase</code></p>\n');
+    });
+
+    it('should not update isHelpful', async () => {
+      const created = await createResponse({
+        questionId,
+        posterId,
+        content: 'Test response',
+      });
+
+      await expect(
+        updateResponse(created._id.toString(), { isHelpful: true })
+      ).rejects.toThrow('Cannot update field: isHelpful');
     });
 
     it('should throw error if content exceeds character limit', async () => {
@@ -283,6 +340,34 @@ describe('Response Data Functions', () => {
     });
   });
 
+  describe('setResponseHelpful', () => {
+    it('should mark and unmark a response as helpful', async () => {
+      const created = await createResponse({
+        questionId,
+        posterId,
+        content: 'Test response',
+      });
+      const responseId = created._id.toString();
+
+      expect((await setResponseHelpful(responseId, true)).isHelpful).toBe(true);
+      expect((await setResponseHelpful(responseId, false)).isHelpful).toBe(
+        false
+      );
+    });
+
+    it('should throw error for a non-boolean isHelpful', async () => {
+      const created = await createResponse({
+        questionId,
+        posterId,
+        content: 'Test response',
+      });
+
+      await expect(
+        setResponseHelpful(created._id.toString(), 'yes')
+      ).rejects.toThrow('isHelpful must be a boolean');
+    });
+  });
+
   describe('deleteResponse', () => {
     it('should delete response successfully', async () => {
       const created = await createResponse({
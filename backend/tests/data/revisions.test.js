@@ -0,0 +1,239 @@
+/**
+ * Tests for Revision Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import {
+  recordRevision,
+  getRevisions,
+  deleteRevisionsByQuestionId,
+  deleteRevisionsByResponseId,
+} from '../../data/revisions.js';
+
+describe('Revision Data Functions', () => {
+  let db;
+  let posterId;
+  let staffId;
+  let question;
+
+  // Applies an update the way the routes do and records it
+  const editQuestion = async (updates, editorId = posterId) => {
+    const before = await db.collection('questions').findOne({
+      _id: question._id,
+    });
+    const changes = { ...updates, updatedAt: new Date() };
+    await db
+      .collection('questions')
+      .updateOne({ _id: before._id }, { $set: changes });
+    const after = { ...before, ...changes };
+    return recordRevision({
+      targetType: 'question',
+      before,
+      after,
+      editorId: editorId.toString(),
+    });
+  };
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('revisions').deleteMany({});
+    await db.collection('pseudonyms').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('revisions').deleteMany({});
+    await db.collection('pseudonyms').deleteMany({});
+
+    const [poster, staff] = await Promise.all(
+      [
+        ['Ada', 'Lovelace'],
+        ['Grace', 'Hopper'],
+      ].map(([firstName, lastName]) =>
+        db.collection('students').insertOne({
+          firstName,
+          lastName,
+          universityEmail: `${firstName.toLowerCase()}@stevens.edu`,
+          createdAt: new Date(),
+        })
+      )
+    );
+    posterId = poster.insertedId;
+    staffId = staff.insertedId;
+
+    question = {
+      courseId: new ObjectId(),
+      posterId,
+      title: 'Dijkstra',
+      content: 'Why does it fail with negative edges?',
+      isAnonymous: false,
+      isResolved: false,
+      createdAt: new Date('2025-09-01T10:00:00Z'),
+      updatedAt: new Date('2025-09-01T10:00:00Z'),
+    };
+    const result = await db.collection('questions').insertOne(question);
+    question._id = result.insertedId;
+  });
+
+  describe('recordRevision', () => {
+    it('should store the original and the edited version', async () => {
+      const edit = await editQuestion({ title: 'Dijkstra and negative edges' });
+
+      expect(edit.revisionCount).toBe(2);
+      expect(edit.editedAt).toBeInstanceOf(Date);
+
+      const revisions = await db
+        .collection('revisions')
+        .find({ targetId: question._id })
+        .sort({ revision: 1 })
+        .toArray();
+      expect(revisions.map((r) => r.title)).toEqual([
+        'Dijkstra',
+        'Dijkstra and negative edges',
+      ]);
+      expect(revisions[0].createdAt).toEqual(question.createdAt);
+
+      const stored = await db
+        .collection('questions')
+        .findOne({ _id: question._id });
+      expect(stored.revisionCount).toBe(2);
+      expect(stored.editedAt).toEqual(edit.editedAt);
+    });
+
+    it('should add one revision per later edit', async () => {
+      await editQuestion({ content: 'First fix' });
+      const edit = await editQuestion({ content: 'Second fix' }, staffId);
+
+      expect(edit.revisionCount).toBe(3);
+      expect(await db.collection('revisions').countDocuments()).toBe(3);
+    });
+
+    it('should return null when the title and content are unchanged', async () => {
+      const edit = await editQuestion({ isResolved: true });
+
+      expect(edit).toBeNull();
+      expect(await db.collection('revisions').countDocuments()).toBe(0);
+    });
+
+    it('should throw error for an invalid target or editor', async () => {
+      await expect(
+        recordRevision({
+          targetType: 'comment',
+          before: question,
+          after: question,
+          editorId: posterId.toString(),
+        })
+      ).rejects.toThrow('Invalid revision target');
+      await expect(
+        recordRevision({
+          targetType: 'question',
+          before: question,
+          after: { ...question, title: 'Changed' },
+          editorId: 'invalid',
+        })
+      ).rejects.toThrow('Invalid editor ID');
+    });
+  });
+
+  describe('getRevisions', () => {
+    it('should return the post itself when it was never edited', async () => {
+      const revisions = await getRevisions('question', question);
+
+      expect(revisions).toHaveLength(1);
+      expect(revisions[0].revision).toBe(1);
+      expect(revisions[0].title).toBe('Dijkstra');
+      expect(revisions[0].editorName).toBe('Ada Lovelace');
+    });
+
+    it('should return every version oldest first with editor names', async () => {
+      await editQuestion({ content: 'Clarified' }, staffId);
+
+      const revisions = await getRevisions('question', question);
+
+      expect(revisions.map((r) => r.revision)).toEqual([1, 2]);
+      expect(revisions.map((r) => r.editorName)).toEqual([
+        'Ada Lovelace',
+        'Grace Hopper',
+      ]);
+    });
+
+    it('should hide the poster of an anonymous post', async () => {
+      await db
+        .collection('questions')
+        .updateOne({ _id: question._id }, { $set: { isAnonymous: true } });
+      await editQuestion({ content: 'Clarified' });
+      await editQuestion({ content: 'Tidied' }, staffId);
+
+      const revisions = await getRevisions('question', {
+        ...question,
+        isAnonymous: true,
+      });
+
+      const [pseudonym] = revisions.map((r) => r.editorName);
+      expect(pseudonym).toMatch(/^Anonymous [A-Z][a-z]+$/);
+      expect(revisions.map((r) => r.editorName)).toEqual([
+        pseudonym,
+        pseudonym,
+        'Grace Hopper',
+      ]);
+      expect(revisions.map((r) => r.editorId?.toString())).toEqual([
+        undefined,
+        undefined,
+        staffId.toString(),
+      ]);
+    });
+
+    it('should show the poster to staff when they stayed visible to staff', async () => {
+      const revisions = await getRevisions(
+        'question',
+        { ...question, isAnonymous: true, isAnonymousToStaff: false },
+        { viewerId: staffId.toString(), isStaff: true }
+      );
+
+      expect(revisions[0].editorName).toBe('Ada Lovelace');
+      expect(revisions[0].editorId.toString()).toBe(posterId.toString());
+    });
+  });
+
+  describe('cascade deletes', () => {
+    const responseId = new ObjectId();
+
+    beforeEach(async () => {
+      await editQuestion({ content: 'Clarified' });
+      await db.collection('revisions').insertMany(
+        [1, 2].map((revision) => ({
+          targetType: 'response',
+          targetId: responseId,
+          questionId: question._id,
+          revision,
+          content: `Answer v${revision}`,
+          editorId: posterId,
+          createdAt: new Date(),
+        }))
+      );
+    });
+
+    it('should delete the history of a question and its responses', async () => {
+      const result = await deleteRevisionsByQuestionId(question._id.toString());
+
+      expect(result.deletedCount).toBe(4);
+    });
+
+    it('should delete only the history of a response', async () => {
+      const result = await deleteRevisionsByResponseId(responseId.toString());
+
+      expect(result.deletedCount).toBe(2);
+      expect(await db.collection('revisions').countDocuments()).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Tests for Screening Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import {
+  DEFAULT_SCREENING,
+  normalizeScreening,
+  getCourseScreening,
+  longestCodeBlock,
+  screenPost,
+  setCourseScreening,
+} from '../../data/screening.js';
+
+describe('Screening Data Functions', () => {
+  let db;
+  let courseId;
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('courses').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('courses').deleteMany({});
+
+    const course = await db
+      .collection('courses')
+      .insertOne({ courseCode: 'CS590', courseName: 'Algorithms' });
+    courseId = course.insertedId;
+  });
+
+  const codeBlock = (lines) =>
+    [
+      '```js',
+      ...Array.from({ length: lines }, (_, i) => `line${i};`),
+      '```',
+    ].join('\n');
+
+  describe('longestCodeBlock', () => {
+    it('should count the lines of the longest fenced block', () => {
+      const content = [
+        'Intro',
+        codeBlock(2),
+        'text',
+        codeBlock(5),
+        '~~~\na\n~~~',
+      ].join('\n');
+      expect(longestCodeBlock(content)).toBe(5);
+    });
+
+    it('should run an unclosed block to the end', () => {
+      expect(longestCodeBlock('```\na\nb\nc')).toBe(3);
+    });
+
+    it('should return 0 without code blocks', () => {
+      expect(longestCodeBlock('Just `inline` code')).toBe(0);
+    });
+  });
+
+  describe('screenPost', () => {
+    it('should allow a clean post', () => {
+      expect(
+        screenPost(
+          { title: 'Dijkstra', content: 'Why a priority queue?' },
+          DEFAULT_SCREENING
+        )
+      ).toEqual({ outcome: 'allow', reasons: [] });
+    });
+
+    it('should reject profanity by default', () => {
+      const result = screenPost(
+        { title: 'Help', content: 'This shit does not compile' },
+        DEFAULT_SCREENING
+      );
+      expect(result.outcome).toBe('reject');
+      expect(result.reasons).toEqual([
+        'Contains language that is not allowed in this course',
+      ]);
+    });
+
+    it('should only match whole words', () => {
+      expect(
+        screenPost({ content: 'Shitake mushrooms' }, DEFAULT_SCREENING).outcome
+      ).toBe('allow');
+    });
+
+    it('should flag academic integrity phrases by default', () => {
+      const result = screenPost(
+        { content: 'Found it on Course  Hero' },
+        DEFAULT_SCREENING
+      );
+      expect(result.outcome).toBe('flag');
+      expect(result.reasons[0]).toContain('Course  Hero');
+    });
+
+    it('should skip a list that is turned off', () => {
+      const screening = { ...DEFAULT_SCREENING, profanity: 'off' };
+      expect(screenPost({ content: 'shit' }, screening).outcome).toBe('allow');
+    });
+
+    it('should skip unsafe regex rules saved before they were checked', () => {
+      const screening = {
+        ...DEFAULT_SCREENING,
+        rules: [{ type: 'regex', pattern: '(a+)+$', outcome: 'reject' }],
+      };
+
+      expect(screenPost({ content: 'aaaa' }, screening).outcome).toBe('allow');
+    });
+
+    it('should apply course rules, most severe outcome first', () => {
+      const screening = normalizeScreening({
+        rules: [
+          { type: 'word', pattern: 'Project 3', outcome: 'flag' },
+          {
+            type: 'regex',
+            pattern: 'answer\\s*key',
+            outcome: 'hold',
+            message: 'Do not ask for the answer key',
+          },
+        ],
+      });
+
+      const result = screenPost(
+        { title: 'Project 3', content: 'Is there an answer key?' },
+        screening
+      );
+      expect(result).toEqual({
+        outcome: 'hold',
+        reasons: [
+          'Do not ask for the answer key',
+          'Contains "project 3", which is not allowed in this course',
+        ],
+      });
+    });
+
+    it('should limit code blocks only near a deadline', () => {
+      const dueAt = new Date('2025-10-10T23:59:00Z');
+      const screening = normalizeScreening({
+        codeLimit: {
+          maxLines: 3,
+          windowHours: 48,
+          outcome: 'hold',
+          deadlines: [{ name: 'HW 2', dueAt: dueAt.toISOString() }],
+        },
+      });
+      const post = { content: `My solution:\n${codeBlock(10)}` };
+
+      const result = screenPost(post, screening, new Date('2025-10-09T12:00Z'));
+      expect(result).toEqual({
+        outcome: 'hold',
+        reasons: [
+          'Code blocks over 3 lines are not allowed in the 48 hours before HW 2 is due',
+        ],
+      });
+
+      expect(
+        screenPost(post, screening, new Date('2025-10-01T12:00Z')).outcome
+      ).toBe('allow');
+      expect(
+        screenPost(post, screening, new Date('2025-10-11T12:00Z')).outcome
+      ).toBe('allow');
+      expect(
+        screenPost(
+          { content: codeBlock(3) },
+          screening,
+          new Date('2025-10-09T12:00Z')
+        ).outcome
+      ).toBe('allow');
+    });
+  });
+
+  describe('normalizeScreening', () => {
+    it('should fill in defaults', () => {
+      expect(normalizeScreening({})).toEqual(DEFAULT_SCREENING);
+    });
+
+    it('should throw error for invalid settings', () => {
+      expect(() => normalizeScreening(null)).toThrow();
+      expect(() => normalizeScreening({ profanity: 'ban' })).toThrow(
+        'Profanity filter must be one of'
+      );
+      expect(() =>
+        normalizeScreening({
+          rules: [{ type: 'regex', pattern: '(', outcome: 'flag' }],
+        })
+      ).toThrow('Invalid regular expression');
+      for (const pattern of ['(a+)+$', '(a|ab)*c', '(\\w)\\1', '(?=a)b']) {
+        expect(() =>
+          normalizeScreening({
+            rules: [{ type: 'regex', pattern, outcome: 'flag' }],
+          })
+        ).toThrow('Regular expressions cannot use');
+      }
+      expect(() =>
+        normalizeScreening({
+          rules: [{ type: 'regex', pattern: 'a'.repeat(101), outcome: 'flag' }],
+        })
+      ).toThrow('cannot be longer than 100 characters');
+      expect(() =>
+        normalizeScreening({
+          rules: [{ type: 'word', pattern: 'x', outcome: 'off' }],
+        })
+      ).toThrow('Rule outcome must be one of');
+      expect(() =>
+        normalizeScreening({
+          codeLimit: {
+            maxLines: 2.5,
+            windowHours: 24,
+            outcome: 'hold',
+            deadlines: [],
+          },
+        })
+      ).toThrow('whole numbers');
+      expect(() =>
+        normalizeScreening({
+          codeLimit: {
+            maxLines: 20,
+            windowHours: 24,
+            outcome: 'hold',
+            deadlines: [{ name: 'HW 1', dueAt: 'someday' }],
+          },
+        })
+      ).toThrow('valid dueAt date');
+    });
+  });
+
+  describe('setCourseScreening', () => {
+    it('should save normalized settings on the course', async () => {
+      const screening = await setCourseScreening(courseId.toString(), {
+        profanity: 'hold',
+        rules: [{ type: 'word', pattern: 'Leaked', outcome: 'reject' }],
+      });
+
+      expect(screening.profanity).toBe('hold');
+      expect(screening.rules[0].pattern).toBe('leaked');
+
+      const course = await db.collection('courses').findOne({ _id: courseId });
+      expect(getCourseScreening(course)).toEqual(screening);
+    });
+
+    it('should throw error for a missing course', async () => {
+      await expect(
+        setCourseScreening(new ObjectId().toString(), {})
+      ).rejects.toThrow('Course not found');
+    });
+  });
+});
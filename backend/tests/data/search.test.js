@@ -0,0 +1,347 @@
+/**
+ * Tests for Search Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import { searchCourse, findSimilarQuestions } from '../../data/search.js';
+
+describe('Search Data Functions', () => {
+  let db;
+  let courseId;
+  let otherCourseId;
+  let studentId;
+
+  /**
+   * Inserts a question directly and returns its ObjectId
+   */
+  const insertQuestion = async (fields) => {
+    const result = await db.collection('questions').insertOne({
+      courseId: new ObjectId(courseId),
+      posterId: studentId,
+      isAnonymous: false,
+      isResolved: false,
+      acceptedResponseId: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      ...fields,
+    });
+    return result.insertedId;
+  };
+
+  /**
+   * Inserts a response directly and returns its ObjectId
+   */
+  const insertResponse = async (questionId, content) => {
+    const result = await db.collection('responses').insertOne({
+      questionId,
+      posterId: studentId,
+      content,
+      isAnonymous: false,
+      isHelpful: false,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    return result.insertedId;
+  };
+
+  /**
+   * Joins highlight segments back into plain text, wrapping matches in []
+   */
+  const render = (segments) =>
+    segments.map((s) => (s.match ? `[${s.text}]` : s.text)).join('');
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+
+    courseId = new ObjectId().toString();
+    otherCourseId = new ObjectId().toString();
+
+    const studentResult = await db.collection('students').insertOne({
+      firstName: 'Test',
+      lastName: 'Student',
+      universityEmail: 'test.student@stevens.edu',
+      hashedPassword: 'hashed',
+      enrolledCourses: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    studentId = studentResult.insertedId;
+  });
+
+  describe('searchCourse', () => {
+    it('should find questions by title and content', async () => {
+      await insertQuestion({
+        title: 'Recursion depth in Python',
+        content: 'How deep can recursion go before a stack overflow?',
+      });
+      await insertQuestion({
+        title: 'Homework 2 deadline',
+        content: 'Is the deadline Friday?',
+      });
+
+      const result = await searchCourse(courseId, 'recursion');
+
+      expect(result.total).toBe(1);
+      expect(result.results[0].title).toBe('Recursion depth in Python');
+      expect(result.results[0].posterName).toBe('Test Student');
+    });
+
+    it('should find questions through their responses', async () => {
+      const questionId = await insertQuestion({
+        title: 'Stuck on lab 3',
+        content: 'My output is wrong and I do not know why.',
+      });
+      await insertResponse(
+        questionId,
+        'Check your loop bounds, the binary search misses the last element.'
+      );
+
+      const result = await searchCourse(courseId, 'binary search');
+
+      expect(result.total).toBe(1);
+      expect(result.results[0]._id.toString()).toBe(questionId.toString());
+      expect(result.results[0].matchedResponseCount).toBe(1);
+      expect(
+        render(result.results[0].highlights.responses[0].snippet)
+      ).toContain('[binary] [search]');
+    });
+
+    it('should rank title matches above content-only matches', async () => {
+      await insertQuestion({
+        title: 'Question about grading',
+        content: 'Are pointers covered in the midterm?',
+      });
+      await insertQuestion({
+        title: 'Pointers and references',
+        content: 'What is the difference?',
+      });
+
+      const result = await searchCourse(courseId, 'pointers');
+
+      expect(result.results.map((r) => r.title)).toEqual([
+        'Pointers and references',
+        'Question about grading',
+      ]);
+    });
+
+    it('should only search the given course', async () => {
+      await insertQuestion({
+        title: 'Graph traversal',
+        content: 'BFS or DFS?',
+        courseId: new ObjectId(otherCourseId),
+      });
+
+      const result = await searchCourse(courseId, 'graph');
+
+      expect(result.total).toBe(0);
+      expect(result.results).toEqual([]);
+    });
+
+    it('should highlight matched words, including simple plurals', async () => {
+      await insertQuestion({
+        title: 'Sorting arrays',
+        content: 'Which sort is fastest for a small array?',
+      });
+
+      const result = await searchCourse(courseId, 'arrays');
+
+      expect(render(result.results[0].highlights.title)).toBe(
+        'Sorting [arrays]'
+      );
+      expect(render(result.results[0].highlights.content)).toBe(
+        'Which sort is fastest for a small [array]?'
+      );
+    });
+
+    it('should trim long content to a snippet around the match', async () => {
+      const filler = 'filler '.repeat(60);
+      await insertQuestion({
+        title: 'Long question',
+        content: `${filler}the word hashmap appears here ${filler}`,
+      });
+
+      const result = await searchCourse(courseId, 'hashmap');
+      const snippet = render(result.results[0].highlights.content);
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet).toContain('[hashmap]');
+      expect(snippet.length).toBeLessThan(200);
+    });
+
+    it('should filter by status', async () => {
+      await insertQuestion({
+        title: 'Closures explained',
+        content: 'What is a closure?',
+        isResolved: true,
+      });
+      await insertQuestion({
+        title: 'Closures in loops',
+        content: 'Why does my closure capture the last value?',
+      });
+
+      const answered = await searchCourse(courseId, 'closures', {
+        status: 'answered',
+      });
+      const unanswered = await searchCourse(courseId, 'closures', {
+        status: 'unanswered',
+      });
+
+      expect(answered.results.map((r) => r.title)).toEqual([
+        'Closures explained',
+      ]);
+      expect(unanswered.results.map((r) => r.title)).toEqual([
+        'Closures in loops',
+      ]);
+    });
+
+    it('should paginate results', async () => {
+      for (let i = 0; i < 5; i++) {
+        await insertQuestion({
+          title: `Database question ${i}`,
+          content: 'Indexes',
+          createdAt: new Date(Date.now() - i * 1000),
+        });
+      }
+
+      const firstPage = await searchCourse(courseId, 'database', {
+        page: 1,
+        limit: 2,
+      });
+      const lastPage = await searchCourse(courseId, 'database', {
+        page: 3,
+        limit: 2,
+      });
+
+      expect(firstPage.total).toBe(5);
+      expect(firstPage.totalPages).toBe(3);
+      expect(firstPage.results).toHaveLength(2);
+      expect(lastPage.results).toHaveLength(1);
+    });
+
+    it('should hide names of anonymous posters', async () => {
+      await insertQuestion({
+        title: 'Anonymous concurrency question',
+        content: 'Deadlocks?',
+        isAnonymous: true,
+      });
+
+      const result = await searchCourse(courseId, 'concurrency');
+
+      expect(result.results[0].posterName).toBe('Anonymous');
+    });
+
+    it('should throw error for invalid input', async () => {
+      await expect(searchCourse('invalid', 'query')).rejects.toThrow(
+        'Invalid course ID'
+      );
+      await expect(searchCourse(courseId, '   ')).rejects.toThrow(
+        'Search query must be at least 1 character(s)'
+      );
+      await expect(
+        searchCourse(courseId, 'query', { status: 'closed' })
+      ).rejects.toThrow('Invalid status filter');
+      await expect(
+        searchCourse(courseId, 'query', { limit: 100 })
+      ).rejects.toThrow('Limit must be between 1 and 50');
+    });
+  });
+
+  describe('findSimilarQuestions', () => {
+    it('should find questions sharing title words', async () => {
+      const questionId = await insertQuestion({
+        title: 'Recursion depth in Python',
+        content: 'How deep can recursion go?',
+      });
+      await insertResponse(questionId, 'About a thousand frames by default.');
+      await insertQuestion({
+        title: 'Homework 2 deadline',
+        content: 'Is the deadline Friday?',
+      });
+
+      const similar = await findSimilarQuestions(
+        courseId,
+        'What is the max recursion depth?'
+      );
+
+      expect(similar).toHaveLength(1);
+      expect(similar[0].title).toBe('Recursion depth in Python');
+      expect(similar[0].responseCount).toBe(1);
+      expect(render(similar[0].highlights.title)).toBe(
+        '[Recursion] [depth] in Python'
+      );
+    });
+
+    it('should leave out duplicates, deleted and excluded questions', async () => {
+      const originalId = await insertQuestion({
+        title: 'Segmentation fault in linked list',
+      });
+      await insertQuestion({
+        title: 'Segmentation fault in my linked list',
+        duplicateOfId: originalId,
+      });
+      await insertQuestion({
+        title: 'Linked list segmentation fault',
+        deletedAt: new Date(),
+      });
+      await insertQuestion({
+        title: 'Segmentation fault in linked list',
+        courseId: new ObjectId(otherCourseId),
+      });
+
+      const similar = await findSimilarQuestions(
+        courseId,
+        'segmentation fault linked list'
+      );
+      expect(similar.map((q) => q._id.toString())).toEqual([
+        originalId.toString(),
+      ]);
+
+      const excluded = await findSimilarQuestions(
+        courseId,
+        'segmentation fault linked list',
+        { excludeId: originalId.toString() }
+      );
+      expect(excluded).toEqual([]);
+    });
+
+    it('should ignore weak content-only matches', async () => {
+      await insertQuestion({
+        title: 'Question about grading',
+        content: 'Are pointers covered in the midterm?',
+      });
+
+      const similar = await findSimilarQuestions(courseId, 'pointers');
+
+      expect(similar).toEqual([]);
+    });
+
+    it('should throw error for invalid input', async () => {
+      await expect(findSimilarQuestions('invalid', 'query')).rejects.toThrow(
+        'Invalid course ID'
+      );
+      await expect(
+        findSimilarQuestions(courseId, 'query', { limit: 11 })
+      ).rejects.toThrow('Limit must be between 1 and 10');
+      await expect(
+        findSimilarQuestions(courseId, 'query', { excludeId: 'invalid' })
+      ).rejects.toThrow('Invalid question ID');
+    });
+  });
+});
@@ -16,6 +16,10 @@ import {
   getStudentByEmail,
   getAllStudents,
   updateStudent,
+  markStudentVerified,
+  updateStudentPassword,
+  updateStudentRole,
+  removeCourseFromStudents,
   deleteStudent,
 } from '../../data/students.js';
 
@@ -62,6 +66,7 @@ describe('Student Data Functions', () => {
       expect(result.major).toBe('Computer Science');
       expect(result.age).toBe(20);
       expect(result.enrolledCourses).toEqual([]);
+      expect(result.isVerified).toBe(true);
       expect(result).toHaveProperty('createdAt');
       expect(result).toHaveProperty('updatedAt');
     });
@@ -390,6 +395,156 @@ describe('Student Data Functions', () => {
     });
   });
 
+  describe('markStudentVerified', () => {
+    it('should mark an unverified student as verified', async () => {
+      const created = await createStudent({
+        firstName: 'John',
+        lastName: 'Doe',
+        universityEmail: 'john.doe@stevens.edu',
+        hashedPassword,
+        major: 'Computer Science',
+        age: 20,
+        isVerified: false,
+      });
+      expect(created.isVerified).toBe(false);
+
+      const updated = await markStudentVerified(created._id.toString());
+
+      expect(updated.isVerified).toBe(true);
+      expect(updated.verifiedAt).toBeInstanceOf(Date);
+    });
+
+    it('should throw error for invalid student ID', async () => {
+      await expect(markStudentVerified('invalid-id')).rejects.toThrow(
+        'Invalid student ID'
+      );
+    });
+
+    it('should throw error if student not found', async () => {
+      await expect(
+        markStudentVerified('507f1f77bcf86cd799439011')
+      ).rejects.toThrow('Student not found');
+    });
+  });
+
+  describe('updateStudentPassword', () => {
+    it('should replace the password hash', async () => {
+      const created = await createStudent({
+        firstName: 'John',
+        lastName: 'Doe',
+        universityEmail: 'john.doe@stevens.edu',
+        hashedPassword,
+        major: 'Computer Science',
+        age: 20,
+      });
+      const newHash = await bcrypt.hash('newpassword456', 10);
+
+      const updated = await updateStudentPassword(
+        created._id.toString(),
+        newHash
+      );
+
+      expect(updated.hashedPassword).toBe(newHash);
+      expect(updated.passwordChangedAt).toBeInstanceOf(Date);
+      expect(
+        await bcrypt.compare('newpassword456', updated.hashedPassword)
+      ).toBe(true);
+    });
+
+    it('should not allow the password through updateStudent', async () => {
+      const created = await createStudent({
+        firstName: 'John',
+        lastName: 'Doe',
+        universityEmail: 'john.doe@stevens.edu',
+        hashedPassword,
+        major: 'Computer Science',
+        age: 20,
+      });
+
+      await expect(
+        updateStudent(created._id.toString(), { hashedPassword: 'x' })
+      ).rejects.toThrow('Cannot update field: hashedPassword');
+    });
+
+    it('should throw error for invalid student ID', async () => {
+      await expect(updateStudentPassword('invalid-id', 'hash')).rejects.toThrow(
+        'Invalid student ID'
+      );
+    });
+
+    it('should throw error if student not found', async () => {
+      await expect(
+        updateStudentPassword('507f1f77bcf86cd799439011', 'hash')
+      ).rejects.toThrow('Student not found');
+    });
+  });
+
+  describe('roles', () => {
+    const baseStudent = {
+      firstName: 'John',
+      lastName: 'Doe',
+      universityEmail: 'john.doe@stevens.edu',
+      major: 'Computer Science',
+      age: 20,
+    };
+
+    it('should default new students to the student role', async () => {
+      const created = await createStudent({ ...baseStudent, hashedPassword });
+
+      expect(created.role).toBe('student');
+    });
+
+    it('should reject an unknown role on creation', async () => {
+      await expect(
+        createStudent({ ...baseStudent, hashedPassword, role: 'ta' })
+      ).rejects.toThrow('Role must be one of');
+    });
+
+    it('should change a student role', async () => {
+      const created = await createStudent({ ...baseStudent, hashedPassword });
+
+      const updated = await updateStudentRole(created._id.toString(), 'admin');
+
+      expect(updated.role).toBe('admin');
+    });
+
+    it('should not allow the role through updateStudent', async () => {
+      const created = await createStudent({ ...baseStudent, hashedPassword });
+
+      await expect(
+        updateStudent(created._id.toString(), { role: 'admin' })
+      ).rejects.toThrow('Cannot update field: role');
+    });
+
+    it('should throw error if student not found', async () => {
+      await expect(
+        updateStudentRole('507f1f77bcf86cd799439011', 'admin')
+      ).rejects.toThrow('Student not found');
+    });
+  });
+
+  describe('removeCourseFromStudents', () => {
+    it('should pull the course from every enrolled student', async () => {
+      const courseId = '507f1f77bcf86cd799439011';
+      const otherCourseId = '507f1f77bcf86cd799439012';
+      const created = await createStudent({
+        firstName: 'John',
+        lastName: 'Doe',
+        universityEmail: 'john.doe@stevens.edu',
+        hashedPassword,
+        major: 'Computer Science',
+        age: 20,
+        enrolledCourses: [courseId, otherCourseId],
+      });
+
+      const result = await removeCourseFromStudents(courseId);
+
+      expect(result.modifiedCount).toBe(1);
+      const student = await getStudentById(created._id.toString());
+      expect(student.enrolledCourses.map(String)).toEqual([otherCourseId]);
+    });
+  });
+
   describe('deleteStudent', () => {
     it('should delete student successfully', async () => {
       const created = await createStudent({
@@ -0,0 +1,171 @@
+/**
+ * Tests for Tag Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import {
+  MAX_TAGS_PER_QUESTION,
+  normalizeTag,
+  normalizeTags,
+  parseTagList,
+  getTagsByCourseId,
+  setCourseTags,
+} from '../../data/tags.js';
+
+describe('Tag Data Functions', () => {
+  let db;
+  let courseId;
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+
+    const course = await db
+      .collection('courses')
+      .insertOne({ courseCode: 'CS590', courseName: 'Algorithms' });
+    courseId = course.insertedId;
+  });
+
+  describe('normalizeTag', () => {
+    it('should lowercase and hyphenate a tag', () => {
+      expect(normalizeTag('  Dynamic Programming ')).toBe(
+        'dynamic-programming'
+      );
+      expect(normalizeTag('C++')).toBe('c++');
+      expect(normalizeTag('big_o')).toBe('big-o');
+    });
+
+    it('should throw error for an invalid tag', () => {
+      expect(() => normalizeTag('')).toThrow();
+      expect(() => normalizeTag('a/b')).toThrow('Invalid tag');
+      expect(() => normalizeTag('-graphs')).toThrow('Invalid tag');
+      expect(() => normalizeTag('a'.repeat(31))).toThrow();
+      expect(() => normalizeTag(5)).toThrow('Tag must be a string');
+    });
+  });
+
+  describe('normalizeTags', () => {
+    it('should drop duplicates and keep the order', () => {
+      expect(normalizeTags(['Graphs', 'bfs', 'graphs'])).toEqual([
+        'graphs',
+        'bfs',
+      ]);
+    });
+
+    it('should throw error for too many tags or a non-array', () => {
+      const tooMany = Array.from(
+        { length: MAX_TAGS_PER_QUESTION + 1 },
+        (_, i) => `tag${i}`
+      );
+
+      expect(() => normalizeTags(tooMany)).toThrow(
+        `At most ${MAX_TAGS_PER_QUESTION} tags`
+      );
+      expect(normalizeTags(tooMany, 10)).toHaveLength(tooMany.length);
+      expect(() => normalizeTags('graphs')).toThrow('Tags must be an array');
+    });
+  });
+
+  describe('parseTagList', () => {
+    it('should split comma-separated and repeated parameters', () => {
+      expect(parseTagList('graphs,bfs')).toEqual(['graphs', 'bfs']);
+      expect(parseTagList(['graphs', 'bfs,dfs'])).toEqual([
+        'graphs',
+        'bfs',
+        'dfs',
+      ]);
+      expect(parseTagList('graphs,, ')).toEqual(['graphs']);
+      expect(parseTagList([])).toEqual([]);
+    });
+  });
+
+  describe('getTagsByCourseId', () => {
+    beforeEach(async () => {
+      await db
+        .collection('questions')
+        .insertMany([
+          { courseId, tags: ['graphs', 'bfs'] },
+          { courseId, tags: ['bfs', 'dfs'] },
+          { courseId, tags: ['bfs'], deletedAt: new Date() },
+          { courseId: new ObjectId(), tags: ['graphs'] },
+          { courseId },
+        ]);
+    });
+
+    it('should count the tags used in the course', async () => {
+      const tags = await getTagsByCourseId(courseId.toString());
+
+      expect(tags).toEqual([
+        { name: 'bfs', count: 2, curated: false },
+        { name: 'dfs', count: 1, curated: false },
+        { name: 'graphs', count: 1, curated: false },
+      ]);
+    });
+
+    it('should list curated tags first, even when unused', async () => {
+      await setCourseTags(courseId.toString(), ['graphs', 'heaps']);
+
+      const tags = await getTagsByCourseId(courseId.toString());
+
+      expect(tags.map((tag) => [tag.name, tag.count, tag.curated])).toEqual([
+        ['graphs', 1, true],
+        ['heaps', 0, true],
+        ['bfs', 2, false],
+        ['dfs', 1, false],
+      ]);
+    });
+
+    it('should only count private and hidden questions for staff', async () => {
+      await db.collection('questions').insertMany([
+        { courseId, tags: ['heaps'], visibility: 'staff' },
+        { courseId, tags: ['heaps'], hiddenAt: new Date() },
+      ]);
+
+      const tags = await getTagsByCourseId(courseId.toString());
+      const staffTags = await getTagsByCourseId(courseId.toString(), {
+        isStaff: true,
+      });
+
+      expect(tags.map((tag) => tag.name)).not.toContain('heaps');
+      expect(staffTags.find((tag) => tag.name === 'heaps').count).toBe(2);
+    });
+
+    it('should throw error for invalid courseId', async () => {
+      await expect(getTagsByCourseId('invalid')).rejects.toThrow(
+        'Invalid course ID'
+      );
+    });
+  });
+
+  describe('setCourseTags', () => {
+    it('should store normalized curated tags', async () => {
+      const tags = await setCourseTags(courseId.toString(), [
+        'Dynamic Programming',
+        'graphs',
+      ]);
+
+      expect(tags).toEqual(['dynamic-programming', 'graphs']);
+      const course = await db.collection('courses').findOne({ _id: courseId });
+      expect(course.tags).toEqual(tags);
+    });
+
+    it('should throw error if course not found', async () => {
+      await expect(
+        setCourseTags(new ObjectId().toString(), ['graphs'])
+      ).rejects.toThrow('Course not found');
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Tests for Trash Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  getTrashRetentionDays,
+  getTrashByStudentId,
+  getExpiredTrashIds,
+} from '../../data/trash.js';
+import {
+  softDeleteQuestion,
+  restoreQuestion,
+  getQuestionById,
+} from '../../data/questions.js';
+import { softDeleteResponse } from '../../data/responses.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Trash Data Functions', () => {
+  let db;
+  let courseId;
+  let questionId;
+  let responseId;
+  const studentId = new ObjectId().toString();
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    delete process.env.TRASH_RETENTION_DAYS;
+
+    const course = await db
+      .collection('courses')
+      .insertOne({ courseCode: 'CS545', courseName: 'HCI' });
+    courseId = course.insertedId;
+
+    const question = await db.collection('questions').insertOne({
+      courseId,
+      posterId: new ObjectId(studentId),
+      title: 'Dijkstra',
+      content: 'Why does it fail with negative edges?',
+      isAnonymous: false,
+      isResolved: false,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    questionId = question.insertedId.toString();
+
+    const response = await db.collection('responses').insertOne({
+      questionId: question.insertedId,
+      posterId: new ObjectId(studentId),
+      content: 'It assumes paths only get longer.',
+      isAnonymous: false,
+      isHelpful: false,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    responseId = response.insertedId.toString();
+  });
+
+  describe('getTrashRetentionDays', () => {
+    it('should read TRASH_RETENTION_DAYS with a default', () => {
+      expect(getTrashRetentionDays()).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+
+      process.env.TRASH_RETENTION_DAYS = '7';
+      expect(getTrashRetentionDays()).toBe(7);
+
+      process.env.TRASH_RETENTION_DAYS = 'soon';
+      expect(getTrashRetentionDays()).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+    });
+  });
+
+  describe('softDeleteQuestion and restoreQuestion', () => {
+    it('should hide a question until it is restored', async () => {
+      await softDeleteQuestion(questionId, studentId);
+      expect(await getQuestionById(questionId)).toBeNull();
+
+      const restored = await restoreQuestion(
+        questionId,
+        studentId,
+        new Date(Date.now() - DAY_MS)
+      );
+
+      expect(restored).not.toHaveProperty('deletedAt');
+      expect(await getQuestionById(questionId)).not.toBeNull();
+    });
+
+    it("should not restore someone else's or an expired deletion", async () => {
+      await softDeleteQuestion(questionId, studentId);
+
+      expect(
+        await restoreQuestion(
+          questionId,
+          new ObjectId().toString(),
+          new Date(Date.now() - DAY_MS)
+        )
+      ).toBeNull();
+      expect(
+        await restoreQuestion(
+          questionId,
+          studentId,
+          new Date(Date.now() + DAY_MS)
+        )
+      ).toBeNull();
+    });
+
+    it('should throw error when deleting a question twice', async () => {
+      await softDeleteQuestion(questionId, studentId);
+
+      await expect(softDeleteQuestion(questionId, studentId)).rejects.toThrow(
+        'Question not found'
+      );
+    });
+  });
+
+  describe('getTrashByStudentId', () => {
+    it("should list the student's deletions newest first", async () => {
+      await softDeleteQuestion(questionId, studentId);
+      await softDeleteResponse(responseId, studentId);
+
+      const items = await getTrashByStudentId(studentId);
+
+      expect(items.map((item) => item.targetType)).toEqual([
+        'response',
+        'question',
+      ]);
+      expect(items[0].title).toBe('Dijkstra');
+      expect(items[0].courseCode).toBe('CS545');
+      expect(items[0].expiresAt.getTime() - items[0].deletedAt.getTime()).toBe(
+        DEFAULT_TRASH_RETENTION_DAYS * DAY_MS
+      );
+    });
+
+    it('should leave out expired and other students deletions', async () => {
+      await softDeleteQuestion(questionId, new ObjectId().toString());
+      await db.collection('responses').updateOne(
+        { _id: new ObjectId(responseId) },
+        {
+          $set: {
+            deletedAt: new Date(Date.now() - 31 * DAY_MS),
+            deletedBy: new ObjectId(studentId),
+          },
+        }
+      );
+
+      expect(await getTrashByStudentId(studentId)).toEqual([]);
+    });
+  });
+
+  describe('getExpiredTrashIds', () => {
+    it('should return posts deleted before the retention window', async () => {
+      await softDeleteQuestion(questionId, studentId);
+      await softDeleteResponse(responseId, studentId);
+
+      expect(await getExpiredTrashIds('question')).toEqual([]);
+      expect(
+        await getExpiredTrashIds('question', new Date(Date.now() + 31 * DAY_MS))
+      ).toEqual([questionId]);
+      expect(
+        await getExpiredTrashIds('response', new Date(Date.now() + 31 * DAY_MS))
+      ).toEqual([responseId]);
+    });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Tests for Vote Data Functions
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import {
+  castVote,
+  deleteVotesByQuestionId,
+  deleteVotesByResponseId,
+} from '../../data/votes.js';
+import {
+  getQuestionById,
+  getQuestionsByCourseId,
+} from '../../data/questions.js';
+import { getResponsesByQuestionId } from '../../data/responses.js';
+
+describe('Vote Data Functions', () => {
+  let db;
+  const courseId = new ObjectId();
+  const posterId = new ObjectId();
+  const voterId = new ObjectId().toString();
+  const otherVoterId = new ObjectId().toString();
+  let questionId;
+  let responseId;
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('votes').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('votes').deleteMany({});
+
+    const questionResult = await db.collection('questions').insertOne({
+      courseId,
+      posterId,
+      title: 'What is a monad?',
+      content: 'Explain like I am five.',
+      isAnonymous: false,
+      isResolved: false,
+      acceptedResponseId: null,
+      score: 0,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    questionId = questionResult.insertedId.toString();
+
+    const responseResult = await db.collection('responses').insertOne({
+      questionId: questionResult.insertedId,
+      posterId,
+      content: 'A burrito.',
+      isAnonymous: false,
+      isHelpful: false,
+      score: 0,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    responseId = responseResult.insertedId.toString();
+  });
+
+  describe('castVote', () => {
+    it('should record an upvote and raise the score', async () => {
+      const result = await castVote({
+        targetType: 'question',
+        targetId: questionId,
+        voterId,
+        value: 1,
+      });
+
+      expect(result).toEqual({ score: 1, value: 1 });
+      expect(await db.collection('votes').countDocuments()).toBe(1);
+    });
+
+    it('should count one vote per student', async () => {
+      await castVote({
+        targetType: 'question',
+        targetId: questionId,
+        voterId,
+        value: 1,
+      });
+      const repeated = await castVote({
+        targetType: 'question',
+        targetId: questionId,
+        voterId,
+        value: 1,
+      });
+
+      expect(repeated.score).toBe(1);
+      expect(await db.collection('votes').countDocuments()).toBe(1);
+    });
+
+    it('should change and clear a vote', async () => {
+      await castVote({
+        targetType: 'response',
+        targetId: responseId,
+        voterId,
+        value: 1,
+      });
+      await castVote({
+        targetType: 'response',
+        targetId: responseId,
+        voterId: otherVoterId,
+        value: 1,
+      });
+
+      const changed = await castVote({
+        targetType: 'response',
+        targetId: responseId,
+        voterId,
+        value: -1,
+      });
+      expect(changed.score).toBe(0);
+
+      const cleared = await castVote({
+        targetType: 'response',
+        targetId: responseId,
+        voterId,
+        value: 0,
+      });
+      expect(cleared).toEqual({ score: 1, value: 0 });
+      expect(await db.collection('votes').countDocuments()).toBe(1);
+    });
+
+    it('should not let students vote on their own posts', async () => {
+      await expect(
+        castVote({
+          targetType: 'question',
+          targetId: questionId,
+          voterId: posterId.toString(),
+          value: 1,
+        })
+      ).rejects.toThrow('You cannot vote on your own post');
+    });
+
+    it('should throw error for invalid input', async () => {
+      await expect(
+        castVote({
+          targetType: 'comment',
+          targetId: questionId,
+          voterId,
+          value: 1,
+        })
+      ).rejects.toThrow('Invalid vote target');
+      await expect(
+        castVote({
+          targetType: 'question',
+          targetId: questionId,
+          voterId,
+          value: 2,
+        })
+      ).rejects.toThrow('Vote must be 1, 0, or -1');
+      await expect(
+        castVote({
+          targetType: 'response',
+          targetId: new ObjectId().toString(),
+          voterId,
+          value: 1,
+        })
+      ).rejects.toThrow('Response not found');
+    });
+  });
+
+  describe('vote details on questions and responses', () => {
+    it("should add the poster's reputation and the viewer's vote", async () => {
+      await castVote({
+        targetType: 'question',
+        targetId: questionId,
+        voterId,
+        value: 1,
+      });
+      await castVote({
+        targetType: 'response',
+        targetId: responseId,
+        voterId,
+        value: 1,
+      });
+      await castVote({
+        targetType: 'response',
+        targetId: responseId,
+        voterId: otherVoterId,
+        value: -1,
+      });
+
+      const question = await getQuestionById(questionId, voterId);
+      const [response] = await getResponsesByQuestionId(questionId, 'newest', {
+        viewerId: otherVoterId,
+      });
+
+      expect(question.score).toBe(1);
+      expect(question.myVote).toBe(1);
+      expect(question.posterReputation).toBe(1);
+      expect(response.score).toBe(0);
+      expect(response.myVote).toBe(-1);
+    });
+
+    it('should not count votes on anonymous posts toward reputation', async () => {
+      await db
+        .collection('questions')
+        .updateOne(
+          { _id: new ObjectId(questionId) },
+          { $set: { isAnonymous: true } }
+        );
+      await castVote({
+        targetType: 'question',
+        targetId: questionId,
+        voterId,
+        value: 1,
+      });
+      await castVote({
+        targetType: 'response',
+        targetId: responseId,
+        voterId,
+        value: 1,
+      });
+
+      const [question] = await getQuestionsByCourseId(
+        courseId.toString(),
+        'newest'
+      );
+      const [response] = await getResponsesByQuestionId(questionId);
+
+      expect(question.score).toBe(1);
+      expect(question.posterReputation).toBeNull();
+      expect(response.posterReputation).toBe(1);
+    });
+
+    it('should report a score of 0 for posts created before voting', async () => {
+      await db
+        .collection('questions')
+        .updateOne({ _id: new ObjectId(questionId) }, { $unset: { score: 1 } });
+
+      const question = await getQuestionById(questionId);
+
+      expect(question.score).toBe(0);
+      expect(question).not.toHaveProperty('myVote');
+    });
+  });
+
+  describe('deleteVotesByQuestionId', () => {
+    it('should delete votes on the question and its responses', async () => {
+      await castVote({
+        targetType: 'question',
+        targetId: questionId,
+        voterId,
+        value: 1,
+      });
+      await castVote({
+        targetType: 'response',
+        targetId: responseId,
+        voterId,
+        value: 1,
+      });
+
+      const result = await deleteVotesByQuestionId(questionId);
+
+      expect(result.deletedCount).toBe(2);
+      expect(await db.collection('votes').countDocuments()).toBe(0);
+    });
+  });
+
+  describe('deleteVotesByResponseId', () => {
+    it('should delete only the votes on that response', async () => {
+      await castVote({
+        targetType: 'question',
+        targetId: questionId,
+        voterId,
+        value: 1,
+      });
+      await castVote({
+        targetType: 'response',
+        targetId: responseId,
+        voterId,
+        value: 1,
+      });
+
+      const result = await deleteVotesByResponseId(responseId);
+
+      expect(result.deletedCount).toBe(1);
+      expect(await db.collection('votes').countDocuments()).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for the Trash Purge Job
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import { purgeExpiredTrash } from '../../jobs/purgeTrash.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Trash Purge Job', () => {
+  let db;
+  let questionId;
+  let responseId;
+  const studentId = new ObjectId();
+
+  // Marks a post as deleted the given number of days ago
+  const trash = (collection, _id, daysAgo) =>
+    db.collection(collection).updateOne(
+      { _id },
+      {
+        $set: {
+          deletedAt: new Date(Date.now() - daysAgo * DAY_MS),
+          deletedBy: studentId,
+        },
+      }
+    );
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    for (const name of ['questions', 'responses', 'votes', 'comments']) {
+      await db.collection(name).deleteMany({});
+    }
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    for (const name of ['questions', 'responses', 'votes', 'comments']) {
+      await db.collection(name).deleteMany({});
+    }
+
+    const question = await db.collection('questions').insertOne({
+      courseId: new ObjectId(),
+      posterId: studentId,
+      title: 'Dijkstra',
+      content: 'Why does it fail with negative edges?',
+      createdAt: new Date(),
+    });
+    questionId = question.insertedId;
+
+    const response = await db.collection('responses').insertOne({
+      questionId,
+      posterId: studentId,
+      content: 'It assumes paths only get longer.',
+      createdAt: new Date(),
+    });
+    responseId = response.insertedId;
+
+    await db.collection('votes').insertOne({
+      targetType: 'response',
+      targetId: responseId,
+      questionId,
+      voterId: new ObjectId(),
+      value: 1,
+    });
+    await db.collection('comments').insertOne({
+      targetType: 'response',
+      targetId: responseId,
+      questionId,
+      content: 'Thanks!',
+    });
+  });
+
+  it('should leave posts still within the retention window', async () => {
+    await trash('questions', questionId, 29);
+
+    const result = await purgeExpiredTrash();
+
+    expect(result).toEqual({ questions: 0, responses: 0 });
+    expect(await db.collection('questions').countDocuments()).toBe(1);
+  });
+
+  it('should purge an expired question with its whole thread', async () => {
+    await trash('questions', questionId, 31);
+
+    const result = await purgeExpiredTrash();
+
+    expect(result).toEqual({ questions: 1, responses: 0 });
+    for (const name of ['questions', 'responses', 'votes', 'comments']) {
+      expect(await db.collection(name).countDocuments()).toBe(0);
+    }
+  });
+
+  it('should purge an expired response and what is attached to it', async () => {
+    await trash('responses', responseId, 31);
+
+    const result = await purgeExpiredTrash();
+
+    expect(result).toEqual({ questions: 0, responses: 1 });
+    expect(await db.collection('questions').countDocuments()).toBe(1);
+    for (const name of ['responses', 'votes', 'comments']) {
+      expect(await db.collection(name).countDocuments()).toBe(0);
+    }
+  });
+
+  it('should not purge a response twice when its question expires too', async () => {
+    await trash('responses', responseId, 40);
+    await trash('questions', questionId, 31);
+
+    const result = await purgeExpiredTrash();
+
+    expect(result).toEqual({ questions: 1, responses: 0 });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for the Notification Digest Job
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import { sendNotificationDigests } from '../../jobs/sendDigests.js';
+
+const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads all messages written to the test outbox
+ */
+const readOutbox = async () => {
+  const files = await fs.readdir(outboxDir).catch(() => []);
+  const messages = [];
+  for (const file of files.sort()) {
+    const raw = await fs.readFile(path.join(outboxDir, file), 'utf8');
+    messages.push(JSON.parse(raw));
+  }
+  return messages;
+};
+
+describe('Notification Digest Job', () => {
+  let db;
+  let studentId;
+  const questionId = new ObjectId();
+  const now = new Date('2025-03-10T12:00:00Z');
+
+  const addNotification = (message, fields = {}) =>
+    db.collection('notifications').insertOne({
+      recipientId: studentId,
+      questionId,
+      senderId: new ObjectId(),
+      type: 'new_response',
+      message,
+      isRead: false,
+      createdAt: new Date(now.getTime() - 60 * 1000),
+      ...fields,
+    });
+
+  const setPreferences = (fields) =>
+    db
+      .collection('notificationPreferences')
+      .insertOne({ studentId, muted: false, lastDigestAt: null, ...fields });
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    for (const name of [
+      'students',
+      'notifications',
+      'notificationPreferences',
+    ]) {
+      await db.collection(name).deleteMany({});
+    }
+    await fs.rm(outboxDir, { recursive: true, force: true });
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    for (const name of [
+      'students',
+      'notifications',
+      'notificationPreferences',
+    ]) {
+      await db.collection(name).deleteMany({});
+    }
+    await fs.rm(outboxDir, { recursive: true, force: true });
+
+    const student = await db.collection('students').insertOne({
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      universityEmail: 'ada.lovelace@stevens.edu',
+      isVerified: true,
+      enrolledCourses: [],
+      createdAt: new Date(),
+    });
+    studentId = student.insertedId;
+  });
+
+  it('should email unread notifications once', async () => {
+    await setPreferences({ emailFrequency: 'immediate' });
+    await addNotification('Bob replied to "Dijkstra"');
+    await addNotification('Already read', { isRead: true });
+
+    const result = await sendNotificationDigests(now);
+
+    expect(result).toEqual({ sent: 1, failed: 0 });
+    const messages = await readOutbox();
+    expect(messages).toHaveLength(1);
+    expect(messages[0].to).toBe('ada.lovelace@stevens.edu');
+    expect(messages[0].subject).toBe(
+      '1 new notification on Peer-Tutor Connect'
+    );
+    expect(messages[0].text).toContain('Bob replied to "Dijkstra"');
+    expect(messages[0].text).toContain(`/questions/${questionId}`);
+    expect(messages[0].text).not.toContain('Already read');
+
+    // Nothing new to send on the next run
+    expect(await sendNotificationDigests(now)).toEqual({ sent: 0, failed: 0 });
+  });
+
+  it('should wait a day between daily digests', async () => {
+    await setPreferences({
+      emailFrequency: 'daily',
+      lastDigestAt: new Date(now.getTime() - DAY_MS / 2),
+    });
+    await addNotification('Bob replied to "Dijkstra"');
+
+    expect(await sendNotificationDigests(now)).toEqual({ sent: 0, failed: 0 });
+
+    const tomorrow = new Date(now.getTime() + DAY_MS);
+    expect(await sendNotificationDigests(tomorrow)).toEqual({
+      sent: 1,
+      failed: 0,
+    });
+    const [message] = await readOutbox();
+    expect(message.subject).toBe('Your daily Peer-Tutor Connect digest');
+  });
+
+  it('should send nothing to students who turned email off', async () => {
+    await setPreferences({ emailFrequency: 'off' });
+    await addNotification('Bob replied to "Dijkstra"');
+
+    expect(await sendNotificationDigests(now)).toEqual({ sent: 0, failed: 0 });
+    expect(await readOutbox()).toEqual([]);
+  });
+
+  it('should skip students who have not verified their email', async () => {
+    await db
+      .collection('students')
+      .updateOne({ _id: studentId }, { $set: { isVerified: false } });
+    await setPreferences({ emailFrequency: 'immediate' });
+    await addNotification('Bob replied to "Dijkstra"');
+
+    expect(await sendNotificationDigests(now)).toEqual({ sent: 0, failed: 0 });
+    expect(await readOutbox()).toEqual([]);
+  });
+});
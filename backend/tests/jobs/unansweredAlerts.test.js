@@ -0,0 +1,138 @@
+/**
+ * Tests for the Unanswered Question Alert Job
+ */
+
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import { alertUnansweredQuestions } from '../../jobs/unansweredAlerts.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Unanswered Question Alert Job', () => {
+  let db;
+  let courseId;
+  const instructorId = new ObjectId();
+  const taId = new ObjectId();
+  const posterId = new ObjectId();
+  const now = new Date('2025-03-10T12:00:00Z');
+  const collections = ['courses', 'questions', 'responses', 'notifications'];
+
+  const insertQuestion = (hoursOld, fields = {}) =>
+    db.collection('questions').insertOne({
+      courseId,
+      posterId,
+      title: 'Dijkstra',
+      content: 'Why does it fail with negative edges?',
+      isResolved: false,
+      createdAt: new Date(now.getTime() - hoursOld * HOUR_MS),
+      ...fields,
+    });
+
+  beforeAll(async () => {
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    delete process.env.UNANSWERED_ALERT_HOURS;
+    for (const name of collections) {
+      await db.collection(name).deleteMany({});
+    }
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    delete process.env.UNANSWERED_ALERT_HOURS;
+    for (const name of collections) {
+      await db.collection(name).deleteMany({});
+    }
+
+    const course = await db.collection('courses').insertOne({
+      courseCode: 'CS590',
+      courseName: 'Algorithms',
+      enrolledStudents: [posterId],
+      instructors: [instructorId],
+      teachingAssistants: [taId],
+    });
+    courseId = course.insertedId;
+  });
+
+  it('should alert course staff once about an overdue question', async () => {
+    await insertQuestion(25);
+
+    const result = await alertUnansweredQuestions(now);
+
+    expect(result).toEqual({ questions: 1, alerts: 2 });
+    const notifications = await db.collection('notifications').find().toArray();
+    expect(notifications.map((n) => n.recipientId.toString()).sort()).toEqual(
+      [instructorId, taId].map(String).sort()
+    );
+    expect(notifications[0]).toMatchObject({
+      type: 'unanswered_question',
+      message: '"Dijkstra" in CS590 has had no answer for 24 hours',
+    });
+
+    // Already alerted
+    expect(await alertUnansweredQuestions(now)).toEqual({
+      questions: 0,
+      alerts: 0,
+    });
+  });
+
+  it('should not alert about answered or recent questions', async () => {
+    const answered = await insertQuestion(25);
+    await db.collection('responses').insertOne({
+      questionId: answered.insertedId,
+      posterId: new ObjectId(),
+      content: 'It assumes paths only get longer.',
+    });
+    await insertQuestion(23);
+
+    expect(await alertUnansweredQuestions(now)).toEqual({
+      questions: 0,
+      alerts: 0,
+    });
+  });
+
+  it('should use UNANSWERED_ALERT_HOURS as the threshold', async () => {
+    process.env.UNANSWERED_ALERT_HOURS = '4';
+    await insertQuestion(5);
+
+    const result = await alertUnansweredQuestions(now);
+
+    expect(result).toEqual({ questions: 1, alerts: 2 });
+  });
+
+  it('should not name the poster of an anonymous question', async () => {
+    await insertQuestion(25, { isAnonymous: true, isAnonymousToStaff: true });
+
+    await alertUnansweredQuestions(now);
+
+    const notifications = await db.collection('notifications').find().toArray();
+    expect(notifications).toHaveLength(2);
+    for (const notification of notifications) {
+      expect(notification.senderId).toBeNull();
+    }
+  });
+
+  it('should name the poster of a question anonymous to students only', async () => {
+    await insertQuestion(25, { isAnonymous: true, isAnonymousToStaff: false });
+
+    await alertUnansweredQuestions(now);
+
+    const notifications = await db.collection('notifications').find().toArray();
+    expect(notifications).toHaveLength(2);
+    for (const notification of notifications) {
+      expect(notification.senderId.toString()).toBe(posterId.toString());
+    }
+  });
+
+  it('should not alert staff about their own question', async () => {
+    await insertQuestion(25, { posterId: taId });
+
+    const result = await alertUnansweredQuestions(now);
+
+    expect(result).toEqual({ questions: 1, alerts: 1 });
+  });
+});
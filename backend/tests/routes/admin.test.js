@@ -0,0 +1,153 @@
+/**
+ * Integration Tests for Admin Routes
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { ObjectId } from 'mongodb';
+import {
+  connectToDb,
+  closeConnection,
+  getDb,
+} from '../../database_config/index.js';
+import app from '../../app.js';
+
+describe('Admin Routes', () => {
+  let db;
+  let adminId;
+  let studentId;
+  let adminCookie;
+  let studentCookie;
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    await db.collection('students').deleteMany({});
+
+    const hashedPassword = await bcrypt.hash('password123', 10);
+
+    const adminResult = await db.collection('students').insertOne({
+      firstName: 'Site',
+      lastName: 'Admin',
+      universityEmail: 'admin@stevens.edu',
+      hashedPassword,
+      major: 'Administration',
+      age: 25,
+      enrolledCourses: [],
+      role: 'admin',
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    adminId = adminResult.insertedId;
+
+    const studentResult = await db.collection('students').insertOne({
+      firstName: 'Test',
+      lastName: 'Student',
+      universityEmail: 'test.student@stevens.edu',
+      hashedPassword,
+      major: 'Computer Science',
+      age: 20,
+      enrolledCourses: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    studentId = studentResult.insertedId;
+
+    const adminLogin = await request(app).post('/api/auth/login').send({
+      universityEmail: 'admin@stevens.edu',
+      password: 'password123',
+    });
+    adminCookie = adminLogin.headers['set-cookie'];
+
+    const studentLogin = await request(app).post('/api/auth/login').send({
+      universityEmail: 'test.student@stevens.edu',
+      password: 'password123',
+    });
+    studentCookie = studentLogin.headers['set-cookie'];
+  });
+
+  describe('PATCH /api/admin/students/:studentId/role', () => {
+    it('should change a student role', async () => {
+      const response = await request(app)
+        .patch(`/api/admin/students/${studentId}/role`)
+        .set('Cookie', adminCookie)
+        .send({ role: 'instructor' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.student.role).toBe('instructor');
+
+      const stored = await db
+        .collection('students')
+        .findOne({ _id: studentId });
+      expect(stored.role).toBe('instructor');
+    });
+
+    it('should apply the new role without signing in again', async () => {
+      await request(app)
+        .patch(`/api/admin/students/${studentId}/role`)
+        .set('Cookie', adminCookie)
+        .send({ role: 'admin' });
+
+      const response = await request(app)
+        .patch(`/api/admin/students/${adminId}/role`)
+        .set('Cookie', studentCookie)
+        .send({ role: 'student' });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject an unknown role', async () => {
+      const response = await request(app)
+        .patch(`/api/admin/students/${studentId}/role`)
+        .set('Cookie', adminCookie)
+        .send({ role: 'ta' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not let admins change their own role', async () => {
+      const response = await request(app)
+        .patch(`/api/admin/students/${adminId}/role`)
+        .set('Cookie', adminCookie)
+        .send({ role: 'student' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for a missing student', async () => {
+      const response = await request(app)
+        .patch(`/api/admin/students/${new ObjectId()}/role`)
+        .set('Cookie', adminCookie)
+        .send({ role: 'instructor' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should reject non-admins', async () => {
+      const response = await request(app)
+        .patch(`/api/admin/students/${studentId}/role`)
+        .set('Cookie', studentCookie)
+        .send({ role: 'admin' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .patch(`/api/admin/students/${studentId}/role`)
+        .send({ role: 'admin' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,416 @@
+/**
+ * Integration Tests for Anonymity
+ * Posts anonymous to peers or to everyone, per-thread pseudonyms, and staff
+ * revealing who wrote an anonymous post
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import app from '../../app.js';
+
+describe('Anonymity', () => {
+  let db;
+  let testCourse;
+  let testQuestion;
+  let student;
+  let studentCookie;
+  let peerCookie;
+  let taCookie;
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('comments').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('pseudonyms').deleteMany({});
+    await db.collection('moderationActions').deleteMany({});
+    await db.collection('revisions').deleteMany({});
+    await db.collection('follows').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('comments').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('pseudonyms').deleteMany({});
+    await db.collection('moderationActions').deleteMany({});
+    await db.collection('revisions').deleteMany({});
+    await db.collection('follows').deleteMany({});
+
+    const hashedPassword = await bcrypt.hash('password123', 10);
+
+    const students = await Promise.all(
+      ['test.student', 'test.peer', 'test.ta'].map((name) =>
+        db.collection('students').insertOne({
+          firstName: name.split('.')[1],
+          lastName: 'Student',
+          universityEmail: `${name}@stevens.edu`,
+          hashedPassword,
+          major: 'Computer Science',
+          age: 20,
+          enrolledCourses: [],
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        })
+      )
+    );
+    const [, peer, ta] = students.map((s) => s.insertedId);
+    student = students[0].insertedId;
+
+    const courseResult = await db.collection('courses').insertOne({
+      courseCode: 'CS545',
+      courseName: 'Human Computer Interaction',
+      section: 'WS',
+      department: 'Computer Science',
+      instructorName: 'Dr. Gregg Vesonder',
+      instructorEmail: 'gvesonde@stevens.edu',
+      term: 'Fall 2025',
+      enrolledStudents: [student, peer],
+      teachingAssistants: [ta],
+      createdAt: new Date(),
+    });
+    testCourse = courseResult.insertedId;
+
+    const questionResult = await db.collection('questions').insertOne({
+      courseId: testCourse,
+      posterId: peer,
+      title: 'How do I run a usability test?',
+      content: 'What should the script include?',
+      isAnonymous: false,
+      isResolved: false,
+      acceptedResponseId: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testQuestion = questionResult.insertedId;
+
+    const login = async (universityEmail) => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ universityEmail, password: 'password123' });
+      return response.headers['set-cookie'];
+    };
+    studentCookie = await login('test.student@stevens.edu');
+    peerCookie = await login('test.peer@stevens.edu');
+    taCookie = await login('test.ta@stevens.edu');
+  });
+
+  const askQuestion = (body) =>
+    request(app)
+      .post('/api/questions')
+      .set('Cookie', studentCookie)
+      .send({
+        courseId: testCourse.toString(),
+        title: 'Am I allowed to reuse my old project?',
+        content: 'I took a similar course last year.',
+        isAnonymous: true,
+        ...body,
+      });
+
+  const getQuestion = (questionId, cookie) =>
+    request(app)
+      .get(`/api/questions/detail/${questionId}`)
+      .set('Cookie', cookie);
+
+  describe('POST /api/questions', () => {
+    it('should hide a question anonymous to peers from students only', async () => {
+      const created = await askQuestion({ isAnonymousToStaff: false });
+      expect(created.status).toBe(201);
+      expect(created.body.question.isAnonymousToStaff).toBe(false);
+      const { _id: questionId, pseudonym } = created.body.question;
+      expect(pseudonym).toMatch(/^Anonymous [A-Z][a-z]+$/);
+
+      const asPeer = await getQuestion(questionId, peerCookie);
+      expect(asPeer.body.question.posterName).toBe(pseudonym);
+      expect(asPeer.body.question.posterId).toBeUndefined();
+
+      const asStaff = await getQuestion(questionId, taCookie);
+      expect(asStaff.body.question.posterName).toBe('student Student');
+      expect(asStaff.body.question.posterId).toBe(student.toString());
+      expect(asStaff.body.question.pseudonym).toBe(pseudonym);
+
+      // Posters still recognise their own posts
+      const asPoster = await getQuestion(questionId, studentCookie);
+      expect(asPoster.body.question.posterName).toBe(pseudonym);
+      expect(asPoster.body.question.posterId).toBe(student.toString());
+    });
+
+    it('should hide an anonymous question from staff by default', async () => {
+      const created = await askQuestion();
+      const { _id: questionId, pseudonym } = created.body.question;
+
+      const asStaff = await getQuestion(questionId, taCookie);
+      expect(asStaff.body.question.posterName).toBe(pseudonym);
+      expect(asStaff.body.question.posterId).toBeUndefined();
+
+      const list = await request(app)
+        .get(`/api/questions/${testCourse}`)
+        .set('Cookie', taCookie);
+      const listed = list.body.questions.find((q) => q._id === questionId);
+      expect(listed.posterName).toBe(pseudonym);
+      expect(listed.posterId).toBeUndefined();
+    });
+
+    it('should return 400 for a non-boolean isAnonymousToStaff', async () => {
+      const response = await askQuestion({ isAnonymousToStaff: 'staff' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Pseudonyms', () => {
+    it('should keep one pseudonym per student in a thread', async () => {
+      const reply = (cookie, content) =>
+        request(app).post('/api/responses').set('Cookie', cookie).send({
+          questionId: testQuestion.toString(),
+          content,
+          isAnonymous: true,
+        });
+
+      const first = await reply(studentCookie, 'Use the think-aloud protocol.');
+      const second = await reply(studentCookie, 'And record the session.');
+      const peer = await reply(peerCookie, 'Pilot it on a friend first.');
+      const comment = await request(app)
+        .post('/api/comments')
+        .set('Cookie', studentCookie)
+        .send({
+          targetType: 'question',
+          targetId: testQuestion.toString(),
+          content: 'Good question.',
+          isAnonymous: true,
+        });
+
+      const pseudonym = first.body.response.pseudonym;
+      expect(second.body.response.pseudonym).toBe(pseudonym);
+      expect(comment.body.comment.pseudonym).toBe(pseudonym);
+      expect(peer.body.response.pseudonym).not.toBe(pseudonym);
+
+      const responses = await request(app)
+        .get(`/api/responses/${testQuestion}`)
+        .set('Cookie', taCookie);
+      expect(
+        new Set(responses.body.responses.map((r) => r.posterName)).size
+      ).toBe(2);
+    });
+  });
+
+  describe('Updates by course staff', () => {
+    it('should not return the poster of an anonymous question', async () => {
+      const created = await askQuestion();
+      const questionId = created.body.question._id;
+
+      const edited = await request(app)
+        .patch(`/api/questions/${questionId}`)
+        .set('Cookie', taCookie)
+        .send({ content: 'Edited by the TA to remove a code dump.' });
+      const endorsed = await request(app)
+        .patch(`/api/questions/${questionId}/endorsed`)
+        .set('Cookie', taCookie)
+        .send({ isEndorsed: true });
+
+      expect(edited.status).toBe(200);
+      expect(edited.body.question.posterId).toBeUndefined();
+      expect(endorsed.status).toBe(200);
+      expect(endorsed.body.question.posterId).toBeUndefined();
+    });
+
+    it('should not return the poster of an anonymous response', async () => {
+      const created = await request(app)
+        .post('/api/responses')
+        .set('Cookie', studentCookie)
+        .send({
+          questionId: testQuestion.toString(),
+          content: 'Start with five participants.',
+          isAnonymous: true,
+        });
+
+      const response = await request(app)
+        .patch(`/api/responses/${created.body.response._id}/endorsed`)
+        .set('Cookie', taCookie)
+        .send({ isEndorsed: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.response.posterId).toBeUndefined();
+    });
+
+    it('should still return the poster to themselves', async () => {
+      const created = await askQuestion();
+
+      const response = await request(app)
+        .patch(`/api/questions/${created.body.question._id}`)
+        .set('Cookie', studentCookie)
+        .send({ content: 'I took a similar course two years ago.' });
+
+      expect(response.body.question.posterId).toBe(student.toString());
+    });
+  });
+
+  describe('Notifications', () => {
+    it('should not send the id of an anonymous poster', async () => {
+      const response = await request(app)
+        .post('/api/responses')
+        .set('Cookie', studentCookie)
+        .send({
+          questionId: testQuestion.toString(),
+          content: 'Start with five participants.',
+          isAnonymous: true,
+          isAnonymousToStaff: false,
+        });
+      await request(app)
+        .post('/api/comments')
+        .set('Cookie', studentCookie)
+        .send({
+          targetType: 'question',
+          targetId: testQuestion.toString(),
+          content: 'Same question here.',
+          isAnonymous: true,
+        });
+      await askQuestion({ visibility: 'staff' });
+
+      expect(response.status).toBe(201);
+      const notifications = await db
+        .collection('notifications')
+        .find({})
+        .toArray();
+      expect(notifications.map((n) => n.type).sort()).toEqual([
+        'new_comment',
+        'new_response',
+        'private_question',
+      ]);
+      for (const notification of notifications) {
+        expect(notification.senderId).toBeNull();
+        expect(notification.message).not.toContain('student');
+      }
+    });
+  });
+
+  describe('POST /api/moderation/:courseId/reveal', () => {
+    const reveal = (cookie, body) =>
+      request(app)
+        .post(`/api/moderation/${testCourse}/reveal`)
+        .set('Cookie', cookie)
+        .send({ targetType: 'question', ...body });
+
+    it('should reveal the author and record it in the audit trail', async () => {
+      const created = await askQuestion();
+      const questionId = created.body.question._id;
+
+      const response = await reveal(taCookie, {
+        targetId: questionId,
+        reason: 'Possible plagiarism in the posted code',
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.author).toEqual({
+        _id: student.toString(),
+        firstName: 'student',
+        lastName: 'Student',
+        universityEmail: 'test.student@stevens.edu',
+      });
+
+      const log = await request(app)
+        .get(`/api/moderation/${testCourse}/log`)
+        .set('Cookie', taCookie);
+      expect(log.body.actions[0]).toMatchObject({
+        action: 'reveal',
+        targetType: 'question',
+        targetId: questionId,
+        note: 'Possible plagiarism in the posted code',
+        authorId: null,
+      });
+    });
+
+    it('should leave the author out of other actions on the post', async () => {
+      const created = await askQuestion();
+
+      const response = await request(app)
+        .post(`/api/moderation/${testCourse}/actions`)
+        .set('Cookie', taCookie)
+        .send({
+          action: 'dismiss',
+          targetType: 'question',
+          targetId: created.body.question._id,
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.action.authorId).toBeNull();
+      const entry = await db.collection('moderationActions').findOne({});
+      expect(entry.authorId).toBeNull();
+    });
+
+    it('should reveal the author of an anonymous comment', async () => {
+      const comment = await request(app)
+        .post('/api/comments')
+        .set('Cookie', studentCookie)
+        .send({
+          targetType: 'question',
+          targetId: testQuestion.toString(),
+          content: 'Just copy it from last year.',
+          isAnonymous: true,
+        });
+
+      const response = await reveal(taCookie, {
+        targetType: 'comment',
+        targetId: comment.body.comment._id,
+        reason: 'Encouraging copying',
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.author._id).toBe(student.toString());
+    });
+
+    it('should require a reason', async () => {
+      const created = await askQuestion();
+
+      const response = await reveal(taCookie, {
+        targetId: created.body.question._id,
+        reason: '  ',
+      });
+
+      expect(response.status).toBe(400);
+      expect(await db.collection('moderationActions').countDocuments()).toBe(0);
+    });
+
+    it('should only reveal posts anonymous to staff', async () => {
+      const peersOnly = await askQuestion({ isAnonymousToStaff: false });
+
+      const anonymousToPeers = await reveal(taCookie, {
+        targetId: peersOnly.body.question._id,
+        reason: 'Checking',
+      });
+      const named = await reveal(taCookie, {
+        targetId: testQuestion.toString(),
+        reason: 'Checking',
+      });
+
+      expect(anonymousToPeers.status).toBe(400);
+      expect(named.status).toBe(400);
+    });
+
+    it('should return 403 for students', async () => {
+      const created = await askQuestion();
+
+      const response = await reveal(peerCookie, {
+        targetId: created.body.question._id,
+        reason: 'Curious',
+      });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
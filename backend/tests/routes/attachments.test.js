@@ -0,0 +1,437 @@
+/**
+ * Integration Tests for Attachments Routes
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import app from '../../app.js';
+import { purgeQuestion } from '../../jobs/purgeTrash.js';
+
+// Smallest byte sequence the PNG check accepts
+const PNG_BYTES = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00,
+]);
+
+describe('Attachments Routes', () => {
+  let db;
+  let testCourse;
+  let testQuestion;
+  let authCookie;
+  let otherAuthCookie;
+  let outsiderCookie;
+
+  const uploadFile = (
+    cookie,
+    {
+      buffer = PNG_BYTES,
+      filename = 'trace.png',
+      contentType = 'image/png',
+    } = {}
+  ) =>
+    request(app)
+      .post('/api/attachments')
+      .set('Cookie', cookie)
+      .field('courseId', testCourse.toString())
+      .attach('file', buffer, { filename, contentType });
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('attachments').deleteMany({});
+    await fs.rm(path.resolve(process.env.ATTACHMENT_DIR), {
+      recursive: true,
+      force: true,
+    });
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('attachments').deleteMany({});
+
+    const hashedPassword = await bcrypt.hash('password123', 10);
+
+    const [student1, student2] = await Promise.all(
+      ['test.student', 'other.student', 'out.sider'].map((name) =>
+        db.collection('students').insertOne({
+          firstName: name.split('.')[0],
+          lastName: name.split('.')[1],
+          universityEmail: `${name}@stevens.edu`,
+          hashedPassword,
+          major: 'Computer Science',
+          age: 20,
+          enrolledCourses: [],
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        })
+      )
+    );
+
+    const courseResult = await db.collection('courses').insertOne({
+      courseCode: 'CS545',
+      courseName: 'Human Computer Interaction',
+      section: 'WS',
+      department: 'Computer Science',
+      instructorName: 'Dr. Gregg Vesonder',
+      instructorEmail: 'gvesonde@stevens.edu',
+      term: 'Fall 2025',
+      enrolledStudents: [student1.insertedId, student2.insertedId],
+      createdAt: new Date(),
+    });
+    testCourse = courseResult.insertedId;
+
+    const questionResult = await db.collection('questions').insertOne({
+      courseId: testCourse,
+      posterId: student2.insertedId,
+      title: 'Dijkstra',
+      content: 'Why does it fail with negative edges?',
+      isAnonymous: false,
+      isResolved: false,
+      acceptedResponseId: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testQuestion = questionResult.insertedId;
+
+    const login = async (universityEmail) => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ universityEmail, password: 'password123' });
+      return response.headers['set-cookie'];
+    };
+    authCookie = await login('test.student@stevens.edu');
+    otherAuthCookie = await login('other.student@stevens.edu');
+    outsiderCookie = await login('out.sider@stevens.edu');
+  });
+
+  describe('POST /api/attachments', () => {
+    it('should upload an image', async () => {
+      const response = await uploadFile(authCookie);
+
+      expect(response.status).toBe(201);
+      expect(response.body.attachment.fileName).toBe('trace.png');
+      expect(response.body.attachment.mimeType).toBe('image/png');
+      expect(response.body.attachment).not.toHaveProperty('storageKey');
+    });
+
+    it('should reject a file whose contents do not match its type', async () => {
+      const response = await uploadFile(authCookie, {
+        buffer: Buffer.from('<svg onload="alert(1)"></svg>'),
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('File contents do not match its type');
+    });
+
+    it('should reject a disallowed type', async () => {
+      const response = await uploadFile(authCookie, {
+        buffer: Buffer.from('<p>hi</p>'),
+        filename: 'page.html',
+        contentType: 'text/html',
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 413 for files over 5 MB', async () => {
+      const response = await uploadFile(authCookie, {
+        buffer: Buffer.concat([PNG_BYTES, Buffer.alloc(5 * 1024 * 1024)]),
+      });
+
+      expect(response.status).toBe(413);
+    });
+
+    it('should return 400 without a file', async () => {
+      const response = await request(app)
+        .post('/api/attachments')
+        .set('Cookie', authCookie)
+        .field('courseId', testCourse.toString());
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 403 for students outside the course', async () => {
+      const response = await uploadFile(outsiderCookie);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/attachments')
+        .field('courseId', testCourse.toString())
+        .attach('file', PNG_BYTES, 'trace.png');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('attaching to posts', () => {
+    it('should attach uploads to a new question', async () => {
+      const upload = await uploadFile(authCookie);
+      const attachmentId = upload.body.attachment._id;
+
+      const response = await request(app)
+        .post('/api/questions')
+        .set('Cookie', authCookie)
+        .send({
+          courseId: testCourse.toString(),
+          title: 'Stack trace',
+          content: 'See the screenshot',
+          attachmentIds: [attachmentId],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.question.attachments).toEqual([
+        upload.body.attachment,
+      ]);
+
+      const stored = await db
+        .collection('attachments')
+        .findOne({ _id: new ObjectId(attachmentId) });
+      expect(stored.targetType).toBe('question');
+      expect(stored.questionId.toString()).toBe(response.body.question._id);
+    });
+
+    it('should attach uploads to a new response', async () => {
+      const upload = await uploadFile(authCookie);
+
+      const response = await request(app)
+        .post('/api/responses')
+        .set('Cookie', authCookie)
+        .send({
+          questionId: testQuestion.toString(),
+          content: 'Here is the diagram',
+          attachmentIds: [upload.body.attachment._id],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.response.attachments).toHaveLength(1);
+    });
+
+    it("should reject someone else's or an already used upload", async () => {
+      const upload = await uploadFile(authCookie);
+      const attachmentIds = [upload.body.attachment._id];
+
+      const foreign = await request(app)
+        .post('/api/questions')
+        .set('Cookie', otherAuthCookie)
+        .send({
+          courseId: testCourse.toString(),
+          title: 'Borrowed',
+          content: 'Not my file',
+          attachmentIds,
+        });
+      await request(app).post('/api/questions').set('Cookie', authCookie).send({
+        courseId: testCourse.toString(),
+        title: 'First use',
+        content: 'Mine',
+        attachmentIds,
+      });
+      const reused = await request(app)
+        .post('/api/questions')
+        .set('Cookie', authCookie)
+        .send({
+          courseId: testCourse.toString(),
+          title: 'Second use',
+          content: 'Mine again',
+          attachmentIds,
+        });
+
+      expect(foreign.status).toBe(400);
+      expect(reused.status).toBe(400);
+    });
+
+    it('should delete attachments when their question is purged', async () => {
+      const upload = await uploadFile(authCookie);
+      const created = await request(app)
+        .post('/api/questions')
+        .set('Cookie', authCookie)
+        .send({
+          courseId: testCourse.toString(),
+          title: 'Short-lived',
+          content: 'Going away',
+          attachmentIds: [upload.body.attachment._id],
+        });
+
+      await request(app)
+        .delete(`/api/questions/${created.body.question._id}`)
+        .set('Cookie', authCookie);
+      await purgeQuestion(created.body.question._id);
+
+      expect(await db.collection('attachments').countDocuments()).toBe(0);
+    });
+  });
+
+  describe('GET /api/attachments/:attachmentId', () => {
+    it('should serve an attached image inline to course members', async () => {
+      const upload = await uploadFile(authCookie);
+      await request(app)
+        .post('/api/questions')
+        .set('Cookie', authCookie)
+        .send({
+          courseId: testCourse.toString(),
+          title: 'Stack trace',
+          content: 'See the screenshot',
+          attachmentIds: [upload.body.attachment._id],
+        });
+
+      const response = await request(app)
+        .get(`/api/attachments/${upload.body.attachment._id}`)
+        .set('Cookie', otherAuthCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(response.headers['content-disposition']).toBe('inline');
+      expect(Buffer.from(response.body).equals(PNG_BYTES)).toBe(true);
+    });
+
+    it('should download other files', async () => {
+      const upload = await uploadFile(authCookie, {
+        buffer: Buffer.from('step 1'),
+        filename: 'notes.txt',
+        contentType: 'text/plain',
+      });
+
+      const response = await request(app)
+        .get(`/api/attachments/${upload.body.attachment._id}`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toContain('attachment');
+      expect(response.text).toBe('step 1');
+    });
+
+    it('should hide attachments on posts classmates cannot see', async () => {
+      const askWithFile = async (body) => {
+        const upload = await uploadFile(authCookie);
+        const question = await request(app)
+          .post('/api/questions')
+          .set('Cookie', authCookie)
+          .send({
+            courseId: testCourse.toString(),
+            title: 'Stack trace',
+            content: 'See the screenshot',
+            attachmentIds: [upload.body.attachment._id],
+            ...body,
+          });
+        return {
+          attachmentId: upload.body.attachment._id,
+          questionId: question.body.question._id,
+        };
+      };
+      const download = (attachmentId, cookie) =>
+        request(app)
+          .get(`/api/attachments/${attachmentId}`)
+          .set('Cookie', cookie);
+
+      const privateFile = await askWithFile({ visibility: 'staff' });
+      const hiddenFile = await askWithFile();
+      await db
+        .collection('questions')
+        .updateOne(
+          { _id: new ObjectId(hiddenFile.questionId) },
+          { $set: { hiddenAt: new Date() } }
+        );
+      const trashedFile = await askWithFile();
+      await request(app)
+        .delete(`/api/questions/${trashedFile.questionId}`)
+        .set('Cookie', authCookie);
+
+      expect(
+        (await download(privateFile.attachmentId, otherAuthCookie)).status
+      ).toBe(404);
+      expect(
+        (await download(privateFile.attachmentId, authCookie)).status
+      ).toBe(200);
+      expect(
+        (await download(hiddenFile.attachmentId, otherAuthCookie)).status
+      ).toBe(404);
+      expect((await download(hiddenFile.attachmentId, authCookie)).status).toBe(
+        200
+      );
+      expect(
+        (await download(trashedFile.attachmentId, authCookie)).status
+      ).toBe(404);
+    });
+
+    it('should hide unattached uploads from other students', async () => {
+      const upload = await uploadFile(authCookie);
+
+      const response = await request(app)
+        .get(`/api/attachments/${upload.body.attachment._id}`)
+        .set('Cookie', otherAuthCookie);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 403 for students outside the course', async () => {
+      const upload = await uploadFile(authCookie);
+
+      const response = await request(app)
+        .get(`/api/attachments/${upload.body.attachment._id}`)
+        .set('Cookie', outsiderCookie);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('DELETE /api/attachments/:attachmentId', () => {
+    it('should let the uploader discard an unused upload', async () => {
+      const upload = await uploadFile(authCookie);
+
+      const response = await request(app)
+        .delete(`/api/attachments/${upload.body.attachment._id}`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(await db.collection('attachments').countDocuments()).toBe(0);
+    });
+
+    it('should not discard uploads already part of a post', async () => {
+      const upload = await uploadFile(authCookie);
+      await request(app)
+        .post('/api/questions')
+        .set('Cookie', authCookie)
+        .send({
+          courseId: testCourse.toString(),
+          title: 'Stack trace',
+          content: 'See the screenshot',
+          attachmentIds: [upload.body.attachment._id],
+        });
+
+      const response = await request(app)
+        .delete(`/api/attachments/${upload.body.attachment._id}`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(409);
+    });
+
+    it("should return 404 for someone else's upload", async () => {
+      const upload = await uploadFile(authCookie);
+
+      const response = await request(app)
+        .delete(`/api/attachments/${upload.body.attachment._id}`)
+        .set('Cookie', otherAuthCookie);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -6,6 +6,8 @@
 import { jest } from '@jest/globals';
 import request from 'supertest';
 import bcrypt from 'bcrypt';
+import fs from 'fs/promises';
+import path from 'path';
 import {
   connectToDb,
   closeConnection,
@@ -13,6 +15,29 @@ import {
 } from '../../database_config/index.js';
 import app from '../../app.js';
 
+const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR);
+
+/**
+ * Reads all messages written to the test outbox
+ */
+const readOutbox = async () => {
+  const files = await fs.readdir(outboxDir).catch(() => []);
+  const messages = [];
+  for (const file of files.sort()) {
+    const raw = await fs.readFile(path.join(outboxDir, file), 'utf8');
+    messages.push(JSON.parse(raw));
+  }
+  return messages;
+};
+
+/**
+ * Extracts the token query parameter from a message body
+ */
+const extractToken = (message) => {
+  const match = message.text.match(/token=([a-f0-9]+)/);
+  return match ? match[1] : null;
+};
+
 describe('Authentication Routes', () => {
   let db;
   let testStudent;
@@ -25,12 +50,18 @@ describe('Authentication Routes', () => {
 
   afterAll(async () => {
     await db.collection('students').deleteMany({});
+    await db.collection('emailVerifications').deleteMany({});
+    await db.collection('passwordResets').deleteMany({});
+    await fs.rm(outboxDir, { recursive: true, force: true });
     await closeConnection();
   });
 
   beforeEach(async () => {
     // Clear students collection
     await db.collection('students').deleteMany({});
+    await db.collection('emailVerifications').deleteMany({});
+    await db.collection('passwordResets').deleteMany({});
+    await fs.rm(outboxDir, { recursive: true, force: true });
 
     // Create a test student
     const hashedPassword = await bcrypt.hash('password123', 10);
@@ -228,4 +259,295 @@ describe('Authentication Routes', () => {
       expect(checkResponse.body.loggedIn).toBe(false);
     });
   });
+  describe('POST /api/auth/register', () => {
+    const validRegistration = {
+      firstName: 'New',
+      lastName: 'Student',
+      universityEmail: 'new.student@stevens.edu',
+      password: 'supersecret1',
+      major: 'Computer Science',
+      age: 19,
+    };
+
+    it('should create an unverified account and send a verification email', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(validRegistration);
+
+      expect(response.status).toBe(201);
+      expect(response.body.success).toBe(true);
+      expect(response.body.student.email).toBe('new.student@stevens.edu');
+      expect(response.body.student).not.toHaveProperty('hashedPassword');
+
+      const stored = await db
+        .collection('students')
+        .findOne({ universityEmail: 'new.student@stevens.edu' });
+      expect(stored.isVerified).toBe(false);
+      expect(stored.hashedPassword).not.toBe('supersecret1');
+
+      const messages = await readOutbox();
+      expect(messages).toHaveLength(1);
+      expect(messages[0].to).toBe('new.student@stevens.edu');
+      expect(extractToken(messages[0])).not.toBeNull();
+    });
+
+    it('should reject a duplicate email', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          ...validRegistration,
+          universityEmail: 'test.student@stevens.edu',
+        });
+
+      expect(response.status).toBe(409);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject non-Stevens email', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...validRegistration, universityEmail: 'new@gmail.com' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject a short password', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...validRegistration, password: 'short' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should block login until the email is verified', async () => {
+      await request(app).post('/api/auth/register').send(validRegistration);
+
+      const response = await request(app).post('/api/auth/login').send({
+        universityEmail: validRegistration.universityEmail,
+        password: validRegistration.password,
+      });
+
+      expect(response.status).toBe(403);
+      expect(response.body.needsVerification).toBe(true);
+    });
+  });
+
+  describe('POST /api/auth/verify-email', () => {
+    it('should verify the account and allow login', async () => {
+      await request(app).post('/api/auth/register').send({
+        firstName: 'New',
+        lastName: 'Student',
+        universityEmail: 'new.student@stevens.edu',
+        password: 'supersecret1',
+        major: 'Computer Science',
+        age: 19,
+      });
+      const [message] = await readOutbox();
+
+      const verifyResponse = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: extractToken(message) });
+
+      expect(verifyResponse.status).toBe(200);
+      expect(verifyResponse.body.success).toBe(true);
+
+      const loginResponse = await request(app).post('/api/auth/login').send({
+        universityEmail: 'new.student@stevens.edu',
+        password: 'supersecret1',
+      });
+      expect(loginResponse.status).toBe(200);
+    });
+
+    it('should reject an invalid token', async () => {
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: 'deadbeef' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid or expired verification token');
+    });
+
+    it('should require a token', async () => {
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/resend-verification', () => {
+    it('should send a new link to an unverified account', async () => {
+      await db
+        .collection('students')
+        .updateOne({ _id: testStudent._id }, { $set: { isVerified: false } });
+
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ universityEmail: 'test.student@stevens.edu' });
+
+      expect(response.status).toBe(200);
+      const messages = await readOutbox();
+      expect(messages).toHaveLength(1);
+    });
+
+    it('should respond identically for unknown accounts without sending mail', async () => {
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ universityEmail: 'nobody@stevens.edu' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      const messages = await readOutbox();
+      expect(messages).toHaveLength(0);
+    });
+  });
+  describe('POST /api/auth/forgot-password', () => {
+    it('should email a reset link for an existing account', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ universityEmail: 'test.student@stevens.edu' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      const messages = await readOutbox();
+      expect(messages).toHaveLength(1);
+      expect(messages[0].text).toContain('/reset-password?token=');
+    });
+
+    it('should respond identically for unknown accounts without sending mail', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ universityEmail: 'nobody@stevens.edu' });
+
+      expect(response.status).toBe(200);
+      expect(await readOutbox()).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    const requestResetToken = async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ universityEmail: 'test.student@stevens.edu' });
+      const messages = await readOutbox();
+      return extractToken(messages[messages.length - 1]);
+    };
+
+    it('should set a new password with a valid token', async () => {
+      const token = await requestResetToken();
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'brandnewpass' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+
+      const oldLogin = await request(app).post('/api/auth/login').send({
+        universityEmail: 'test.student@stevens.edu',
+        password: 'password123',
+      });
+      expect(oldLogin.status).toBe(401);
+
+      const newLogin = await request(app).post('/api/auth/login').send({
+        universityEmail: 'test.student@stevens.edu',
+        password: 'brandnewpass',
+      });
+      expect(newLogin.status).toBe(200);
+    });
+
+    it('should reject a token that was already used', async () => {
+      const token = await requestResetToken();
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'brandnewpass' });
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'anotherpass1' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid or expired reset token');
+    });
+
+    it('should reject a short password', async () => {
+      const token = await requestResetToken();
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'short' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/change-password', () => {
+    const login = async () => {
+      const loginResponse = await request(app).post('/api/auth/login').send({
+        universityEmail: 'test.student@stevens.edu',
+        password: 'password123',
+      });
+      return loginResponse.headers['set-cookie'];
+    };
+
+    it('should change the password when the current one is correct', async () => {
+      const cookies = await login();
+
+      const response = await request(app)
+        .post('/api/auth/change-password')
+        .set('Cookie', cookies)
+        .send({
+          currentPassword: 'password123',
+          newPassword: 'newpassword456',
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+
+      const stored = await db
+        .collection('students')
+        .findOne({ _id: testStudent._id });
+      expect(
+        await bcrypt.compare('newpassword456', stored.hashedPassword)
+      ).toBe(true);
+    });
+
+    it('should reject an incorrect current password', async () => {
+      const cookies = await login();
+
+      const response = await request(app)
+        .post('/api/auth/change-password')
+        .set('Cookie', cookies)
+        .send({
+          currentPassword: 'wrongpassword',
+          newPassword: 'newpassword456',
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Current password is incorrect');
+    });
+
+    it('should reject reusing the current password', async () => {
+      const cookies = await login();
+
+      const response = await request(app)
+        .post('/api/auth/change-password')
+        .set('Cookie', cookies)
+        .send({ currentPassword: 'password123', newPassword: 'password123' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/auth/change-password')
+        .send({
+          currentPassword: 'password123',
+          newPassword: 'newpassword456',
+        });
+
+      expect(response.status).toBe(401);
+    });
+  });
 });
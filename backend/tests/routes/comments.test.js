@@ -0,0 +1,447 @@
+/**
+ * Integration Tests for Comments Routes
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import app from '../../app.js';
+import { purgeResponse } from '../../jobs/purgeTrash.js';
+
+describe('Comments Routes', () => {
+  let db;
+  let testStudent;
+  let otherStudent;
+  let testCourse;
+  let testQuestion;
+  let testResponse;
+  let authCookie;
+  let otherAuthCookie;
+  let outsiderCookie;
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('comments').deleteMany({});
+    await db.collection('pseudonyms').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('comments').deleteMany({});
+    await db.collection('pseudonyms').deleteMany({});
+
+    const hashedPassword = await bcrypt.hash('password123', 10);
+
+    const student1Result = await db.collection('students').insertOne({
+      firstName: 'Test',
+      lastName: 'Student',
+      universityEmail: 'test.student@stevens.edu',
+      hashedPassword,
+      major: 'Computer Science',
+      age: 20,
+      enrolledCourses: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testStudent = student1Result.insertedId;
+
+    const student2Result = await db.collection('students').insertOne({
+      firstName: 'Other',
+      lastName: 'Student',
+      universityEmail: 'other.student@stevens.edu',
+      hashedPassword,
+      major: 'Computer Science',
+      age: 21,
+      enrolledCourses: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    otherStudent = student2Result.insertedId;
+
+    await db.collection('students').insertOne({
+      firstName: 'Out',
+      lastName: 'Sider',
+      universityEmail: 'out.sider@stevens.edu',
+      hashedPassword,
+      major: 'Computer Science',
+      age: 20,
+      enrolledCourses: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    const courseResult = await db.collection('courses').insertOne({
+      courseCode: 'CS545',
+      courseName: 'Human Computer Interaction',
+      section: 'WS',
+      department: 'Computer Science',
+      instructorName: 'Dr. Gregg Vesonder',
+      instructorEmail: 'gvesonde@stevens.edu',
+      term: 'Fall 2025',
+      enrolledStudents: [testStudent, otherStudent],
+      createdAt: new Date(),
+    });
+    testCourse = courseResult.insertedId;
+
+    const questionResult = await db.collection('questions').insertOne({
+      courseId: testCourse,
+      posterId: testStudent,
+      title: 'Dijkstra',
+      content: 'Why does it fail with negative edges?',
+      isAnonymous: false,
+      isResolved: false,
+      acceptedResponseId: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testQuestion = questionResult.insertedId;
+
+    const responseResult = await db.collection('responses').insertOne({
+      questionId: testQuestion,
+      posterId: otherStudent,
+      content: 'It assumes settled distances never shrink.',
+      isAnonymous: false,
+      isHelpful: false,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testResponse = responseResult.insertedId;
+
+    const login1 = await request(app).post('/api/auth/login').send({
+      universityEmail: 'test.student@stevens.edu',
+      password: 'password123',
+    });
+    authCookie = login1.headers['set-cookie'];
+
+    const login2 = await request(app).post('/api/auth/login').send({
+      universityEmail: 'other.student@stevens.edu',
+      password: 'password123',
+    });
+    otherAuthCookie = login2.headers['set-cookie'];
+
+    const outsiderLogin = await request(app).post('/api/auth/login').send({
+      universityEmail: 'out.sider@stevens.edu',
+      password: 'password123',
+    });
+    outsiderCookie = outsiderLogin.headers['set-cookie'];
+  });
+
+  describe('POST /api/comments', () => {
+    it('should comment on a question and notify its poster', async () => {
+      const response = await request(app)
+        .post('/api/comments')
+        .set('Cookie', otherAuthCookie)
+        .send({
+          targetType: 'question',
+          targetId: testQuestion.toString(),
+          content: 'Which version of the algorithm?',
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.comment.targetType).toBe('question');
+      expect(response.body.comment.questionId).toBe(testQuestion.toString());
+
+      const notification = await db
+        .collection('notifications')
+        .findOne({ recipientId: testStudent });
+      expect(notification.type).toBe('new_comment');
+      expect(notification.message).toContain('commented on your question');
+    });
+
+    it('should comment on a response and notify its poster', async () => {
+      const response = await request(app)
+        .post('/api/comments')
+        .set('Cookie', authCookie)
+        .send({
+          targetType: 'response',
+          targetId: testResponse.toString(),
+          content: 'Could you show an example?',
+          isAnonymous: true,
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.comment.questionId).toBe(testQuestion.toString());
+
+      const notification = await db
+        .collection('notifications')
+        .findOne({ recipientId: otherStudent });
+      expect(notification.message).toMatch(
+        /^Anonymous [A-Z][a-z]+ commented on your response/
+      );
+    });
+
+    it('should not notify students commenting on their own post', async () => {
+      await request(app).post('/api/comments').set('Cookie', authCookie).send({
+        targetType: 'question',
+        targetId: testQuestion.toString(),
+        content: 'Edit: I mean the lazy version.',
+      });
+
+      expect(await db.collection('notifications').countDocuments()).toBe(0);
+    });
+
+    it('should return 400 for an invalid target type or empty content', async () => {
+      const badTarget = await request(app)
+        .post('/api/comments')
+        .set('Cookie', authCookie)
+        .send({
+          targetType: 'course',
+          targetId: testQuestion.toString(),
+          content: 'Hi',
+        });
+      const emptyContent = await request(app)
+        .post('/api/comments')
+        .set('Cookie', authCookie)
+        .send({
+          targetType: 'question',
+          targetId: testQuestion.toString(),
+          content: '   ',
+        });
+
+      expect(badTarget.status).toBe(400);
+      expect(emptyContent.status).toBe(400);
+    });
+
+    it('should not let students comment on a hidden post', async () => {
+      await db
+        .collection('responses')
+        .updateOne({ _id: testResponse }, { $set: { hiddenAt: new Date() } });
+      const comment = (cookie) =>
+        request(app).post('/api/comments').set('Cookie', cookie).send({
+          targetType: 'response',
+          targetId: testResponse.toString(),
+          content: 'Still here?',
+        });
+
+      expect((await comment(authCookie)).status).toBe(404);
+      expect((await comment(otherAuthCookie)).status).toBe(403);
+    });
+
+    it('should return 404 for a missing response', async () => {
+      const response = await request(app)
+        .post('/api/comments')
+        .set('Cookie', authCookie)
+        .send({
+          targetType: 'response',
+          targetId: new ObjectId().toString(),
+          content: 'Hello?',
+        });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 403 for students outside the course', async () => {
+      const response = await request(app)
+        .post('/api/comments')
+        .set('Cookie', outsiderCookie)
+        .send({
+          targetType: 'question',
+          targetId: testQuestion.toString(),
+          content: 'Drive-by',
+        });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).post('/api/comments').send({
+        targetType: 'question',
+        targetId: testQuestion.toString(),
+        content: 'Hi',
+      });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/comments/:questionId', () => {
+    it('should return comments on the question and its responses', async () => {
+      await request(app)
+        .post('/api/comments')
+        .set('Cookie', otherAuthCookie)
+        .send({
+          targetType: 'question',
+          targetId: testQuestion.toString(),
+          content: 'On the question',
+        });
+      await request(app).post('/api/comments').set('Cookie', authCookie).send({
+        targetType: 'response',
+        targetId: testResponse.toString(),
+        content: 'On the response',
+      });
+
+      const response = await request(app)
+        .get(`/api/comments/${testQuestion}`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.comments.map((c) => c.content)).toEqual([
+        'On the question',
+        'On the response',
+      ]);
+      expect(response.body.comments[0].posterName).toBe('Other Student');
+    });
+
+    it('should leave out comments on a response in the trash', async () => {
+      await request(app).post('/api/comments').set('Cookie', authCookie).send({
+        targetType: 'response',
+        targetId: testResponse.toString(),
+        content: 'On the response',
+      });
+      await request(app)
+        .delete(`/api/responses/${testResponse}`)
+        .set('Cookie', otherAuthCookie);
+
+      const response = await request(app)
+        .get(`/api/comments/${testQuestion}`)
+        .set('Cookie', authCookie);
+
+      expect(response.body.comments).toEqual([]);
+    });
+
+    it('should hide comments on hidden posts from other students', async () => {
+      await request(app).post('/api/comments').set('Cookie', authCookie).send({
+        targetType: 'response',
+        targetId: testResponse.toString(),
+        content: 'On the response',
+      });
+      await db
+        .collection('responses')
+        .updateOne({ _id: testResponse }, { $set: { hiddenAt: new Date() } });
+
+      const asOther = await request(app)
+        .get(`/api/comments/${testQuestion}`)
+        .set('Cookie', authCookie);
+      expect(asOther.body.comments).toEqual([]);
+
+      const asPoster = await request(app)
+        .get(`/api/comments/${testQuestion}`)
+        .set('Cookie', otherAuthCookie);
+      expect(asPoster.body.comments).toHaveLength(1);
+
+      await db
+        .collection('questions')
+        .updateOne({ _id: testQuestion }, { $set: { hiddenAt: new Date() } });
+      const hiddenQuestion = await request(app)
+        .get(`/api/comments/${testQuestion}`)
+        .set('Cookie', otherAuthCookie);
+      expect(hiddenQuestion.status).toBe(404);
+    });
+
+    it('should return 403 for students outside the course', async () => {
+      const response = await request(app)
+        .get(`/api/comments/${testQuestion}`)
+        .set('Cookie', outsiderCookie);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PATCH and DELETE /api/comments/:commentId', () => {
+    let commentId;
+
+    beforeEach(async () => {
+      const result = await db.collection('comments').insertOne({
+        targetType: 'question',
+        targetId: testQuestion,
+        questionId: testQuestion,
+        posterId: otherStudent,
+        content: 'Original comment',
+        isAnonymous: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      commentId = result.insertedId;
+    });
+
+    it('should let the poster edit their comment', async () => {
+      const response = await request(app)
+        .patch(`/api/comments/${commentId}`)
+        .set('Cookie', otherAuthCookie)
+        .send({ content: 'Edited comment' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.comment.content).toBe('Edited comment');
+    });
+
+    it('should reject edits and deletes by other students', async () => {
+      const edit = await request(app)
+        .patch(`/api/comments/${commentId}`)
+        .set('Cookie', authCookie)
+        .send({ content: 'Not mine' });
+      const deletion = await request(app)
+        .delete(`/api/comments/${commentId}`)
+        .set('Cookie', authCookie);
+
+      expect(edit.status).toBe(403);
+      expect(deletion.status).toBe(403);
+    });
+
+    it('should allow course staff to delete any comment', async () => {
+      await db.collection('courses').updateOne(
+        { _id: testCourse },
+        {
+          $set: {
+            enrolledStudents: [otherStudent],
+            teachingAssistants: [testStudent],
+          },
+        }
+      );
+
+      const response = await request(app)
+        .delete(`/api/comments/${commentId}`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(await db.collection('comments').countDocuments()).toBe(0);
+    });
+
+    it('should return 404 for a missing comment', async () => {
+      const response = await request(app)
+        .delete(`/api/comments/${new ObjectId()}`)
+        .set('Cookie', otherAuthCookie);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('cascade deletes', () => {
+    it('should delete comments on a response when it is purged', async () => {
+      await db.collection('comments').insertOne({
+        targetType: 'response',
+        targetId: testResponse,
+        questionId: testQuestion,
+        posterId: testStudent,
+        content: 'Thanks!',
+        isAnonymous: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+
+      await request(app)
+        .delete(`/api/responses/${testResponse}`)
+        .set('Cookie', otherAuthCookie);
+      await purgeResponse(testResponse.toString());
+
+      expect(await db.collection('comments').countDocuments()).toBe(0);
+    });
+  });
+});
@@ -30,9 +30,37 @@ describe('Courses Routes', () => {
     await db.collection('students').deleteMany({});
     await db.collection('courses').deleteMany({});
     await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
     await closeConnection();
   });
 
+  /**
+   * Creates an account with the given role and logs it in
+   */
+  const createAndLogin = async (email, role) => {
+    const hashedPassword = await bcrypt.hash('password123', 10);
+    const result = await db.collection('students').insertOne({
+      firstName: 'Staff',
+      lastName: 'Member',
+      universityEmail: email,
+      hashedPassword,
+      major: 'Computer Science',
+      age: 25,
+      enrolledCourses: [],
+      role,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    const loginResponse = await request(app).post('/api/auth/login').send({
+      universityEmail: email,
+      password: 'password123',
+    });
+    return {
+      id: result.insertedId,
+      cookie: loginResponse.headers['set-cookie'],
+    };
+  };
+
   beforeEach(async () => {
     // Clear collections
     await db.collection('students').deleteMany({});
@@ -278,4 +306,580 @@ describe('Courses Routes', () => {
       });
     });
   });
+  describe('Course roles', () => {
+    it('should include courses where the student is staff', async () => {
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourses[2] },
+          { $set: { teachingAssistants: [testStudent._id] } }
+        );
+
+      const response = await request(app)
+        .get('/api/courses')
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.courses).toHaveLength(3);
+      const cs546 = response.body.courses.find((c) => c.courseCode === 'CS546');
+      const cs545 = response.body.courses.find((c) => c.courseCode === 'CS545');
+      expect(cs546.courseRole).toBe('ta');
+      expect(cs545.courseRole).toBe('student');
+    });
+
+    it('should return every course to admins', async () => {
+      const admin = await createAndLogin('admin@stevens.edu', 'admin');
+
+      const response = await request(app)
+        .get('/api/courses')
+        .set('Cookie', admin.cookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.courses).toHaveLength(3);
+      response.body.courses.forEach((course) => {
+        expect(course.courseRole).toBe('admin');
+      });
+    });
+
+    it('should include the viewer role on a single course', async () => {
+      const response = await request(app)
+        .get(`/api/courses/${testCourses[0]}`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.course.courseRole).toBe('student');
+    });
+
+    it('should not show a course to non-members', async () => {
+      const response = await request(app)
+        .get(`/api/courses/${testCourses[2]}`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('You are not enrolled in this course');
+    });
+
+    it('should show any course to admins', async () => {
+      const admin = await createAndLogin('admin@stevens.edu', 'admin');
+
+      const response = await request(app)
+        .get(`/api/courses/${testCourses[2]}`)
+        .set('Cookie', admin.cookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.course.courseRole).toBe('admin');
+    });
+  });
+
+  describe('POST /api/courses', () => {
+    const newCourse = {
+      courseCode: 'CS555',
+      courseName: 'Agile Methods',
+      section: 'WS',
+      department: 'Computer Science',
+      instructorName: 'Dr. Michael Chen',
+      instructorEmail: 'mchen@stevens.edu',
+      term: 'Fall 2025',
+    };
+
+    it('should let admins create a course', async () => {
+      const admin = await createAndLogin('admin@stevens.edu', 'admin');
+
+      const response = await request(app)
+        .post('/api/courses')
+        .set('Cookie', admin.cookie)
+        .send(newCourse);
+
+      expect(response.status).toBe(201);
+      expect(response.body.course.courseCode).toBe('CS555');
+      expect(response.body.course.instructors).toEqual([]);
+    });
+
+    it('should reject a duplicate course code', async () => {
+      const admin = await createAndLogin('admin@stevens.edu', 'admin');
+
+      const response = await request(app)
+        .post('/api/courses')
+        .set('Cookie', admin.cookie)
+        .send({ ...newCourse, courseCode: 'CS545' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should reject non-admins', async () => {
+      const response = await request(app)
+        .post('/api/courses')
+        .set('Cookie', authCookie)
+        .send(newCourse);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).post('/api/courses').send(newCourse);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('PATCH /api/courses/:courseId', () => {
+    it('should let admins update a course', async () => {
+      const admin = await createAndLogin('admin@stevens.edu', 'admin');
+
+      const response = await request(app)
+        .patch(`/api/courses/${testCourses[0]}`)
+        .set('Cookie', admin.cookie)
+        .send({ term: 'Spring 2026' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.course.term).toBe('Spring 2026');
+    });
+
+    it('should reject course instructors who are not admins', async () => {
+      const instructor = await createAndLogin(
+        'instructor@stevens.edu',
+        'instructor'
+      );
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourses[0] },
+          { $set: { instructors: [instructor.id] } }
+        );
+
+      const response = await request(app)
+        .patch(`/api/courses/${testCourses[0]}`)
+        .set('Cookie', instructor.cookie)
+        .send({ term: 'Spring 2026' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 404 for a missing course', async () => {
+      const admin = await createAndLogin('admin@stevens.edu', 'admin');
+
+      const response = await request(app)
+        .patch(`/api/courses/${new ObjectId()}`)
+        .set('Cookie', admin.cookie)
+        .send({ term: 'Spring 2026' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/courses/:courseId', () => {
+    it('should delete the course and its questions', async () => {
+      const admin = await createAndLogin('admin@stevens.edu', 'admin');
+      const questionResult = await db.collection('questions').insertOne({
+        courseId: testCourses[0],
+        posterId: testStudent._id,
+        title: 'Question',
+        content: 'Content',
+        isAnonymous: false,
+        isResolved: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      await db.collection('responses').insertOne({
+        questionId: questionResult.insertedId,
+        posterId: testStudent._id,
+        content: 'Response',
+        isAnonymous: false,
+        isHelpful: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+
+      const response = await request(app)
+        .delete(`/api/courses/${testCourses[0]}`)
+        .set('Cookie', admin.cookie);
+
+      expect(response.status).toBe(200);
+      expect(
+        await db.collection('courses').findOne({ _id: testCourses[0] })
+      ).toBeNull();
+      expect(
+        await db.collection('questions').countDocuments({
+          courseId: testCourses[0],
+        })
+      ).toBe(0);
+      expect(
+        await db.collection('responses').countDocuments({
+          questionId: questionResult.insertedId,
+        })
+      ).toBe(0);
+
+      const student = await db
+        .collection('students')
+        .findOne({ _id: testStudent._id });
+      expect(student.enrolledCourses.map(String)).not.toContain(
+        testCourses[0].toString()
+      );
+    });
+
+    it('should reject non-admins', async () => {
+      const response = await request(app)
+        .delete(`/api/courses/${testCourses[0]}`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PUT /api/courses/:courseId/staff/:studentId', () => {
+    it('should let a course instructor add a TA', async () => {
+      const instructor = await createAndLogin(
+        'instructor@stevens.edu',
+        'instructor'
+      );
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourses[0] },
+          { $set: { instructors: [instructor.id] } }
+        );
+
+      const response = await request(app)
+        .put(`/api/courses/${testCourses[0]}/staff/${testStudent._id}`)
+        .set('Cookie', instructor.cookie)
+        .send({ role: 'ta' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.course.teachingAssistants).toContain(
+        testStudent._id.toString()
+      );
+    });
+
+    it('should only make instructor accounts course instructors', async () => {
+      const admin = await createAndLogin('admin@stevens.edu', 'admin');
+
+      const response = await request(app)
+        .put(`/api/courses/${testCourses[0]}/staff/${testStudent._id}`)
+        .set('Cookie', admin.cookie)
+        .send({ role: 'instructor' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not let TAs manage staff', async () => {
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourses[0] },
+          { $set: { teachingAssistants: [testStudent._id] } }
+        );
+
+      const response = await request(app)
+        .put(`/api/courses/${testCourses[0]}/staff/${testStudent._id}`)
+        .set('Cookie', authCookie)
+        .send({ role: 'ta' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject an invalid role', async () => {
+      const admin = await createAndLogin('admin@stevens.edu', 'admin');
+
+      const response = await request(app)
+        .put(`/api/courses/${testCourses[0]}/staff/${testStudent._id}`)
+        .set('Cookie', admin.cookie)
+        .send({ role: 'owner' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/courses/:courseId/staff/:studentId', () => {
+    it('should let admins remove staff', async () => {
+      const admin = await createAndLogin('admin@stevens.edu', 'admin');
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourses[0] },
+          { $set: { teachingAssistants: [testStudent._id] } }
+        );
+
+      const response = await request(app)
+        .delete(`/api/courses/${testCourses[0]}/staff/${testStudent._id}`)
+        .set('Cookie', admin.cookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.course.teachingAssistants).toEqual([]);
+    });
+  });
+  describe('GET /api/courses/catalog', () => {
+    it('should list every course with the viewer role', async () => {
+      const response = await request(app)
+        .get('/api/courses/catalog')
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.courses).toHaveLength(3);
+      const cs546 = response.body.courses.find((c) => c.courseCode === 'CS546');
+      const cs545 = response.body.courses.find((c) => c.courseCode === 'CS545');
+      expect(cs546.courseRole).toBeNull();
+      expect(cs545.courseRole).toBe('student');
+      expect(cs545.studentCount).toBe(1);
+      expect(cs545).not.toHaveProperty('joinCode');
+    });
+  });
+
+  describe('POST /api/courses/join', () => {
+    beforeEach(async () => {
+      await db
+        .collection('courses')
+        .updateOne({ _id: testCourses[2] }, { $set: { joinCode: 'JOIN2345' } });
+    });
+
+    it('should enroll the student on both sides', async () => {
+      const response = await request(app)
+        .post('/api/courses/join')
+        .set('Cookie', authCookie)
+        .send({ joinCode: 'join2345' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.course.courseCode).toBe('CS546');
+      expect(response.body.course).not.toHaveProperty('joinCode');
+
+      const course = await db
+        .collection('courses')
+        .findOne({ _id: testCourses[2] });
+      const student = await db
+        .collection('students')
+        .findOne({ _id: testStudent._id });
+      expect(course.enrolledStudents.map(String)).toContain(
+        testStudent._id.toString()
+      );
+      expect(student.enrolledCourses.map(String)).toContain(
+        testCourses[2].toString()
+      );
+    });
+
+    it('should reject an unknown join code', async () => {
+      const response = await request(app)
+        .post('/api/courses/join')
+        .set('Cookie', authCookie)
+        .send({ joinCode: 'WRONG234' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should reject members of the course', async () => {
+      await db
+        .collection('courses')
+        .updateOne({ _id: testCourses[0] }, { $set: { joinCode: 'MINE2345' } });
+
+      const response = await request(app)
+        .post('/api/courses/join')
+        .set('Cookie', authCookie)
+        .send({ joinCode: 'MINE2345' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/courses/join')
+        .send({ joinCode: 'JOIN2345' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('DELETE /api/courses/:courseId/enrollment', () => {
+    it('should let a student leave a course', async () => {
+      const response = await request(app)
+        .delete(`/api/courses/${testCourses[0]}/enrollment`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      const student = await db
+        .collection('students')
+        .findOne({ _id: testStudent._id });
+      expect(student.enrolledCourses.map(String)).toEqual([
+        testCourses[1].toString(),
+      ]);
+    });
+
+    it('should reject courses the student is not in', async () => {
+      const response = await request(app)
+        .delete(`/api/courses/${testCourses[2]}/enrollment`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Roster management', () => {
+    let instructor;
+
+    beforeEach(async () => {
+      instructor = await createAndLogin('instructor@stevens.edu', 'instructor');
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourses[2] },
+          { $set: { instructors: [instructor.id], joinCode: 'OLDC2345' } }
+        );
+    });
+
+    it('should show the join code to course staff only', async () => {
+      const staffView = await request(app)
+        .get(`/api/courses/${testCourses[2]}`)
+        .set('Cookie', instructor.cookie);
+      const studentView = await request(app)
+        .get(`/api/courses/${testCourses[0]}`)
+        .set('Cookie', authCookie);
+
+      expect(staffView.body.course.joinCode).toBe('OLDC2345');
+      expect(studentView.body.course).not.toHaveProperty('joinCode');
+    });
+
+    it('should let an instructor add a student by email', async () => {
+      const response = await request(app)
+        .post(`/api/courses/${testCourses[2]}/students`)
+        .set('Cookie', instructor.cookie)
+        .send({ universityEmail: 'test.student@stevens.edu' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.students).toHaveLength(1);
+      expect(response.body.students[0].universityEmail).toBe(
+        'test.student@stevens.edu'
+      );
+    });
+
+    it('should return 404 for an email without an account', async () => {
+      const response = await request(app)
+        .post(`/api/courses/${testCourses[2]}/students`)
+        .set('Cookie', instructor.cookie)
+        .send({ universityEmail: 'nobody@stevens.edu' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should let an instructor remove a student', async () => {
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourses[2] },
+          { $set: { enrolledStudents: [testStudent._id] } }
+        );
+
+      const response = await request(app)
+        .delete(`/api/courses/${testCourses[2]}/students/${testStudent._id}`)
+        .set('Cookie', instructor.cookie);
+
+      expect(response.status).toBe(200);
+      const course = await db
+        .collection('courses')
+        .findOne({ _id: testCourses[2] });
+      expect(course.enrolledStudents).toHaveLength(0);
+    });
+
+    it('should import a roster CSV', async () => {
+      const csv = [
+        'Name,Email',
+        'Test Student,test.student@stevens.edu',
+        'Ghost Student,ghost@stevens.edu',
+        '"Bad Row",not-an-email',
+      ].join('\n');
+
+      const response = await request(app)
+        .post(`/api/courses/${testCourses[2]}/students/import`)
+        .set('Cookie', instructor.cookie)
+        .send({ csv });
+
+      expect(response.status).toBe(200);
+      expect(response.body.enrolled).toEqual(['test.student@stevens.edu']);
+      expect(response.body.notFound).toEqual(['ghost@stevens.edu']);
+      expect(response.body.invalid).toEqual(['not-an-email']);
+    });
+
+    it('should reject a roster without emails', async () => {
+      const response = await request(app)
+        .post(`/api/courses/${testCourses[2]}/students/import`)
+        .set('Cookie', instructor.cookie)
+        .send({ csv: 'Name\nTest Student' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should let an instructor replace the join code', async () => {
+      const response = await request(app)
+        .post(`/api/courses/${testCourses[2]}/join-code`)
+        .set('Cookie', instructor.cookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.joinCode).not.toBe('OLDC2345');
+    });
+
+    it('should not let students manage the roster', async () => {
+      const response = await request(app)
+        .post(`/api/courses/${testCourses[0]}/students`)
+        .set('Cookie', authCookie)
+        .send({ universityEmail: 'test.student@stevens.edu' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Course tags', () => {
+    let instructor;
+
+    beforeEach(async () => {
+      await db.collection('questions').deleteMany({});
+      instructor = await createAndLogin('instructor@stevens.edu', 'instructor');
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourses[0] },
+          { $set: { instructors: [instructor.id], tags: ['graphs', 'dp'] } }
+        );
+      await db.collection('questions').insertMany([
+        { courseId: testCourses[0], title: 'Q1', tags: ['graphs', 'bfs'] },
+        { courseId: testCourses[0], title: 'Q2', tags: ['bfs'] },
+      ]);
+    });
+
+    it('should list curated tags first, then free tags, with counts', async () => {
+      const response = await request(app)
+        .get(`/api/courses/${testCourses[0]}/tags`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.tags).toEqual([
+        { name: 'graphs', count: 1, curated: true },
+        { name: 'dp', count: 0, curated: true },
+        { name: 'bfs', count: 2, curated: false },
+      ]);
+    });
+
+    it('should let an instructor replace the curated tags', async () => {
+      const response = await request(app)
+        .put(`/api/courses/${testCourses[0]}/tags`)
+        .set('Cookie', instructor.cookie)
+        .send({ tags: ['Dynamic Programming', 'graphs'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.tags).toEqual(['dynamic-programming', 'graphs']);
+    });
+
+    it('should not let students curate tags', async () => {
+      const response = await request(app)
+        .put(`/api/courses/${testCourses[0]}/tags`)
+        .set('Cookie', authCookie)
+        .send({ tags: ['graphs'] });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject an invalid tag', async () => {
+      const response = await request(app)
+        .put(`/api/courses/${testCourses[0]}/tags`)
+        .set('Cookie', instructor.cookie)
+        .send({ tags: ['<script>'] });
+
+      expect(response.status).toBe(400);
+    });
+  });
 });
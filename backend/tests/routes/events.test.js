@@ -0,0 +1,284 @@
+/**
+ * Integration Tests for Events Routes
+ */
+
+import { jest } from '@jest/globals';
+import http from 'http';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import app from '../../app.js';
+
+describe('Events Routes', () => {
+  let db;
+  let server;
+  let testStudent;
+  let testCourse;
+  let testQuestion;
+  let authCookie;
+  let otherCookie;
+  let outsiderCookie;
+
+  /**
+   * Opens an event stream on the test server
+   * Resolves once headers arrive; read() waits until the body contains text.
+   */
+  const openStream = (path, cookie) => {
+    return new Promise((resolve, reject) => {
+      const { port } = server.address();
+      const req = http.get(
+        { port, path, headers: { Cookie: cookie.join('; ') } },
+        (res) => {
+          let body = '';
+          const waiters = [];
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            body += chunk;
+            for (const waiter of [...waiters]) {
+              if (body.includes(waiter.text)) {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                waiter.resolve(body);
+              }
+            }
+          });
+
+          resolve({
+            res,
+            read: (text) =>
+              body.includes(text)
+                ? Promise.resolve(body)
+                : new Promise((done) => waiters.push({ text, resolve: done })),
+            close: () => req.destroy(),
+          });
+        }
+      );
+      req.on('error', (error) => {
+        if (error.code !== 'ECONNRESET') {
+          reject(error);
+        }
+      });
+    });
+  };
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+    server = app.listen(0);
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('pseudonyms').deleteMany({});
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('pseudonyms').deleteMany({});
+
+    const hashedPassword = await bcrypt.hash('password123', 10);
+
+    const studentResult = await db.collection('students').insertOne({
+      firstName: 'Test',
+      lastName: 'Student',
+      universityEmail: 'test.student@stevens.edu',
+      hashedPassword,
+      major: 'Computer Science',
+      age: 20,
+      enrolledCourses: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testStudent = studentResult.insertedId;
+
+    const otherResult = await db.collection('students').insertOne({
+      firstName: 'Other',
+      lastName: 'Student',
+      universityEmail: 'other.student@stevens.edu',
+      hashedPassword,
+      major: 'Computer Science',
+      age: 21,
+      enrolledCourses: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    await db.collection('students').insertOne({
+      firstName: 'Out',
+      lastName: 'Sider',
+      universityEmail: 'out.sider@stevens.edu',
+      hashedPassword,
+      major: 'Computer Science',
+      age: 20,
+      enrolledCourses: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    const courseResult = await db.collection('courses').insertOne({
+      courseCode: 'CS545',
+      courseName: 'Human Computer Interaction',
+      section: 'WS',
+      department: 'Computer Science',
+      instructorName: 'Dr. Gregg Vesonder',
+      instructorEmail: 'gvesonde@stevens.edu',
+      term: 'Fall 2025',
+      enrolledStudents: [testStudent, otherResult.insertedId],
+      createdAt: new Date(),
+    });
+    testCourse = courseResult.insertedId;
+
+    const questionResult = await db.collection('questions').insertOne({
+      courseId: testCourse,
+      posterId: testStudent,
+      title: 'Fitts law',
+      content: 'How does target size affect pointing time?',
+      isAnonymous: false,
+      isResolved: false,
+      acceptedResponseId: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testQuestion = questionResult.insertedId;
+
+    const login = await request(app).post('/api/auth/login').send({
+      universityEmail: 'test.student@stevens.edu',
+      password: 'password123',
+    });
+    authCookie = login.headers['set-cookie'];
+
+    const otherLogin = await request(app).post('/api/auth/login').send({
+      universityEmail: 'other.student@stevens.edu',
+      password: 'password123',
+    });
+    otherCookie = otherLogin.headers['set-cookie'];
+
+    const outsiderLogin = await request(app).post('/api/auth/login').send({
+      universityEmail: 'out.sider@stevens.edu',
+      password: 'password123',
+    });
+    outsiderCookie = outsiderLogin.headers['set-cookie'];
+  });
+
+  describe('GET /api/events', () => {
+    it('should open an event stream', async () => {
+      const stream = await openStream('/api/events', authCookie);
+
+      expect(stream.res.statusCode).toBe(200);
+      expect(stream.res.headers['content-type']).toContain('text/event-stream');
+      await expect(stream.read('retry:')).resolves.toContain('retry: 5000');
+
+      stream.close();
+    });
+
+    it('should push notifications to their recipient', async () => {
+      const stream = await openStream('/api/events', authCookie);
+      await stream.read('retry:');
+
+      await request(app)
+        .post('/api/responses')
+        .set('Cookie', otherCookie)
+        .send({ questionId: testQuestion.toString(), content: 'Use Fitts' });
+
+      const body = await stream.read('event: notification');
+      expect(body).toContain('replied to your question');
+
+      stream.close();
+    });
+
+    it('should push new responses to viewers of the question', async () => {
+      const stream = await openStream(
+        `/api/events?questionId=${testQuestion}`,
+        otherCookie
+      );
+      await stream.read('retry:');
+
+      await request(app)
+        .post('/api/responses')
+        .set('Cookie', authCookie)
+        .send({ questionId: testQuestion.toString(), content: 'Bump' });
+
+      const body = await stream.read('event: response_created');
+      expect(body).toContain('"posterName":"Test Student"');
+
+      stream.close();
+    });
+
+    it('should push new questions to viewers of the course', async () => {
+      const stream = await openStream(
+        `/api/events?courseId=${testCourse}`,
+        otherCookie
+      );
+      await stream.read('retry:');
+
+      await request(app).post('/api/questions').set('Cookie', authCookie).send({
+        courseId: testCourse.toString(),
+        title: 'Hick law',
+        content: 'Does it apply to menus?',
+        isAnonymous: true,
+      });
+
+      const body = await stream.read('event: question_created');
+      expect(body).toContain('"title":"Hick law"');
+      expect(body).toContain('"posterName":"Anonymous ');
+      expect(body).not.toContain('"posterId"');
+
+      stream.close();
+    });
+
+    it('should return 403 for a course the student is not in', async () => {
+      const response = await request(app)
+        .get(`/api/events?courseId=${testCourse}`)
+        .set('Cookie', outsiderCookie);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 404 for a question that does not exist', async () => {
+      const response = await request(app)
+        .get(`/api/events?questionId=${new ObjectId()}`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 404 to other students for a hidden question', async () => {
+      await db
+        .collection('questions')
+        .updateOne({ _id: testQuestion }, { $set: { hiddenAt: new Date() } });
+
+      const response = await request(app)
+        .get(`/api/events?questionId=${testQuestion}`)
+        .set('Cookie', otherCookie);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 400 for an invalid course ID', async () => {
+      const response = await request(app)
+        .get('/api/events?courseId=invalid')
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/events');
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
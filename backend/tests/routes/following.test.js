@@ -0,0 +1,251 @@
+/**
+ * Integration Tests for Following Routes
+ * Following questions, and the notifications followers receive
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import app from '../../app.js';
+
+describe('Following Routes', () => {
+  let db;
+  let testCourse;
+  let testQuestion;
+  let poster;
+  let follower;
+  let answerer;
+  let posterCookie;
+  let followerCookie;
+  let answererCookie;
+  let outsiderCookie;
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('follows').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('follows').deleteMany({});
+
+    const hashedPassword = await bcrypt.hash('password123', 10);
+
+    const students = await Promise.all(
+      ['test.poster', 'test.follower', 'test.answerer', 'out.sider'].map(
+        (name) =>
+          db.collection('students').insertOne({
+            firstName: name.split('.')[1],
+            lastName: 'Student',
+            universityEmail: `${name}@stevens.edu`,
+            hashedPassword,
+            major: 'Computer Science',
+            age: 20,
+            enrolledCourses: [],
+            createdAt: new Date(),
+            updatedAt: new Date(),
+          })
+      )
+    );
+    [poster, follower, answerer] = students.map((s) => s.insertedId);
+
+    const courseResult = await db.collection('courses').insertOne({
+      courseCode: 'CS545',
+      courseName: 'Human Computer Interaction',
+      section: 'WS',
+      department: 'Computer Science',
+      instructorName: 'Dr. Gregg Vesonder',
+      instructorEmail: 'gvesonde@stevens.edu',
+      term: 'Fall 2025',
+      enrolledStudents: [poster, follower, answerer],
+      createdAt: new Date(),
+    });
+    testCourse = courseResult.insertedId;
+
+    const questionResult = await db.collection('questions').insertOne({
+      courseId: testCourse,
+      posterId: poster,
+      title: 'Dijkstra',
+      content: 'Why does it fail with negative edges?',
+      isAnonymous: false,
+      isResolved: false,
+      acceptedResponseId: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testQuestion = questionResult.insertedId;
+
+    const login = async (universityEmail) => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ universityEmail, password: 'password123' });
+      return response.headers['set-cookie'];
+    };
+    posterCookie = await login('test.poster@stevens.edu');
+    followerCookie = await login('test.follower@stevens.edu');
+    answererCookie = await login('test.answerer@stevens.edu');
+    outsiderCookie = await login('out.sider@stevens.edu');
+  });
+
+  const follow = (cookie, isFollowing = true) =>
+    request(app)
+      .patch(`/api/questions/${testQuestion}/follow`)
+      .set('Cookie', cookie)
+      .send({ isFollowing });
+
+  const notificationsFor = (recipientId) =>
+    db.collection('notifications').find({ recipientId }).toArray();
+
+  describe('PATCH /api/questions/:questionId/follow', () => {
+    it('should follow and unfollow a question', async () => {
+      const followed = await follow(followerCookie);
+      expect(followed.status).toBe(200);
+      expect(followed.body.isFollowing).toBe(true);
+
+      const detail = await request(app)
+        .get(`/api/questions/detail/${testQuestion}`)
+        .set('Cookie', followerCookie);
+      expect(detail.body.question.isFollowing).toBe(true);
+
+      const unfollowed = await follow(followerCookie, false);
+      expect(unfollowed.status).toBe(200);
+      expect(await db.collection('follows').countDocuments()).toBe(0);
+    });
+
+    it('should keep a single follow when following twice', async () => {
+      await follow(followerCookie);
+      await follow(followerCookie);
+
+      expect(await db.collection('follows').countDocuments()).toBe(1);
+    });
+
+    it('should reject students outside the course', async () => {
+      const response = await follow(outsiderCookie);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should require isFollowing', async () => {
+      const response = await request(app)
+        .patch(`/api/questions/${testQuestion}/follow`)
+        .set('Cookie', followerCookie)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/following', () => {
+    it('should list followed questions', async () => {
+      await follow(followerCookie);
+
+      const response = await request(app)
+        .get('/api/following')
+        .set('Cookie', followerCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.questions).toHaveLength(1);
+      expect(response.body.questions[0]).toMatchObject({
+        _id: testQuestion.toString(),
+        title: 'Dijkstra',
+        courseCode: 'CS545',
+        responseCount: 0,
+      });
+    });
+
+    it('should leave out questions in the trash', async () => {
+      await follow(followerCookie);
+      await request(app)
+        .delete(`/api/questions/${testQuestion}`)
+        .set('Cookie', posterCookie);
+
+      const response = await request(app)
+        .get('/api/following')
+        .set('Cookie', followerCookie);
+
+      expect(response.body.questions).toEqual([]);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/following');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Follower notifications', () => {
+    it('should follow a question when answering it and notify followers', async () => {
+      await follow(followerCookie);
+
+      const response = await request(app)
+        .post('/api/responses')
+        .set('Cookie', answererCookie)
+        .send({
+          questionId: testQuestion.toString(),
+          content: 'It assumes paths only get longer.',
+        });
+      expect(response.status).toBe(201);
+
+      const follows = await db
+        .collection('follows')
+        .find({ studentId: answerer })
+        .toArray();
+      expect(follows).toHaveLength(1);
+
+      const followerNotifications = await notificationsFor(follower);
+      expect(followerNotifications.map((n) => n.type)).toEqual([
+        'followed_response',
+      ]);
+      // The poster gets their own new_response notification only
+      const posterNotifications = await notificationsFor(poster);
+      expect(posterNotifications.map((n) => n.type)).toEqual(['new_response']);
+    });
+
+    it('should notify followers of edits and resolution', async () => {
+      await follow(followerCookie);
+
+      await request(app)
+        .patch(`/api/questions/${testQuestion}`)
+        .set('Cookie', posterCookie)
+        .send({ content: 'Why does it fail with negative edge weights?' });
+      await request(app)
+        .patch(`/api/questions/${testQuestion}`)
+        .set('Cookie', posterCookie)
+        .send({ isResolved: true });
+
+      const notifications = await notificationsFor(follower);
+      expect(notifications.map((n) => n.type).sort()).toEqual([
+        'question_edited',
+        'question_resolved',
+      ]);
+    });
+
+    it('should not notify the student who made the change', async () => {
+      await follow(posterCookie);
+
+      await request(app)
+        .patch(`/api/questions/${testQuestion}`)
+        .set('Cookie', posterCookie)
+        .send({ isResolved: true });
+
+      expect(await notificationsFor(poster)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Integration Tests for Markdown Routes
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import app from '../../app.js';
+
+describe('Markdown Routes', () => {
+  let db;
+  let authCookie;
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+
+    await db.collection('students').deleteMany({});
+    await db.collection('students').insertOne({
+      firstName: 'Test',
+      lastName: 'Student',
+      universityEmail: 'test.student@stevens.edu',
+      hashedPassword: await bcrypt.hash('password123', 10),
+      major: 'Computer Science',
+      age: 20,
+      enrolledCourses: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    const login = await request(app).post('/api/auth/login').send({
+      universityEmail: 'test.student@stevens.edu',
+      password: 'password123',
+    });
+    authCookie = login.headers['set-cookie'];
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await closeConnection();
+  });
+
+  describe('POST /api/markdown/preview', () => {
+    const preview = (content) =>
+      request(app)
+        .post('/api/markdown/preview')
+        .set('Cookie', authCookie)
+        .send({ content });
+
+    it('should render Markdown, code and math', async () => {
+      const response = await preview(
+        '# Heading\n\n```python\nprint("hi")\n```\n\n$$\\sum_{i=1}^n i$$'
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.html).toContain('<h1>Heading</h1>');
+      expect(response.body.html).toContain('class="hljs language-python"');
+      expect(response.body.html).toContain('class="katex-display"');
+    });
+
+    it('should not pass through raw HTML or script URLs', async () => {
+      const response = await preview(
+        '<img src=x onerror="alert(1)">\n\n[link](javascript:alert(1))'
+      );
+
+      expect(response.body.html).not.toContain('<img');
+      expect(response.body.html).not.toContain('javascript:');
+      expect(response.body.html).toContain('&lt;img');
+    });
+
+    it('should open links in a new tab without referrer', async () => {
+      const response = await preview('[docs](https://developer.mozilla.org)');
+
+      expect(response.body.html).toContain(
+        'rel="noopener noreferrer nofollow"'
+      );
+    });
+
+    it('should leave prices as text', async () => {
+      const response = await preview('It costs $5 or $10.');
+
+      expect(response.body.html).toBe('<p>It costs $5 or $10.</p>\n');
+    });
+
+    it('should return 400 for content over 2000 characters', async () => {
+      const response = await preview('a'.repeat(2001));
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/markdown/preview')
+        .send({ content: 'Hi' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
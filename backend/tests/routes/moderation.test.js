@@ -0,0 +1,400 @@
+/**
+ * Integration Tests for Moderation Routes
+ * The report queue, moderator actions and their effect on what students see,
+ * and the audit trail
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import app from '../../app.js';
+
+describe('Moderation Routes', () => {
+  let db;
+  let testCourse;
+  let testQuestion;
+  let testResponse;
+  let poster;
+  let reporter;
+  let ta;
+  let posterCookie;
+  let reporterCookie;
+  let taCookie;
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('reports').deleteMany({});
+    await db.collection('moderationActions').deleteMany({});
+    await db.collection('notificationPreferences').deleteMany({});
+    await db.collection('votes').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('reports').deleteMany({});
+    await db.collection('notificationPreferences').deleteMany({});
+    await db.collection('moderationActions').deleteMany({});
+    await db.collection('votes').deleteMany({});
+
+    const hashedPassword = await bcrypt.hash('password123', 10);
+
+    const students = await Promise.all(
+      ['test.poster', 'test.reporter', 'test.ta'].map((name) =>
+        db.collection('students').insertOne({
+          firstName: name.split('.')[1],
+          lastName: 'Student',
+          universityEmail: `${name}@stevens.edu`,
+          hashedPassword,
+          major: 'Computer Science',
+          age: 20,
+          enrolledCourses: [],
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        })
+      )
+    );
+    [poster, reporter, ta] = students.map((s) => s.insertedId);
+
+    const courseResult = await db.collection('courses').insertOne({
+      courseCode: 'CS545',
+      courseName: 'Human Computer Interaction',
+      section: 'WS',
+      department: 'Computer Science',
+      instructorName: 'Dr. Gregg Vesonder',
+      instructorEmail: 'gvesonde@stevens.edu',
+      term: 'Fall 2025',
+      enrolledStudents: [poster, reporter],
+      teachingAssistants: [ta],
+      createdAt: new Date(),
+    });
+    testCourse = courseResult.insertedId;
+
+    const questionResult = await db.collection('questions').insertOne({
+      courseId: testCourse,
+      posterId: poster,
+      title: 'Who else thinks this course is a joke?',
+      content: 'Rant about the instructor',
+      isAnonymous: false,
+      isResolved: false,
+      acceptedResponseId: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testQuestion = questionResult.insertedId;
+
+    const responseResult = await db.collection('responses').insertOne({
+      questionId: testQuestion,
+      posterId: poster,
+      content: 'Still ranting',
+      isAnonymous: false,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testResponse = responseResult.insertedId;
+
+    const login = async (universityEmail) => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ universityEmail, password: 'password123' });
+      return response.headers['set-cookie'];
+    };
+    posterCookie = await login('test.poster@stevens.edu');
+    reporterCookie = await login('test.reporter@stevens.edu');
+    taCookie = await login('test.ta@stevens.edu');
+
+    await request(app).post('/api/reports').set('Cookie', reporterCookie).send({
+      targetType: 'question',
+      targetId: testQuestion.toString(),
+      reason: 'harassment',
+    });
+  });
+
+  const moderate = (cookie, body) =>
+    request(app)
+      .post(`/api/moderation/${testCourse}/actions`)
+      .set('Cookie', cookie)
+      .send({
+        targetType: 'question',
+        targetId: testQuestion.toString(),
+        ...body,
+      });
+
+  describe('GET /api/moderation/:courseId/reports', () => {
+    it('should list reported posts for course staff', async () => {
+      const response = await request(app)
+        .get(`/api/moderation/${testCourse}/reports`)
+        .set('Cookie', taCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.items).toHaveLength(1);
+      expect(response.body.items[0]).toMatchObject({
+        targetType: 'question',
+        targetId: testQuestion.toString(),
+        authorName: 'poster Student',
+        reportCount: 1,
+        reasons: { harassment: 1 },
+      });
+      expect(response.body.items[0].reports[0].reporterName).toBe(
+        'reporter Student'
+      );
+    });
+
+    it('should reject students', async () => {
+      const response = await request(app)
+        .get(`/api/moderation/${testCourse}/reports`)
+        .set('Cookie', reporterCookie);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/moderation/:courseId/actions', () => {
+    it('should hide a question from other students and close its reports', async () => {
+      const response = await moderate(taCookie, {
+        action: 'hide',
+        note: 'Personal attack',
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.action).toMatchObject({
+        action: 'hide',
+        note: 'Personal attack',
+        reportCount: 1,
+      });
+
+      const list = await request(app)
+        .get(`/api/questions/${testCourse}`)
+        .set('Cookie', reporterCookie);
+      expect(list.body.questions).toEqual([]);
+
+      const detail = await request(app)
+        .get(`/api/questions/detail/${testQuestion}`)
+        .set('Cookie', reporterCookie);
+      expect(detail.status).toBe(404);
+
+      // The poster and staff still see it
+      const posterDetail = await request(app)
+        .get(`/api/questions/detail/${testQuestion}`)
+        .set('Cookie', posterCookie);
+      expect(posterDetail.body.question.hiddenAt).toBeTruthy();
+      const staffList = await request(app)
+        .get(`/api/questions/${testCourse}`)
+        .set('Cookie', taCookie);
+      expect(staffList.body.questions).toHaveLength(1);
+
+      const queue = await request(app)
+        .get(`/api/moderation/${testCourse}/reports`)
+        .set('Cookie', taCookie);
+      expect(queue.body.items).toEqual([]);
+    });
+
+    it('should hide a response from other students', async () => {
+      await moderate(taCookie, {
+        action: 'hide',
+        targetType: 'response',
+        targetId: testResponse.toString(),
+      });
+
+      const responses = await request(app)
+        .get(`/api/responses/${testQuestion}`)
+        .set('Cookie', reporterCookie);
+
+      expect(responses.status).toBe(200);
+      expect(responses.body.responses).toEqual([]);
+    });
+
+    it('should stop other students answering or voting on a hidden question', async () => {
+      await moderate(taCookie, { action: 'hide' });
+
+      const response = await request(app)
+        .post('/api/responses')
+        .set('Cookie', reporterCookie)
+        .send({ questionId: testQuestion.toString(), content: 'Me too' });
+      expect(response.status).toBe(404);
+
+      const questionVote = await request(app)
+        .patch(`/api/questions/${testQuestion}/vote`)
+        .set('Cookie', reporterCookie)
+        .send({ value: 1 });
+      expect(questionVote.status).toBe(404);
+
+      const responseVote = await request(app)
+        .patch(`/api/responses/${testResponse}/vote`)
+        .set('Cookie', reporterCookie)
+        .send({ value: 1 });
+      expect(responseVote.status).toBe(404);
+
+      const votes = await db.collection('votes').countDocuments({});
+      expect(votes).toBe(0);
+      const notifications = await db
+        .collection('notifications')
+        .countDocuments({ type: 'new_response' });
+      expect(notifications).toBe(0);
+    });
+
+    it('should stop other students voting on a hidden response', async () => {
+      await moderate(taCookie, {
+        action: 'hide',
+        targetType: 'response',
+        targetId: testResponse.toString(),
+      });
+
+      const response = await request(app)
+        .patch(`/api/responses/${testResponse}/vote`)
+        .set('Cookie', reporterCookie)
+        .send({ value: -1 });
+      expect(response.status).toBe(404);
+    });
+
+    it('should stop students responding in a locked thread', async () => {
+      await moderate(taCookie, { action: 'lock' });
+
+      const response = await request(app)
+        .post('/api/responses')
+        .set('Cookie', reporterCookie)
+        .send({ questionId: testQuestion.toString(), content: 'Me too' });
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('This thread is locked');
+
+      const comment = await request(app)
+        .post('/api/comments')
+        .set('Cookie', reporterCookie)
+        .send({
+          targetType: 'question',
+          targetId: testQuestion.toString(),
+          content: 'Me too',
+        });
+      expect(comment.status).toBe(403);
+
+      const staffResponse = await request(app)
+        .post('/api/responses')
+        .set('Cookie', taCookie)
+        .send({
+          questionId: testQuestion.toString(),
+          content: 'Locking this thread.',
+        });
+      expect(staffResponse.status).toBe(201);
+    });
+
+    it('should not lock a response', async () => {
+      const response = await moderate(taCookie, {
+        action: 'lock',
+        targetType: 'response',
+        targetId: testResponse.toString(),
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should move a deleted post to the moderator trash', async () => {
+      const response = await moderate(taCookie, { action: 'delete' });
+      expect(response.status).toBe(201);
+
+      const trash = await request(app)
+        .get('/api/trash')
+        .set('Cookie', taCookie);
+      expect(trash.body.items.map((item) => item.questionId)).toEqual([
+        testQuestion.toString(),
+      ]);
+    });
+
+    it('should warn the author with a notification', async () => {
+      const response = await moderate(taCookie, {
+        action: 'warn',
+        note: 'Please keep discussion respectful.',
+      });
+      expect(response.status).toBe(201);
+
+      const notifications = await db
+        .collection('notifications')
+        .find({ recipientId: poster })
+        .toArray();
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].type).toBe('moderation_warning');
+      expect(notifications[0].message).toContain(
+        'Please keep discussion respectful.'
+      );
+    });
+
+    it('should warn an author who muted notifications', async () => {
+      await db.collection('notificationPreferences').insertOne({
+        studentId: poster,
+        muted: true,
+        updatedAt: new Date(),
+      });
+
+      await moderate(taCookie, {
+        action: 'warn',
+        note: 'Please keep discussion respectful.',
+      });
+
+      const notifications = await db
+        .collection('notifications')
+        .find({ recipientId: poster })
+        .toArray();
+      expect(notifications).toHaveLength(1);
+    });
+
+    it('should require a message to warn', async () => {
+      const response = await moderate(taCookie, { action: 'warn' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should dismiss reports on a post already in the trash', async () => {
+      await request(app)
+        .delete(`/api/questions/${testQuestion}`)
+        .set('Cookie', posterCookie);
+
+      const hide = await moderate(taCookie, { action: 'hide' });
+      expect(hide.status).toBe(404);
+
+      const dismiss = await moderate(taCookie, { action: 'dismiss' });
+      expect(dismiss.status).toBe(201);
+      const report = await db.collection('reports').findOne();
+      expect(report.status).toBe('dismissed');
+    });
+
+    it('should reject students', async () => {
+      const response = await moderate(reporterCookie, { action: 'hide' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/moderation/:courseId/log', () => {
+    it('should list actions newest first', async () => {
+      await moderate(taCookie, { action: 'lock' });
+      await moderate(taCookie, { action: 'unlock' });
+
+      const response = await request(app)
+        .get(`/api/moderation/${testCourse}/log`)
+        .set('Cookie', taCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.actions.map((entry) => entry.action)).toEqual([
+        'unlock',
+        'lock',
+      ]);
+      expect(response.body.actions[0].moderatorName).toBe('ta Student');
+      expect(response.body.nextCursor).toBeNull();
+    });
+  });
+});
@@ -28,6 +28,7 @@ describe('Notifications Routes', () => {
   afterAll(async () => {
     await db.collection('students').deleteMany({});
     await db.collection('notifications').deleteMany({});
+    await db.collection('notificationPreferences').deleteMany({});
     await closeConnection();
   });
 
@@ -35,6 +36,7 @@ describe('Notifications Routes', () => {
     // Clear collections
     await db.collection('students').deleteMany({});
     await db.collection('notifications').deleteMany({});
+    await db.collection('notificationPreferences').deleteMany({});
 
     // Create test student
     const hashedPassword = await bcrypt.hash('password123', 10);
@@ -112,6 +114,47 @@ describe('Notifications Routes', () => {
       expect(response.body.notifications).toHaveLength(3);
     });
 
+    it('should include the unread count', async () => {
+      const response = await request(app)
+        .get('/api/notifications?unreadOnly=false&limit=1')
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.notifications).toHaveLength(1);
+      expect(response.body.unreadCount).toBe(2);
+    });
+
+    it('should page through notifications with limit and cursor', async () => {
+      const firstPage = await request(app)
+        .get('/api/notifications?unreadOnly=false&limit=2')
+        .set('Cookie', authCookie);
+
+      expect(firstPage.body.notifications.map((n) => n.message)).toEqual([
+        'Someone replied to your question',
+        'Another reply',
+      ]);
+      expect(firstPage.body.nextCursor).toEqual(expect.any(String));
+
+      const secondPage = await request(app)
+        .get(
+          `/api/notifications?unreadOnly=false&limit=2&cursor=${firstPage.body.nextCursor}`
+        )
+        .set('Cookie', authCookie);
+
+      expect(secondPage.body.notifications.map((n) => n.message)).toEqual([
+        'Old notification',
+      ]);
+      expect(secondPage.body.nextCursor).toBeNull();
+    });
+
+    it('should reject an out-of-range limit', async () => {
+      const response = await request(app)
+        .get('/api/notifications?limit=0')
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(400);
+    });
+
     it('should require authentication', async () => {
       const response = await request(app).get('/api/notifications');
 
@@ -182,4 +225,78 @@ describe('Notifications Routes', () => {
       expect(response.status).toBe(401);
     });
   });
+
+  describe('GET /api/notifications/preferences', () => {
+    it('should return the defaults for a student who changed nothing', async () => {
+      const response = await request(app)
+        .get('/api/notifications/preferences')
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.preferences).toEqual({
+        muted: false,
+        disabledTypes: [],
+        mutedCourseIds: [],
+        newQuestionCourseIds: [],
+        emailFrequency: 'off',
+        lastDigestAt: null,
+      });
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/notifications/preferences');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('PATCH /api/notifications/preferences', () => {
+    it('should update only the settings sent', async () => {
+      const courseId = new ObjectId().toString();
+
+      await request(app)
+        .patch('/api/notifications/preferences')
+        .set('Cookie', authCookie)
+        .send({ emailFrequency: 'daily' });
+      const response = await request(app)
+        .patch('/api/notifications/preferences')
+        .set('Cookie', authCookie)
+        .send({ disabledTypes: ['new_comment'], mutedCourseIds: [courseId] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.preferences).toMatchObject({
+        muted: false,
+        disabledTypes: ['new_comment'],
+        mutedCourseIds: [courseId],
+        emailFrequency: 'daily',
+      });
+    });
+
+    it('should reject unknown notification types', async () => {
+      const response = await request(app)
+        .patch('/api/notifications/preferences')
+        .set('Cookie', authCookie)
+        .send({ disabledTypes: ['new_response', 'everything'] });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject an unknown email frequency', async () => {
+      const response = await request(app)
+        .patch('/api/notifications/preferences')
+        .set('Cookie', authCookie)
+        .send({ emailFrequency: 'hourly' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject invalid course IDs', async () => {
+      const response = await request(app)
+        .patch('/api/notifications/preferences')
+        .set('Cookie', authCookie)
+        .send({ mutedCourseIds: ['not-an-id'] });
+
+      expect(response.status).toBe(400);
+    });
+  });
 });
@@ -0,0 +1,295 @@
+/**
+ * Integration Tests for Private Questions
+ * Questions only their poster and course staff can see, and staff making
+ * them public to the course
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import app from '../../app.js';
+
+describe('Private Questions', () => {
+  let db;
+  let testCourse;
+  let student;
+  let ta;
+  let studentCookie;
+  let peerCookie;
+  let taCookie;
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('comments').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('pseudonyms').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('comments').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('pseudonyms').deleteMany({});
+
+    const hashedPassword = await bcrypt.hash('password123', 10);
+
+    const students = await Promise.all(
+      ['test.student', 'test.peer', 'test.ta'].map((name) =>
+        db.collection('students').insertOne({
+          firstName: name.split('.')[1],
+          lastName: 'Student',
+          universityEmail: `${name}@stevens.edu`,
+          hashedPassword,
+          major: 'Computer Science',
+          age: 20,
+          enrolledCourses: [],
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        })
+      )
+    );
+    const peer = students[1].insertedId;
+    student = students[0].insertedId;
+    ta = students[2].insertedId;
+
+    const courseResult = await db.collection('courses').insertOne({
+      courseCode: 'CS545',
+      courseName: 'Human Computer Interaction',
+      section: 'WS',
+      department: 'Computer Science',
+      instructorName: 'Dr. Gregg Vesonder',
+      instructorEmail: 'gvesonde@stevens.edu',
+      term: 'Fall 2025',
+      enrolledStudents: [student, peer],
+      teachingAssistants: [ta],
+      createdAt: new Date(),
+    });
+    testCourse = courseResult.insertedId;
+
+    const login = async (universityEmail) => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ universityEmail, password: 'password123' });
+      return response.headers['set-cookie'];
+    };
+    studentCookie = await login('test.student@stevens.edu');
+    peerCookie = await login('test.peer@stevens.edu');
+    taCookie = await login('test.ta@stevens.edu');
+  });
+
+  const askPrivateQuestion = (body) =>
+    request(app)
+      .post('/api/questions')
+      .set('Cookie', studentCookie)
+      .send({
+        courseId: testCourse.toString(),
+        title: 'Why did I lose points on homework 2?',
+        content: 'Here is the code I submitted.',
+        visibility: 'staff',
+        ...body,
+      });
+
+  const makePublic = (questionId, cookie, body) =>
+    request(app)
+      .patch(`/api/questions/${questionId}/visibility`)
+      .set('Cookie', cookie)
+      .send({ visibility: 'public', ...body });
+
+  describe('POST /api/questions', () => {
+    it('should create a private question and notify only course staff', async () => {
+      const response = await askPrivateQuestion();
+
+      expect(response.status).toBe(201);
+      expect(response.body.question.visibility).toBe('staff');
+
+      const notifications = await db
+        .collection('notifications')
+        .find({})
+        .toArray();
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].recipientId.toString()).toBe(ta.toString());
+      expect(notifications[0].type).toBe('private_question');
+    });
+
+    it('should default to a public question', async () => {
+      const response = await askPrivateQuestion({ visibility: undefined });
+
+      expect(response.body.question.visibility).toBe('public');
+    });
+
+    it('should return 400 for an invalid visibility', async () => {
+      const response = await askPrivateQuestion({ visibility: 'secret' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Reading a private question', () => {
+    let questionId;
+
+    beforeEach(async () => {
+      const created = await askPrivateQuestion();
+      questionId = created.body.question._id;
+    });
+
+    it('should be visible to its poster and course staff only', async () => {
+      const getQuestion = (cookie) =>
+        request(app)
+          .get(`/api/questions/detail/${questionId}`)
+          .set('Cookie', cookie);
+
+      expect((await getQuestion(studentCookie)).status).toBe(200);
+      expect((await getQuestion(taCookie)).status).toBe(200);
+      expect((await getQuestion(peerCookie)).status).toBe(404);
+    });
+
+    it('should be left out of the course list for other students', async () => {
+      const listFor = async (cookie) =>
+        (
+          await request(app)
+            .get(`/api/questions/${testCourse}`)
+            .set('Cookie', cookie)
+        ).body.questions.map((q) => q._id);
+
+      expect(await listFor(peerCookie)).toEqual([]);
+      expect(await listFor(studentCookie)).toEqual([questionId]);
+      expect(await listFor(taCookie)).toEqual([questionId]);
+    });
+
+    it('should hide its responses and comments from other students', async () => {
+      const responses = await request(app)
+        .get(`/api/responses/${questionId}`)
+        .set('Cookie', peerCookie);
+      const comments = await request(app)
+        .get(`/api/comments/${questionId}`)
+        .set('Cookie', peerCookie);
+
+      expect(responses.status).toBe(404);
+      expect(comments.status).toBe(404);
+    });
+
+    it('should not let other students respond, comment or vote', async () => {
+      const respond = await request(app)
+        .post('/api/responses')
+        .set('Cookie', peerCookie)
+        .send({ questionId, content: 'Ask the TA.' });
+      const comment = await request(app)
+        .post('/api/comments')
+        .set('Cookie', peerCookie)
+        .send({ targetType: 'question', targetId: questionId, content: 'Hm' });
+      const vote = await request(app)
+        .patch(`/api/questions/${questionId}/vote`)
+        .set('Cookie', peerCookie)
+        .send({ value: 1 });
+
+      expect(respond.status).toBe(404);
+      expect(comment.status).toBe(404);
+      expect(vote.status).toBe(404);
+    });
+
+    it('should let course staff respond', async () => {
+      const response = await request(app)
+        .post('/api/responses')
+        .set('Cookie', taCookie)
+        .send({ questionId, content: 'You missed the edge case.' });
+
+      expect(response.status).toBe(201);
+    });
+  });
+
+  describe('PATCH /api/questions/:questionId/visibility', () => {
+    let questionId;
+
+    beforeEach(async () => {
+      const created = await askPrivateQuestion();
+      questionId = created.body.question._id;
+      await db.collection('notifications').deleteMany({});
+    });
+
+    it('should make the question public and notify its poster', async () => {
+      const response = await makePublic(questionId, taCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.question.visibility).toBe('public');
+
+      const asPeer = await request(app)
+        .get(`/api/questions/detail/${questionId}`)
+        .set('Cookie', peerCookie);
+      expect(asPeer.status).toBe(200);
+      expect(asPeer.body.question.posterName).toBe('student Student');
+
+      const notification = await db.collection('notifications').findOne({});
+      expect(notification.recipientId.toString()).toBe(student.toString());
+      expect(notification.type).toBe('question_made_public');
+    });
+
+    it('should hide the poster from students when anonymized', async () => {
+      await request(app)
+        .post('/api/responses')
+        .set('Cookie', studentCookie)
+        .send({ questionId, content: 'I also tried recursion.' });
+
+      const response = await makePublic(questionId, taCookie, {
+        anonymize: true,
+      });
+      const { pseudonym } = response.body.question;
+
+      expect(response.status).toBe(200);
+      expect(pseudonym).toMatch(/^Anonymous [A-Z][a-z]+$/);
+
+      const asPeer = await request(app)
+        .get(`/api/questions/detail/${questionId}`)
+        .set('Cookie', peerCookie);
+      expect(asPeer.body.question.posterName).toBe(pseudonym);
+      expect(asPeer.body.question.posterId).toBeUndefined();
+
+      const responses = await request(app)
+        .get(`/api/responses/${questionId}`)
+        .set('Cookie', peerCookie);
+      expect(responses.body.responses[0].posterName).toBe(pseudonym);
+
+      // Staff already knew who asked
+      const asStaff = await request(app)
+        .get(`/api/questions/detail/${questionId}`)
+        .set('Cookie', taCookie);
+      expect(asStaff.body.question.posterName).toBe('student Student');
+    });
+
+    it('should return 400 for a question that is already public', async () => {
+      await makePublic(questionId, taCookie);
+
+      const response = await makePublic(questionId, taCookie);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 400 when asked to make a question private', async () => {
+      const response = await makePublic(questionId, taCookie, {
+        visibility: 'staff',
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 403 for students', async () => {
+      const response = await makePublic(questionId, studentCookie);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
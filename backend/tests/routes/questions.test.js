@@ -32,6 +32,7 @@ describe('Questions Routes', () => {
     await db.collection('students').deleteMany({});
     await db.collection('courses').deleteMany({});
     await db.collection('questions').deleteMany({});
+    await db.collection('votes').deleteMany({});
     await closeConnection();
   });
 
@@ -40,6 +41,7 @@ describe('Questions Routes', () => {
     await db.collection('students').deleteMany({});
     await db.collection('courses').deleteMany({});
     await db.collection('questions').deleteMany({});
+    await db.collection('votes').deleteMany({});
 
     // Create test course
     const courseResult = await db.collection('courses').insertOne({
@@ -84,6 +86,14 @@ describe('Questions Routes', () => {
     });
     otherStudent = student2Result.insertedId;
 
+    // Course membership is read from the course document
+    await db
+      .collection('courses')
+      .updateOne(
+        { _id: testCourse },
+        { $set: { enrolledStudents: [testStudent, otherStudent] } }
+      );
+
     // Login both students
     const login1 = await request(app).post('/api/auth/login').send({
       universityEmail: 'test.student@stevens.edu',
@@ -108,6 +118,7 @@ describe('Questions Routes', () => {
           posterId: testStudent,
           title: 'Question 1 - Newest',
           content: 'Content 1',
+          tags: ['graphs', 'dijkstra'],
           isAnonymous: false,
           isResolved: false,
           createdAt: new Date(now.getTime()),
@@ -128,6 +139,7 @@ describe('Questions Routes', () => {
           posterId: otherStudent,
           title: 'Question 3 - Oldest',
           content: 'Content 3',
+          tags: ['graphs'],
           isAnonymous: true,
           isResolved: false,
           createdAt: new Date(now.getTime() - 4000),
@@ -178,6 +190,86 @@ describe('Questions Routes', () => {
       expect(response.body.questions.every((q) => !q.isResolved)).toBe(true);
     });
 
+    it('should combine a status filter with oldest-first order', async () => {
+      const response = await request(app)
+        .get(`/api/questions/${testCourse}?sort=oldest&status=unanswered`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.questions.map((q) => q.title)).toEqual([
+        'Question 3 - Oldest',
+        'Question 1 - Newest',
+      ]);
+    });
+
+    it('should only return questions with every requested tag', async () => {
+      const oneTag = await request(app)
+        .get(`/api/questions/${testCourse}?tags=graphs`)
+        .set('Cookie', authCookie);
+      const twoTags = await request(app)
+        .get(`/api/questions/${testCourse}?tags=Graphs,dijkstra`)
+        .set('Cookie', authCookie);
+
+      expect(oneTag.status).toBe(200);
+      expect(oneTag.body.questions.map((q) => q.title)).toEqual([
+        'Question 1 - Newest',
+        'Question 3 - Oldest',
+      ]);
+      expect(twoTags.body.questions.map((q) => q.title)).toEqual([
+        'Question 1 - Newest',
+      ]);
+    });
+
+    it('should reject an invalid tag filter', async () => {
+      const response = await request(app)
+        .get(`/api/questions/${testCourse}?tags=${encodeURIComponent('a/b')}`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should page through questions with limit and cursor', async () => {
+      const firstPage = await request(app)
+        .get(`/api/questions/${testCourse}?limit=2`)
+        .set('Cookie', authCookie);
+
+      expect(firstPage.status).toBe(200);
+      expect(firstPage.body.questions).toHaveLength(2);
+      expect(firstPage.body.nextCursor).toEqual(expect.any(String));
+
+      const secondPage = await request(app)
+        .get(
+          `/api/questions/${testCourse}?limit=2&cursor=${firstPage.body.nextCursor}`
+        )
+        .set('Cookie', authCookie);
+
+      expect(secondPage.status).toBe(200);
+      expect(secondPage.body.questions.map((q) => q.title)).toEqual([
+        'Question 3 - Oldest',
+      ]);
+      expect(secondPage.body.nextCursor).toBeNull();
+    });
+
+    it('should return a null nextCursor when everything fits on one page', async () => {
+      const response = await request(app)
+        .get(`/api/questions/${testCourse}`)
+        .set('Cookie', authCookie);
+
+      expect(response.body.nextCursor).toBeNull();
+    });
+
+    it('should reject an invalid cursor or limit', async () => {
+      const badCursor = await request(app)
+        .get(`/api/questions/${testCourse}?cursor=not-a-cursor`)
+        .set('Cookie', authCookie);
+      const badLimit = await request(app)
+        .get(`/api/questions/${testCourse}?limit=500`)
+        .set('Cookie', authCookie);
+
+      expect(badCursor.status).toBe(400);
+      expect(badLimit.status).toBe(400);
+    });
+
     it('should require authentication', async () => {
       const response = await request(app).get(`/api/questions/${testCourse}`);
 
@@ -206,6 +298,38 @@ describe('Questions Routes', () => {
       expect(response.body.question.isResolved).toBe(false);
     });
 
+    it('should store normalized tags without duplicates', async () => {
+      const response = await request(app)
+        .post('/api/questions')
+        .set('Cookie', authCookie)
+        .send({
+          courseId: testCourse.toString(),
+          title: 'How do I implement binary search?',
+          content: 'I am stuck on the recursive implementation.',
+          tags: ['Binary Search', 'recursion', 'Recursion'],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.question.tags).toEqual([
+        'binary-search',
+        'recursion',
+      ]);
+    });
+
+    it('should reject more than 5 tags', async () => {
+      const response = await request(app)
+        .post('/api/questions')
+        .set('Cookie', authCookie)
+        .send({
+          courseId: testCourse.toString(),
+          title: 'Test question',
+          content: 'Test content',
+          tags: ['a', 'b', 'c', 'd', 'e', 'f'],
+        });
+
+      expect(response.status).toBe(400);
+    });
+
     it('should reject title exceeding 200 characters', async () => {
       const response = await request(app)
         .post('/api/questions')
@@ -232,6 +356,40 @@ describe('Questions Routes', () => {
       expect(response.status).toBe(400);
     });
 
+    it('should notify students who opted in to new questions in the course', async () => {
+      await db.collection('notifications').deleteMany({});
+      await db.collection('notificationPreferences').deleteMany({});
+      await db.collection('notificationPreferences').insertMany([
+        { studentId: otherStudent, newQuestionCourseIds: [testCourse] },
+        // The poster is not notified of their own question
+        { studentId: testStudent, newQuestionCourseIds: [testCourse] },
+      ]);
+
+      const response = await request(app)
+        .post('/api/questions')
+        .set('Cookie', authCookie)
+        .send({
+          courseId: testCourse.toString(),
+          title: 'How do I implement binary search?',
+          content: 'I am stuck on the recursive implementation.',
+        });
+
+      expect(response.status).toBe(201);
+      const notifications = await db
+        .collection('notifications')
+        .find()
+        .toArray();
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0]).toMatchObject({
+        recipientId: otherStudent,
+        type: 'new_question',
+        message: 'New question in CS545: "How do I implement binary search?"',
+      });
+
+      await db.collection('notifications').deleteMany({});
+      await db.collection('notificationPreferences').deleteMany({});
+    });
+
     it('should require authentication', async () => {
       const response = await request(app).post('/api/questions').send({
         courseId: testCourse.toString(),
@@ -274,6 +432,16 @@ describe('Questions Routes', () => {
       expect(response.body.question.title).toBe('Updated Title');
     });
 
+    it('should replace the tags of a question', async () => {
+      const response = await request(app)
+        .patch(`/api/questions/${questionId}`)
+        .set('Cookie', authCookie)
+        .send({ tags: ['sorting'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.question.tags).toEqual(['sorting']);
+    });
+
     it('should allow marking as resolved', async () => {
       const response = await request(app)
         .patch(`/api/questions/${questionId}`)
@@ -294,6 +462,23 @@ describe('Questions Routes', () => {
       expect(response.body.error).toBe('You can only edit your own questions');
     });
 
+    it('should allow course staff to update any question', async () => {
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourse },
+          { $set: { teachingAssistants: [otherStudent] } }
+        );
+
+      const response = await request(app)
+        .patch(`/api/questions/${questionId}`)
+        .set('Cookie', otherAuthCookie)
+        .send({ isResolved: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.question.isResolved).toBe(true);
+    });
+
     it('should require authentication', async () => {
       const response = await request(app)
         .patch(`/api/questions/${questionId}`)
@@ -320,19 +505,25 @@ describe('Questions Routes', () => {
       questionId = result.insertedId;
     });
 
-    it('should delete question by poster', async () => {
+    it('should move question to trash by poster', async () => {
       const response = await request(app)
         .delete(`/api/questions/${questionId}`)
         .set('Cookie', authCookie);
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
+      expect(response.body.restoreUntil).toBeDefined();
 
-      // Verify deletion
+      // Kept, but hidden from the course
       const found = await db
         .collection('questions')
         .findOne({ _id: questionId });
-      expect(found).toBeNull();
+      expect(found.deletedAt).toBeInstanceOf(Date);
+
+      const detail = await request(app)
+        .get(`/api/questions/detail/${questionId}`)
+        .set('Cookie', authCookie);
+      expect(detail.status).toBe(404);
     });
 
     it('should reject deletion by non-poster', async () => {
@@ -343,6 +534,33 @@ describe('Questions Routes', () => {
       expect(response.status).toBe(403);
     });
 
+    it('should allow course staff to delete any question', async () => {
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourse },
+          { $set: { instructors: [otherStudent] } }
+        );
+
+      const response = await request(app)
+        .delete(`/api/questions/${questionId}`)
+        .set('Cookie', otherAuthCookie);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should allow admins to delete any question', async () => {
+      await db
+        .collection('students')
+        .updateOne({ _id: otherStudent }, { $set: { role: 'admin' } });
+
+      const response = await request(app)
+        .delete(`/api/questions/${questionId}`)
+        .set('Cookie', otherAuthCookie);
+
+      expect(response.status).toBe(200);
+    });
+
     it('should require authentication', async () => {
       const response = await request(app).delete(
         `/api/questions/${questionId}`
@@ -351,4 +569,538 @@ describe('Questions Routes', () => {
       expect(response.status).toBe(401);
     });
   });
+
+  describe('PATCH /api/questions/:questionId/vote', () => {
+    let questionId;
+
+    beforeEach(async () => {
+      const result = await db.collection('questions').insertOne({
+        courseId: testCourse,
+        posterId: testStudent,
+        title: 'Vote on me',
+        content: 'Content',
+        isAnonymous: false,
+        isResolved: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      questionId = result.insertedId;
+    });
+
+    it('should record a vote and return the new score', async () => {
+      const response = await request(app)
+        .patch(`/api/questions/${questionId}/vote`)
+        .set('Cookie', otherAuthCookie)
+        .send({ value: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.score).toBe(1);
+      expect(response.body.myVote).toBe(1);
+    });
+
+    it('should show the score, vote and reputation when listing', async () => {
+      await request(app)
+        .patch(`/api/questions/${questionId}/vote`)
+        .set('Cookie', otherAuthCookie)
+        .send({ value: -1 });
+
+      const response = await request(app)
+        .get(`/api/questions/${testCourse}?sort=top`)
+        .set('Cookie', otherAuthCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.questions[0].score).toBe(-1);
+      expect(response.body.questions[0].myVote).toBe(-1);
+      expect(response.body.questions[0].posterReputation).toBe(-1);
+    });
+
+    it('should reject votes on your own question', async () => {
+      const response = await request(app)
+        .patch(`/api/questions/${questionId}/vote`)
+        .set('Cookie', authCookie)
+        .send({ value: 1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('You cannot vote on your own post');
+    });
+
+    it('should reject an invalid vote value', async () => {
+      const response = await request(app)
+        .patch(`/api/questions/${questionId}/vote`)
+        .set('Cookie', otherAuthCookie)
+        .send({ value: 5 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .patch(`/api/questions/${questionId}/vote`)
+        .send({ value: 1 });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/questions/:courseId/similar', () => {
+    let questionId;
+
+    beforeEach(async () => {
+      const result = await db.collection('questions').insertOne({
+        courseId: testCourse,
+        posterId: testStudent,
+        title: 'Binary search off by one',
+        content: 'My loop never ends',
+        isAnonymous: false,
+        isResolved: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      questionId = result.insertedId;
+    });
+
+    it('should return questions similar to a draft title', async () => {
+      const response = await request(app)
+        .get(`/api/questions/${testCourse}/similar`)
+        .query({ q: 'binary search is off by one' })
+        .set('Cookie', otherAuthCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.questions).toHaveLength(1);
+      expect(response.body.questions[0]._id).toBe(questionId.toString());
+      expect(response.body.questions[0].highlights.title).toBeDefined();
+    });
+
+    it('should leave out the question being edited', async () => {
+      const response = await request(app)
+        .get(`/api/questions/${testCourse}/similar`)
+        .query({ q: 'binary search', excludeId: questionId.toString() })
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.questions).toEqual([]);
+    });
+
+    it('should require a query', async () => {
+      const response = await request(app)
+        .get(`/api/questions/${testCourse}/similar`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PATCH /api/questions/:questionId/duplicate', () => {
+    let originalId;
+    let duplicateId;
+
+    const insertQuestion = async (fields) => {
+      const result = await db.collection('questions').insertOne({
+        courseId: testCourse,
+        posterId: testStudent,
+        content: 'Content',
+        isAnonymous: false,
+        isResolved: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        ...fields,
+      });
+      return result.insertedId;
+    };
+
+    beforeEach(async () => {
+      originalId = await insertQuestion({ title: 'How do pointers work?' });
+      duplicateId = await insertQuestion({ title: 'Pointers explained?' });
+
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourse },
+          { $set: { teachingAssistants: [otherStudent] } }
+        );
+    });
+
+    afterEach(async () => {
+      await db.collection('notifications').deleteMany({});
+    });
+
+    it('should let course staff mark a duplicate', async () => {
+      const response = await request(app)
+        .patch(`/api/questions/${duplicateId}/duplicate`)
+        .set('Cookie', otherAuthCookie)
+        .send({ duplicateOfId: originalId.toString() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.question.duplicateOfId).toBe(originalId.toString());
+      expect(response.body.question.duplicateOf.title).toBe(
+        'How do pointers work?'
+      );
+
+      const notification = await db
+        .collection('notifications')
+        .findOne({ recipientId: testStudent, type: 'marked_duplicate' });
+      expect(notification).not.toBeNull();
+
+      // The original lists its duplicates
+      const detail = await request(app)
+        .get(`/api/questions/detail/${originalId}`)
+        .set('Cookie', authCookie);
+      expect(detail.body.question.duplicates).toEqual([
+        { _id: duplicateId.toString(), title: 'Pointers explained?' },
+      ]);
+    });
+
+    it('should leave private and hidden duplicates out for students', async () => {
+      await insertQuestion({
+        title: 'Private pointers question',
+        posterId: otherStudent,
+        visibility: 'staff',
+        duplicateOfId: originalId,
+      });
+      await insertQuestion({
+        title: 'Hidden pointers question',
+        posterId: otherStudent,
+        hiddenAt: new Date(),
+        duplicateOfId: originalId,
+      });
+
+      const detail = await request(app)
+        .get(`/api/questions/detail/${originalId}`)
+        .set('Cookie', authCookie);
+      expect(detail.body.question.duplicates).toEqual([]);
+
+      const staffDetail = await request(app)
+        .get(`/api/questions/detail/${originalId}`)
+        .set('Cookie', otherAuthCookie);
+      expect(staffDetail.body.question.duplicates).toHaveLength(2);
+    });
+
+    it('should reject marking a public question a duplicate of a private one', async () => {
+      const privateId = await insertQuestion({
+        title: 'Private pointers question',
+        visibility: 'staff',
+      });
+
+      const response = await request(app)
+        .patch(`/api/questions/${duplicateId}/duplicate`)
+        .set('Cookie', otherAuthCookie)
+        .send({ duplicateOfId: privateId.toString() });
+
+      expect(response.status).toBe(400);
+      const notification = await db
+        .collection('notifications')
+        .findOne({ type: 'marked_duplicate' });
+      expect(notification).toBeNull();
+    });
+
+    it('should clear a duplicate mark', async () => {
+      await db
+        .collection('questions')
+        .updateOne(
+          { _id: duplicateId },
+          { $set: { duplicateOfId: originalId } }
+        );
+
+      const response = await request(app)
+        .patch(`/api/questions/${duplicateId}/duplicate`)
+        .set('Cookie', otherAuthCookie)
+        .send({ duplicateOfId: null });
+
+      expect(response.status).toBe(200);
+      expect(response.body.question.duplicateOf).toBeNull();
+    });
+
+    it('should reject students who are not course staff', async () => {
+      const response = await request(app)
+        .patch(`/api/questions/${duplicateId}/duplicate`)
+        .set('Cookie', authCookie)
+        .send({ duplicateOfId: originalId.toString() });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject marking a question as its own duplicate', async () => {
+      const response = await request(app)
+        .patch(`/api/questions/${duplicateId}/duplicate`)
+        .set('Cookie', otherAuthCookie)
+        .send({ duplicateOfId: duplicateId.toString() });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject an original that is itself a duplicate', async () => {
+      const thirdId = await insertQuestion({
+        title: 'Pointer basics',
+        duplicateOfId: originalId,
+      });
+
+      const response = await request(app)
+        .patch(`/api/questions/${duplicateId}/duplicate`)
+        .set('Cookie', otherAuthCookie)
+        .send({ duplicateOfId: thirdId.toString() });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for an original in another course', async () => {
+      const otherCourseQuestion = await insertQuestion({
+        title: 'Elsewhere',
+        courseId: new ObjectId(),
+      });
+
+      const response = await request(app)
+        .patch(`/api/questions/${duplicateId}/duplicate`)
+        .set('Cookie', otherAuthCookie)
+        .send({ duplicateOfId: otherCourseQuestion.toString() });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/questions/:questionId/endorsed', () => {
+    let questionId;
+
+    beforeEach(async () => {
+      const result = await db.collection('questions').insertOne({
+        courseId: testCourse,
+        posterId: testStudent,
+        title: 'How do pointers work?',
+        content: 'Content',
+        isAnonymous: false,
+        isResolved: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      questionId = result.insertedId;
+
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourse },
+          { $set: { teachingAssistants: [otherStudent] } }
+        );
+    });
+
+    afterEach(async () => {
+      await db.collection('notifications').deleteMany({});
+      await db.collection('responses').deleteMany({});
+    });
+
+    it('should let course staff endorse a question', async () => {
+      const response = await request(app)
+        .patch(`/api/questions/${questionId}/endorsed`)
+        .set('Cookie', otherAuthCookie)
+        .send({ isEndorsed: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.question.endorsedBy).toBe(otherStudent.toString());
+      expect(response.body.question.endorsedAt).toBeTruthy();
+
+      const notification = await db
+        .collection('notifications')
+        .findOne({ recipientId: testStudent, type: 'endorsement' });
+      expect(notification).not.toBeNull();
+
+      const detail = await request(app)
+        .get(`/api/questions/detail/${questionId}`)
+        .set('Cookie', authCookie);
+      expect(detail.body.question.endorserName).toBe('Other Student');
+    });
+
+    it('should withdraw an endorsement', async () => {
+      await db
+        .collection('questions')
+        .updateOne(
+          { _id: questionId },
+          { $set: { endorsedBy: otherStudent, endorsedAt: new Date() } }
+        );
+
+      const response = await request(app)
+        .patch(`/api/questions/${questionId}/endorsed`)
+        .set('Cookie', otherAuthCookie)
+        .send({ isEndorsed: false });
+
+      expect(response.status).toBe(200);
+      expect(response.body.question.endorsedAt).toBeUndefined();
+    });
+
+    it('should reject students who are not course staff', async () => {
+      const response = await request(app)
+        .patch(`/api/questions/${questionId}/endorsed`)
+        .set('Cookie', authCookie)
+        .send({ isEndorsed: true });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should list only endorsed questions with endorsed=true', async () => {
+      const other = await db.collection('questions').insertOne({
+        courseId: testCourse,
+        posterId: testStudent,
+        title: 'Pointer arithmetic',
+        content: 'Content',
+        isAnonymous: false,
+        isResolved: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      await db.collection('questions').insertOne({
+        courseId: testCourse,
+        posterId: testStudent,
+        title: 'Not endorsed',
+        content: 'Content',
+        isAnonymous: false,
+        isResolved: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      await db.collection('responses').insertOne({
+        questionId: other.insertedId,
+        posterId: otherStudent,
+        content: 'An endorsed answer',
+        isAnonymous: false,
+        endorsedBy: otherStudent,
+        endorsedAt: new Date(),
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      await request(app)
+        .patch(`/api/questions/${questionId}/endorsed`)
+        .set('Cookie', otherAuthCookie)
+        .send({ isEndorsed: true });
+
+      const response = await request(app)
+        .get(`/api/questions/${testCourse}?endorsed=true`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.questions.map((q) => q.title).sort()).toEqual([
+        'How do pointers work?',
+        'Pointer arithmetic',
+      ]);
+      const withAnswer = response.body.questions.find(
+        (q) => q.title === 'Pointer arithmetic'
+      );
+      expect(withAnswer.hasEndorsedResponse).toBe(true);
+    });
+  });
+
+  describe('Course enrollment', () => {
+    let outsiderCookie;
+    let questionId;
+
+    beforeEach(async () => {
+      const hashedPassword = await bcrypt.hash('password123', 10);
+      await db.collection('students').insertOne({
+        firstName: 'Outside',
+        lastName: 'Student',
+        universityEmail: 'outside.student@stevens.edu',
+        hashedPassword,
+        major: 'Computer Science',
+        age: 22,
+        enrolledCourses: [],
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      const login = await request(app).post('/api/auth/login').send({
+        universityEmail: 'outside.student@stevens.edu',
+        password: 'password123',
+      });
+      outsiderCookie = login.headers['set-cookie'];
+
+      const result = await db.collection('questions').insertOne({
+        courseId: testCourse,
+        posterId: testStudent,
+        title: 'Members only',
+        content: 'Content',
+        isAnonymous: false,
+        isResolved: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      questionId = result.insertedId;
+    });
+
+    it('should not list questions to non-members', async () => {
+      const response = await request(app)
+        .get(`/api/questions/${testCourse}`)
+        .set('Cookie', outsiderCookie);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('You are not enrolled in this course');
+    });
+
+    it('should not show a question to non-members', async () => {
+      const response = await request(app)
+        .get(`/api/questions/detail/${questionId}`)
+        .set('Cookie', outsiderCookie);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should not let non-members post questions', async () => {
+      const response = await request(app)
+        .post('/api/questions')
+        .set('Cookie', outsiderCookie)
+        .send({
+          courseId: testCourse.toString(),
+          title: 'Sneaky question',
+          content: 'Content',
+        });
+
+      expect(response.status).toBe(403);
+      expect(
+        await db.collection('questions').countDocuments({
+          title: 'Sneaky question',
+        })
+      ).toBe(0);
+    });
+
+    it('should not let a poster edit after leaving the course', async () => {
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourse },
+          { $set: { enrolledStudents: [otherStudent] } }
+        );
+
+      const response = await request(app)
+        .patch(`/api/questions/${questionId}`)
+        .set('Cookie', authCookie)
+        .send({ title: 'Edited' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should let course staff read questions', async () => {
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourse },
+          { $set: { enrolledStudents: [], teachingAssistants: [testStudent] } }
+        );
+
+      const response = await request(app)
+        .get(`/api/questions/${testCourse}`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should return 404 for a missing course', async () => {
+      const response = await request(app)
+        .get(`/api/questions/${new ObjectId()}`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 404 for a missing question', async () => {
+      const response = await request(app)
+        .get(`/api/questions/detail/${new ObjectId()}`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(404);
+    });
+  });
 });
@@ -0,0 +1,186 @@
+/**
+ * Integration Tests for Report Routes
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import app from '../../app.js';
+
+describe('Report Routes', () => {
+  let db;
+  let testQuestion;
+  let testResponse;
+  let posterCookie;
+  let reporterCookie;
+  let outsiderCookie;
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('reports').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('reports').deleteMany({});
+
+    const hashedPassword = await bcrypt.hash('password123', 10);
+
+    const students = await Promise.all(
+      ['test.poster', 'test.reporter', 'out.sider'].map((name) =>
+        db.collection('students').insertOne({
+          firstName: name.split('.')[1],
+          lastName: 'Student',
+          universityEmail: `${name}@stevens.edu`,
+          hashedPassword,
+          major: 'Computer Science',
+          age: 20,
+          enrolledCourses: [],
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        })
+      )
+    );
+    const [poster, reporter] = students.map((s) => s.insertedId);
+
+    const courseResult = await db.collection('courses').insertOne({
+      courseCode: 'CS545',
+      courseName: 'Human Computer Interaction',
+      section: 'WS',
+      department: 'Computer Science',
+      instructorName: 'Dr. Gregg Vesonder',
+      instructorEmail: 'gvesonde@stevens.edu',
+      term: 'Fall 2025',
+      enrolledStudents: [poster, reporter],
+      createdAt: new Date(),
+    });
+
+    const questionResult = await db.collection('questions').insertOne({
+      courseId: courseResult.insertedId,
+      posterId: poster,
+      title: 'Homework answers for sale',
+      content: 'Message me for the answers',
+      isAnonymous: false,
+      isResolved: false,
+      acceptedResponseId: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testQuestion = questionResult.insertedId;
+
+    const responseResult = await db.collection('responses').insertOne({
+      questionId: testQuestion,
+      posterId: reporter,
+      content: 'Please do not do this',
+      isAnonymous: false,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testResponse = responseResult.insertedId;
+
+    const login = async (universityEmail) => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ universityEmail, password: 'password123' });
+      return response.headers['set-cookie'];
+    };
+    posterCookie = await login('test.poster@stevens.edu');
+    reporterCookie = await login('test.reporter@stevens.edu');
+    outsiderCookie = await login('out.sider@stevens.edu');
+  });
+
+  const reportQuestion = (cookie, body = {}) =>
+    request(app)
+      .post('/api/reports')
+      .set('Cookie', cookie)
+      .send({
+        targetType: 'question',
+        targetId: testQuestion.toString(),
+        reason: 'academic_integrity',
+        ...body,
+      });
+
+  describe('POST /api/reports', () => {
+    it('should report a question', async () => {
+      const response = await reportQuestion(reporterCookie, {
+        details: 'Selling homework answers',
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.report).toMatchObject({
+        targetType: 'question',
+        reason: 'academic_integrity',
+        details: 'Selling homework answers',
+        status: 'open',
+      });
+    });
+
+    it('should report a response', async () => {
+      const response = await request(app)
+        .post('/api/reports')
+        .set('Cookie', posterCookie)
+        .send({
+          targetType: 'response',
+          targetId: testResponse.toString(),
+          reason: 'harassment',
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.report.questionId).toBe(testQuestion.toString());
+    });
+
+    it('should reject a second open report of the same post', async () => {
+      await reportQuestion(reporterCookie);
+
+      const response = await reportQuestion(reporterCookie);
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should not let students report their own posts', async () => {
+      const response = await reportQuestion(posterCookie);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('You cannot report your own post');
+    });
+
+    it('should reject an unknown reason', async () => {
+      const response = await reportQuestion(reporterCookie, {
+        reason: 'boring',
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject students outside the course', async () => {
+      const response = await reportQuestion(outsiderCookie);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).post('/api/reports').send({
+        targetType: 'question',
+        targetId: testQuestion.toString(),
+        reason: 'spam',
+      });
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -13,11 +13,13 @@ import {
   getDb,
 } from '../../database_config/index.js';
 import app from '../../app.js';
+import { purgeResponse } from '../../jobs/purgeTrash.js';
 
 describe('Responses Routes', () => {
   let db;
   let testStudent;
   let otherStudent;
+  let testCourse;
   let testQuestion;
   let authCookie;
   let otherAuthCookie;
@@ -30,16 +32,22 @@ describe('Responses Routes', () => {
 
   afterAll(async () => {
     await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
     await db.collection('questions').deleteMany({});
     await db.collection('responses').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('votes').deleteMany({});
     await closeConnection();
   });
 
   beforeEach(async () => {
     // Clear collections
     await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
     await db.collection('questions').deleteMany({});
     await db.collection('responses').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('votes').deleteMany({});
 
     // Create test students
     const hashedPassword = await bcrypt.hash('password123', 10);
@@ -70,9 +78,23 @@ describe('Responses Routes', () => {
     });
     otherStudent = student2Result.insertedId;
 
+    // Create test course with both students enrolled
+    const courseResult = await db.collection('courses').insertOne({
+      courseCode: 'CS545',
+      courseName: 'Human Computer Interaction',
+      section: 'WS',
+      department: 'Computer Science',
+      instructorName: 'Dr. Gregg Vesonder',
+      instructorEmail: 'gvesonde@stevens.edu',
+      term: 'Fall 2025',
+      enrolledStudents: [testStudent, otherStudent],
+      createdAt: new Date(),
+    });
+    testCourse = courseResult.insertedId;
+
     // Create test question
     const questionResult = await db.collection('questions').insertOne({
-      courseId: new ObjectId(),
+      courseId: testCourse,
       posterId: testStudent,
       title: 'Test Question',
       content: 'Test content',
@@ -97,6 +119,68 @@ describe('Responses Routes', () => {
     otherAuthCookie = login2.headers['set-cookie'];
   });
 
+  describe('GET /api/responses/:questionId', () => {
+    beforeEach(async () => {
+      const now = Date.now();
+      await db.collection('responses').insertMany(
+        [1, 2, 3].map((n) => ({
+          questionId: testQuestion,
+          posterId: otherStudent,
+          content: `Response ${n}`,
+          isAnonymous: false,
+          isHelpful: false,
+          createdAt: new Date(now - n * 1000),
+          updatedAt: new Date(now - n * 1000),
+        }))
+      );
+    });
+
+    it('should return responses newest first', async () => {
+      const response = await request(app)
+        .get(`/api/responses/${testQuestion}`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.responses.map((r) => r.content)).toEqual([
+        'Response 1',
+        'Response 2',
+        'Response 3',
+      ]);
+      expect(response.body.nextCursor).toBeNull();
+    });
+
+    it('should page through responses with limit and cursor', async () => {
+      const firstPage = await request(app)
+        .get(`/api/responses/${testQuestion}?sort=oldest&limit=2`)
+        .set('Cookie', authCookie);
+
+      expect(firstPage.status).toBe(200);
+      expect(firstPage.body.responses.map((r) => r.content)).toEqual([
+        'Response 3',
+        'Response 2',
+      ]);
+
+      const secondPage = await request(app)
+        .get(
+          `/api/responses/${testQuestion}?sort=oldest&limit=2&cursor=${firstPage.body.nextCursor}`
+        )
+        .set('Cookie', authCookie);
+
+      expect(secondPage.body.responses.map((r) => r.content)).toEqual([
+        'Response 1',
+      ]);
+      expect(secondPage.body.nextCursor).toBeNull();
+    });
+
+    it('should reject an invalid cursor', async () => {
+      const response = await request(app)
+        .get(`/api/responses/${testQuestion}?cursor=bad`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe('POST /api/responses', () => {
     it('should create a response with valid data', async () => {
       const responseData = {
@@ -168,6 +252,28 @@ describe('Responses Routes', () => {
       expect(response.body.response.content).toBe('Updated content');
     });
 
+    it('should not let the poster mark their own response helpful', async () => {
+      const response = await request(app)
+        .patch(`/api/responses/${responseId}`)
+        .set('Cookie', otherAuthCookie)
+        .send({ content: 'Updated content', isHelpful: true });
+
+      expect(response.status).toBe(200);
+      const found = await db
+        .collection('responses')
+        .findOne({ _id: responseId });
+      expect(found.isHelpful).toBe(false);
+    });
+
+    it('should return 400 without content', async () => {
+      const response = await request(app)
+        .patch(`/api/responses/${responseId}`)
+        .set('Cookie', otherAuthCookie)
+        .send({ isHelpful: true });
+
+      expect(response.status).toBe(400);
+    });
+
     it('should reject update by non-poster', async () => {
       const response = await request(app)
         .patch(`/api/responses/${responseId}`)
@@ -202,7 +308,7 @@ describe('Responses Routes', () => {
       responseId = result.insertedId;
     });
 
-    it('should delete response by poster', async () => {
+    it('should move response to trash by poster', async () => {
       const response = await request(app)
         .delete(`/api/responses/${responseId}`)
         .set('Cookie', otherAuthCookie);
@@ -210,11 +316,16 @@ describe('Responses Routes', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
 
-      // Verify deletion
+      // Kept, but left out of the question's responses
       const found = await db
         .collection('responses')
         .findOne({ _id: responseId });
-      expect(found).toBeNull();
+      expect(found.deletedAt).toBeInstanceOf(Date);
+
+      const list = await request(app)
+        .get(`/api/responses/${testQuestion}`)
+        .set('Cookie', authCookie);
+      expect(list.body.responses).toHaveLength(0);
     });
 
     it('should reject deletion by non-poster', async () => {
@@ -225,6 +336,24 @@ describe('Responses Routes', () => {
       expect(response.status).toBe(403);
     });
 
+    it('should allow course staff to delete any response', async () => {
+      await db.collection('courses').updateOne(
+        { _id: testCourse },
+        {
+          $set: {
+            enrolledStudents: [otherStudent],
+            teachingAssistants: [testStudent],
+          },
+        }
+      );
+
+      const response = await request(app)
+        .delete(`/api/responses/${responseId}`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+    });
+
     it('should require authentication', async () => {
       const response = await request(app).delete(
         `/api/responses/${responseId}`
@@ -233,4 +362,405 @@ describe('Responses Routes', () => {
       expect(response.status).toBe(401);
     });
   });
+  describe('PATCH /api/responses/:responseId/helpful', () => {
+    let responseId;
+
+    beforeEach(async () => {
+      const result = await db.collection('responses').insertOne({
+        questionId: testQuestion,
+        posterId: otherStudent,
+        content: 'Helpful content',
+        isAnonymous: false,
+        isHelpful: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      responseId = result.insertedId;
+    });
+
+    it('should let the question poster mark a response helpful', async () => {
+      const response = await request(app)
+        .patch(`/api/responses/${responseId}/helpful`)
+        .set('Cookie', authCookie)
+        .send({ isHelpful: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.response.isHelpful).toBe(true);
+      expect(
+        await db
+          .collection('notifications')
+          .countDocuments({ recipientId: otherStudent, type: 'helpful_mark' })
+      ).toBe(1);
+    });
+
+    it('should reject students who did not post the question', async () => {
+      const response = await request(app)
+        .patch(`/api/responses/${responseId}/helpful`)
+        .set('Cookie', otherAuthCookie)
+        .send({ isHelpful: true });
+
+      expect(response.status).toBe(403);
+      const stored = await db
+        .collection('responses')
+        .findOne({ _id: responseId });
+      expect(stored.isHelpful).toBe(false);
+      expect(await db.collection('notifications').countDocuments({})).toBe(0);
+    });
+
+    it('should let course staff mark a response helpful', async () => {
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourse },
+          { $set: { teachingAssistants: [otherStudent] } }
+        );
+
+      const response = await request(app)
+        .patch(`/api/responses/${responseId}/helpful`)
+        .set('Cookie', otherAuthCookie)
+        .send({ isHelpful: true });
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('PATCH /api/responses/:responseId/endorsed', () => {
+    let responseId;
+
+    beforeEach(async () => {
+      const result = await db.collection('responses').insertOne({
+        questionId: testQuestion,
+        posterId: otherStudent,
+        content: 'Vetted content',
+        isAnonymous: false,
+        isHelpful: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      responseId = result.insertedId;
+    });
+
+    it('should let course staff endorse a response', async () => {
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: testCourse },
+          { $set: { teachingAssistants: [testStudent] } }
+        );
+
+      const response = await request(app)
+        .patch(`/api/responses/${responseId}/endorsed`)
+        .set('Cookie', authCookie)
+        .send({ isEndorsed: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.response.endorsedBy).toBe(testStudent.toString());
+      expect(
+        await db
+          .collection('notifications')
+          .countDocuments({ recipientId: otherStudent, type: 'endorsement' })
+      ).toBe(1);
+
+      // Endorsing again changes nothing and sends no second notification
+      await request(app)
+        .patch(`/api/responses/${responseId}/endorsed`)
+        .set('Cookie', authCookie)
+        .send({ isEndorsed: true });
+      expect(await db.collection('notifications').countDocuments({})).toBe(1);
+
+      const list = await request(app)
+        .get(`/api/responses/${testQuestion}`)
+        .set('Cookie', otherAuthCookie);
+      expect(list.body.responses[0].endorserName).toBe('Test Student');
+    });
+
+    it('should reject students who are not course staff', async () => {
+      const response = await request(app)
+        .patch(`/api/responses/${responseId}/endorsed`)
+        .set('Cookie', authCookie)
+        .send({ isEndorsed: true });
+
+      expect(response.status).toBe(403);
+      const stored = await db
+        .collection('responses')
+        .findOne({ _id: responseId });
+      expect(stored.endorsedAt).toBeUndefined();
+    });
+  });
+
+  describe('PATCH /api/responses/:responseId/accepted', () => {
+    let responseId;
+
+    beforeEach(async () => {
+      const result = await db.collection('responses').insertOne({
+        questionId: testQuestion,
+        posterId: otherStudent,
+        content: 'The answer',
+        isAnonymous: false,
+        isHelpful: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      responseId = result.insertedId;
+    });
+
+    it('should accept the answer and resolve the question', async () => {
+      const response = await request(app)
+        .patch(`/api/responses/${responseId}/accepted`)
+        .set('Cookie', authCookie)
+        .send({ isAccepted: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.question.acceptedResponseId).toBe(
+        responseId.toString()
+      );
+      expect(response.body.question.isResolved).toBe(true);
+      expect(
+        await db.collection('notifications').countDocuments({
+          recipientId: otherStudent,
+          type: 'answer_accepted',
+        })
+      ).toBe(1);
+    });
+
+    it('should keep only one accepted answer per question', async () => {
+      const second = await db.collection('responses').insertOne({
+        questionId: testQuestion,
+        posterId: otherStudent,
+        content: 'A better answer',
+        isAnonymous: false,
+        isHelpful: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+
+      await request(app)
+        .patch(`/api/responses/${responseId}/accepted`)
+        .set('Cookie', authCookie)
+        .send({ isAccepted: true });
+      const response = await request(app)
+        .patch(`/api/responses/${second.insertedId}/accepted`)
+        .set('Cookie', authCookie)
+        .send({ isAccepted: true });
+
+      expect(response.status).toBe(200);
+      const question = await db
+        .collection('questions')
+        .findOne({ _id: testQuestion });
+      expect(question.acceptedResponseId.toString()).toBe(
+        second.insertedId.toString()
+      );
+    });
+
+    it('should unaccept without reopening the question', async () => {
+      await request(app)
+        .patch(`/api/responses/${responseId}/accepted`)
+        .set('Cookie', authCookie)
+        .send({ isAccepted: true });
+
+      const response = await request(app)
+        .patch(`/api/responses/${responseId}/accepted`)
+        .set('Cookie', authCookie)
+        .send({ isAccepted: false });
+
+      expect(response.status).toBe(200);
+      expect(response.body.question.acceptedResponseId).toBeNull();
+      expect(response.body.question.isResolved).toBe(true);
+    });
+
+    it('should reject students who did not post the question', async () => {
+      const response = await request(app)
+        .patch(`/api/responses/${responseId}/accepted`)
+        .set('Cookie', otherAuthCookie)
+        .send({ isAccepted: true });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should clear the accepted answer when the response is deleted', async () => {
+      await request(app)
+        .patch(`/api/responses/${responseId}/accepted`)
+        .set('Cookie', authCookie)
+        .send({ isAccepted: true });
+
+      await request(app)
+        .delete(`/api/responses/${responseId}`)
+        .set('Cookie', otherAuthCookie);
+
+      const question = await db
+        .collection('questions')
+        .findOne({ _id: testQuestion });
+      expect(question.acceptedResponseId).toBeNull();
+    });
+  });
+
+  describe('Course enrollment', () => {
+    let outsiderCookie;
+    let responseId;
+
+    beforeEach(async () => {
+      const hashedPassword = await bcrypt.hash('password123', 10);
+      await db.collection('students').insertOne({
+        firstName: 'Outside',
+        lastName: 'Student',
+        universityEmail: 'outside.student@stevens.edu',
+        hashedPassword,
+        major: 'Computer Science',
+        age: 22,
+        enrolledCourses: [],
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      const login = await request(app).post('/api/auth/login').send({
+        universityEmail: 'outside.student@stevens.edu',
+        password: 'password123',
+      });
+      outsiderCookie = login.headers['set-cookie'];
+
+      const result = await db.collection('responses').insertOne({
+        questionId: testQuestion,
+        posterId: otherStudent,
+        content: 'Members only answer',
+        isAnonymous: false,
+        isHelpful: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      responseId = result.insertedId;
+    });
+
+    it('should not list responses to non-members', async () => {
+      const response = await request(app)
+        .get(`/api/responses/${testQuestion}`)
+        .set('Cookie', outsiderCookie);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('You are not enrolled in this course');
+    });
+
+    it('should not let non-members respond', async () => {
+      const response = await request(app)
+        .post('/api/responses')
+        .set('Cookie', outsiderCookie)
+        .send({
+          questionId: testQuestion.toString(),
+          content: 'Drive-by answer',
+        });
+
+      expect(response.status).toBe(403);
+      expect(
+        await db.collection('responses').countDocuments({
+          content: 'Drive-by answer',
+        })
+      ).toBe(0);
+    });
+
+    it('should not let non-members mark responses helpful', async () => {
+      const response = await request(app)
+        .patch(`/api/responses/${responseId}/helpful`)
+        .set('Cookie', outsiderCookie)
+        .send({ isHelpful: true });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 404 when responding to a missing question', async () => {
+      const response = await request(app)
+        .post('/api/responses')
+        .set('Cookie', authCookie)
+        .send({
+          questionId: new ObjectId().toString(),
+          content: 'Answer to nothing',
+        });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/responses/:responseId/vote', () => {
+    let responseId;
+
+    beforeEach(async () => {
+      const result = await db.collection('responses').insertOne({
+        questionId: testQuestion,
+        posterId: otherStudent,
+        content: 'Vote on me',
+        isAnonymous: false,
+        isHelpful: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      responseId = result.insertedId;
+    });
+
+    it('should record, change and clear a vote', async () => {
+      const upvote = await request(app)
+        .patch(`/api/responses/${responseId}/vote`)
+        .set('Cookie', authCookie)
+        .send({ value: 1 });
+      const downvote = await request(app)
+        .patch(`/api/responses/${responseId}/vote`)
+        .set('Cookie', authCookie)
+        .send({ value: -1 });
+      const cleared = await request(app)
+        .patch(`/api/responses/${responseId}/vote`)
+        .set('Cookie', authCookie)
+        .send({ value: 0 });
+
+      expect(upvote.status).toBe(200);
+      expect(upvote.body.score).toBe(1);
+      expect(downvote.body.score).toBe(-1);
+      expect(cleared.body).toMatchObject({ score: 0, myVote: 0 });
+    });
+
+    it('should list top voted responses first', async () => {
+      await db.collection('responses').insertOne({
+        questionId: testQuestion,
+        posterId: otherStudent,
+        content: 'Newer but unvoted',
+        isAnonymous: false,
+        isHelpful: false,
+        createdAt: new Date(Date.now() + 1000),
+        updatedAt: new Date(),
+      });
+      await request(app)
+        .patch(`/api/responses/${responseId}/vote`)
+        .set('Cookie', authCookie)
+        .send({ value: 1 });
+
+      const response = await request(app)
+        .get(`/api/responses/${testQuestion}?sort=top`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.responses[0].content).toBe('Vote on me');
+      expect(response.body.responses[0].myVote).toBe(1);
+      expect(response.body.responses[0].posterReputation).toBe(1);
+    });
+
+    it('should reject votes on your own response', async () => {
+      const response = await request(app)
+        .patch(`/api/responses/${responseId}/vote`)
+        .set('Cookie', otherAuthCookie)
+        .send({ value: 1 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should remove votes when the response is purged', async () => {
+      await request(app)
+        .patch(`/api/responses/${responseId}/vote`)
+        .set('Cookie', authCookie)
+        .send({ value: 1 });
+
+      await request(app)
+        .delete(`/api/responses/${responseId}`)
+        .set('Cookie', otherAuthCookie);
+      expect(await db.collection('votes').countDocuments()).toBe(1);
+
+      await purgeResponse(responseId.toString());
+
+      expect(await db.collection('votes').countDocuments()).toBe(0);
+    });
+  });
 });
@@ -0,0 +1,237 @@
+/**
+ * Integration Tests for Edit History Routes
+ * GET /api/questions/:questionId/revisions and GET /api/responses/:responseId/revisions
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import app from '../../app.js';
+import { purgeResponse } from '../../jobs/purgeTrash.js';
+
+describe('Edit History Routes', () => {
+  let db;
+  let testCourse;
+  let testQuestion;
+  let testResponse;
+  let authCookie;
+  let otherAuthCookie;
+  let outsiderCookie;
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('revisions').deleteMany({});
+    await db.collection('pseudonyms').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('revisions').deleteMany({});
+    await db.collection('pseudonyms').deleteMany({});
+
+    const hashedPassword = await bcrypt.hash('password123', 10);
+
+    const [student1, student2] = await Promise.all(
+      ['test.student', 'other.student', 'out.sider'].map((name) =>
+        db.collection('students').insertOne({
+          firstName: name.split('.')[0],
+          lastName: name.split('.')[1],
+          universityEmail: `${name}@stevens.edu`,
+          hashedPassword,
+          major: 'Computer Science',
+          age: 20,
+          enrolledCourses: [],
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        })
+      )
+    );
+
+    const courseResult = await db.collection('courses').insertOne({
+      courseCode: 'CS545',
+      courseName: 'Human Computer Interaction',
+      section: 'WS',
+      department: 'Computer Science',
+      instructorName: 'Dr. Gregg Vesonder',
+      instructorEmail: 'gvesonde@stevens.edu',
+      term: 'Fall 2025',
+      enrolledStudents: [student1.insertedId, student2.insertedId],
+      createdAt: new Date(),
+    });
+    testCourse = courseResult.insertedId;
+
+    const questionResult = await db.collection('questions').insertOne({
+      courseId: testCourse,
+      posterId: student1.insertedId,
+      title: 'Dijkstra',
+      content: 'Why does it fail with negative edges?',
+      isAnonymous: false,
+      isResolved: false,
+      acceptedResponseId: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testQuestion = questionResult.insertedId;
+
+    const responseResult = await db.collection('responses').insertOne({
+      questionId: testQuestion,
+      posterId: student1.insertedId,
+      content: 'It assumes paths only get longer.',
+      isAnonymous: false,
+      isHelpful: false,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testResponse = responseResult.insertedId;
+
+    const login = async (universityEmail) => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ universityEmail, password: 'password123' });
+      return response.headers['set-cookie'];
+    };
+    authCookie = await login('test.student@stevens.edu');
+    otherAuthCookie = await login('other.student@stevens.edu');
+    outsiderCookie = await login('out.sider@stevens.edu');
+  });
+
+  describe('GET /api/questions/:questionId/revisions', () => {
+    it('should return the original version of an unedited question', async () => {
+      const response = await request(app)
+        .get(`/api/questions/${testQuestion}/revisions`)
+        .set('Cookie', otherAuthCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.revisions).toHaveLength(1);
+      expect(response.body.revisions[0].title).toBe('Dijkstra');
+    });
+
+    it('should return every version after edits', async () => {
+      const edit = await request(app)
+        .patch(`/api/questions/${testQuestion}`)
+        .set('Cookie', authCookie)
+        .send({ title: 'Dijkstra and negative edges' });
+
+      expect(edit.status).toBe(200);
+      expect(edit.body.question.revisionCount).toBe(2);
+      expect(edit.body.question.editedAt).toBeDefined();
+
+      const response = await request(app)
+        .get(`/api/questions/${testQuestion}/revisions`)
+        .set('Cookie', otherAuthCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.revisions.map((r) => r.title)).toEqual([
+        'Dijkstra',
+        'Dijkstra and negative edges',
+      ]);
+      expect(response.body.revisions[1].editorName).toBe('test student');
+    });
+
+    it('should hide the editor of an anonymous question', async () => {
+      await db
+        .collection('questions')
+        .updateOne({ _id: testQuestion }, { $set: { isAnonymous: true } });
+      await request(app)
+        .patch(`/api/questions/${testQuestion}`)
+        .set('Cookie', authCookie)
+        .send({ title: 'Dijkstra and negative edges' });
+
+      const response = await request(app)
+        .get(`/api/questions/${testQuestion}/revisions`)
+        .set('Cookie', otherAuthCookie);
+
+      for (const revision of response.body.revisions) {
+        expect(revision.editorName).toMatch(/^Anonymous [A-Z][a-z]+$/);
+        expect(revision.editorId).toBeUndefined();
+      }
+    });
+
+    it('should not record a revision when only the status changes', async () => {
+      const edit = await request(app)
+        .patch(`/api/questions/${testQuestion}`)
+        .set('Cookie', authCookie)
+        .send({ isResolved: true });
+
+      expect(edit.status).toBe(200);
+      expect(edit.body.question).not.toHaveProperty('editedAt');
+      expect(await db.collection('revisions').countDocuments()).toBe(0);
+    });
+
+    it('should return 403 for students outside the course', async () => {
+      const response = await request(app)
+        .get(`/api/questions/${testQuestion}/revisions`)
+        .set('Cookie', outsiderCookie);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 404 for a missing question', async () => {
+      const response = await request(app)
+        .get(`/api/questions/${new ObjectId()}/revisions`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/responses/:responseId/revisions', () => {
+    it('should return every version of an edited response', async () => {
+      const edit = await request(app)
+        .patch(`/api/responses/${testResponse}`)
+        .set('Cookie', authCookie)
+        .send({ content: 'It assumes adding an edge never shortens a path.' });
+
+      expect(edit.status).toBe(200);
+      expect(edit.body.response.revisionCount).toBe(2);
+
+      const response = await request(app)
+        .get(`/api/responses/${testResponse}/revisions`)
+        .set('Cookie', otherAuthCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.revisions.map((r) => r.content)).toEqual([
+        'It assumes paths only get longer.',
+        'It assumes adding an edge never shortens a path.',
+      ]);
+    });
+
+    it('should delete the history when the response is purged', async () => {
+      await request(app)
+        .patch(`/api/responses/${testResponse}`)
+        .set('Cookie', authCookie)
+        .send({ content: 'Edited' });
+
+      await request(app)
+        .delete(`/api/responses/${testResponse}`)
+        .set('Cookie', authCookie);
+      await purgeResponse(testResponse.toString());
+
+      expect(await db.collection('revisions').countDocuments()).toBe(0);
+    });
+
+    it('should return 403 for students outside the course', async () => {
+      const response = await request(app)
+        .get(`/api/responses/${testResponse}/revisions`)
+        .set('Cookie', outsiderCookie);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,494 @@
+/**
+ * Integration Tests for Content Screening
+ * Course screening settings, and how screened questions, responses and
+ * comments are rejected, held for review or flagged
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import app from '../../app.js';
+
+describe('Content Screening', () => {
+  let db;
+  let testCourse;
+  let testQuestion;
+  let testStudent;
+  let studentCookie;
+  let peerCookie;
+  let taCookie;
+  let instructorCookie;
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('comments').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('reports').deleteMany({});
+    await db.collection('moderationActions').deleteMany({});
+    await db.collection('follows').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await db.collection('comments').deleteMany({});
+    await db.collection('notifications').deleteMany({});
+    await db.collection('reports').deleteMany({});
+    await db.collection('moderationActions').deleteMany({});
+    await db.collection('follows').deleteMany({});
+
+    const hashedPassword = await bcrypt.hash('password123', 10);
+
+    const students = await Promise.all(
+      ['test.student', 'test.peer', 'test.ta', 'test.instructor'].map((name) =>
+        db.collection('students').insertOne({
+          firstName: name.split('.')[1],
+          lastName: 'Student',
+          universityEmail: `${name}@stevens.edu`,
+          hashedPassword,
+          major: 'Computer Science',
+          age: 20,
+          role: name === 'test.instructor' ? 'instructor' : 'student',
+          enrolledCourses: [],
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        })
+      )
+    );
+    const [student, peer, ta, instructor] = students.map((s) => s.insertedId);
+    testStudent = student;
+
+    const courseResult = await db.collection('courses').insertOne({
+      courseCode: 'CS545',
+      courseName: 'Human Computer Interaction',
+      section: 'WS',
+      department: 'Computer Science',
+      instructorName: 'Dr. Gregg Vesonder',
+      instructorEmail: 'gvesonde@stevens.edu',
+      term: 'Fall 2025',
+      enrolledStudents: [student, peer],
+      teachingAssistants: [ta],
+      instructors: [instructor],
+      screening: {
+        profanity: 'reject',
+        integrity: 'flag',
+        rules: [
+          {
+            type: 'word',
+            pattern: 'midterm key',
+            outcome: 'hold',
+            message: '',
+          },
+        ],
+        codeLimit: null,
+      },
+      createdAt: new Date(),
+    });
+    testCourse = courseResult.insertedId;
+
+    const questionResult = await db.collection('questions').insertOne({
+      courseId: testCourse,
+      posterId: peer,
+      title: 'How do I run a usability test?',
+      content: 'What should the script include?',
+      isAnonymous: false,
+      isResolved: false,
+      acceptedResponseId: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testQuestion = questionResult.insertedId;
+
+    const login = async (universityEmail) => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ universityEmail, password: 'password123' });
+      return response.headers['set-cookie'];
+    };
+    studentCookie = await login('test.student@stevens.edu');
+    peerCookie = await login('test.peer@stevens.edu');
+    taCookie = await login('test.ta@stevens.edu');
+    instructorCookie = await login('test.instructor@stevens.edu');
+  });
+
+  const askQuestion = (cookie, body) =>
+    request(app)
+      .post('/api/questions')
+      .set('Cookie', cookie)
+      .send({
+        courseId: testCourse.toString(),
+        title: 'Question about the project',
+        content: 'Some details about my question.',
+        ...body,
+      });
+
+  describe('POST /api/questions', () => {
+    it('should reject a question that breaks a reject rule', async () => {
+      const response = await askQuestion(studentCookie, {
+        content: 'This shit is confusing',
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(response.body.screening).toEqual({
+        outcome: 'reject',
+        reasons: ['Contains language that is not allowed in this course'],
+      });
+      expect(await db.collection('questions').countDocuments()).toBe(1);
+    });
+
+    it('should hold a question for review', async () => {
+      const response = await askQuestion(studentCookie, {
+        content: 'Does anyone have the midterm key?',
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.screening.outcome).toBe('hold');
+      expect(response.body.question.hiddenAt).toBeTruthy();
+      const questionId = response.body.question._id;
+
+      // Hidden from other students, not from its author
+      const list = await request(app)
+        .get(`/api/questions/${testCourse}`)
+        .set('Cookie', peerCookie);
+      expect(list.body.questions.map((q) => q._id)).not.toContain(questionId);
+      const own = await request(app)
+        .get(`/api/questions/detail/${questionId}`)
+        .set('Cookie', studentCookie);
+      expect(own.status).toBe(200);
+
+      const queue = await request(app)
+        .get(`/api/moderation/${testCourse}/reports`)
+        .set('Cookie', taCookie);
+      expect(queue.body.items).toHaveLength(1);
+      expect(queue.body.items[0]).toMatchObject({
+        targetId: questionId,
+        isHeld: true,
+        reasons: { screening: 1 },
+      });
+      expect(queue.body.items[0].reports[0].reporterName).toBeNull();
+    });
+
+    it('should publish and flag a question', async () => {
+      const response = await askQuestion(studentCookie, {
+        content: 'I saw this on Chegg, is it right?',
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.question.hiddenAt).toBeUndefined();
+
+      const list = await request(app)
+        .get(`/api/questions/${testCourse}`)
+        .set('Cookie', peerCookie);
+      expect(list.body.questions.map((q) => q._id)).toContain(
+        response.body.question._id
+      );
+
+      const queue = await request(app)
+        .get(`/api/moderation/${testCourse}/reports`)
+        .set('Cookie', taCookie);
+      expect(queue.body.items[0]).toMatchObject({
+        isHeld: false,
+        reasons: { screening: 1 },
+      });
+    });
+
+    it('should not screen course staff', async () => {
+      const response = await askQuestion(taCookie, {
+        content: 'Do not share the midterm key.',
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.screening).toBeUndefined();
+      expect(await db.collection('reports').countDocuments()).toBe(0);
+    });
+  });
+
+  describe('PATCH /api/questions/:questionId', () => {
+    it('should screen an edit', async () => {
+      const rejected = await request(app)
+        .patch(`/api/questions/${testQuestion}`)
+        .set('Cookie', peerCookie)
+        .send({ content: 'Who gives a shit' });
+      expect(rejected.status).toBe(400);
+
+      const held = await request(app)
+        .patch(`/api/questions/${testQuestion}`)
+        .set('Cookie', peerCookie)
+        .send({ content: 'Can someone post the midterm key?' });
+      expect(held.status).toBe(200);
+      expect(held.body.question.hiddenAt).toBeTruthy();
+      expect(held.body.screening.outcome).toBe('hold');
+    });
+  });
+
+  describe('POST /api/responses', () => {
+    it('should hold a response for review', async () => {
+      const response = await request(app)
+        .post('/api/responses')
+        .set('Cookie', studentCookie)
+        .send({
+          questionId: testQuestion.toString(),
+          content: 'I can send you the midterm key',
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.screening.outcome).toBe('hold');
+
+      const responses = await request(app)
+        .get(`/api/responses/${testQuestion}`)
+        .set('Cookie', peerCookie);
+      expect(responses.body.responses).toEqual([]);
+
+      // The question's author hears nothing until it is approved
+      expect(await db.collection('notifications').countDocuments()).toBe(0);
+    });
+
+    it('should reject a response that breaks a reject rule', async () => {
+      const response = await request(app)
+        .post('/api/responses')
+        .set('Cookie', studentCookie)
+        .send({
+          questionId: testQuestion.toString(),
+          content: 'Fucking read it',
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.screening.outcome).toBe('reject');
+    });
+  });
+
+  describe('POST and PATCH /api/comments', () => {
+    const comment = (content) =>
+      request(app).post('/api/comments').set('Cookie', studentCookie).send({
+        targetType: 'question',
+        targetId: testQuestion.toString(),
+        content,
+      });
+
+    it('should turn away comments that would be rejected or held', async () => {
+      const rejected = await comment('Fucking read it');
+      const held = await comment('I can send you the midterm key');
+
+      expect(rejected.status).toBe(400);
+      expect(rejected.body.screening.outcome).toBe('reject');
+      expect(held.status).toBe(400);
+      expect(held.body.screening.outcome).toBe('hold');
+      expect(await db.collection('comments').countDocuments()).toBe(0);
+    });
+
+    it('should post flagged comments', async () => {
+      const response = await comment('Is this on Chegg?');
+
+      expect(response.status).toBe(201);
+    });
+
+    it('should screen an edit', async () => {
+      const created = await comment('Which chapter is this from?');
+
+      const response = await request(app)
+        .patch(`/api/comments/${created.body.comment._id}`)
+        .set('Cookie', studentCookie)
+        .send({ content: 'Bullshit question' });
+
+      expect(response.status).toBe(400);
+      const saved = await db.collection('comments').findOne({});
+      expect(saved.content).toBe('Which chapter is this from?');
+    });
+  });
+
+  describe('Approving held posts', () => {
+    it('should publish a held post and dismiss its report', async () => {
+      const held = await askQuestion(studentCookie, {
+        content: 'Is the midterm key posted yet?',
+      });
+      const questionId = held.body.question._id;
+
+      const approve = await request(app)
+        .post(`/api/moderation/${testCourse}/actions`)
+        .set('Cookie', taCookie)
+        .send({
+          targetType: 'question',
+          targetId: questionId,
+          action: 'approve',
+        });
+      expect(approve.status).toBe(201);
+
+      const detail = await request(app)
+        .get(`/api/questions/detail/${questionId}`)
+        .set('Cookie', peerCookie);
+      expect(detail.status).toBe(200);
+
+      const report = await db.collection('reports').findOne();
+      expect(report.status).toBe('dismissed');
+    });
+
+    it('should notify the question poster once a held response is approved', async () => {
+      const held = await request(app)
+        .post('/api/responses')
+        .set('Cookie', studentCookie)
+        .send({
+          questionId: testQuestion.toString(),
+          content: 'The midterm key has the answer',
+        });
+
+      const approve = await request(app)
+        .post(`/api/moderation/${testCourse}/actions`)
+        .set('Cookie', taCookie)
+        .send({
+          targetType: 'response',
+          targetId: held.body.response._id,
+          action: 'approve',
+        });
+      expect(approve.status).toBe(201);
+
+      const notifications = await db
+        .collection('notifications')
+        .find({ type: 'new_response' })
+        .toArray();
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].message).toBe(
+        'student replied to your question: "How do I run a usability test?"'
+      );
+    });
+
+    it('should not announce a post held after an edit as new', async () => {
+      await db.collection('responses').insertOne({
+        questionId: testQuestion,
+        posterId: testStudent,
+        content: 'Start with the tasks',
+        isAnonymous: false,
+        createdAt: new Date(Date.now() - 60000),
+        updatedAt: new Date(),
+        hiddenAt: new Date(),
+        hiddenBy: null,
+      });
+      const response = await db.collection('responses').findOne();
+
+      const approve = await request(app)
+        .post(`/api/moderation/${testCourse}/actions`)
+        .set('Cookie', taCookie)
+        .send({
+          targetType: 'response',
+          targetId: response._id.toString(),
+          action: 'approve',
+        });
+
+      expect(approve.status).toBe(201);
+      expect(await db.collection('notifications').countDocuments()).toBe(0);
+    });
+
+    it('should only approve held posts', async () => {
+      const response = await request(app)
+        .post(`/api/moderation/${testCourse}/actions`)
+        .set('Cookie', taCookie)
+        .send({
+          targetType: 'question',
+          targetId: testQuestion.toString(),
+          action: 'approve',
+        });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/courses/:courseId/screening', () => {
+    it('should return the settings to course staff', async () => {
+      const response = await request(app)
+        .get(`/api/courses/${testCourse}/screening`)
+        .set('Cookie', taCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.screening.rules[0].pattern).toBe('midterm key');
+    });
+
+    it('should reject students', async () => {
+      const response = await request(app)
+        .get(`/api/courses/${testCourse}/screening`)
+        .set('Cookie', studentCookie);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should keep the settings out of the course view', async () => {
+      const response = await request(app)
+        .get(`/api/courses/${testCourse}`)
+        .set('Cookie', studentCookie);
+
+      expect(response.body.course.screening).toBeUndefined();
+    });
+  });
+
+  describe('PUT /api/courses/:courseId/screening', () => {
+    const settings = {
+      profanity: 'hold',
+      integrity: 'off',
+      rules: [],
+      codeLimit: {
+        maxLines: 15,
+        windowHours: 48,
+        outcome: 'reject',
+        deadlines: [{ name: 'Project 1', dueAt: '2025-11-01T23:59:00.000Z' }],
+      },
+    };
+
+    it('should replace the settings for instructors', async () => {
+      const response = await request(app)
+        .put(`/api/courses/${testCourse}/screening`)
+        .set('Cookie', instructorCookie)
+        .send(settings);
+
+      expect(response.status).toBe(200);
+      expect(response.body.screening).toEqual(settings);
+    });
+
+    it('should reject TAs', async () => {
+      const response = await request(app)
+        .put(`/api/courses/${testCourse}/screening`)
+        .set('Cookie', taCookie)
+        .send(settings);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject invalid settings', async () => {
+      const response = await request(app)
+        .put(`/api/courses/${testCourse}/screening`)
+        .set('Cookie', instructorCookie)
+        .send({
+          rules: [{ type: 'regex', pattern: '[a-', outcome: 'hold' }],
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].msg).toContain(
+        'Invalid regular expression'
+      );
+    });
+
+    it('should reject regular expressions that could run too long', async () => {
+      const response = await request(app)
+        .put(`/api/courses/${testCourse}/screening`)
+        .set('Cookie', instructorCookie)
+        .send({
+          rules: [{ type: 'regex', pattern: '(a+)+$', outcome: 'hold' }],
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].msg).toContain('nested quantifiers');
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Integration Tests for Search Routes
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import app from '../../app.js';
+
+describe('Search Routes', () => {
+  let db;
+  let testStudent;
+  let testCourse;
+  let authCookie;
+  let outsiderCookie;
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+
+    const hashedPassword = await bcrypt.hash('password123', 10);
+
+    const studentResult = await db.collection('students').insertOne({
+      firstName: 'Test',
+      lastName: 'Student',
+      universityEmail: 'test.student@stevens.edu',
+      hashedPassword,
+      major: 'Computer Science',
+      age: 20,
+      enrolledCourses: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testStudent = studentResult.insertedId;
+
+    await db.collection('students').insertOne({
+      firstName: 'Out',
+      lastName: 'Sider',
+      universityEmail: 'out.sider@stevens.edu',
+      hashedPassword,
+      major: 'Computer Science',
+      age: 20,
+      enrolledCourses: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    const courseResult = await db.collection('courses').insertOne({
+      courseCode: 'CS545',
+      courseName: 'Human Computer Interaction',
+      section: 'WS',
+      department: 'Computer Science',
+      instructorName: 'Dr. Gregg Vesonder',
+      instructorEmail: 'gvesonde@stevens.edu',
+      term: 'Fall 2025',
+      enrolledStudents: [testStudent],
+      createdAt: new Date(),
+    });
+    testCourse = courseResult.insertedId;
+
+    const questionResult = await db.collection('questions').insertOne({
+      courseId: testCourse,
+      posterId: testStudent,
+      title: 'Usability heuristics',
+      content: 'Which of Nielsen heuristics applies to error messages?',
+      isAnonymous: false,
+      isResolved: false,
+      acceptedResponseId: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    await db.collection('responses').insertOne({
+      questionId: questionResult.insertedId,
+      posterId: testStudent,
+      content: 'Look at the prototype feedback from week four.',
+      isAnonymous: false,
+      isHelpful: false,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    const login = await request(app).post('/api/auth/login').send({
+      universityEmail: 'test.student@stevens.edu',
+      password: 'password123',
+    });
+    authCookie = login.headers['set-cookie'];
+
+    const outsiderLogin = await request(app).post('/api/auth/login').send({
+      universityEmail: 'out.sider@stevens.edu',
+      password: 'password123',
+    });
+    outsiderCookie = outsiderLogin.headers['set-cookie'];
+  });
+
+  describe('GET /api/search', () => {
+    it('should return ranked results with highlights', async () => {
+      const response = await request(app)
+        .get(`/api/search?courseId=${testCourse}&q=heuristics`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.total).toBe(1);
+      expect(response.body.page).toBe(1);
+      expect(response.body.results[0].title).toBe('Usability heuristics');
+      expect(response.body.results[0].highlights.title).toContainEqual({
+        text: 'heuristics',
+        match: true,
+      });
+    });
+
+    it('should match response content', async () => {
+      const response = await request(app)
+        .get(`/api/search?courseId=${testCourse}&q=prototype`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.results).toHaveLength(1);
+      expect(response.body.results[0].matchedResponseCount).toBe(1);
+    });
+
+    it('should apply status and pagination parameters', async () => {
+      const response = await request(app)
+        .get(
+          `/api/search?courseId=${testCourse}&q=heuristics&status=answered&page=2&limit=5`
+        )
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(0);
+      expect(response.body.page).toBe(2);
+      expect(response.body.limit).toBe(5);
+    });
+
+    it('should filter to endorsed questions', async () => {
+      const before = await request(app)
+        .get(`/api/search?courseId=${testCourse}&q=heuristics&endorsed=true`)
+        .set('Cookie', authCookie);
+      expect(before.status).toBe(200);
+      expect(before.body.total).toBe(0);
+
+      await db
+        .collection('responses')
+        .updateOne(
+          {},
+          { $set: { endorsedBy: testStudent, endorsedAt: new Date() } }
+        );
+
+      const after = await request(app)
+        .get(`/api/search?courseId=${testCourse}&q=heuristics&endorsed=true`)
+        .set('Cookie', authCookie);
+      expect(after.body.total).toBe(1);
+      expect(after.body.results[0].hasEndorsedResponse).toBe(true);
+    });
+
+    it('should require a search query', async () => {
+      const response = await request(app)
+        .get(`/api/search?courseId=${testCourse}&q=`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject an out-of-range limit', async () => {
+      const response = await request(app)
+        .get(`/api/search?courseId=${testCourse}&q=heuristics&limit=500`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 403 for students outside the course', async () => {
+      const response = await request(app)
+        .get(`/api/search?courseId=${testCourse}&q=heuristics`)
+        .set('Cookie', outsiderCookie);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('You are not enrolled in this course');
+    });
+
+    it('should return 404 for a course that does not exist', async () => {
+      const response = await request(app)
+        .get(`/api/search?courseId=${new ObjectId()}&q=heuristics`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).get(
+        `/api/search?courseId=${testCourse}&q=heuristics`
+      );
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
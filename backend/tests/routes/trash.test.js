@@ -0,0 +1,219 @@
+/**
+ * Integration Tests for Trash Routes
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { ObjectId } from 'mongodb';
+import { connectToDb, closeConnection } from '../../database_config/index.js';
+import app from '../../app.js';
+
+describe('Trash Routes', () => {
+  let db;
+  let testCourse;
+  let testQuestion;
+  let testResponse;
+  let authCookie;
+  let otherAuthCookie;
+  let outsiderCookie;
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.DB_NAME = 'peer-tutor-connect-test';
+    db = await connectToDb();
+  });
+
+  afterAll(async () => {
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+    await closeConnection();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await db.collection('students').deleteMany({});
+    await db.collection('courses').deleteMany({});
+    await db.collection('questions').deleteMany({});
+    await db.collection('responses').deleteMany({});
+
+    const hashedPassword = await bcrypt.hash('password123', 10);
+
+    const [student1, student2] = await Promise.all(
+      ['test.student', 'other.student', 'out.sider'].map((name) =>
+        db.collection('students').insertOne({
+          firstName: name.split('.')[0],
+          lastName: name.split('.')[1],
+          universityEmail: `${name}@stevens.edu`,
+          hashedPassword,
+          major: 'Computer Science',
+          age: 20,
+          enrolledCourses: [],
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        })
+      )
+    );
+
+    const courseResult = await db.collection('courses').insertOne({
+      courseCode: 'CS545',
+      courseName: 'Human Computer Interaction',
+      section: 'WS',
+      department: 'Computer Science',
+      instructorName: 'Dr. Gregg Vesonder',
+      instructorEmail: 'gvesonde@stevens.edu',
+      term: 'Fall 2025',
+      enrolledStudents: [student1.insertedId, student2.insertedId],
+      createdAt: new Date(),
+    });
+    testCourse = courseResult.insertedId;
+
+    const questionResult = await db.collection('questions').insertOne({
+      courseId: testCourse,
+      posterId: student1.insertedId,
+      title: 'Dijkstra',
+      content: 'Why does it fail with negative edges?',
+      isAnonymous: false,
+      isResolved: false,
+      acceptedResponseId: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testQuestion = questionResult.insertedId;
+
+    const responseResult = await db.collection('responses').insertOne({
+      questionId: testQuestion,
+      posterId: student1.insertedId,
+      content: 'It assumes paths only get longer.',
+      isAnonymous: false,
+      isHelpful: false,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    testResponse = responseResult.insertedId;
+
+    const login = async (universityEmail) => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ universityEmail, password: 'password123' });
+      return response.headers['set-cookie'];
+    };
+    authCookie = await login('test.student@stevens.edu');
+    otherAuthCookie = await login('other.student@stevens.edu');
+    outsiderCookie = await login('out.sider@stevens.edu');
+  });
+
+  const deleteQuestion = () =>
+    request(app)
+      .delete(`/api/questions/${testQuestion}`)
+      .set('Cookie', authCookie);
+
+  describe('GET /api/trash', () => {
+    it("should list the student's deleted posts", async () => {
+      await deleteQuestion();
+
+      const response = await request(app)
+        .get('/api/trash')
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.retentionDays).toBe(30);
+      expect(response.body.items).toHaveLength(1);
+      expect(response.body.items[0]).toMatchObject({
+        targetType: 'question',
+        title: 'Dijkstra',
+        courseCode: 'CS545',
+      });
+    });
+
+    it('should not show posts deleted by someone else', async () => {
+      await deleteQuestion();
+
+      const response = await request(app)
+        .get('/api/trash')
+        .set('Cookie', otherAuthCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.items).toEqual([]);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/trash');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('PATCH /api/trash/questions/:questionId/restore', () => {
+    it('should restore a deleted question with its responses', async () => {
+      await deleteQuestion();
+
+      const response = await request(app)
+        .patch(`/api/trash/questions/${testQuestion}/restore`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.question).not.toHaveProperty('deletedAt');
+
+      const responses = await request(app)
+        .get(`/api/responses/${testQuestion}`)
+        .set('Cookie', otherAuthCookie);
+      expect(responses.status).toBe(200);
+      expect(responses.body.responses).toHaveLength(1);
+    });
+
+    it('should return 404 for other students and expired deletions', async () => {
+      await deleteQuestion();
+
+      const foreign = await request(app)
+        .patch(`/api/trash/questions/${testQuestion}/restore`)
+        .set('Cookie', otherAuthCookie);
+
+      await db
+        .collection('questions')
+        .updateOne(
+          { _id: testQuestion },
+          { $set: { deletedAt: new Date('2020-01-01') } }
+        );
+      const expired = await request(app)
+        .patch(`/api/trash/questions/${testQuestion}/restore`)
+        .set('Cookie', authCookie);
+
+      expect(foreign.status).toBe(404);
+      expect(expired.status).toBe(404);
+    });
+
+    it('should return 400 for an invalid ID', async () => {
+      const response = await request(app)
+        .patch('/api/trash/questions/invalid/restore')
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PATCH /api/trash/responses/:responseId/restore', () => {
+    it('should restore a deleted response', async () => {
+      await request(app)
+        .delete(`/api/responses/${testResponse}`)
+        .set('Cookie', authCookie);
+
+      const response = await request(app)
+        .patch(`/api/trash/responses/${testResponse}/restore`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(200);
+      expect(response.body.response._id).toBe(testResponse.toString());
+    });
+
+    it('should return 404 for a response that is not in the trash', async () => {
+      const response = await request(app)
+        .patch(`/api/trash/responses/${new ObjectId()}/restore`)
+        .set('Cookie', authCookie);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
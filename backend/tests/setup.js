@@ -6,3 +6,11 @@
 // Set test environment variables BEFORE any modules are imported
 process.env.NODE_ENV = 'test';
 process.env.DB_NAME = 'peer-tutor-connect-test';
+
+// Deliver email to a local outbox that tests can read back
+process.env.MAIL_TRANSPORT = 'outbox';
+process.env.MAIL_OUTBOX_DIR = 'tests/.outbox';
+
+// Store attachments in a local directory that tests can clean up
+process.env.ATTACHMENT_STORAGE = 'local';
+process.env.ATTACHMENT_DIR = 'tests/.uploads';
@@ -0,0 +1,44 @@
+/**
+ * Token Utilities
+ * Generation and hashing of single-use tokens sent to students by email
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Generates a random URL-safe token
+ * @param {number} bytes - Number of random bytes (default: 32)
+ * @returns {string} Hex-encoded token
+ */
+export const generateToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hashes a token for storage so the raw value never lands in the database
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ * @throws {Error} If token is not a non-empty string
+ */
+export const hashToken = (token) => {
+  if (typeof token !== 'string' || token.length === 0) {
+    throw new Error('Token is required');
+  }
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Join codes skip look-alike characters (0/O, 1/I/L) so they can be read aloud
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generates a short course join code
+ * @param {number} length - Number of characters (default: 8)
+ * @returns {string} Upper-case join code
+ */
+export const generateJoinCode = (length = 8) => {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+  }
+  return code;
+};
@@ -13,11 +13,22 @@ import {
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { RealtimeProvider } from './context/RealtimeContext';
 import Login from './components/Login';
+import Register from './components/Register';
+import VerifyEmail from './components/VerifyEmail';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import ChangePassword from './components/ChangePassword';
+import NotificationSettings from './components/NotificationSettings';
 import CoursesList from './components/CoursesList';
+import CourseCatalog from './components/CourseCatalog';
+import CourseRoster from './components/CourseRoster';
+import ModerationDashboard from './components/ModerationDashboard';
 import QuestionsList from './components/QuestionsList';
 import QuestionDetail from './components/QuestionDetail';
 import QuestionForm from './components/QuestionForm';
+import Trash from './components/Trash';
 import ProtectedRoute from './components/ProtectedRoute';
 import HelpWidget from './components/HelpWidget';
 import ScrollToTopButton from './components/ScrollToTopButton';
@@ -36,13 +47,25 @@ const AppRoutes = () => {
     );
   }
 
-  const hideWidgets = location.pathname === '/';
+  // Public pages that should not show the help widget
+  const publicPaths = [
+    '/',
+    '/register',
+    '/verify-email',
+    '/forgot-password',
+    '/reset-password',
+  ];
+  const hideWidgets = publicPaths.includes(location.pathname);
 
   return (
     <>
       <Routes>
-        {/* Public Route */}
+        {/* Public Routes */}
         <Route path="/" element={<Login />} />
+        <Route path="/register" element={<Register />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
 
         {/* Protected Routes */}
         <Route
@@ -53,6 +76,30 @@ const AppRoutes = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/courses/browse"
+          element={
+            <ProtectedRoute>
+              <CourseCatalog />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/courses/:courseId/roster"
+          element={
+            <ProtectedRoute>
+              <CourseRoster />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/courses/:courseId/moderation"
+          element={
+            <ProtectedRoute>
+              <ModerationDashboard />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/courses/:courseId/questions"
           element={
@@ -85,6 +132,30 @@ const AppRoutes = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/trash"
+          element={
+            <ProtectedRoute>
+              <Trash />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/account/password"
+          element={
+            <ProtectedRoute>
+              <ChangePassword />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/account/notifications"
+          element={
+            <ProtectedRoute>
+              <NotificationSettings />
+            </ProtectedRoute>
+          }
+        />
 
         {/* Catch-all redirect */}
         <Route path="*" element={<Navigate to="/" replace />} />
@@ -106,7 +177,9 @@ const App = () => {
   return (
     <BrowserRouter>
       <AuthProvider>
-        <AppRoutes />
+        <RealtimeProvider>
+          <AppRoutes />
+        </RealtimeProvider>
         <ToastContainer
           position="top-right"
           autoClose={3000}
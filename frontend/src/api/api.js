@@ -35,6 +35,22 @@ export const authApi = {
   logout: () => api.post('/auth/logout'),
 
   checkAuth: () => api.get('/auth/check'),
+
+  register: (data) => api.post('/auth/register', data),
+
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+
+  resendVerification: (email) =>
+    api.post('/auth/resend-verification', { universityEmail: email }),
+
+  forgotPassword: (email) =>
+    api.post('/auth/forgot-password', { universityEmail: email }),
+
+  resetPassword: (token, password) =>
+    api.post('/auth/reset-password', { token, password }),
+
+  changePassword: (currentPassword, newPassword) =>
+    api.post('/auth/change-password', { currentPassword, newPassword }),
 };
 
 // Courses API calls
@@ -42,12 +58,52 @@ export const coursesApi = {
   getCourses: () => api.get('/courses'),
 
   getCourseById: (courseId) => api.get(`/courses/${courseId}`),
+
+  getCatalog: () => api.get('/courses/catalog'),
+
+  joinCourse: (joinCode) => api.post('/courses/join', { joinCode }),
+
+  leaveCourse: (courseId) => api.delete(`/courses/${courseId}/enrollment`),
+
+  getRoster: (courseId) => api.get(`/courses/${courseId}/students`),
+
+  addStudent: (courseId, email) =>
+    api.post(`/courses/${courseId}/students`, { universityEmail: email }),
+
+  importRoster: (courseId, csv) =>
+    api.post(`/courses/${courseId}/students/import`, { csv }),
+
+  removeStudent: (courseId, studentId) =>
+    api.delete(`/courses/${courseId}/students/${studentId}`),
+
+  regenerateJoinCode: (courseId) => api.post(`/courses/${courseId}/join-code`),
+
+  getTags: (courseId) => api.get(`/courses/${courseId}/tags`),
+
+  setTags: (courseId, tags) => api.put(`/courses/${courseId}/tags`, { tags }),
+
+  getScreening: (courseId) => api.get(`/courses/${courseId}/screening`),
+
+  setScreening: (courseId, screening) =>
+    api.put(`/courses/${courseId}/screening`, screening),
 };
 
 // Questions API calls
 export const questionsApi = {
-  getQuestionsByCourse: (courseId, sort = 'newest') =>
-    api.get(`/questions/${courseId}`, { params: { sort } }),
+  getQuestionsByCourse: (
+    courseId,
+    sort = 'newest',
+    { status, tags = [], endorsed = false, cursor } = {}
+  ) =>
+    api.get(`/questions/${courseId}`, {
+      params: {
+        sort,
+        status,
+        tags: tags.join(',') || undefined,
+        endorsed: endorsed || undefined,
+        cursor,
+      },
+    }),
 
   getQuestionById: (questionId) => api.get(`/questions/detail/${questionId}`),
 
@@ -57,12 +113,32 @@ export const questionsApi = {
     api.patch(`/questions/${questionId}`, data),
 
   deleteQuestion: (questionId) => api.delete(`/questions/${questionId}`),
+
+  getRevisions: (questionId) => api.get(`/questions/${questionId}/revisions`),
+
+  voteQuestion: (questionId, value) =>
+    api.patch(`/questions/${questionId}/vote`, { value }),
+
+  getSimilar: (courseId, q, { excludeId } = {}) =>
+    api.get(`/questions/${courseId}/similar`, { params: { q, excludeId } }),
+
+  markDuplicate: (questionId, duplicateOfId) =>
+    api.patch(`/questions/${questionId}/duplicate`, { duplicateOfId }),
+
+  followQuestion: (questionId, isFollowing) =>
+    api.patch(`/questions/${questionId}/follow`, { isFollowing }),
+
+  endorseQuestion: (questionId, isEndorsed) =>
+    api.patch(`/questions/${questionId}/endorsed`, { isEndorsed }),
+
+  setVisibility: (questionId, data) =>
+    api.patch(`/questions/${questionId}/visibility`, data),
 };
 
 // Responses API calls
 export const responsesApi = {
-  getResponses: (questionId, sort = 'newest') =>
-    api.get(`/responses/${questionId}`, { params: { sort } }),
+  getResponses: (questionId, sort = 'newest', { cursor } = {}) =>
+    api.get(`/responses/${questionId}`, { params: { sort, cursor } }),
 
   createResponse: (data) => api.post('/responses', data),
 
@@ -71,19 +147,143 @@ export const responsesApi = {
 
   deleteResponse: (responseId) => api.delete(`/responses/${responseId}`),
 
+  getRevisions: (responseId) => api.get(`/responses/${responseId}/revisions`),
+
   markAsHelpful: (responseId, isHelpful) =>
     api.patch(`/responses/${responseId}/helpful`, { isHelpful }),
+
+  markAsAccepted: (responseId, isAccepted) =>
+    api.patch(`/responses/${responseId}/accepted`, { isAccepted }),
+
+  voteResponse: (responseId, value) =>
+    api.patch(`/responses/${responseId}/vote`, { value }),
+
+  endorseResponse: (responseId, isEndorsed) =>
+    api.patch(`/responses/${responseId}/endorsed`, { isEndorsed }),
+};
+
+// Comments API calls
+export const commentsApi = {
+  getComments: (questionId) => api.get(`/comments/${questionId}`),
+
+  createComment: (data) => api.post('/comments', data),
+
+  updateComment: (commentId, data) => api.patch(`/comments/${commentId}`, data),
+
+  deleteComment: (commentId) => api.delete(`/comments/${commentId}`),
 };
 
 // Notifications API calls
 export const notificationsApi = {
-  getNotifications: (unreadOnly = true) =>
-    api.get('/notifications', { params: { unreadOnly } }),
+  getNotifications: (unreadOnly = true, { cursor, limit } = {}) =>
+    api.get('/notifications', { params: { unreadOnly, cursor, limit } }),
 
   markAsRead: (notificationId) =>
     api.patch(`/notifications/${notificationId}/read`),
 
   markAllAsRead: () => api.patch('/notifications/read-all'),
+
+  getPreferences: () => api.get('/notifications/preferences'),
+
+  updatePreferences: (updates) =>
+    api.patch('/notifications/preferences', updates),
+};
+
+// Search API calls
+export const searchApi = {
+  searchCourse: (
+    courseId,
+    q,
+    { status = 'all', tags = [], endorsed = false, page = 1, limit = 20 } = {}
+  ) =>
+    api.get('/search', {
+      params: {
+        courseId,
+        q,
+        status,
+        tags: tags.join(',') || undefined,
+        endorsed: endorsed || undefined,
+        page,
+        limit,
+      },
+    }),
+};
+
+// Attachments API calls
+export const attachmentsApi = {
+  upload: (courseId, file) => {
+    const formData = new FormData();
+    formData.append('courseId', courseId);
+    formData.append('file', file);
+    // Let the browser set the multipart boundary
+    return api.post('/attachments', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+
+  deleteAttachment: (attachmentId) =>
+    api.delete(`/attachments/${attachmentId}`),
+
+  // For <img src> and download links; the session cookie authenticates them
+  getFileUrl: (attachmentId) =>
+    `${api.defaults.baseURL}/attachments/${attachmentId}`,
+};
+
+// Trash API calls
+export const trashApi = {
+  getTrash: () => api.get('/trash'),
+
+  restoreQuestion: (questionId) =>
+    api.patch(`/trash/questions/${questionId}/restore`),
+
+  restoreResponse: (responseId) =>
+    api.patch(`/trash/responses/${responseId}/restore`),
+};
+
+// Following API calls
+export const followingApi = {
+  getFollowing: () => api.get('/following'),
+};
+
+// Reports API calls
+export const reportsApi = {
+  // report: { targetType, targetId, reason, details }
+  createReport: (report) => api.post('/reports', report),
+};
+
+// Moderation API calls (course staff)
+export const moderationApi = {
+  getReports: (courseId) => api.get(`/moderation/${courseId}/reports`),
+
+  // action: { action, targetType, targetId, note }
+  takeAction: (courseId, action) =>
+    api.post(`/moderation/${courseId}/actions`, action),
+
+  getLog: (courseId, { cursor, limit } = {}) =>
+    api.get(`/moderation/${courseId}/log`, { params: { cursor, limit } }),
+
+  // reveal: { targetType, targetId, reason }
+  revealAuthor: (courseId, reveal) =>
+    api.post(`/moderation/${courseId}/reveal`, reveal),
+};
+
+// Markdown API calls
+export const markdownApi = {
+  preview: (content) => api.post('/markdown/preview', { content }),
+};
+
+// Live update stream (Server-Sent Events, authenticated by the session cookie)
+export const eventsApi = {
+  openStream: ({ courseId, questionId } = {}) => {
+    const params = new URLSearchParams();
+    if (courseId) params.set('courseId', courseId);
+    if (questionId) params.set('questionId', questionId);
+    const query = params.toString();
+    return new EventSource(
+      `${api.defaults.baseURL}/events${query ? `?${query}` : ''}`,
+      { withCredentials: true }
+    );
+  },
 };
 
 export default api;
@@ -0,0 +1,54 @@
+/**
+ * Anonymous Audience Picker Component
+ * Lets a student posting anonymously choose who their name is hidden from:
+ * only other students, or the course staff too
+ */
+
+const AUDIENCE_OPTIONS = [
+  {
+    isAnonymousToStaff: true,
+    label: 'Everyone',
+    description: 'Students and course staff see only your pseudonym',
+  },
+  {
+    isAnonymousToStaff: false,
+    label: 'Students only',
+    description: 'Instructors and TAs can still see your name',
+  },
+];
+
+const AnonymousAudiencePicker = ({ name, value, onChange, disabled }) => (
+  <fieldset style={{ marginTop: '0.75rem' }}>
+    <legend
+      className="font-medium text-gray-700"
+      style={{ fontSize: '0.75rem', marginBottom: '0.375rem' }}
+    >
+      Hide my name from
+    </legend>
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.375rem' }}>
+      {AUDIENCE_OPTIONS.map((option) => (
+        <label
+          key={option.label}
+          className="flex items-start text-gray-700 cursor-pointer"
+          style={{ gap: '0.5rem', fontSize: '0.8125rem' }}
+        >
+          <input
+            type="radio"
+            name={name}
+            checked={value === option.isAnonymousToStaff}
+            onChange={() => onChange(option.isAnonymousToStaff)}
+            className="text-teal-600 border-gray-300 focus:ring-2 focus:ring-teal-500 flex-shrink-0"
+            style={{ marginTop: '0.1875rem' }}
+            disabled={disabled}
+          />
+          <span>
+            <span className="font-semibold text-gray-900">{option.label}</span>
+            <span className="text-gray-500"> — {option.description}</span>
+          </span>
+        </label>
+      ))}
+    </div>
+  </fieldset>
+);
+
+export default AnonymousAudiencePicker;
@@ -0,0 +1,71 @@
+/**
+ * Anonymous Author Note Component
+ * What course staff see next to an anonymous post's author: the pseudonym
+ * students see, the author once revealed, or a button to reveal them
+ */
+
+import { ShieldAlert } from 'lucide-react';
+
+const AnonymousAuthorNote = ({
+  post,
+  isCourseStaff,
+  revealedAuthor,
+  onReveal,
+}) => {
+  if (!post.isAnonymous || !isCourseStaff) {
+    return null;
+  }
+
+  if (revealedAuthor) {
+    return (
+      <span
+        className="bg-amber-50 text-amber-900 border border-amber-200 font-medium"
+        style={{
+          padding: '0 0.375rem',
+          borderRadius: '0.25rem',
+          fontSize: '0.6875rem',
+        }}
+        title={revealedAuthor.universityEmail}
+      >
+        Revealed: {revealedAuthor.firstName} {revealedAuthor.lastName}
+      </span>
+    );
+  }
+
+  // The author chose to stay visible to staff, so posterName is their name
+  if (post.posterName !== post.pseudonym) {
+    return (
+      <span className="text-gray-500" style={{ fontSize: '0.75rem' }}>
+        (anonymous to students as {post.pseudonym})
+      </span>
+    );
+  }
+
+  // Staff's own anonymous posts keep their posterId
+  if (post.posterId) {
+    return null;
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.stopPropagation();
+        onReveal();
+      }}
+      className="inline-flex items-center text-amber-900 hover:bg-amber-50 font-semibold transition-colors"
+      style={{
+        gap: '0.25rem',
+        padding: '0 0.375rem',
+        borderRadius: '0.25rem',
+        fontSize: '0.6875rem',
+      }}
+      title="Reveal who wrote this (recorded in the moderation log)"
+    >
+      <ShieldAlert style={{ width: '0.75rem', height: '0.75rem' }} />
+      Reveal
+    </button>
+  );
+};
+
+export default AnonymousAuthorNote;
@@ -0,0 +1,85 @@
+/**
+ * Attachment List Component
+ * Files on a question or response: images as thumbnails that open full size,
+ * other files as download links
+ */
+
+import { FileText, Download } from 'lucide-react';
+import { attachmentsApi } from '../api/api';
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const AttachmentList = ({ attachments }) => {
+  if (!attachments || attachments.length === 0) {
+    return null;
+  }
+
+  const images = attachments.filter((a) => a.mimeType.startsWith('image/'));
+  const files = attachments.filter((a) => !a.mimeType.startsWith('image/'));
+
+  return (
+    <div style={{ marginTop: '0.75rem', marginBottom: '0.75rem' }}>
+      {images.length > 0 && (
+        <ul className="flex flex-wrap" style={{ gap: '0.5rem' }}>
+          {images.map((attachment) => (
+            <li key={attachment._id}>
+              <a
+                href={attachmentsApi.getFileUrl(attachment._id)}
+                target="_blank"
+                rel="noopener noreferrer"
+                title={`${attachment.fileName} (${formatFileSize(
+                  attachment.size
+                )})`}
+                className="block border border-gray-200 hover:border-teal-400 bg-gray-50 overflow-hidden transition-colors"
+                style={{ borderRadius: '0.5rem' }}
+              >
+                <img
+                  src={attachmentsApi.getFileUrl(attachment._id)}
+                  alt={attachment.fileName}
+                  loading="lazy"
+                  className="object-cover"
+                  style={{ width: '8rem', height: '6rem' }}
+                />
+              </a>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {files.length > 0 && (
+        <ul
+          className="flex flex-wrap"
+          style={{ gap: '0.5rem', marginTop: images.length ? '0.5rem' : 0 }}
+        >
+          {files.map((attachment) => (
+            <li key={attachment._id}>
+              <a
+                href={attachmentsApi.getFileUrl(attachment._id)}
+                className="inline-flex items-center border border-gray-200 bg-white text-gray-700 hover:text-teal-700 hover:border-teal-400 transition-colors"
+                style={{
+                  gap: '0.375rem',
+                  padding: '0.375rem 0.75rem',
+                  borderRadius: '0.5rem',
+                  fontSize: '0.8125rem',
+                }}
+              >
+                <FileText style={{ width: '1rem', height: '1rem' }} />
+                <span className="font-medium">{attachment.fileName}</span>
+                <span className="text-gray-500">
+                  {formatFileSize(attachment.size)}
+                </span>
+                <Download style={{ width: '0.875rem', height: '0.875rem' }} />
+              </a>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentList;
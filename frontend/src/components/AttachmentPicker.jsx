@@ -0,0 +1,167 @@
+/**
+ * Attachment Picker Component
+ * Uploads files for a new question or response as soon as they are chosen;
+ * the form submits the resulting attachment IDs with the post
+ */
+
+import { useRef, useState } from 'react';
+import { Paperclip, X, FileText, Image as ImageIcon } from 'lucide-react';
+import { attachmentsApi } from '../api/api';
+import { formatFileSize } from './AttachmentList';
+
+// Mirrors the backend's limits so most problems are caught before uploading
+const ACCEPTED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+];
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_ATTACHMENTS = 4;
+
+const AttachmentPicker = ({ courseId, attachments, onChange, disabled }) => {
+  const inputRef = useRef(null);
+  const [uploadingCount, setUploadingCount] = useState(0);
+  const [error, setError] = useState('');
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    setError('');
+
+    const room = MAX_ATTACHMENTS - attachments.length;
+    if (files.length > room) {
+      setError(`You can attach up to ${MAX_ATTACHMENTS} files`);
+      return;
+    }
+
+    const rejected = files.find(
+      (file) => !ACCEPTED_TYPES.includes(file.type) || file.size > MAX_FILE_SIZE
+    );
+    if (rejected) {
+      setError(
+        rejected.size > MAX_FILE_SIZE
+          ? `${rejected.name} is larger than 5 MB`
+          : `${rejected.name} is not a PNG, JPEG, GIF, WebP, PDF or text file`
+      );
+      return;
+    }
+
+    setUploadingCount(files.length);
+    const uploaded = [];
+    for (const file of files) {
+      try {
+        const response = await attachmentsApi.upload(courseId, file);
+        uploaded.push(response.data.attachment);
+      } catch (error) {
+        setError(
+          error.response?.data?.error || `Failed to upload ${file.name}`
+        );
+      }
+      setUploadingCount((count) => count - 1);
+    }
+    onChange([...attachments, ...uploaded]);
+  };
+
+  const handleRemove = async (attachment) => {
+    onChange(attachments.filter((a) => a._id !== attachment._id));
+    try {
+      await attachmentsApi.deleteAttachment(attachment._id);
+    } catch (_error) {
+      // Unused uploads are harmless; nothing to tell the user
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center" style={{ gap: '0.5rem' }}>
+        <button
+          type="button"
+          onClick={() => inputRef.current?.click()}
+          disabled={
+            disabled ||
+            uploadingCount > 0 ||
+            attachments.length >= MAX_ATTACHMENTS
+          }
+          className="inline-flex items-center border border-gray-200 bg-white text-gray-700 hover:border-teal-400 hover:text-teal-700 font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          style={{
+            gap: '0.375rem',
+            padding: '0.375rem 0.75rem',
+            borderRadius: '0.5rem',
+            fontSize: '0.8125rem',
+          }}
+        >
+          <Paperclip style={{ width: '0.875rem', height: '0.875rem' }} />
+          {uploadingCount > 0 ? 'Uploading...' : 'Attach files'}
+        </button>
+        <span className="text-gray-600" style={{ fontSize: '0.75rem' }}>
+          Images, PDF or text, up to 5 MB each ({attachments.length}/
+          {MAX_ATTACHMENTS})
+        </span>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          accept={ACCEPTED_TYPES.join(',')}
+          onChange={handleFiles}
+          className="hidden"
+          aria-label="Attach files"
+        />
+      </div>
+
+      {error && (
+        <p
+          className="text-red-600 font-medium"
+          style={{ marginTop: '0.375rem', fontSize: '0.8125rem' }}
+          role="alert"
+        >
+          {error}
+        </p>
+      )}
+
+      {attachments.length > 0 && (
+        <ul
+          className="flex flex-wrap"
+          style={{ gap: '0.5rem', marginTop: '0.5rem' }}
+        >
+          {attachments.map((attachment) => {
+            const Icon = attachment.mimeType.startsWith('image/')
+              ? ImageIcon
+              : FileText;
+            return (
+              <li
+                key={attachment._id}
+                className="inline-flex items-center border border-teal-100 bg-white text-gray-700"
+                style={{
+                  gap: '0.375rem',
+                  padding: '0.25rem 0.5rem',
+                  borderRadius: '0.5rem',
+                  fontSize: '0.8125rem',
+                }}
+              >
+                <Icon style={{ width: '0.875rem', height: '0.875rem' }} />
+                <span className="font-medium">{attachment.fileName}</span>
+                <span className="text-gray-500">
+                  {formatFileSize(attachment.size)}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(attachment)}
+                  disabled={disabled}
+                  className="text-gray-500 hover:text-red-700 transition-colors"
+                  aria-label={`Remove ${attachment.fileName}`}
+                >
+                  <X style={{ width: '0.875rem', height: '0.875rem' }} />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentPicker;
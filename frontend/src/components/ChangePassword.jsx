@@ -0,0 +1,220 @@
+/**
+ * Change Password Component
+ * Lets a signed-in student replace their password
+ */
+
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { authApi } from '../api/api';
+import { ArrowLeft, KeyRound, AlertCircle } from 'lucide-react';
+import Header from './Header';
+
+const inputClassName =
+  'w-full border border-gray-300 bg-gray-50 hover:bg-white focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all';
+
+const inputStyle = {
+  padding: '0.75rem 1rem',
+  borderRadius: '0.5rem',
+  fontSize: '1rem',
+};
+
+const labelStyle = { fontSize: '0.875rem', marginBottom: '0.5rem' };
+
+const ChangePassword = () => {
+  const [form, setForm] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+
+  const handleChange = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (form.newPassword.length < 8) {
+      setError('New password must be at least 8 characters');
+      return;
+    }
+    if (form.newPassword !== form.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    if (form.newPassword === form.currentPassword) {
+      setError('New password must be different from your current password');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      await authApi.changePassword(form.currentPassword, form.newPassword);
+      toast.success('Password changed successfully');
+      navigate('/courses');
+    } catch (err) {
+      console.error('Change password error:', err);
+      if (err.response) {
+        setError(
+          err.response.data?.error ||
+            err.response.data?.errors?.[0]?.msg ||
+            'Failed to change password'
+        );
+      } else {
+        setError('Cannot connect to server. Please try again.');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50/30">
+      <Header />
+
+      <main
+        id="main-content"
+        className="container-centered fade-in"
+        style={{ paddingTop: '2rem', paddingBottom: '2rem' }}
+      >
+        <button
+          onClick={() => navigate(-1)}
+          className="flex items-center text-gray-600 hover:text-teal-600 font-medium transition-colors"
+          style={{ gap: '0.5rem', marginBottom: '1.5rem' }}
+        >
+          <ArrowLeft style={{ width: '1.25rem', height: '1.25rem' }} />
+          Back
+        </button>
+
+        <div
+          className="bg-white shadow-lg border border-gray-100"
+          style={{ maxWidth: '32rem', borderRadius: '1rem', padding: '2rem' }}
+        >
+          <h1
+            className="font-bold text-gray-900"
+            style={{ fontSize: '1.5rem', marginBottom: '1.5rem' }}
+          >
+            Change Password
+          </h1>
+
+          <form
+            onSubmit={handleSubmit}
+            style={{ display: 'flex', flexDirection: 'column', gap: '1.25rem' }}
+          >
+            <div>
+              <label
+                htmlFor="currentPassword"
+                className="block text-gray-700 font-medium"
+                style={labelStyle}
+              >
+                Current Password
+              </label>
+              <input
+                id="currentPassword"
+                type="password"
+                value={form.currentPassword}
+                onChange={handleChange('currentPassword')}
+                autoComplete="current-password"
+                required
+                className={inputClassName}
+                style={inputStyle}
+                disabled={isLoading}
+              />
+            </div>
+            <div>
+              <label
+                htmlFor="newPassword"
+                className="block text-gray-700 font-medium"
+                style={labelStyle}
+              >
+                New Password
+              </label>
+              <input
+                id="newPassword"
+                type="password"
+                value={form.newPassword}
+                onChange={handleChange('newPassword')}
+                placeholder="At least 8 characters"
+                autoComplete="new-password"
+                required
+                className={inputClassName}
+                style={inputStyle}
+                disabled={isLoading}
+              />
+            </div>
+            <div>
+              <label
+                htmlFor="confirmPassword"
+                className="block text-gray-700 font-medium"
+                style={labelStyle}
+              >
+                Confirm New Password
+              </label>
+              <input
+                id="confirmPassword"
+                type="password"
+                value={form.confirmPassword}
+                onChange={handleChange('confirmPassword')}
+                autoComplete="new-password"
+                required
+                className={inputClassName}
+                style={inputStyle}
+                disabled={isLoading}
+              />
+            </div>
+
+            {error && (
+              <div
+                className="bg-red-50 border border-red-200 text-red-800 flex items-start"
+                style={{
+                  gap: '0.75rem',
+                  borderRadius: '0.5rem',
+                  padding: '1rem',
+                }}
+                role="alert"
+              >
+                <AlertCircle
+                  style={{
+                    width: '1.25rem',
+                    height: '1.25rem',
+                    flexShrink: 0,
+                    marginTop: '0.125rem',
+                  }}
+                />
+                <p style={{ fontSize: '0.875rem' }}>{error}</p>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="bg-gradient-to-r from-teal-600 to-emerald-600 hover:from-teal-700 hover:to-emerald-700 text-white font-semibold shadow-lg hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{
+                padding: '0.875rem 1.5rem',
+                borderRadius: '0.75rem',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                gap: '0.5rem',
+              }}
+            >
+              <KeyRound
+                style={{ width: '1.25rem', height: '1.25rem' }}
+                aria-hidden="true"
+              />
+              {isLoading ? 'Saving...' : 'Update Password'}
+            </button>
+          </form>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default ChangePassword;
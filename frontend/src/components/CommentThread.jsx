@@ -0,0 +1,353 @@
+/**
+ * Comment Thread Component
+ * Collapsible comments under a question or response, with a compact form
+ * for clarifying back-and-forth that should not be posted as an answer
+ */
+
+import { useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { toast } from 'react-toastify';
+import { MessageCircle, ChevronDown, ChevronUp, Send } from 'lucide-react';
+import { commentsApi } from '../api/api';
+import { useAuth } from '../context/AuthContext';
+import AnonymousAuthorNote from './AnonymousAuthorNote';
+
+const MAX_COMMENT_LENGTH = 500;
+
+const CommentThread = ({
+  targetType,
+  targetId,
+  comments,
+  canModerate,
+  canPost = true,
+  revealedAuthors = {},
+  onCommentSaved,
+  onDeleteComment,
+  onRevealAuthor,
+}) => {
+  const { user } = useAuth();
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [content, setContent] = useState('');
+  const [isAnonymous, setIsAnonymous] = useState(false);
+  const [isAnonymousToStaff, setIsAnonymousToStaff] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [editContent, setEditContent] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!content.trim()) {
+      setError('Comment is required');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const response = await commentsApi.createComment({
+        targetType,
+        targetId,
+        content: content.trim(),
+        isAnonymous,
+        ...(isAnonymous && { isAnonymousToStaff }),
+      });
+      // Shaped like a listed comment so it renders without a refetch
+      const comment = response.data.comment;
+      onCommentSaved({
+        ...comment,
+        posterName: isAnonymous
+          ? comment.pseudonym
+          : `${user.firstName} ${user.lastName}`,
+      });
+      setContent('');
+      setIsAnonymous(false);
+      setIsAnonymousToStaff(true);
+    } catch (error) {
+      // Content screening says why the comment was turned away
+      const reasons = error.response?.data?.screening?.reasons || [];
+      setError(
+        [
+          error.response?.data?.error || 'Failed to post comment',
+          ...reasons,
+        ].join('. ')
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSaveEdit = async (comment) => {
+    if (!editContent.trim()) {
+      return;
+    }
+
+    try {
+      const response = await commentsApi.updateComment(comment._id, {
+        content: editContent.trim(),
+      });
+      onCommentSaved({
+        ...response.data.comment,
+        posterName: comment.posterName,
+      });
+      setEditingId(null);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.screening?.reasons?.[0] ||
+          'Failed to update comment',
+        { autoClose: 1500 }
+      );
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    // Submit on Ctrl/Cmd + Enter
+    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+      handleSubmit(e);
+    }
+  };
+
+  const linkButtonClass =
+    'font-semibold text-gray-500 hover:text-gray-800 transition-colors';
+
+  // Nothing to show in a locked thread with no comments
+  if (!canPost && comments.length === 0) {
+    return null;
+  }
+
+  return (
+    <div
+      className="border-t border-gray-200"
+      style={{ marginTop: '0.75rem', paddingTop: '0.5rem' }}
+    >
+      <button
+        type="button"
+        onClick={() => setIsExpanded(!isExpanded)}
+        aria-expanded={isExpanded}
+        className="flex items-center text-gray-600 hover:text-teal-700 font-semibold transition-colors"
+        style={{ gap: '0.25rem', fontSize: '0.75rem' }}
+      >
+        <MessageCircle style={{ width: '0.875rem', height: '0.875rem' }} />
+        {comments.length === 0
+          ? 'Add a comment'
+          : `${comments.length} ${
+              comments.length === 1 ? 'comment' : 'comments'
+            }`}
+        {isExpanded ? (
+          <ChevronUp style={{ width: '0.875rem', height: '0.875rem' }} />
+        ) : (
+          <ChevronDown style={{ width: '0.875rem', height: '0.875rem' }} />
+        )}
+      </button>
+
+      {isExpanded && (
+        <div style={{ marginTop: '0.5rem' }}>
+          {comments.length > 0 && (
+            <ul
+              className="border-l-2 border-teal-100"
+              style={{
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '0.5rem',
+                paddingLeft: '0.75rem',
+                marginBottom: '0.75rem',
+              }}
+            >
+              {comments.map((comment) => {
+                const isCommentPoster = user && comment.posterId === user.id;
+                const canEdit = isCommentPoster || canModerate;
+                return (
+                  <li key={comment._id} style={{ fontSize: '0.8125rem' }}>
+                    {editingId === comment._id ? (
+                      <div
+                        className="flex flex-col"
+                        style={{ gap: '0.375rem' }}
+                      >
+                        <textarea
+                          value={editContent}
+                          onChange={(e) => setEditContent(e.target.value)}
+                          maxLength={MAX_COMMENT_LENGTH}
+                          rows={2}
+                          aria-label="Edit comment"
+                          className="w-full border border-gray-200 focus:ring-2 focus:ring-teal-500 focus:border-transparent resize-y bg-white"
+                          style={{
+                            padding: '0.375rem 0.625rem',
+                            borderRadius: '0.375rem',
+                          }}
+                          autoFocus
+                        />
+                        <div className="flex" style={{ gap: '0.75rem' }}>
+                          <button
+                            type="button"
+                            onClick={() => handleSaveEdit(comment)}
+                            className="font-semibold text-teal-700 hover:text-teal-800"
+                          >
+                            Save
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setEditingId(null)}
+                            className={linkButtonClass}
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <p className="text-gray-800 whitespace-pre-wrap">
+                        {comment.content}
+                        <span className="text-gray-500">
+                          {' – '}
+                          <span className="font-medium text-gray-700">
+                            {comment.posterName || 'Unknown'}
+                          </span>{' '}
+                          <AnonymousAuthorNote
+                            post={comment}
+                            isCourseStaff={canModerate}
+                            revealedAuthor={revealedAuthors[comment._id]}
+                            onReveal={() => onRevealAuthor(comment._id)}
+                          />
+                          {' · '}
+                          {formatDistanceToNow(new Date(comment.createdAt), {
+                            addSuffix: true,
+                          })}
+                        </span>
+                        {canEdit && (
+                          <>
+                            {' · '}
+                            <button
+                              type="button"
+                              onClick={() => {
+                                setEditingId(comment._id);
+                                setEditContent(comment.content);
+                              }}
+                              className={linkButtonClass}
+                            >
+                              Edit
+                            </button>
+                            {' · '}
+                            <button
+                              type="button"
+                              onClick={() => onDeleteComment(comment._id)}
+                              className="font-semibold text-red-700 hover:text-red-800 transition-colors"
+                            >
+                              Delete
+                            </button>
+                          </>
+                        )}
+                      </p>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          {/* New Comment Form */}
+          {canPost && (
+            <form onSubmit={handleSubmit}>
+              <textarea
+                value={content}
+                onChange={(e) => setContent(e.target.value)}
+                onKeyDown={handleKeyDown}
+                maxLength={MAX_COMMENT_LENGTH}
+                rows={2}
+                placeholder="Ask for clarification or add a short note..."
+                aria-label="Add a comment"
+                className={`w-full border focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all resize-y bg-white ${
+                  error
+                    ? 'border-red-500'
+                    : 'border-gray-200 hover:border-gray-300'
+                }`}
+                style={{
+                  padding: '0.5rem 0.75rem',
+                  borderRadius: '0.5rem',
+                  fontSize: '0.8125rem',
+                }}
+                disabled={isSubmitting}
+              />
+              {error && (
+                <p
+                  className="text-red-600 font-medium"
+                  style={{ marginTop: '0.25rem', fontSize: '0.75rem' }}
+                  role="alert"
+                >
+                  {error}
+                </p>
+              )}
+              <div
+                className="flex flex-wrap items-center justify-between"
+                style={{ gap: '0.5rem', marginTop: '0.375rem' }}
+              >
+                <div
+                  className="flex flex-wrap items-center"
+                  style={{ gap: '0.5rem' }}
+                >
+                  <label
+                    className="flex items-center text-gray-600 cursor-pointer"
+                    style={{ gap: '0.375rem', fontSize: '0.75rem' }}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={isAnonymous}
+                      onChange={(e) => setIsAnonymous(e.target.checked)}
+                      className="text-teal-600 border-gray-300 focus:ring-2 focus:ring-teal-500"
+                      disabled={isSubmitting}
+                    />
+                    Comment anonymously
+                  </label>
+                  {isAnonymous && (
+                    <select
+                      value={isAnonymousToStaff ? 'everyone' : 'students'}
+                      onChange={(e) =>
+                        setIsAnonymousToStaff(e.target.value === 'everyone')
+                      }
+                      aria-label="Hide my name from"
+                      className="border border-gray-200 text-gray-700 bg-white focus:ring-2 focus:ring-teal-500"
+                      style={{
+                        padding: '0.125rem 0.375rem',
+                        borderRadius: '0.375rem',
+                        fontSize: '0.75rem',
+                      }}
+                      disabled={isSubmitting}
+                    >
+                      <option value="everyone">Hidden from everyone</option>
+                      <option value="students">
+                        Hidden from students only
+                      </option>
+                    </select>
+                  )}
+                </div>
+                <div className="flex items-center" style={{ gap: '0.5rem' }}>
+                  <span
+                    className="text-gray-500"
+                    style={{ fontSize: '0.75rem' }}
+                  >
+                    {content.length}/{MAX_COMMENT_LENGTH}
+                  </span>
+                  <button
+                    type="submit"
+                    disabled={isSubmitting || !content.trim()}
+                    className="inline-flex items-center bg-gradient-to-r from-teal-600 to-emerald-600 hover:from-teal-700 hover:to-emerald-700 text-white font-semibold transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                    style={{
+                      gap: '0.25rem',
+                      padding: '0.25rem 0.75rem',
+                      borderRadius: '0.375rem',
+                      fontSize: '0.75rem',
+                    }}
+                  >
+                    <Send style={{ width: '0.75rem', height: '0.75rem' }} />
+                    {isSubmitting ? 'Posting...' : 'Comment'}
+                  </button>
+                </div>
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
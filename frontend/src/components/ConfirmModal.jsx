@@ -0,0 +1,72 @@
+/**
+ * Confirm Modal Component
+ * Asks the user to confirm a destructive action
+ */
+
+import { X } from 'lucide-react';
+
+const ConfirmModal = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  title,
+  message,
+  confirmLabel = 'Delete',
+}) => {
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50"
+      style={{ padding: '1rem' }}
+    >
+      <div
+        className="bg-white shadow-2xl w-full"
+        style={{ maxWidth: '28rem', borderRadius: '1rem', padding: '2rem' }}
+      >
+        <div
+          className="flex items-start justify-between"
+          style={{ marginBottom: '1.5rem' }}
+        >
+          <h3
+            className="font-bold text-gray-900"
+            style={{ fontSize: '1.25rem' }}
+          >
+            {title}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+            style={{ padding: '0.25rem' }}
+          >
+            <X style={{ width: '1.5rem', height: '1.5rem' }} />
+          </button>
+        </div>
+        <p
+          className="text-gray-600"
+          style={{ marginBottom: '2rem', fontSize: '1rem' }}
+        >
+          {message}
+        </p>
+        <div className="flex justify-end" style={{ gap: '1rem' }}>
+          <button
+            onClick={onClose}
+            className="border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium transition-colors"
+            style={{ padding: '0.75rem 1.5rem', borderRadius: '0.5rem' }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onConfirm}
+            className="bg-red-600 hover:bg-red-700 text-white font-semibold transition-colors"
+            style={{ padding: '0.75rem 1.5rem', borderRadius: '0.5rem' }}
+          >
+            {confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmModal;
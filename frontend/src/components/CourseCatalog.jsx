@@ -0,0 +1,393 @@
+/**
+ * Course Catalog Component
+ * Browse every course, join one with a join code, or leave an enrolled course
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { coursesApi } from '../api/api';
+import { ChevronRight, KeyRound, LogOut, Search, Users } from 'lucide-react';
+import Header from './Header';
+import Spinner from './Spinner';
+import ConfirmModal from './ConfirmModal';
+
+// Badge text for the viewer's role in a course
+const roleLabels = {
+  admin: 'Admin',
+  instructor: 'Instructor',
+  ta: 'TA',
+  student: 'Enrolled',
+};
+
+const CourseCatalog = () => {
+  const [courses, setCourses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [joinCode, setJoinCode] = useState('');
+  const [isJoining, setIsJoining] = useState(false);
+  const [joinError, setJoinError] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [courseToLeave, setCourseToLeave] = useState(null);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchCatalog();
+  }, []);
+
+  const fetchCatalog = async () => {
+    try {
+      const response = await coursesApi.getCatalog();
+      setCourses(response.data.courses || []);
+    } catch (error) {
+      console.error('Error fetching course catalog:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    setJoinError('');
+
+    if (!joinCode.trim()) {
+      setJoinError('Please enter a join code');
+      return;
+    }
+
+    setIsJoining(true);
+    try {
+      const response = await coursesApi.joinCourse(joinCode.trim());
+      const { course } = response.data;
+      toast.success(`Joined ${course.courseCode}`);
+      navigate(`/courses/${course._id}/questions`);
+    } catch (error) {
+      setJoinError(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          'Failed to join course'
+      );
+    } finally {
+      setIsJoining(false);
+    }
+  };
+
+  const handleLeave = async () => {
+    const course = courseToLeave;
+    setCourseToLeave(null);
+
+    try {
+      await coursesApi.leaveCourse(course._id);
+      toast.success(`You left ${course.courseCode}`);
+      setCourses((prevCourses) =>
+        prevCourses.map((c) =>
+          c._id === course._id
+            ? { ...c, courseRole: null, studentCount: c.studentCount - 1 }
+            : c
+        )
+      );
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to leave course');
+    }
+  };
+
+  const query = searchQuery.trim().toLowerCase();
+  const filteredCourses = query
+    ? courses.filter((course) =>
+        [
+          course.courseCode,
+          course.courseName,
+          course.instructorName,
+          course.department,
+        ].some((field) => field?.toLowerCase().includes(query))
+      )
+    : courses;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50/30">
+      <Header />
+
+      <main
+        id="main-content"
+        className="container-centered fade-in"
+        style={{ paddingTop: '2rem', paddingBottom: '2rem', maxWidth: '64rem' }}
+      >
+        {/* Breadcrumb */}
+        <nav aria-label="Breadcrumb" style={{ marginBottom: '1.5rem' }}>
+          <ol
+            className="flex items-center"
+            style={{ gap: '0.5rem', fontSize: '0.875rem' }}
+          >
+            <li>
+              <Link
+                to="/courses"
+                className="text-teal-600 hover:text-teal-700 hover:underline font-medium"
+              >
+                My Courses
+              </Link>
+            </li>
+            <li aria-hidden="true">
+              <ChevronRight
+                className="text-gray-400"
+                style={{ width: '1rem', height: '1rem' }}
+              />
+            </li>
+            <li className="text-gray-700 font-semibold">Browse Courses</li>
+          </ol>
+        </nav>
+
+        {/* Page Header */}
+        <div style={{ marginBottom: '2rem' }}>
+          <h1
+            className="font-bold text-gray-900 text-3xl sm:text-4xl"
+            style={{ marginBottom: '0.5rem' }}
+          >
+            Browse Courses
+          </h1>
+          <p className="text-gray-600 text-base sm:text-lg">
+            Enter the join code from your instructor to enroll in a course
+          </p>
+        </div>
+
+        {/* Join by Code */}
+        <form
+          onSubmit={handleJoin}
+          className="bg-white border border-gray-200 shadow-sm"
+          style={{
+            borderRadius: '0.75rem',
+            padding: '1.25rem',
+            marginBottom: '1.5rem',
+          }}
+        >
+          <label
+            htmlFor="joinCode"
+            className="block text-gray-700 font-medium"
+            style={{ fontSize: '0.875rem', marginBottom: '0.5rem' }}
+          >
+            Join Code
+          </label>
+          <div className="flex flex-col sm:flex-row" style={{ gap: '0.75rem' }}>
+            <input
+              id="joinCode"
+              type="text"
+              value={joinCode}
+              onChange={(e) => setJoinCode(e.target.value.toUpperCase())}
+              placeholder="e.g., K7QX2MPA"
+              maxLength={20}
+              autoComplete="off"
+              className="flex-1 border border-gray-300 bg-gray-50 hover:bg-white focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all font-mono tracking-widest"
+              style={{
+                padding: '0.75rem 1rem',
+                borderRadius: '0.5rem',
+                fontSize: '1rem',
+              }}
+              disabled={isJoining}
+            />
+            <button
+              type="submit"
+              disabled={isJoining}
+              className="inline-flex items-center justify-center bg-gradient-to-r from-teal-600 to-emerald-600 hover:from-teal-700 hover:to-emerald-700 text-white font-semibold shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{
+                gap: '0.5rem',
+                padding: '0.75rem 1.5rem',
+                borderRadius: '0.75rem',
+              }}
+            >
+              <KeyRound
+                style={{ width: '1.125rem', height: '1.125rem' }}
+                aria-hidden="true"
+              />
+              {isJoining ? 'Joining...' : 'Join Course'}
+            </button>
+          </div>
+          {joinError && (
+            <p
+              className="text-red-700"
+              style={{ fontSize: '0.875rem', marginTop: '0.5rem' }}
+              role="alert"
+            >
+              {joinError}
+            </p>
+          )}
+        </form>
+
+        {/* Search */}
+        <div className="relative" style={{ marginBottom: '1rem' }}>
+          <Search
+            className="absolute text-gray-400"
+            style={{
+              left: '0.75rem',
+              top: '50%',
+              transform: 'translateY(-50%)',
+              width: '1rem',
+              height: '1rem',
+            }}
+            aria-hidden="true"
+          />
+          <input
+            type="search"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search by code, name, instructor, or department"
+            aria-label="Search courses"
+            className="w-full border border-gray-300 bg-white focus:ring-2 focus:ring-teal-500 focus:border-transparent"
+            style={{
+              padding: '0.625rem 1rem 0.625rem 2.25rem',
+              borderRadius: '0.5rem',
+              fontSize: '0.9375rem',
+            }}
+          />
+        </div>
+
+        {/* Course List */}
+        {loading ? (
+          <div
+            className="flex justify-center"
+            style={{ paddingTop: '4rem', paddingBottom: '4rem' }}
+          >
+            <Spinner size="lg" text="Loading courses..." />
+          </div>
+        ) : filteredCourses.length === 0 ? (
+          <p
+            className="text-center text-gray-600"
+            style={{ padding: '3rem 1rem' }}
+          >
+            No courses match your search.
+          </p>
+        ) : (
+          <ul
+            style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}
+          >
+            {filteredCourses.map((course) => (
+              <li
+                key={course._id}
+                className="bg-white border border-gray-200 shadow-sm flex flex-col sm:flex-row sm:items-center sm:justify-between"
+                style={{
+                  borderRadius: '0.75rem',
+                  padding: '1rem 1.25rem',
+                  gap: '0.75rem',
+                }}
+              >
+                <div>
+                  <div
+                    className="flex items-center flex-wrap"
+                    style={{ gap: '0.5rem' }}
+                  >
+                    <h2
+                      className="font-semibold text-gray-900"
+                      style={{ fontSize: '1.0625rem' }}
+                    >
+                      {course.courseCode} {course.courseName}
+                    </h2>
+                    {roleLabels[course.courseRole] && (
+                      <span
+                        className={`font-semibold ${
+                          course.courseRole === 'student'
+                            ? 'bg-teal-100 text-teal-900'
+                            : 'bg-amber-100 text-amber-900'
+                        }`}
+                        style={{
+                          padding: '0.125rem 0.5rem',
+                          borderRadius: '0.375rem',
+                          fontSize: '0.75rem',
+                        }}
+                      >
+                        {roleLabels[course.courseRole]}
+                      </span>
+                    )}
+                  </div>
+                  <p
+                    className="text-gray-600 flex items-center flex-wrap"
+                    style={{
+                      fontSize: '0.875rem',
+                      marginTop: '0.25rem',
+                      gap: '0.375rem',
+                    }}
+                  >
+                    <span>{course.instructorName}</span>
+                    <span className="text-gray-400">•</span>
+                    <span>Section {course.section}</span>
+                    <span className="text-gray-400">•</span>
+                    <span>{course.term}</span>
+                    <span className="text-gray-400">•</span>
+                    <span
+                      className="inline-flex items-center"
+                      style={{ gap: '0.25rem' }}
+                    >
+                      <Users
+                        style={{ width: '0.875rem', height: '0.875rem' }}
+                        aria-hidden="true"
+                      />
+                      {course.studentCount}{' '}
+                      {course.studentCount === 1 ? 'student' : 'students'}
+                    </span>
+                  </p>
+                </div>
+
+                {course.courseRole ? (
+                  <div
+                    className="flex items-center flex-shrink-0"
+                    style={{ gap: '0.5rem' }}
+                  >
+                    {course.courseRole === 'student' && (
+                      <button
+                        onClick={() => setCourseToLeave(course)}
+                        className="inline-flex items-center border border-gray-300 bg-white hover:bg-gray-100 text-gray-700 font-semibold transition-colors"
+                        style={{
+                          gap: '0.375rem',
+                          padding: '0.5rem 0.875rem',
+                          borderRadius: '0.5rem',
+                          fontSize: '0.8125rem',
+                        }}
+                      >
+                        <LogOut
+                          style={{ width: '0.875rem', height: '0.875rem' }}
+                          aria-hidden="true"
+                        />
+                        Leave
+                      </button>
+                    )}
+                    <Link
+                      to={`/courses/${course._id}/questions`}
+                      className="inline-flex items-center bg-teal-600 hover:bg-teal-700 text-white font-semibold transition-colors"
+                      style={{
+                        gap: '0.25rem',
+                        padding: '0.5rem 0.875rem',
+                        borderRadius: '0.5rem',
+                        fontSize: '0.8125rem',
+                      }}
+                    >
+                      Open
+                      <ChevronRight
+                        style={{ width: '0.875rem', height: '0.875rem' }}
+                        aria-hidden="true"
+                      />
+                    </Link>
+                  </div>
+                ) : (
+                  <span
+                    className="text-gray-500 flex-shrink-0"
+                    style={{ fontSize: '0.8125rem' }}
+                  >
+                    Ask your instructor for the join code
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </main>
+
+      {/* Leave Confirmation Modal */}
+      <ConfirmModal
+        isOpen={Boolean(courseToLeave)}
+        onClose={() => setCourseToLeave(null)}
+        onConfirm={handleLeave}
+        title="Leave Course?"
+        message={`You will lose access to ${courseToLeave?.courseCode}'s discussion board until you join again with the course's join code.`}
+        confirmLabel="Leave"
+      />
+    </div>
+  );
+};
+
+export default CourseCatalog;
@@ -0,0 +1,459 @@
+/**
+ * Course Roster Component
+ * Staff view of a course's enrolled students, join code, and roster import
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { coursesApi } from '../api/api';
+import {
+  ChevronRight,
+  Copy,
+  RefreshCw,
+  Upload,
+  UserPlus,
+  UserMinus,
+} from 'lucide-react';
+import Header from './Header';
+import Spinner from './Spinner';
+import ConfirmModal from './ConfirmModal';
+
+const cardClassName = 'bg-white border border-gray-200 shadow-sm';
+
+const cardStyle = {
+  borderRadius: '0.75rem',
+  padding: '1.25rem',
+  marginBottom: '1.5rem',
+};
+
+const sectionTitleStyle = { fontSize: '1.125rem', marginBottom: '0.75rem' };
+
+const CourseRoster = () => {
+  const { courseId } = useParams();
+  const [course, setCourse] = useState(null);
+  const [students, setStudents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [email, setEmail] = useState('');
+  const [isAdding, setIsAdding] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importSummary, setImportSummary] = useState(null);
+  const [studentToRemove, setStudentToRemove] = useState(null);
+  const fileInputRef = useRef(null);
+  const navigate = useNavigate();
+
+  // TAs can view the roster; instructors and admins can change it
+  const canManage = ['instructor', 'admin'].includes(course?.courseRole);
+
+  useEffect(() => {
+    fetchRoster();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [courseId]);
+
+  const fetchRoster = async () => {
+    try {
+      const [courseResponse, rosterResponse] = await Promise.all([
+        coursesApi.getCourseById(courseId),
+        coursesApi.getRoster(courseId),
+      ]);
+      setCourse(courseResponse.data.course);
+      setStudents(rosterResponse.data.students || []);
+    } catch (error) {
+      console.error('Error fetching roster:', error);
+      toast.error(error.response?.data?.error || 'Failed to load roster');
+      navigate(`/courses/${courseId}/questions`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopyJoinCode = async () => {
+    try {
+      await navigator.clipboard.writeText(course.joinCode);
+      toast.success('Join code copied', { autoClose: 1500 });
+    } catch (_error) {
+      toast.error('Could not copy the join code', { autoClose: 1500 });
+    }
+  };
+
+  const handleRegenerateJoinCode = async () => {
+    try {
+      const response = await coursesApi.regenerateJoinCode(courseId);
+      setCourse({ ...course, joinCode: response.data.joinCode });
+      toast.success('New join code created. The old code no longer works.');
+    } catch (_error) {
+      toast.error('Failed to create a new join code');
+    }
+  };
+
+  const handleAddStudent = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) {
+      return;
+    }
+
+    setIsAdding(true);
+    try {
+      const response = await coursesApi.addStudent(courseId, email.trim());
+      setStudents(response.data.students || []);
+      setEmail('');
+      toast.success('Student added', { autoClose: 1500 });
+    } catch (error) {
+      toast.error(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          'Failed to add student'
+      );
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    setIsImporting(true);
+    setImportSummary(null);
+    try {
+      const csv = await file.text();
+      const response = await coursesApi.importRoster(courseId, csv);
+      setImportSummary(response.data);
+      const rosterResponse = await coursesApi.getRoster(courseId);
+      setStudents(rosterResponse.data.students || []);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          'Failed to import roster'
+      );
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleRemoveStudent = async () => {
+    const student = studentToRemove;
+    setStudentToRemove(null);
+
+    try {
+      await coursesApi.removeStudent(courseId, student._id);
+      setStudents((prevStudents) =>
+        prevStudents.filter((s) => s._id !== student._id)
+      );
+      toast.success('Student removed', { autoClose: 1500 });
+    } catch (_error) {
+      toast.error('Failed to remove student');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50/30">
+        <Header />
+        <div className="flex justify-center" style={{ padding: '4rem 0' }}>
+          <Spinner size="lg" text="Loading roster..." />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50/30">
+      <Header />
+
+      <main
+        id="main-content"
+        className="container-centered fade-in"
+        style={{ paddingTop: '2rem', paddingBottom: '2rem', maxWidth: '64rem' }}
+      >
+        {/* Breadcrumb */}
+        <nav aria-label="Breadcrumb" style={{ marginBottom: '1.5rem' }}>
+          <ol
+            className="flex items-center"
+            style={{ gap: '0.5rem', fontSize: '0.875rem' }}
+          >
+            <li>
+              <Link
+                to="/courses"
+                className="text-teal-600 hover:text-teal-700 hover:underline font-medium"
+              >
+                My Courses
+              </Link>
+            </li>
+            <li aria-hidden="true">
+              <ChevronRight
+                className="text-gray-400"
+                style={{ width: '1rem', height: '1rem' }}
+              />
+            </li>
+            <li>
+              <Link
+                to={`/courses/${courseId}/questions`}
+                className="text-teal-600 hover:text-teal-700 hover:underline font-medium"
+              >
+                {course?.courseCode}
+              </Link>
+            </li>
+            <li aria-hidden="true">
+              <ChevronRight
+                className="text-gray-400"
+                style={{ width: '1rem', height: '1rem' }}
+              />
+            </li>
+            <li className="text-gray-700 font-semibold">Roster</li>
+          </ol>
+        </nav>
+
+        <h1
+          className="font-bold text-gray-900 text-xl sm:text-3xl"
+          style={{ lineHeight: '1.2', marginBottom: '2rem' }}
+        >
+          {course?.courseCode} Roster
+        </h1>
+
+        {/* Join Code */}
+        <section className={cardClassName} style={cardStyle}>
+          <h2 className="font-semibold text-gray-900" style={sectionTitleStyle}>
+            Join Code
+          </h2>
+          <div
+            className="flex flex-wrap items-center"
+            style={{ gap: '0.75rem' }}
+          >
+            <code
+              className="bg-gray-100 text-gray-900 font-mono font-bold tracking-widest"
+              style={{
+                padding: '0.5rem 1rem',
+                borderRadius: '0.5rem',
+                fontSize: '1.25rem',
+              }}
+            >
+              {course?.joinCode || '—'}
+            </code>
+            <button
+              onClick={handleCopyJoinCode}
+              disabled={!course?.joinCode}
+              className="inline-flex items-center border border-gray-300 bg-white hover:bg-gray-100 text-gray-700 font-semibold transition-colors disabled:opacity-50"
+              style={{
+                gap: '0.375rem',
+                padding: '0.5rem 0.875rem',
+                borderRadius: '0.5rem',
+                fontSize: '0.875rem',
+              }}
+            >
+              <Copy
+                style={{ width: '1rem', height: '1rem' }}
+                aria-hidden="true"
+              />
+              Copy
+            </button>
+            {canManage && (
+              <button
+                onClick={handleRegenerateJoinCode}
+                className="inline-flex items-center border border-gray-300 bg-white hover:bg-gray-100 text-gray-700 font-semibold transition-colors"
+                style={{
+                  gap: '0.375rem',
+                  padding: '0.5rem 0.875rem',
+                  borderRadius: '0.5rem',
+                  fontSize: '0.875rem',
+                }}
+              >
+                <RefreshCw
+                  style={{ width: '1rem', height: '1rem' }}
+                  aria-hidden="true"
+                />
+                New Code
+              </button>
+            )}
+          </div>
+          <p
+            className="text-gray-600"
+            style={{ fontSize: '0.875rem', marginTop: '0.75rem' }}
+          >
+            Students enter this code on the Browse Courses page to enroll.
+          </p>
+        </section>
+
+        {/* Add Students */}
+        {canManage && (
+          <section className={cardClassName} style={cardStyle}>
+            <h2
+              className="font-semibold text-gray-900"
+              style={sectionTitleStyle}
+            >
+              Add Students
+            </h2>
+            <form
+              onSubmit={handleAddStudent}
+              className="flex flex-col sm:flex-row"
+              style={{ gap: '0.75rem' }}
+            >
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="firstname.lastname@stevens.edu"
+                aria-label="Student email"
+                className="flex-1 border border-gray-300 bg-gray-50 hover:bg-white focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all"
+                style={{
+                  padding: '0.625rem 1rem',
+                  borderRadius: '0.5rem',
+                  fontSize: '0.9375rem',
+                }}
+                disabled={isAdding}
+              />
+              <button
+                type="submit"
+                disabled={isAdding || !email.trim()}
+                className="inline-flex items-center justify-center bg-gradient-to-r from-teal-600 to-emerald-600 hover:from-teal-700 hover:to-emerald-700 text-white font-semibold shadow-md transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                style={{
+                  gap: '0.5rem',
+                  padding: '0.625rem 1.25rem',
+                  borderRadius: '0.5rem',
+                }}
+              >
+                <UserPlus
+                  style={{ width: '1rem', height: '1rem' }}
+                  aria-hidden="true"
+                />
+                {isAdding ? 'Adding...' : 'Add'}
+              </button>
+            </form>
+
+            <div
+              className="flex flex-wrap items-center border-t border-gray-200"
+              style={{ gap: '0.75rem', marginTop: '1rem', paddingTop: '1rem' }}
+            >
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,text/csv"
+                onChange={handleImport}
+                className="hidden"
+              />
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isImporting}
+                className="inline-flex items-center border border-gray-300 bg-white hover:bg-gray-100 text-gray-700 font-semibold transition-colors disabled:opacity-50"
+                style={{
+                  gap: '0.375rem',
+                  padding: '0.5rem 0.875rem',
+                  borderRadius: '0.5rem',
+                  fontSize: '0.875rem',
+                }}
+              >
+                <Upload
+                  style={{ width: '1rem', height: '1rem' }}
+                  aria-hidden="true"
+                />
+                {isImporting ? 'Importing...' : 'Import CSV'}
+              </button>
+              <span className="text-gray-600" style={{ fontSize: '0.8125rem' }}>
+                One student per row, with an Email column or an email in each
+                row
+              </span>
+            </div>
+
+            {importSummary && (
+              <div
+                className="bg-teal-50 border border-teal-200 text-gray-800"
+                style={{
+                  borderRadius: '0.5rem',
+                  padding: '0.875rem 1rem',
+                  marginTop: '1rem',
+                  fontSize: '0.875rem',
+                }}
+                role="status"
+              >
+                <p className="font-semibold">
+                  {importSummary.enrolled.length} enrolled,{' '}
+                  {importSummary.alreadyEnrolled.length} already enrolled
+                </p>
+                {importSummary.notFound.length > 0 && (
+                  <p style={{ marginTop: '0.375rem' }}>
+                    No account yet: {importSummary.notFound.join(', ')}
+                  </p>
+                )}
+                {importSummary.invalid.length > 0 && (
+                  <p style={{ marginTop: '0.375rem' }}>
+                    Not a Stevens email: {importSummary.invalid.join(', ')}
+                  </p>
+                )}
+              </div>
+            )}
+          </section>
+        )}
+
+        {/* Enrolled Students */}
+        <section className={cardClassName} style={cardStyle}>
+          <h2 className="font-semibold text-gray-900" style={sectionTitleStyle}>
+            Enrolled Students ({students.length})
+          </h2>
+          {students.length === 0 ? (
+            <p className="text-gray-600" style={{ fontSize: '0.9375rem' }}>
+              No students are enrolled yet.
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {students.map((student) => (
+                <li
+                  key={student._id}
+                  className="flex items-center justify-between"
+                  style={{ padding: '0.75rem 0', gap: '1rem' }}
+                >
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900">
+                      {student.firstName} {student.lastName}
+                    </p>
+                    <p
+                      className="text-gray-600 truncate"
+                      style={{ fontSize: '0.8125rem' }}
+                    >
+                      {student.universityEmail}
+                      {student.major && ` • ${student.major}`}
+                    </p>
+                  </div>
+                  {canManage && (
+                    <button
+                      onClick={() => setStudentToRemove(student)}
+                      className="inline-flex items-center flex-shrink-0 border border-red-300 bg-red-50 hover:bg-red-100 text-red-800 font-semibold transition-colors"
+                      style={{
+                        gap: '0.25rem',
+                        padding: '0.375rem 0.625rem',
+                        borderRadius: '0.375rem',
+                        fontSize: '0.75rem',
+                      }}
+                      aria-label={`Remove ${student.firstName} ${student.lastName}`}
+                    >
+                      <UserMinus
+                        style={{ width: '0.875rem', height: '0.875rem' }}
+                        aria-hidden="true"
+                      />
+                      Remove
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </main>
+
+      {/* Remove Confirmation Modal */}
+      <ConfirmModal
+        isOpen={Boolean(studentToRemove)}
+        onClose={() => setStudentToRemove(null)}
+        onConfirm={handleRemoveStudent}
+        title="Remove Student?"
+        message={`${studentToRemove?.firstName} ${studentToRemove?.lastName} will lose access to this course's discussion board. Their existing posts stay.`}
+        confirmLabel="Remove"
+      />
+    </div>
+  );
+};
+
+export default CourseRoster;
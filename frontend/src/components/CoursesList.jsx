@@ -6,10 +6,16 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { coursesApi } from '../api/api';
-import { ChevronRight, BookOpen } from 'lucide-react';
+import { ChevronRight, BookOpen, Compass } from 'lucide-react';
 import Header from './Header';
 import Spinner from './Spinner';
 
+// Badge text for the viewer's staff role in a course
+const staffRoleLabels = {
+  instructor: 'Instructor',
+  ta: 'TA',
+};
+
 const CoursesList = () => {
   const [courses, setCourses] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -44,16 +50,36 @@ const CoursesList = () => {
         style={{ paddingTop: '2rem', paddingBottom: '2rem' }}
       >
         {/* Page Header */}
-        <div style={{ marginBottom: '2.5rem' }}>
-          <h1
-            className="font-bold text-gray-900 text-3xl sm:text-4xl"
-            style={{ marginBottom: '0.5rem' }}
+        <div
+          className="flex flex-col sm:flex-row sm:items-end sm:justify-between"
+          style={{ marginBottom: '2.5rem', gap: '1rem' }}
+        >
+          <div>
+            <h1
+              className="font-bold text-gray-900 text-3xl sm:text-4xl"
+              style={{ marginBottom: '0.5rem' }}
+            >
+              My Courses
+            </h1>
+            <p className="text-gray-600 text-base sm:text-lg">
+              Select a course to view and post questions
+            </p>
+          </div>
+          <button
+            onClick={() => navigate('/courses/browse')}
+            className="inline-flex items-center justify-center border-2 border-teal-600 text-teal-700 hover:bg-teal-50 font-semibold transition-colors flex-shrink-0"
+            style={{
+              gap: '0.5rem',
+              padding: '0.625rem 1.25rem',
+              borderRadius: '0.75rem',
+            }}
           >
-            My Courses
-          </h1>
-          <p className="text-gray-600 text-base sm:text-lg">
-            Select a course to view and post questions
-          </p>
+            <Compass
+              style={{ width: '1.125rem', height: '1.125rem' }}
+              aria-hidden="true"
+            />
+            Browse Courses
+          </button>
         </div>
 
         {/* Content */}
@@ -88,7 +114,8 @@ const CoursesList = () => {
                 No courses found
               </h2>
               <p className="text-gray-600">
-                You are not enrolled in any courses yet.
+                You are not enrolled in any courses yet. Use Browse Courses to
+                join one with the code from your instructor.
               </p>
             </div>
           </div>
@@ -149,6 +176,22 @@ const CoursesList = () => {
                     </span>
                     <span className="flex-shrink-0">•</span>
                     <span className="flex-shrink-0">{course.term}</span>
+                    {/* Staff Role Badge */}
+                    {staffRoleLabels[course.courseRole] && (
+                      <>
+                        <span className="flex-shrink-0">•</span>
+                        <span
+                          className="bg-amber-100 text-amber-900 font-semibold flex-shrink-0"
+                          style={{
+                            padding: '0.125rem 0.5rem',
+                            borderRadius: '0.375rem',
+                            fontSize: '0.75rem',
+                          }}
+                        >
+                          {staffRoleLabels[course.courseRole]}
+                        </span>
+                      </>
+                    )}
                     {/* New Questions Badge */}
                     {course.newQuestionCount > 0 && (
                       <>
@@ -0,0 +1,146 @@
+/**
+ * Following List Component
+ * The "Following" tab of the notifications panel: questions the student
+ * follows, most recently active first, each with an Unfollow button
+ */
+
+import { useState, useEffect } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { BellOff, CheckCircle, Eye } from 'lucide-react';
+import { followingApi, questionsApi } from '../api/api';
+import Spinner from './Spinner';
+
+const FollowingList = ({ onOpenQuestion, isMobile = false }) => {
+  const [questions, setQuestions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchFollowing = async () => {
+      try {
+        const response = await followingApi.getFollowing();
+        setQuestions(response.data.questions || []);
+      } catch (error) {
+        console.error('Failed to fetch followed questions:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchFollowing();
+  }, []);
+
+  const handleUnfollow = async (questionId) => {
+    try {
+      await questionsApi.followQuestion(questionId, false);
+      setQuestions((prevQuestions) =>
+        prevQuestions.filter((question) => question._id !== questionId)
+      );
+    } catch (error) {
+      console.error('Failed to unfollow question:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div style={{ padding: isMobile ? '3rem' : '2rem', textAlign: 'center' }}>
+        <Spinner size="md" />
+      </div>
+    );
+  }
+
+  if (questions.length === 0) {
+    return (
+      <div
+        className="text-center text-gray-600"
+        style={{ padding: isMobile ? '3rem' : '2rem' }}
+      >
+        <Eye
+          className="text-gray-400 mx-auto"
+          style={{
+            width: isMobile ? '4rem' : '3rem',
+            height: isMobile ? '4rem' : '3rem',
+            marginBottom: '0.5rem',
+          }}
+        />
+        <p className={isMobile ? 'text-lg' : ''}>
+          You are not following any questions
+        </p>
+        <p style={{ fontSize: '0.8125rem', marginTop: '0.25rem' }}>
+          Answer a question, or use Follow on its page, to be notified of new
+          responses, edits and when it is resolved.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {questions.map((question) => (
+        <li
+          key={question._id}
+          className="flex items-start hover:bg-gray-50 transition"
+          style={{ gap: '0.75rem', padding: isMobile ? '1.25rem' : '1rem' }}
+        >
+          <button
+            onClick={() => onOpenQuestion(question._id)}
+            className="text-left"
+            style={{ flex: 1, minWidth: 0 }}
+          >
+            <p
+              className="font-semibold text-gray-900 break-words"
+              style={{ fontSize: isMobile ? '0.9375rem' : '0.875rem' }}
+            >
+              {question.title}
+            </p>
+            <p
+              className="flex flex-wrap items-center text-gray-600"
+              style={{
+                gap: '0.375rem',
+                fontSize: isMobile ? '0.8125rem' : '0.75rem',
+                marginTop: '0.25rem',
+              }}
+            >
+              {question.courseCode && (
+                <span className="font-medium text-teal-800">
+                  {question.courseCode}
+                </span>
+              )}
+              <span>
+                {question.responseCount}{' '}
+                {question.responseCount === 1 ? 'response' : 'responses'}
+              </span>
+              {question.isResolved && (
+                <span
+                  className="inline-flex items-center text-green-700"
+                  style={{ gap: '0.125rem' }}
+                >
+                  <CheckCircle
+                    style={{ width: '0.75rem', height: '0.75rem' }}
+                  />
+                  Resolved
+                </span>
+              )}
+              <span>
+                active{' '}
+                {formatDistanceToNow(new Date(question.lastActivityAt), {
+                  addSuffix: true,
+                })}
+              </span>
+            </p>
+          </button>
+          <button
+            onClick={() => handleUnfollow(question._id)}
+            className="text-gray-500 hover:text-red-700 hover:bg-red-50 transition-colors flex-shrink-0"
+            style={{ padding: '0.375rem', borderRadius: '0.5rem' }}
+            aria-label={`Unfollow ${question.title}`}
+            title="Unfollow"
+          >
+            <BellOff style={{ width: '1rem', height: '1rem' }} />
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default FollowingList;
@@ -0,0 +1,187 @@
+/**
+ * Forgot Password Component
+ * Requests a password reset link for a Stevens email address
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authApi } from '../api/api';
+import { KeyRound, AlertCircle, MailCheck } from 'lucide-react';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sentTo, setSentTo] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!email.toLowerCase().endsWith('@stevens.edu')) {
+      setError('Please use your Stevens email address');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      await authApi.forgotPassword(email.trim());
+      setSentTo(email.trim());
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      if (err.response) {
+        setError(
+          err.response.data?.error ||
+            err.response.data?.errors?.[0]?.msg ||
+            'Could not send a reset link. Please try again.'
+        );
+      } else {
+        setError('Cannot connect to server. Please try again.');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div
+      className="min-h-screen bg-gradient-to-br from-teal-50 via-emerald-50 to-teal-100 flex items-center justify-center"
+      style={{ padding: '2rem 1rem' }}
+    >
+      <div
+        className="bg-white shadow-2xl border border-gray-100 w-full"
+        style={{ maxWidth: '28rem', borderRadius: '1rem', padding: '2.5rem' }}
+      >
+        {sentTo ? (
+          <div className="text-center">
+            <MailCheck
+              className="text-teal-600 mx-auto"
+              style={{ width: '3rem', height: '3rem', marginBottom: '1rem' }}
+              aria-hidden="true"
+            />
+            <h1
+              className="font-semibold text-gray-900"
+              style={{ fontSize: '1.5rem', marginBottom: '0.75rem' }}
+            >
+              Check your email
+            </h1>
+            <p className="text-gray-600" style={{ marginBottom: '1.5rem' }}>
+              If an account exists for{' '}
+              <span className="font-semibold">{sentTo}</span>, we sent a link to
+              reset your password. The link expires in 1 hour.
+            </p>
+          </div>
+        ) : (
+          <>
+            <h1
+              className="font-semibold text-gray-900 text-center"
+              style={{ fontSize: '1.5rem', marginBottom: '0.75rem' }}
+            >
+              Forgot your password?
+            </h1>
+            <p
+              className="text-gray-600 text-center"
+              style={{ marginBottom: '2rem' }}
+            >
+              Enter your Stevens email and we&apos;ll send you a reset link.
+            </p>
+
+            <form
+              onSubmit={handleSubmit}
+              style={{
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '1.5rem',
+              }}
+            >
+              <div>
+                <label
+                  htmlFor="email"
+                  className="block text-gray-700 font-medium"
+                  style={{ fontSize: '0.875rem', marginBottom: '0.5rem' }}
+                >
+                  University Email
+                </label>
+                <input
+                  id="email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="firstname.lastname@stevens.edu"
+                  required
+                  autoComplete="email"
+                  className="w-full border border-gray-300 bg-gray-50 hover:bg-white focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all"
+                  style={{
+                    padding: '0.75rem 1rem',
+                    borderRadius: '0.5rem',
+                    fontSize: '1rem',
+                  }}
+                  disabled={isLoading}
+                />
+              </div>
+
+              {error && (
+                <div
+                  className="bg-red-50 border border-red-200 text-red-800 flex items-start"
+                  style={{
+                    gap: '0.75rem',
+                    borderRadius: '0.5rem',
+                    padding: '1rem',
+                  }}
+                  role="alert"
+                >
+                  <AlertCircle
+                    style={{
+                      width: '1.25rem',
+                      height: '1.25rem',
+                      flexShrink: 0,
+                      marginTop: '0.125rem',
+                    }}
+                  />
+                  <p style={{ fontSize: '0.875rem' }}>{error}</p>
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="w-full bg-gradient-to-r from-teal-600 to-emerald-600 hover:from-teal-700 hover:to-emerald-700 text-white font-semibold shadow-lg hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                style={{
+                  padding: '1rem',
+                  borderRadius: '0.75rem',
+                  fontSize: '1rem',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  gap: '0.5rem',
+                }}
+              >
+                <KeyRound
+                  style={{ width: '1.25rem', height: '1.25rem' }}
+                  aria-hidden="true"
+                />
+                {isLoading ? 'Sending...' : 'Send Reset Link'}
+              </button>
+            </form>
+          </>
+        )}
+
+        <p
+          className="text-center text-gray-600"
+          style={{ fontSize: '0.875rem', marginTop: '1.5rem' }}
+        >
+          Remembered it?{' '}
+          <Link
+            to="/"
+            className="text-teal-700 hover:text-teal-800 hover:underline font-semibold"
+          >
+            Back to sign in
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -6,8 +6,19 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import {
+  useRealtimeEvent,
+  useRealtimeFallback,
+} from '../context/RealtimeContext';
 import { notificationsApi } from '../api/api';
-import { Users, Bell, LogOut } from 'lucide-react';
+import {
+  Users,
+  Bell,
+  LogOut,
+  KeyRound,
+  Trash2,
+  SlidersHorizontal,
+} from 'lucide-react';
 import NotificationList from './NotificationList';
 
 const Header = () => {
@@ -16,68 +27,73 @@ const Header = () => {
   const [showNotifications, setShowNotifications] = useState(false);
   const [notificationCount, setNotificationCount] = useState(0);
 
-  // Fetch notification count on mount and poll every 5 seconds
+  // Request notification permission on first load
   useEffect(() => {
-    // Request notification permission on first load
     if ('Notification' in window && Notification.permission === 'default') {
       Notification.requestPermission();
     }
+  }, []);
 
-    const fetchNotificationCount = async () => {
-      try {
-        const response = await notificationsApi.getNotifications(false);
-        const fetchedNotifications = response.data.notifications || [];
-        const unreadCount =
-          fetchedNotifications.filter((n) => !n.isRead).length || 0;
-        setNotificationCount(unreadCount);
-
-        // Show browser notifications for new unread notifications
-        if ('Notification' in window && Notification.permission === 'granted') {
-          const lastShownTime =
-            localStorage.getItem('lastNotificationTime') || '0';
-          const newNotifications = fetchedNotifications.filter(
-            (n) =>
-              !n.isRead &&
-              new Date(n.createdAt).getTime() > parseInt(lastShownTime)
-          );
-
-          // Show browser notifications for new ones (max 3 at a time)
-          newNotifications.slice(0, 3).forEach((notification) => {
-            const browserNotif = new Notification('Peer-Tutor Connect', {
-              body: notification.message,
-              icon: '/favicon.ico',
-              tag: notification._id,
-              requireInteraction: false,
-            });
-
-            browserNotif.onclick = () => {
-              window.focus();
-              navigate(`/questions/${notification.questionId}`);
-              browserNotif.close();
-            };
-          });
-
-          // Update last shown time if there are new notifications
-          if (newNotifications.length > 0) {
-            const latestTime = Math.max(
-              ...fetchedNotifications.map((n) =>
-                new Date(n.createdAt).getTime()
-              )
-            );
-            localStorage.setItem('lastNotificationTime', latestTime.toString());
-          }
-        }
-      } catch (error) {
-        console.error('Failed to fetch notifications:', error);
-      }
-    };
+  // Show browser notifications for unread ones not shown before
+  const showBrowserNotifications = (notifications) => {
+    if (!('Notification' in window) || Notification.permission !== 'granted') {
+      return;
+    }
+
+    const lastShownTime = localStorage.getItem('lastNotificationTime') || '0';
+    const newNotifications = notifications.filter(
+      (n) =>
+        !n.isRead && new Date(n.createdAt).getTime() > parseInt(lastShownTime)
+    );
+
+    // Show browser notifications for new ones (max 3 at a time)
+    newNotifications.slice(0, 3).forEach((notification) => {
+      const browserNotif = new Notification('Peer-Tutor Connect', {
+        body: notification.message,
+        icon: '/favicon.ico',
+        tag: notification._id,
+        requireInteraction: false,
+      });
+
+      browserNotif.onclick = () => {
+        window.focus();
+        navigate(`/questions/${notification.questionId}`);
+        browserNotif.close();
+      };
+    });
+
+    // Update last shown time if there are new notifications
+    if (newNotifications.length > 0) {
+      const latestTime = Math.max(
+        ...newNotifications.map((n) => new Date(n.createdAt).getTime())
+      );
+      localStorage.setItem('lastNotificationTime', latestTime.toString());
+    }
+  };
+
+  const fetchNotificationCount = async () => {
+    try {
+      // The newest unread page is enough for browser alerts; the badge uses
+      // the server's total so it stays right past the first page
+      const response = await notificationsApi.getNotifications(true);
+      setNotificationCount(response.data.unreadCount || 0);
+      showBrowserNotifications(response.data.notifications || []);
+    } catch (error) {
+      console.error('Failed to fetch notifications:', error);
+    }
+  };
 
+  useEffect(() => {
     fetchNotificationCount();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
-    // Poll for new notifications every 5 seconds
-    const interval = setInterval(fetchNotificationCount, 5000);
-    return () => clearInterval(interval);
-  }, [navigate]);
+  // New notifications are pushed; poll only while the stream is down
+  useRealtimeEvent('notification', (notification) => {
+    setNotificationCount((count) => count + 1);
+    showBrowserNotifications([notification]);
+  });
+  useRealtimeFallback(fetchNotificationCount);
 
   const handleLogout = async () => {
     try {
@@ -212,6 +228,48 @@ const Header = () => {
             )}
           </div>
 
+          {/* Trash Button */}
+          <button
+            onClick={() => navigate('/trash')}
+            className="text-gray-600 hover:text-teal-600 hover:bg-teal-50 transition-all group"
+            style={{ padding: '0.75rem', borderRadius: '0.75rem' }}
+            aria-label="Trash"
+            title="Trash"
+          >
+            <Trash2
+              style={{ width: '1.5rem', height: '1.5rem' }}
+              className="group-hover:scale-110 transition-transform"
+            />
+          </button>
+
+          {/* Notification Settings Button */}
+          <button
+            onClick={() => navigate('/account/notifications')}
+            className="text-gray-600 hover:text-teal-600 hover:bg-teal-50 transition-all group"
+            style={{ padding: '0.75rem', borderRadius: '0.75rem' }}
+            aria-label="Notification settings"
+            title="Notification settings"
+          >
+            <SlidersHorizontal
+              style={{ width: '1.5rem', height: '1.5rem' }}
+              className="group-hover:scale-110 transition-transform"
+            />
+          </button>
+
+          {/* Change Password Button */}
+          <button
+            onClick={() => navigate('/account/password')}
+            className="text-gray-600 hover:text-teal-600 hover:bg-teal-50 transition-all group"
+            style={{ padding: '0.75rem', borderRadius: '0.75rem' }}
+            aria-label="Change password"
+            title="Change password"
+          >
+            <KeyRound
+              style={{ width: '1.5rem', height: '1.5rem' }}
+              className="group-hover:scale-110 transition-transform"
+            />
+          </button>
+
           {/* Logout Button */}
           <button
             onClick={handleLogout}
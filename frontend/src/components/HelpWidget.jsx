@@ -91,7 +91,9 @@ const HelpWidget = () => {
         >
           <li>
             <strong>Course Selection:</strong> Select a <strong>course</strong>{' '}
-            from &quot;My Courses&quot; to view its Q&A board.
+            from &quot;My Courses&quot; to view its Q&A board. Use{' '}
+            <strong>Browse Courses</strong> to join a course with the code from
+            your instructor.
           </li>
           <li>
             <strong>Finding Questions:</strong> Search{' '}
@@ -117,8 +119,8 @@ const HelpWidget = () => {
             <strong>Post anonymously</strong> if preferred.
           </li>
           <li>
-            <strong>Marking Helpful:</strong> Question posters can mark
-            responses as Helpful{' '}
+            <strong>Marking Helpful:</strong> Question posters and course staff
+            can mark responses as Helpful{' '}
             <Star
               style={{
                 width: '0.875rem',
@@ -127,7 +129,8 @@ const HelpWidget = () => {
                 verticalAlign: 'middle',
               }}
             />{' '}
-            to highlight useful answers.
+            to highlight useful answers. <strong>Accept</strong> one response as
+            the answer to resolve the question.
           </li>
           <li>
             <strong>Resolving Questions:</strong> Question posters can click
@@ -243,7 +246,9 @@ const HelpWidget = () => {
             >
               <li>
                 <strong>Course Selection:</strong> Select a{' '}
-                <strong>course</strong> from &quot;My Courses&quot; to view its Q&A board.
+                <strong>course</strong> from &quot;My Courses&quot; to view its
+                Q&A board. Use <strong>Browse Courses</strong> to join a course
+                with the code from your instructor.
               </li>
               <li>
                 <strong>Finding Questions:</strong> Search{' '}
@@ -269,8 +274,8 @@ const HelpWidget = () => {
                 <strong>Post anonymously</strong> if preferred.
               </li>
               <li>
-                <strong>Marking Helpful:</strong> Question posters can mark
-                responses as Helpful{' '}
+                <strong>Marking Helpful:</strong> Question posters and course
+                staff can mark responses as Helpful{' '}
                 <Star
                   style={{
                     width: '0.875rem',
@@ -279,7 +284,8 @@ const HelpWidget = () => {
                     verticalAlign: 'middle',
                   }}
                 />{' '}
-                to highlight useful answers.
+                to highlight useful answers. <strong>Accept</strong> one
+                response as the answer to resolve the question.
               </li>
               <li>
                 <strong>Resolving Questions:</strong> Question posters can click
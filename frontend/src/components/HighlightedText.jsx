@@ -0,0 +1,26 @@
+/**
+ * Highlighted Text Component
+ * Renders search highlight segments with matched words marked
+ */
+
+const HighlightedText = ({ segments }) => {
+  return (
+    <>
+      {segments.map((segment, index) =>
+        segment.match ? (
+          <mark
+            key={index}
+            className="bg-amber-100 text-gray-900 font-semibold"
+            style={{ borderRadius: '0.125rem', padding: '0 0.125rem' }}
+          >
+            {segment.text}
+          </mark>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </>
+  );
+};
+
+export default HighlightedText;
@@ -0,0 +1,58 @@
+/**
+ * Load More Sentinel Component
+ * Invisible marker at the end of a paged list that loads the next page when
+ * scrolled into view, with a button fallback for keyboard users
+ */
+
+import { useEffect, useRef } from 'react';
+import Spinner from './Spinner';
+
+const LoadMoreSentinel = ({ hasMore, loading, onLoadMore, label = 'more' }) => {
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || loading) {
+      return;
+    }
+
+    // Start loading a little before the end of the list comes into view
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) {
+          onLoadMore();
+        }
+      },
+      { rootMargin: '200px' }
+    );
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [hasMore, loading, onLoadMore]);
+
+  if (!hasMore) {
+    return null;
+  }
+
+  return (
+    <div
+      ref={sentinelRef}
+      className="flex justify-center"
+      style={{ padding: '1rem 0' }}
+    >
+      {loading ? (
+        <Spinner size="sm" text={`Loading ${label}...`} />
+      ) : (
+        <button
+          onClick={onLoadMore}
+          className="text-teal-700 hover:text-teal-800 hover:underline font-semibold"
+          style={{ fontSize: '0.875rem' }}
+        >
+          Load {label}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LoadMoreSentinel;
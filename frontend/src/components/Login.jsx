@@ -4,8 +4,10 @@
  */
 
 import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import { useAuth } from '../context/AuthContext';
+import { authApi } from '../api/api';
 import { LogIn, Users, AlertCircle } from 'lucide-react';
 
 const Login = () => {
@@ -13,6 +15,7 @@ const Login = () => {
   const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [needsVerification, setNeedsVerification] = useState(false);
   const { login, isAuthenticated } = useAuth();
   const navigate = useNavigate();
 
@@ -26,6 +29,7 @@ const Login = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setNeedsVerification(false);
 
     // Basic client-side validation
     if (!email || !email.includes('@stevens.edu')) {
@@ -50,6 +54,7 @@ const Login = () => {
 
       // Handle different error scenarios
       if (err.response) {
+        setNeedsVerification(!!err.response.data?.needsVerification);
         setError(err.response.data?.error || 'Email or password is incorrect');
       } else if (err.request) {
         setError('Cannot connect to server. Please try again.');
@@ -59,6 +64,15 @@ const Login = () => {
     }
   };
 
+  const handleResendVerification = async () => {
+    try {
+      await authApi.resendVerification(email);
+      toast.success('Verification email sent. Check your inbox.');
+    } catch (_error) {
+      toast.error('Failed to resend verification email');
+    }
+  };
+
   return (
     <div
       className="min-h-screen bg-gradient-to-br from-teal-50 via-emerald-50 to-teal-100 flex items-center justify-center"
@@ -145,13 +159,25 @@ const Login = () => {
 
             {/* Password Input */}
             <div>
-              <label
-                htmlFor="password"
-                className="block text-gray-700 font-medium"
-                style={{ fontSize: '0.875rem', marginBottom: '0.5rem' }}
+              <div
+                className="flex items-center justify-between"
+                style={{ marginBottom: '0.5rem' }}
               >
-                Password
-              </label>
+                <label
+                  htmlFor="password"
+                  className="block text-gray-700 font-medium"
+                  style={{ fontSize: '0.875rem' }}
+                >
+                  Password
+                </label>
+                <Link
+                  to="/forgot-password"
+                  className="text-teal-700 hover:text-teal-800 hover:underline font-medium"
+                  style={{ fontSize: '0.875rem' }}
+                >
+                  Forgot password?
+                </Link>
+              </div>
               <input
                 id="password"
                 type="password"
@@ -188,7 +214,19 @@ const Login = () => {
                     marginTop: '0.125rem',
                   }}
                 />
-                <p style={{ fontSize: '0.875rem' }}>{error}</p>
+                <div style={{ fontSize: '0.875rem' }}>
+                  <p>{error}</p>
+                  {needsVerification && (
+                    <button
+                      type="button"
+                      onClick={handleResendVerification}
+                      className="font-semibold underline hover:text-red-900"
+                      style={{ marginTop: '0.5rem' }}
+                    >
+                      Resend verification email
+                    </button>
+                  )}
+                </div>
               </div>
             )}
 
@@ -253,6 +291,19 @@ const Login = () => {
             </button>
           </form>
 
+          <p
+            className="text-center text-gray-600"
+            style={{ fontSize: '0.875rem', marginTop: '1.5rem' }}
+          >
+            New to Peer-Tutor Connect?{' '}
+            <Link
+              to="/register"
+              className="text-teal-700 hover:text-teal-800 hover:underline font-semibold"
+            >
+              Create an account
+            </Link>
+          </p>
+
           {/* Demo Account Info */}
           <div
             className="bg-gradient-to-r from-teal-50 to-emerald-50 border border-teal-100"
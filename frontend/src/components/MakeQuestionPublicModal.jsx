@@ -0,0 +1,156 @@
+/**
+ * Make Question Public Modal Component
+ * Lets course staff share a private question with the whole class, with or
+ * without the poster's name
+ */
+
+import { useState } from 'react';
+import { X } from 'lucide-react';
+import { questionsApi } from '../api/api';
+
+const MakeQuestionPublicModal = ({ questionId, onMadePublic, onClose }) => {
+  const [anonymize, setAnonymize] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const response = await questionsApi.setVisibility(questionId, {
+        visibility: 'public',
+        anonymize,
+      });
+      onMadePublic(response.data.question);
+      onClose();
+    } catch (error) {
+      setError(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          'Failed to make the question public'
+      );
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50"
+      style={{ padding: '1rem' }}
+    >
+      <div
+        className="bg-white shadow-2xl w-full"
+        style={{
+          maxWidth: '32rem',
+          maxHeight: '90vh',
+          overflowY: 'auto',
+          borderRadius: '1rem',
+          padding: '2rem',
+        }}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="make-public-title"
+      >
+        <div
+          className="flex items-start justify-between"
+          style={{ marginBottom: '1rem' }}
+        >
+          <h3
+            id="make-public-title"
+            className="font-bold text-gray-900"
+            style={{ fontSize: '1.25rem' }}
+          >
+            Share with the class
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+            style={{ padding: '0.25rem' }}
+            aria-label="Close"
+          >
+            <X style={{ width: '1.5rem', height: '1.5rem' }} />
+          </button>
+        </div>
+
+        <p
+          className="text-gray-600"
+          style={{ fontSize: '0.9375rem', marginBottom: '1.25rem' }}
+        >
+          Every student in the course will be able to read this question and its
+          responses. This cannot be undone. The poster will be notified.
+        </p>
+
+        <form onSubmit={handleSubmit}>
+          <label
+            className="flex items-start cursor-pointer"
+            style={{ gap: '0.75rem' }}
+          >
+            <input
+              type="checkbox"
+              checked={anonymize}
+              onChange={(e) => setAnonymize(e.target.checked)}
+              className="text-teal-600 border-gray-300 focus:ring-2 focus:ring-teal-500 flex-shrink-0"
+              style={{
+                width: '1.125rem',
+                height: '1.125rem',
+                borderRadius: '0.25rem',
+                marginTop: '0.125rem',
+              }}
+              disabled={isSubmitting}
+            />
+            <span>
+              <span
+                className="font-semibold text-gray-900 block"
+                style={{ fontSize: '0.9375rem' }}
+              >
+                Hide the poster&apos;s name
+              </span>
+              <span className="text-gray-500" style={{ fontSize: '0.8125rem' }}>
+                Students see a pseudonym on the question and on the
+                poster&apos;s responses and comments. Course staff still see who
+                asked.
+              </span>
+            </span>
+          </label>
+
+          {error && (
+            <p
+              className="text-red-600 font-medium"
+              style={{ marginTop: '0.5rem', fontSize: '0.875rem' }}
+              role="alert"
+            >
+              {error}
+            </p>
+          )}
+
+          <div
+            className="flex justify-end"
+            style={{ gap: '1rem', marginTop: '1.5rem' }}
+          >
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={isSubmitting}
+              className="border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium transition-colors disabled:opacity-50"
+              style={{ padding: '0.75rem 1.5rem', borderRadius: '0.5rem' }}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="bg-teal-600 hover:bg-teal-700 text-white font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{ padding: '0.75rem 1.5rem', borderRadius: '0.5rem' }}
+            >
+              {isSubmitting ? 'Sharing...' : 'Make public'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default MakeQuestionPublicModal;
@@ -0,0 +1,147 @@
+/**
+ * Mark Duplicate Modal Component
+ * Lets course staff find the original of a repeated question and link the
+ * question to it
+ */
+
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { X } from 'lucide-react';
+import { questionsApi } from '../api/api';
+import SimilarQuestions from './SimilarQuestions';
+
+const MarkDuplicateModal = ({ question, onClose, onMarked }) => {
+  const [query, setQuery] = useState(question.title);
+  const [original, setOriginal] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleConfirm = async () => {
+    setIsSaving(true);
+    try {
+      const response = await questionsApi.markDuplicate(
+        question._id,
+        original._id
+      );
+      toast.success('Question marked as a duplicate');
+      onMarked(response.data.question);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          'Failed to mark question as a duplicate'
+      );
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50"
+      style={{ padding: '1rem' }}
+    >
+      <div
+        className="bg-white shadow-2xl w-full"
+        style={{
+          maxWidth: '36rem',
+          maxHeight: '90vh',
+          overflowY: 'auto',
+          borderRadius: '1rem',
+          padding: '2rem',
+        }}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="mark-duplicate-title"
+      >
+        <div
+          className="flex items-start justify-between"
+          style={{ marginBottom: '1rem' }}
+        >
+          <h3
+            id="mark-duplicate-title"
+            className="font-bold text-gray-900"
+            style={{ fontSize: '1.25rem' }}
+          >
+            Mark as duplicate
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+            style={{ padding: '0.25rem' }}
+            aria-label="Close"
+          >
+            <X style={{ width: '1.5rem', height: '1.5rem' }} />
+          </button>
+        </div>
+
+        {original ? (
+          <>
+            <p className="text-gray-700" style={{ fontSize: '1rem' }}>
+              Link this question to{' '}
+              <span className="font-semibold text-gray-900">
+                &ldquo;{original.title}&rdquo;
+              </span>
+              ? The poster will be notified and readers will be pointed to that
+              question.
+            </p>
+            <div
+              className="flex justify-end"
+              style={{ gap: '1rem', marginTop: '2rem' }}
+            >
+              <button
+                onClick={() => setOriginal(null)}
+                disabled={isSaving}
+                className="border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium transition-colors disabled:opacity-50"
+                style={{ padding: '0.75rem 1.5rem', borderRadius: '0.5rem' }}
+              >
+                Back
+              </button>
+              <button
+                onClick={handleConfirm}
+                disabled={isSaving}
+                className="bg-teal-600 hover:bg-teal-700 text-white font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                style={{ padding: '0.75rem 1.5rem', borderRadius: '0.5rem' }}
+              >
+                {isSaving ? 'Saving...' : 'Mark as duplicate'}
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <label
+              htmlFor="duplicate-search"
+              className="block font-semibold text-gray-900"
+              style={{ fontSize: '0.9375rem', marginBottom: '0.5rem' }}
+            >
+              Find the original question
+            </label>
+            <input
+              id="duplicate-search"
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              maxLength={200}
+              className="w-full border border-gray-200 hover:border-gray-300 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all"
+              style={{
+                padding: '0.625rem 1rem',
+                borderRadius: '0.75rem',
+                fontSize: '0.9375rem',
+              }}
+              autoFocus
+            />
+            <SimilarQuestions
+              courseId={question.courseId}
+              query={query}
+              excludeId={question._id}
+              heading="Matching questions"
+              onSelect={setOriginal}
+              selectLabel="Choose"
+              emptyMessage="No matching questions. Try other words from the original's title."
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MarkDuplicateModal;
@@ -0,0 +1,30 @@
+/**
+ * Markdown Content Component
+ * Displays a post's server-rendered, sanitized HTML (Markdown, highlighted
+ * code and LaTeX math)
+ */
+
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github.css';
+
+const MarkdownContent = ({ html, content = '', className = '', style }) => {
+  // Posts created before rendering was added may arrive without HTML
+  if (typeof html !== 'string') {
+    return (
+      <p className={`whitespace-pre-wrap ${className}`} style={style}>
+        {content}
+      </p>
+    );
+  }
+
+  return (
+    <div
+      className={`markdown-body ${className}`}
+      style={style}
+      // Sanitized by the backend before it is stored or previewed
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default MarkdownContent;
@@ -0,0 +1,115 @@
+/**
+ * Markdown Editor Component
+ * Write/Preview tabs around a post's textarea; the preview is rendered by the
+ * backend exactly as the post will appear
+ */
+
+import { useState } from 'react';
+import { Eye, Pencil } from 'lucide-react';
+import { markdownApi } from '../api/api';
+import MarkdownContent from './MarkdownContent';
+import Spinner from './Spinner';
+
+const MarkdownEditor = ({ content, children }) => {
+  const [isPreview, setIsPreview] = useState(false);
+  const [previewHtml, setPreviewHtml] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const showPreview = async () => {
+    setIsPreview(true);
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await markdownApi.preview(content);
+      setPreviewHtml(response.data.html);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load preview');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const tabClass = (active) =>
+    `inline-flex items-center font-semibold transition-colors ${
+      active
+        ? 'bg-white text-teal-700 shadow-sm'
+        : 'text-gray-600 hover:text-gray-900'
+    }`;
+  const tabStyle = {
+    gap: '0.375rem',
+    padding: '0.25rem 0.75rem',
+    borderRadius: '0.375rem',
+    fontSize: '0.8125rem',
+  };
+
+  return (
+    <div>
+      <div
+        className="inline-flex bg-gray-100"
+        style={{ padding: '0.25rem', borderRadius: '0.5rem', gap: '0.25rem' }}
+        role="tablist"
+      >
+        <button
+          type="button"
+          role="tab"
+          aria-selected={!isPreview}
+          onClick={() => setIsPreview(false)}
+          className={tabClass(!isPreview)}
+          style={tabStyle}
+        >
+          <Pencil style={{ width: '0.875rem', height: '0.875rem' }} />
+          Write
+        </button>
+        <button
+          type="button"
+          role="tab"
+          aria-selected={isPreview}
+          onClick={showPreview}
+          className={tabClass(isPreview)}
+          style={tabStyle}
+        >
+          <Eye style={{ width: '0.875rem', height: '0.875rem' }} />
+          Preview
+        </button>
+      </div>
+
+      <div style={{ marginTop: '0.5rem' }}>
+        {/* Kept mounted so the textarea keeps its cursor and undo history */}
+        <div hidden={isPreview}>{children}</div>
+        {isPreview && (
+          <div
+            className="border border-gray-200 bg-white"
+            style={{
+              padding: '0.875rem 1.25rem',
+              borderRadius: '0.75rem',
+              minHeight: '7.5rem',
+            }}
+          >
+            {isLoading ? (
+              <Spinner size="sm" />
+            ) : error ? (
+              <p className="text-red-600 font-medium" role="alert">
+                {error}
+              </p>
+            ) : content.trim() ? (
+              <MarkdownContent html={previewHtml} />
+            ) : (
+              <p className="text-gray-500">Nothing to preview</p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <p
+        className="text-gray-600"
+        style={{ marginTop: '0.375rem', fontSize: '0.75rem' }}
+      >
+        Supports Markdown: **bold**, `code`, ```fenced code blocks```, lists,
+        links, and math with $inline$ or $$display$$ LaTeX
+      </p>
+    </div>
+  );
+};
+
+export default MarkdownEditor;
@@ -0,0 +1,766 @@
+/**
+ * Moderation Dashboard Component
+ * Staff view of a course's reported posts, with actions to hide, lock,
+ * delete, warn or dismiss and to reveal anonymous authors, the audit trail of
+ * past actions, and the course's content filter settings
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { formatDistanceToNow } from 'date-fns';
+import { coursesApi, moderationApi } from '../api/api';
+import {
+  ChevronRight,
+  Eye,
+  EyeOff,
+  Lock,
+  Unlock,
+  Trash2,
+  AlertTriangle,
+  XCircle,
+  X,
+  Flag,
+  CheckCircle,
+  ShieldAlert,
+} from 'lucide-react';
+import Header from './Header';
+import Spinner from './Spinner';
+import LoadMoreSentinel from './LoadMoreSentinel';
+import ScreeningSettings from './ScreeningSettings';
+import RevealAuthorModal from './RevealAuthorModal';
+import { REPORT_REASON_LABELS } from './ReportModal';
+
+const MAX_NOTE_LENGTH = 500;
+
+// Content screening files its own reports, with no reporter
+const REASON_LABELS = {
+  ...REPORT_REASON_LABELS,
+  screening: 'Content filter',
+};
+
+// Past-tense wording for each action in the audit trail
+const ACTION_VERBS = {
+  hide: 'hid',
+  unhide: 'unhid',
+  lock: 'locked',
+  unlock: 'unlocked',
+  delete: 'deleted',
+  warn: 'warned the author of',
+  dismiss: 'dismissed reports on',
+  approve: 'approved',
+  reveal: 'revealed the author of',
+};
+
+const actionButtonStyle = {
+  gap: '0.25rem',
+  padding: '0.375rem 0.75rem',
+  borderRadius: '0.5rem',
+  fontSize: '0.8125rem',
+};
+
+// Confirms an action and collects its note (the warning itself for warn)
+const ActionModal = ({ pending, onClose, onConfirm }) => {
+  const [note, setNote] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const isWarning = pending.action === 'warn';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const succeeded = await onConfirm(note.trim());
+    if (!succeeded) {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50"
+      style={{ padding: '1rem' }}
+    >
+      <div
+        className="bg-white shadow-2xl w-full"
+        style={{
+          maxWidth: '32rem',
+          maxHeight: '90vh',
+          overflowY: 'auto',
+          borderRadius: '1rem',
+          padding: '2rem',
+        }}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="moderation-action-title"
+      >
+        <div
+          className="flex items-start justify-between"
+          style={{ marginBottom: '1rem' }}
+        >
+          <h3
+            id="moderation-action-title"
+            className="font-bold text-gray-900"
+            style={{ fontSize: '1.25rem' }}
+          >
+            {pending.label}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+            style={{ padding: '0.25rem' }}
+            aria-label="Close"
+          >
+            <X style={{ width: '1.5rem', height: '1.5rem' }} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <p
+            className="text-gray-700"
+            style={{ fontSize: '0.9375rem', marginBottom: '1rem' }}
+          >
+            {pending.description}
+          </p>
+          <label
+            htmlFor="moderation-note"
+            className="block font-semibold text-gray-900"
+            style={{ fontSize: '0.9375rem', marginBottom: '0.5rem' }}
+          >
+            {isWarning ? 'Message to the author' : 'Note (optional)'}
+          </label>
+          <textarea
+            id="moderation-note"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={MAX_NOTE_LENGTH}
+            rows={3}
+            placeholder={
+              isWarning
+                ? 'Explain what was wrong with the post'
+                : 'Why you took this action, for the audit log'
+            }
+            className="w-full border border-gray-200 hover:border-gray-300 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all resize-y"
+            style={{
+              padding: '0.625rem 1rem',
+              borderRadius: '0.75rem',
+              fontSize: '0.9375rem',
+            }}
+            disabled={isSaving}
+            autoFocus
+          />
+          <div
+            className="flex justify-end"
+            style={{ gap: '1rem', marginTop: '1.5rem' }}
+          >
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={isSaving}
+              className="border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium transition-colors disabled:opacity-50"
+              style={{ padding: '0.75rem 1.5rem', borderRadius: '0.5rem' }}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving || (isWarning && !note.trim())}
+              className="bg-teal-600 hover:bg-teal-700 text-white font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{ padding: '0.75rem 1.5rem', borderRadius: '0.5rem' }}
+            >
+              {isSaving ? 'Saving...' : pending.label}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const ModerationDashboard = () => {
+  const { courseId } = useParams();
+  const [course, setCourse] = useState(null);
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeTab, setActiveTab] = useState('queue');
+  const [log, setLog] = useState(null);
+  const [logCursor, setLogCursor] = useState(null);
+  const [loadingLog, setLoadingLog] = useState(false);
+  const [pending, setPending] = useState(null);
+  const [revealTarget, setRevealTarget] = useState(null);
+  // Authors revealed this visit, by post ID
+  const [revealedAuthors, setRevealedAuthors] = useState({});
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchQueue();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [courseId]);
+
+  useEffect(() => {
+    // The log is loaded the first time its tab is opened, and again after
+    // each action resets it
+    if (activeTab === 'log' && log === null) {
+      loadLog();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeTab, log]);
+
+  const fetchQueue = async () => {
+    try {
+      const [courseResponse, queueResponse] = await Promise.all([
+        coursesApi.getCourseById(courseId),
+        moderationApi.getReports(courseId),
+      ]);
+      setCourse(courseResponse.data.course);
+      setItems(queueResponse.data.items || []);
+    } catch (error) {
+      console.error('Error fetching reports:', error);
+      toast.error(error.response?.data?.error || 'Failed to load reports');
+      navigate(`/courses/${courseId}/questions`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadLog = async () => {
+    if (loadingLog) {
+      return;
+    }
+
+    setLoadingLog(true);
+    try {
+      const response = await moderationApi.getLog(courseId, {
+        cursor: logCursor || undefined,
+      });
+      setLog((prevLog) => [...(prevLog || []), ...response.data.actions]);
+      setLogCursor(response.data.nextCursor);
+    } catch (_error) {
+      toast.error('Failed to load moderation log');
+    } finally {
+      setLoadingLog(false);
+    }
+  };
+
+  const openAction = (item, action) => {
+    const postName = item.targetType === 'question' ? 'question' : 'response';
+    const options = {
+      hide: {
+        label: 'Hide',
+        description: `Students other than the author will no longer see this ${postName}.`,
+      },
+      unhide: {
+        label: 'Unhide',
+        description: `This ${postName} will be visible to the whole course again.`,
+      },
+      lock: {
+        label: 'Lock thread',
+        description:
+          'Students will no longer be able to respond or comment in this thread.',
+      },
+      unlock: {
+        label: 'Unlock thread',
+        description: 'Students will be able to respond and comment again.',
+      },
+      delete: {
+        label: 'Delete',
+        description: `The ${postName} will move to your Trash, where you can restore it until it is deleted permanently.`,
+      },
+      warn: {
+        label: 'Warn author',
+        description: `The author will get a notification with your message. Their ${postName} stays as it is.`,
+      },
+      dismiss: {
+        label: 'Dismiss reports',
+        description: `The reports will be closed and the ${postName} left as it is.`,
+      },
+      approve: {
+        label: 'Approve',
+        description: `The content filter held this ${postName} for review. Approving it makes it visible to the whole course.`,
+      },
+    };
+    setPending({ item, action, ...options[action] });
+  };
+
+  const handleConfirmAction = async (note) => {
+    const { item, action } = pending;
+    try {
+      await moderationApi.takeAction(courseId, {
+        action,
+        targetType: item.targetType,
+        targetId: item.targetId,
+        note: note || undefined,
+      });
+      toast.success('Moderation action saved', { autoClose: 1500 });
+      setPending(null);
+      setLog(null);
+      setLogCursor(null);
+      const response = await moderationApi.getReports(courseId);
+      setItems(response.data.items || []);
+      return true;
+    } catch (error) {
+      toast.error(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          'Failed to save moderation action'
+      );
+      return false;
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50/30">
+        <Header />
+        <div className="flex justify-center" style={{ padding: '4rem 0' }}>
+          <Spinner size="lg" text="Loading reports..." />
+        </div>
+      </div>
+    );
+  }
+
+  const renderQueue = () =>
+    items.length === 0 ? (
+      <p className="text-center text-gray-600" style={{ padding: '3rem 1rem' }}>
+        No open reports. Reported posts will show up here.
+      </p>
+    ) : (
+      <ul style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+        {items.map((item) => (
+          <li
+            key={`${item.targetType}-${item.targetId}`}
+            className="bg-white border border-gray-200 shadow-sm"
+            style={{ borderRadius: '0.75rem', padding: '1.25rem' }}
+          >
+            <div
+              className="flex items-center flex-wrap"
+              style={{ gap: '0.5rem', marginBottom: '0.5rem' }}
+            >
+              <span
+                className="font-semibold bg-gray-100 text-gray-700"
+                style={{
+                  padding: '0.125rem 0.5rem',
+                  borderRadius: '0.375rem',
+                  fontSize: '0.75rem',
+                }}
+              >
+                {item.targetType === 'question' ? 'Question' : 'Response'}
+              </span>
+              <span
+                className="flex items-center font-semibold bg-red-50 text-red-800"
+                style={{
+                  gap: '0.25rem',
+                  padding: '0.125rem 0.5rem',
+                  borderRadius: '0.375rem',
+                  fontSize: '0.75rem',
+                }}
+              >
+                <Flag style={{ width: '0.75rem', height: '0.75rem' }} />
+                {item.reportCount}{' '}
+                {item.reportCount === 1 ? 'report' : 'reports'}
+              </span>
+              {item.isHeld ? (
+                <span
+                  className="font-semibold bg-amber-100 text-amber-900"
+                  style={{
+                    padding: '0.125rem 0.5rem',
+                    borderRadius: '0.375rem',
+                    fontSize: '0.75rem',
+                  }}
+                >
+                  Held for review
+                </span>
+              ) : (
+                item.isHidden && (
+                  <span
+                    className="font-semibold bg-gray-200 text-gray-800"
+                    style={{
+                      padding: '0.125rem 0.5rem',
+                      borderRadius: '0.375rem',
+                      fontSize: '0.75rem',
+                    }}
+                  >
+                    Hidden
+                  </span>
+                )
+              )}
+              {item.isLocked && (
+                <span
+                  className="font-semibold bg-gray-200 text-gray-800"
+                  style={{
+                    padding: '0.125rem 0.5rem',
+                    borderRadius: '0.375rem',
+                    fontSize: '0.75rem',
+                  }}
+                >
+                  Thread locked
+                </span>
+              )}
+              {item.isDeleted && (
+                <span
+                  className="font-semibold bg-gray-200 text-gray-800"
+                  style={{
+                    padding: '0.125rem 0.5rem',
+                    borderRadius: '0.375rem',
+                    fontSize: '0.75rem',
+                  }}
+                >
+                  Deleted
+                </span>
+              )}
+            </div>
+
+            <h2
+              className="font-semibold text-gray-900"
+              style={{ fontSize: '1.0625rem' }}
+            >
+              {item.targetType === 'response' && 'On: '}
+              {item.isDeleted ? (
+                item.questionTitle || 'Deleted question'
+              ) : (
+                <Link
+                  to={`/questions/${item.questionId}`}
+                  className="hover:text-teal-700 hover:underline"
+                >
+                  {item.questionTitle}
+                </Link>
+              )}
+            </h2>
+            {item.content && (
+              <p
+                className="text-gray-700 bg-gray-50 border border-gray-200 whitespace-pre-wrap"
+                style={{
+                  fontSize: '0.875rem',
+                  marginTop: '0.5rem',
+                  padding: '0.625rem 0.875rem',
+                  borderRadius: '0.5rem',
+                  maxHeight: '10rem',
+                  overflowY: 'auto',
+                }}
+              >
+                {item.content}
+              </p>
+            )}
+            <p
+              className="text-gray-500"
+              style={{ fontSize: '0.8125rem', marginTop: '0.375rem' }}
+            >
+              Posted by{' '}
+              {revealedAuthors[item.targetId]
+                ? `${revealedAuthors[item.targetId].firstName} ${
+                    revealedAuthors[item.targetId].lastName
+                  }`
+                : item.authorName || 'Unknown'}
+              {item.isAnonymous && item.authorId && ' (anonymous to students)'}
+              {item.isAnonymous &&
+                !item.authorId &&
+                !revealedAuthors[item.targetId] && (
+                  <button
+                    type="button"
+                    onClick={() => setRevealTarget(item)}
+                    className="inline-flex items-center text-amber-900 hover:bg-amber-50 font-semibold transition-colors"
+                    style={{
+                      gap: '0.25rem',
+                      marginLeft: '0.5rem',
+                      padding: '0 0.375rem',
+                      borderRadius: '0.25rem',
+                    }}
+                    title="Reveal who wrote this (recorded in the moderation log)"
+                  >
+                    <ShieldAlert
+                      style={{ width: '0.875rem', height: '0.875rem' }}
+                    />
+                    Reveal
+                  </button>
+                )}
+            </p>
+
+            <ul
+              className="border-l-2 border-red-100"
+              style={{
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '0.375rem',
+                paddingLeft: '0.75rem',
+                marginTop: '0.75rem',
+                fontSize: '0.8125rem',
+              }}
+            >
+              {item.reports.map((report) => (
+                <li key={report._id} className="text-gray-700">
+                  <span className="font-semibold">
+                    {REASON_LABELS[report.reason] || report.reason}
+                  </span>{' '}
+                  <span className="text-gray-500">
+                    by {report.reporterName || 'the content filter'},{' '}
+                    {formatDistanceToNow(new Date(report.createdAt), {
+                      addSuffix: true,
+                    })}
+                  </span>
+                  {report.details && (
+                    <span className="block text-gray-600">
+                      &ldquo;{report.details}&rdquo;
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            <div
+              className="flex flex-wrap items-center border-t border-gray-200"
+              style={{ gap: '0.5rem', marginTop: '1rem', paddingTop: '1rem' }}
+            >
+              {!item.isDeleted && (
+                <>
+                  {item.isHeld ? (
+                    <button
+                      onClick={() => openAction(item, 'approve')}
+                      className="inline-flex items-center border border-teal-300 bg-teal-50 hover:bg-teal-100 text-teal-800 font-semibold transition-colors"
+                      style={actionButtonStyle}
+                    >
+                      <CheckCircle style={{ width: '1rem', height: '1rem' }} />
+                      Approve
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() =>
+                        openAction(item, item.isHidden ? 'unhide' : 'hide')
+                      }
+                      className="inline-flex items-center border border-gray-300 bg-white hover:bg-gray-100 text-gray-700 font-semibold transition-colors"
+                      style={actionButtonStyle}
+                    >
+                      {item.isHidden ? (
+                        <Eye style={{ width: '1rem', height: '1rem' }} />
+                      ) : (
+                        <EyeOff style={{ width: '1rem', height: '1rem' }} />
+                      )}
+                      {item.isHidden ? 'Unhide' : 'Hide'}
+                    </button>
+                  )}
+                  {item.targetType === 'question' && (
+                    <button
+                      onClick={() =>
+                        openAction(item, item.isLocked ? 'unlock' : 'lock')
+                      }
+                      className="inline-flex items-center border border-gray-300 bg-white hover:bg-gray-100 text-gray-700 font-semibold transition-colors"
+                      style={actionButtonStyle}
+                    >
+                      {item.isLocked ? (
+                        <Unlock style={{ width: '1rem', height: '1rem' }} />
+                      ) : (
+                        <Lock style={{ width: '1rem', height: '1rem' }} />
+                      )}
+                      {item.isLocked ? 'Unlock thread' : 'Lock thread'}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => openAction(item, 'warn')}
+                    className="inline-flex items-center border border-amber-200 bg-amber-50 hover:bg-amber-100 text-amber-900 font-semibold transition-colors"
+                    style={actionButtonStyle}
+                  >
+                    <AlertTriangle style={{ width: '1rem', height: '1rem' }} />
+                    Warn author
+                  </button>
+                  <button
+                    onClick={() => openAction(item, 'delete')}
+                    className="inline-flex items-center border border-red-300 bg-red-50 hover:bg-red-100 text-red-800 font-semibold transition-colors"
+                    style={actionButtonStyle}
+                  >
+                    <Trash2 style={{ width: '1rem', height: '1rem' }} />
+                    Delete
+                  </button>
+                </>
+              )}
+              <button
+                onClick={() => openAction(item, 'dismiss')}
+                className="inline-flex items-center border border-gray-300 bg-white hover:bg-gray-100 text-gray-700 font-semibold transition-colors"
+                style={actionButtonStyle}
+              >
+                <XCircle style={{ width: '1rem', height: '1rem' }} />
+                Dismiss
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    );
+
+  const renderLog = () =>
+    log === null ? (
+      <div className="flex justify-center" style={{ padding: '3rem 0' }}>
+        <Spinner size="lg" text="Loading moderation log..." />
+      </div>
+    ) : log.length === 0 ? (
+      <p className="text-center text-gray-600" style={{ padding: '3rem 1rem' }}>
+        No moderation actions yet.
+      </p>
+    ) : (
+      <>
+        <ul
+          className="bg-white border border-gray-200 shadow-sm divide-y divide-gray-200"
+          style={{ borderRadius: '0.75rem' }}
+        >
+          {log.map((entry) => (
+            <li key={entry._id} style={{ padding: '0.875rem 1.25rem' }}>
+              <p className="text-gray-800" style={{ fontSize: '0.9375rem' }}>
+                <span className="font-semibold">{entry.moderatorName}</span>{' '}
+                {ACTION_VERBS[entry.action] || entry.action} a{' '}
+                {entry.targetType} in{' '}
+                <Link
+                  to={`/questions/${entry.questionId}`}
+                  className="font-semibold text-teal-700 hover:text-teal-800 hover:underline"
+                >
+                  {entry.questionTitle || 'a deleted question'}
+                </Link>
+              </p>
+              {entry.note && (
+                <p
+                  className="text-gray-600"
+                  style={{ fontSize: '0.875rem', marginTop: '0.25rem' }}
+                >
+                  &ldquo;{entry.note}&rdquo;
+                </p>
+              )}
+              <p
+                className="text-gray-500"
+                style={{ fontSize: '0.8125rem', marginTop: '0.25rem' }}
+              >
+                {formatDistanceToNow(new Date(entry.createdAt), {
+                  addSuffix: true,
+                })}
+                {entry.reportCount > 0 &&
+                  ` • closed ${entry.reportCount} ${
+                    entry.reportCount === 1 ? 'report' : 'reports'
+                  }`}
+              </p>
+            </li>
+          ))}
+        </ul>
+        <LoadMoreSentinel
+          hasMore={Boolean(logCursor)}
+          loading={loadingLog}
+          onLoadMore={loadLog}
+          label="more actions"
+        />
+      </>
+    );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50/30">
+      <Header />
+
+      <main
+        id="main-content"
+        className="container-centered fade-in"
+        style={{ paddingTop: '2rem', paddingBottom: '2rem', maxWidth: '64rem' }}
+      >
+        {/* Breadcrumb */}
+        <nav aria-label="Breadcrumb" style={{ marginBottom: '1.5rem' }}>
+          <ol
+            className="flex items-center"
+            style={{ gap: '0.5rem', fontSize: '0.875rem' }}
+          >
+            <li>
+              <Link
+                to="/courses"
+                className="text-teal-600 hover:text-teal-700 hover:underline font-medium"
+              >
+                My Courses
+              </Link>
+            </li>
+            <li aria-hidden="true">
+              <ChevronRight
+                className="text-gray-400"
+                style={{ width: '1rem', height: '1rem' }}
+              />
+            </li>
+            <li>
+              <Link
+                to={`/courses/${courseId}/questions`}
+                className="text-teal-600 hover:text-teal-700 hover:underline font-medium"
+              >
+                {course?.courseCode}
+              </Link>
+            </li>
+            <li aria-hidden="true">
+              <ChevronRight
+                className="text-gray-400"
+                style={{ width: '1rem', height: '1rem' }}
+              />
+            </li>
+            <li className="text-gray-700 font-semibold">Moderation</li>
+          </ol>
+        </nav>
+
+        <h1
+          className="font-bold text-gray-900 text-xl sm:text-3xl"
+          style={{ lineHeight: '1.2', marginBottom: '1.5rem' }}
+        >
+          {course?.courseCode} Moderation
+        </h1>
+
+        <div
+          className="flex border-b border-gray-200"
+          role="tablist"
+          aria-label="Reported posts, moderation log and content filter"
+          style={{ marginBottom: '1.5rem' }}
+        >
+          {[
+            { id: 'queue', label: `Reports (${items.length})` },
+            { id: 'log', label: 'Moderation log' },
+            { id: 'screening', label: 'Content filter' },
+          ].map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`font-semibold border-b-2 transition-colors ${
+                activeTab === tab.id
+                  ? 'border-teal-600 text-teal-800'
+                  : 'border-transparent text-gray-600 hover:text-gray-900'
+              }`}
+              style={{ padding: '0.625rem 1rem', fontSize: '0.9375rem' }}
+              role="tab"
+              aria-selected={activeTab === tab.id}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === 'queue' && renderQueue()}
+        {activeTab === 'log' && renderLog()}
+        {activeTab === 'screening' && (
+          <ScreeningSettings
+            courseId={courseId}
+            canEdit={['instructor', 'admin'].includes(course?.courseRole)}
+          />
+        )}
+      </main>
+
+      {pending && (
+        <ActionModal
+          pending={pending}
+          onClose={() => setPending(null)}
+          onConfirm={handleConfirmAction}
+        />
+      )}
+
+      {revealTarget && (
+        <RevealAuthorModal
+          courseId={courseId}
+          targetType={revealTarget.targetType}
+          targetId={revealTarget.targetId}
+          onRevealed={(author) => {
+            setRevealedAuthors((current) => ({
+              ...current,
+              [revealTarget.targetId]: author,
+            }));
+            setLog(null);
+            setLogCursor(null);
+          }}
+          onClose={() => setRevealTarget(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ModerationDashboard;
@@ -1,6 +1,7 @@
 /**
  * Notification List Component
- * Dropdown list of recent notifications
+ * Dropdown list of recent notifications, with a Following tab listing the
+ * questions the student follows
  */
 
 import { useState, useEffect, useRef } from 'react';
@@ -10,10 +11,16 @@ import { notificationsApi } from '../api/api';
 import { formatDistanceToNow } from 'date-fns';
 import { CheckCheck, Inbox, X } from 'lucide-react';
 import Spinner from './Spinner';
+import LoadMoreSentinel from './LoadMoreSentinel';
+import FollowingList from './FollowingList';
+import { useRealtimeEvent } from '../context/RealtimeContext';
 
 const NotificationList = ({ onClose, onCountChange }) => {
   const [notifications, setNotifications] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [activeTab, setActiveTab] = useState('notifications'); // notifications, following
   const desktopDropdownRef = useRef(null);
   const mobileDropdownRef = useRef(null);
 
@@ -47,14 +54,13 @@ const NotificationList = ({ onClose, onCountChange }) => {
 
   const fetchNotifications = async () => {
     try {
-      const response = await notificationsApi.getNotifications(false); // Get all
-      const fetchedNotifications = response.data.notifications || [];
-      setNotifications(fetchedNotifications);
+      // Read and unread, newest first; later pages load on scroll
+      const response = await notificationsApi.getNotifications(false);
+      setNotifications(response.data.notifications || []);
+      setNextCursor(response.data.nextCursor);
 
       // Update unread count
-      const unreadCount =
-        fetchedNotifications.filter((n) => !n.isRead).length || 0;
-      onCountChange(unreadCount);
+      onCountChange(response.data.unreadCount || 0);
     } catch (error) {
       console.error('Failed to fetch notifications:', error);
     } finally {
@@ -62,11 +68,43 @@ const NotificationList = ({ onClose, onCountChange }) => {
     }
   };
 
+  // Show notifications pushed while the list is open at the top
+  useRealtimeEvent('notification', (notification) => {
+    setNotifications((prevNotifications) =>
+      prevNotifications.some((n) => n._id === notification._id)
+        ? prevNotifications
+        : [notification, ...prevNotifications]
+    );
+  });
+
+  const loadMoreNotifications = async () => {
+    if (!nextCursor || loadingMore) {
+      return;
+    }
+
+    setLoadingMore(true);
+    try {
+      const response = await notificationsApi.getNotifications(false, {
+        cursor: nextCursor,
+      });
+      setNotifications((prevNotifications) => [
+        ...prevNotifications,
+        ...(response.data.notifications || []),
+      ]);
+      setNextCursor(response.data.nextCursor);
+    } catch (error) {
+      console.error('Failed to load more notifications:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   const handleNotificationClick = async (notification) => {
     try {
       // Mark as read
       if (!notification.isRead) {
         await notificationsApi.markAsRead(notification._id);
+        onCountChange((count) => Math.max(count - 1, 0));
       }
 
       // Close the notification panel first
@@ -82,6 +120,45 @@ const NotificationList = ({ onClose, onCountChange }) => {
     }
   };
 
+  const handleOpenQuestion = (questionId) => {
+    onClose();
+    navigate(`/questions/${questionId}`);
+  };
+
+  const renderTabs = (isMobile) => (
+    <div
+      className="flex border-b border-gray-200"
+      role="tablist"
+      aria-label="Notifications and followed questions"
+    >
+      {[
+        { id: 'notifications', label: 'Notifications' },
+        { id: 'following', label: 'Following' },
+      ].map((tab) => (
+        <button
+          key={tab.id}
+          onClick={(e) => {
+            e.stopPropagation();
+            setActiveTab(tab.id);
+          }}
+          className={`flex-1 font-semibold border-b-2 transition-colors ${
+            activeTab === tab.id
+              ? 'border-teal-600 text-teal-800'
+              : 'border-transparent text-gray-600 hover:text-gray-900'
+          }`}
+          style={{
+            padding: isMobile ? '0.875rem' : '0.625rem',
+            fontSize: isMobile ? '0.9375rem' : '0.875rem',
+          }}
+          role="tab"
+          aria-selected={activeTab === tab.id}
+        >
+          {tab.label}
+        </button>
+      ))}
+    </div>
+  );
+
   const handleMarkAllAsRead = async () => {
     try {
       await notificationsApi.markAllAsRead();
@@ -118,30 +195,35 @@ const NotificationList = ({ onClose, onCountChange }) => {
         </button>
       </div>
 
+      {renderTabs(true)}
+
       {/* Mark all as read - Mobile */}
-      {notifications.some((n) => !n.isRead) && (
-        <div className="border-b border-gray-200" style={{ padding: '1rem' }}>
-          <button
-            onClick={(e) => {
-              e.stopPropagation();
-              handleMarkAllAsRead();
-            }}
-            className="w-full flex items-center justify-center bg-teal-50 hover:bg-teal-100 text-teal-800 font-semibold transition-colors"
-            style={{
-              gap: '0.5rem',
-              padding: '0.75rem',
-              borderRadius: '0.5rem',
-            }}
-          >
-            <CheckCheck style={{ width: '1.125rem', height: '1.125rem' }} />
-            Mark all as read
-          </button>
-        </div>
-      )}
+      {activeTab === 'notifications' &&
+        notifications.some((n) => !n.isRead) && (
+          <div className="border-b border-gray-200" style={{ padding: '1rem' }}>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                handleMarkAllAsRead();
+              }}
+              className="w-full flex items-center justify-center bg-teal-50 hover:bg-teal-100 text-teal-800 font-semibold transition-colors"
+              style={{
+                gap: '0.5rem',
+                padding: '0.75rem',
+                borderRadius: '0.5rem',
+              }}
+            >
+              <CheckCheck style={{ width: '1.125rem', height: '1.125rem' }} />
+              Mark all as read
+            </button>
+          </div>
+        )}
 
       {/* Content - Scrollable */}
       <div className="flex-1 overflow-y-auto" style={{ minHeight: 0 }}>
-        {loading ? (
+        {activeTab === 'following' ? (
+          <FollowingList onOpenQuestion={handleOpenQuestion} isMobile />
+        ) : loading ? (
           <div style={{ padding: '3rem', textAlign: 'center' }}>
             <Spinner size="md" />
           </div>
@@ -158,7 +240,7 @@ const NotificationList = ({ onClose, onCountChange }) => {
           </div>
         ) : (
           <div className="divide-y divide-gray-100" style={{ width: '100%' }}>
-            {notifications.slice(0, 10).map((notification) => (
+            {notifications.map((notification) => (
               <div
                 key={notification._id}
                 onClick={(e) => {
@@ -209,6 +291,12 @@ const NotificationList = ({ onClose, onCountChange }) => {
                 </div>
               </div>
             ))}
+            <LoadMoreSentinel
+              hasMore={Boolean(nextCursor)}
+              loading={loadingMore}
+              onLoadMore={loadMoreNotifications}
+              label="older notifications"
+            />
           </div>
         )}
       </div>
@@ -250,101 +338,102 @@ const NotificationList = ({ onClose, onCountChange }) => {
           >
             Notifications
           </h3>
-          {notifications.some((n) => !n.isRead) && (
-            <button
-              onClick={handleMarkAllAsRead}
-              className="text-teal-800 hover:text-teal-900 flex items-center"
-              style={{ fontSize: '0.875rem', gap: '0.25rem' }}
-            >
-              <CheckCheck style={{ width: '1rem', height: '1rem' }} />
-              Mark all as read
-            </button>
-          )}
+          {activeTab === 'notifications' &&
+            notifications.some((n) => !n.isRead) && (
+              <button
+                onClick={handleMarkAllAsRead}
+                className="text-teal-800 hover:text-teal-900 flex items-center"
+                style={{ fontSize: '0.875rem', gap: '0.25rem' }}
+              >
+                <CheckCheck style={{ width: '1rem', height: '1rem' }} />
+                Mark all as read
+              </button>
+            )}
         </div>
 
+        {renderTabs(false)}
+
         {/* Content */}
-        <div className="divide-y divide-gray-100">
-          {loading ? (
-            <div style={{ padding: '2rem' }}>
-              <Spinner size="md" />
-            </div>
-          ) : notifications.length === 0 ? (
-            <div
-              className="text-center text-gray-600"
-              style={{ padding: '2rem' }}
-            >
-              <Inbox
-                className="text-gray-400 mx-auto"
-                style={{
-                  width: '3rem',
-                  height: '3rem',
-                  marginBottom: '0.5rem',
-                }}
-              />
-              <p>No notifications</p>
-            </div>
-          ) : (
-            notifications.slice(0, 10).map((notification) => (
+        {activeTab === 'following' ? (
+          <FollowingList onOpenQuestion={handleOpenQuestion} />
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {loading ? (
+              <div style={{ padding: '2rem' }}>
+                <Spinner size="md" />
+              </div>
+            ) : notifications.length === 0 ? (
               <div
-                key={notification._id}
-                onClick={() => handleNotificationClick(notification)}
-                className={`hover:bg-gray-50 cursor-pointer transition ${
-                  !notification.isRead ? 'bg-teal-50' : ''
-                }`}
-                style={{ padding: '1rem' }}
+                className="text-center text-gray-600"
+                style={{ padding: '2rem' }}
               >
-                <div className="flex" style={{ gap: '0.75rem' }}>
-                  {/* Unread indicator */}
-                  {!notification.isRead && (
-                    <div
-                      className="bg-teal-600 flex-shrink-0"
-                      style={{
-                        width: '0.5rem',
-                        height: '0.5rem',
-                        borderRadius: '50%',
-                        marginTop: '0.5rem',
-                      }}
-                    ></div>
-                  )}
+                <Inbox
+                  className="text-gray-400 mx-auto"
+                  style={{
+                    width: '3rem',
+                    height: '3rem',
+                    marginBottom: '0.5rem',
+                  }}
+                />
+                <p>No notifications</p>
+              </div>
+            ) : (
+              notifications.map((notification) => (
+                <div
+                  key={notification._id}
+                  onClick={() => handleNotificationClick(notification)}
+                  className={`hover:bg-gray-50 cursor-pointer transition ${
+                    !notification.isRead ? 'bg-teal-50' : ''
+                  }`}
+                  style={{ padding: '1rem' }}
+                >
+                  <div className="flex" style={{ gap: '0.75rem' }}>
+                    {/* Unread indicator */}
+                    {!notification.isRead && (
+                      <div
+                        className="bg-teal-600 flex-shrink-0"
+                        style={{
+                          width: '0.5rem',
+                          height: '0.5rem',
+                          borderRadius: '50%',
+                          marginTop: '0.5rem',
+                        }}
+                      ></div>
+                    )}
 
-                  <div style={{ flex: 1, minWidth: 0 }}>
-                    <p
-                      className={`${
-                        !notification.isRead
-                          ? 'font-semibold text-gray-900'
-                          : 'text-gray-700'
-                      }`}
-                      style={{ fontSize: '0.875rem' }}
-                    >
-                      {notification.message}
-                    </p>
-                    <p
-                      className="text-gray-600"
-                      style={{ fontSize: '0.75rem', marginTop: '0.25rem' }}
-                    >
-                      {formatDistanceToNow(new Date(notification.createdAt), {
-                        addSuffix: true,
-                      })}
-                    </p>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <p
+                        className={`${
+                          !notification.isRead
+                            ? 'font-semibold text-gray-900'
+                            : 'text-gray-700'
+                        }`}
+                        style={{ fontSize: '0.875rem' }}
+                      >
+                        {notification.message}
+                      </p>
+                      <p
+                        className="text-gray-600"
+                        style={{ fontSize: '0.75rem', marginTop: '0.25rem' }}
+                      >
+                        {formatDistanceToNow(new Date(notification.createdAt), {
+                          addSuffix: true,
+                        })}
+                      </p>
+                    </div>
                   </div>
                 </div>
-              </div>
-            ))
-          )}
-        </div>
-
-        {/* Footer */}
-        {notifications.length > 10 && (
-          <div
-            className="border-t border-gray-200 text-center"
-            style={{ padding: '0.5rem' }}
-          >
-            <button
-              className="text-teal-600 hover:text-teal-700"
-              style={{ fontSize: '0.875rem' }}
-            >
-              View all notifications
-            </button>
+              ))
+            )}
+            {/* Older notifications load as the dropdown scrolls */}
+            {!loading && (
+              <LoadMoreSentinel
+                hasMore={Boolean(nextCursor)}
+                loading={loadingMore}
+                onLoadMore={loadMoreNotifications}
+                label="older notifications"
+              />
+            )}
           </div>
         )}
       </div>
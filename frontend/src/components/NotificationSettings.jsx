@@ -0,0 +1,344 @@
+/**
+ * Notification Settings Component
+ * Lets a student choose which notifications they get and how often they are
+ * emailed; each change is saved right away
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { ChevronRight } from 'lucide-react';
+import { coursesApi, notificationsApi } from '../api/api';
+import Header from './Header';
+import Spinner from './Spinner';
+
+// Every type the backend can turn off, in the order they are listed
+const NOTIFICATION_TYPE_LABELS = [
+  ['new_response', 'Responses to your questions'],
+  ['new_comment', 'Comments on your posts'],
+  ['helpful_mark', 'Your responses marked helpful'],
+  ['answer_accepted', 'Your responses accepted as the answer'],
+  ['marked_duplicate', 'Your questions marked as duplicates'],
+  ['endorsement', 'Your posts endorsed by course staff'],
+  ['followed_response', 'Responses to questions you follow'],
+  ['question_edited', 'Edits to questions you follow'],
+  ['question_resolved', 'Questions you follow being resolved'],
+  ['new_question', 'New questions in courses you picked below'],
+  ['unanswered_question', 'Unanswered questions in courses you teach'],
+  ['private_question', 'Private questions in courses you teach'],
+  ['question_made_public', 'Your private questions shared with the class'],
+];
+
+const EMAIL_FREQUENCY_OPTIONS = [
+  ['off', 'Off', 'Notifications only appear in the app'],
+  ['immediate', 'Right away', 'Within a few minutes of each notification'],
+  ['daily', 'Daily digest', 'At most one email a day'],
+  ['weekly', 'Weekly digest', 'At most one email a week'],
+];
+
+const sectionClassName = 'bg-white shadow-md border border-gray-200';
+const sectionStyle = {
+  borderRadius: '1rem',
+  padding: '1.5rem',
+  marginBottom: '1.5rem',
+};
+const headingStyle = { fontSize: '1.125rem', marginBottom: '0.25rem' };
+const hintStyle = { fontSize: '0.875rem', marginBottom: '1rem' };
+const optionStyle = { gap: '0.75rem', padding: '0.5rem 0' };
+
+const NotificationSettings = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [courses, setCourses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const [preferencesResponse, coursesResponse] = await Promise.all([
+          notificationsApi.getPreferences(),
+          coursesApi.getCourses(),
+        ]);
+        setPreferences(preferencesResponse.data.preferences);
+        setCourses(coursesResponse.data.courses || []);
+      } catch (error) {
+        console.error('Error fetching notification settings:', error);
+        toast.error('Failed to load notification settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSettings();
+  }, []);
+
+  const savePreferences = async (updates) => {
+    setIsSaving(true);
+    try {
+      const response = await notificationsApi.updatePreferences(updates);
+      setPreferences(response.data.preferences);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          'Failed to save notification settings'
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Checked means the notifications are on, so the lists hold the opposite
+  const toggleListEntry = (field, value, isOn) => {
+    const others = preferences[field].filter((entry) => entry !== value);
+    savePreferences({ [field]: isOn ? others : [...others, value] });
+  };
+
+  // New question notifications are opt-in, so checked means in the list
+  const toggleNewQuestions = (courseId, isOn) => {
+    const others = preferences.newQuestionCourseIds.filter(
+      (entry) => entry !== courseId
+    );
+    savePreferences({
+      newQuestionCourseIds: isOn ? [...others, courseId] : others,
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50/30">
+      <Header />
+
+      <main
+        id="main-content"
+        className="container-centered fade-in"
+        style={{ paddingTop: '2rem', paddingBottom: '2rem', maxWidth: '48rem' }}
+      >
+        {/* Breadcrumb */}
+        <nav aria-label="Breadcrumb" style={{ marginBottom: '1.5rem' }}>
+          <ol
+            className="flex items-center"
+            style={{ gap: '0.5rem', fontSize: '0.875rem' }}
+          >
+            <li>
+              <Link
+                to="/courses"
+                className="text-teal-600 hover:text-teal-700 hover:underline font-medium"
+              >
+                My Courses
+              </Link>
+            </li>
+            <li aria-hidden="true">
+              <ChevronRight
+                className="text-gray-400"
+                style={{ width: '1rem', height: '1rem' }}
+              />
+            </li>
+            <li className="text-gray-700 font-semibold">Notifications</li>
+          </ol>
+        </nav>
+
+        <div style={{ marginBottom: '2rem' }}>
+          <h1
+            className="font-bold text-gray-900 text-3xl sm:text-4xl"
+            style={{ marginBottom: '0.5rem' }}
+          >
+            Notification Settings
+          </h1>
+          <p className="text-gray-600 text-base sm:text-lg">
+            Choose what you are notified about and when it is emailed to you
+          </p>
+        </div>
+
+        {loading ? (
+          <div
+            className="flex justify-center"
+            style={{ paddingTop: '4rem', paddingBottom: '4rem' }}
+          >
+            <Spinner size="lg" text="Loading settings..." />
+          </div>
+        ) : !preferences ? (
+          <p
+            className="text-center text-gray-600"
+            style={{ padding: '3rem 1rem' }}
+          >
+            Notification settings could not be loaded.
+          </p>
+        ) : (
+          <fieldset disabled={isSaving}>
+            {/* Mute all */}
+            <section className={sectionClassName} style={sectionStyle}>
+              <label className="flex items-start" style={{ gap: '0.75rem' }}>
+                <input
+                  type="checkbox"
+                  checked={preferences.muted}
+                  onChange={(e) => savePreferences({ muted: e.target.checked })}
+                  className="accent-teal-600"
+                  style={{
+                    width: '1.125rem',
+                    height: '1.125rem',
+                    marginTop: '0.25rem',
+                  }}
+                />
+                <span>
+                  <span
+                    className="block font-semibold text-gray-900"
+                    style={{ fontSize: '1.125rem' }}
+                  >
+                    Mute all notifications
+                  </span>
+                  <span
+                    className="block text-gray-600"
+                    style={{ fontSize: '0.875rem' }}
+                  >
+                    Nothing new appears in your notifications and no email is
+                    sent until you turn this off.
+                  </span>
+                </span>
+              </label>
+            </section>
+
+            {/* Email frequency */}
+            <section className={sectionClassName} style={sectionStyle}>
+              <h2 className="font-semibold text-gray-900" style={headingStyle}>
+                Email
+              </h2>
+              <p className="text-gray-600" style={hintStyle}>
+                Unread notifications are emailed to your Stevens address.
+              </p>
+              <div role="radiogroup" aria-label="Email frequency">
+                {EMAIL_FREQUENCY_OPTIONS.map(([value, label, description]) => (
+                  <label
+                    key={value}
+                    className="flex items-start"
+                    style={optionStyle}
+                  >
+                    <input
+                      type="radio"
+                      name="emailFrequency"
+                      value={value}
+                      checked={preferences.emailFrequency === value}
+                      onChange={() =>
+                        savePreferences({ emailFrequency: value })
+                      }
+                      className="accent-teal-600"
+                      style={{ marginTop: '0.3rem' }}
+                    />
+                    <span>
+                      <span className="block font-medium text-gray-900">
+                        {label}
+                      </span>
+                      <span
+                        className="block text-gray-600"
+                        style={{ fontSize: '0.8125rem' }}
+                      >
+                        {description}
+                      </span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </section>
+
+            {/* Notification types */}
+            <section className={sectionClassName} style={sectionStyle}>
+              <h2 className="font-semibold text-gray-900" style={headingStyle}>
+                Notify me about
+              </h2>
+              <p className="text-gray-600" style={hintStyle}>
+                Turned off notifications are not shown or emailed.
+              </p>
+              {NOTIFICATION_TYPE_LABELS.map(([type, label]) => (
+                <label
+                  key={type}
+                  className="flex items-center"
+                  style={optionStyle}
+                >
+                  <input
+                    type="checkbox"
+                    checked={!preferences.disabledTypes.includes(type)}
+                    onChange={(e) =>
+                      toggleListEntry('disabledTypes', type, e.target.checked)
+                    }
+                    className="accent-teal-600"
+                    style={{ width: '1rem', height: '1rem' }}
+                  />
+                  <span className="text-gray-800">{label}</span>
+                </label>
+              ))}
+            </section>
+
+            {/* Courses */}
+            <section className={sectionClassName} style={sectionStyle}>
+              <h2 className="font-semibold text-gray-900" style={headingStyle}>
+                Courses
+              </h2>
+              <p className="text-gray-600" style={hintStyle}>
+                Uncheck a course to mute all notifications from it, or check New
+                questions to hear about every question posted in it.
+              </p>
+              {courses.length === 0 ? (
+                <p className="text-gray-600" style={{ fontSize: '0.875rem' }}>
+                  You are not in any courses yet.
+                </p>
+              ) : (
+                courses.map((course) => (
+                  <div
+                    key={course._id}
+                    className="flex flex-wrap items-center justify-between"
+                    style={{ ...optionStyle, rowGap: '0.25rem' }}
+                  >
+                    <label
+                      className="flex items-center"
+                      style={{ gap: '0.75rem' }}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={
+                          !preferences.mutedCourseIds.includes(course._id)
+                        }
+                        onChange={(e) =>
+                          toggleListEntry(
+                            'mutedCourseIds',
+                            course._id,
+                            e.target.checked
+                          )
+                        }
+                        className="accent-teal-600"
+                        style={{ width: '1rem', height: '1rem' }}
+                      />
+                      <span className="text-gray-800">
+                        <span className="font-semibold">
+                          {course.courseCode}
+                        </span>{' '}
+                        {course.courseName}
+                      </span>
+                    </label>
+                    <label
+                      className="flex items-center text-gray-700"
+                      style={{ gap: '0.5rem', fontSize: '0.875rem' }}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={preferences.newQuestionCourseIds.includes(
+                          course._id
+                        )}
+                        onChange={(e) =>
+                          toggleNewQuestions(course._id, e.target.checked)
+                        }
+                        className="accent-teal-600"
+                        style={{ width: '1rem', height: '1rem' }}
+                      />
+                      New questions
+                    </label>
+                  </div>
+                ))
+              )}
+            </section>
+          </fieldset>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -6,8 +6,18 @@
 import { useState, useEffect, useRef } from 'react';
 import { useNavigate, useParams, Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
-import { questionsApi, responsesApi, coursesApi } from '../api/api';
+import {
+  questionsApi,
+  responsesApi,
+  coursesApi,
+  commentsApi,
+} from '../api/api';
 import { useAuth } from '../context/AuthContext';
+import {
+  useRealtimeTopic,
+  useRealtimeEvent,
+  useRealtimeFallback,
+} from '../context/RealtimeContext';
 import { formatDistanceToNow } from 'date-fns';
 import {
   CheckCircle,
@@ -16,70 +26,74 @@ import {
   Trash2,
   MessageSquare,
   Star,
+  Award,
   ChevronRight,
-  X,
+  Copy,
+  Bell,
+  BellOff,
+  Flag,
+  EyeOff,
+  Lock,
+  BadgeCheck,
+  ShieldCheck,
 } from 'lucide-react';
 import Header from './Header';
 import Spinner from './Spinner';
 import ResponseForm from './ResponseForm';
+import ConfirmModal from './ConfirmModal';
+import LoadMoreSentinel from './LoadMoreSentinel';
+import VoteControls from './VoteControls';
+import CommentThread from './CommentThread';
+import MarkdownContent from './MarkdownContent';
+import AttachmentList from './AttachmentList';
+import RevisionHistoryModal from './RevisionHistoryModal';
+import TagList from './TagList';
+import MarkDuplicateModal from './MarkDuplicateModal';
+import ReportModal from './ReportModal';
+import RevealAuthorModal from './RevealAuthorModal';
+import AnonymousAuthorNote from './AnonymousAuthorNote';
+import MakeQuestionPublicModal from './MakeQuestionPublicModal';
 
-// Confirmation Modal Component
-const ConfirmModal = ({ isOpen, onClose, onConfirm, title, message }) => {
-  if (!isOpen) return null;
-
-  return (
-    <div
-      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50"
-      style={{ padding: '1rem' }}
+// Opens the edit history of a question or response
+const EditedBadge = ({ editedAt, onClick }) => (
+  <>
+    <span className="text-gray-400">•</span>
+    <button
+      onClick={onClick}
+      className="text-gray-500 hover:text-teal-700 underline decoration-dotted transition-colors"
+      title={`Edited ${formatDistanceToNow(new Date(editedAt), {
+        addSuffix: true,
+      })}. Show edit history`}
     >
-      <div
-        className="bg-white shadow-2xl w-full"
-        style={{ maxWidth: '28rem', borderRadius: '1rem', padding: '2rem' }}
-      >
-        <div
-          className="flex items-start justify-between"
-          style={{ marginBottom: '1.5rem' }}
-        >
-          <h3
-            className="font-bold text-gray-900"
-            style={{ fontSize: '1.25rem' }}
-          >
-            {title}
-          </h3>
-          <button
-            onClick={onClose}
-            className="text-gray-400 hover:text-gray-600 transition-colors"
-            style={{ padding: '0.25rem' }}
-          >
-            <X style={{ width: '1.5rem', height: '1.5rem' }} />
-          </button>
-        </div>
-        <p
-          className="text-gray-600"
-          style={{ marginBottom: '2rem', fontSize: '1rem' }}
-        >
-          {message}
-        </p>
-        <div className="flex justify-end" style={{ gap: '1rem' }}>
-          <button
-            onClick={onClose}
-            className="border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium transition-colors"
-            style={{ padding: '0.75rem 1.5rem', borderRadius: '0.5rem' }}
-          >
-            Cancel
-          </button>
-          <button
-            onClick={onConfirm}
-            className="bg-red-600 hover:bg-red-700 text-white font-semibold transition-colors"
-            style={{ padding: '0.75rem 1.5rem', borderRadius: '0.5rem' }}
-          >
-            Delete
-          </button>
-        </div>
-      </div>
-    </div>
-  );
-};
+      edited
+    </button>
+  </>
+);
+
+// Marks a question or response course staff have endorsed
+const EndorsedBadge = ({ post, compact }) => (
+  <div
+    className="flex items-center bg-teal-100 text-teal-900 font-semibold flex-shrink-0"
+    style={{
+      gap: '0.25rem',
+      padding: compact ? '0.125rem 0.375rem' : '0.25rem 0.625rem',
+      borderRadius: compact ? '0.25rem' : '0.5rem',
+      fontSize: compact ? '0.6875rem' : '0.75rem',
+    }}
+    title={`Endorsed by ${
+      post.endorserName || 'course staff'
+    } ${formatDistanceToNow(new Date(post.endorsedAt), { addSuffix: true })}`}
+  >
+    <BadgeCheck
+      style={
+        compact
+          ? { width: '0.75rem', height: '0.75rem' }
+          : { width: '1rem', height: '1rem' }
+      }
+    />
+    Instructor endorsed
+  </div>
+);
 
 const QuestionDetail = () => {
   const { questionId } = useParams();
@@ -87,6 +101,9 @@ const QuestionDetail = () => {
   const [question, setQuestion] = useState(null);
   const [course, setCourse] = useState(null);
   const [responses, setResponses] = useState([]);
+  const [responsesCursor, setResponsesCursor] = useState(null);
+  const [comments, setComments] = useState([]);
+  const [loadingMoreResponses, setLoadingMoreResponses] = useState(false);
   const [loading, setLoading] = useState(true);
   const [showResponseForm, setShowResponseForm] = useState(false);
   const [editingResponseId, setEditingResponseId] = useState(null);
@@ -96,6 +113,14 @@ const QuestionDetail = () => {
     type: null,
     id: null,
   });
+  // The post whose edit history is open, if any
+  const [historyTarget, setHistoryTarget] = useState(null);
+  const [showDuplicateModal, setShowDuplicateModal] = useState(false);
+  const [reportTarget, setReportTarget] = useState(null);
+  const [revealTarget, setRevealTarget] = useState(null);
+  const [showMakePublicModal, setShowMakePublicModal] = useState(false);
+  // Authors staff revealed this visit, by post ID
+  const [revealedAuthors, setRevealedAuthors] = useState({});
   const responseFormRef = useRef(null);
   const navigate = useNavigate();
 
@@ -143,19 +168,107 @@ const QuestionDetail = () => {
         sortResponses
       );
       setResponses(responsesResponse.data.responses || []);
+      setResponsesCursor(responsesResponse.data.nextCursor);
+
+      // Fetch comment threads for the question and its responses
+      const commentsResponse = await commentsApi.getComments(questionId);
+      setComments(commentsResponse.data.comments || []);
     } catch (error) {
       console.error('Error fetching question:', error);
-      toast.error('Failed to load question');
+      toast.error(error.response?.data?.error || 'Failed to load question');
       setTimeout(() => navigate('/courses'), 2000);
     } finally {
       setLoading(false);
     }
   };
 
+  const loadMoreResponses = async () => {
+    if (!responsesCursor || loadingMoreResponses) {
+      return;
+    }
+
+    setLoadingMoreResponses(true);
+    try {
+      const response = await responsesApi.getResponses(
+        questionId,
+        sortResponses,
+        { cursor: responsesCursor }
+      );
+      // Skip responses already shown, e.g. one posted since the first page
+      setResponses((prevResponses) => {
+        const shownIds = new Set(prevResponses.map((r) => r._id));
+        return [
+          ...prevResponses,
+          ...(response.data.responses || []).filter(
+            (r) => !shownIds.has(r._id)
+          ),
+        ];
+      });
+      setResponsesCursor(response.data.nextCursor);
+    } catch (error) {
+      console.error('Error loading more responses:', error);
+    } finally {
+      setLoadingMoreResponses(false);
+    }
+  };
+
+  // Adds responses posted since the page loaded where the current sort
+  // would show them
+  const mergeNewResponses = (newResponses) => {
+    setResponses((prevResponses) => {
+      const shownIds = new Set(prevResponses.map((r) => r._id));
+      const unseen = newResponses.filter((r) => !shownIds.has(r._id));
+      if (unseen.length === 0) {
+        return prevResponses;
+      }
+      if (sortResponses === 'newest') {
+        return [...unseen, ...prevResponses];
+      }
+      // Oldest first or top voted: a new response belongs after the last
+      // page, once it has loaded
+      return responsesCursor ? prevResponses : [...prevResponses, ...unseen];
+    });
+  };
+
+  // Adds a new comment, or replaces one that was edited
+  const saveComment = (savedComment) => {
+    setComments((prevComments) =>
+      prevComments.some((c) => c._id === savedComment._id)
+        ? prevComments.map((c) =>
+            c._id === savedComment._id ? savedComment : c
+          )
+        : [...prevComments, savedComment]
+    );
+  };
+
+  const commentsOn = (targetType, targetId) =>
+    comments.filter(
+      (c) => c.targetType === targetType && c.targetId === targetId
+    );
+
+  // New responses and comments are pushed; poll while the stream is down
+  useRealtimeTopic({ questionId });
+  useRealtimeEvent('response_created', (response) => {
+    mergeNewResponses([response]);
+  });
+  useRealtimeEvent('comment_created', saveComment);
+  useRealtimeFallback(async () => {
+    try {
+      const response = await responsesApi.getResponses(questionId, 'newest');
+      mergeNewResponses(response.data.responses || []);
+      const commentsResponse = await commentsApi.getComments(questionId);
+      setComments(commentsResponse.data.comments || []);
+    } catch (error) {
+      console.error('Error checking for new responses:', error);
+    }
+  });
+
   const handleDeleteQuestion = async () => {
     try {
       await questionsApi.deleteQuestion(questionId);
-      toast.success('Question deleted successfully');
+      toast.success('Question moved to trash', {
+        onClick: () => navigate('/trash'),
+      });
       setTimeout(
         () => navigate(`/courses/${question.courseId}/questions`),
         1000
@@ -182,10 +295,124 @@ const QuestionDetail = () => {
     }
   };
 
+  const handleToggleFollow = async () => {
+    try {
+      const response = await questionsApi.followQuestion(
+        questionId,
+        !question.isFollowing
+      );
+      setQuestion((current) => ({
+        ...current,
+        isFollowing: response.data.isFollowing,
+      }));
+      toast.success(
+        response.data.isFollowing
+          ? 'Following this question'
+          : 'Unfollowed this question',
+        { autoClose: 1500 }
+      );
+    } catch (_error) {
+      toast.error('Failed to update follow', { autoClose: 1500 });
+    }
+  };
+
+  // The endorsement fields come back on the post; the endorser is the viewer
+  const endorsementFields = (post) =>
+    post.endorsedAt
+      ? {
+          endorsedAt: post.endorsedAt,
+          endorserName: `${user.firstName} ${user.lastName}`,
+        }
+      : { endorsedAt: undefined, endorserName: undefined };
+
+  const handleToggleQuestionEndorsed = async () => {
+    try {
+      const response = await questionsApi.endorseQuestion(
+        questionId,
+        !question.endorsedAt
+      );
+      setQuestion((current) => ({
+        ...current,
+        ...endorsementFields(response.data.question),
+      }));
+      toast.success(
+        response.data.question.endorsedAt
+          ? 'Question endorsed'
+          : 'Removed endorsement',
+        { autoClose: 1500 }
+      );
+    } catch (_error) {
+      toast.error('Failed to update endorsement', { autoClose: 1500 });
+    }
+  };
+
+  const handleToggleResponseEndorsed = async (responseId, isEndorsed) => {
+    try {
+      const response = await responsesApi.endorseResponse(
+        responseId,
+        !isEndorsed
+      );
+      setResponses((prevResponses) =>
+        prevResponses.map((r) =>
+          r._id === responseId
+            ? { ...r, ...endorsementFields(response.data.response) }
+            : r
+        )
+      );
+      toast.success(
+        response.data.response.endorsedAt
+          ? 'Response endorsed'
+          : 'Removed endorsement',
+        { autoClose: 1500 }
+      );
+    } catch (_error) {
+      toast.error('Failed to update endorsement', { autoClose: 1500 });
+    }
+  };
+
+  // Only the link fields change; the rest of the loaded question is kept
+  const applyDuplicateLinks = (updated) => {
+    setQuestion((current) => ({
+      ...current,
+      duplicateOfId: updated.duplicateOfId,
+      duplicateOf: updated.duplicateOf,
+      duplicates: updated.duplicates,
+    }));
+  };
+
+  const handleDuplicateMarked = (updated) => {
+    applyDuplicateLinks(updated);
+    setShowDuplicateModal(false);
+  };
+
+  const handleClearDuplicate = async () => {
+    try {
+      const response = await questionsApi.markDuplicate(questionId, null);
+      applyDuplicateLinks(response.data.question);
+      toast.success('Duplicate mark removed', { autoClose: 1500 });
+    } catch (_error) {
+      toast.error('Failed to remove duplicate mark', { autoClose: 1500 });
+    }
+  };
+
+  // Anonymizing also changes the poster's responses and comments, so reload
+  const handleMadePublic = (updated) => {
+    toast.success(
+      updated.isAnonymous
+        ? 'Question shared with the class anonymously'
+        : 'Question shared with the class',
+      { autoClose: 1500 }
+    );
+    fetchQuestion();
+  };
+
   const handleDeleteResponse = async (responseId) => {
     try {
       await responsesApi.deleteResponse(responseId);
-      toast.success('Response deleted successfully', { autoClose: 1500 });
+      toast.success('Response moved to trash', {
+        autoClose: 3000,
+        onClick: () => navigate('/trash'),
+      });
       fetchQuestion();
     } catch (_error) {
       toast.error('Failed to delete response', { autoClose: 1500 });
@@ -194,6 +421,20 @@ const QuestionDetail = () => {
     }
   };
 
+  const handleDeleteComment = async (commentId) => {
+    try {
+      await commentsApi.deleteComment(commentId);
+      setComments((prevComments) =>
+        prevComments.filter((c) => c._id !== commentId)
+      );
+      toast.success('Comment deleted', { autoClose: 1500 });
+    } catch (_error) {
+      toast.error('Failed to delete comment', { autoClose: 1500 });
+    } finally {
+      setDeleteModal({ isOpen: false, type: null, id: null });
+    }
+  };
+
   const handleToggleHelpful = async (responseId, currentState) => {
     try {
       await responsesApi.markAsHelpful(responseId, !currentState);
@@ -214,10 +455,66 @@ const QuestionDetail = () => {
     }
   };
 
-  const handleResponseSubmit = () => {
+  const handleToggleAccepted = async (responseId, isAccepted) => {
+    try {
+      const response = await responsesApi.markAsAccepted(
+        responseId,
+        !isAccepted
+      );
+      const { acceptedResponseId, isResolved } = response.data.question;
+      setQuestion((prevQuestion) => ({
+        ...prevQuestion,
+        acceptedResponseId,
+        isResolved,
+      }));
+      toast.success(
+        isAccepted ? 'Removed accepted answer' : 'Accepted as the answer',
+        { autoClose: 1500 }
+      );
+    } catch (_error) {
+      toast.error('Failed to update response', { autoClose: 1500 });
+    }
+  };
+
+  const handleVoteQuestion = async (value) => {
+    try {
+      const response = await questionsApi.voteQuestion(questionId, value);
+      const { score, myVote } = response.data;
+      setQuestion((prevQuestion) => ({ ...prevQuestion, score, myVote }));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to record vote', {
+        autoClose: 1500,
+      });
+    }
+  };
+
+  const handleVoteResponse = async (responseId, value) => {
+    try {
+      const response = await responsesApi.voteResponse(responseId, value);
+      const { score, myVote } = response.data;
+      setResponses((prevResponses) =>
+        prevResponses.map((r) =>
+          r._id === responseId ? { ...r, score, myVote } : r
+        )
+      );
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to record vote', {
+        autoClose: 1500,
+      });
+    }
+  };
+
+  const handleResponseSubmit = (screening) => {
     setShowResponseForm(false);
     setEditingResponseId(null);
     fetchQuestion();
+    // A held response is only visible to its author and the course staff
+    if (screening) {
+      toast.info(
+        'Your response is held for review by the course staff. Others will see it once it is approved.'
+      );
+      return;
+    }
     toast.success('Response posted successfully', {
       autoClose: 3000,
       onClick: () => navigate(`/questions/${questionId}`),
@@ -229,6 +526,20 @@ const QuestionDetail = () => {
   };
 
   const isQuestionPoster = question && user && question.posterId === user.id;
+  // Instructors, TAs, and admins can moderate every post in the course
+  const isCourseStaff = ['instructor', 'ta', 'admin'].includes(
+    course?.courseRole
+  );
+  // The poster and staff decide which responses are helpful or accepted
+  const canJudgeResponses = isQuestionPoster || isCourseStaff;
+  // Only staff can respond or comment once a moderator locks the thread
+  const canPostInThread = !question?.lockedAt || isCourseStaff;
+  // Keep the accepted answer at the top, otherwise preserve the chosen sort
+  const orderedResponses = [...responses].sort(
+    (a, b) =>
+      (b._id === question?.acceptedResponseId) -
+      (a._id === question?.acceptedResponseId)
+  );
 
   if (loading) {
     return (
@@ -300,6 +611,125 @@ const QuestionDetail = () => {
           </ol>
         </nav>
 
+        {/* Duplicate Banner */}
+        {question.duplicateOf && (
+          <div
+            className="bg-amber-50 border border-amber-200 text-amber-900 flex flex-wrap items-center justify-between"
+            style={{
+              gap: '0.75rem',
+              borderRadius: '0.75rem',
+              padding: '0.875rem 1.25rem',
+              marginBottom: '1rem',
+              fontSize: '0.9375rem',
+            }}
+            role="note"
+          >
+            <p className="flex items-center" style={{ gap: '0.5rem' }}>
+              <Copy
+                style={{ width: '1.125rem', height: '1.125rem', flexShrink: 0 }}
+              />
+              <span>
+                Marked as a duplicate of{' '}
+                <Link
+                  to={`/questions/${question.duplicateOf._id}`}
+                  className="font-semibold text-teal-700 hover:text-teal-800 hover:underline"
+                >
+                  {question.duplicateOf.title}
+                </Link>
+              </span>
+            </p>
+            {isCourseStaff && (
+              <button
+                onClick={handleClearDuplicate}
+                className="text-amber-900 hover:underline font-semibold"
+                style={{ fontSize: '0.8125rem' }}
+              >
+                Remove duplicate mark
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Private Question Banner */}
+        {question.visibility === 'staff' && (
+          <div
+            className="bg-teal-50 border border-teal-200 text-teal-900 flex flex-wrap items-center"
+            style={{
+              gap: '0.5rem',
+              borderRadius: '0.75rem',
+              padding: '0.875rem 1.25rem',
+              marginBottom: '1rem',
+              fontSize: '0.9375rem',
+            }}
+            role="note"
+          >
+            <ShieldCheck
+              style={{ width: '1.125rem', height: '1.125rem', flexShrink: 0 }}
+            />
+            <span style={{ flex: 1 }}>
+              {isCourseStaff
+                ? 'Private question. Only course staff and the poster can see it.'
+                : 'Private question. Only you and the course staff can see it.'}
+            </span>
+            {isCourseStaff && (
+              <button
+                onClick={() => setShowMakePublicModal(true)}
+                className="text-teal-900 hover:underline font-semibold"
+                style={{ fontSize: '0.8125rem' }}
+              >
+                Make public
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Moderation Banners */}
+        {question.hiddenAt && (
+          <div
+            className="bg-gray-100 border border-gray-300 text-gray-800 flex items-center"
+            style={{
+              gap: '0.5rem',
+              borderRadius: '0.75rem',
+              padding: '0.875rem 1.25rem',
+              marginBottom: '1rem',
+              fontSize: '0.9375rem',
+            }}
+            role="note"
+          >
+            <EyeOff
+              style={{ width: '1.125rem', height: '1.125rem', flexShrink: 0 }}
+            />
+            {/* Content screening holds posts without a moderator */}
+            {question.hiddenBy
+              ? isCourseStaff
+                ? 'Hidden from students by a moderator. Only course staff and the poster can see this question.'
+                : 'A moderator has hidden this question. Only you and the course staff can see it.'
+              : isCourseStaff
+              ? 'Held for review by the content filter. Approve it from the Moderation page to show it to students.'
+              : 'This question is held for review. Only you and the course staff can see it until it is approved.'}
+          </div>
+        )}
+        {question.lockedAt && (
+          <div
+            className="bg-gray-100 border border-gray-300 text-gray-800 flex items-center"
+            style={{
+              gap: '0.5rem',
+              borderRadius: '0.75rem',
+              padding: '0.875rem 1.25rem',
+              marginBottom: '1rem',
+              fontSize: '0.9375rem',
+            }}
+            role="note"
+          >
+            <Lock
+              style={{ width: '1.125rem', height: '1.125rem', flexShrink: 0 }}
+            />
+            {isCourseStaff
+              ? 'Thread locked. Students can no longer respond or comment.'
+              : 'This thread is locked. New responses and comments are closed.'}
+          </div>
+        )}
+
         {/* Question Card */}
         <div
           className="bg-white shadow-md border-2 border-gray-200"
@@ -314,6 +744,12 @@ const QuestionDetail = () => {
             className="flex items-center justify-between"
             style={{ gap: '1rem', marginBottom: '0.75rem' }}
           >
+            <VoteControls
+              score={question.score}
+              myVote={question.myVote}
+              disabled={!user || isQuestionPoster}
+              onVote={handleVoteQuestion}
+            />
             <h1
               className="font-bold text-gray-900 leading-tight text-lg sm:text-2xl"
               style={{ flex: 1 }}
@@ -336,16 +772,45 @@ const QuestionDetail = () => {
                 Answered
               </div>
             )}
+            {question.endorsedAt && <EndorsedBadge post={question} />}
           </div>
 
           {/* Question Content */}
-          <div className="prose max-w-none" style={{ marginBottom: '1rem' }}>
-            <p
-              className="text-gray-700 leading-relaxed whitespace-pre-wrap"
+          <div style={{ marginBottom: '1rem' }}>
+            <MarkdownContent
+              html={question.contentHtml}
+              content={question.content}
+              className="text-gray-700 leading-relaxed"
               style={{ fontSize: '1.0625rem' }}
-            >
-              {question.content}
-            </p>
+            />
+            <AttachmentList attachments={question.attachments} />
+            {question.tags?.length > 0 && (
+              <div style={{ marginTop: '0.75rem' }}>
+                <TagList tags={question.tags} courseId={question.courseId} />
+              </div>
+            )}
+            {question.duplicates?.length > 0 && (
+              <div
+                className="text-gray-600"
+                style={{ marginTop: '0.75rem', fontSize: '0.875rem' }}
+              >
+                <span className="font-semibold text-gray-700">
+                  Asked again as:
+                </span>
+                <ul style={{ marginTop: '0.25rem' }}>
+                  {question.duplicates.map((duplicate) => (
+                    <li key={duplicate._id}>
+                      <Link
+                        to={`/questions/${duplicate._id}`}
+                        className="text-teal-700 hover:text-teal-800 hover:underline"
+                      >
+                        {duplicate.title}
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
 
           {/* Question Meta + Actions - Responsive: stack on mobile, row on desktop */}
@@ -376,81 +841,200 @@ const QuestionDetail = () => {
                 </span>
               </div>
               <span className="font-medium text-gray-700">
-                {question.isAnonymous
-                  ? 'Anonymous'
-                  : question.posterName || 'Unknown'}
+                {question.posterName || 'Unknown'}
               </span>
+              <AnonymousAuthorNote
+                post={question}
+                isCourseStaff={isCourseStaff}
+                revealedAuthor={revealedAuthors[question._id]}
+                onReveal={() =>
+                  setRevealTarget({ type: 'question', id: question._id })
+                }
+              />
+              {question.posterReputation != null && (
+                <span
+                  className="text-gray-500"
+                  title="Net votes on this student's posts"
+                >
+                  {question.posterReputation} rep
+                </span>
+              )}
               <span className="text-gray-400">•</span>
               <span className="text-gray-600">
                 {formatDistanceToNow(new Date(question.createdAt), {
                   addSuffix: true,
                 })}
               </span>
+              {question.editedAt && (
+                <EditedBadge
+                  editedAt={question.editedAt}
+                  onClick={() =>
+                    setHistoryTarget({ type: 'question', id: question._id })
+                  }
+                />
+              )}
             </div>
 
-            {/* Right: Action buttons (if poster) */}
-            {isQuestionPoster && (
-              <div
-                className="flex items-center flex-wrap"
-                style={{ gap: '0.5rem' }}
+            {/* Right: Follow, plus action buttons (if poster or course staff) */}
+            <div
+              className="flex items-center flex-wrap"
+              style={{ gap: '0.5rem' }}
+            >
+              <button
+                onClick={handleToggleFollow}
+                className="flex items-center border border-gray-200 bg-gradient-to-r from-gray-50 to-slate-50 hover:from-gray-100 hover:to-slate-100 text-gray-700 font-semibold transition-colors"
+                style={{
+                  gap: '0.25rem',
+                  padding: '0.25rem 0.625rem',
+                  borderRadius: '0.5rem',
+                  fontSize: '0.75rem',
+                }}
+                aria-pressed={!!question.isFollowing}
+                title={
+                  question.isFollowing
+                    ? 'Stop getting notifications about this question'
+                    : 'Get notified of new responses, edits and resolution'
+                }
               >
-                <button
-                  onClick={handleToggleResolved}
-                  className="flex items-center border border-teal-200 bg-gradient-to-r from-teal-50 to-emerald-50 hover:from-teal-100 hover:to-emerald-100 text-teal-700 font-semibold transition-colors"
-                  style={{
-                    gap: '0.25rem',
-                    padding: '0.25rem 0.625rem',
-                    borderRadius: '0.5rem',
-                    fontSize: '0.75rem',
-                  }}
-                >
-                  {question.isResolved ? (
-                    <>
-                      <Circle style={{ width: '1rem', height: '1rem' }} />
-                      Mark as Unresolved
-                    </>
-                  ) : (
-                    <>
-                      <CheckCircle style={{ width: '1rem', height: '1rem' }} />
-                      Mark as Resolved
-                    </>
-                  )}
-                </button>
-                <button
-                  onClick={() => navigate(`/questions/${questionId}/edit`)}
-                  className="flex items-center border border-gray-200 bg-gradient-to-r from-gray-50 to-slate-50 hover:from-gray-100 hover:to-slate-100 text-gray-700 font-semibold transition-colors"
-                  style={{
-                    gap: '0.25rem',
-                    padding: '0.25rem 0.625rem',
-                    borderRadius: '0.5rem',
-                    fontSize: '0.75rem',
-                  }}
-                >
-                  <Edit style={{ width: '1rem', height: '1rem' }} />
-                  Edit
-                </button>
+                {question.isFollowing ? (
+                  <>
+                    <BellOff style={{ width: '1rem', height: '1rem' }} />
+                    Unfollow
+                  </>
+                ) : (
+                  <>
+                    <Bell style={{ width: '1rem', height: '1rem' }} />
+                    Follow
+                  </>
+                )}
+              </button>
+              {user && !isQuestionPoster && (
                 <button
                   onClick={() =>
-                    setDeleteModal({
-                      isOpen: true,
-                      type: 'question',
-                      id: questionId,
-                    })
+                    setReportTarget({ type: 'question', id: questionId })
                   }
-                  className="flex items-center border border-red-200 bg-gradient-to-r from-red-50 to-rose-50 hover:from-red-100 hover:to-rose-100 text-red-800 font-semibold transition-colors"
+                  className="flex items-center border border-gray-200 bg-white hover:bg-red-50 text-gray-600 hover:text-red-700 font-semibold transition-colors"
                   style={{
                     gap: '0.25rem',
                     padding: '0.25rem 0.625rem',
                     borderRadius: '0.5rem',
                     fontSize: '0.75rem',
                   }}
+                  title="Report this question to the course staff"
                 >
-                  <Trash2 style={{ width: '1rem', height: '1rem' }} />
-                  Delete
+                  <Flag style={{ width: '1rem', height: '1rem' }} />
+                  Report
                 </button>
-              </div>
-            )}
+              )}
+              {(isQuestionPoster || isCourseStaff) && (
+                <>
+                  <button
+                    onClick={handleToggleResolved}
+                    className="flex items-center border border-teal-200 bg-gradient-to-r from-teal-50 to-emerald-50 hover:from-teal-100 hover:to-emerald-100 text-teal-700 font-semibold transition-colors"
+                    style={{
+                      gap: '0.25rem',
+                      padding: '0.25rem 0.625rem',
+                      borderRadius: '0.5rem',
+                      fontSize: '0.75rem',
+                    }}
+                  >
+                    {question.isResolved ? (
+                      <>
+                        <Circle style={{ width: '1rem', height: '1rem' }} />
+                        Mark as Unresolved
+                      </>
+                    ) : (
+                      <>
+                        <CheckCircle
+                          style={{ width: '1rem', height: '1rem' }}
+                        />
+                        Mark as Resolved
+                      </>
+                    )}
+                  </button>
+                  <button
+                    onClick={() => navigate(`/questions/${questionId}/edit`)}
+                    className="flex items-center border border-gray-200 bg-gradient-to-r from-gray-50 to-slate-50 hover:from-gray-100 hover:to-slate-100 text-gray-700 font-semibold transition-colors"
+                    style={{
+                      gap: '0.25rem',
+                      padding: '0.25rem 0.625rem',
+                      borderRadius: '0.5rem',
+                      fontSize: '0.75rem',
+                    }}
+                  >
+                    <Edit style={{ width: '1rem', height: '1rem' }} />
+                    Edit
+                  </button>
+                  {isCourseStaff && (
+                    <button
+                      onClick={handleToggleQuestionEndorsed}
+                      className="flex items-center border border-teal-200 bg-white hover:bg-teal-50 text-teal-700 font-semibold transition-colors"
+                      style={{
+                        gap: '0.25rem',
+                        padding: '0.25rem 0.625rem',
+                        borderRadius: '0.5rem',
+                        fontSize: '0.75rem',
+                      }}
+                      aria-pressed={!!question.endorsedAt}
+                    >
+                      <BadgeCheck style={{ width: '1rem', height: '1rem' }} />
+                      {question.endorsedAt ? 'Remove Endorsement' : 'Endorse'}
+                    </button>
+                  )}
+                  {isCourseStaff && !question.duplicateOf && (
+                    <button
+                      onClick={() => setShowDuplicateModal(true)}
+                      className="flex items-center border border-amber-200 bg-gradient-to-r from-amber-50 to-yellow-50 hover:from-amber-100 hover:to-yellow-100 text-amber-900 font-semibold transition-colors"
+                      style={{
+                        gap: '0.25rem',
+                        padding: '0.25rem 0.625rem',
+                        borderRadius: '0.5rem',
+                        fontSize: '0.75rem',
+                      }}
+                    >
+                      <Copy style={{ width: '1rem', height: '1rem' }} />
+                      Mark as Duplicate
+                    </button>
+                  )}
+                  <button
+                    onClick={() =>
+                      setDeleteModal({
+                        isOpen: true,
+                        type: 'question',
+                        id: questionId,
+                      })
+                    }
+                    className="flex items-center border border-red-200 bg-gradient-to-r from-red-50 to-rose-50 hover:from-red-100 hover:to-rose-100 text-red-800 font-semibold transition-colors"
+                    style={{
+                      gap: '0.25rem',
+                      padding: '0.25rem 0.625rem',
+                      borderRadius: '0.5rem',
+                      fontSize: '0.75rem',
+                    }}
+                  >
+                    <Trash2 style={{ width: '1rem', height: '1rem' }} />
+                    Delete
+                  </button>
+                </>
+              )}
+            </div>
           </div>
+
+          <CommentThread
+            targetType="question"
+            targetId={questionId}
+            comments={commentsOn('question', questionId)}
+            canModerate={isCourseStaff}
+            canPost={canPostInThread}
+            revealedAuthors={revealedAuthors}
+            onCommentSaved={saveComment}
+            onDeleteComment={(commentId) =>
+              setDeleteModal({ isOpen: true, type: 'comment', id: commentId })
+            }
+            onRevealAuthor={(commentId) =>
+              setRevealTarget({ type: 'comment', id: commentId })
+            }
+          />
         </div>
 
         {/* Responses Section */}
@@ -471,7 +1055,8 @@ const QuestionDetail = () => {
                 className="font-bold text-gray-900"
                 style={{ fontSize: '1.0625rem' }}
               >
-                Responses ({responses.length})
+                Responses ({responses.length}
+                {responsesCursor ? '+' : ''})
               </h2>
 
               {/* Sort dropdown - desktop only (inline with Responses) */}
@@ -502,13 +1087,14 @@ const QuestionDetail = () => {
                     >
                       <option value="newest">Newest First</option>
                       <option value="oldest">Oldest First</option>
+                      <option value="top">Top Voted</option>
                     </select>
                   </div>
                 )}
             </div>
 
             {/* Right side: Reply button */}
-            {!showResponseForm && !editingResponseId && (
+            {canPostInThread && !showResponseForm && !editingResponseId && (
               <button
                 onClick={() => setShowResponseForm(true)}
                 className="flex items-center bg-gradient-to-r from-teal-600 to-emerald-600 hover:from-teal-700 hover:to-emerald-700 text-white font-semibold shadow-lg hover:shadow-xl transition-all"
@@ -553,6 +1139,7 @@ const QuestionDetail = () => {
               >
                 <option value="newest">Newest First</option>
                 <option value="oldest">Oldest First</option>
+                <option value="top">Top Voted</option>
               </select>
             </div>
           )}
@@ -562,6 +1149,7 @@ const QuestionDetail = () => {
             <div ref={responseFormRef} style={{ marginBottom: '1.5rem' }}>
               <ResponseForm
                 questionId={questionId}
+                courseId={question.courseId}
                 responseId={editingResponseId}
                 initialContent={
                   editingResponseId
@@ -607,6 +1195,7 @@ const QuestionDetail = () => {
               >
                 <option value="newest">Newest First</option>
                 <option value="oldest">Oldest First</option>
+                <option value="top">Top Voted</option>
               </select>
             </div>
           )}
@@ -644,13 +1233,17 @@ const QuestionDetail = () => {
                 gap: '0.75rem',
               }}
             >
-              {responses.map((response) => {
+              {orderedResponses.map((response) => {
                 const isResponsePoster = user && response.posterId === user.id;
+                const isAccepted = response._id === question.acceptedResponseId;
+                const canModerateResponse = isResponsePoster || isCourseStaff;
                 return (
                   <div
                     key={response._id}
                     className={`border ${
-                      response.isHelpful
+                      isAccepted
+                        ? 'border-emerald-400 bg-emerald-50/40'
+                        : response.isHelpful
                         ? 'border-yellow-300 bg-yellow-50/30'
                         : 'border-gray-200 bg-gray-50/50'
                     }`}
@@ -659,154 +1252,379 @@ const QuestionDetail = () => {
                       padding: '0.75rem 1rem',
                     }}
                   >
-                    {/* Response Content - First */}
-                    <p
-                      className="text-gray-900 leading-relaxed whitespace-pre-wrap"
-                      style={{
-                        fontSize: '0.9375rem',
-                        marginBottom: '0.5rem',
-                      }}
-                    >
-                      {response.content}
-                    </p>
-
-                    {/* Bottom line: Poster + Time + Actions - Responsive */}
-                    <div
-                      className="flex flex-col sm:flex-row sm:items-center sm:justify-between"
-                      style={{ gap: '0.5rem', fontSize: '0.75rem' }}
-                    >
-                      {/* Left: Avatar + Name + Time + Helpful badge */}
-                      <div
-                        className="flex items-center text-gray-600"
-                        style={{ gap: '0.375rem' }}
-                      >
-                        <div
-                          className="bg-gradient-to-br from-teal-600 to-emerald-600 flex items-center justify-center flex-shrink-0"
+                    <div className="flex" style={{ gap: '0.75rem' }}>
+                      <VoteControls
+                        score={response.score}
+                        myVote={response.myVote}
+                        disabled={!user || isResponsePoster}
+                        onVote={(value) =>
+                          handleVoteResponse(response._id, value)
+                        }
+                      />
+                      <div style={{ flex: 1, minWidth: 0 }}>
+                        {/* Response Content - First */}
+                        <MarkdownContent
+                          html={response.contentHtml}
+                          content={response.content}
+                          className="text-gray-900 leading-relaxed"
                           style={{
-                            width: '1.25rem',
-                            height: '1.25rem',
-                            borderRadius: '50%',
+                            fontSize: '0.9375rem',
+                            marginBottom: '0.5rem',
                           }}
+                        />
+                        <AttachmentList attachments={response.attachments} />
+
+                        {/* Bottom line: Poster + Time + Actions - Responsive */}
+                        <div
+                          className="flex flex-col sm:flex-row sm:items-center sm:justify-between"
+                          style={{ gap: '0.5rem', fontSize: '0.75rem' }}
                         >
-                          <span
-                            className="text-white font-bold"
-                            style={{ fontSize: '0.5rem' }}
+                          {/* Left: Avatar + Name + Time + Accepted/Helpful badges */}
+                          <div
+                            className="flex items-center text-gray-600"
+                            style={{ gap: '0.375rem' }}
                           >
-                            {response.isAnonymous
-                              ? 'A'
-                              : (response.posterName || 'U')
-                                  .charAt(0)
-                                  .toUpperCase()}
-                          </span>
-                        </div>
-                        <span className="font-medium text-gray-700">
-                          {response.isAnonymous
-                            ? 'Anonymous'
-                            : response.posterName || 'Unknown'}
-                        </span>
-                        <span className="text-gray-400">•</span>
-                        <span className="text-gray-600">
-                          {formatDistanceToNow(new Date(response.createdAt), {
-                            addSuffix: true,
-                          })}
-                        </span>
-                        {response.isHelpful && (
-                          <>
-                            <span className="text-gray-400">•</span>
                             <div
-                              className="flex items-center bg-yellow-100 text-yellow-900 font-semibold"
+                              className="bg-gradient-to-br from-teal-600 to-emerald-600 flex items-center justify-center flex-shrink-0"
                               style={{
-                                gap: '0.25rem',
-                                padding: '0.125rem 0.375rem',
-                                borderRadius: '0.25rem',
-                                fontSize: '0.6875rem',
+                                width: '1.25rem',
+                                height: '1.25rem',
+                                borderRadius: '50%',
                               }}
                             >
-                              <Star
-                                style={{ width: '0.75rem', height: '0.75rem' }}
-                              />
-                              Helpful
+                              <span
+                                className="text-white font-bold"
+                                style={{ fontSize: '0.5rem' }}
+                              >
+                                {response.isAnonymous
+                                  ? 'A'
+                                  : (response.posterName || 'U')
+                                      .charAt(0)
+                                      .toUpperCase()}
+                              </span>
                             </div>
-                          </>
-                        )}
-                      </div>
-
-                      {/* Right: Action buttons */}
-                      <div
-                        className="flex items-center"
-                        style={{ gap: '0.375rem' }}
-                      >
-                        {isQuestionPoster && (
-                          <button
-                            onClick={() =>
-                              handleToggleHelpful(
-                                response._id,
-                                response.isHelpful
-                              )
-                            }
-                            className={`flex items-center font-semibold transition-colors ${
-                              response.isHelpful
-                                ? 'border border-yellow-300 bg-yellow-50 text-yellow-900 hover:bg-yellow-100'
-                                : 'border border-gray-300 bg-white text-gray-700 hover:bg-gray-50'
-                            }`}
-                            style={{
-                              gap: '0.25rem',
-                              padding: '0.25rem 0.5rem',
-                              borderRadius: '0.25rem',
-                              fontSize: '0.6875rem',
-                            }}
-                          >
-                            <Star
-                              style={{ width: '0.75rem', height: '0.75rem' }}
-                            />
-                            {response.isHelpful ? 'Helpful' : 'Mark Helpful'}
-                          </button>
-                        )}
-                        {isResponsePoster && (
-                          <>
-                            <button
-                              onClick={() => setEditingResponseId(response._id)}
-                              className="flex items-center border border-gray-300 bg-white hover:bg-gray-100 text-gray-700 font-semibold transition-colors"
-                              style={{
-                                gap: '0.25rem',
-                                padding: '0.25rem 0.5rem',
-                                borderRadius: '0.25rem',
-                                fontSize: '0.6875rem',
-                              }}
-                            >
-                              <Edit
-                                style={{ width: '0.75rem', height: '0.75rem' }}
-                              />
-                              Edit
-                            </button>
-                            <button
-                              onClick={() =>
-                                setDeleteModal({
-                                  isOpen: true,
+                            <span className="font-medium text-gray-700">
+                              {response.posterName || 'Unknown'}
+                            </span>
+                            <AnonymousAuthorNote
+                              post={response}
+                              isCourseStaff={isCourseStaff}
+                              revealedAuthor={revealedAuthors[response._id]}
+                              onReveal={() =>
+                                setRevealTarget({
                                   type: 'response',
                                   id: response._id,
                                 })
                               }
-                              className="flex items-center border border-red-300 bg-red-50 hover:bg-red-100 text-red-800 font-semibold transition-colors"
-                              style={{
-                                gap: '0.25rem',
-                                padding: '0.25rem 0.5rem',
-                                borderRadius: '0.25rem',
-                                fontSize: '0.6875rem',
-                              }}
-                            >
-                              <Trash2
-                                style={{ width: '0.75rem', height: '0.75rem' }}
+                            />
+                            {response.posterReputation != null && (
+                              <span
+                                className="text-gray-500"
+                                title="Net votes on this student's posts"
+                              >
+                                {response.posterReputation} rep
+                              </span>
+                            )}
+                            <span className="text-gray-400">•</span>
+                            <span className="text-gray-600">
+                              {formatDistanceToNow(
+                                new Date(response.createdAt),
+                                {
+                                  addSuffix: true,
+                                }
+                              )}
+                            </span>
+                            {response.editedAt && (
+                              <EditedBadge
+                                editedAt={response.editedAt}
+                                onClick={() =>
+                                  setHistoryTarget({
+                                    type: 'response',
+                                    id: response._id,
+                                  })
+                                }
                               />
-                              Delete
-                            </button>
-                          </>
-                        )}
+                            )}
+                            {isAccepted && (
+                              <>
+                                <span className="text-gray-400">•</span>
+                                <div
+                                  className="flex items-center bg-emerald-100 text-emerald-900 font-semibold"
+                                  style={{
+                                    gap: '0.25rem',
+                                    padding: '0.125rem 0.375rem',
+                                    borderRadius: '0.25rem',
+                                    fontSize: '0.6875rem',
+                                  }}
+                                >
+                                  <Award
+                                    style={{
+                                      width: '0.75rem',
+                                      height: '0.75rem',
+                                    }}
+                                  />
+                                  Accepted Answer
+                                </div>
+                              </>
+                            )}
+                            {response.endorsedAt && (
+                              <>
+                                <span className="text-gray-400">•</span>
+                                <EndorsedBadge post={response} compact />
+                              </>
+                            )}
+                            {response.hiddenAt && (
+                              <>
+                                <span className="text-gray-400">•</span>
+                                <div
+                                  className="flex items-center bg-gray-200 text-gray-800 font-semibold"
+                                  style={{
+                                    gap: '0.25rem',
+                                    padding: '0.125rem 0.375rem',
+                                    borderRadius: '0.25rem',
+                                    fontSize: '0.6875rem',
+                                  }}
+                                  title={
+                                    response.hiddenBy
+                                      ? 'Hidden from students by a moderator'
+                                      : 'Held for review by the content filter'
+                                  }
+                                >
+                                  <EyeOff
+                                    style={{
+                                      width: '0.75rem',
+                                      height: '0.75rem',
+                                    }}
+                                  />
+                                  {response.hiddenBy
+                                    ? 'Hidden'
+                                    : 'Held for review'}
+                                </div>
+                              </>
+                            )}
+                            {response.isHelpful && (
+                              <>
+                                <span className="text-gray-400">•</span>
+                                <div
+                                  className="flex items-center bg-yellow-100 text-yellow-900 font-semibold"
+                                  style={{
+                                    gap: '0.25rem',
+                                    padding: '0.125rem 0.375rem',
+                                    borderRadius: '0.25rem',
+                                    fontSize: '0.6875rem',
+                                  }}
+                                >
+                                  <Star
+                                    style={{
+                                      width: '0.75rem',
+                                      height: '0.75rem',
+                                    }}
+                                  />
+                                  Helpful
+                                </div>
+                              </>
+                            )}
+                          </div>
+
+                          {/* Right: Action buttons */}
+                          <div
+                            className="flex items-center"
+                            style={{ gap: '0.375rem' }}
+                          >
+                            {canJudgeResponses && (
+                              <button
+                                onClick={() =>
+                                  handleToggleAccepted(response._id, isAccepted)
+                                }
+                                className={`flex items-center font-semibold transition-colors ${
+                                  isAccepted
+                                    ? 'border border-emerald-400 bg-emerald-50 text-emerald-900 hover:bg-emerald-100'
+                                    : 'border border-gray-300 bg-white text-gray-700 hover:bg-gray-50'
+                                }`}
+                                style={{
+                                  gap: '0.25rem',
+                                  padding: '0.25rem 0.5rem',
+                                  borderRadius: '0.25rem',
+                                  fontSize: '0.6875rem',
+                                }}
+                              >
+                                <Award
+                                  style={{
+                                    width: '0.75rem',
+                                    height: '0.75rem',
+                                  }}
+                                />
+                                {isAccepted ? 'Accepted' : 'Accept Answer'}
+                              </button>
+                            )}
+                            {isCourseStaff && (
+                              <button
+                                onClick={() =>
+                                  handleToggleResponseEndorsed(
+                                    response._id,
+                                    !!response.endorsedAt
+                                  )
+                                }
+                                className={`flex items-center font-semibold transition-colors ${
+                                  response.endorsedAt
+                                    ? 'border border-teal-300 bg-teal-50 text-teal-900 hover:bg-teal-100'
+                                    : 'border border-gray-300 bg-white text-gray-700 hover:bg-gray-50'
+                                }`}
+                                style={{
+                                  gap: '0.25rem',
+                                  padding: '0.25rem 0.5rem',
+                                  borderRadius: '0.25rem',
+                                  fontSize: '0.6875rem',
+                                }}
+                                aria-pressed={!!response.endorsedAt}
+                              >
+                                <BadgeCheck
+                                  style={{
+                                    width: '0.75rem',
+                                    height: '0.75rem',
+                                  }}
+                                />
+                                {response.endorsedAt ? 'Endorsed' : 'Endorse'}
+                              </button>
+                            )}
+                            {canJudgeResponses && (
+                              <button
+                                onClick={() =>
+                                  handleToggleHelpful(
+                                    response._id,
+                                    response.isHelpful
+                                  )
+                                }
+                                className={`flex items-center font-semibold transition-colors ${
+                                  response.isHelpful
+                                    ? 'border border-yellow-300 bg-yellow-50 text-yellow-900 hover:bg-yellow-100'
+                                    : 'border border-gray-300 bg-white text-gray-700 hover:bg-gray-50'
+                                }`}
+                                style={{
+                                  gap: '0.25rem',
+                                  padding: '0.25rem 0.5rem',
+                                  borderRadius: '0.25rem',
+                                  fontSize: '0.6875rem',
+                                }}
+                              >
+                                <Star
+                                  style={{
+                                    width: '0.75rem',
+                                    height: '0.75rem',
+                                  }}
+                                />
+                                {response.isHelpful
+                                  ? 'Helpful'
+                                  : 'Mark Helpful'}
+                              </button>
+                            )}
+                            {user && !isResponsePoster && (
+                              <button
+                                onClick={() =>
+                                  setReportTarget({
+                                    type: 'response',
+                                    id: response._id,
+                                  })
+                                }
+                                className="flex items-center border border-gray-300 bg-white hover:bg-red-50 text-gray-600 hover:text-red-700 font-semibold transition-colors"
+                                style={{
+                                  gap: '0.25rem',
+                                  padding: '0.25rem 0.5rem',
+                                  borderRadius: '0.25rem',
+                                  fontSize: '0.6875rem',
+                                }}
+                                title="Report this response to the course staff"
+                              >
+                                <Flag
+                                  style={{
+                                    width: '0.75rem',
+                                    height: '0.75rem',
+                                  }}
+                                />
+                                Report
+                              </button>
+                            )}
+                            {canModerateResponse && (
+                              <>
+                                <button
+                                  onClick={() =>
+                                    setEditingResponseId(response._id)
+                                  }
+                                  className="flex items-center border border-gray-300 bg-white hover:bg-gray-100 text-gray-700 font-semibold transition-colors"
+                                  style={{
+                                    gap: '0.25rem',
+                                    padding: '0.25rem 0.5rem',
+                                    borderRadius: '0.25rem',
+                                    fontSize: '0.6875rem',
+                                  }}
+                                >
+                                  <Edit
+                                    style={{
+                                      width: '0.75rem',
+                                      height: '0.75rem',
+                                    }}
+                                  />
+                                  Edit
+                                </button>
+                                <button
+                                  onClick={() =>
+                                    setDeleteModal({
+                                      isOpen: true,
+                                      type: 'response',
+                                      id: response._id,
+                                    })
+                                  }
+                                  className="flex items-center border border-red-300 bg-red-50 hover:bg-red-100 text-red-800 font-semibold transition-colors"
+                                  style={{
+                                    gap: '0.25rem',
+                                    padding: '0.25rem 0.5rem',
+                                    borderRadius: '0.25rem',
+                                    fontSize: '0.6875rem',
+                                  }}
+                                >
+                                  <Trash2
+                                    style={{
+                                      width: '0.75rem',
+                                      height: '0.75rem',
+                                    }}
+                                  />
+                                  Delete
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        </div>
+
+                        <CommentThread
+                          targetType="response"
+                          targetId={response._id}
+                          comments={commentsOn('response', response._id)}
+                          canModerate={isCourseStaff}
+                          canPost={canPostInThread}
+                          revealedAuthors={revealedAuthors}
+                          onCommentSaved={saveComment}
+                          onDeleteComment={(commentId) =>
+                            setDeleteModal({
+                              isOpen: true,
+                              type: 'comment',
+                              id: commentId,
+                            })
+                          }
+                          onRevealAuthor={(commentId) =>
+                            setRevealTarget({ type: 'comment', id: commentId })
+                          }
+                        />
                       </div>
                     </div>
                   </div>
                 );
               })}
+              <LoadMoreSentinel
+                hasMore={Boolean(responsesCursor)}
+                loading={loadingMoreResponses}
+                onLoadMore={loadMoreResponses}
+                label="more responses"
+              />
             </div>
           )}
         </div>
@@ -821,13 +1639,69 @@ const QuestionDetail = () => {
             handleDeleteQuestion();
           } else if (deleteModal.type === 'response') {
             handleDeleteResponse(deleteModal.id);
+          } else if (deleteModal.type === 'comment') {
+            handleDeleteComment(deleteModal.id);
           }
         }}
         title={`Delete ${
-          deleteModal.type === 'question' ? 'Question' : 'Response'
+          deleteModal.type === 'question'
+            ? 'Question'
+            : deleteModal.type === 'comment'
+            ? 'Comment'
+            : 'Response'
         }?`}
-        message={`Are you sure you want to delete this ${deleteModal.type}? This action cannot be undone.`}
+        message={
+          deleteModal.type === 'comment'
+            ? 'Are you sure you want to delete this comment? This action cannot be undone.'
+            : `Are you sure you want to delete this ${deleteModal.type}? You can restore it from your Trash until it is permanently deleted.`
+        }
+      />
+
+      <RevisionHistoryModal
+        isOpen={historyTarget !== null}
+        onClose={() => setHistoryTarget(null)}
+        targetType={historyTarget?.type}
+        targetId={historyTarget?.id}
       />
+
+      {showDuplicateModal && (
+        <MarkDuplicateModal
+          question={question}
+          onClose={() => setShowDuplicateModal(false)}
+          onMarked={handleDuplicateMarked}
+        />
+      )}
+
+      {reportTarget && (
+        <ReportModal
+          targetType={reportTarget.type}
+          targetId={reportTarget.id}
+          onClose={() => setReportTarget(null)}
+        />
+      )}
+
+      {showMakePublicModal && (
+        <MakeQuestionPublicModal
+          questionId={questionId}
+          onMadePublic={handleMadePublic}
+          onClose={() => setShowMakePublicModal(false)}
+        />
+      )}
+
+      {revealTarget && (
+        <RevealAuthorModal
+          courseId={question.courseId}
+          targetType={revealTarget.type}
+          targetId={revealTarget.id}
+          onRevealed={(author) =>
+            setRevealedAuthors((current) => ({
+              ...current,
+              [revealTarget.id]: author,
+            }))
+          }
+          onClose={() => setRevealTarget(null)}
+        />
+      )}
     </div>
   );
 };
@@ -10,22 +10,36 @@ import { questionsApi, coursesApi } from '../api/api';
 import { Save, X, ChevronRight, AlertCircle } from 'lucide-react';
 import Header from './Header';
 import Spinner from './Spinner';
+import MarkdownEditor from './MarkdownEditor';
+import AttachmentPicker from './AttachmentPicker';
+import TagPicker from './TagPicker';
+import AnonymousAudiencePicker from './AnonymousAudiencePicker';
+import SimilarQuestions from './SimilarQuestions';
 
 const QuestionForm = ({ isEdit = false }) => {
   const { courseId, questionId } = useParams();
   const [title, setTitle] = useState('');
   const [content, setContent] = useState('');
+  const [tags, setTags] = useState([]);
+  const [courseTags, setCourseTags] = useState([]);
   const [isAnonymous, setIsAnonymous] = useState(false);
+  const [isAnonymousToStaff, setIsAnonymousToStaff] = useState(true);
+  const [isPrivate, setIsPrivate] = useState(false);
+  const [attachments, setAttachments] = useState([]);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [loading, setLoading] = useState(isEdit);
   const [errors, setErrors] = useState({});
   const [errorMessage, setErrorMessage] = useState('');
+  const [screeningReasons, setScreeningReasons] = useState([]);
   const [course, setCourse] = useState(null);
+  // The edit route has no courseId, so it comes from the question
+  const [questionCourseId, setQuestionCourseId] = useState(null);
   const navigate = useNavigate();
 
   useEffect(() => {
     if (courseId) {
       fetchCourse();
+      fetchCourseTags();
     }
     if (isEdit && questionId) {
       fetchQuestion();
@@ -42,12 +56,23 @@ const QuestionForm = ({ isEdit = false }) => {
     }
   };
 
+  const fetchCourseTags = async () => {
+    try {
+      const response = await coursesApi.getTags(courseId);
+      setCourseTags(response.data.tags || []);
+    } catch (error) {
+      console.error('Error fetching course tags:', error);
+    }
+  };
+
   const fetchQuestion = async () => {
     try {
       const response = await questionsApi.getQuestionById(questionId);
       const question = response.data.question;
       setTitle(question.title);
       setContent(question.content);
+      setTags(question.tags || []);
+      setQuestionCourseId(question.courseId);
       setIsAnonymous(question.isAnonymous);
     } catch (error) {
       console.error('Failed to load question:', error);
@@ -86,35 +111,63 @@ const QuestionForm = ({ isEdit = false }) => {
 
     setIsSubmitting(true);
     setErrorMessage('');
+    setScreeningReasons([]);
 
     try {
       if (isEdit) {
-        await questionsApi.updateQuestion(questionId, {
+        const response = await questionsApi.updateQuestion(questionId, {
           title: title.trim(),
           content: content.trim(),
+          tags,
         });
-        toast.success('Question updated successfully', {
-          autoClose: 3000,
-          onClick: () => navigate(`/questions/${questionId}`),
-        });
+        if (response.data.screening) {
+          toast.info(
+            'Your changes are held for review by the course staff. Others will see the question once it is approved.'
+          );
+        } else {
+          toast.success('Question updated successfully', {
+            autoClose: 3000,
+            onClick: () => navigate(`/questions/${questionId}`),
+          });
+        }
         setTimeout(() => navigate(`/questions/${questionId}`), 500);
       } else {
         const response = await questionsApi.createQuestion({
           courseId,
           title: title.trim(),
           content: content.trim(),
+          tags,
           isAnonymous,
+          ...(isAnonymous && { isAnonymousToStaff }),
+          visibility: isPrivate ? 'staff' : 'public',
+          attachmentIds: attachments.map((attachment) => attachment._id),
         });
         const newQuestionId = response.data.question._id;
-        toast.success('Question posted successfully', {
-          autoClose: 3000,
-          onClick: () => navigate(`/questions/${newQuestionId}`),
-        });
+        // A held question is only visible to its author and the course staff
+        if (response.data.screening) {
+          toast.info(
+            'Your question is held for review by the course staff. Others will see it once it is approved.'
+          );
+        } else {
+          toast.success(
+            isPrivate
+              ? 'Private question sent to the course staff'
+              : 'Question posted successfully',
+            {
+              autoClose: 3000,
+              onClick: () => navigate(`/questions/${newQuestionId}`),
+            }
+          );
+        }
         setTimeout(() => navigate(`/questions/${newQuestionId}`), 500);
       }
     } catch (error) {
-      const message = error.response?.data?.error || 'Failed to save question';
+      const message =
+        error.response?.data?.error ||
+        error.response?.data?.errors?.[0]?.msg ||
+        'Failed to save question';
       setErrorMessage(message);
+      setScreeningReasons(error.response?.data?.screening?.reasons || []);
       setIsSubmitting(false);
     }
   };
@@ -218,9 +271,25 @@ const QuestionForm = ({ isEdit = false }) => {
             <AlertCircle
               style={{ width: '1.25rem', height: '1.25rem', flexShrink: 0 }}
             />
-            <p style={{ fontSize: '0.875rem', fontWeight: 500 }}>
-              {errorMessage}
-            </p>
+            <div>
+              <p style={{ fontSize: '0.875rem', fontWeight: 500 }}>
+                {errorMessage}
+              </p>
+              {screeningReasons.length > 0 && (
+                <ul
+                  className="list-disc"
+                  style={{
+                    fontSize: '0.875rem',
+                    marginTop: '0.5rem',
+                    paddingLeft: '1.25rem',
+                  }}
+                >
+                  {screeningReasons.map((reason) => (
+                    <li key={reason}>{reason}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
           </div>
         )}
 
@@ -279,6 +348,15 @@ const QuestionForm = ({ isEdit = false }) => {
                 {errors.title}
               </p>
             )}
+            {(courseId || questionCourseId) && (
+              <SimilarQuestions
+                courseId={courseId || questionCourseId}
+                query={title}
+                excludeId={isEdit ? questionId : undefined}
+                heading="Has this been asked already?"
+                description="These questions look similar. One of them may already have your answer."
+              />
+            )}
           </div>
 
           {/* Content Field */}
@@ -303,25 +381,27 @@ const QuestionForm = ({ isEdit = false }) => {
                 {content.length}/2000
               </span>
             </div>
-            <textarea
-              id="content"
-              value={content}
-              onChange={(e) => setContent(e.target.value)}
-              placeholder="Provide detailed information about your question. Include any code snippets, error messages, or specific areas where you're stuck..."
-              rows={4}
-              className={`w-full border focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all resize-y ${
-                errors.content
-                  ? 'border-red-500'
-                  : 'border-gray-200 hover:border-gray-300'
-              }`}
-              style={{
-                padding: '0.875rem 1.25rem',
-                borderRadius: '0.75rem',
-                fontSize: '1rem',
-                lineHeight: '1.6',
-              }}
-              disabled={isSubmitting}
-            />
+            <MarkdownEditor content={content}>
+              <textarea
+                id="content"
+                value={content}
+                onChange={(e) => setContent(e.target.value)}
+                placeholder="Provide detailed information about your question. Include any code snippets, error messages, or specific areas where you're stuck..."
+                rows={4}
+                className={`w-full border focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all resize-y ${
+                  errors.content
+                    ? 'border-red-500'
+                    : 'border-gray-200 hover:border-gray-300'
+                }`}
+                style={{
+                  padding: '0.875rem 1.25rem',
+                  borderRadius: '0.75rem',
+                  fontSize: '1rem',
+                  lineHeight: '1.6',
+                }}
+                disabled={isSubmitting}
+              />
+            </MarkdownEditor>
             {errors.content && (
               <p
                 className="text-red-600 font-medium"
@@ -333,6 +413,81 @@ const QuestionForm = ({ isEdit = false }) => {
             )}
           </div>
 
+          {/* Tags */}
+          <div style={{ marginBottom: '2rem' }}>
+            <label
+              htmlFor="tags"
+              className="block font-semibold text-gray-900"
+              style={{ fontSize: '1rem', marginBottom: '0.75rem' }}
+            >
+              Tags
+            </label>
+            <TagPicker
+              id="tags"
+              tags={tags}
+              onChange={setTags}
+              suggestions={courseTags}
+              disabled={isSubmitting}
+              placeholder="e.g., recursion"
+            />
+          </div>
+
+          {/* Attachments (only for new questions) */}
+          {!isEdit && (
+            <div style={{ marginBottom: '2rem' }}>
+              <AttachmentPicker
+                courseId={courseId}
+                attachments={attachments}
+                onChange={setAttachments}
+                disabled={isSubmitting}
+              />
+            </div>
+          )}
+
+          {/* Private Toggle (only for new questions) */}
+          {!isEdit && (
+            <div
+              className="bg-gradient-to-r from-teal-50 to-emerald-50 border border-teal-100"
+              style={{
+                marginBottom: '1rem',
+                padding: '1.25rem',
+                borderRadius: '0.75rem',
+              }}
+            >
+              <label
+                className="flex items-start cursor-pointer"
+                style={{ gap: '1rem' }}
+              >
+                <input
+                  type="checkbox"
+                  checked={isPrivate}
+                  onChange={(e) => setIsPrivate(e.target.checked)}
+                  className="text-teal-600 border-gray-300 focus:ring-2 focus:ring-teal-500 flex-shrink-0"
+                  style={{
+                    width: '1.25rem',
+                    height: '1.25rem',
+                    borderRadius: '0.25rem',
+                    marginTop: '0.125rem',
+                  }}
+                  disabled={isSubmitting}
+                />
+                <div>
+                  <span
+                    className="font-semibold text-gray-900 block"
+                    style={{ fontSize: '1rem', marginBottom: '0.25rem' }}
+                  >
+                    Private to course staff
+                  </span>
+                  <p className="text-gray-600" style={{ fontSize: '0.875rem' }}>
+                    Only instructors and TAs will see it. Use this for graded
+                    code or personal circumstances. Staff may later share it
+                    with the class, optionally without your name.
+                  </p>
+                </div>
+              </label>
+            </div>
+          )}
+
           {/* Anonymous Toggle (only for new questions) */}
           {!isEdit && (
             <div
@@ -368,11 +523,21 @@ const QuestionForm = ({ isEdit = false }) => {
                     Post anonymously
                   </span>
                   <p className="text-gray-600" style={{ fontSize: '0.875rem' }}>
-                    Your identity will be hidden from others. Only you will know
-                    who posted this question.
+                    Others will see a pseudonym such as &ldquo;Anonymous
+                    Owl&rdquo; instead of your name.
                   </p>
                 </div>
               </label>
+              {isAnonymous && (
+                <div style={{ paddingLeft: '2.25rem' }}>
+                  <AnonymousAudiencePicker
+                    name="question-anonymous-audience"
+                    value={isAnonymousToStaff}
+                    onChange={setIsAnonymousToStaff}
+                    disabled={isSubmitting}
+                  />
+                </div>
+              )}
             </div>
           )}
 
@@ -3,10 +3,16 @@
  * Shows all questions for a specific course
  */
 
-import { useState, useEffect } from 'react';
-import { useNavigate, useParams, Link } from 'react-router-dom';
-import { questionsApi, coursesApi } from '../api/api';
+import { useState, useEffect, useRef } from 'react';
+import {
+  useNavigate,
+  useParams,
+  useSearchParams,
+  Link,
+} from 'react-router-dom';
+import { questionsApi, coursesApi, searchApi } from '../api/api';
 import { formatDistanceToNow } from 'date-fns';
+import { toast } from 'react-toastify';
 import {
   MessageSquarePlus,
   CheckCircle,
@@ -15,36 +21,105 @@ import {
   Search,
   X,
   RotateCcw,
+  Users,
+  ShieldAlert,
+  ChevronLeft,
+  ChevronUp,
+  BadgeCheck,
+  ShieldCheck,
 } from 'lucide-react';
 import Header from './Header';
 import Spinner from './Spinner';
+import HighlightedText from './HighlightedText';
+import LoadMoreSentinel from './LoadMoreSentinel';
+import TagCloud from './TagCloud';
+import TagList from './TagList';
+import {
+  useRealtimeTopic,
+  useRealtimeEvent,
+  useRealtimeFallback,
+} from '../context/RealtimeContext';
+
+// Wait for typing to pause before searching
+const SEARCH_DEBOUNCE_MS = 300;
 
 const QuestionsList = () => {
   const { courseId } = useParams();
   const [questions, setQuestions] = useState([]);
-  const [allQuestions, setAllQuestions] = useState([]); // Store all questions for search
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const latestListRef = useRef(0); // Drops pages from a superseded sort or filter
   const [course, setCourse] = useState(null);
+  const [courseTags, setCourseTags] = useState([]);
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Tag filter lives in the URL (?tags=a,b) so tag links can open it
+  const tagsParam = searchParams.get('tags') || '';
+  const selectedTags = tagsParam ? tagsParam.split(',') : [];
   const [sortOption, setSortOption] = useState('newest');
   const [filterOption, setFilterOption] = useState('all'); // all, answered, unanswered
+  const [endorsedOnly, setEndorsedOnly] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null); // null when not searching
+  const [searchPage, setSearchPage] = useState(1);
+  const [searchTotal, setSearchTotal] = useState(0);
+  const [searchTotalPages, setSearchTotalPages] = useState(0);
+  const [isSearching, setIsSearching] = useState(false);
+  const latestSearchRef = useRef(0); // Drops results from superseded searches
   const [loading, setLoading] = useState(true);
   const navigate = useNavigate();
 
+  const isSearchActive = searchQuery.trim() !== '';
+  const displayedQuestions = isSearchActive ? searchResults || [] : questions;
+
   // Check if filters are in default state
   const isDefaultView =
-    filterOption === 'all' && searchQuery === '' && sortOption === 'newest';
+    filterOption === 'all' &&
+    !endorsedOnly &&
+    searchQuery === '' &&
+    sortOption === 'newest' &&
+    selectedTags.length === 0;
 
   useEffect(() => {
     fetchCourse();
+    fetchCourseTags();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [courseId]);
+
+  // The server filters and sorts; start again from the first page on change
+  useEffect(() => {
     fetchQuestions();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [courseId, sortOption]);
+  }, [courseId, sortOption, filterOption, endorsedOnly, tagsParam]);
 
-  // Apply filter and search whenever they change
+  // Start again from the first page when the search changes
   useEffect(() => {
-    applyFilterAndSearch();
+    setSearchPage(1);
+  }, [courseId, searchQuery, filterOption, endorsedOnly, tagsParam]);
+
+  // Search the server once typing pauses
+  useEffect(() => {
+    const searchId = ++latestSearchRef.current;
+    if (!isSearchActive) {
+      setSearchResults(null);
+      setIsSearching(false);
+      return;
+    }
+
+    setIsSearching(true);
+    const timer = setTimeout(() => {
+      runSearch(searchId);
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [filterOption, searchQuery, allQuestions]);
+  }, [
+    courseId,
+    searchQuery,
+    filterOption,
+    endorsedOnly,
+    tagsParam,
+    searchPage,
+  ]);
 
   const fetchCourse = async () => {
     try {
@@ -55,46 +130,153 @@ const QuestionsList = () => {
     }
   };
 
+  const fetchCourseTags = async () => {
+    try {
+      const response = await coursesApi.getTags(courseId);
+      setCourseTags(response.data.tags || []);
+    } catch (error) {
+      console.error('Error fetching course tags:', error);
+    }
+  };
+
   const fetchQuestions = async () => {
+    const listId = ++latestListRef.current;
     try {
       // Only show loading spinner on initial load, not during sort changes
-      if (allQuestions.length === 0) {
+      if (questions.length === 0) {
         setLoading(true);
       }
       const response = await questionsApi.getQuestionsByCourse(
         courseId,
-        sortOption
+        sortOption,
+        { status: filterOption, tags: selectedTags, endorsed: endorsedOnly }
       );
-      const fetchedQuestions = response.data.questions || [];
-      setAllQuestions(fetchedQuestions);
+      if (listId !== latestListRef.current) {
+        return;
+      }
+      setQuestions(response.data.questions || []);
+      setNextCursor(response.data.nextCursor);
     } catch (error) {
       console.error('Error fetching questions:', error);
+      // Non-members are sent back to their course list
+      if (error.response?.status === 403) {
+        toast.error(error.response.data?.error);
+        navigate('/courses');
+      }
     } finally {
       setLoading(false);
+      setLoadingMore(false);
     }
   };
 
-  const applyFilterAndSearch = () => {
-    let filtered = [...allQuestions];
+  const loadMoreQuestions = async () => {
+    if (!nextCursor || loadingMore) {
+      return;
+    }
+
+    const listId = latestListRef.current;
+    setLoadingMore(true);
+    try {
+      const response = await questionsApi.getQuestionsByCourse(
+        courseId,
+        sortOption,
+        {
+          status: filterOption,
+          tags: selectedTags,
+          endorsed: endorsedOnly,
+          cursor: nextCursor,
+        }
+      );
+      if (listId !== latestListRef.current) {
+        return;
+      }
+      setQuestions((prevQuestions) => [
+        ...prevQuestions,
+        ...(response.data.questions || []),
+      ]);
+      setNextCursor(response.data.nextCursor);
+    } catch (error) {
+      console.error('Error loading more questions:', error);
+    } finally {
+      if (listId === latestListRef.current) {
+        setLoadingMore(false);
+      }
+    }
+  };
 
-    // Apply filter
-    if (filterOption === 'answered') {
-      filtered = filtered.filter((q) => q.isResolved);
-    } else if (filterOption === 'unanswered') {
-      filtered = filtered.filter((q) => !q.isResolved);
+  // Adds questions posted since the list loaded where the current view
+  // would show them
+  const mergeNewQuestions = (newQuestions) => {
+    // New questions are unresolved and not yet endorsed
+    if (filterOption === 'answered' || endorsedOnly) {
+      return;
     }
 
-    // Apply search
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase();
-      filtered = filtered.filter(
+    setQuestions((prevQuestions) => {
+      const shownIds = new Set(prevQuestions.map((q) => q._id));
+      const unseen = newQuestions.filter(
         (q) =>
-          q.title.toLowerCase().includes(query) ||
-          q.content.toLowerCase().includes(query)
+          !shownIds.has(q._id) &&
+          selectedTags.every((tag) => (q.tags || []).includes(tag))
       );
+      if (unseen.length === 0) {
+        return prevQuestions;
+      }
+      if (sortOption === 'newest') {
+        return [...unseen, ...prevQuestions];
+      }
+      // Oldest first or top voted: a new question belongs after the last
+      // page, once it has loaded
+      return nextCursor ? prevQuestions : [...prevQuestions, ...unseen];
+    });
+  };
+
+  // New questions are pushed; poll the newest page while the stream is down
+  useRealtimeTopic({ courseId });
+  useRealtimeEvent('question_created', (question) => {
+    mergeNewQuestions([question]);
+  });
+  useRealtimeFallback(async () => {
+    try {
+      const response = await questionsApi.getQuestionsByCourse(
+        courseId,
+        'newest',
+        { status: filterOption, tags: selectedTags, endorsed: endorsedOnly }
+      );
+      mergeNewQuestions(response.data.questions || []);
+    } catch (error) {
+      console.error('Error checking for new questions:', error);
     }
+  });
 
-    setQuestions(filtered);
+  const runSearch = async (searchId) => {
+    try {
+      const response = await searchApi.searchCourse(
+        courseId,
+        searchQuery.trim(),
+        {
+          status: filterOption,
+          tags: selectedTags,
+          endorsed: endorsedOnly,
+          page: searchPage,
+        }
+      );
+      if (searchId !== latestSearchRef.current) {
+        return;
+      }
+      setSearchResults(response.data.results || []);
+      setSearchTotal(response.data.total);
+      setSearchTotalPages(response.data.totalPages);
+    } catch (error) {
+      if (searchId !== latestSearchRef.current) {
+        return;
+      }
+      console.error('Error searching questions:', error);
+      setSearchResults([]);
+      setSearchTotal(0);
+      setSearchTotalPages(0);
+    }
+    setIsSearching(false);
   };
 
   const clearSearch = () => {
@@ -113,10 +295,40 @@ const QuestionsList = () => {
     setFilterOption(filter);
   };
 
+  const setSelectedTags = (tags) => {
+    setSearchParams(
+      (params) => {
+        const nextParams = new URLSearchParams(params);
+        if (tags.length > 0) {
+          nextParams.set('tags', tags.join(','));
+        } else {
+          nextParams.delete('tags');
+        }
+        return nextParams;
+      },
+      { replace: true }
+    );
+  };
+
+  const handleTagToggle = (tag) => {
+    setSelectedTags(
+      selectedTags.includes(tag)
+        ? selectedTags.filter((t) => t !== tag)
+        : [...selectedTags, tag]
+    );
+  };
+
+  const handleSearchPageChange = (page) => {
+    setSearchPage(page);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
   const handleReset = () => {
     setFilterOption('all');
+    setEndorsedOnly(false);
     setSearchQuery('');
     setSortOption('newest');
+    setSelectedTags([]);
   };
 
   return (
@@ -172,27 +384,69 @@ const QuestionsList = () => {
               className="text-gray-600 text-base sm:text-lg"
               style={{ marginTop: '0.5rem' }}
             >
-              {questions.length}{' '}
-              {questions.length === 1 ? 'question' : 'questions'}
+              {isSearchActive
+                ? `${searchTotal} ${searchTotal === 1 ? 'result' : 'results'}`
+                : `${questions.length}${nextCursor ? '+' : ''} ${
+                    questions.length === 1 && !nextCursor
+                      ? 'question'
+                      : 'questions'
+                  }`}
             </p>
           </div>
 
-          <button
-            onClick={() => navigate(`/courses/${courseId}/questions/new`)}
-            className="inline-flex items-center flex-shrink-0 whitespace-nowrap bg-gradient-to-r from-teal-600 to-emerald-600 hover:from-teal-700 hover:to-emerald-700 text-white font-semibold shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 transition-all"
-            style={{
-              gap: '0.5rem',
-              padding: '1rem 1.5rem',
-              borderRadius: '0.75rem',
-              fontSize: '1rem',
-            }}
-            aria-label="Post a new question"
+          <div
+            className="flex items-center flex-shrink-0"
+            style={{ gap: '0.75rem' }}
           >
-            <MessageSquarePlus
-              style={{ width: '1.25rem', height: '1.25rem' }}
-            />
-            Post Question
-          </button>
+            {['instructor', 'ta', 'admin'].includes(course?.courseRole) && (
+              <>
+                <Link
+                  to={`/courses/${courseId}/moderation`}
+                  className="inline-flex items-center whitespace-nowrap border-2 border-teal-600 text-teal-700 hover:bg-teal-50 font-semibold transition-colors"
+                  style={{
+                    gap: '0.5rem',
+                    padding: '0.875rem 1.25rem',
+                    borderRadius: '0.75rem',
+                    fontSize: '1rem',
+                  }}
+                >
+                  <ShieldAlert
+                    style={{ width: '1.25rem', height: '1.25rem' }}
+                  />
+                  Moderation
+                </Link>
+                <Link
+                  to={`/courses/${courseId}/roster`}
+                  className="inline-flex items-center whitespace-nowrap border-2 border-teal-600 text-teal-700 hover:bg-teal-50 font-semibold transition-colors"
+                  style={{
+                    gap: '0.5rem',
+                    padding: '0.875rem 1.25rem',
+                    borderRadius: '0.75rem',
+                    fontSize: '1rem',
+                  }}
+                >
+                  <Users style={{ width: '1.25rem', height: '1.25rem' }} />
+                  Manage Roster
+                </Link>
+              </>
+            )}
+            <button
+              onClick={() => navigate(`/courses/${courseId}/questions/new`)}
+              className="inline-flex items-center flex-shrink-0 whitespace-nowrap bg-gradient-to-r from-teal-600 to-emerald-600 hover:from-teal-700 hover:to-emerald-700 text-white font-semibold shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 transition-all"
+              style={{
+                gap: '0.5rem',
+                padding: '1rem 1.5rem',
+                borderRadius: '0.75rem',
+                fontSize: '1rem',
+              }}
+              aria-label="Post a new question"
+            >
+              <MessageSquarePlus
+                style={{ width: '1.25rem', height: '1.25rem' }}
+              />
+              Post Question
+            </button>
+          </div>
         </div>
 
         {/* Compact Filter/Search/Sort Bar */}
@@ -258,6 +512,26 @@ const QuestionsList = () => {
               >
                 Answered
               </button>
+              <button
+                onClick={() => setEndorsedOnly(!endorsedOnly)}
+                aria-pressed={endorsedOnly}
+                title="Questions endorsed by course staff, or with an endorsed answer"
+                className={`flex items-center font-semibold transition-all ${
+                  endorsedOnly
+                    ? 'bg-gradient-to-r from-teal-600 to-emerald-600 text-white shadow-md'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+                style={{
+                  gap: '0.25rem',
+                  padding: '0.5rem 1rem',
+                  borderRadius: '0.5rem',
+                  fontSize: '0.8125rem',
+                  whiteSpace: 'nowrap',
+                }}
+              >
+                <BadgeCheck style={{ width: '0.875rem', height: '0.875rem' }} />
+                Endorsed
+              </button>
             </div>
 
             {/* Search Bar */}
@@ -319,7 +593,13 @@ const QuestionsList = () => {
                   id="sort"
                   value={sortOption}
                   onChange={handleSortChange}
-                  className="border-2 border-gray-300 bg-gray-50 hover:bg-gray-100 focus:ring-2 focus:ring-teal-500 font-medium transition-colors"
+                  disabled={isSearchActive}
+                  title={
+                    isSearchActive
+                      ? 'Search results are sorted by relevance'
+                      : undefined
+                  }
+                  className="border-2 border-gray-300 bg-gray-50 hover:bg-gray-100 focus:ring-2 focus:ring-teal-500 font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                   style={{
                     padding: '0.5rem 0.75rem',
                     borderRadius: '0.5rem',
@@ -328,6 +608,7 @@ const QuestionsList = () => {
                 >
                   <option value="newest">Newest First</option>
                   <option value="oldest">Oldest First</option>
+                  <option value="top">Top Voted</option>
                 </select>
               </div>
 
@@ -356,6 +637,16 @@ const QuestionsList = () => {
           </div>
         </div>
 
+        {/* Tag Cloud */}
+        <TagCloud
+          courseId={courseId}
+          tags={courseTags}
+          selectedTags={selectedTags}
+          onToggle={handleTagToggle}
+          canCurate={['instructor', 'admin'].includes(course?.courseRole)}
+          onCuratedChange={fetchCourseTags}
+        />
+
         {/* Questions List */}
         {loading ? (
           <div
@@ -364,7 +655,14 @@ const QuestionsList = () => {
           >
             <Spinner size="lg" text="Loading questions..." />
           </div>
-        ) : questions.length === 0 ? (
+        ) : isSearchActive && searchResults === null ? (
+          <div
+            className="flex justify-center"
+            style={{ paddingTop: '4rem', paddingBottom: '4rem' }}
+          >
+            <Spinner size="lg" text="Searching..." />
+          </div>
+        ) : displayedQuestions.length === 0 ? (
           <div className="empty-state">
             <div
               className="bg-white shadow-lg mx-auto"
@@ -386,10 +684,18 @@ const QuestionsList = () => {
                 className="font-semibold text-gray-900"
                 style={{ fontSize: '1.25rem', marginBottom: '0.5rem' }}
               >
-                No questions yet
+                {isSearchActive || selectedTags.length > 0 || endorsedOnly
+                  ? 'No matching questions'
+                  : 'No questions yet'}
               </h2>
               <p className="text-gray-600" style={{ marginBottom: '1.5rem' }}>
-                Be the first to ask a question in this course!
+                {isSearchActive
+                  ? 'Try different keywords, or ask it yourself!'
+                  : selectedTags.length > 0
+                  ? 'No questions have all of the selected tags yet.'
+                  : endorsedOnly
+                  ? 'Course staff have not endorsed any questions or answers yet.'
+                  : 'Be the first to ask a question in this course!'}
               </p>
               <button
                 onClick={() => navigate(`/courses/${courseId}/questions/new`)}
@@ -409,9 +715,15 @@ const QuestionsList = () => {
           </div>
         ) : (
           <div
-            style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}
+            style={{
+              display: 'flex',
+              flexDirection: 'column',
+              gap: '0.5rem',
+              opacity: isSearching ? 0.6 : 1,
+            }}
+            aria-busy={isSearching}
           >
-            {questions.map((question) => (
+            {displayedQuestions.map((question) => (
               <div
                 key={question._id}
                 onClick={() => navigate(`/questions/${question._id}`)}
@@ -440,7 +752,13 @@ const QuestionsList = () => {
                         className="font-bold text-gray-900 group-hover:text-teal-600 transition-colors line-clamp-1"
                         style={{ fontSize: '1rem' }}
                       >
-                        {question.title}
+                        {question.highlights ? (
+                          <HighlightedText
+                            segments={question.highlights.title}
+                          />
+                        ) : (
+                          question.title
+                        )}
                       </h2>
                       {/* Resolved Badge */}
                       {question.isResolved && (
@@ -461,13 +779,93 @@ const QuestionsList = () => {
                           </div>
                         </div>
                       )}
+                      {/* Endorsed Badge */}
+                      {(question.endorsedAt ||
+                        question.hasEndorsedResponse) && (
+                        <div className="flex-shrink-0">
+                          <div
+                            className="flex items-center bg-teal-100 text-teal-900 font-semibold"
+                            style={{
+                              gap: '0.25rem',
+                              padding: '0.125rem 0.5rem',
+                              borderRadius: '0.375rem',
+                              fontSize: '0.75rem',
+                            }}
+                            title={
+                              question.endorsedAt
+                                ? 'Endorsed by course staff'
+                                : 'Has an answer endorsed by course staff'
+                            }
+                          >
+                            <BadgeCheck
+                              style={{ width: '0.875rem', height: '0.875rem' }}
+                            />
+                            Endorsed
+                          </div>
+                        </div>
+                      )}
+                      {/* Private Badge */}
+                      {question.visibility === 'staff' && (
+                        <div className="flex-shrink-0">
+                          <div
+                            className="flex items-center bg-gray-100 text-gray-700 font-semibold"
+                            style={{
+                              gap: '0.25rem',
+                              padding: '0.125rem 0.5rem',
+                              borderRadius: '0.375rem',
+                              fontSize: '0.75rem',
+                            }}
+                            title="Only the poster and course staff can see this question"
+                          >
+                            <ShieldCheck
+                              style={{ width: '0.875rem', height: '0.875rem' }}
+                            />
+                            Private
+                          </div>
+                        </div>
+                      )}
                     </div>
                     <p
                       className="text-gray-600 line-clamp-1 leading-normal"
                       style={{ fontSize: '0.875rem' }}
                     >
-                      {question.content}
+                      {question.highlights ? (
+                        <HighlightedText
+                          segments={question.highlights.content}
+                        />
+                      ) : (
+                        question.content
+                      )}
                     </p>
+                    {/* Matching answers (search results only) */}
+                    {question.highlights?.responses.length > 0 && (
+                      <p
+                        className="text-gray-600 line-clamp-1 leading-normal border-l-2 border-teal-300"
+                        style={{
+                          fontSize: '0.8125rem',
+                          marginTop: '0.375rem',
+                          paddingLeft: '0.5rem',
+                        }}
+                      >
+                        <span className="font-semibold text-teal-700">
+                          {question.matchedResponseCount === 1
+                            ? 'Answer: '
+                            : `${question.matchedResponseCount} answers match: `}
+                        </span>
+                        <HighlightedText
+                          segments={question.highlights.responses[0].snippet}
+                        />
+                      </p>
+                    )}
+                    {question.tags?.length > 0 && (
+                      <div style={{ marginTop: '0.5rem' }}>
+                        <TagList
+                          tags={question.tags}
+                          selectedTags={selectedTags}
+                          onSelect={handleTagToggle}
+                        />
+                      </div>
+                    )}
                   </div>
                 </div>
 
@@ -500,9 +898,7 @@ const QuestionsList = () => {
                       </span>
                     </div>
                     <span className="font-medium text-gray-700">
-                      {question.isAnonymous
-                        ? 'Anonymous'
-                        : question.posterName || 'Unknown'}
+                      {question.posterName || 'Unknown'}
                     </span>
                   </div>
                   <span className="text-gray-400">•</span>
@@ -511,6 +907,23 @@ const QuestionsList = () => {
                       addSuffix: true,
                     })}
                   </span>
+                  {Boolean(question.score) && (
+                    <>
+                      <span className="text-gray-400">•</span>
+                      <span
+                        className={`flex items-center font-medium ${
+                          question.score > 0 ? 'text-teal-600' : 'text-rose-600'
+                        }`}
+                        style={{ gap: '0.125rem' }}
+                        title="Votes"
+                      >
+                        <ChevronUp
+                          style={{ width: '0.875rem', height: '0.875rem' }}
+                        />
+                        {question.score}
+                      </span>
+                    </>
+                  )}
                   {question.responseCount > 0 && (
                     <>
                       <span className="text-gray-400">•</span>
@@ -530,6 +943,57 @@ const QuestionsList = () => {
             ))}
           </div>
         )}
+
+        {/* Infinite Scroll */}
+        {!loading && !isSearchActive && (
+          <LoadMoreSentinel
+            hasMore={Boolean(nextCursor)}
+            loading={loadingMore}
+            onLoadMore={loadMoreQuestions}
+            label="more questions"
+          />
+        )}
+
+        {/* Search Pagination */}
+        {isSearchActive && searchTotalPages > 1 && (
+          <nav
+            aria-label="Search results pages"
+            className="flex items-center justify-center"
+            style={{ gap: '0.75rem', marginTop: '1.5rem' }}
+          >
+            <button
+              onClick={() => handleSearchPageChange(searchPage - 1)}
+              disabled={searchPage <= 1 || isSearching}
+              className="inline-flex items-center border border-gray-300 bg-white hover:bg-gray-100 text-gray-700 font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{
+                gap: '0.25rem',
+                padding: '0.5rem 0.875rem',
+                borderRadius: '0.5rem',
+                fontSize: '0.875rem',
+              }}
+            >
+              <ChevronLeft style={{ width: '1rem', height: '1rem' }} />
+              Previous
+            </button>
+            <span className="text-gray-600" style={{ fontSize: '0.875rem' }}>
+              Page {searchPage} of {searchTotalPages}
+            </span>
+            <button
+              onClick={() => handleSearchPageChange(searchPage + 1)}
+              disabled={searchPage >= searchTotalPages || isSearching}
+              className="inline-flex items-center border border-gray-300 bg-white hover:bg-gray-100 text-gray-700 font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{
+                gap: '0.25rem',
+                padding: '0.5rem 0.875rem',
+                borderRadius: '0.5rem',
+                fontSize: '0.875rem',
+              }}
+            >
+              Next
+              <ChevronRight style={{ width: '1rem', height: '1rem' }} />
+            </button>
+          </nav>
+        )}
       </main>
     </div>
   );
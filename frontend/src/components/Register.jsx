@@ -0,0 +1,445 @@
+/**
+ * Register Component
+ * Self-registration form for new Stevens students
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../context/AuthContext';
+import { authApi } from '../api/api';
+import { UserPlus, Users, AlertCircle, MailCheck } from 'lucide-react';
+
+const inputClassName =
+  'w-full border border-gray-300 bg-gray-50 hover:bg-white focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all';
+
+const inputStyle = {
+  padding: '0.75rem 1rem',
+  borderRadius: '0.5rem',
+  fontSize: '1rem',
+};
+
+const labelStyle = { fontSize: '0.875rem', marginBottom: '0.5rem' };
+
+const Register = () => {
+  const [form, setForm] = useState({
+    firstName: '',
+    lastName: '',
+    email: '',
+    major: '',
+    age: '',
+    password: '',
+    confirmPassword: '',
+  });
+  const [isLoading, setIsLoading] = useState(false);
+  const [isResending, setIsResending] = useState(false);
+  const [error, setError] = useState('');
+  const [registeredEmail, setRegisteredEmail] = useState('');
+  const { isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+
+  // Redirect if already logged in
+  useEffect(() => {
+    if (isAuthenticated) {
+      navigate('/courses');
+    }
+  }, [isAuthenticated, navigate]);
+
+  const handleChange = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+  };
+
+  const validateForm = () => {
+    if (!form.firstName.trim() || !form.lastName.trim()) {
+      return 'Please enter your first and last name';
+    }
+    if (!form.email.toLowerCase().endsWith('@stevens.edu')) {
+      return 'Please use your Stevens email address';
+    }
+    if (!form.major.trim()) {
+      return 'Please enter your major';
+    }
+    const age = Number(form.age);
+    if (!Number.isInteger(age) || age < 17 || age > 25) {
+      return 'Age must be between 17 and 25';
+    }
+    if (form.password.length < 8) {
+      return 'Password must be at least 8 characters';
+    }
+    if (form.password !== form.confirmPassword) {
+      return 'Passwords do not match';
+    }
+    return '';
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const validationError = validateForm();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      await authApi.register({
+        firstName: form.firstName.trim(),
+        lastName: form.lastName.trim(),
+        universityEmail: form.email.trim(),
+        major: form.major.trim(),
+        age: Number(form.age),
+        password: form.password,
+      });
+      setRegisteredEmail(form.email.trim());
+    } catch (err) {
+      console.error('Registration error:', err);
+      if (err.response) {
+        setError(
+          err.response.data?.error ||
+            err.response.data?.errors?.[0]?.msg ||
+            'Registration failed. Please check your details.'
+        );
+      } else {
+        setError('Cannot connect to server. Please try again.');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleResend = async () => {
+    setIsResending(true);
+    try {
+      await authApi.resendVerification(registeredEmail);
+      toast.success('Verification email sent');
+    } catch (_error) {
+      toast.error('Failed to resend verification email');
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  return (
+    <div
+      className="min-h-screen bg-gradient-to-br from-teal-50 via-emerald-50 to-teal-100 flex items-center justify-center"
+      style={{ padding: '2rem 1rem' }}
+    >
+      <div className="w-full" style={{ maxWidth: '32rem' }}>
+        {/* Hero Section */}
+        <div className="text-center" style={{ marginBottom: '2rem' }}>
+          <div
+            className="inline-flex items-center justify-center bg-gradient-to-br from-teal-600 to-emerald-600 shadow-lg"
+            style={{
+              width: '4rem',
+              height: '4rem',
+              borderRadius: '1rem',
+              marginBottom: '1rem',
+            }}
+          >
+            <Users
+              style={{ width: '2rem', height: '2rem' }}
+              className="text-white"
+              aria-hidden="true"
+            />
+          </div>
+          <h1
+            className="font-bold bg-gradient-to-r from-teal-600 to-emerald-600 bg-clip-text text-transparent"
+            style={{ fontSize: '2rem', lineHeight: '1.2' }}
+          >
+            Join Peer-Tutor Connect
+          </h1>
+        </div>
+
+        <div
+          className="bg-white shadow-2xl border border-gray-100"
+          style={{ borderRadius: '1rem', padding: '2.5rem' }}
+        >
+          {registeredEmail ? (
+            /* Check Email State */
+            <div className="text-center">
+              <MailCheck
+                className="text-teal-600 mx-auto"
+                style={{ width: '3rem', height: '3rem', marginBottom: '1rem' }}
+                aria-hidden="true"
+              />
+              <h2
+                className="font-semibold text-gray-900"
+                style={{ fontSize: '1.5rem', marginBottom: '0.75rem' }}
+              >
+                Check your email
+              </h2>
+              <p className="text-gray-600" style={{ marginBottom: '1.5rem' }}>
+                We sent a verification link to{' '}
+                <span className="font-semibold">{registeredEmail}</span>. Open
+                it to activate your account, then sign in.
+              </p>
+              <div
+                className="flex flex-col items-center"
+                style={{ gap: '0.75rem' }}
+              >
+                <Link
+                  to="/"
+                  className="w-full bg-gradient-to-r from-teal-600 to-emerald-600 hover:from-teal-700 hover:to-emerald-700 text-white font-semibold shadow-lg transition-all"
+                  style={{ padding: '0.875rem', borderRadius: '0.75rem' }}
+                >
+                  Go to Sign In
+                </Link>
+                <button
+                  type="button"
+                  onClick={handleResend}
+                  disabled={isResending}
+                  className="text-teal-700 hover:text-teal-800 hover:underline font-medium disabled:opacity-50"
+                  style={{ fontSize: '0.875rem' }}
+                >
+                  {isResending ? 'Sending...' : 'Resend verification email'}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              <h2
+                className="font-semibold text-gray-900 text-center"
+                style={{ fontSize: '1.5rem', marginBottom: '2rem' }}
+              >
+                Create Your Account
+              </h2>
+
+              <form
+                onSubmit={handleSubmit}
+                style={{
+                  display: 'flex',
+                  flexDirection: 'column',
+                  gap: '1.25rem',
+                }}
+              >
+                {/* Name Inputs */}
+                <div className="grid grid-cols-2" style={{ gap: '1rem' }}>
+                  <div>
+                    <label
+                      htmlFor="firstName"
+                      className="block text-gray-700 font-medium"
+                      style={labelStyle}
+                    >
+                      First Name
+                    </label>
+                    <input
+                      id="firstName"
+                      type="text"
+                      value={form.firstName}
+                      onChange={handleChange('firstName')}
+                      autoComplete="given-name"
+                      required
+                      maxLength={50}
+                      className={inputClassName}
+                      style={inputStyle}
+                      disabled={isLoading}
+                    />
+                  </div>
+                  <div>
+                    <label
+                      htmlFor="lastName"
+                      className="block text-gray-700 font-medium"
+                      style={labelStyle}
+                    >
+                      Last Name
+                    </label>
+                    <input
+                      id="lastName"
+                      type="text"
+                      value={form.lastName}
+                      onChange={handleChange('lastName')}
+                      autoComplete="family-name"
+                      required
+                      maxLength={50}
+                      className={inputClassName}
+                      style={inputStyle}
+                      disabled={isLoading}
+                    />
+                  </div>
+                </div>
+
+                {/* Email Input */}
+                <div>
+                  <label
+                    htmlFor="email"
+                    className="block text-gray-700 font-medium"
+                    style={labelStyle}
+                  >
+                    University Email
+                  </label>
+                  <input
+                    id="email"
+                    type="email"
+                    value={form.email}
+                    onChange={handleChange('email')}
+                    placeholder="firstname.lastname@stevens.edu"
+                    autoComplete="email"
+                    required
+                    className={inputClassName}
+                    style={inputStyle}
+                    disabled={isLoading}
+                  />
+                </div>
+
+                {/* Major and Age */}
+                <div
+                  className="grid"
+                  style={{ gridTemplateColumns: '2fr 1fr', gap: '1rem' }}
+                >
+                  <div>
+                    <label
+                      htmlFor="major"
+                      className="block text-gray-700 font-medium"
+                      style={labelStyle}
+                    >
+                      Major
+                    </label>
+                    <input
+                      id="major"
+                      type="text"
+                      value={form.major}
+                      onChange={handleChange('major')}
+                      placeholder="e.g., Computer Science"
+                      required
+                      maxLength={100}
+                      className={inputClassName}
+                      style={inputStyle}
+                      disabled={isLoading}
+                    />
+                  </div>
+                  <div>
+                    <label
+                      htmlFor="age"
+                      className="block text-gray-700 font-medium"
+                      style={labelStyle}
+                    >
+                      Age
+                    </label>
+                    <input
+                      id="age"
+                      type="number"
+                      min={17}
+                      max={25}
+                      value={form.age}
+                      onChange={handleChange('age')}
+                      required
+                      className={inputClassName}
+                      style={inputStyle}
+                      disabled={isLoading}
+                    />
+                  </div>
+                </div>
+
+                {/* Password Inputs */}
+                <div>
+                  <label
+                    htmlFor="password"
+                    className="block text-gray-700 font-medium"
+                    style={labelStyle}
+                  >
+                    Password
+                  </label>
+                  <input
+                    id="password"
+                    type="password"
+                    value={form.password}
+                    onChange={handleChange('password')}
+                    placeholder="At least 8 characters"
+                    autoComplete="new-password"
+                    required
+                    className={inputClassName}
+                    style={inputStyle}
+                    disabled={isLoading}
+                  />
+                </div>
+                <div>
+                  <label
+                    htmlFor="confirmPassword"
+                    className="block text-gray-700 font-medium"
+                    style={labelStyle}
+                  >
+                    Confirm Password
+                  </label>
+                  <input
+                    id="confirmPassword"
+                    type="password"
+                    value={form.confirmPassword}
+                    onChange={handleChange('confirmPassword')}
+                    autoComplete="new-password"
+                    required
+                    className={inputClassName}
+                    style={inputStyle}
+                    disabled={isLoading}
+                  />
+                </div>
+
+                {/* Error Message */}
+                {error && (
+                  <div
+                    className="bg-red-50 border border-red-200 text-red-800 flex items-start"
+                    style={{
+                      gap: '0.75rem',
+                      borderRadius: '0.5rem',
+                      padding: '1rem',
+                    }}
+                    role="alert"
+                  >
+                    <AlertCircle
+                      style={{
+                        width: '1.25rem',
+                        height: '1.25rem',
+                        flexShrink: 0,
+                        marginTop: '0.125rem',
+                      }}
+                    />
+                    <p style={{ fontSize: '0.875rem' }}>{error}</p>
+                  </div>
+                )}
+
+                {/* Submit Button */}
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="w-full bg-gradient-to-r from-teal-600 to-emerald-600 hover:from-teal-700 hover:to-emerald-700 text-white font-semibold shadow-lg hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                  style={{
+                    padding: '1rem',
+                    borderRadius: '0.75rem',
+                    fontSize: '1rem',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    gap: '0.5rem',
+                  }}
+                >
+                  <UserPlus
+                    style={{ width: '1.25rem', height: '1.25rem' }}
+                    aria-hidden="true"
+                  />
+                  {isLoading ? 'Creating account...' : 'Create Account'}
+                </button>
+              </form>
+
+              <p
+                className="text-center text-gray-600"
+                style={{ fontSize: '0.875rem', marginTop: '1.5rem' }}
+              >
+                Already have an account?{' '}
+                <Link
+                  to="/"
+                  className="text-teal-700 hover:text-teal-800 hover:underline font-semibold"
+                >
+                  Sign in
+                </Link>
+              </p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Register;
@@ -0,0 +1,204 @@
+/**
+ * Report Modal Component
+ * Lets a student flag an abusive or off-topic question or response for the
+ * course staff to review
+ */
+
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { X } from 'lucide-react';
+import { reportsApi } from '../api/api';
+
+const MAX_DETAILS_LENGTH = 500;
+
+// Keys match the report reasons accepted by the API
+export const REPORT_REASON_LABELS = {
+  spam: 'Spam or advertising',
+  harassment: 'Harassment or personal attack',
+  off_topic: 'Off-topic for this course',
+  academic_integrity: 'Academic integrity violation',
+  other: 'Something else',
+};
+
+const ReportModal = ({ targetType, targetId, onClose }) => {
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!reason) {
+      setError('Choose a reason for the report');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+    try {
+      await reportsApi.createReport({
+        targetType,
+        targetId,
+        reason,
+        details: details.trim(),
+      });
+      toast.success('Thanks, the course staff will review this post');
+      onClose();
+    } catch (error) {
+      setError(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          'Failed to report post'
+      );
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50"
+      style={{ padding: '1rem' }}
+    >
+      <div
+        className="bg-white shadow-2xl w-full"
+        style={{
+          maxWidth: '32rem',
+          maxHeight: '90vh',
+          overflowY: 'auto',
+          borderRadius: '1rem',
+          padding: '2rem',
+        }}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="report-title"
+      >
+        <div
+          className="flex items-start justify-between"
+          style={{ marginBottom: '1rem' }}
+        >
+          <h3
+            id="report-title"
+            className="font-bold text-gray-900"
+            style={{ fontSize: '1.25rem' }}
+          >
+            Report this {targetType}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+            style={{ padding: '0.25rem' }}
+            aria-label="Close"
+          >
+            <X style={{ width: '1.5rem', height: '1.5rem' }} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <fieldset>
+            <legend
+              className="font-semibold text-gray-900"
+              style={{ fontSize: '0.9375rem', marginBottom: '0.5rem' }}
+            >
+              What is wrong with it?
+            </legend>
+            <div
+              style={{
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '0.5rem',
+              }}
+            >
+              {Object.entries(REPORT_REASON_LABELS).map(([value, label]) => (
+                <label
+                  key={value}
+                  className="flex items-center text-gray-700 cursor-pointer"
+                  style={{ gap: '0.5rem', fontSize: '0.9375rem' }}
+                >
+                  <input
+                    type="radio"
+                    name="report-reason"
+                    value={value}
+                    checked={reason === value}
+                    onChange={() => setReason(value)}
+                    className="text-teal-600 border-gray-300 focus:ring-2 focus:ring-teal-500"
+                    disabled={isSubmitting}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <label
+            htmlFor="report-details"
+            className="block font-semibold text-gray-900"
+            style={{
+              fontSize: '0.9375rem',
+              marginTop: '1.25rem',
+              marginBottom: '0.5rem',
+            }}
+          >
+            Details (optional)
+          </label>
+          <textarea
+            id="report-details"
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+            maxLength={MAX_DETAILS_LENGTH}
+            rows={3}
+            placeholder="Anything the staff should know"
+            className="w-full border border-gray-200 hover:border-gray-300 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all resize-y"
+            style={{
+              padding: '0.625rem 1rem',
+              borderRadius: '0.75rem',
+              fontSize: '0.9375rem',
+            }}
+            disabled={isSubmitting}
+          />
+          <p
+            className="text-gray-500 text-right"
+            style={{ fontSize: '0.75rem' }}
+          >
+            {details.length}/{MAX_DETAILS_LENGTH}
+          </p>
+
+          {error && (
+            <p
+              className="text-red-600 font-medium"
+              style={{ marginTop: '0.5rem', fontSize: '0.875rem' }}
+              role="alert"
+            >
+              {error}
+            </p>
+          )}
+
+          <div
+            className="flex justify-end"
+            style={{ gap: '1rem', marginTop: '1.5rem' }}
+          >
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={isSubmitting}
+              className="border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium transition-colors disabled:opacity-50"
+              style={{ padding: '0.75rem 1.5rem', borderRadius: '0.5rem' }}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="bg-red-600 hover:bg-red-700 text-white font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{ padding: '0.75rem 1.5rem', borderRadius: '0.5rem' }}
+            >
+              {isSubmitting ? 'Reporting...' : 'Report'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ReportModal;
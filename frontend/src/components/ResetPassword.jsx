@@ -0,0 +1,226 @@
+/**
+ * Reset Password Component
+ * Sets a new password using the token from the reset link
+ */
+
+import { useState } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { authApi } from '../api/api';
+import { KeyRound, AlertCircle, CheckCircle } from 'lucide-react';
+
+const inputClassName =
+  'w-full border border-gray-300 bg-gray-50 hover:bg-white focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all';
+
+const inputStyle = {
+  padding: '0.75rem 1rem',
+  borderRadius: '0.5rem',
+  fontSize: '1rem',
+};
+
+const labelStyle = { fontSize: '0.875rem', marginBottom: '0.5rem' };
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(
+    token ? '' : 'This reset link is missing its token.'
+  );
+  const [isComplete, setIsComplete] = useState(false);
+  // Offer a fresh link only when the token itself was the problem
+  const [needsNewLink, setNeedsNewLink] = useState(!token);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      await authApi.resetPassword(token, password);
+      setIsComplete(true);
+    } catch (err) {
+      console.error('Reset password error:', err);
+      if (err.response) {
+        setNeedsNewLink(!!err.response.data?.error);
+        setError(
+          err.response.data?.error ||
+            err.response.data?.errors?.[0]?.msg ||
+            'Could not reset your password. Please try again.'
+        );
+      } else {
+        setError('Cannot connect to server. Please try again.');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div
+      className="min-h-screen bg-gradient-to-br from-teal-50 via-emerald-50 to-teal-100 flex items-center justify-center"
+      style={{ padding: '2rem 1rem' }}
+    >
+      <div
+        className="bg-white shadow-2xl border border-gray-100 w-full"
+        style={{ maxWidth: '28rem', borderRadius: '1rem', padding: '2.5rem' }}
+      >
+        {isComplete ? (
+          <div className="text-center">
+            <CheckCircle
+              className="text-green-600 mx-auto"
+              style={{ width: '3rem', height: '3rem', marginBottom: '1rem' }}
+              aria-hidden="true"
+            />
+            <h1
+              className="font-semibold text-gray-900"
+              style={{ fontSize: '1.5rem', marginBottom: '0.75rem' }}
+            >
+              Password updated
+            </h1>
+            <p className="text-gray-600" style={{ marginBottom: '1.5rem' }}>
+              Your password has been reset. You can now sign in with your new
+              password.
+            </p>
+            <Link
+              to="/"
+              className="inline-block bg-gradient-to-r from-teal-600 to-emerald-600 hover:from-teal-700 hover:to-emerald-700 text-white font-semibold shadow-lg transition-all"
+              style={{ padding: '0.75rem 1.5rem', borderRadius: '0.75rem' }}
+            >
+              Go to Sign In
+            </Link>
+          </div>
+        ) : (
+          <>
+            <h1
+              className="font-semibold text-gray-900 text-center"
+              style={{ fontSize: '1.5rem', marginBottom: '2rem' }}
+            >
+              Choose a new password
+            </h1>
+
+            <form
+              onSubmit={handleSubmit}
+              style={{
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '1.25rem',
+              }}
+            >
+              <div>
+                <label
+                  htmlFor="password"
+                  className="block text-gray-700 font-medium"
+                  style={labelStyle}
+                >
+                  New Password
+                </label>
+                <input
+                  id="password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="At least 8 characters"
+                  autoComplete="new-password"
+                  required
+                  className={inputClassName}
+                  style={inputStyle}
+                  disabled={isLoading || !token}
+                />
+              </div>
+              <div>
+                <label
+                  htmlFor="confirmPassword"
+                  className="block text-gray-700 font-medium"
+                  style={labelStyle}
+                >
+                  Confirm New Password
+                </label>
+                <input
+                  id="confirmPassword"
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  autoComplete="new-password"
+                  required
+                  className={inputClassName}
+                  style={inputStyle}
+                  disabled={isLoading || !token}
+                />
+              </div>
+
+              {error && (
+                <div
+                  className="bg-red-50 border border-red-200 text-red-800 flex items-start"
+                  style={{
+                    gap: '0.75rem',
+                    borderRadius: '0.5rem',
+                    padding: '1rem',
+                  }}
+                  role="alert"
+                >
+                  <AlertCircle
+                    style={{
+                      width: '1.25rem',
+                      height: '1.25rem',
+                      flexShrink: 0,
+                      marginTop: '0.125rem',
+                    }}
+                  />
+                  <p style={{ fontSize: '0.875rem' }}>
+                    {error}
+                    {needsNewLink && (
+                      <>
+                        {' '}
+                        <Link
+                          to="/forgot-password"
+                          className="font-semibold underline hover:text-red-900"
+                        >
+                          Request a new link
+                        </Link>
+                      </>
+                    )}
+                  </p>
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={isLoading || !token}
+                className="w-full bg-gradient-to-r from-teal-600 to-emerald-600 hover:from-teal-700 hover:to-emerald-700 text-white font-semibold shadow-lg hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                style={{
+                  padding: '1rem',
+                  borderRadius: '0.75rem',
+                  fontSize: '1rem',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  gap: '0.5rem',
+                }}
+              >
+                <KeyRound
+                  style={{ width: '1.25rem', height: '1.25rem' }}
+                  aria-hidden="true"
+                />
+                {isLoading ? 'Saving...' : 'Reset Password'}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -6,9 +6,13 @@
 import { useState } from 'react';
 import { responsesApi } from '../api/api';
 import { Send, X, Lightbulb } from 'lucide-react';
+import MarkdownEditor from './MarkdownEditor';
+import AttachmentPicker from './AttachmentPicker';
+import AnonymousAudiencePicker from './AnonymousAudiencePicker';
 
 const ResponseForm = ({
   questionId,
+  courseId,
   responseId = null,
   initialContent = '',
   onSuccess,
@@ -16,8 +20,11 @@ const ResponseForm = ({
 }) => {
   const [content, setContent] = useState(initialContent);
   const [isAnonymous, setIsAnonymous] = useState(false);
+  const [isAnonymousToStaff, setIsAnonymousToStaff] = useState(true);
+  const [attachments, setAttachments] = useState([]);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
+  const [screeningReasons, setScreeningReasons] = useState([]);
 
   const isEdit = !!responseId;
 
@@ -45,25 +52,28 @@ const ResponseForm = ({
 
     setIsSubmitting(true);
     setError('');
+    setScreeningReasons([]);
 
     try {
-      if (isEdit) {
-        await responsesApi.updateResponse(responseId, {
-          content: content.trim(),
-        });
-      } else {
-        await responsesApi.createResponse({
-          questionId,
-          content: content.trim(),
-          isAnonymous,
-        });
-      }
+      const response = isEdit
+        ? await responsesApi.updateResponse(responseId, {
+            content: content.trim(),
+          })
+        : await responsesApi.createResponse({
+            questionId,
+            content: content.trim(),
+            isAnonymous,
+            ...(isAnonymous && { isAnonymousToStaff }),
+            attachmentIds: attachments.map((attachment) => attachment._id),
+          });
 
-      onSuccess();
+      // Only set when content screening held the response for review
+      onSuccess(response.data.screening);
     } catch (error) {
       const message = error.response?.data?.error || 'Failed to save response';
       console.error('Failed to save response:', error);
       setError(message);
+      setScreeningReasons(error.response?.data?.screening?.reasons || []);
       setIsSubmitting(false);
     }
   };
@@ -108,25 +118,29 @@ const ResponseForm = ({
               {content.length}/1500
             </span>
           </div>
-          <textarea
-            id="response-content"
-            value={content}
-            onChange={(e) => setContent(e.target.value)}
-            onKeyDown={handleKeyDown}
-            placeholder="Share your knowledge to help answer this question. Include explanations, examples, or step-by-step guidance..."
-            rows={4}
-            className={`w-full border focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all resize-y bg-white ${
-              error ? 'border-red-500' : 'border-gray-200 hover:border-gray-300'
-            }`}
-            style={{
-              padding: '0.875rem 1.25rem',
-              borderRadius: '0.75rem',
-              fontSize: '1rem',
-              lineHeight: '1.6',
-            }}
-            disabled={isSubmitting}
-            autoFocus
-          />
+          <MarkdownEditor content={content}>
+            <textarea
+              id="response-content"
+              value={content}
+              onChange={(e) => setContent(e.target.value)}
+              onKeyDown={handleKeyDown}
+              placeholder="Share your knowledge to help answer this question. Include explanations, examples, or step-by-step guidance..."
+              rows={4}
+              className={`w-full border focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all resize-y bg-white ${
+                error
+                  ? 'border-red-500'
+                  : 'border-gray-200 hover:border-gray-300'
+              }`}
+              style={{
+                padding: '0.875rem 1.25rem',
+                borderRadius: '0.75rem',
+                fontSize: '1rem',
+                lineHeight: '1.6',
+              }}
+              disabled={isSubmitting}
+              autoFocus
+            />
+          </MarkdownEditor>
           {error && (
             <p
               className="text-red-600 font-medium"
@@ -136,6 +150,20 @@ const ResponseForm = ({
               {error}
             </p>
           )}
+          {screeningReasons.length > 0 && (
+            <ul
+              className="text-red-600 list-disc"
+              style={{
+                fontSize: '0.875rem',
+                marginTop: '0.25rem',
+                paddingLeft: '1.25rem',
+              }}
+            >
+              {screeningReasons.map((reason) => (
+                <li key={reason}>{reason}</li>
+              ))}
+            </ul>
+          )}
           <p
             className="text-gray-700 font-medium flex items-center flex-wrap"
             style={{ marginTop: '0.5rem', fontSize: '0.75rem', gap: '0.25rem' }}
@@ -164,6 +192,18 @@ const ResponseForm = ({
           </p>
         </div>
 
+        {/* Attachments (only for new responses) */}
+        {!isEdit && (
+          <div style={{ marginBottom: '1.25rem' }}>
+            <AttachmentPicker
+              courseId={courseId}
+              attachments={attachments}
+              onChange={setAttachments}
+              disabled={isSubmitting}
+            />
+          </div>
+        )}
+
         {/* Anonymous Toggle (only for new responses) */}
         {!isEdit && (
           <div
@@ -206,6 +246,16 @@ const ResponseForm = ({
                 </p>
               </div>
             </label>
+            {isAnonymous && (
+              <div style={{ paddingLeft: '2rem' }}>
+                <AnonymousAudiencePicker
+                  name={`response-anonymous-audience-${questionId}`}
+                  value={isAnonymousToStaff}
+                  onChange={setIsAnonymousToStaff}
+                  disabled={isSubmitting}
+                />
+              </div>
+            )}
           </div>
         )}
 
@@ -0,0 +1,183 @@
+/**
+ * Reveal Author Modal Component
+ * Lets course staff see who wrote a post that is anonymous to them; the
+ * reason they give is recorded in the course's moderation log
+ */
+
+import { useState } from 'react';
+import { X, ShieldAlert } from 'lucide-react';
+import { moderationApi } from '../api/api';
+
+const MAX_REASON_LENGTH = 500;
+
+const RevealAuthorModal = ({
+  courseId,
+  targetType,
+  targetId,
+  onRevealed,
+  onClose,
+}) => {
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!reason.trim()) {
+      setError('Give a reason for revealing the author');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const response = await moderationApi.revealAuthor(courseId, {
+        targetType,
+        targetId,
+        reason: reason.trim(),
+      });
+      onRevealed(response.data.author);
+      onClose();
+    } catch (error) {
+      setError(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          'Failed to reveal the author'
+      );
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50"
+      style={{ padding: '1rem' }}
+    >
+      <div
+        className="bg-white shadow-2xl w-full"
+        style={{
+          maxWidth: '32rem',
+          maxHeight: '90vh',
+          overflowY: 'auto',
+          borderRadius: '1rem',
+          padding: '2rem',
+        }}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="reveal-title"
+      >
+        <div
+          className="flex items-start justify-between"
+          style={{ marginBottom: '1rem' }}
+        >
+          <h3
+            id="reveal-title"
+            className="font-bold text-gray-900"
+            style={{ fontSize: '1.25rem' }}
+          >
+            Reveal who wrote this {targetType}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+            style={{ padding: '0.25rem' }}
+            aria-label="Close"
+          >
+            <X style={{ width: '1.5rem', height: '1.5rem' }} />
+          </button>
+        </div>
+
+        <div
+          className="flex items-start bg-amber-50 border border-amber-200 text-amber-900"
+          style={{
+            gap: '0.5rem',
+            padding: '0.75rem 1rem',
+            borderRadius: '0.75rem',
+            fontSize: '0.875rem',
+            marginBottom: '1.25rem',
+          }}
+        >
+          <ShieldAlert
+            className="flex-shrink-0"
+            style={{
+              width: '1.125rem',
+              height: '1.125rem',
+              marginTop: '0.125rem',
+            }}
+          />
+          <p>
+            The author chose to stay anonymous. Your name and reason will be
+            recorded in the moderation log, which all course staff can see.
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <label
+            htmlFor="reveal-reason"
+            className="block font-semibold text-gray-900"
+            style={{ fontSize: '0.9375rem', marginBottom: '0.5rem' }}
+          >
+            Reason
+          </label>
+          <textarea
+            id="reveal-reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            maxLength={MAX_REASON_LENGTH}
+            rows={3}
+            placeholder="e.g. Possible academic integrity violation"
+            className="w-full border border-gray-200 hover:border-gray-300 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all resize-y"
+            style={{
+              padding: '0.625rem 1rem',
+              borderRadius: '0.75rem',
+              fontSize: '0.9375rem',
+            }}
+            disabled={isSubmitting}
+          />
+          <p
+            className="text-gray-500 text-right"
+            style={{ fontSize: '0.75rem' }}
+          >
+            {reason.length}/{MAX_REASON_LENGTH}
+          </p>
+
+          {error && (
+            <p
+              className="text-red-600 font-medium"
+              style={{ marginTop: '0.5rem', fontSize: '0.875rem' }}
+              role="alert"
+            >
+              {error}
+            </p>
+          )}
+
+          <div
+            className="flex justify-end"
+            style={{ gap: '1rem', marginTop: '1.5rem' }}
+          >
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={isSubmitting}
+              className="border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium transition-colors disabled:opacity-50"
+              style={{ padding: '0.75rem 1.5rem', borderRadius: '0.5rem' }}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="bg-amber-600 hover:bg-amber-700 text-white font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{ padding: '0.75rem 1.5rem', borderRadius: '0.5rem' }}
+            >
+              {isSubmitting ? 'Revealing...' : 'Reveal author'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RevealAuthorModal;
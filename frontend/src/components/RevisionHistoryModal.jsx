@@ -0,0 +1,229 @@
+/**
+ * Revision History Modal Component
+ * Compares two versions of an edited question or response side by side
+ */
+
+import { useState, useEffect } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { X } from 'lucide-react';
+import { questionsApi, responsesApi } from '../api/api';
+import Spinner from './Spinner';
+
+/**
+ * Diffs two texts word by word (longest common subsequence)
+ * Whitespace is kept as its own token so the texts rebuild exactly.
+ * @returns {Array} Parts of { type: 'same' | 'removed' | 'added', text }
+ */
+const diffWords = (oldText, newText) => {
+  const before = oldText.split(/(\s+)/).filter(Boolean);
+  const after = newText.split(/(\s+)/).filter(Boolean);
+  const columns = after.length + 1;
+
+  // common[i * columns + j]: length of the LCS of before[i..] and after[j..]
+  const common = new Uint16Array((before.length + 1) * columns);
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      common[i * columns + j] =
+        before[i] === after[j]
+          ? common[(i + 1) * columns + j + 1] + 1
+          : Math.max(
+              common[(i + 1) * columns + j],
+              common[i * columns + j + 1]
+            );
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      push('same', before[i]);
+      i++;
+      j++;
+    } else if (common[(i + 1) * columns + j] >= common[i * columns + j + 1]) {
+      push('removed', before[i++]);
+    } else {
+      push('added', after[j++]);
+    }
+  }
+  before.slice(i).forEach((token) => push('removed', token));
+  after.slice(j).forEach((token) => push('added', token));
+  return parts;
+};
+
+// e.g. "Revision 2 - Jane Doe, 3 hours ago"
+const revisionLabel = (revision) =>
+  `${
+    revision.revision === 1 ? 'Original' : `Revision ${revision.revision}`
+  } - ${revision.editorName}, ${formatDistanceToNow(
+    new Date(revision.createdAt),
+    { addSuffix: true }
+  )}`;
+
+// One side of a diff: the old text with removals marked, or the new text
+// with additions marked
+const DiffSide = ({ parts, side }) => (
+  <div
+    className="bg-gray-50 border border-gray-200 text-gray-800 whitespace-pre-wrap break-words"
+    style={{
+      padding: '0.75rem',
+      borderRadius: '0.5rem',
+      fontSize: '0.875rem',
+      lineHeight: 1.6,
+    }}
+  >
+    {parts.map((part, index) => {
+      if (part.type === 'same') {
+        return <span key={index}>{part.text}</span>;
+      }
+      if (side === 'old' && part.type === 'removed') {
+        return (
+          <del key={index} className="bg-red-100 text-red-800">
+            {part.text}
+          </del>
+        );
+      }
+      if (side === 'new' && part.type === 'added') {
+        return (
+          <ins key={index} className="bg-green-100 text-green-800 no-underline">
+            {part.text}
+          </ins>
+        );
+      }
+      return null;
+    })}
+  </div>
+);
+
+const RevisionHistoryModal = ({ isOpen, onClose, targetType, targetId }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [fromRevision, setFromRevision] = useState(1);
+  const [toRevision, setToRevision] = useState(1);
+
+  useEffect(() => {
+    if (!isOpen || !targetId) return;
+
+    const fetchRevisions = async () => {
+      setLoading(true);
+      try {
+        const api = targetType === 'question' ? questionsApi : responsesApi;
+        const response = await api.getRevisions(targetId);
+        const fetched = response.data.revisions || [];
+        setRevisions(fetched);
+        // Start with the latest edit
+        const latest = fetched[fetched.length - 1]?.revision || 1;
+        setToRevision(latest);
+        setFromRevision(Math.max(latest - 1, 1));
+      } catch (error) {
+        console.error('Error fetching revisions:', error);
+        setRevisions([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRevisions();
+  }, [isOpen, targetType, targetId]);
+
+  if (!isOpen) return null;
+
+  const from = revisions.find((r) => r.revision === fromRevision);
+  const to = revisions.find((r) => r.revision === toRevision);
+  const fields = targetType === 'question' ? ['title', 'content'] : ['content'];
+
+  const renderSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="border border-gray-300 focus:outline-none focus:border-teal-500 focus:ring-2 focus:ring-teal-200 bg-white w-full"
+      style={{
+        padding: '0.375rem 0.625rem',
+        borderRadius: '0.375rem',
+        fontSize: '0.875rem',
+      }}
+    >
+      {revisions.map((revision) => (
+        <option key={revision.revision} value={revision.revision}>
+          {revisionLabel(revision)}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50"
+      style={{ padding: '1rem' }}
+    >
+      <div
+        className="bg-white shadow-2xl w-full overflow-y-auto"
+        style={{
+          maxWidth: '64rem',
+          maxHeight: '90vh',
+          borderRadius: '1rem',
+          padding: '2rem',
+        }}
+      >
+        <div
+          className="flex items-start justify-between"
+          style={{ marginBottom: '1.5rem' }}
+        >
+          <h3
+            className="font-bold text-gray-900"
+            style={{ fontSize: '1.25rem' }}
+          >
+            Edit History
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+            style={{ padding: '0.25rem' }}
+          >
+            <X style={{ width: '1.5rem', height: '1.5rem' }} />
+          </button>
+        </div>
+
+        {loading ? (
+          <Spinner text="Loading history..." />
+        ) : !from || !to ? (
+          <p className="text-gray-600">Edit history could not be loaded.</p>
+        ) : (
+          <div
+            className="grid grid-cols-1 md:grid-cols-2"
+            style={{ gap: '1rem' }}
+          >
+            {renderSelect(fromRevision, setFromRevision)}
+            {renderSelect(toRevision, setToRevision)}
+            {fields.map((field) => {
+              const parts = diffWords(from[field] || '', to[field] || '');
+              return [
+                <h4
+                  key={`${field}-label`}
+                  className="md:col-span-2 font-semibold text-gray-700 capitalize"
+                  style={{ fontSize: '0.875rem', marginTop: '0.5rem' }}
+                >
+                  {field}
+                </h4>,
+                <DiffSide key={`${field}-old`} parts={parts} side="old" />,
+                <DiffSide key={`${field}-new`} parts={parts} side="new" />,
+              ];
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RevisionHistoryModal;
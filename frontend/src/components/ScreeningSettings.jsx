@@ -0,0 +1,536 @@
+/**
+ * Screening Settings Component
+ * Editor for a course's content screening: the built-in word lists, the
+ * course's own word and regex rules, and the code-block limit around
+ * assignment deadlines. TAs see the settings read-only.
+ */
+
+import { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { Plus, Trash2 } from 'lucide-react';
+import { coursesApi } from '../api/api';
+import Spinner from './Spinner';
+
+// Limits enforced by the API
+const MAX_RULES = 50;
+const MAX_DEADLINES = 20;
+const MAX_RULE_LENGTH = 200;
+const MAX_REGEX_LENGTH = 100;
+
+const OUTCOME_LABELS = {
+  flag: 'Flag for staff',
+  hold: 'Hold for review',
+  reject: 'Reject',
+};
+
+const sectionClassName = 'bg-white shadow-sm border border-gray-200';
+const sectionStyle = {
+  borderRadius: '0.75rem',
+  padding: '1.25rem',
+  marginBottom: '1rem',
+};
+const headingStyle = { fontSize: '1.0625rem', marginBottom: '0.25rem' };
+const hintStyle = { fontSize: '0.875rem', marginBottom: '1rem' };
+const fieldClassName =
+  'border border-gray-300 bg-white focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-all disabled:bg-gray-50 disabled:text-gray-600';
+const fieldStyle = {
+  padding: '0.5rem 0.75rem',
+  borderRadius: '0.5rem',
+  fontSize: '0.875rem',
+};
+const smallButtonClassName =
+  'inline-flex items-center border border-gray-300 bg-white hover:bg-gray-100 text-gray-700 font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+const smallButtonStyle = {
+  gap: '0.25rem',
+  padding: '0.375rem 0.75rem',
+  borderRadius: '0.5rem',
+  fontSize: '0.8125rem',
+};
+
+// datetime-local inputs work in local time without a zone
+const toLocalInput = (date) => format(new Date(date), "yyyy-MM-dd'T'HH:mm");
+
+const OutcomeSelect = ({ id, value, onChange, allowOff, disabled, label }) => (
+  <select
+    id={id}
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    disabled={disabled}
+    aria-label={label}
+    className={fieldClassName}
+    style={fieldStyle}
+  >
+    {allowOff && <option value="off">Off</option>}
+    {Object.entries(OUTCOME_LABELS).map(([outcome, outcomeLabel]) => (
+      <option key={outcome} value={outcome}>
+        {outcomeLabel}
+      </option>
+    ))}
+  </select>
+);
+
+const ScreeningSettings = ({ courseId, canEdit }) => {
+  const [settings, setSettings] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await coursesApi.getScreening(courseId);
+        const { codeLimit, ...rest } = response.data.screening;
+        setSettings({
+          ...rest,
+          codeLimit: codeLimit && {
+            ...codeLimit,
+            deadlines: codeLimit.deadlines.map((deadline) => ({
+              ...deadline,
+              dueAt: toLocalInput(deadline.dueAt),
+            })),
+          },
+        });
+      } catch (_error) {
+        toast.error('Failed to load content filter settings');
+      }
+    };
+    fetchSettings();
+  }, [courseId]);
+
+  if (!settings) {
+    return (
+      <div className="flex justify-center" style={{ padding: '3rem 0' }}>
+        <Spinner size="lg" text="Loading content filter..." />
+      </div>
+    );
+  }
+
+  const disabled = !canEdit || isSaving;
+
+  const updateRule = (index, changes) =>
+    setSettings((prev) => ({
+      ...prev,
+      rules: prev.rules.map((rule, i) =>
+        i === index ? { ...rule, ...changes } : rule
+      ),
+    }));
+
+  const updateCodeLimit = (changes) =>
+    setSettings((prev) => ({
+      ...prev,
+      codeLimit: { ...prev.codeLimit, ...changes },
+    }));
+
+  const updateDeadline = (index, changes) =>
+    updateCodeLimit({
+      deadlines: settings.codeLimit.deadlines.map((deadline, i) =>
+        i === index ? { ...deadline, ...changes } : deadline
+      ),
+    });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const { codeLimit } = settings;
+    if (codeLimit?.deadlines.some((deadline) => !deadline.dueAt)) {
+      setError('Each deadline needs a due date');
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+    try {
+      await coursesApi.setScreening(courseId, {
+        ...settings,
+        rules: settings.rules.map((rule) => ({
+          ...rule,
+          pattern: rule.pattern.trim(),
+          message: rule.message.trim(),
+        })),
+        codeLimit: codeLimit && {
+          ...codeLimit,
+          maxLines: Number(codeLimit.maxLines),
+          windowHours: Number(codeLimit.windowHours),
+          deadlines: codeLimit.deadlines.map((deadline) => ({
+            name: deadline.name.trim(),
+            dueAt: new Date(deadline.dueAt).toISOString(),
+          })),
+        },
+      });
+      toast.success('Content filter saved', { autoClose: 1500 });
+    } catch (error) {
+      setError(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          'Failed to save content filter'
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSave}>
+      <p className="text-gray-600" style={hintStyle}>
+        Posts by students are checked when they are created or edited. A post
+        that matches a rule can be rejected with the reason shown to its author,
+        held hidden until staff approve it in the Reports tab, or published and
+        flagged to staff. Posts by course staff are never checked.
+        {!canEdit && ' Only instructors can change these settings.'}
+      </p>
+
+      {/* Built-in lists */}
+      <section className={sectionClassName} style={sectionStyle}>
+        <h2 className="font-semibold text-gray-900" style={headingStyle}>
+          Built-in filters
+        </h2>
+        <div
+          className="grid sm:grid-cols-2"
+          style={{ gap: '1rem', marginTop: '0.75rem' }}
+        >
+          {[
+            ['profanity', 'Profanity'],
+            ['integrity', 'Cheating sites and selling answers'],
+          ].map(([field, label]) => (
+            <div key={field}>
+              <label
+                htmlFor={`screening-${field}`}
+                className="block font-medium text-gray-800"
+                style={{ fontSize: '0.875rem', marginBottom: '0.375rem' }}
+              >
+                {label}
+              </label>
+              <OutcomeSelect
+                id={`screening-${field}`}
+                value={settings[field]}
+                onChange={(value) =>
+                  setSettings((prev) => ({ ...prev, [field]: value }))
+                }
+                allowOff
+                disabled={disabled}
+              />
+            </div>
+          ))}
+        </div>
+      </section>
+
+      {/* Course rules */}
+      <section className={sectionClassName} style={sectionStyle}>
+        <h2 className="font-semibold text-gray-900" style={headingStyle}>
+          Course rules
+        </h2>
+        <p className="text-gray-600" style={hintStyle}>
+          Words match whole words regardless of case. Regular expressions are
+          also case-insensitive. The message is shown to the author instead of
+          the default reason.
+        </p>
+        {settings.rules.length === 0 ? (
+          <p className="text-gray-500" style={{ fontSize: '0.875rem' }}>
+            No course rules.
+          </p>
+        ) : (
+          <ul
+            style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}
+          >
+            {settings.rules.map((rule, index) => (
+              <li
+                key={index}
+                className="flex flex-wrap items-center"
+                style={{ gap: '0.5rem' }}
+              >
+                <select
+                  value={rule.type}
+                  onChange={(e) => updateRule(index, { type: e.target.value })}
+                  disabled={disabled}
+                  aria-label="Rule type"
+                  className={fieldClassName}
+                  style={fieldStyle}
+                >
+                  <option value="word">Word or phrase</option>
+                  <option value="regex">Regular expression</option>
+                </select>
+                <input
+                  type="text"
+                  value={rule.pattern}
+                  onChange={(e) =>
+                    updateRule(index, { pattern: e.target.value })
+                  }
+                  maxLength={
+                    rule.type === 'regex' ? MAX_REGEX_LENGTH : MAX_RULE_LENGTH
+                  }
+                  placeholder={
+                    rule.type === 'word' ? 'e.g. answer key' : 'e.g. hw\\s*3'
+                  }
+                  disabled={disabled}
+                  aria-label="Pattern"
+                  required
+                  className={`flex-1 ${fieldClassName}`}
+                  style={{ ...fieldStyle, minWidth: '10rem' }}
+                />
+                <OutcomeSelect
+                  value={rule.outcome}
+                  onChange={(value) => updateRule(index, { outcome: value })}
+                  disabled={disabled}
+                  label="Outcome"
+                />
+                <input
+                  type="text"
+                  value={rule.message}
+                  onChange={(e) =>
+                    updateRule(index, { message: e.target.value })
+                  }
+                  maxLength={MAX_RULE_LENGTH}
+                  placeholder="Message (optional)"
+                  disabled={disabled}
+                  aria-label="Message"
+                  className={`flex-1 ${fieldClassName}`}
+                  style={{ ...fieldStyle, minWidth: '10rem' }}
+                />
+                {canEdit && (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setSettings((prev) => ({
+                        ...prev,
+                        rules: prev.rules.filter((_, i) => i !== index),
+                      }))
+                    }
+                    disabled={isSaving}
+                    className="text-gray-400 hover:text-red-600 transition-colors"
+                    style={{ padding: '0.25rem' }}
+                    aria-label="Remove rule"
+                  >
+                    <Trash2 style={{ width: '1.125rem', height: '1.125rem' }} />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {canEdit && settings.rules.length < MAX_RULES && (
+          <button
+            type="button"
+            onClick={() =>
+              setSettings((prev) => ({
+                ...prev,
+                rules: [
+                  ...prev.rules,
+                  { type: 'word', pattern: '', outcome: 'hold', message: '' },
+                ],
+              }))
+            }
+            disabled={isSaving}
+            className={smallButtonClassName}
+            style={{ ...smallButtonStyle, marginTop: '0.75rem' }}
+          >
+            <Plus style={{ width: '1rem', height: '1rem' }} />
+            Add rule
+          </button>
+        )}
+      </section>
+
+      {/* Code-block limit */}
+      <section className={sectionClassName} style={sectionStyle}>
+        <h2 className="font-semibold text-gray-900" style={headingStyle}>
+          No full solutions before deadlines
+        </h2>
+        <p className="text-gray-600" style={hintStyle}>
+          Catches posts with long code blocks in the hours before an assignment
+          is due.
+        </p>
+        <label
+          className="flex items-center text-gray-800 font-medium cursor-pointer"
+          style={{ gap: '0.5rem', fontSize: '0.875rem' }}
+        >
+          <input
+            type="checkbox"
+            checked={Boolean(settings.codeLimit)}
+            onChange={(e) =>
+              setSettings((prev) => ({
+                ...prev,
+                codeLimit: e.target.checked
+                  ? {
+                      maxLines: 20,
+                      windowHours: 48,
+                      outcome: 'hold',
+                      deadlines: [],
+                    }
+                  : null,
+              }))
+            }
+            disabled={disabled}
+            className="text-teal-600 border-gray-300 rounded focus:ring-2 focus:ring-teal-500"
+          />
+          Limit code blocks near deadlines
+        </label>
+
+        {settings.codeLimit && (
+          <>
+            <div
+              className="flex flex-wrap items-center text-gray-800"
+              style={{ gap: '0.5rem', fontSize: '0.875rem', marginTop: '1rem' }}
+            >
+              <span>Code blocks over</span>
+              <input
+                type="number"
+                min={1}
+                max={500}
+                value={settings.codeLimit.maxLines}
+                onChange={(e) => updateCodeLimit({ maxLines: e.target.value })}
+                disabled={disabled}
+                aria-label="Maximum lines"
+                required
+                className={fieldClassName}
+                style={{ ...fieldStyle, width: '5rem' }}
+              />
+              <span>lines in the</span>
+              <input
+                type="number"
+                min={1}
+                max={336}
+                value={settings.codeLimit.windowHours}
+                onChange={(e) =>
+                  updateCodeLimit({ windowHours: e.target.value })
+                }
+                disabled={disabled}
+                aria-label="Hours before a deadline"
+                required
+                className={fieldClassName}
+                style={{ ...fieldStyle, width: '5rem' }}
+              />
+              <span>hours before a deadline:</span>
+              <OutcomeSelect
+                value={settings.codeLimit.outcome}
+                onChange={(value) => updateCodeLimit({ outcome: value })}
+                disabled={disabled}
+                label="Outcome"
+              />
+            </div>
+
+            <h3
+              className="font-medium text-gray-800"
+              style={{
+                fontSize: '0.875rem',
+                marginTop: '1rem',
+                marginBottom: '0.5rem',
+              }}
+            >
+              Deadlines
+            </h3>
+            {settings.codeLimit.deadlines.length === 0 && (
+              <p className="text-gray-500" style={{ fontSize: '0.875rem' }}>
+                No deadlines. The limit only applies once you add one.
+              </p>
+            )}
+            <ul
+              style={{
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '0.5rem',
+              }}
+            >
+              {settings.codeLimit.deadlines.map((deadline, index) => (
+                <li
+                  key={index}
+                  className="flex flex-wrap items-center"
+                  style={{ gap: '0.5rem' }}
+                >
+                  <input
+                    type="text"
+                    value={deadline.name}
+                    onChange={(e) =>
+                      updateDeadline(index, { name: e.target.value })
+                    }
+                    maxLength={100}
+                    placeholder="e.g. Homework 3"
+                    disabled={disabled}
+                    aria-label="Assignment name"
+                    required
+                    className={`flex-1 ${fieldClassName}`}
+                    style={{ ...fieldStyle, minWidth: '10rem' }}
+                  />
+                  <input
+                    type="datetime-local"
+                    value={deadline.dueAt}
+                    onChange={(e) =>
+                      updateDeadline(index, { dueAt: e.target.value })
+                    }
+                    disabled={disabled}
+                    aria-label="Due date"
+                    required
+                    className={fieldClassName}
+                    style={fieldStyle}
+                  />
+                  {canEdit && (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        updateCodeLimit({
+                          deadlines: settings.codeLimit.deadlines.filter(
+                            (_, i) => i !== index
+                          ),
+                        })
+                      }
+                      disabled={isSaving}
+                      className="text-gray-400 hover:text-red-600 transition-colors"
+                      style={{ padding: '0.25rem' }}
+                      aria-label="Remove deadline"
+                    >
+                      <Trash2
+                        style={{ width: '1.125rem', height: '1.125rem' }}
+                      />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {canEdit && settings.codeLimit.deadlines.length < MAX_DEADLINES && (
+              <button
+                type="button"
+                onClick={() =>
+                  updateCodeLimit({
+                    deadlines: [
+                      ...settings.codeLimit.deadlines,
+                      { name: '', dueAt: '' },
+                    ],
+                  })
+                }
+                disabled={isSaving}
+                className={smallButtonClassName}
+                style={{ ...smallButtonStyle, marginTop: '0.75rem' }}
+              >
+                <Plus style={{ width: '1rem', height: '1rem' }} />
+                Add deadline
+              </button>
+            )}
+          </>
+        )}
+      </section>
+
+      {error && (
+        <p
+          className="text-red-600 font-medium"
+          style={{ marginBottom: '1rem', fontSize: '0.875rem' }}
+          role="alert"
+        >
+          {error}
+        </p>
+      )}
+
+      {canEdit && (
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="bg-teal-600 hover:bg-teal-700 text-white font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            style={{ padding: '0.75rem 1.5rem', borderRadius: '0.5rem' }}
+          >
+            {isSaving ? 'Saving...' : 'Save content filter'}
+          </button>
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default ScreeningSettings;
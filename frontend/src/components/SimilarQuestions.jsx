@@ -0,0 +1,163 @@
+/**
+ * Similar Questions Component
+ * Lists questions in the course that look like the given text, looked up as
+ * the user types; used to suggest existing answers while writing a question
+ * and to pick the original when marking a duplicate
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { CheckCircle, MessageSquare } from 'lucide-react';
+import { questionsApi } from '../api/api';
+import HighlightedText from './HighlightedText';
+
+// Wait for typing to pause before looking up
+const LOOKUP_DEBOUNCE_MS = 300;
+
+// Shorter text is almost always a stop word or half a word
+const MIN_QUERY_LENGTH = 3;
+
+const SimilarQuestions = ({
+  courseId,
+  query,
+  excludeId,
+  heading = 'Similar questions',
+  description,
+  onSelect,
+  selectLabel = 'Select',
+  emptyMessage,
+}) => {
+  const [questions, setQuestions] = useState([]);
+  const [hasLookedUp, setHasLookedUp] = useState(false);
+  const latestLookupRef = useRef(0); // Drops answers to superseded lookups
+
+  const trimmedQuery = query.trim();
+
+  useEffect(() => {
+    const lookupId = ++latestLookupRef.current;
+    if (trimmedQuery.length < MIN_QUERY_LENGTH) {
+      setQuestions([]);
+      setHasLookedUp(false);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await questionsApi.getSimilar(courseId, trimmedQuery, {
+          excludeId,
+        });
+        if (lookupId === latestLookupRef.current) {
+          setQuestions(response.data.questions || []);
+          setHasLookedUp(true);
+        }
+      } catch (error) {
+        console.error('Error finding similar questions:', error);
+      }
+    }, LOOKUP_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [courseId, trimmedQuery, excludeId]);
+
+  if (questions.length === 0) {
+    return hasLookedUp && emptyMessage ? (
+      <p
+        className="text-gray-600"
+        style={{ fontSize: '0.875rem', marginTop: '0.75rem' }}
+      >
+        {emptyMessage}
+      </p>
+    ) : null;
+  }
+
+  return (
+    <section
+      className="bg-amber-50 border border-amber-200 fade-in"
+      style={{ borderRadius: '0.75rem', padding: '1rem', marginTop: '0.75rem' }}
+      aria-label={heading}
+      aria-live="polite"
+    >
+      <h3
+        className="font-semibold text-gray-900"
+        style={{ fontSize: '0.9375rem' }}
+      >
+        {heading}
+      </h3>
+      {description && (
+        <p
+          className="text-gray-700"
+          style={{ fontSize: '0.8125rem', marginTop: '0.25rem' }}
+        >
+          {description}
+        </p>
+      )}
+      <ul style={{ marginTop: '0.5rem' }}>
+        {questions.map((question) => (
+          <li
+            key={question._id}
+            className="flex items-center justify-between border-t border-amber-100 first:border-t-0"
+            style={{ gap: '0.75rem', padding: '0.5rem 0' }}
+          >
+            <div style={{ minWidth: 0 }}>
+              <Link
+                to={`/questions/${question._id}`}
+                // A new tab keeps the draft on this page
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-teal-700 hover:text-teal-800 hover:underline font-medium break-words"
+                style={{ fontSize: '0.9375rem' }}
+              >
+                <HighlightedText segments={question.highlights.title} />
+              </Link>
+              <div
+                className="flex items-center text-gray-600"
+                style={{
+                  gap: '0.75rem',
+                  fontSize: '0.75rem',
+                  marginTop: '0.125rem',
+                }}
+              >
+                {question.isResolved && (
+                  <span
+                    className="inline-flex items-center text-green-700 font-medium"
+                    style={{ gap: '0.25rem' }}
+                  >
+                    <CheckCircle
+                      style={{ width: '0.75rem', height: '0.75rem' }}
+                    />
+                    Resolved
+                  </span>
+                )}
+                <span
+                  className="inline-flex items-center"
+                  style={{ gap: '0.25rem' }}
+                >
+                  <MessageSquare
+                    style={{ width: '0.75rem', height: '0.75rem' }}
+                  />
+                  {question.responseCount}{' '}
+                  {question.responseCount === 1 ? 'answer' : 'answers'}
+                </span>
+              </div>
+            </div>
+            {onSelect && (
+              <button
+                type="button"
+                onClick={() => onSelect(question)}
+                className="bg-teal-600 hover:bg-teal-700 text-white font-semibold transition-colors flex-shrink-0"
+                style={{
+                  padding: '0.375rem 0.75rem',
+                  borderRadius: '0.5rem',
+                  fontSize: '0.8125rem',
+                }}
+              >
+                {selectLabel}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+export default SimilarQuestions;
@@ -0,0 +1,202 @@
+/**
+ * Tag Cloud Component
+ * A course's tags sized by how many questions use them; clicking a tag
+ * filters the question list. Instructors can edit the curated tags here.
+ */
+
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { Tag, Pencil } from 'lucide-react';
+import { coursesApi } from '../api/api';
+import TagPicker from './TagPicker';
+
+const MAX_COURSE_TAGS = 50;
+
+// Font sizes (rem) for the least and most used tags
+const MIN_FONT_SIZE = 0.8125;
+const MAX_FONT_SIZE = 1.25;
+
+const TagCloud = ({
+  courseId,
+  tags,
+  selectedTags,
+  onToggle,
+  canCurate,
+  onCuratedChange,
+}) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [curatedDraft, setCuratedDraft] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Unused curated tags are offered in the tag picker but not shown here
+  const shownTags = tags.filter(
+    (tag) => tag.count > 0 || selectedTags.includes(tag.name)
+  );
+  const maxCount = Math.max(1, ...shownTags.map((tag) => tag.count));
+
+  const fontSize = (count) =>
+    `${
+      MIN_FONT_SIZE +
+      (MAX_FONT_SIZE - MIN_FONT_SIZE) * Math.sqrt(count / maxCount)
+    }rem`;
+
+  const startEditing = () => {
+    setCuratedDraft(tags.filter((tag) => tag.curated).map((tag) => tag.name));
+    setIsEditing(true);
+  };
+
+  const saveCuratedTags = async () => {
+    setIsSaving(true);
+    try {
+      await coursesApi.setTags(courseId, curatedDraft);
+      toast.success('Course tags updated');
+      setIsEditing(false);
+      onCuratedChange();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          'Failed to update course tags'
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (shownTags.length === 0 && !canCurate) {
+    return null;
+  }
+
+  return (
+    <section
+      className="bg-white border border-gray-200 shadow-sm"
+      style={{
+        borderRadius: '0.75rem',
+        padding: '1rem',
+        marginBottom: '1.5rem',
+      }}
+      aria-label="Topics"
+    >
+      <div
+        className="flex items-center justify-between"
+        style={{ gap: '0.75rem', marginBottom: '0.75rem' }}
+      >
+        <h2
+          className="flex items-center font-semibold text-gray-900"
+          style={{ gap: '0.375rem', fontSize: '0.9375rem' }}
+        >
+          <Tag
+            className="text-teal-600"
+            style={{ width: '1rem', height: '1rem' }}
+          />
+          Topics
+        </h2>
+        {canCurate && !isEditing && (
+          <button
+            onClick={startEditing}
+            className="inline-flex items-center text-teal-700 hover:text-teal-800 hover:underline font-semibold"
+            style={{ gap: '0.25rem', fontSize: '0.8125rem' }}
+          >
+            <Pencil style={{ width: '0.875rem', height: '0.875rem' }} />
+            Edit course tags
+          </button>
+        )}
+      </div>
+
+      {isEditing ? (
+        <div>
+          <p
+            className="text-gray-600"
+            style={{ fontSize: '0.8125rem', marginBottom: '0.5rem' }}
+          >
+            Course tags are suggested first when students tag a question.
+            Students can still add their own.
+          </p>
+          <TagPicker
+            id="course-tags"
+            tags={curatedDraft}
+            onChange={setCuratedDraft}
+            suggestions={tags}
+            max={MAX_COURSE_TAGS}
+            disabled={isSaving}
+          />
+          <div
+            className="flex items-center"
+            style={{ gap: '0.5rem', marginTop: '0.75rem' }}
+          >
+            <button
+              onClick={saveCuratedTags}
+              disabled={isSaving}
+              className="bg-teal-600 hover:bg-teal-700 text-white font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{
+                padding: '0.375rem 0.875rem',
+                borderRadius: '0.5rem',
+                fontSize: '0.8125rem',
+              }}
+            >
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              onClick={() => setIsEditing(false)}
+              disabled={isSaving}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-semibold transition-colors disabled:opacity-50"
+              style={{
+                padding: '0.375rem 0.875rem',
+                borderRadius: '0.5rem',
+                fontSize: '0.8125rem',
+              }}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : shownTags.length === 0 ? (
+        <p className="text-gray-600" style={{ fontSize: '0.875rem' }}>
+          No questions are tagged yet.
+        </p>
+      ) : (
+        <ul
+          className="flex flex-wrap items-baseline"
+          style={{ gap: '0.375rem 0.875rem' }}
+        >
+          {shownTags.map((tag) => {
+            const isSelected = selectedTags.includes(tag.name);
+            return (
+              <li key={tag.name}>
+                <button
+                  onClick={() => onToggle(tag.name)}
+                  className={`font-medium transition-colors ${
+                    isSelected
+                      ? 'bg-teal-600 text-white'
+                      : tag.curated
+                      ? 'text-teal-700 hover:text-teal-900'
+                      : 'text-gray-700 hover:text-teal-700'
+                  }`}
+                  style={{
+                    fontSize: fontSize(tag.count),
+                    padding: '0 0.375rem',
+                    borderRadius: '0.375rem',
+                  }}
+                  aria-pressed={isSelected}
+                  title={`${tag.count} ${
+                    tag.count === 1 ? 'question' : 'questions'
+                  }${tag.curated ? ' (course tag)' : ''}`}
+                >
+                  {tag.name}
+                  <span
+                    className={isSelected ? 'text-teal-100' : 'text-gray-400'}
+                    style={{ fontSize: '0.6875rem', marginLeft: '0.25rem' }}
+                  >
+                    {tag.count}
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default TagCloud;
@@ -0,0 +1,68 @@
+/**
+ * Tag List Component
+ * A question's tags as small chips that link to, or filter by, each tag
+ */
+
+import { Link } from 'react-router-dom';
+
+const chipStyle = {
+  padding: '0.0625rem 0.5rem',
+  borderRadius: '9999px',
+  fontSize: '0.75rem',
+};
+
+const TagList = ({ tags, courseId, selectedTags = [], onSelect }) => {
+  if (!tags || tags.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="flex flex-wrap items-center" style={{ gap: '0.375rem' }}>
+      {tags.map((tag) => {
+        const isSelected = selectedTags.includes(tag);
+        const className = `inline-flex font-medium border transition-colors ${
+          isSelected
+            ? 'bg-teal-600 text-white border-teal-600'
+            : 'bg-teal-50 text-teal-800 border-teal-100 hover:border-teal-400'
+        }`;
+
+        return (
+          <li key={tag}>
+            {onSelect ? (
+              <button
+                type="button"
+                onClick={(e) => {
+                  // Chips sit inside clickable question cards
+                  e.stopPropagation();
+                  onSelect(tag);
+                }}
+                onKeyDown={(e) => e.stopPropagation()}
+                className={className}
+                style={chipStyle}
+                aria-pressed={isSelected}
+                title={
+                  isSelected ? `Stop filtering by ${tag}` : `Filter by ${tag}`
+                }
+              >
+                {tag}
+              </button>
+            ) : (
+              <Link
+                to={`/courses/${courseId}/questions?tags=${encodeURIComponent(
+                  tag
+                )}`}
+                className={className}
+                style={chipStyle}
+                title={`Questions tagged ${tag}`}
+              >
+                {tag}
+              </Link>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default TagList;
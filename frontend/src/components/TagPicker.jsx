@@ -0,0 +1,199 @@
+/**
+ * Tag Picker Component
+ * Chooses tags for a question from the course's tags, or free tags typed in;
+ * also used by instructors to edit a course's curated tags
+ */
+
+import { useState } from 'react';
+import { X } from 'lucide-react';
+
+// Mirrors the backend's rules so the chip shows the tag as it will be stored
+const MAX_TAG_LENGTH = 30;
+const TAG_PATTERN = /^[a-z0-9+#.]+(-[a-z0-9+#.]+)*$/;
+const MAX_SUGGESTIONS = 8;
+
+// Lowercases a tag as typed and turns spaces into hyphens
+const toTagName = (value) =>
+  value
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-');
+
+/**
+ * Normalizes a tag the way the backend stores it
+ * @param {string} value - Tag as typed
+ * @returns {string|null} Normalized tag, or null if it is not a valid tag
+ */
+const normalizeTag = (value) => {
+  const name = toTagName(value);
+  return name.length <= MAX_TAG_LENGTH && TAG_PATTERN.test(name) ? name : null;
+};
+
+const TagPicker = ({
+  id,
+  tags,
+  onChange,
+  suggestions = [],
+  max = 5,
+  disabled,
+  placeholder = 'Add a tag...',
+}) => {
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState('');
+  const [isFocused, setIsFocused] = useState(false);
+
+  const isFull = tags.length >= max;
+  const query = toTagName(draft);
+  const matches = suggestions
+    .filter((tag) => !tags.includes(tag.name) && tag.name.includes(query))
+    .slice(0, MAX_SUGGESTIONS);
+
+  const addTag = (value) => {
+    const name = normalizeTag(value);
+    if (!name) {
+      setError(
+        `Tags use letters, numbers, +, #, . and hyphens, up to ${MAX_TAG_LENGTH} characters`
+      );
+      return;
+    }
+    if (isFull) {
+      setError(`You can add up to ${max} tags`);
+      return;
+    }
+
+    setError('');
+    setDraft('');
+    if (!tags.includes(name)) {
+      onChange([...tags, name]);
+    }
+  };
+
+  const removeTag = (name) => {
+    setError('');
+    onChange(tags.filter((tag) => tag !== name));
+  };
+
+  const handleKeyDown = (e) => {
+    if ((e.key === 'Enter' || e.key === ',') && draft.trim()) {
+      e.preventDefault();
+      addTag(draft);
+    } else if (e.key === 'Enter') {
+      // Keep Enter in an empty tag box from submitting the form
+      e.preventDefault();
+    } else if (e.key === 'Backspace' && !draft && tags.length > 0) {
+      removeTag(tags[tags.length - 1]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div
+        className="flex flex-wrap items-center border border-gray-200 hover:border-gray-300 bg-white focus-within:ring-2 focus-within:ring-teal-500 transition-all"
+        style={{
+          gap: '0.375rem',
+          padding: '0.5rem 0.75rem',
+          borderRadius: '0.75rem',
+        }}
+      >
+        {tags.map((tag) => (
+          <span
+            key={tag}
+            className="inline-flex items-center bg-teal-50 text-teal-800 border border-teal-100 font-medium"
+            style={{
+              gap: '0.25rem',
+              padding: '0.125rem 0.5rem',
+              borderRadius: '9999px',
+              fontSize: '0.8125rem',
+            }}
+          >
+            {tag}
+            <button
+              type="button"
+              onClick={() => removeTag(tag)}
+              disabled={disabled}
+              className="text-teal-600 hover:text-red-700 transition-colors"
+              aria-label={`Remove tag ${tag}`}
+            >
+              <X style={{ width: '0.75rem', height: '0.75rem' }} />
+            </button>
+          </span>
+        ))}
+        <input
+          id={id}
+          type="text"
+          value={draft}
+          onChange={(e) => {
+            setDraft(e.target.value);
+            setError('');
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsFocused(true)}
+          onBlur={() => setIsFocused(false)}
+          placeholder={isFull ? '' : placeholder}
+          disabled={disabled || isFull}
+          className="border-0 focus:ring-0 focus:outline-none bg-transparent"
+          style={{ flex: 1, minWidth: '8rem', fontSize: '0.875rem' }}
+          autoComplete="off"
+        />
+      </div>
+
+      {/* Course tag suggestions */}
+      {isFocused && !isFull && matches.length > 0 && (
+        <ul
+          className="absolute bg-white border border-gray-200 shadow-lg z-10"
+          style={{
+            left: 0,
+            right: 0,
+            marginTop: '0.25rem',
+            borderRadius: '0.5rem',
+            padding: '0.25rem',
+            maxHeight: '16rem',
+            overflowY: 'auto',
+          }}
+          role="listbox"
+        >
+          {matches.map((tag) => (
+            <li key={tag.name} role="option" aria-selected="false">
+              <button
+                type="button"
+                // Keep focus in the input so the list stays open
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addTag(tag.name)}
+                className="w-full flex items-center justify-between text-left hover:bg-teal-50 transition-colors"
+                style={{
+                  padding: '0.375rem 0.625rem',
+                  borderRadius: '0.375rem',
+                  fontSize: '0.875rem',
+                }}
+              >
+                <span className="font-medium text-gray-800">{tag.name}</span>
+                <span className="text-gray-500" style={{ fontSize: '0.75rem' }}>
+                  {tag.curated ? 'Course tag · ' : ''}
+                  {tag.count} {tag.count === 1 ? 'question' : 'questions'}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p
+        className="text-gray-600"
+        style={{ marginTop: '0.375rem', fontSize: '0.75rem' }}
+      >
+        Pick a course tag or type your own and press Enter ({tags.length}/{max})
+      </p>
+      {error && (
+        <p
+          className="text-red-600 font-medium"
+          style={{ marginTop: '0.25rem', fontSize: '0.8125rem' }}
+          role="alert"
+        >
+          {error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TagPicker;
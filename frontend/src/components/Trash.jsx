@@ -0,0 +1,220 @@
+/**
+ * Trash Component
+ * Questions and responses the user deleted, with restore until they expire
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { formatDistanceToNow } from 'date-fns';
+import { trashApi } from '../api/api';
+import { ChevronRight, RotateCcw } from 'lucide-react';
+import Header from './Header';
+import Spinner from './Spinner';
+
+const Trash = () => {
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const fetchTrash = async () => {
+    try {
+      const response = await trashApi.getTrash();
+      setItems(response.data.items || []);
+      setRetentionDays(response.data.retentionDays);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (item) => {
+    setRestoringId(item._id);
+    try {
+      if (item.targetType === 'question') {
+        await trashApi.restoreQuestion(item._id);
+      } else {
+        await trashApi.restoreResponse(item._id);
+      }
+      toast.success(
+        item.targetType === 'question'
+          ? 'Question restored'
+          : 'Response restored'
+      );
+      setItems((prevItems) => prevItems.filter((i) => i._id !== item._id));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to restore');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50/30">
+      <Header />
+
+      <main
+        id="main-content"
+        className="container-centered fade-in"
+        style={{ paddingTop: '2rem', paddingBottom: '2rem', maxWidth: '64rem' }}
+      >
+        {/* Breadcrumb */}
+        <nav aria-label="Breadcrumb" style={{ marginBottom: '1.5rem' }}>
+          <ol
+            className="flex items-center"
+            style={{ gap: '0.5rem', fontSize: '0.875rem' }}
+          >
+            <li>
+              <Link
+                to="/courses"
+                className="text-teal-600 hover:text-teal-700 hover:underline font-medium"
+              >
+                My Courses
+              </Link>
+            </li>
+            <li aria-hidden="true">
+              <ChevronRight
+                className="text-gray-400"
+                style={{ width: '1rem', height: '1rem' }}
+              />
+            </li>
+            <li className="text-gray-700 font-semibold">Trash</li>
+          </ol>
+        </nav>
+
+        {/* Page Header */}
+        <div style={{ marginBottom: '2rem' }}>
+          <h1
+            className="font-bold text-gray-900 text-3xl sm:text-4xl"
+            style={{ marginBottom: '0.5rem' }}
+          >
+            Trash
+          </h1>
+          <p className="text-gray-600 text-base sm:text-lg">
+            Questions and responses you deleted
+            {retentionDays
+              ? ` can be restored for ${retentionDays} days, then they are deleted permanently`
+              : ''}
+          </p>
+        </div>
+
+        {loading ? (
+          <div
+            className="flex justify-center"
+            style={{ paddingTop: '4rem', paddingBottom: '4rem' }}
+          >
+            <Spinner size="lg" text="Loading trash..." />
+          </div>
+        ) : items.length === 0 ? (
+          <p
+            className="text-center text-gray-600"
+            style={{ padding: '3rem 1rem' }}
+          >
+            Your trash is empty.
+          </p>
+        ) : (
+          <ul
+            style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}
+          >
+            {items.map((item) => (
+              <li
+                key={item._id}
+                className="bg-white border border-gray-200 shadow-sm flex flex-col sm:flex-row sm:items-center sm:justify-between"
+                style={{
+                  borderRadius: '0.75rem',
+                  padding: '1rem 1.25rem',
+                  gap: '0.75rem',
+                }}
+              >
+                <div style={{ minWidth: 0 }}>
+                  <div
+                    className="flex items-center flex-wrap"
+                    style={{ gap: '0.5rem' }}
+                  >
+                    <span
+                      className="font-semibold bg-gray-100 text-gray-700"
+                      style={{
+                        padding: '0.125rem 0.5rem',
+                        borderRadius: '0.375rem',
+                        fontSize: '0.75rem',
+                      }}
+                    >
+                      {item.targetType === 'question' ? 'Question' : 'Response'}
+                    </span>
+                    <h2
+                      className="font-semibold text-gray-900"
+                      style={{ fontSize: '1.0625rem' }}
+                    >
+                      {item.targetType === 'response' && 'On: '}
+                      {item.title || 'Deleted question'}
+                    </h2>
+                  </div>
+                  <p
+                    className="text-gray-700 truncate"
+                    style={{ fontSize: '0.875rem', marginTop: '0.25rem' }}
+                  >
+                    {item.content}
+                  </p>
+                  <p
+                    className="text-gray-500 flex items-center flex-wrap"
+                    style={{
+                      fontSize: '0.8125rem',
+                      marginTop: '0.25rem',
+                      gap: '0.375rem',
+                    }}
+                  >
+                    {item.courseCode && (
+                      <>
+                        <span>{item.courseCode}</span>
+                        <span className="text-gray-400">•</span>
+                      </>
+                    )}
+                    <span>
+                      Deleted{' '}
+                      {formatDistanceToNow(new Date(item.deletedAt), {
+                        addSuffix: true,
+                      })}
+                    </span>
+                    <span className="text-gray-400">•</span>
+                    <span>
+                      Deleted permanently{' '}
+                      {formatDistanceToNow(new Date(item.expiresAt), {
+                        addSuffix: true,
+                      })}
+                    </span>
+                  </p>
+                </div>
+
+                <button
+                  onClick={() => handleRestore(item)}
+                  disabled={restoringId === item._id}
+                  className="inline-flex items-center justify-center flex-shrink-0 bg-teal-600 hover:bg-teal-700 text-white font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  style={{
+                    gap: '0.375rem',
+                    padding: '0.5rem 0.875rem',
+                    borderRadius: '0.5rem',
+                    fontSize: '0.8125rem',
+                  }}
+                >
+                  <RotateCcw
+                    style={{ width: '0.875rem', height: '0.875rem' }}
+                    aria-hidden="true"
+                  />
+                  {restoringId === item._id ? 'Restoring...' : 'Restore'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Trash;
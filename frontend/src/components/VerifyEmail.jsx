@@ -0,0 +1,110 @@
+/**
+ * Verify Email Component
+ * Confirms a new account using the token from the verification link
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { authApi } from '../api/api';
+import { CheckCircle, AlertCircle } from 'lucide-react';
+import Spinner from './Spinner';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(
+    token ? '' : 'This verification link is missing its token.'
+  );
+  // Tokens are single-use; guard against StrictMode's double effect run
+  const hasSubmitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || hasSubmitted.current) {
+      return;
+    }
+    hasSubmitted.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await authApi.verifyEmail(token);
+        setStatus('success');
+        setMessage(response.data.message);
+      } catch (error) {
+        setStatus('error');
+        setMessage(
+          error.response?.data?.error ||
+            'We could not verify your email. Please try again.'
+        );
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div
+      className="min-h-screen bg-gradient-to-br from-teal-50 via-emerald-50 to-teal-100 flex items-center justify-center"
+      style={{ padding: '2rem 1rem' }}
+    >
+      <div
+        className="bg-white shadow-2xl border border-gray-100 w-full text-center"
+        style={{ maxWidth: '28rem', borderRadius: '1rem', padding: '2.5rem' }}
+      >
+        {status === 'verifying' && (
+          <Spinner size="lg" text="Verifying your email..." />
+        )}
+
+        {status === 'success' && (
+          <>
+            <CheckCircle
+              className="text-green-600 mx-auto"
+              style={{ width: '3rem', height: '3rem', marginBottom: '1rem' }}
+              aria-hidden="true"
+            />
+            <h1
+              className="font-semibold text-gray-900"
+              style={{ fontSize: '1.5rem', marginBottom: '0.75rem' }}
+            >
+              Email verified
+            </h1>
+            <p className="text-gray-600" style={{ marginBottom: '1.5rem' }}>
+              {message}
+            </p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <AlertCircle
+              className="text-red-600 mx-auto"
+              style={{ width: '3rem', height: '3rem', marginBottom: '1rem' }}
+              aria-hidden="true"
+            />
+            <h1
+              className="font-semibold text-gray-900"
+              style={{ fontSize: '1.5rem', marginBottom: '0.75rem' }}
+            >
+              Verification failed
+            </h1>
+            <p className="text-gray-600" style={{ marginBottom: '1.5rem' }}>
+              {message} You can request a new link from the sign in page.
+            </p>
+          </>
+        )}
+
+        {status !== 'verifying' && (
+          <Link
+            to="/"
+            className="inline-block bg-gradient-to-r from-teal-600 to-emerald-600 hover:from-teal-700 hover:to-emerald-700 text-white font-semibold shadow-lg transition-all"
+            style={{ padding: '0.75rem 1.5rem', borderRadius: '0.75rem' }}
+          >
+            Go to Sign In
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,85 @@
+/**
+ * Vote Controls Component
+ * Up/down vote buttons around a post's score; clicking the current vote
+ * again clears it
+ */
+
+import { useState } from 'react';
+import { ChevronUp, ChevronDown } from 'lucide-react';
+
+const VoteControls = ({ score = 0, myVote = 0, disabled, onVote }) => {
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleVote = async (value) => {
+    if (disabled || submitting) {
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await onVote(myVote === value ? 0 : value);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const buttonStyle = {
+    padding: '0.125rem',
+    borderRadius: '0.25rem',
+    cursor: disabled ? 'not-allowed' : 'pointer',
+  };
+  const iconStyle = { width: '1.125rem', height: '1.125rem' };
+
+  return (
+    <div
+      className="flex flex-col items-center flex-shrink-0"
+      style={{ gap: '0.125rem', minWidth: '2rem' }}
+      title={disabled ? 'You cannot vote on your own post' : undefined}
+    >
+      <button
+        type="button"
+        onClick={() => handleVote(1)}
+        disabled={disabled || submitting}
+        aria-label="Upvote"
+        aria-pressed={myVote === 1}
+        className={`transition-colors ${
+          myVote === 1
+            ? 'bg-teal-100 text-teal-700'
+            : 'text-gray-400 hover:bg-gray-100 hover:text-gray-700'
+        } disabled:opacity-50`}
+        style={buttonStyle}
+      >
+        <ChevronUp style={iconStyle} />
+      </button>
+      <span
+        className={`font-bold ${
+          myVote === 1
+            ? 'text-teal-700'
+            : myVote === -1
+            ? 'text-rose-700'
+            : 'text-gray-700'
+        }`}
+        style={{ fontSize: '0.875rem' }}
+      >
+        {score}
+      </span>
+      <button
+        type="button"
+        onClick={() => handleVote(-1)}
+        disabled={disabled || submitting}
+        aria-label="Downvote"
+        aria-pressed={myVote === -1}
+        className={`transition-colors ${
+          myVote === -1
+            ? 'bg-rose-100 text-rose-700'
+            : 'text-gray-400 hover:bg-gray-100 hover:text-gray-700'
+        } disabled:opacity-50`}
+        style={buttonStyle}
+      >
+        <ChevronDown style={iconStyle} />
+      </button>
+    </div>
+  );
+};
+
+export default VoteControls;
@@ -0,0 +1,173 @@
+/**
+ * Realtime Context
+ * One live update stream per tab, with reconnect and a polling fallback
+ */
+
+import {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useRef,
+  useCallback,
+} from 'react';
+import { eventsApi } from '../api/api';
+import { useAuth } from './AuthContext';
+
+const RealtimeContext = createContext(null);
+
+// Events the server pushes (see backend realtime.js)
+const EVENT_NAMES = [
+  'notification',
+  'question_created',
+  'response_created',
+  'comment_created',
+];
+
+// Backoff for reconnecting after the server refuses the stream
+const INITIAL_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+// How often pages poll while the stream is down
+export const POLL_INTERVAL_MS = 5000;
+
+export const useRealtime = () => {
+  const context = useContext(RealtimeContext);
+  if (!context) {
+    throw new Error('useRealtime must be used within RealtimeProvider');
+  }
+  return context;
+};
+
+/**
+ * Calls handler with the data of each pushed event of the given name
+ */
+export const useRealtimeEvent = (eventName, handler) => {
+  const { addListener } = useRealtime();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    return addListener(eventName, (data) => handlerRef.current(data));
+  }, [addListener, eventName]);
+};
+
+/**
+ * Adds the course or question a page shows to the stream while it is mounted
+ */
+export const useRealtimeTopic = ({ courseId, questionId }) => {
+  const { setTopics } = useRealtime();
+
+  useEffect(() => {
+    setTopics({ courseId, questionId });
+    return () => setTopics({});
+  }, [setTopics, courseId, questionId]);
+};
+
+/**
+ * Keeps a page current when pushes cannot reach it: calls refresh on an
+ * interval while the stream is down, and once after it reconnects to pick up
+ * anything sent in between
+ */
+export const useRealtimeFallback = (refresh, intervalMs = POLL_INTERVAL_MS) => {
+  const { connected } = useRealtime();
+  const refreshRef = useRef(refresh);
+  const hasConnectedRef = useRef(false);
+
+  useEffect(() => {
+    refreshRef.current = refresh;
+  });
+
+  useEffect(() => {
+    if (connected) {
+      if (hasConnectedRef.current) {
+        refreshRef.current();
+      }
+      hasConnectedRef.current = true;
+      return;
+    }
+
+    const interval = setInterval(() => refreshRef.current(), intervalMs);
+    return () => clearInterval(interval);
+  }, [connected, intervalMs]);
+};
+
+export const RealtimeProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [topics, setTopics] = useState({});
+  const [connected, setConnected] = useState(false);
+  const listenersRef = useRef(new Map()); // event name -> Set of handlers
+
+  const addListener = useCallback((eventName, handler) => {
+    const listeners = listenersRef.current;
+    if (!listeners.has(eventName)) {
+      listeners.set(eventName, new Set());
+    }
+    listeners.get(eventName).add(handler);
+    return () => listeners.get(eventName).delete(handler);
+  }, []);
+
+  const { courseId, questionId } = topics;
+
+  // Reopen the stream whenever the user or the viewed page changes
+  useEffect(() => {
+    if (!user || typeof EventSource === 'undefined') {
+      return;
+    }
+
+    let source = null;
+    let retryTimer = null;
+    let retryDelay = INITIAL_RETRY_DELAY_MS;
+
+    const connect = () => {
+      source = eventsApi.openStream({ courseId, questionId });
+
+      source.onopen = () => {
+        retryDelay = INITIAL_RETRY_DELAY_MS;
+        setConnected(true);
+      };
+
+      source.onerror = () => {
+        setConnected(false);
+        // The browser retries dropped streams itself, but gives up when the
+        // server answers with an error (e.g. an expired session)
+        if (source.readyState === EventSource.CLOSED) {
+          retryTimer = setTimeout(connect, retryDelay);
+          retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+        }
+      };
+
+      EVENT_NAMES.forEach((eventName) => {
+        source.addEventListener(eventName, (event) => {
+          const data = JSON.parse(event.data);
+          listenersRef.current
+            .get(eventName)
+            ?.forEach((handler) => handler(data));
+        });
+      });
+    };
+
+    connect();
+
+    return () => {
+      clearTimeout(retryTimer);
+      source?.close();
+      setConnected(false);
+    };
+  }, [user, courseId, questionId]);
+
+  const value = {
+    connected,
+    addListener,
+    setTopics,
+  };
+
+  return (
+    <RealtimeContext.Provider value={value}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};